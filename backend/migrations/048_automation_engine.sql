@@ -0,0 +1,44 @@
+-- Migration to prepare automation_rules/automation_logs for the rules engine
+-- Course and subtask ids are integers, so log entity ids are stored as text (same as activities/comments in 037)
+
+ALTER TABLE automation_logs ALTER COLUMN entity_id TYPE TEXT;
+
+-- Track which trigger fired and who caused it
+ALTER TABLE automation_logs
+ADD COLUMN IF NOT EXISTS trigger_type VARCHAR(100);
+
+ALTER TABLE automation_logs
+ADD COLUMN IF NOT EXISTS triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE automation_rules
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE automation_rules
+ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES users(id);
+
+-- Only the trigger types the engine evaluates are allowed.
+-- Rules created before the engine (033 documented 'status_change' and 'field_update') never fired,
+-- they are switched off and left in place for an admin to move to a supported trigger. The constraint
+-- is NOT VALID so those rows don't block the migration, new and updated rules are still checked.
+UPDATE automation_rules
+SET is_active = false
+WHERE trigger_type NOT IN ('phase_change', 'course_status_change', 'due_date')
+  AND is_active = true;
+
+ALTER TABLE automation_rules DROP CONSTRAINT IF EXISTS valid_automation_trigger_type;
+ALTER TABLE automation_rules
+ADD CONSTRAINT valid_automation_trigger_type
+CHECK (trigger_type IN ('phase_change', 'course_status_change', 'due_date')) NOT VALID;
+
+COMMENT ON COLUMN automation_rules.trigger_conditions IS 'Matchers evaluated against the trigger event, e.g. {"toStatus": "alpha_review", "modality": ["WBT"]}';
+COMMENT ON COLUMN automation_rules.actions IS 'Ordered array of actions: reassign, set_priority, notify, add_comment';
+COMMENT ON COLUMN automation_logs.execution_details IS 'Trigger event and per-action results for one rule firing';
+
+DROP TRIGGER IF EXISTS update_automation_rules_updated_at ON automation_rules;
+CREATE TRIGGER update_automation_rules_updated_at BEFORE UPDATE ON automation_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes for rule lookup and log history
+CREATE INDEX IF NOT EXISTS idx_automation_rules_trigger_active ON automation_rules(trigger_type) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_automation_logs_rule_created ON automation_logs(rule_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_automation_logs_entity ON automation_logs(entity_type, entity_id);
@@ -0,0 +1,80 @@
+-- Migration to make custom fields usable for courses, subtasks and programs
+-- Course and subtask ids are integers while program ids are UUIDs, so value entity ids are stored as text
+
+ALTER TABLE custom_field_values ALTER COLUMN entity_id TYPE TEXT;
+
+-- Values are unique per entity, not per entity id alone (course 5 and subtask 5 are different entities)
+ALTER TABLE custom_field_values DROP CONSTRAINT IF EXISTS custom_field_values_entity_id_field_definition_id_key;
+ALTER TABLE custom_field_values DROP CONSTRAINT IF EXISTS unique_custom_field_value_entity;
+ALTER TABLE custom_field_values
+ADD CONSTRAINT unique_custom_field_value_entity UNIQUE (entity_type, entity_id, field_definition_id);
+
+-- Fields shown by the custom field editors
+ALTER TABLE custom_field_definitions
+ADD COLUMN IF NOT EXISTS description TEXT;
+
+ALTER TABLE custom_field_definitions
+ADD COLUMN IF NOT EXISTS placeholder VARCHAR(255);
+
+ALTER TABLE custom_field_definitions
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE custom_field_definitions
+ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES users(id);
+
+-- Only the entity and field types the API supports are allowed.
+-- 033 documented more types: checkbox fields become boolean and email fields become text with an email pattern.
+-- Fields of other entities ('task' and the like) were never editable, they are hidden and left in place for an
+-- admin to recreate. Both constraints are NOT VALID so those rows don't block the migration, new and updated
+-- definitions are still checked.
+UPDATE custom_field_definitions SET field_type = 'boolean' WHERE field_type = 'checkbox';
+
+UPDATE custom_field_definitions
+SET field_type = 'text',
+    validation_rules = COALESCE(validation_rules, '{}'::jsonb) || '{"pattern": "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$", "patternMessage": "Must be an email address"}'::jsonb
+WHERE field_type = 'email';
+
+UPDATE custom_field_definitions
+SET is_visible = false
+WHERE (entity_type NOT IN ('course', 'subtask', 'program')
+    OR field_type NOT IN ('text', 'textarea', 'number', 'date', 'select', 'multiselect', 'boolean', 'url', 'user'))
+  AND is_visible = true;
+
+ALTER TABLE custom_field_definitions DROP CONSTRAINT IF EXISTS valid_custom_field_entity_type;
+ALTER TABLE custom_field_definitions
+ADD CONSTRAINT valid_custom_field_entity_type
+CHECK (entity_type IN ('course', 'subtask', 'program')) NOT VALID;
+
+ALTER TABLE custom_field_definitions DROP CONSTRAINT IF EXISTS valid_custom_field_type;
+ALTER TABLE custom_field_definitions
+ADD CONSTRAINT valid_custom_field_type
+CHECK (field_type IN ('text', 'textarea', 'number', 'date', 'select', 'multiselect', 'boolean', 'url', 'user')) NOT VALID;
+
+-- Date value of a custom field for sorting, NULL instead of an error for values that are not a calendar date
+CREATE OR REPLACE FUNCTION custom_field_date(value TEXT) RETURNS DATE AS $$
+BEGIN
+    IF value !~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}' THEN
+        RETURN NULL;
+    END IF;
+    RETURN LEFT(value, 10)::date;
+EXCEPTION WHEN OTHERS THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- UNIQUE(entity_type, program_id, field_key) does not apply to global fields where program_id is NULL
+CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_field_definitions_global_key
+ON custom_field_definitions(entity_type, field_key) WHERE program_id IS NULL;
+
+COMMENT ON COLUMN custom_field_definitions.program_id IS 'Program the field belongs to, NULL for fields shared by all programs';
+COMMENT ON COLUMN custom_field_definitions.validation_rules IS 'Type specific rules, e.g. {"min": 0, "max": 100}, {"maxLength": 50, "pattern": "^[A-Z]+$"}, {"minDate": "2025-01-01"}';
+COMMENT ON COLUMN custom_field_values.entity_id IS 'Course/subtask id or program UUID stored as text';
+
+DROP TRIGGER IF EXISTS update_custom_field_definitions_updated_at ON custom_field_definitions;
+CREATE TRIGGER update_custom_field_definitions_updated_at BEFORE UPDATE ON custom_field_definitions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes for inline value loading and course filtering/sorting
+CREATE INDEX IF NOT EXISTS idx_custom_field_values_entity ON custom_field_values(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_custom_field_values_definition ON custom_field_values(field_definition_id);
+CREATE INDEX IF NOT EXISTS idx_custom_field_definitions_lookup ON custom_field_definitions(entity_type, program_id);
@@ -0,0 +1,40 @@
+-- Migration to make the attachments table usable for courses, subtasks and comments
+-- Course and subtask ids are integers while comment ids are UUIDs, so entity ids are stored as text
+
+ALTER TABLE attachments ALTER COLUMN entity_id TYPE TEXT;
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS valid_attachment_entity_type;
+ALTER TABLE attachments
+ADD CONSTRAINT valid_attachment_entity_type
+CHECK (entity_type IN ('course', 'subtask', 'comment'));
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS valid_attachment_storage_type;
+ALTER TABLE attachments
+ADD CONSTRAINT valid_attachment_storage_type
+CHECK (storage_type IN ('local', 's3'));
+
+COMMENT ON COLUMN attachments.entity_id IS 'Course/subtask id or comment UUID stored as text';
+COMMENT ON COLUMN attachments.storage_path IS 'Storage key relative to the backend root (UPLOAD_PATH or S3 bucket)';
+COMMENT ON COLUMN comments.attachments IS 'Array of attachment ids (attachments.id) linked to the comment';
+
+-- Carry over files recorded in the legacy course_attachments table
+INSERT INTO attachments (
+    entity_type, entity_id, filename, original_name, mime_type, file_size,
+    storage_path, storage_type, created_at, created_by
+)
+SELECT
+    'course', ca.course_id::text, ca.filename, ca.original_filename, ca.mime_type, ca.file_size,
+    ca.storage_path, 'local', ca.created_at, ca.uploaded_by
+FROM course_attachments ca
+WHERE NOT EXISTS (
+    SELECT 1 FROM attachments a
+    WHERE a.entity_type = 'course'
+      AND a.entity_id = ca.course_id::text
+      AND a.storage_path = ca.storage_path
+);
+
+COMMENT ON TABLE course_attachments IS 'Deprecated: superseded by attachments (migrated in 050)';
+
+-- Indexes for listing attachments of an entity
+CREATE INDEX IF NOT EXISTS idx_attachments_entity ON attachments(entity_type, entity_id) WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_attachments_created_by ON attachments(created_by);
@@ -0,0 +1,33 @@
+-- Migration to keep version chains of deliverable files (Alpha, Beta, Final uploads of the same file)
+-- Every upload records the subtask phase it was made in so versions can be shown in the phase history
+
+ALTER TABLE attachments
+ADD COLUMN IF NOT EXISTS version_group_id UUID,
+ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS is_current BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS subtask_id INTEGER,
+ADD COLUMN IF NOT EXISTS phase_status VARCHAR(50),
+ADD COLUMN IF NOT EXISTS course_status VARCHAR(50),
+ADD COLUMN IF NOT EXISTS course_deliverable_id INTEGER REFERENCES course_deliverables(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS restored_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS restored_by INTEGER REFERENCES users(id);
+
+-- Existing attachments start their own chain
+UPDATE attachments SET version_group_id = id WHERE version_group_id IS NULL;
+
+ALTER TABLE attachments ALTER COLUMN version_group_id SET NOT NULL;
+
+COMMENT ON COLUMN attachments.version_group_id IS 'Id of the first attachment of the version chain';
+COMMENT ON COLUMN attachments.is_current IS 'Version shown in attachment lists, one per chain';
+COMMENT ON COLUMN attachments.subtask_id IS 'Subtask (phase) the version was uploaded for, kept without FK like course_phase_archives';
+COMMENT ON COLUMN attachments.phase_status IS 'Subtask status at upload time (alpha_draft, beta_revision, final_revision, ...)';
+COMMENT ON COLUMN attachments.course_status IS 'Course status at upload time, matches course_phase_archives.course_status';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attachments_version_number
+ON attachments(version_group_id, version_number);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attachments_current_version
+ON attachments(version_group_id) WHERE is_current = true AND is_deleted = false;
+
+CREATE INDEX IF NOT EXISTS idx_attachments_subtask ON attachments(subtask_id) WHERE subtask_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_course_deliverable ON attachments(course_deliverable_id) WHERE course_deliverable_id IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Migration to track email delivery of notifications
+-- Notifications are emailed immediately or batched into hourly/daily/weekly digests (notification_preferences.emailDigest)
+
+ALTER TABLE notifications
+ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP;
+
+COMMENT ON COLUMN notifications.emailed_at IS 'When the notification was emailed on its own or as part of a digest';
+
+-- Notifications already in the table are not emailed retroactively
+UPDATE notifications SET emailed_at = created_at WHERE emailed_at IS NULL;
+
+-- Pending digest lookups
+CREATE INDEX IF NOT EXISTS idx_notifications_email_pending
+ON notifications(user_id, created_at)
+WHERE emailed_at IS NULL AND read_at IS NULL;
@@ -0,0 +1,81 @@
+-- Migration for team chat: direct messages, group chats and team/course channels
+-- Read receipts are tracked per participant as the last message they have read
+
+CREATE TABLE IF NOT EXISTS chats (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    description TEXT,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+    direct_key VARCHAR(50),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_message_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_chat_type CHECK (type IN ('direct', 'group', 'channel')),
+    CONSTRAINT valid_chat_scope CHECK (
+        (type = 'direct' AND direct_key IS NOT NULL AND team_id IS NULL AND course_id IS NULL)
+        OR (type = 'group' AND team_id IS NULL AND course_id IS NULL)
+        OR (type = 'channel' AND (team_id IS NULL OR course_id IS NULL))
+    )
+);
+
+COMMENT ON COLUMN chats.direct_key IS 'Sorted participant ids ("3:17") so two users share a single direct chat';
+COMMENT ON COLUMN chats.team_id IS 'Team channel, members are the users of the team';
+COMMENT ON COLUMN chats.course_id IS 'Course channel, open to everyone with access to the course';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_direct_key ON chats(direct_key) WHERE direct_key IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_team_channel ON chats(team_id) WHERE team_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_course_channel ON chats(course_id) WHERE course_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT,
+    type VARCHAR(20) NOT NULL DEFAULT 'text',
+    reply_to_id INTEGER REFERENCES chat_messages(id) ON DELETE SET NULL,
+    attachments JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    edited_at TIMESTAMP,
+    deleted_at TIMESTAMP,
+    deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    CONSTRAINT valid_chat_message_type CHECK (type IN ('text', 'file', 'system'))
+);
+
+COMMENT ON COLUMN chat_messages.attachments IS 'Array of attachment ids (attachments.id) linked to the message';
+COMMENT ON COLUMN chat_messages.deleted_at IS 'Deleted messages keep their row so unread counts and receipts stay consistent';
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_chat ON chat_messages(chat_id, id DESC);
+
+CREATE TABLE IF NOT EXISTS chat_participants (
+    chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    last_read_message_id INTEGER,
+    last_read_at TIMESTAMP,
+    is_muted BOOLEAN NOT NULL DEFAULT false,
+    is_pinned BOOLEAN NOT NULL DEFAULT false,
+    is_archived BOOLEAN NOT NULL DEFAULT false,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (chat_id, user_id),
+    CONSTRAINT valid_chat_participant_role CHECK (role IN ('owner', 'member'))
+);
+
+COMMENT ON COLUMN chat_participants.last_read_message_id IS 'Newest message the participant has read, drives unread counts and read receipts';
+
+CREATE INDEX IF NOT EXISTS idx_chat_participants_user ON chat_participants(user_id);
+
+DROP TRIGGER IF EXISTS update_chats_updated_at ON chats;
+CREATE TRIGGER update_chats_updated_at BEFORE UPDATE ON chats
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Chat uploads are attached to the chat first and moved onto the message when it is sent
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS valid_attachment_entity_type;
+ALTER TABLE attachments
+ADD CONSTRAINT valid_attachment_entity_type
+CHECK (entity_type IN ('course', 'subtask', 'comment', 'chat', 'chat_message'));
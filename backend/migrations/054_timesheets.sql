@@ -0,0 +1,54 @@
+-- Migration for weekly timesheet submission and manager approval of time entries
+-- A timesheet covers one user's entries of one week (Monday to Sunday in the user's timezone)
+
+CREATE TABLE IF NOT EXISTS timesheets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    week_start DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted',
+    total_minutes INTEGER NOT NULL DEFAULT 0,
+    billable_minutes INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_user_week_timesheet UNIQUE (user_id, week_start),
+    CONSTRAINT valid_timesheet_status CHECK (status IN ('submitted', 'approved', 'rejected')),
+    CONSTRAINT timesheet_week_starts_monday CHECK (EXTRACT(ISODOW FROM week_start) = 1)
+);
+
+COMMENT ON COLUMN timesheets.status IS 'submitted (entries locked), approved (entries locked and approved) or rejected (entries editable, can be resubmitted)';
+COMMENT ON COLUMN timesheets.review_comment IS 'Comment of the approving or rejecting manager';
+
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status, submitted_at);
+
+-- Review history, a timesheet can be rejected and resubmitted several times
+CREATE TABLE IF NOT EXISTS timesheet_reviews (
+    id SERIAL PRIMARY KEY,
+    timesheet_id INTEGER NOT NULL REFERENCES timesheets(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    comment TEXT,
+    total_minutes INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_timesheet_review_action CHECK (action IN ('submitted', 'approved', 'rejected'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_timesheet_reviews_timesheet ON timesheet_reviews(timesheet_id, created_at);
+
+ALTER TABLE time_entries
+ADD COLUMN IF NOT EXISTS timesheet_id INTEGER REFERENCES timesheets(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN time_entries.timesheet_id IS 'Timesheet the entry was submitted with';
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_timesheet ON time_entries(timesheet_id) WHERE timesheet_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_start ON time_entries(user_id, start_time);
+
+DROP TRIGGER IF EXISTS update_timesheets_updated_at ON timesheets;
+CREATE TRIGGER update_timesheets_updated_at BEFORE UPDATE ON timesheets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
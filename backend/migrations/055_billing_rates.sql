@@ -0,0 +1,35 @@
+-- Migration for billable time reports and client invoice drafts
+-- Hourly billing rates per program, either for a specific user, for a role, or as the program default
+
+ALTER TABLE programs
+ADD COLUMN IF NOT EXISTS billing_currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+COMMENT ON COLUMN programs.billing_currency IS 'ISO 4217 currency of the program billing rates and invoices';
+
+CREATE TABLE IF NOT EXISTS program_billing_rates (
+    id SERIAL PRIMARY KEY,
+    program_id UUID NOT NULL REFERENCES programs(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50),
+    hourly_rate NUMERIC(10, 2) NOT NULL,
+    effective_from DATE,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_billing_rate CHECK (hourly_rate >= 0),
+    CONSTRAINT billing_rate_user_or_role CHECK (user_id IS NULL OR role IS NULL)
+);
+
+COMMENT ON TABLE program_billing_rates IS 'Most specific rate wins: user, then role, then program default (no user and no role). Rates of a client program apply to its child programs';
+COMMENT ON COLUMN program_billing_rates.effective_from IS 'First day the rate applies to, NULL for always';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_rates_unique ON program_billing_rates (
+    program_id, COALESCE(user_id, 0), COALESCE(role, ''), COALESCE(effective_from, DATE '1970-01-01')
+);
+CREATE INDEX IF NOT EXISTS idx_time_entries_billable ON time_entries(start_time) WHERE is_billable = true;
+
+DROP TRIGGER IF EXISTS update_program_billing_rates_updated_at ON program_billing_rates;
+CREATE TRIGGER update_program_billing_rates_updated_at BEFORE UPDATE ON program_billing_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,24 @@
+-- Migration for estimate-vs-actual tracking
+-- task_estimates holds one estimate per subtask, actual time comes from time_entries
+
+ALTER TABLE task_estimates
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'valid_estimate_hours') THEN
+        ALTER TABLE task_estimates ADD CONSTRAINT valid_estimate_hours CHECK (estimated_hours >= 0);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'valid_estimate_confidence') THEN
+        ALTER TABLE task_estimates ADD CONSTRAINT valid_estimate_confidence
+            CHECK (confidence_level IS NULL OR confidence_level IN ('high', 'medium', 'low'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_task_user ON time_entries(task_id, user_id) WHERE task_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_task_estimates_updated_at ON task_estimates;
+CREATE TRIGGER update_task_estimates_updated_at BEFORE UPDATE ON task_estimates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,18 @@
+-- Migration for cascading reschedules of dependent courses
+-- Each applied cascade keeps the dates it replaced so it can be undone
+
+CREATE TABLE IF NOT EXISTS schedule_cascades (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    working_days_shift INTEGER NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]',
+    applied_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    undone_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    undone_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE schedule_cascades IS 'Due date moves of a course applied to its downstream dependencies';
+COMMENT ON COLUMN schedule_cascades.changes IS 'Per course: courseId, title, from {startDate, dueDate}, to {startDate, dueDate}, the moved course first';
+
+CREATE INDEX IF NOT EXISTS idx_schedule_cascades_course ON schedule_cascades(course_id, applied_at DESC);
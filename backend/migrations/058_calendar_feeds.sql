@@ -0,0 +1,15 @@
+-- Migration for personal iCalendar feeds
+-- Each user can have one secret feed URL to subscribe to their course and phase dates
+-- from Outlook or Google Calendar. Only a hash of the token is stored.
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT unique_calendar_feed_token UNIQUE (token_hash)
+);
+
+COMMENT ON COLUMN calendar_feed_tokens.token_hash IS 'SHA-256 of the feed token, the token itself is only shown when it is generated';
+COMMENT ON COLUMN calendar_feed_tokens.last_accessed_at IS 'Last time a calendar client fetched the feed';
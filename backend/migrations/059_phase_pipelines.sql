@@ -0,0 +1,87 @@
+-- Migration for configurable phase pipelines
+-- Each modality has an ordered pipeline of phase statuses, and the start/end date of every
+-- phase a subtask goes through is stored in subtask_phase_dates instead of dedicated columns.
+-- The alpha/beta/final date columns on course_subtasks are still written for the built-in phases.
+
+-- Statuses that are workflow phases (the rest, like pending or on_hold, carry no phase dates)
+ALTER TABLE phase_statuses
+ADD COLUMN IF NOT EXISTS tracks_dates BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS is_terminal BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN phase_statuses.tracks_dates IS 'Whether the status is a workflow phase with start and end dates';
+COMMENT ON COLUMN phase_statuses.is_terminal IS 'Last phase of a pipeline, it is entered but never finished';
+
+UPDATE phase_statuses SET tracks_dates = false WHERE value IN ('', 'pending', 'in_progress', 'completed', 'on_hold');
+UPDATE phase_statuses SET is_terminal = true WHERE value = 'final_signoff_received';
+
+-- Ordered phases per modality
+CREATE TABLE IF NOT EXISTS modality_phases (
+    id SERIAL PRIMARY KEY,
+    modality_id INTEGER NOT NULL REFERENCES modalities(id) ON DELETE CASCADE,
+    phase_status_id INTEGER NOT NULL REFERENCES phase_statuses(id) ON DELETE CASCADE,
+    order_index INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_modality_phase UNIQUE (modality_id, phase_status_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_modality_phases_modality ON modality_phases(modality_id, order_index);
+
+-- Every existing modality starts with the current phases
+INSERT INTO modality_phases (modality_id, phase_status_id, order_index)
+SELECT m.id, ps.id, ROW_NUMBER() OVER (PARTITION BY m.id ORDER BY ps.sort_order, ps.id)
+FROM modalities m
+CROSS JOIN phase_statuses ps
+WHERE ps.is_active = true AND ps.tracks_dates = true
+ON CONFLICT (modality_id, phase_status_id) DO NOTHING;
+
+-- Start and end of each phase of a subtask
+CREATE TABLE IF NOT EXISTS subtask_phase_dates (
+    id SERIAL PRIMARY KEY,
+    subtask_id INTEGER NOT NULL REFERENCES course_subtasks(id) ON DELETE CASCADE,
+    phase_status VARCHAR(50) NOT NULL,
+    started_at TIMESTAMP WITHOUT TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITHOUT TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_subtask_phase_date UNIQUE (subtask_id, phase_status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subtask_phase_dates_phase ON subtask_phase_dates(phase_status, started_at);
+
+DROP TRIGGER IF EXISTS update_subtask_phase_dates_updated_at ON subtask_phase_dates;
+CREATE TRIGGER update_subtask_phase_dates_updated_at BEFORE UPDATE ON subtask_phase_dates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Copy the dates out of the dedicated columns
+INSERT INTO subtask_phase_dates (subtask_id, phase_status, started_at, finished_at)
+SELECT id, phase_status, started_at, finished_at
+FROM (
+    SELECT id, 'alpha_draft' as phase_status, alpha_draft_start_date as started_at, alpha_draft_end_date as finished_at FROM course_subtasks
+    UNION ALL
+    SELECT id, 'alpha_review', alpha_review_start_date, alpha_review_end_date FROM course_subtasks
+    UNION ALL
+    SELECT id, 'beta_revision', beta_revision_start_date, beta_revision_end_date FROM course_subtasks
+    UNION ALL
+    SELECT id, 'beta_review', beta_review_start_date, beta_review_end_date FROM course_subtasks
+    UNION ALL
+    SELECT id, 'final_revision', final_revision_start_date, final_revision_end_date FROM course_subtasks
+    UNION ALL
+    SELECT id, 'final_signoff_sent', final_signoff_sent_start_date, final_signoff_sent_end_date FROM course_subtasks
+    UNION ALL
+    SELECT id, 'final_signoff_received', final_signoff_received_start_date, NULL FROM course_subtasks
+) legacy
+WHERE started_at IS NOT NULL
+ON CONFLICT (subtask_id, phase_status) DO NOTHING;
+
+-- Archived subtasks keep their phase dates and the pipeline they were worked in
+ALTER TABLE course_phase_archives
+ADD COLUMN IF NOT EXISTS phase_dates JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN course_phase_archives.phase_dates IS 'Array of {status, label, startedAt, finishedAt} in pipeline order';
+
+-- Statuses are validated against phase_statuses by the application, so new phases need no migration.
+-- The check constraints were snapshots of phase_statuses taken by migrations 043 and 044.
+ALTER TABLE course_subtasks DROP CONSTRAINT IF EXISTS valid_task_status;
+ALTER TABLE phase_status_history DROP CONSTRAINT IF EXISTS valid_phase_status;
@@ -0,0 +1,45 @@
+-- Migration for external reviewers
+-- Client reviewers and SMEs outside the team get the external_reviewer role. They only use the
+-- review portal, sign in with an emailed link (or a password if one was set) and only see the
+-- courses they are assigned to here.
+
+INSERT INTO roles (name, display_name, description) VALUES
+('external_reviewer', 'External Reviewer', 'Client reviewer or SME outside the team, limited to the review portal')
+ON CONFLICT (name) DO NOTHING;
+
+-- Courses an external reviewer may see
+CREATE TABLE IF NOT EXISTS external_review_assignments (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_external_review_assignment UNIQUE (course_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_external_review_assignments_user ON external_review_assignments(user_id);
+
+-- Single-use sign-in links, only the SHA-256 hash of the token is stored
+CREATE TABLE IF NOT EXISTS reviewer_login_links (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviewer_login_links_user ON reviewer_login_links(user_id);
+
+-- Sign-offs recorded by external reviewers
+CREATE TABLE IF NOT EXISTS review_signoffs (
+    id SERIAL PRIMARY KEY,
+    subtask_id INTEGER NOT NULL REFERENCES course_subtasks(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note TEXT,
+    signed_off_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_signoffs_subtask ON review_signoffs(subtask_id);
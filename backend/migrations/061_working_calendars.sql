@@ -0,0 +1,57 @@
+-- Migration for working calendars, holidays and time off
+-- A working calendar defines the working weekdays and holidays of a region. Teams use a calendar,
+-- users can override their team's calendar, everyone else falls back to the default calendar.
+
+CREATE TABLE IF NOT EXISTS working_calendars (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    region VARCHAR(100),
+    -- Weekday numbers, 0 = Sunday ... 6 = Saturday
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_working_days CHECK (working_days <@ ARRAY[0,1,2,3,4,5,6]::SMALLINT[] AND cardinality(working_days) > 0)
+);
+
+-- Only one default calendar
+CREATE UNIQUE INDEX IF NOT EXISTS idx_working_calendars_default ON working_calendars(is_default) WHERE is_default = true;
+
+CREATE TABLE IF NOT EXISTS calendar_holidays (
+    id SERIAL PRIMARY KEY,
+    calendar_id INTEGER NOT NULL REFERENCES working_calendars(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_calendar_holiday UNIQUE (calendar_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_holidays_date ON calendar_holidays(calendar_id, date);
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS working_calendar_id INTEGER REFERENCES working_calendars(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS working_calendar_id INTEGER REFERENCES working_calendars(id) ON DELETE SET NULL;
+
+-- Individual time off. hours_per_day NULL means whole days off.
+CREATE TABLE IF NOT EXISTS user_time_off (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    hours_per_day DECIMAL(4,2),
+    reason VARCHAR(255),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_time_off_dates CHECK (start_date <= end_date),
+    CONSTRAINT valid_time_off_hours CHECK (hours_per_day IS NULL OR hours_per_day > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_time_off_user_dates ON user_time_off(user_id, start_date, end_date);
+
+-- Monday to Friday without holidays until an admin adds them
+INSERT INTO working_calendars (name, region, is_default)
+SELECT 'Default', NULL, true
+WHERE NOT EXISTS (SELECT 1 FROM working_calendars WHERE is_default = true);
@@ -0,0 +1,18 @@
+-- Migration for time off requests
+-- Users file PTO and partial availability themselves, a manager of their team (or an admin) approves it.
+-- Only approved time off reduces capacity. Entries recorded before this migration were entered by
+-- admins and count as approved.
+
+ALTER TABLE user_time_off
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved',
+ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+ALTER TABLE user_time_off DROP CONSTRAINT IF EXISTS valid_time_off_status;
+ALTER TABLE user_time_off ADD CONSTRAINT valid_time_off_status
+  CHECK (status IN ('pending', 'approved', 'rejected'));
+
+COMMENT ON COLUMN user_time_off.hours_per_day IS 'Hours away on each day, NULL for full days off';
+
+CREATE INDEX IF NOT EXISTS idx_user_time_off_pending ON user_time_off(status) WHERE status = 'pending';
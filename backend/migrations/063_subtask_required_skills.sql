@@ -0,0 +1,7 @@
+-- Migration for subtask skill requirements
+-- Skills a subtask needs, matched against users.skills when recommending assignees.
+
+ALTER TABLE course_subtasks
+ADD COLUMN IF NOT EXISTS required_skills TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN course_subtasks.required_skills IS 'Skills needed to work on the subtask, compared case-insensitively with users.skills';
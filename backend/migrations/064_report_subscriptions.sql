@@ -0,0 +1,54 @@
+-- Migration for scheduled report subscriptions
+-- A subscription is a saved analytics report with a cron schedule. The reports job queue renders due
+-- subscriptions to PDF or CSV and mails them or writes them below REPORT_DROP_DIR. Every run is kept
+-- in report_runs with its attempts and the last error.
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    report_type VARCHAR(30) NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '{}',
+    format VARCHAR(10) NOT NULL DEFAULT 'pdf',
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    delivery_method VARCHAR(10) NOT NULL DEFAULT 'email',
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    file_path VARCHAR(255),
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    active BOOLEAN NOT NULL DEFAULT true,
+    run_requested BOOLEAN NOT NULL DEFAULT false,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT valid_report_type CHECK (report_type IN ('bottlenecks', 'workload', 'performance', 'overdue_courses')),
+    CONSTRAINT valid_report_format CHECK (format IN ('pdf', 'csv')),
+    CONSTRAINT valid_report_delivery CHECK (delivery_method IN ('email', 'file'))
+);
+
+COMMENT ON COLUMN report_subscriptions.parameters IS 'Report filters, e.g. period and groupBy for bottlenecks or weeks for workload';
+COMMENT ON COLUMN report_subscriptions.file_path IS 'Folder below REPORT_DROP_DIR for file delivery';
+COMMENT ON COLUMN report_subscriptions.run_requested IS 'Set by "run now", the next scheduler tick runs it without moving the schedule';
+
+CREATE TABLE IF NOT EXISTS report_runs (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES report_subscriptions(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    delivered_to TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT valid_report_run_status CHECK (status IN ('queued', 'running', 'retrying', 'succeeded', 'failed')),
+    CONSTRAINT valid_report_run_trigger CHECK (trigger IN ('schedule', 'manual'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_due ON report_subscriptions(next_run_at) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_team ON report_subscriptions(team_id);
+CREATE INDEX IF NOT EXISTS idx_report_runs_subscription ON report_runs(subscription_id, created_at DESC);
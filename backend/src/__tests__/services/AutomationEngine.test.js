@@ -0,0 +1,113 @@
+const { query, transaction } = require('../../config/database');
+const AutomationEngine = require('../../services/AutomationEngine');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../services/NotificationService', () => jest.fn());
+
+const rule = {
+  id: 'rule-1',
+  name: 'Remind three days before the due date',
+  program_id: null,
+  trigger_type: 'due_date',
+  trigger_conditions: { daysBefore: 3, includeOverdue: true },
+  actions: [{ type: 'add_comment', content: 'Due soon' }]
+};
+
+// Local midnight, the way pg returns DATE columns
+const day = (value) => new Date(`${value}T00:00:00`);
+
+/**
+ * In-memory courses and automation logs. The window query applies the same duplicate
+ * check as the SQL: a log of the rule for the course with the course's current due date.
+ */
+const mockDatabase = (course) => {
+  const logs = [];
+
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM automation_rules')) {
+      return { rows: [rule] };
+    }
+    if (sql.includes('SELECT c.id')) {
+      expect(sql).toContain("al.execution_details->'event'->>'dueDate' = to_char(c.due_date, 'YYYY-MM-DD')");
+      const dueDate = course.due_date.toLocaleDateString('en-CA');
+      const fired = logs.some(log => log.rule_id === params[2] && log.entity_id === String(course.id) &&
+        log.execution_details.event.dueDate === dueDate);
+      return { rows: fired ? [] : [{ id: course.id }] };
+    }
+    if (sql.includes('FROM courses')) {
+      return { rows: [course] };
+    }
+    return { rows: [] };
+  });
+
+  transaction.mockImplementation(async (callback) => callback({
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('INSERT INTO automation_logs')) {
+        logs.push({ rule_id: params[0], entity_id: params[2], execution_details: JSON.parse(params[6]) });
+        return { rows: [{ id: logs.length }] };
+      }
+      return { rows: [] };
+    })
+  }));
+
+  return logs;
+};
+
+describe('AutomationEngine.runDueDateTriggers', () => {
+  let engine;
+  let course;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    engine = new AutomationEngine();
+    jest.spyOn(engine, 'executeAction').mockResolvedValue({ done: true });
+    course = { id: 21, title: 'Safety', status: 'in_progress', priority: 'medium', due_date: day('2026-03-10') };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('fires once per course and due date on consecutive days', async () => {
+    const logs = mockDatabase(course);
+
+    jest.setSystemTime(day('2026-03-08'));
+    await expect(engine.runDueDateTriggers()).resolves.toMatchObject({ fired: 1, errors: 0 });
+
+    jest.setSystemTime(day('2026-03-09'));
+    await expect(engine.runDueDateTriggers()).resolves.toMatchObject({ fired: 0, errors: 0 });
+
+    expect(engine.executeAction).toHaveBeenCalledTimes(1);
+    expect(logs).toHaveLength(1);
+    expect(logs[0].execution_details.event).toMatchObject({ triggerType: 'due_date', courseId: 21, dueDate: '2026-03-10' });
+  });
+
+  it('keeps quiet about an overdue course after the first reminder', async () => {
+    mockDatabase(course);
+
+    for (const today of ['2026-03-11', '2026-03-12', '2026-03-13']) {
+      jest.setSystemTime(day(today));
+      await engine.runDueDateTriggers();
+    }
+
+    expect(engine.executeAction).toHaveBeenCalledTimes(1);
+  });
+
+  it('fires again when the due date moves', async () => {
+    const logs = mockDatabase(course);
+
+    jest.setSystemTime(day('2026-03-08'));
+    await engine.runDueDateTriggers();
+
+    course.due_date = day('2026-03-11');
+    jest.setSystemTime(day('2026-03-09'));
+    await expect(engine.runDueDateTriggers()).resolves.toMatchObject({ fired: 1 });
+
+    expect(logs.map(log => log.execution_details.event.dueDate)).toEqual(['2026-03-10', '2026-03-11']);
+  });
+});
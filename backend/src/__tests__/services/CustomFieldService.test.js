@@ -0,0 +1,148 @@
+const { query } = require('../../config/database');
+const CustomFieldService = require('../../services/CustomFieldService');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Pattern the sort expression checks before casting, as a JS regex
+const guardPattern = (expression) => new RegExp(expression.match(/~ '([^']+)'/)[1]);
+
+describe('CustomFieldService.buildCourseSortExpression', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new CustomFieldService();
+  });
+
+  it('returns null for an unknown field', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(service.buildCourseSortExpression('missing', 3)).resolves.toBeNull();
+  });
+
+  it('sorts text fields by their raw value', async () => {
+    query.mockResolvedValueOnce({ rows: [{ field_type: 'text' }] });
+
+    const expression = await service.buildCourseSortExpression('vendor', 3);
+
+    expect(expression).toContain("SELECT (cfv.value #>> '{}')");
+    expect(expression).toContain('cfd.field_key = $3');
+    expect(expression).not.toContain('::numeric');
+    expect(expression).not.toContain('field_type');
+  });
+
+  it('only casts numbers of definitions with the same type', async () => {
+    query.mockResolvedValueOnce({ rows: [{ field_type: 'number' }] });
+
+    const expression = await service.buildCourseSortExpression('seats', 5);
+
+    expect(expression).toContain("AND cfd.field_type = 'number'");
+    expect(expression).toMatch(/CASE WHEN .* THEN \(cfv\.value #>> '\{\}'\)::numeric END/);
+
+    const pattern = guardPattern(expression);
+    expect(['12', '-3', '4.25'].every(value => pattern.test(value))).toBe(true);
+    expect(['twelve', '', '1e5', '2024-01-01'].some(value => pattern.test(value))).toBe(false);
+  });
+
+  it('sorts dates through the safe date cast', async () => {
+    query.mockResolvedValueOnce({ rows: [{ field_type: 'date' }] });
+
+    const expression = await service.buildCourseSortExpression('launch', 2);
+
+    expect(expression).toContain("SELECT custom_field_date((cfv.value #>> '{}'))");
+    expect(expression).toContain("AND cfd.field_type = 'date'");
+    expect(expression).not.toContain('::date');
+  });
+});
+
+describe('CustomFieldService.validateValues', () => {
+  let service;
+
+  const definition = (fieldType, overrides = {}) => ({
+    id: `def-${fieldType}`,
+    field_key: fieldType,
+    name: `A ${fieldType}`,
+    field_type: fieldType,
+    is_required: false,
+    is_visible: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new CustomFieldService();
+  });
+
+  it('accepts a user field that references an active user', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 12 }] });
+
+    const normalized = await service.validateValues([definition('user')], { user: '12' });
+
+    expect(normalized).toEqual({ 'def-user': 12 });
+    expect(query).toHaveBeenCalledWith('SELECT id FROM users WHERE id = ANY($1) AND active = true', [[12]]);
+  });
+
+  it('rejects a user field that references an unknown or inactive user', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(service.validateValues([definition('user')], { user: 99 })).rejects.toMatchObject({
+      details: [{ path: ['customFields', 'user'], message: 'User 99 does not exist or is inactive' }]
+    });
+  });
+
+  it('stores dates as calendar days', async () => {
+    const normalized = await service.validateValues([definition('date')], { date: '2024-02-29' });
+
+    expect(normalized).toEqual({ 'def-date': '2024-02-29' });
+  });
+
+  it.each(['2026-13-45', '2026-02-30', '2026-04-31', 'March 1, 2026', '20260301'])('rejects %s as a date', async (value) => {
+    await expect(service.validateValues([definition('date')], { date: value })).rejects.toMatchObject({
+      details: [{ path: ['customFields', 'date'], message: 'A date must be a valid date' }]
+    });
+  });
+});
+
+describe('CustomFieldService.getDefinitions', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new CustomFieldService();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  it('limits program fields to the programs a user can access', async () => {
+    await service.getDefinitions({ entityType: 'course', user: { id: 7, role: 'designer' } });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(params).toEqual(['course', 7]);
+    expect(sql).toContain('cfd.program_id IS NULL OR cfd.program_id IN');
+    expect(sql).toContain('FROM program_members pm WHERE pm.user_id = $2');
+    expect(sql).toContain('JOIN course_assignments ca ON ca.course_id = c.id WHERE ca.user_id = $2');
+  });
+
+  it('keeps the program filter next to the access check', async () => {
+    const programId = '3f1c2d4e-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+    await service.getDefinitions({ entityType: 'course', programId, user: { id: 7, role: 'designer' } });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(params).toEqual(['course', programId, 7]);
+    expect(sql).toContain('cfd.program_id = $2');
+    expect(sql).toContain('p.owner_id = $3');
+  });
+
+  it('returns every program field to admins and managers', async () => {
+    await service.getDefinitions({ entityType: 'course', user: { id: 1, role: 'admin' } });
+    await service.getDefinitions({ entityType: 'course', user: { id: 2, role: 'manager' } });
+
+    query.mock.calls.forEach(([sql, params]) => {
+      expect(params).toEqual(['course']);
+      expect(sql).not.toContain('program_members');
+    });
+  });
+});
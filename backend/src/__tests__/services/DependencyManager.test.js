@@ -0,0 +1,88 @@
+const { query } = require('../../config/database');
+const DependencyManager = require('../../services/DependencyManager');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  invalidatePattern: jest.fn()
+}));
+
+// course_id depends on depends_on_course_id
+const mockEdges = (edges) => {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM course_dependencies WHERE depends_on_course_id = ANY($1)')) {
+      return {
+        rows: edges
+          .filter(([, dependsOn]) => params[0].includes(dependsOn))
+          .map(([courseId]) => ({ course_id: courseId }))
+      };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+};
+
+describe('DependencyManager.wouldCreateCircularDependency', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new DependencyManager();
+  });
+
+  it('rejects the reverse of an existing dependency', async () => {
+    mockEdges([[1, 2]]); // A depends on B
+
+    await expect(manager.wouldCreateCircularDependency(2, 1)).resolves.toBe(true);
+  });
+
+  it('rejects a dependency that closes a longer chain', async () => {
+    mockEdges([[1, 2], [2, 3]]); // A -> B -> C
+
+    await expect(manager.wouldCreateCircularDependency(3, 1)).resolves.toBe(true);
+  });
+
+  it('accepts a redundant transitive dependency', async () => {
+    mockEdges([[1, 2], [2, 3]]);
+
+    await expect(manager.wouldCreateCircularDependency(1, 3)).resolves.toBe(false);
+  });
+
+  it('accepts a dependency between unrelated courses', async () => {
+    mockEdges([[1, 2]]);
+
+    await expect(manager.wouldCreateCircularDependency(4, 1)).resolves.toBe(false);
+  });
+
+  it('rejects a dependency that closes a chain longer than 10 links', async () => {
+    // 1 -> 2 -> ... -> 15
+    mockEdges(Array.from({ length: 14 }, (_, i) => [i + 1, i + 2]));
+
+    await expect(manager.wouldCreateCircularDependency(15, 1)).resolves.toBe(true);
+  });
+
+  it('follows the chain through courses of any status', async () => {
+    // B is cancelled, the edges are still walked
+    mockEdges([[1, 2], [2, 3]]);
+
+    await expect(manager.wouldCreateCircularDependency(3, 1)).resolves.toBe(true);
+    expect(query.mock.calls.every(([sql]) => !sql.includes('status'))).toBe(true);
+  });
+
+  it('stops on a loop that is already in the graph', async () => {
+    mockEdges([[1, 2], [2, 1], [3, 1]]);
+
+    await expect(manager.wouldCreateCircularDependency(1, 4)).resolves.toBe(false);
+  });
+
+  it('rejects the dependency when the chain cannot be loaded', async () => {
+    query.mockRejectedValue(new Error('connection lost'));
+
+    await expect(manager.wouldCreateCircularDependency(1, 2)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('bull', () => jest.fn().mockImplementation((name) => ({
+  name,
+  process: jest.fn(),
+  add: jest.fn().mockResolvedValue({ id: 'job' }),
+  on: jest.fn(),
+  clean: jest.fn(),
+  close: jest.fn()
+})));
+
+jest.mock('../../services/StatusAggregator', () => jest.fn().mockImplementation(() => ({
+  runPeriodicUpdate: jest.fn()
+})));
+
+jest.mock('../../services/AutomationEngine', () => jest.fn().mockImplementation(() => ({
+  runDueDateTriggers: jest.fn().mockResolvedValue({ rulesEvaluated: 2, fired: 1, errors: 0 })
+})));
+
+jest.mock('../../services/NotificationService', () => jest.fn().mockImplementation(() => ({
+  sendEmailDigests: jest.fn().mockResolvedValue({ sent: 0, errors: [] })
+})));
+
+jest.mock('../../services/ReportSubscriptionService', () => jest.fn().mockImplementation(() => ({
+  enqueueDueRuns: jest.fn().mockResolvedValue([]),
+  executeRun: jest.fn()
+})));
+
+const jobScheduler = require('../../services/JobScheduler');
+
+// Repeat options of the recurring jobs added to a queue, by job name
+const recurringJobs = (queue) => queue.add.mock.calls
+  .filter(([, , options]) => options && options.repeat)
+  .map(([name, data, options]) => ({ name, data, cron: options.repeat.cron }));
+
+// Processor registered on a queue for a job name
+const processorFor = (queue, jobName) => queue.process.mock.calls.find(([name]) => name === jobName)?.[1];
+
+describe('JobScheduler', () => {
+  beforeAll(async () => {
+    await jobScheduler.initializeRecurringJobs();
+  });
+
+  describe('automation', () => {
+    it('evaluates due date rules every morning', () => {
+      expect(recurringJobs(jobScheduler.queues.automation)).toEqual([
+        { name: 'due-date-triggers', data: {}, cron: '0 7 * * *' }
+      ]);
+      expect(processorFor(jobScheduler.queues.automation, 'due-date-triggers')).toBeDefined();
+    });
+
+    it('runs the due date triggers of the automation engine', async () => {
+      const processor = processorFor(jobScheduler.queues.automation, 'due-date-triggers');
+
+      const result = await processor({ id: 'job-1', data: {} });
+
+      expect(jobScheduler.automationEngine.runDueDateTriggers).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ success: true, rulesEvaluated: 2, fired: 1, errors: 0 });
+    });
+
+    it('has a processor for every recurring status job', () => {
+      recurringJobs(jobScheduler.queues.statusAggregation).forEach(job => {
+        expect(processorFor(jobScheduler.queues.statusAggregation, job.name)).toBeDefined();
+      });
+    });
+  });
+
+  describe('email digests', () => {
+    it('schedules the hourly, daily and weekly digests', () => {
+      expect(recurringJobs(jobScheduler.queues.notifications)).toEqual([
+        { name: 'email-digest', data: { digestType: 'hourly' }, cron: '0 * * * *' },
+        { name: 'email-digest', data: { digestType: 'daily' }, cron: '0 8 * * *' },
+        { name: 'email-digest', data: { digestType: 'weekly' }, cron: '0 8 * * 1' }
+      ]);
+    });
+
+    it('sends the digests of the job frequency', async () => {
+      const processor = processorFor(jobScheduler.queues.notifications, 'email-digest');
+      jobScheduler.notificationService.sendEmailDigests.mockResolvedValueOnce({ sent: 3, errors: [{ userId: 4 }] });
+
+      const result = await processor({ id: 'job-2', data: { digestType: 'daily' } });
+
+      expect(jobScheduler.notificationService.sendEmailDigests).toHaveBeenCalledWith('daily');
+      expect(result).toMatchObject({ success: true, digestType: 'daily', sent: 3, failed: 1 });
+    });
+  });
+
+  describe('report subscriptions', () => {
+    it('checks for due subscriptions every minute', () => {
+      expect(recurringJobs(jobScheduler.queues.reports)).toEqual([
+        { name: 'report-subscriptions-due', data: {}, cron: '* * * * *' }
+      ]);
+      expect(processorFor(jobScheduler.queues.reports, 'render-report')).toBeDefined();
+    });
+
+    it('adds a render job for every due run', async () => {
+      const processor = processorFor(jobScheduler.queues.reports, 'report-subscriptions-due');
+      jobScheduler.reportSubscriptionService.enqueueDueRuns.mockResolvedValueOnce([41, 42]);
+
+      const result = await processor({ id: 'job-3', data: {} });
+
+      expect(result).toMatchObject({ success: true, queued: 2 });
+      expect(jobScheduler.queues.reports.add).toHaveBeenCalledWith('render-report', { runId: 41 }, expect.objectContaining({
+        attempts: 3,
+        jobId: 'report-run-41'
+      }));
+      expect(jobScheduler.queues.reports.add).toHaveBeenCalledWith('render-report', { runId: 42 }, expect.objectContaining({
+        jobId: 'report-run-42'
+      }));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { query } = require('../../config/database');
+const NotificationService = require('../../services/NotificationService');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../config/redis', () => ({
+  publish: jest.fn()
+}));
+
+jest.mock('../../services/RealtimeService', () => ({
+  publish: jest.fn()
+}));
+
+jest.mock('../../services/EmailService', () => jest.fn().mockImplementation(() => ({
+  send: jest.fn().mockResolvedValue({ sent: true })
+})));
+
+const pendingNotification = (id, overrides = {}) => ({
+  id,
+  type: 'review_requested',
+  priority: 'normal',
+  title: `Review requested ${id}`,
+  message: 'Please review the storyboard',
+  action_url: '/courses/1',
+  sent_channels: ['in_app', 'email'],
+  read_at: null,
+  emailed_at: null,
+  created_at: new Date().toISOString(),
+  ...overrides
+});
+
+// Answers the digest queries for the given users and their pending notifications
+const mockDigestData = (users, notificationsByUser) => {
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: users };
+    }
+    if (sql.includes('SELECT notification_preferences FROM users')) {
+      const user = users.find(candidate => candidate.id === params[0]);
+      return { rows: [{ notification_preferences: user?.notification_preferences ?? null }] };
+    }
+    if (sql.includes('FROM notifications n')) {
+      return { rows: notificationsByUser[params[0]] || [] };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+};
+
+const emailedIdsUpdates = () => query.mock.calls
+  .filter(([sql]) => sql.includes('SET emailed_at'))
+  .map(([, params]) => params[0]);
+
+describe('NotificationService.sendEmailDigests', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new NotificationService();
+  });
+
+  it('sends the daily digest to users with default preferences', async () => {
+    mockDigestData(
+      [
+        { id: 1, name: 'Dana', email: 'dana@example.com', notification_preferences: null },
+        { id: 2, name: 'Lee', email: 'lee@example.com', notification_preferences: {} }
+      ],
+      {
+        1: [pendingNotification(10), pendingNotification(11)],
+        2: [pendingNotification(20)]
+      }
+    );
+
+    const result = await service.sendEmailDigests('daily');
+
+    expect(result).toEqual({ sent: 2, errors: [] });
+    expect(service.emailService.send).toHaveBeenCalledTimes(2);
+    expect(service.emailService.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'dana@example.com',
+      subject: 'Your daily TrainingPulse digest'
+    }));
+    expect(emailedIdsUpdates()).toEqual([[10, 11], [20]]);
+  });
+
+  it('leaves default preference users out of the other digests', async () => {
+    mockDigestData(
+      [{ id: 1, name: 'Dana', email: 'dana@example.com', notification_preferences: null }],
+      { 1: [pendingNotification(10)] }
+    );
+
+    await expect(service.sendEmailDigests('hourly')).resolves.toEqual({ sent: 0, errors: [] });
+    await expect(service.sendEmailDigests('weekly')).resolves.toEqual({ sent: 0, errors: [] });
+    expect(service.emailService.send).not.toHaveBeenCalled();
+  });
+
+  it('skips users who turned email off or muted every pending category', async () => {
+    mockDigestData(
+      [
+        { id: 1, name: 'Dana', email: 'dana@example.com', notification_preferences: { email: false } },
+        { id: 2, name: 'Lee', email: 'lee@example.com', notification_preferences: { categories: { review_requested: false } } }
+      ],
+      {
+        1: [pendingNotification(10)],
+        2: [pendingNotification(20)]
+      }
+    );
+
+    const result = await service.sendEmailDigests('daily');
+
+    expect(result).toEqual({ sent: 0, errors: [] });
+    expect(service.emailService.send).not.toHaveBeenCalled();
+    expect(emailedIdsUpdates()).toEqual([]);
+  });
+
+  it('keeps notifications pending when the email fails', async () => {
+    mockDigestData(
+      [{ id: 1, name: 'Dana', email: 'dana@example.com', notification_preferences: null }],
+      { 1: [pendingNotification(10)] }
+    );
+    service.emailService.send.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+    const result = await service.sendEmailDigests('daily');
+
+    expect(result).toEqual({ sent: 0, errors: [{ userId: 1, error: 'SMTP unavailable' }] });
+    expect(emailedIdsUpdates()).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+const PhasePipelineService = require('../../services/PhasePipelineService');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const pipeline = [
+  { value: 'alpha_review' },
+  { value: 'beta_review' },
+  { value: 'final_revision' },
+  { value: 'final_signoff_received', isTerminal: true }
+];
+
+const earlier = new Date('2026-02-01T10:00:00Z');
+const now = new Date('2026-03-01T10:00:00Z');
+
+const dates = (...rows) => rows.map(([phase_status, finished_at = null]) => ({
+  phase_status,
+  started_at: earlier,
+  finished_at
+}));
+
+describe('PhasePipelineService', () => {
+  const service = new PhasePipelineService();
+
+  describe('planTransition', () => {
+    it('finishes the phase being left and starts the next one', () => {
+      const plan = service.planTransition(pipeline, dates(['alpha_review']), 'alpha_review', 'beta_review', now);
+
+      expect(plan).toEqual({
+        upserts: [
+          { status: 'alpha_review', startedAt: earlier, finishedAt: now },
+          { status: 'beta_review', startedAt: now, finishedAt: null }
+        ],
+        deletes: []
+      });
+    });
+
+    it('clears the phases after the new one when moving back', () => {
+      const plan = service.planTransition(
+        pipeline,
+        dates(['alpha_review', earlier], ['beta_review', earlier], ['final_revision']),
+        'final_revision',
+        'alpha_review',
+        now
+      );
+
+      expect(plan.deletes.sort()).toEqual(['beta_review', 'final_revision']);
+      expect(plan.upserts).toEqual([{ status: 'alpha_review', startedAt: now, finishedAt: null }]);
+    });
+
+    it('leaves a terminal phase open', () => {
+      const plan = service.planTransition(pipeline, dates(['final_signoff_received']), 'final_signoff_received', 'completed', now);
+
+      expect(plan).toEqual({ upserts: [], deletes: [] });
+    });
+
+    it('clears every phase for no status', () => {
+      const plan = service.planTransition(pipeline, dates(['alpha_review', earlier], ['beta_review']), 'beta_review', '', now);
+
+      expect(plan).toEqual({ upserts: [], deletes: ['alpha_review', 'beta_review'] });
+    });
+  });
+
+  describe('getLegacyColumnUpdates', () => {
+    it('ends final revision and sets the finish date when the sign-off is received', () => {
+      const plan = service.planTransition(pipeline, dates(['final_revision']), 'final_revision', 'final_signoff_received', now);
+
+      expect(service.getLegacyColumnUpdates(plan)).toEqual({
+        final_revision_end_date: now,
+        final_signoff_received_start_date: now,
+        final_signoff_received_date: now,
+        final_end_date: now,
+        finish_date: now
+      });
+    });
+
+    it('does not touch the finish date for other phases', () => {
+      const plan = service.planTransition(pipeline, dates(['beta_review']), 'beta_review', 'final_revision', now);
+
+      expect(service.getLegacyColumnUpdates(plan)).not.toHaveProperty('finish_date');
+    });
+
+    it('clears the columns of cleared phases', () => {
+      const plan = service.planTransition(
+        pipeline,
+        dates(['final_revision', earlier], ['final_signoff_received']),
+        'final_signoff_received',
+        'final_revision',
+        now
+      );
+
+      expect(service.getLegacyColumnUpdates(plan)).toMatchObject({
+        final_signoff_received_start_date: null,
+        final_signoff_received_date: null,
+        final_end_date: null,
+        final_revision_start_date: now,
+        final_revision_end_date: null
+      });
+    });
+
+    it('clears the sign-off dates when moving from final sign-off back to revision', () => {
+      const signoffPipeline = [
+        { value: 'beta_review' },
+        { value: 'final_revision' },
+        { value: 'final_signoff' },
+        { value: 'final_signoff_received', isTerminal: true }
+      ];
+
+      const entered = service.planTransition(signoffPipeline, dates(['final_revision']), 'final_revision', 'final_signoff', now);
+      expect(service.getLegacyColumnUpdates(entered)).toEqual({
+        final_revision_end_date: now,
+        final_signoff_entered_date: now,
+        final_end_date: null
+      });
+
+      const movedBack = service.planTransition(
+        signoffPipeline,
+        dates(['final_revision', earlier], ['final_signoff']),
+        'final_signoff',
+        'final_revision',
+        now
+      );
+      expect(service.getLegacyColumnUpdates(movedBack)).toEqual({
+        final_signoff_entered_date: null,
+        final_end_date: null,
+        final_revision_start_date: now,
+        final_revision_date: now,
+        final_revision_entered_date: now,
+        final_start_date: now,
+        final_revision_end_date: null
+      });
+    });
+
+    it('ends final sign-off when it moves on to revision', () => {
+      const signoffFirst = [{ value: 'final_signoff' }, { value: 'final_revision' }];
+      const plan = service.planTransition(signoffFirst, dates(['final_signoff']), 'final_signoff', 'final_revision', now);
+
+      expect(service.getLegacyColumnUpdates(plan)).toMatchObject({
+        final_end_date: now,
+        final_revision_entered_date: now
+      });
+      expect(service.getLegacyColumnUpdates(plan)).not.toHaveProperty('final_signoff_entered_date');
+    });
+  });
+});
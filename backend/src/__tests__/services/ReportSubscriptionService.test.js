@@ -0,0 +1,85 @@
+const { transaction } = require('../../config/database');
+const ReportSubscriptionService = require('../../services/ReportSubscriptionService');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../services/BottleneckAnalyzer', () => jest.fn());
+jest.mock('../../services/PerformanceAnalyzer', () => jest.fn());
+jest.mock('../../services/ResourceHeatmapService', () => jest.fn());
+jest.mock('../../services/EmailService', () => jest.fn());
+
+// Transaction client that returns the given due subscriptions and numbers the inserted runs
+const mockClient = (dueSubscriptions) => {
+  let nextRunId = 100;
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM report_subscriptions')) {
+        return { rows: dueSubscriptions };
+      }
+      if (sql.includes('INSERT INTO report_runs')) {
+        return { rows: [{ id: nextRunId++ }] };
+      }
+      return { rows: [], rowCount: 1 };
+    })
+  };
+  transaction.mockImplementation(async (callback) => callback(client));
+  return client;
+};
+
+const callsMatching = (client, text) => client.query.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('ReportSubscriptionService.enqueueDueRuns', () => {
+  const now = new Date('2026-03-02T09:00:30Z');
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ReportSubscriptionService();
+  });
+
+  it('queues a run for a due subscription and moves it to its next run', async () => {
+    const client = mockClient([{
+      id: 7,
+      cron_expression: '0 9 * * 1',
+      timezone: 'UTC',
+      active: true,
+      run_requested: false,
+      next_run_at: new Date('2026-03-02T09:00:00Z')
+    }]);
+
+    const runIds = await service.enqueueDueRuns(now);
+
+    expect(runIds).toEqual([100]);
+    expect(callsMatching(client, 'FROM report_subscriptions')[0][1]).toEqual([now]);
+    expect(callsMatching(client, 'INSERT INTO report_runs')[0][1]).toEqual([7, 'schedule']);
+    expect(callsMatching(client, 'UPDATE report_subscriptions')[0][1]).toEqual([7, new Date('2026-03-09T09:00:00Z')]);
+  });
+
+  it('queues requested runs without moving the schedule', async () => {
+    const nextRunAt = new Date('2026-03-09T09:00:00Z');
+    const client = mockClient([{
+      id: 8,
+      cron_expression: '0 9 * * 1',
+      timezone: 'UTC',
+      active: false,
+      run_requested: true,
+      next_run_at: nextRunAt
+    }]);
+
+    const runIds = await service.enqueueDueRuns(now);
+
+    expect(runIds).toEqual([100]);
+    expect(callsMatching(client, 'INSERT INTO report_runs')[0][1]).toEqual([8, 'manual']);
+    expect(callsMatching(client, 'UPDATE report_subscriptions')[0][1]).toEqual([8, nextRunAt]);
+  });
+
+  it('queues nothing when no subscription is due', async () => {
+    const client = mockClient([]);
+
+    await expect(service.enqueueDueRuns(now)).resolves.toEqual([]);
+    expect(callsMatching(client, 'INSERT INTO report_runs')).toHaveLength(0);
+  });
+});
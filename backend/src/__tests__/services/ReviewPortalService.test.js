@@ -0,0 +1,150 @@
+const { query } = require('../../config/database');
+const ReviewPortalService = require('../../services/ReviewPortalService');
+const { ConflictError, NotFoundError } = require('../../utils/errors');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../services/SubtaskService', () => jest.fn().mockImplementation(() => ({
+  updateSubtask: jest.fn(),
+  phasePipelineService: { getPipelineForCourse: jest.fn() }
+})));
+
+jest.mock('../../services/NotificationService', () => jest.fn().mockImplementation(() => ({
+  notificationTypes: { REVIEW_COMMENT: 'review_comment', REVIEW_SIGNOFF: 'review_signoff' },
+  priorityLevels: { NORMAL: 'normal', HIGH: 'high' },
+  createNotification: jest.fn()
+})));
+
+jest.mock('../../services/AttachmentService', () => jest.fn());
+jest.mock('../../services/EmailService', () => jest.fn());
+jest.mock('../../services/RealtimeService', () => ({
+  emitEntityEvent: jest.fn()
+}));
+
+const reviewer = { id: 40, name: 'Sam Reviewer' };
+
+const pipeline = [
+  { value: 'alpha_review' },
+  { value: 'beta_review' },
+  { value: 'final_revision' },
+  { value: 'final_signoff_sent' },
+  { value: 'final_signoff_received' }
+];
+
+// Database answers for a subtask of course 9 that the reviewer is assigned to
+const mockSubtask = (status) => {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM course_subtasks')) {
+      return { rows: [{ id: 5, course_id: 9, title: 'Module 1', status }] };
+    }
+    if (sql.includes('FROM external_review_assignments')) {
+      return { rows: [{ '?column?': 1 }] };
+    }
+    return { rows: [] };
+  });
+};
+
+// Transaction client handed to the onUpdate hook of updateSubtask
+const mockClient = () => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('INSERT INTO review_signoffs')) {
+      return { rows: [{ id: 3, subtask_id: 5, note: 'Looks good', signed_off_at: '2026-03-01T10:00:00Z' }] };
+    }
+    if (sql.includes('INSERT INTO comments')) {
+      return { rows: [{ id: '5b8a6c5e-2f0e-4c71-9a33-0d1d7f6f4a10' }] };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('ReviewPortalService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ReviewPortalService();
+    service.subtaskService.phasePipelineService.getPipelineForCourse.mockResolvedValue(pipeline);
+  });
+
+  describe('signOff', () => {
+    it('records the sign-off in the transaction of the status change', async () => {
+      mockSubtask('final_signoff_sent');
+      const client = mockClient();
+      service.subtaskService.updateSubtask.mockImplementation(async (subtaskId, updateData, userId, { onUpdate }) => {
+        await onUpdate(client, { id: subtaskId, status: updateData.status });
+        return { id: subtaskId, status: updateData.status };
+      });
+
+      const signoff = await service.signOff(reviewer, 5, 'Looks good');
+
+      expect(service.subtaskService.updateSubtask).toHaveBeenCalledWith(
+        5, { status: 'final_signoff_received' }, reviewer.id, { onUpdate: expect.any(Function) }
+      );
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO review_signoffs'), [5, reviewer.id, 'Looks good']);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO comments'),
+        ['9', null, 'Signed off "Module 1": Looks good', reviewer.id]
+      );
+      expect(signoff).toMatchObject({ id: 3, subtask_id: 5 });
+    });
+
+    it('rejects a sign-off before the subtask was sent for sign-off', async () => {
+      mockSubtask('beta_review');
+
+      await expect(service.signOff(reviewer, 5)).rejects.toThrow(ConflictError);
+      expect(service.subtaskService.updateSubtask).not.toHaveBeenCalled();
+    });
+
+    it('accepts the phase before sign-off when the pipeline has no sent phase', async () => {
+      mockSubtask('final_revision');
+      service.subtaskService.phasePipelineService.getPipelineForCourse.mockResolvedValue(
+        pipeline.filter(phase => phase.value !== 'final_signoff_sent')
+      );
+      service.subtaskService.updateSubtask.mockImplementation(async (subtaskId, updateData, userId, { onUpdate }) => {
+        await onUpdate(mockClient(), {});
+      });
+
+      await expect(service.signOff(reviewer, 5)).resolves.toMatchObject({ id: 3 });
+    });
+
+    it('rejects a second sign-off', async () => {
+      mockSubtask('final_signoff_received');
+
+      await expect(service.signOff(reviewer, 5)).rejects.toThrow(ConflictError);
+      expect(service.subtaskService.updateSubtask).not.toHaveBeenCalled();
+    });
+
+    it('does not record a sign-off when the status change fails', async () => {
+      mockSubtask('final_signoff_sent');
+      service.subtaskService.updateSubtask.mockRejectedValue(new Error('update failed'));
+
+      await expect(service.signOff(reviewer, 5)).rejects.toThrow('update failed');
+      expect(service.notificationService.createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addComment', () => {
+    const threadId = '5b8a6c5e-2f0e-4c71-9a33-0d1d7f6f4a10';
+
+    beforeEach(() => {
+      mockSubtask('final_signoff_sent');
+      jest.spyOn(service, 'getComments').mockResolvedValue([{ id: threadId, replies: [] }]);
+      jest.spyOn(service, 'insertComment').mockResolvedValue({ id: 'reply', parent_id: threadId });
+    });
+
+    it('replies to a review thread by its id', async () => {
+      await service.addComment(reviewer, 9, { content: 'Agreed', parentId: threadId });
+
+      expect(service.insertComment).toHaveBeenCalledWith(null, reviewer, 9, 'Agreed', threadId);
+    });
+
+    it('rejects a reply to a thread of another course', async () => {
+      await expect(service.addComment(reviewer, 9, { content: 'Agreed', parentId: 'a0000000-0000-4000-8000-000000000000' }))
+        .rejects.toThrow(NotFoundError);
+      expect(service.insertComment).not.toHaveBeenCalled();
+    });
+  });
+});
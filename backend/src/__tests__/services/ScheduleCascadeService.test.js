@@ -0,0 +1,149 @@
+const { query, transaction } = require('../../config/database');
+const ScheduleCascadeService = require('../../services/ScheduleCascadeService');
+const { ConflictError, ForbiddenError } = require('../../utils/errors');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../config/redis', () => ({
+  isTokenBlacklisted: jest.fn()
+}));
+
+jest.mock('../../services/DependencyManager', () => jest.fn().mockImplementation(() => ({
+  getImpactedCourses: jest.fn(),
+  clearGraphCache: jest.fn()
+})));
+
+jest.mock('../../services/WorkingCalendarService', () => jest.fn());
+
+const designer = { id: 7, role: 'designer' };
+const manager = { id: 2, role: 'manager' };
+
+// Course 10 moves its dependents 11 and 12 by five working days
+const cascade = {
+  course: { courseId: 10, title: 'Onboarding' },
+  workingDaysShift: 5,
+  changes: [
+    { courseId: 11, title: 'Safety', from: { startDate: '2026-03-02', dueDate: '2026-03-13' }, to: { startDate: '2026-03-09', dueDate: '2026-03-20' } },
+    { courseId: 12, title: 'Compliance', from: { startDate: null, dueDate: '2026-03-27' }, to: { startDate: null, dueDate: '2026-04-03' } }
+  ]
+};
+
+const rowsAt = (dates) => cascade.changes.map(change => ({
+  id: change.courseId,
+  start_date: change[dates].startDate,
+  due_date: change[dates].dueDate
+}));
+
+// Courses the designer is assigned to
+const mockAssignments = (courseIds) => {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM course_assignments')) {
+      return { rows: courseIds.includes(params[0]) ? [{ '?column?': 1 }] : [] };
+    }
+    return { rows: [] };
+  });
+};
+
+const mockClient = (handlers) => ({
+  query: jest.fn(async (sql) => {
+    const handler = Object.entries(handlers).find(([text]) => sql.includes(text));
+    return handler ? handler[1] : { rows: [], rowCount: 1 };
+  })
+});
+
+const courseUpdates = (client) => client.query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE courses'))
+  .map(([, params]) => params);
+
+describe('ScheduleCascadeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ScheduleCascadeService();
+  });
+
+  describe('assertCanMove', () => {
+    it('lets managers and admins move any course', async () => {
+      await expect(service.assertCanMove(cascade.changes, manager)).resolves.toBeUndefined();
+      await expect(service.assertCanMove(cascade.changes, { id: 1, role: 'admin' })).resolves.toBeUndefined();
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('lets other users move courses they are assigned to', async () => {
+      mockAssignments([11, 12]);
+
+      await expect(service.assertCanMove(cascade.changes, designer)).resolves.toBeUndefined();
+    });
+
+    it('names the courses the user is not assigned to', async () => {
+      mockAssignments([11]);
+
+      await expect(service.assertCanMove(cascade.changes, designer))
+        .rejects.toThrow(new ForbiddenError('Access denied to dependent courses: Compliance'));
+    });
+  });
+
+  describe('applyCascade', () => {
+    it('moves every dependent course and records the cascade', async () => {
+      const client = mockClient({
+        'FOR UPDATE': { rows: rowsAt('from') },
+        'INSERT INTO schedule_cascades': { rows: [{ id: 3, applied_at: '2026-03-01T10:00:00Z' }] }
+      });
+
+      const applied = await service.applyCascade(client, cascade, designer.id);
+
+      expect(applied).toMatchObject({ id: 3, workingDaysShift: 5, coursesMoved: 2 });
+      expect(courseUpdates(client)).toEqual([
+        [11, '2026-03-09', '2026-03-20', designer.id],
+        [12, null, '2026-04-03', designer.id]
+      ]);
+    });
+
+    it('refuses when a dependent course moved since the cascade was computed', async () => {
+      const rows = rowsAt('from');
+      rows[1].due_date = '2026-03-30';
+      const client = mockClient({ 'FOR UPDATE': { rows } });
+
+      await expect(service.applyCascade(client, cascade, designer.id)).rejects.toThrow(ConflictError);
+      expect(courseUpdates(client)).toEqual([]);
+    });
+  });
+
+  describe('undoCascade', () => {
+    const appliedCascade = { id: 3, course_id: 10, undone_at: null, changes: cascade.changes };
+
+    it('restores the previous dates of every course', async () => {
+      mockAssignments([11, 12]);
+      const client = mockClient({
+        'FROM schedule_cascades': { rows: [appliedCascade] },
+        'FROM courses': { rows: rowsAt('to') }
+      });
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      const result = await service.undoCascade(10, '3', designer);
+
+      expect(courseUpdates(client)).toEqual([
+        [11, '2026-03-02', '2026-03-13', designer.id],
+        [12, null, '2026-03-27', designer.id]
+      ]);
+      expect(result.restored.map(course => course.courseId)).toEqual([11, 12]);
+      expect(service.dependencyManager.clearGraphCache).toHaveBeenCalled();
+    });
+
+    it('refuses to undo when the user has no access to a course of the cascade', async () => {
+      mockAssignments([11]);
+      const client = mockClient({
+        'FROM schedule_cascades': { rows: [appliedCascade] },
+        'FROM courses': { rows: rowsAt('to') }
+      });
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      await expect(service.undoCascade(10, '3', designer)).rejects.toThrow(ForbiddenError);
+      expect(courseUpdates(client)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { query, transaction } = require('../../config/database');
+const SubtaskService = require('../../services/SubtaskService');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../services/StatusAggregator', () => jest.fn().mockImplementation(() => ({
+  updateCourseStatus: jest.fn()
+})));
+
+jest.mock('../../services/AutomationEngine', () => jest.fn().mockImplementation(() => ({
+  triggerTypes: { PHASE_CHANGE: 'phase_change' },
+  handleEvent: jest.fn()
+})));
+
+jest.mock('../../services/TimeOffService', () => jest.fn());
+
+const pipeline = [
+  { value: 'alpha_review' },
+  { value: 'beta_review' },
+  { value: 'final_revision' },
+  { value: 'final_signoff_received', isTerminal: true }
+];
+
+const finalRevisionStart = new Date('2026-02-20T09:00:00Z');
+
+// A subtask in final revision, with the reads of updateSubtask answered from the given rows
+const mockSubtaskInFinalRevision = () => {
+  const subtask = {
+    id: 5,
+    course_id: 9,
+    status: 'final_revision',
+    start_date: new Date('2026-01-10T09:00:00Z'),
+    finish_date: finalRevisionStart
+  };
+
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM course_subtasks')) {
+      return { rows: [subtask] };
+    }
+    if (sql.includes('SELECT modality FROM courses')) {
+      return { rows: [{ modality: 'elearning' }] };
+    }
+    if (sql.includes('FROM modality_phases')) {
+      return { rows: pipeline };
+    }
+    if (sql.includes('FROM subtask_phase_dates')) {
+      return { rows: [{ subtask_id: 5, phase_status: 'final_revision', started_at: finalRevisionStart, finished_at: null }] };
+    }
+    return { rows: [] };
+  });
+
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('UPDATE course_subtasks')) {
+        return { rows: [{ ...subtask, status: 'final_signoff_received' }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 1 };
+    })
+  };
+  transaction.mockImplementation(async (callback) => callback(client));
+
+  return client;
+};
+
+describe('SubtaskService.updateSubtask', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new SubtaskService();
+  });
+
+  it('completes final revision when the sign-off is received', async () => {
+    const client = mockSubtaskInFinalRevision();
+
+    await service.updateSubtask(5, { status: 'final_signoff_received' }, 2);
+
+    const [updateSql, updateValues] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE course_subtasks'));
+    const columns = updateSql.match(/SET ([\s\S]*), updated_at/)[1].split(', ').map(assignment => assignment.split(' = ')[0]);
+    const values = Object.fromEntries(columns.map((column, index) => [column, updateValues[index + 1]]));
+
+    expect(values.status).toBe('final_signoff_received');
+    expect(values.finish_date).toBeInstanceOf(Date);
+    expect(values.finish_date.getTime()).toBeGreaterThan(finalRevisionStart.getTime());
+    expect(values.final_end_date).toEqual(values.finish_date);
+    expect(values.final_revision_end_date).toEqual(values.finish_date);
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE phase_status_history'),
+      [5, 'final_revision']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO subtask_phase_dates'),
+      [5, 'final_revision', finalRevisionStart, values.finish_date]
+    );
+  });
+
+  it('runs onUpdate writes in the transaction of the update', async () => {
+    const client = mockSubtaskInFinalRevision();
+    const onUpdate = jest.fn(async (transactionClient) => {
+      await transactionClient.query('INSERT INTO review_signoffs (subtask_id) VALUES ($1)', [5]);
+    });
+
+    await service.updateSubtask(5, { status: 'final_signoff_received' }, 2, { onUpdate });
+
+    expect(onUpdate).toHaveBeenCalledWith(client, expect.objectContaining({ status: 'final_signoff_received' }));
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(service.statusAggregator.updateCourseStatus).toHaveBeenCalledWith(9, { triggeredBy: 2 });
+  });
+});
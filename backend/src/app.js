@@ -43,6 +43,20 @@ const listRoutes = require('./routes/listRoutes');
 const timeTrackingRoutes = require('./routes/timeTrackingRoutes');
 const commentsRoutes = require('./routes/commentsRoutes');
 const activityRoutes = require('./routes/activityRoutes');
+const automationRoutes = require('./routes/automationRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const timesheetRoutes = require('./routes/timesheetRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const calendarFeedRoutes = require('./routes/calendarFeedRoutes');
+const externalReviewerRoutes = require('./routes/externalReviewerRoutes');
+const reviewPortalRoutes = require('./routes/reviewPortalRoutes');
+const workingCalendarRoutes = require('./routes/workingCalendarRoutes');
+const timeOffRoutes = require('./routes/timeOffRoutes');
+const reportSubscriptionRoutes = require('./routes/reportSubscriptionRoutes');
+const realtimeService = require('./services/RealtimeService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -135,6 +149,21 @@ const authenticatedLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Sign-in endpoints, kept low to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || (process.env.NODE_ENV === 'development' ? 1000 : 10),
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many sign-in attempts from this IP'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const bulkLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
   max: parseInt(process.env.BULK_RATE_LIMIT_MAX_REQUESTS) || (process.env.NODE_ENV === 'development' ? 1000 : 10),
@@ -181,6 +210,7 @@ app.get('/health', (req, res) => {
 
 
 // API routes
+app.use(`/api/${API_VERSION}/auth/login`, authLimiter);
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/users`, authenticate, authenticatedLimiter, userRoutes);
 app.use(`/api/${API_VERSION}/teams`, authenticate, authenticatedLimiter, teamRoutes);
@@ -203,6 +233,22 @@ app.use(`/api/${API_VERSION}/lists`, authenticate, authenticatedLimiter, listRou
 app.use(`/api/${API_VERSION}/time-entries`, authenticate, authenticatedLimiter, timeTrackingRoutes);
 app.use(`/api/${API_VERSION}/comments`, authenticate, authenticatedLimiter, commentsRoutes);
 app.use(`/api/${API_VERSION}/activities`, authenticate, authenticatedLimiter, activityRoutes);
+app.use(`/api/${API_VERSION}/automation`, authenticate, authenticatedLimiter, automationRoutes);
+app.use(`/api/${API_VERSION}/custom-fields`, authenticate, authenticatedLimiter, customFieldRoutes);
+app.use(`/api/${API_VERSION}/attachments`, authenticate, authenticatedLimiter, attachmentRoutes);
+app.use(`/api/${API_VERSION}/realtime`, authenticate, authenticatedLimiter, realtimeRoutes);
+app.use(`/api/${API_VERSION}/chats`, authenticate, authenticatedLimiter, chatRoutes);
+app.use(`/api/${API_VERSION}/timesheets`, authenticate, authenticatedLimiter, timesheetRoutes);
+// The feed is mounted first, it authenticates with the token in its URL
+app.use(`/api/${API_VERSION}/calendar/feed`, calendarFeedRoutes);
+app.use(`/api/${API_VERSION}/calendar`, authenticate, authenticatedLimiter, calendarRoutes);
+app.use(`/api/${API_VERSION}/external-reviewers`, authenticate, authenticatedLimiter, externalReviewerRoutes);
+app.use(`/api/${API_VERSION}/working-calendars`, authenticate, authenticatedLimiter, workingCalendarRoutes);
+app.use(`/api/${API_VERSION}/time-off`, authenticate, authenticatedLimiter, timeOffRoutes);
+app.use(`/api/${API_VERSION}/report-subscriptions`, authenticate, authenticatedLimiter, reportSubscriptionRoutes);
+// The review portal has its own sessions for external reviewers
+app.use(['login', 'session', 'request-link'].map(route => `/api/${API_VERSION}/portal/${route}`), authLimiter);
+app.use(`/api/${API_VERSION}/portal`, authenticatedLimiter, reviewPortalRoutes);
 
 // API documentation endpoint
 app.get(`/api/${API_VERSION}`, (req, res) => {
@@ -249,9 +295,15 @@ function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   if (global.server) {
-    global.server.close(() => {
+    realtimeService.shutdown();
+    global.server.close(async () => {
       logger.info('HTTP server closed');
       
+      // Stop background job queues
+      if (global.jobScheduler) {
+        await global.jobScheduler.shutdown();
+      }
+      
       // Close database connections
       // Close Redis connections
       // Close any other resources
@@ -293,9 +345,11 @@ async function startServer() {
     }
     
     // Initialize Redis connection (optional)
+    let redisConnected = false;
     try {
       const redisClient = await connectRedis();
       if (redisClient) {
+        redisConnected = true;
         logger.info('Redis connected successfully');
       } else {
         logger.info('Redis connection skipped');
@@ -304,6 +358,19 @@ async function startServer() {
       logger.warn('Redis connection failed - running without caching:', error.message);
     }
     
+    // Background jobs (status checks, automation triggers, email digests, scheduled reports) run on Bull queues in Redis
+    if (redisConnected && process.env.NODE_ENV !== 'test') {
+      const jobScheduler = require('./services/JobScheduler');
+      await jobScheduler.initializeRecurringJobs();
+      global.jobScheduler = jobScheduler;
+      logger.info('Job scheduler started');
+    } else {
+      logger.warn('Job scheduler not started - background jobs need Redis');
+    }
+    
+    // Realtime push (SSE) uses Redis pub/sub when available
+    await realtimeService.start();
+    
     logger.info('Starting HTTP server...');
     
     // Start HTTP server
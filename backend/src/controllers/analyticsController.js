@@ -2,6 +2,8 @@ const Joi = require('joi');
 const BottleneckAnalyzer = require('../services/BottleneckAnalyzer');
 const ResourceHeatmapService = require('../services/ResourceHeatmapService');
 const PerformanceAnalyzer = require('../services/PerformanceAnalyzer');
+const EstimateService = require('../services/EstimateService');
+const WorkloadRebalancingService = require('../services/WorkloadRebalancingService');
 const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -46,11 +48,65 @@ const performanceAnalysisSchema = Joi.object({
   includeCompleted: Joi.boolean().default(true)
 });
 
+const estimateVarianceSchema = Joi.object({
+  period: Joi.string().valid('7d', '30d', '90d', '6m', '1y').optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  teamId: Joi.number().integer().positive().optional(),
+  courseType: Joi.string().valid('instructor_led', 'elearning', 'blended', 'microlearning', 'certification').optional(),
+  modality: Joi.string().max(50).optional(),
+  completedOnly: Joi.boolean().default(true)
+});
+
+const phaseCycleTimeSchema = Joi.object({
+  period: Joi.string().valid('7d', '30d', '90d', '6m', '1y').optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  groupBy: Joi.string().valid('modality', 'reviewer', 'program', 'month').default('modality'),
+  teamId: Joi.number().integer().positive().optional(),
+  modality: Joi.string().max(50).optional(),
+  programId: Joi.string().uuid().optional()
+});
+
+const rebalancingSchema = Joi.object({
+  teamId: Joi.number().integer().positive().optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate'))
+  }).optional(),
+  threshold: Joi.number().min(50).max(150).default(85)
+});
+
+const applyRebalancingSchema = Joi.object({
+  suggestions: Joi.array().items(Joi.object({
+    type: Joi.string().valid('subtask', 'course').required(),
+    courseId: Joi.number().integer().positive().required(),
+    subtaskId: Joi.when('type', {
+      is: 'subtask',
+      then: Joi.number().integer().positive().required(),
+      otherwise: Joi.any().strip()
+    }),
+    role: Joi.when('type', {
+      is: 'course',
+      then: Joi.string().valid('designer', 'reviewer', 'sme').required(),
+      otherwise: Joi.any().strip()
+    }),
+    fromUserId: Joi.number().integer().positive().required(),
+    toUserId: Joi.number().integer().positive().invalid(Joi.ref('fromUserId')).required()
+  })).min(1).max(50).required()
+});
+
+// Longest range the optimizer looks at, it reads the heatmap week by week
+const MAX_REBALANCING_DAYS = 182;
+
 class AnalyticsController {
   constructor() {
     this.bottleneckAnalyzer = new BottleneckAnalyzer();
     this.resourceHeatmapService = new ResourceHeatmapService();
     this.performanceAnalyzer = new PerformanceAnalyzer();
+    this.estimateService = new EstimateService();
+    this.workloadRebalancingService = new WorkloadRebalancingService();
   }
 
   /**
@@ -211,6 +267,167 @@ class AnalyticsController {
     });
   });
 
+  /**
+   * GET /analytics/estimates - Estimate-vs-actual variance per course, modality and designer
+   */
+  getEstimateVariance = asyncHandler(async (req, res) => {
+    const { error, value } = estimateVarianceSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid estimate analysis parameters', error.details);
+    }
+
+    const { period, teamId, courseType, modality, completedOnly } = value;
+    let { startDate, endDate } = value;
+
+    if (period) {
+      ({ startDate, endDate } = this.performanceAnalyzer.calculateDateRange(period));
+    }
+
+    // Role-based filtering
+    let finalTeamId = teamId;
+    if (req.user.role === 'manager' && !teamId) {
+      finalTeamId = req.user.team_id;
+    } else if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      finalTeamId = req.user.team_id;
+    }
+
+    const report = await this.estimateService.getVarianceReport({
+      startDate,
+      endDate,
+      teamId: finalTeamId,
+      courseType,
+      modality,
+      completedOnly
+    });
+
+    logger.info('Estimate variance analysis completed', {
+      period,
+      teamId: finalTeamId,
+      userId: req.user.id,
+      estimatedTasks: report.summary.tasks
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+
+  /**
+   * GET /analytics/phase-cycle-times - Time spent in each phase by modality, reviewer, program or month
+   */
+  getPhaseCycleTimes = asyncHandler(async (req, res) => {
+    const { error, value } = phaseCycleTimeSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid phase cycle time parameters', error.details);
+    }
+
+    const { groupBy, teamId, modality, programId } = value;
+    let { period, startDate, endDate } = value;
+
+    if (period || !startDate || !endDate) {
+      ({ startDate, endDate } = this.performanceAnalyzer.calculateDateRange(period || '90d'));
+    } else {
+      startDate = startDate.toISOString().split('T')[0];
+      endDate = endDate.toISOString().split('T')[0];
+    }
+
+    // Role-based filtering
+    let finalTeamId = teamId;
+    if (req.user.role === 'manager' && !teamId) {
+      finalTeamId = req.user.team_id;
+    } else if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      finalTeamId = req.user.team_id;
+    }
+
+    const report = await this.performanceAnalyzer.getPhaseCycleTimes({
+      startDate,
+      endDate,
+      groupBy,
+      teamId: finalTeamId,
+      modality,
+      programId
+    });
+
+    logger.info('Phase cycle time analysis completed', {
+      startDate,
+      endDate,
+      groupBy,
+      teamId: finalTeamId,
+      userId: req.user.id,
+      sampleSize: report.metadata.sampleSize
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+
+  /**
+   * GET /analytics/workload/rebalance - Suggested reassignments that bring a team under a utilization threshold
+   */
+  getRebalancingSuggestions = asyncHandler(async (req, res) => {
+    const { error, value } = rebalancingSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid rebalancing parameters', error.details);
+    }
+
+    // Managers rebalance their own team
+    const teamId = req.user.role === 'admin' ? value.teamId || req.user.team_id : req.user.team_id;
+    if (!teamId) {
+      throw new ValidationError('A team is required', [{ path: ['teamId'], message: 'Choose a team to rebalance' }]);
+    }
+
+    const startDate = value.startDate || new Date();
+    const endDate = value.endDate || new Date(startDate.getTime() + 27 * 24 * 60 * 60 * 1000);
+    if (endDate - startDate > MAX_REBALANCING_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ValidationError('Invalid rebalancing parameters', [{ path: ['endDate'], message: `The range can be at most ${MAX_REBALANCING_DAYS} days` }]);
+    }
+
+    const proposal = await this.workloadRebalancingService.proposeRebalancing({
+      teamId,
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0],
+      threshold: value.threshold
+    });
+
+    logger.info('Workload rebalancing proposed', {
+      teamId,
+      userId: req.user.id,
+      suggestions: proposal.suggestions.length,
+      overloadedBefore: proposal.summary.overloadedBefore,
+      overloadedAfter: proposal.summary.overloadedAfter
+    });
+
+    res.json({
+      success: true,
+      data: proposal
+    });
+  });
+
+  /**
+   * POST /analytics/workload/rebalance/apply - Apply accepted reassignments in one transaction
+   */
+  applyRebalancing = asyncHandler(async (req, res) => {
+    const { error, value } = applyRebalancingSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      throw new ValidationError('Invalid rebalancing suggestions', error.details);
+    }
+
+    const result = await this.workloadRebalancingService.applyRebalancing(req.user, value.suggestions);
+
+    logger.info('Workload rebalancing applied', {
+      userId: req.user.id,
+      applied: result.applied
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
   /**
    * GET /analytics/impact/:courseId - Analyze schedule change impact
    */
@@ -0,0 +1,128 @@
+const { AppError } = require('../utils/errors');
+const AttachmentService = require('../services/AttachmentService');
+const logger = require('../utils/logger');
+
+const attachmentService = new AttachmentService();
+
+class AttachmentController {
+  // List attachments of an entity
+  async getAttachments(req, res) {
+    try {
+      const attachments = await attachmentService.listForEntity(req.entityType, req.params.id);
+
+      res.json({
+        success: true,
+        data: attachments
+      });
+    } catch (error) {
+      logger.error('Error fetching attachments:', error);
+      throw error;
+    }
+  }
+
+  // Upload an attachment to an entity, optionally as a new version of an existing file
+  async uploadAttachment(req, res) {
+    try {
+      const { versionOf, subtaskId, courseDeliverableId } = req.body;
+
+      const attachment = await attachmentService.createAttachment({
+        entityType: req.entityType,
+        entityId: req.params.id,
+        file: req.file,
+        userId: req.user.id,
+        versionOf,
+        subtaskId: subtaskId ? parseInt(subtaskId) : null,
+        courseDeliverableId: courseDeliverableId ? parseInt(courseDeliverableId) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        data: attachment
+      });
+    } catch (error) {
+      logger.error('Error uploading attachment:', error);
+      throw error;
+    }
+  }
+
+  // Stream attachment content
+  async downloadAttachment(req, res) {
+    try {
+      const { attachment, stream } = await attachmentService.openDownload(req.params.id);
+
+      res.setHeader('Content-Type', attachment.mime_type || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+      if (attachment.file_size) {
+        res.setHeader('Content-Length', attachment.file_size);
+      }
+
+      stream.on('error', (error) => {
+        logger.error('Error streaming attachment:', error);
+        res.destroy(error);
+      });
+
+      stream.pipe(res);
+    } catch (error) {
+      logger.error('Error downloading attachment:', error);
+      throw error;
+    }
+  }
+
+  // Version history of an attachment
+  async getVersions(req, res) {
+    try {
+      const versions = await attachmentService.getVersionHistory(req.params.id);
+
+      res.json({
+        success: true,
+        data: versions
+      });
+    } catch (error) {
+      logger.error('Error fetching attachment versions:', error);
+      throw error;
+    }
+  }
+
+  // Make an earlier version the current one
+  async restoreVersion(req, res) {
+    try {
+      const attachment = await attachmentService.restoreVersion(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        data: attachment,
+        message: `Version ${attachment.version_number} restored as current`
+      });
+    } catch (error) {
+      logger.error('Error restoring attachment version:', error);
+      throw error;
+    }
+  }
+
+  // Delete attachment (uploader, managers and admins)
+  async deleteAttachment(req, res) {
+    try {
+      const { id } = req.params;
+      const attachment = await attachmentService.getAttachment(id);
+
+      const canDelete = attachment.created_by === req.user.id ||
+        ['admin', 'manager'].includes(req.user.role);
+
+      if (!canDelete) {
+        throw new AppError('You can only delete your own attachments', 403);
+      }
+
+      await attachmentService.deleteAttachment(id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting attachment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AttachmentController();
@@ -0,0 +1,301 @@
+const { query } = require('../config/database');
+const { AppError, ValidationError } = require('../utils/errors');
+const AutomationEngine = require('../services/AutomationEngine');
+const logger = require('../utils/logger');
+
+const automationEngine = new AutomationEngine();
+
+// Validate rule definition with the engine and check priorities against the priorities table
+const validateRule = async ({ triggerType, triggerConditions, actions }) => {
+  const details = automationEngine.validateRuleDefinition({ triggerType, triggerConditions, actions });
+
+  const priorityActions = (actions || [])
+    .map((action, index) => ({ action, index }))
+    .filter(({ action }) => action.type === automationEngine.actionTypes.SET_PRIORITY && action.priority);
+
+  if (priorityActions.length > 0) {
+    const { getValidPriorityValues } = require('./priorityController');
+    const validPriorities = await getValidPriorityValues();
+
+    priorityActions.forEach(({ action, index }) => {
+      if (!validPriorities.includes(action.priority)) {
+        details.push({
+          path: ['actions', index, 'priority'],
+          message: `Priority must be one of: ${validPriorities.join(', ')}`
+        });
+      }
+    });
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError('Invalid automation rule', details);
+  }
+};
+
+const getRuleOrFail = async (id) => {
+  const result = await query('SELECT * FROM automation_rules WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Automation rule not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+class AutomationController {
+  // Get automation rules, optionally filtered by program
+  async getRules(req, res) {
+    try {
+      const { programId, triggerType } = req.query;
+
+      const conditions = [];
+      const params = [];
+
+      if (programId) {
+        params.push(programId);
+        conditions.push(`(ar.program_id = $${params.length} OR ar.program_id IS NULL)`);
+      }
+
+      if (triggerType) {
+        params.push(triggerType);
+        conditions.push(`ar.trigger_type = $${params.length}`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await query(`
+        SELECT
+          ar.*,
+          p.name as program_name,
+          u.name as created_by_name,
+          (SELECT COUNT(*) FROM automation_logs al WHERE al.rule_id = ar.id) as execution_count
+        FROM automation_rules ar
+        LEFT JOIN programs p ON ar.program_id = p.id
+        LEFT JOIN users u ON ar.created_by = u.id
+        ${whereClause}
+        ORDER BY ar.created_at DESC
+      `, params);
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Error fetching automation rules:', error);
+      throw error;
+    }
+  }
+
+  // Get single automation rule
+  async getRule(req, res) {
+    try {
+      const rule = await getRuleOrFail(req.params.id);
+
+      res.json({
+        success: true,
+        data: rule
+      });
+    } catch (error) {
+      logger.error('Error fetching automation rule:', error);
+      throw error;
+    }
+  }
+
+  // Create automation rule
+  async createRule(req, res) {
+    try {
+      const {
+        name,
+        description,
+        programId = null,
+        triggerType,
+        triggerConditions = {},
+        actions,
+        isActive = true
+      } = req.body;
+      const userId = req.user.id;
+
+      await validateRule({ triggerType, triggerConditions, actions });
+
+      const result = await query(`
+        INSERT INTO automation_rules (
+          program_id, name, description, trigger_type, trigger_conditions,
+          actions, is_active, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+        RETURNING *
+      `, [
+        programId,
+        name,
+        description || null,
+        triggerType,
+        JSON.stringify(triggerConditions),
+        JSON.stringify(actions),
+        isActive,
+        userId
+      ]);
+
+      logger.info(`Automation rule created: ${result.rows[0].id} by user ${userId}`);
+
+      res.status(201).json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      logger.error('Error creating automation rule:', error);
+      throw error;
+    }
+  }
+
+  // Update automation rule
+  async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const existing = await getRuleOrFail(id);
+
+      const triggerType = req.body.triggerType ?? existing.trigger_type;
+      const triggerConditions = req.body.triggerConditions ?? existing.trigger_conditions;
+      const actions = req.body.actions ?? existing.actions;
+
+      await validateRule({ triggerType, triggerConditions, actions });
+
+      const result = await query(`
+        UPDATE automation_rules
+        SET name = COALESCE($1, name),
+            description = COALESCE($2, description),
+            program_id = CASE WHEN $3::boolean THEN $4::uuid ELSE program_id END,
+            trigger_type = $5,
+            trigger_conditions = $6,
+            actions = $7,
+            is_active = COALESCE($8, is_active),
+            updated_by = $9
+        WHERE id = $10
+        RETURNING *
+      `, [
+        req.body.name,
+        req.body.description,
+        req.body.programId !== undefined,
+        req.body.programId || null,
+        triggerType,
+        JSON.stringify(triggerConditions),
+        JSON.stringify(actions),
+        req.body.isActive,
+        userId,
+        id
+      ]);
+
+      logger.info(`Automation rule updated: ${id} by user ${userId}`);
+
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      logger.error('Error updating automation rule:', error);
+      throw error;
+    }
+  }
+
+  // Enable or disable automation rule
+  async toggleRule(req, res) {
+    try {
+      const { id } = req.params;
+      const { isActive } = req.body;
+      const userId = req.user.id;
+
+      await getRuleOrFail(id);
+
+      const result = await query(`
+        UPDATE automation_rules
+        SET is_active = $1, updated_by = $2
+        WHERE id = $3
+        RETURNING *
+      `, [isActive, userId, id]);
+
+      logger.info(`Automation rule ${id} ${isActive ? 'enabled' : 'disabled'} by user ${userId}`);
+
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      logger.error('Error toggling automation rule:', error);
+      throw error;
+    }
+  }
+
+  // Delete automation rule (logs are removed by cascade)
+  async deleteRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      await getRuleOrFail(id);
+      await query('DELETE FROM automation_rules WHERE id = $1', [id]);
+
+      logger.info(`Automation rule deleted: ${id} by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Automation rule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting automation rule:', error);
+      throw error;
+    }
+  }
+
+  // Evaluate a rule against a course/subtask without executing its actions
+  async dryRunRule(req, res) {
+    try {
+      const rule = await getRuleOrFail(req.params.id);
+      const { courseId, subtaskId, fromStatus, toStatus, field } = req.body;
+
+      const result = await automationEngine.dryRun(rule, {
+        courseId,
+        subtaskId,
+        fromStatus,
+        toStatus,
+        field,
+        triggeredBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error running automation rule dry run:', error);
+      throw error;
+    }
+  }
+
+  // Get execution history for a rule
+  async getRuleLogs(req, res) {
+    try {
+      const { ruleId } = req.params;
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      await getRuleOrFail(ruleId);
+
+      const result = await query(`
+        SELECT al.*, u.name as triggered_by_name
+        FROM automation_logs al
+        LEFT JOIN users u ON al.triggered_by = u.id
+        WHERE al.rule_id = $1
+        ORDER BY al.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [ruleId, limit, offset]);
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Error fetching automation logs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AutomationController();
@@ -0,0 +1,103 @@
+const CalendarService = require('../services/CalendarService');
+const logger = require('../utils/logger');
+
+const calendarService = new CalendarService();
+
+class CalendarController {
+  // Course, phase and gold dates overlapping a date range
+  async getEvents(req, res) {
+    try {
+      const data = await calendarService.getEvents({
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        userId: req.query.mine === 'true' ? req.user.id : (req.query.userId ? parseInt(req.query.userId) : null),
+        teamId: req.query.teamId ? parseInt(req.query.teamId) : null,
+        programId: req.query.programId || null,
+        types: req.query.types ? req.query.types.split(',') : null
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching calendar events:', error);
+      throw error;
+    }
+  }
+
+  // Whether the current user has a calendar feed
+  async getFeedStatus(req, res) {
+    try {
+      const data = await calendarService.getFeedStatus(req.user.id);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching calendar feed:', error);
+      throw error;
+    }
+  }
+
+  // Generate a new feed token for the current user, the previous feed URL stops working
+  async regenerateFeedToken(req, res) {
+    try {
+      const data = await calendarService.regenerateFeedToken(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data,
+        message: 'Calendar feed URL generated'
+      });
+    } catch (error) {
+      logger.error('Error generating calendar feed token:', error);
+      throw error;
+    }
+  }
+
+  // Turn off the current user's calendar feed
+  async revokeFeedToken(req, res) {
+    try {
+      await calendarService.revokeFeedToken(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Calendar feed URL revoked'
+      });
+    } catch (error) {
+      logger.error('Error revoking calendar feed token:', error);
+      throw error;
+    }
+  }
+
+  // iCalendar feed for calendar clients, authenticated by the token in the URL
+  async getFeed(req, res) {
+    try {
+      const ics = await calendarService.getFeed(req.params.token);
+
+      if (!ics) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Calendar feed not found'
+          }
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="trainingpulse.ics"',
+        'Cache-Control': 'private, max-age=900'
+      });
+      res.send(ics);
+    } catch (error) {
+      logger.error('Error building calendar feed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CalendarController();
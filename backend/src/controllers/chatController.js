@@ -0,0 +1,239 @@
+const ChatService = require('../services/ChatService');
+const logger = require('../utils/logger');
+
+const chatService = new ChatService();
+
+class ChatController {
+  // Get chats of the current user
+  async getChats(req, res) {
+    try {
+      const data = await chatService.listChats(req.user, {
+        includeArchived: req.query.includeArchived === 'true'
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching chats:', error);
+      throw error;
+    }
+  }
+
+  // Users that can be added to a chat
+  async searchUsers(req, res) {
+    try {
+      const { search, limit } = req.query;
+      const data = await chatService.searchUsers(req.user, { search: search || '', limit });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error searching chat users:', error);
+      throw error;
+    }
+  }
+
+  // Get a single chat
+  async getChat(req, res) {
+    try {
+      const data = await chatService.getChat(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching chat:', error);
+      throw error;
+    }
+  }
+
+  // Create a direct chat, group chat or channel
+  async createChat(req, res) {
+    try {
+      const { type, name, description, participantIds } = req.body;
+      const data = await chatService.createChat(req.user, { type, name, description, participantIds });
+
+      res.status(201).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error creating chat:', error);
+      throw error;
+    }
+  }
+
+  // Open (and join) the channel of a team
+  async openTeamChannel(req, res) {
+    try {
+      const data = await chatService.openTeamChannel(parseInt(req.params.teamId), req.user);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error opening team channel:', error);
+      throw error;
+    }
+  }
+
+  // Open (and join) the channel of a course
+  async openCourseChannel(req, res) {
+    try {
+      const data = await chatService.openCourseChannel(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error opening course channel:', error);
+      throw error;
+    }
+  }
+
+  // Update chat details or the user's mute/pin/archive settings
+  async updateChat(req, res) {
+    try {
+      const { name, description, is_muted, is_pinned, is_archived } = req.body;
+      const data = await chatService.updateChat(parseInt(req.params.id), req.user, {
+        name,
+        description,
+        is_muted,
+        is_pinned,
+        is_archived
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error updating chat:', error);
+      throw error;
+    }
+  }
+
+  // Add participants to a chat
+  async addParticipants(req, res) {
+    try {
+      const data = await chatService.addParticipants(parseInt(req.params.id), req.user, req.body.userIds);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error adding chat participants:', error);
+      throw error;
+    }
+  }
+
+  // Leave a chat or remove a participant
+  async removeParticipant(req, res) {
+    try {
+      await chatService.removeParticipant(parseInt(req.params.id), req.user, parseInt(req.params.userId));
+
+      res.json({
+        success: true,
+        message: 'Participant removed'
+      });
+    } catch (error) {
+      logger.error('Error removing chat participant:', error);
+      throw error;
+    }
+  }
+
+  // Get messages of a chat (before = message id for older pages)
+  async getMessages(req, res) {
+    try {
+      const { before, limit } = req.query;
+      const data = await chatService.getMessages(parseInt(req.params.id), req.user, {
+        before: before ? parseInt(before) : null,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching chat messages:', error);
+      throw error;
+    }
+  }
+
+  // Send a message
+  async sendMessage(req, res) {
+    try {
+      const { content, type, replyToId, attachments } = req.body;
+      const data = await chatService.sendMessage(parseInt(req.params.id), req.user, {
+        content,
+        type,
+        replyToId,
+        attachments
+      });
+
+      res.status(201).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error sending chat message:', error);
+      throw error;
+    }
+  }
+
+  // Mark a chat as read
+  async markAsRead(req, res) {
+    try {
+      const data = await chatService.markAsRead(parseInt(req.params.id), req.user, req.body.messageId || null);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error marking chat as read:', error);
+      throw error;
+    }
+  }
+
+  // Edit a message
+  async updateMessage(req, res) {
+    try {
+      const data = await chatService.updateMessage(parseInt(req.params.id), req.user, req.body.content);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error updating chat message:', error);
+      throw error;
+    }
+  }
+
+  // Delete a message
+  async deleteMessage(req, res) {
+    try {
+      await chatService.deleteMessage(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        message: 'Message deleted'
+      });
+    } catch (error) {
+      logger.error('Error deleting chat message:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChatController();
@@ -1,7 +1,26 @@
 const { query, transaction } = require('../config/database');
 const { AppError } = require('../utils/errors');
+const AttachmentService = require('../services/AttachmentService');
+const MentionService = require('../services/MentionService');
+const realtimeService = require('../services/RealtimeService');
+const { hasResourceAccess } = require('../middleware/authenticate');
 const logger = require('../utils/logger');
 
+const attachmentService = new AttachmentService();
+const mentionService = new MentionService();
+
+// Link uploaded attachment ids to a comment and store them in comments.attachments
+const attachToComment = async (client, comment, attachments, userId) => {
+  const attachmentIds = await attachmentService.linkToComment(client, comment.id, attachments, userId);
+
+  const result = await client.query(
+    'UPDATE comments SET attachments = $1 WHERE id = $2 RETURNING *',
+    [JSON.stringify(attachmentIds), comment.id]
+  );
+
+  return result.rows[0];
+};
+
 class CommentsController {
   // Get comments for an entity
   async getCommentsByEntity(req, res) {
@@ -53,9 +72,20 @@ class CommentsController {
       `;
       const countResult = await query(countSql, [entityType, entityId]);
       
+      // Expand attachment ids into file details
+      const attachmentIds = result.rows
+        .flatMap(comment => comment.attachments || [])
+        .filter(id => typeof id === 'string');
+      const attachmentSummaries = await attachmentService.getSummaries(attachmentIds);
+      
       res.json({
         success: true,
-        data: result.rows,
+        data: result.rows.map(comment => ({
+          ...comment,
+          attachments: (comment.attachments || [])
+            .map(id => attachmentSummaries[id])
+            .filter(Boolean)
+        })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -82,6 +112,14 @@ class CommentsController {
       } = req.body;
       const user_id = req.user.id;
       
+      const mentionedUsers = await mentionService.resolveMentions({
+        entityType: entity_type,
+        entityId: entity_id,
+        content,
+        mentionIds: mentions
+      });
+      const mentionedIds = mentionedUsers.map(user => user.id);
+      
       const result = await transaction(async (client) => {
         // Create comment
         const commentSql = `
@@ -95,10 +133,10 @@ class CommentsController {
         
         const commentResult = await client.query(commentSql, [
           entity_type, entity_id, parent_id, content,
-          JSON.stringify(mentions), JSON.stringify(attachments), user_id
+          JSON.stringify(mentionedIds), '[]', user_id
         ]);
         
-        const comment = commentResult.rows[0];
+        const comment = await attachToComment(client, commentResult.rows[0], attachments, user_id);
         
         // Log activity
         const activitySql = `
@@ -114,18 +152,24 @@ class CommentsController {
           user_id
         ]);
         
-        // TODO: Send notifications to mentioned users
-        
         return comment;
       });
       
+      await mentionService.notifyMentionedUsers(result, mentionedIds, req.user);
+      await realtimeService.emitEntityEvent(entity_type, entity_id, 'comment_created', {
+        entityType: entity_type,
+        entityId: entity_id,
+        commentId: result.id,
+        authorId: user_id
+      });
+      
       res.status(201).json({
         success: true,
         data: result
       });
     } catch (error) {
       logger.error('Error creating comment:', error);
-      throw new AppError('Failed to create comment', 500);
+      throw error.isOperational ? error : new AppError('Failed to create comment', 500);
     }
   }
   
@@ -133,12 +177,12 @@ class CommentsController {
   async updateComment(req, res) {
     try {
       const { id } = req.params;
-      const { content, mentions = [], attachments = [] } = req.body;
+      const { content, mentions = [], attachments } = req.body;
       const user_id = req.user.id;
       
       // Verify ownership
       const ownerCheck = await query(
-        'SELECT created_by FROM comments WHERE id = $1 AND is_deleted = false',
+        'SELECT created_by, entity_type, entity_id, mentions FROM comments WHERE id = $1 AND is_deleted = false',
         [id]
       );
       
@@ -146,28 +190,54 @@ class CommentsController {
         throw new AppError('Comment not found', 404);
       }
       
-      if (ownerCheck.rows[0].created_by !== user_id) {
+      const existing = ownerCheck.rows[0];
+      
+      if (existing.created_by !== user_id) {
         throw new AppError('You can only edit your own comments', 403);
       }
       
+      const mentionedUsers = await mentionService.resolveMentions({
+        entityType: existing.entity_type,
+        entityId: existing.entity_id,
+        content,
+        mentionIds: mentions
+      });
+      const mentionedIds = mentionedUsers.map(user => user.id);
+      
       const sql = `
         UPDATE comments 
-        SET content = $1, mentions = $2, attachments = $3, 
+        SET content = $1, mentions = $2, 
             is_edited = true, edited_at = CURRENT_TIMESTAMP
-        WHERE id = $4
+        WHERE id = $3
         RETURNING *
       `;
       
-      const result = await query(sql, [
-        content,
-        JSON.stringify(mentions),
-        JSON.stringify(attachments),
-        id
-      ]);
+      const comment = await transaction(async (client) => {
+        const result = await client.query(sql, [
+          content,
+          JSON.stringify(mentionedIds),
+          id
+        ]);
+        
+        // Attachments are only replaced when provided
+        if (attachments === undefined) {
+          return result.rows[0];
+        }
+        
+        return attachToComment(client, result.rows[0], attachments, user_id);
+      });
+      
+      // Only users added by the edit are notified
+      const previousMentions = new Set((existing.mentions || []).map(userId => parseInt(userId)));
+      await mentionService.notifyMentionedUsers(
+        comment,
+        mentionedIds.filter(userId => !previousMentions.has(userId)),
+        req.user
+      );
       
       res.json({
         success: true,
-        data: result.rows[0]
+        data: comment
       });
     } catch (error) {
       logger.error('Error updating comment:', error);
@@ -211,6 +281,32 @@ class CommentsController {
     }
   }
   
+  // Users that can be mentioned on an entity (mention autocomplete)
+  async getMentionableUsers(req, res) {
+    try {
+      const { entityType, entityId } = req.params;
+      const { search = '', limit = 10 } = req.query;
+      
+      if (req.user.role !== 'admin' &&
+          !(await hasResourceAccess(entityType === 'task' ? 'subtask' : entityType, entityId, req.user))) {
+        throw new AppError('You do not have access to this resource', 403);
+      }
+      
+      const users = await mentionService.getMentionableUsers(entityType, entityId, {
+        search: search.trim(),
+        limit: parseInt(limit)
+      });
+      
+      res.json({
+        success: true,
+        data: users
+      });
+    } catch (error) {
+      logger.error('Error fetching mentionable users:', error);
+      throw error;
+    }
+  }
+  
   // Reply to comment
   async replyToComment(req, res) {
     try {
@@ -230,6 +326,14 @@ class CommentsController {
       
       const parent = parentResult.rows[0];
       
+      const mentionedUsers = await mentionService.resolveMentions({
+        entityType: parent.entity_type,
+        entityId: parent.entity_id,
+        content,
+        mentionIds: mentions
+      });
+      const mentionedIds = mentionedUsers.map(user => user.id);
+      
       const result = await transaction(async (client) => {
         // Create reply
         const commentSql = `
@@ -243,10 +347,10 @@ class CommentsController {
         
         const commentResult = await client.query(commentSql, [
           parent.entity_type, parent.entity_id, parentId, content,
-          JSON.stringify(mentions), JSON.stringify(attachments), user_id
+          JSON.stringify(mentionedIds), '[]', user_id
         ]);
         
-        const comment = commentResult.rows[0];
+        const comment = await attachToComment(client, commentResult.rows[0], attachments, user_id);
         
         // Log activity
         const activitySql = `
@@ -269,6 +373,15 @@ class CommentsController {
         return comment;
       });
       
+      await mentionService.notifyMentionedUsers(result, mentionedIds, req.user);
+      await realtimeService.emitEntityEvent(parent.entity_type, parent.entity_id, 'comment_created', {
+        entityType: parent.entity_type,
+        entityId: parent.entity_id,
+        commentId: result.id,
+        parentId,
+        authorId: user_id
+      });
+      
       res.status(201).json({
         success: true,
         data: result
@@ -3,7 +3,17 @@ const { query, transaction, buildWhereClause, buildPaginationClause, buildOrderC
 const StatusAggregator = require('../services/StatusAggregator');
 const SubtaskService = require('../services/SubtaskService');
 const NotificationService = require('../services/NotificationService');
+const DependencyManager = require('../services/DependencyManager');
+const CustomFieldService = require('../services/CustomFieldService');
+const AttachmentService = require('../services/AttachmentService');
+const EstimateService = require('../services/EstimateService');
+const EffortPredictionService = require('../services/EffortPredictionService');
+const AssigneeRecommendationService = require('../services/AssigneeRecommendationService');
+const TimelineService = require('../services/TimelineService');
+const ScheduleCascadeService = require('../services/ScheduleCascadeService');
+const BoardService = require('../services/BoardService');
 const { asyncHandler, ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { hasResourceAccess } = require('../middleware/authenticate');
 const logger = require('../utils/logger');
 
 // Create dynamic validation schemas with valid priorities
@@ -64,7 +74,8 @@ const createCourseSchema = Joi.object({
       userId: Joi.number().integer().positive().required(),
       role: Joi.string().valid('owner', 'designer', 'reviewer', 'approver', 'sme').required()
     })
-  ).optional()
+  ).optional(),
+  customFields: Joi.object().optional() // Validated against the program's field definitions
 });
 
 const updateCourseSchema = Joi.object({
@@ -77,11 +88,24 @@ const updateCourseSchema = Joi.object({
   ownerId: Joi.number().integer().positive().optional(),
   startDate: Joi.date().optional(),
   dueDate: Joi.date().optional(),
+  cascade: Joi.string().valid('preview', 'apply').optional(), // Move dependent courses along with the due date
   estimatedHours: Joi.number().integer().min(1).max(1000).optional(),
   estimatedDailyHours: Joi.number().precision(2).min(0.5).max(16).optional(),
   workflowTemplateId: Joi.number().integer().positive().optional(),
   metadata: Joi.object().max(20).optional(),
-  listId: Joi.string().uuid().optional()
+  listId: Joi.string().uuid().optional(),
+  customFields: Joi.object().optional() // Validated against the program's field definitions
+});
+
+const addDependencySchema = Joi.object({
+  dependsOnCourseId: Joi.number().integer().positive().required(),
+  dependencyType: Joi.string().max(50).default('blocks')
+});
+
+const dependencyGraphSchema = Joi.object({
+  includeUpstream: Joi.boolean().default(true),
+  includeDownstream: Joi.boolean().default(true),
+  maxDepth: Joi.number().integer().min(1).max(10).default(10)
 });
 
 // Dynamic subtask schema that will be updated with valid phase statuses
@@ -105,15 +129,78 @@ const updateSubtaskSchema = (validStatuses = ['', 'pending', 'in_progress', 'com
     weight: Joi.number().integer().min(1).max(100).optional(),
     orderIndex: Joi.number().integer().min(1).optional(),
     assignedUserId: Joi.number().integer().positive().optional(),
-    assignedUserIds: Joi.array().items(Joi.number().integer().positive()).optional()
+    assignedUserIds: Joi.array().items(Joi.number().integer().positive()).optional(),
+    requiredSkills: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20).optional()
   });
 };
 
+const timelineSchema = Joi.object({
+  programId: Joi.string().uuid().optional(),
+  listId: Joi.string().uuid().optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  includeCompleted: Joi.boolean().default(true),
+  includePhases: Joi.boolean().default(true)
+});
+
+const boardSchema = Joi.object({
+  programId: Joi.string().uuid().optional(),
+  listId: Joi.string().uuid().optional(),
+  courseId: Joi.number().integer().positive().optional(),
+  assigneeId: Joi.number().integer().positive().optional(),
+  mine: Joi.boolean().default(false),
+  search: Joi.string().max(100).optional().allow(''),
+  includeCompletedCourses: Joi.boolean().default(false)
+});
+
+const scheduleImpactSchema = Joi.object({
+  newDueDate: Joi.date().required(),
+  propagationType: Joi.string().valid('push', 'compress').default('push'),
+  maxDepth: Joi.number().integer().min(1).max(10).default(10)
+});
+
+const estimateSchema = Joi.object({
+  estimated_hours: Joi.number().min(0).max(10000).precision(2).required(),
+  confidence_level: Joi.string().valid('high', 'medium', 'low').allow(null).optional(),
+  notes: Joi.string().max(2000).allow('', null).optional()
+});
+
+const effortPredictionSchema = Joi.object({
+  modality: Joi.string().valid('WBT', 'ILT/VLT', 'Micro Learning', 'SIMS', 'DAP').required(),
+  deliverables: Joi.array().items(Joi.number().integer().positive()).default([]),
+  subtaskCount: Joi.number().integer().min(1).max(100).optional(),
+  startDate: Joi.date().optional().allow(null),
+  estimatedDailyHours: Joi.number().precision(2).min(0.5).max(16).optional()
+});
+
+const assigneeRecommendationSchema = Joi.object({
+  skills: Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().min(1).max(100)).max(20),
+    Joi.string().trim().max(2000).allow('')
+  ).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate'))
+  }).optional(),
+  teamId: Joi.number().integer().positive().optional(),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
 class CourseController {
   constructor() {
     this.statusAggregator = new StatusAggregator();
     this.subtaskService = new SubtaskService();
     this.notificationService = new NotificationService();
+    this.dependencyManager = new DependencyManager();
+    this.customFieldService = new CustomFieldService();
+    this.attachmentService = new AttachmentService();
+    this.estimateService = new EstimateService();
+    this.effortPredictionService = new EffortPredictionService();
+    this.assigneeRecommendationService = new AssigneeRecommendationService();
+    this.timelineService = new TimelineService();
+    this.scheduleCascadeService = new ScheduleCascadeService();
+    this.boardService = new BoardService();
   }
 
   // Get valid phase statuses from database
@@ -163,7 +250,8 @@ class CourseController {
       sort = 'due_date',
       order = 'ASC',
       sortBy,
-      sortOrder
+      sortOrder,
+      customFields
     } = req.query;
 
     // Handle both sort/order and sortBy/sortOrder parameter formats
@@ -181,7 +269,7 @@ class CourseController {
       'start_date': 'c.start_date'
     };
 
-    const finalSort = sortFieldMap[requestedSort] || 'c.due_date';
+    let finalSort = sortFieldMap[requestedSort] || 'c.due_date';
 
     // Build filters
     const filters = {};
@@ -240,6 +328,14 @@ class CourseController {
       values.push(workflowState);
     }
 
+    // Custom field filtering (?customFields[field_key]=value)
+    if (customFields && typeof customFields === 'object') {
+      const customFieldFilters = this.customFieldService.buildCourseFilterConditions(customFields, paramCount);
+      additionalWhere.push(...customFieldFilters.conditions);
+      values.push(...customFieldFilters.values);
+      paramCount += customFieldFilters.values.length;
+    }
+
     // Role-based filtering
     if (req.user.role !== 'admin' && req.user.role !== 'manager') {
       additionalWhere.push(`EXISTS (SELECT 1 FROM course_assignments ca WHERE ca.course_id = c.id AND ca.user_id = $${++paramCount})`);
@@ -249,12 +345,27 @@ class CourseController {
     const allConditions = [where, ...additionalWhere].filter(Boolean);
     const whereClause = allConditions.length > 0 ? `WHERE ${allConditions.join(' AND ')}` : '';
 
+    // Custom field sorting (?sortBy=customField:field_key); the key is only used by the main query
+    const sortValues = [];
+    if (typeof requestedSort === 'string' && requestedSort.startsWith('customField:')) {
+      const sortExpression = await this.customFieldService.buildCourseSortExpression(
+        requestedSort.slice('customField:'.length),
+        paramCount + 1
+      );
+
+      if (sortExpression) {
+        sortValues.push(requestedSort.slice('customField:'.length));
+        finalSort = sortExpression;
+        paramCount++;
+      }
+    }
+
     // Pagination and ordering
     const { limit: finalLimit, offset } = buildPaginationClause(parseInt(page), parseInt(limit));
     // Since we already have the properly formatted sort field, create order clause directly
     const allowedOrders = ['ASC', 'DESC'];
     const safeOrder = allowedOrders.includes(finalOrder) ? finalOrder : 'ASC';
-    const orderClause = `ORDER BY ${finalSort} ${safeOrder}`;
+    const orderClause = `ORDER BY ${finalSort} ${safeOrder}${sortValues.length > 0 ? ' NULLS LAST' : ''}`;
 
     // Get total count (with same JOINs for consistent filtering)
     const countResult = await query(`
@@ -299,14 +410,20 @@ class CourseController {
       GROUP BY c.id, wi.current_state, wi.state_entered_at, wt.name, owner.id, owner.name, owner.email
       ${orderClause}
       LIMIT $${++paramCount} OFFSET $${++paramCount}
-    `, [...values, finalLimit, offset]);
+    `, [...values, ...sortValues, finalLimit, offset]);
+
+    const customFieldValues = await this.customFieldService.getValuesForEntities(
+      'course',
+      coursesResult.rows.map(course => course.id)
+    );
 
     res.json({
       success: true,
       data: {
         courses: coursesResult.rows.map(course => ({
           ...course,
-          assignments: course.assignments || []
+          assignments: course.assignments || [],
+          customFields: customFieldValues[String(course.id)] || {}
         })),
         pagination: {
           page: parseInt(page),
@@ -384,13 +501,13 @@ class CourseController {
       priority,
       ownerId,
       startDate,
-      dueDate,
-      estimatedHours,
       estimatedDailyHours,
       workflowTemplateId,
       metadata,
-      assignments = []
+      assignments = [],
+      customFields = {}
     } = value;
+    let { dueDate, estimatedHours } = value;
 
     // Check if list exists and user has access
     const listCheck = await query(
@@ -412,6 +529,26 @@ class CourseController {
 
     const listInfo = listCheck.rows[0];
 
+    // Fill in estimated hours and due date from similar completed courses when left empty
+    let prediction = null;
+    if (!estimatedHours || !dueDate) {
+      try {
+        prediction = await this.effortPredictionService.predict({
+          modality, deliverables, startDate, estimatedDailyHours, userId: ownerId || req.user.id
+        });
+      } catch (predictionError) {
+        logger.warn('Effort prediction failed, creating course without suggestions', { error: predictionError.message });
+      }
+
+      if (prediction) {
+        estimatedHours = estimatedHours || Math.min(prediction.estimatedHours, 1000);
+        // A due date is only suggested relative to a known start date
+        if (!dueDate && startDate) {
+          dueDate = prediction.suggestedDueDate;
+        }
+      }
+    }
+
     // Check if workflow template exists
     const templateCheck = await query(
       'SELECT id, name FROM workflow_templates WHERE id = $1 AND is_active = true',
@@ -517,6 +654,12 @@ class CourseController {
         const newSubtask = subtaskResult.rows[0];
       }
 
+      // Store custom field values (applies defaults and enforces required fields)
+      newCourse.customFields = await this.customFieldService.setValues('course', newCourse.id, customFields, req.user.id, {
+        client,
+        isNew: true
+      });
+
       // Create audit log
       await client.query(`
         INSERT INTO audit_logs (
@@ -580,6 +723,7 @@ class CourseController {
       data: {
         course,
         tasksCreated: result.tasksCreated,
+        prediction,
         message: `Course created successfully with ${result.tasksCreated} auto-generated tasks`
       }
     });
@@ -677,7 +821,8 @@ class CourseController {
       owner: additionalData.owner,
       assignments: additionalData.assignments || [],
       dependencies: additionalData.dependencies || [],
-      deliverables: additionalData.deliverables || []
+      deliverables: additionalData.deliverables || [],
+      customFields: await this.customFieldService.getValues('course', id)
     };
     
     logger.info('Retrieved course details', {
@@ -744,9 +889,11 @@ class CourseController {
     const historyResult = await query(`
       SELECT 
         cpa.course_status,
+        cpa.subtask_id,
         cpa.subtask_title,
         cpa.phase_status,
         cpa.phase_history,
+        cpa.phase_dates,
         cpa.start_date,
         cpa.finish_date,
         cpa.completed_at,
@@ -768,6 +915,14 @@ class CourseController {
         cpa.subtask_title ASC
     `, [id]);
 
+    // File versions uploaded during each archived phase, keyed by course status and subtask
+    const versions = await this.attachmentService.getCourseVersions(id);
+    const versionsByPhase = versions.reduce((acc, version) => {
+      const key = `${version.course_status}:${version.subtask_id}`;
+      (acc[key] = acc[key] || []).push(version);
+      return acc;
+    }, {});
+
     // Group the results by course status
     const groupedHistory = historyResult.rows.reduce((acc, row) => {
       const status = row.course_status;
@@ -802,11 +957,13 @@ class CourseController {
         subtaskTitle: row.subtask_title,
         phaseStatus: row.phase_status,
         phaseHistory,
+        phaseDates: row.phase_dates || [],
         startDate: row.start_date,
         finishDate: row.finish_date,
         completedAt: row.completed_at,
         archivedAt: row.archived_at,
-        archivedByName: row.archived_by_name
+        archivedByName: row.archived_by_name,
+        attachmentVersions: versionsByPhase[`${status}:${row.subtask_id}`] || []
       });
       
       return acc;
@@ -881,6 +1038,28 @@ class CourseController {
       throw new AuthorizationError('Access denied to this course');
     }
 
+    // Dependent courses shift by the same number of working days as the due date.
+    // The raw dates are used so the calendar day doesn't depend on the server timezone.
+    let cascade = null;
+    if (value.cascade && (value.dueDate !== undefined || value.startDate !== undefined)) {
+      const proposedDates = { startDate: req.body.startDate, dueDate: req.body.dueDate };
+
+      if (value.cascade === 'preview') {
+        const preview = await this.scheduleCascadeService.previewCascade(currentCourse, proposedDates);
+        return res.json({
+          success: true,
+          data: {
+            preview,
+            message: 'Preview only, nothing was changed'
+          }
+        });
+      }
+
+      cascade = await this.scheduleCascadeService.buildCascade(currentCourse, proposedDates);
+      await this.scheduleCascadeService.assertCanMove(cascade.changes, req.user);
+    }
+    let appliedCascade = null;
+
     // Track changes
     const changes = {};
     const allowedFields = ['title', 'description', 'modality', 'priority', 'status', 'ownerId', 'startDate', 'dueDate', 'estimatedHours', 'estimatedDailyHours', 'metadata', 'listId'];
@@ -924,7 +1103,7 @@ class CourseController {
       };
     }
 
-    if (Object.keys(changes).length === 0) {
+    if (Object.keys(changes).length === 0 && value.customFields === undefined) {
       return res.json({
         success: true,
         data: {
@@ -935,6 +1114,12 @@ class CourseController {
     }
 
     const updatedCourse = await transaction(async (client) => {
+      if (Object.keys(changes).length === 0) {
+        // Only custom field values changed
+        const customFields = await this.customFieldService.setValues('course', id, value.customFields, req.user.id, { client });
+        return { ...currentCourse, customFields };
+      }
+
       // Build update query
       const updateFields = Object.keys(changes).map(field => {
         const dbField = field.replace(/([A-Z])/g, '_$1').toLowerCase();
@@ -987,7 +1172,18 @@ class CourseController {
         JSON.stringify(changes)
       ]);
 
-      return result.rows[0];
+      const course = result.rows[0];
+
+      if (cascade) {
+        appliedCascade = await this.scheduleCascadeService.applyCascade(client, cascade, req.user.id);
+      }
+
+      // Custom field values are validated against the (possibly new) program's definitions
+      if (value.customFields !== undefined) {
+        course.customFields = await this.customFieldService.setValues('course', id, value.customFields, req.user.id, { client });
+      }
+
+      return course;
     });
 
     // Trigger status recalculation if needed
@@ -1000,6 +1196,11 @@ class CourseController {
       logger.info(`[UPDATE COURSE ${id}] Skipping status aggregator (no significant changes) at ${Date.now() - startTime}ms`);
     }
 
+    if (appliedCascade) {
+      await this.statusAggregator.bulkUpdateStatus(cascade.changes.map(change => change.courseId), { triggeredBy: req.user.id });
+      await this.dependencyManager.clearGraphCache();
+    }
+
     const totalTime = Date.now() - startTime;
     logger.info(`[UPDATE COURSE ${id}] Completed in ${totalTime}ms at ${new Date().toISOString()}`, {
       courseId: id,
@@ -1011,7 +1212,10 @@ class CourseController {
       success: true,
       data: {
         course: updatedCourse,
-        message: 'Course updated successfully'
+        cascade: appliedCascade,
+        message: appliedCascade
+          ? `Course updated successfully, ${appliedCascade.coursesMoved} dependent courses rescheduled`
+          : 'Course updated successfully'
       }
     });
   });
@@ -1310,6 +1514,254 @@ class CourseController {
     });
   });
 
+  /**
+   * GET /courses/:id/dependencies - List direct dependencies of a course
+   */
+  getDependencies = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const courseResult = await query(
+      "SELECT id, title FROM courses WHERE id = $1 AND status != 'deleted'",
+      [id]
+    );
+    if (courseResult.rows.length === 0) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const dependencies = await this.dependencyManager.getDirectDependencies(id);
+
+    res.json({
+      success: true,
+      data: {
+        courseId: parseInt(id),
+        ...dependencies
+      }
+    });
+  });
+
+  /**
+   * GET /courses/timeline - Courses and phases on a timeline with critical path and slack
+   */
+  getTimeline = asyncHandler(async (req, res) => {
+    const { error, value } = timelineSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid timeline parameters', error.details);
+    }
+
+    const timeline = await this.timelineService.getTimeline(value);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+  });
+
+  /**
+   * GET /courses/board - Subtasks across courses grouped by phase status
+   */
+  getBoard = asyncHandler(async (req, res) => {
+    const { error, value } = boardSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid board parameters', error.details);
+    }
+
+    const { mine, ...filters } = value;
+    if (mine) {
+      filters.assigneeId = req.user.id;
+    }
+
+    const board = await this.boardService.getBoard(filters);
+
+    res.json({
+      success: true,
+      data: board
+    });
+  });
+
+  /**
+   * GET /courses/:id/schedule-impact - Impact of moving a course's due date on its dependents
+   */
+  getScheduleImpact = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { error, value } = scheduleImpactSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid schedule impact parameters', error.details);
+    }
+
+    const { newDueDate, ...options } = value;
+    const analysis = await this.dependencyManager.analyzeScheduleImpact(id, newDueDate, options);
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  });
+
+  /**
+   * GET /courses/:id/cascades - Reschedules applied from this course to its dependents
+   */
+  getScheduleCascades = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const cascades = await this.scheduleCascadeService.getCascades(id);
+
+    res.json({
+      success: true,
+      data: cascades
+    });
+  });
+
+  /**
+   * POST /courses/:id/cascades/:cascadeId/undo - Restore the dates a cascade replaced
+   */
+  undoScheduleCascade = asyncHandler(async (req, res) => {
+    const { id, cascadeId } = req.params;
+
+    const result = await this.scheduleCascadeService.undoCascade(id, cascadeId, req.user);
+
+    await this.statusAggregator.bulkUpdateStatus(result.restored.map(course => course.courseId), { triggeredBy: req.user.id });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        message: `Restored the dates of ${result.restored.length} courses`
+      }
+    });
+  });
+
+  /**
+   * GET /courses/:id/dependencies/graph - Get full dependency graph of a course
+   */
+  getDependencyGraph = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { error, value } = dependencyGraphSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid dependency graph parameters', error.details);
+    }
+
+    const courseResult = await query(
+      "SELECT id, title, status, start_date, due_date FROM courses WHERE id = $1 AND status != 'deleted'",
+      [id]
+    );
+    if (courseResult.rows.length === 0) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const graph = await this.dependencyManager.getDependencyGraph(id, value);
+    const rootCourse = courseResult.rows[0];
+
+    // Flatten upstream/downstream chains into unique nodes plus the edges between them
+    const nodes = new Map();
+    nodes.set(rootCourse.id, {
+      id: rootCourse.id,
+      title: rootCourse.title,
+      status: rootCourse.status,
+      startDate: rootCourse.start_date,
+      dueDate: rootCourse.due_date,
+      direction: 'root',
+      depth: 0
+    });
+    [['upstream', graph.upstream], ['downstream', graph.downstream]].forEach(([direction, courses]) => {
+      courses.forEach(course => {
+        if (!nodes.has(course.id)) {
+          nodes.set(course.id, {
+            id: course.id,
+            title: course.title,
+            status: course.calculated_status || course.status,
+            startDate: course.start_date,
+            dueDate: course.due_date,
+            direction,
+            depth: course.depth
+          });
+        }
+      });
+    });
+
+    const edges = await this.dependencyManager.getDependencyEdges(Array.from(nodes.keys()));
+
+    res.json({
+      success: true,
+      data: {
+        ...graph,
+        nodes: Array.from(nodes.values()),
+        edges
+      }
+    });
+  });
+
+  /**
+   * POST /courses/:id/dependencies - Add a dependency on another course
+   */
+  addDependency = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { error, value } = addDependencySchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid dependency data', error.details);
+    }
+
+    const { dependsOnCourseId, dependencyType } = value;
+
+    if (dependsOnCourseId === parseInt(id)) {
+      throw new ValidationError('A course cannot depend on itself');
+    }
+
+    // The route only authorizes :id, the other end of the dependency needs access too
+    if (req.user.role !== 'admin' && !(await hasResourceAccess('course', dependsOnCourseId, req.user))) {
+      throw new AuthorizationError('Access denied to the course this one depends on');
+    }
+
+    const dependency = await this.dependencyManager.createDependency(
+      id,
+      dependsOnCourseId,
+      dependencyType,
+      req.user.id
+    );
+
+    // Everything downstream of the course now also waits on the new dependency
+    const impactedCourses = await this.dependencyManager.getImpactedCourses(id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        dependency,
+        impactedCourses,
+        message: 'Dependency created successfully'
+      }
+    });
+  });
+
+  /**
+   * DELETE /courses/:id/dependencies/:dependencyId - Remove a dependency
+   */
+  removeDependency = asyncHandler(async (req, res) => {
+    const { id, dependencyId } = req.params;
+
+    const dependencyResult = await query(
+      'SELECT id FROM course_dependencies WHERE id = $1 AND course_id = $2',
+      [dependencyId, id]
+    );
+    if (dependencyResult.rows.length === 0) {
+      throw new NotFoundError('Dependency not found for this course');
+    }
+
+    await this.dependencyManager.removeDependency(dependencyId, req.user.id);
+
+    const impactedCourses = await this.dependencyManager.getImpactedCourses(id);
+
+    res.json({
+      success: true,
+      data: {
+        dependencyId: parseInt(dependencyId),
+        impactedCourses,
+        message: 'Dependency removed successfully'
+      }
+    });
+  });
+
   /**
    * GET /courses/deliverables - Get all deliverables
    */
@@ -1380,6 +1832,23 @@ class CourseController {
     });
   });
 
+  /**
+   * POST /courses/predict-effort - Suggested estimated hours and due date for a new course
+   */
+  predictEffort = asyncHandler(async (req, res) => {
+    const { error, value } = effortPredictionSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid prediction data', error.details);
+    }
+
+    const prediction = await this.effortPredictionService.predict({ ...value, userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: prediction
+    });
+  });
+
   /**
    * POST /courses/:id/transition - Workflow state transition
    */
@@ -1491,6 +1960,88 @@ class CourseController {
       }
     });
   });
+
+  /**
+   * GET /courses/:id/estimates - Subtask estimates with actual logged hours
+   */
+  getEstimates = asyncHandler(async (req, res) => {
+    const { id: courseId } = req.params;
+
+    const estimates = await this.estimateService.getCourseEstimates(courseId);
+
+    res.json({
+      success: true,
+      data: estimates
+    });
+  });
+
+  /**
+   * PUT /courses/:id/subtasks/:subtaskId/estimate - Create or replace a subtask estimate
+   */
+  setSubtaskEstimate = asyncHandler(async (req, res) => {
+    const { id: courseId, subtaskId } = req.params;
+
+    const { error, value } = estimateSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid estimate data', error.details);
+    }
+
+    const estimate = await this.estimateService.setEstimate(courseId, subtaskId, value, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        estimate,
+        message: 'Estimate saved successfully'
+      }
+    });
+  });
+
+  /**
+   * GET /courses/:id/subtasks/:subtaskId/assignee-recommendations - Ranked candidate assignees with explanations
+   */
+  getAssigneeRecommendations = asyncHandler(async (req, res) => {
+    const { id: courseId, subtaskId } = req.params;
+
+    const { error, value } = assigneeRecommendationSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid recommendation parameters', error.details);
+    }
+
+    // Skills come as a comma separated query string, they override the subtask's own
+    const skills = typeof value.skills === 'string'
+      ? value.skills.split(',').map(skill => skill.trim()).filter(Boolean)
+      : value.skills;
+
+    const recommendations = await this.assigneeRecommendationService.recommendForSubtask(courseId, subtaskId, {
+      skills: skills && skills.length > 0 ? skills : null,
+      startDate: value.startDate || null,
+      endDate: value.endDate || null,
+      teamId: value.teamId || null,
+      limit: value.limit
+    });
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  });
+
+  /**
+   * DELETE /courses/:id/subtasks/:subtaskId/estimate - Remove a subtask estimate
+   */
+  deleteSubtaskEstimate = asyncHandler(async (req, res) => {
+    const { id: courseId, subtaskId } = req.params;
+
+    await this.estimateService.deleteEstimate(courseId, subtaskId);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Estimate deleted successfully'
+      }
+    });
+  });
 }
 
 module.exports = new CourseController();
\ No newline at end of file
@@ -0,0 +1,155 @@
+const { ForbiddenError } = require('../utils/errors');
+const { hasResourceAccess } = require('../middleware/authenticate');
+const CustomFieldService = require('../services/CustomFieldService');
+const logger = require('../utils/logger');
+
+const customFieldService = new CustomFieldService();
+
+class CustomFieldController {
+  // Get field definitions for an entity type
+  async getDefinitions(req, res) {
+    try {
+      const { entityType, programId } = req.query;
+
+      const definitions = await customFieldService.getDefinitions({ entityType, programId, user: req.user });
+
+      res.json({
+        success: true,
+        data: definitions
+      });
+    } catch (error) {
+      logger.error('Error fetching custom field definitions:', error);
+      throw error;
+    }
+  }
+
+  // Get single field definition
+  async getDefinition(req, res) {
+    try {
+      const definition = await customFieldService.getDefinition(req.params.id);
+
+      res.json({
+        success: true,
+        data: definition
+      });
+    } catch (error) {
+      logger.error('Error fetching custom field definition:', error);
+      throw error;
+    }
+  }
+
+  // Create field definition
+  async createDefinition(req, res) {
+    try {
+      const definition = await customFieldService.createDefinition(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: definition
+      });
+    } catch (error) {
+      logger.error('Error creating custom field definition:', error);
+      throw error;
+    }
+  }
+
+  // Update field definition
+  async updateDefinition(req, res) {
+    try {
+      const definition = await customFieldService.updateDefinition(req.params.id, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        data: definition
+      });
+    } catch (error) {
+      logger.error('Error updating custom field definition:', error);
+      throw error;
+    }
+  }
+
+  // Delete field definition and its values
+  async deleteDefinition(req, res) {
+    try {
+      await customFieldService.deleteDefinition(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Custom field deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting custom field definition:', error);
+      throw error;
+    }
+  }
+
+  // Get values for an entity keyed by field definition id
+  async getValues(req, res) {
+    try {
+      const { entityType, entityId } = req.params;
+
+      await customFieldService.resolveProgramId(entityType, entityId);
+      if (req.user.role !== 'admin' && !(await hasResourceAccess(entityType, entityId, req.user))) {
+        throw new ForbiddenError(`Access denied to this ${entityType}`);
+      }
+
+      const values = await customFieldService.getValues(entityType, entityId);
+
+      res.json({
+        success: true,
+        data: values
+      });
+    } catch (error) {
+      logger.error('Error fetching custom field values:', error);
+      throw error;
+    }
+  }
+
+  // Update several values for an entity
+  async updateValues(req, res) {
+    try {
+      const { entityType, entityId } = req.params;
+      const { values } = req.body;
+
+      await customFieldService.resolveProgramId(entityType, entityId);
+      if (req.user.role !== 'admin' && !(await hasResourceAccess(entityType, entityId, req.user))) {
+        throw new ForbiddenError(`Access denied to this ${entityType}`);
+      }
+
+      const updated = await customFieldService.setValues(entityType, entityId, values, req.user.id);
+
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Error updating custom field values:', error);
+      throw error;
+    }
+  }
+
+  // Update a single value for an entity
+  async updateValue(req, res) {
+    try {
+      const { entityType, entityId, fieldId } = req.params;
+      const { value } = req.body;
+
+      await customFieldService.resolveProgramId(entityType, entityId);
+      if (req.user.role !== 'admin' && !(await hasResourceAccess(entityType, entityId, req.user))) {
+        throw new ForbiddenError(`Access denied to this ${entityType}`);
+      }
+
+      const updated = await customFieldService.setValues(entityType, entityId, { [fieldId]: value }, req.user.id);
+
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Error updating custom field value:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CustomFieldController();
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const ReviewPortalService = require('../services/ReviewPortalService');
+
+const reviewPortalService = new ReviewPortalService();
+
+// Validation schemas
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required().trim().lowercase(),
+  name: Joi.string().min(2).max(255).required().trim(),
+  courseIds: Joi.array().items(Joi.number().integer().positive()).default([]),
+  password: Joi.string().min(8).max(128).allow(null).optional()
+});
+
+const assignCourseSchema = Joi.object({
+  courseId: Joi.number().integer().positive().required()
+});
+
+class ExternalReviewerController {
+  /**
+   * GET /external-reviewers - List external reviewers and their courses
+   */
+  getReviewers = asyncHandler(async (req, res) => {
+    const reviewers = await reviewPortalService.listReviewers();
+
+    res.json({
+      success: true,
+      data: reviewers
+    });
+  });
+
+  /**
+   * POST /external-reviewers - Invite a reviewer and email a sign-in link
+   */
+  inviteReviewer = asyncHandler(async (req, res) => {
+    const { error, value } = inviteSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid reviewer data', error.details);
+    }
+
+    const result = await reviewPortalService.inviteReviewer(value, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * POST /external-reviewers/:id/courses - Give a reviewer access to a course
+   */
+  assignCourse = asyncHandler(async (req, res) => {
+    const { error, value } = assignCourseSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid course', error.details);
+    }
+
+    await reviewPortalService.assignCourse(parseInt(req.params.id), value.courseId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { message: 'Course assigned' }
+    });
+  });
+
+  /**
+   * DELETE /external-reviewers/:id/courses/:courseId - Remove a reviewer's access to a course
+   */
+  unassignCourse = asyncHandler(async (req, res) => {
+    await reviewPortalService.unassignCourse(parseInt(req.params.id), parseInt(req.params.courseId));
+
+    res.json({
+      success: true,
+      data: { message: 'Course unassigned' }
+    });
+  });
+
+  /**
+   * POST /external-reviewers/:id/login-link - Email a new sign-in link
+   */
+  sendLoginLink = asyncHandler(async (req, res) => {
+    const link = await reviewPortalService.createLoginLink(parseInt(req.params.id), req.user.id);
+
+    res.json({
+      success: true,
+      data: link
+    });
+  });
+
+  /**
+   * DELETE /external-reviewers/:id - Deactivate a reviewer
+   */
+  deactivateReviewer = asyncHandler(async (req, res) => {
+    await reviewPortalService.deactivateReviewer(parseInt(req.params.id), req.user.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Reviewer deactivated' }
+    });
+  });
+}
+
+module.exports = new ExternalReviewerController();
@@ -2,6 +2,9 @@ const Joi = require('joi');
 const { query, transaction } = require('../config/database');
 const { asyncHandler, ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const PhasePipelineService = require('../services/PhasePipelineService');
+
+const phasePipelineService = new PhasePipelineService();
 
 // Validation schemas
 const createModalitySchema = Joi.object({
@@ -31,6 +34,10 @@ const updateModalityTaskSchema = Joi.object({
   weight_percentage: Joi.number().integer().min(0).max(100).optional()
 });
 
+const updatePipelineSchema = Joi.object({
+  phases: Joi.array().items(Joi.string().min(1).max(50)).min(1).required()
+});
+
 class ModalityController {
   /**
    * GET /modalities - Get all modalities
@@ -545,6 +552,50 @@ class ModalityController {
       message: 'Tasks reordered successfully'
     });
   });
+  /**
+   * GET /modalities/pipelines - Get the phase pipeline of every modality
+   */
+  getAllPipelines = asyncHandler(async (req, res) => {
+    const pipelines = await phasePipelineService.getPipelines();
+
+    res.json({
+      success: true,
+      data: pipelines
+    });
+  });
+
+  /**
+   * GET /modalities/pipelines/:modality - Get the phase pipeline of a modality
+   */
+  getPipeline = asyncHandler(async (req, res) => {
+    const { modality } = req.params;
+
+    const phases = await phasePipelineService.getPipeline(modality);
+
+    res.json({
+      success: true,
+      data: { modality, phases }
+    });
+  });
+
+  /**
+   * PUT /modalities/pipelines/:modality - Replace the phase pipeline of a modality
+   */
+  updatePipeline = asyncHandler(async (req, res) => {
+    const { modality } = req.params;
+
+    const { error, value } = updatePipelineSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid pipeline data', error.details);
+    }
+
+    const phases = await phasePipelineService.setPipeline(modality, value.phases, req.user.id);
+
+    res.json({
+      success: true,
+      data: { modality, phases }
+    });
+  });
 }
 
 module.exports = new ModalityController();
\ No newline at end of file
@@ -9,6 +9,7 @@ const notificationPreferencesSchema = Joi.object({
   email: Joi.boolean().default(true),
   inApp: Joi.boolean().default(true),
   digest: Joi.string().valid('immediate', 'hourly', 'daily', 'weekly').default('daily'),
+  emailDigest: Joi.string().valid('immediate', 'hourly', 'daily', 'weekly', 'never').default('daily'),
   urgentOnly: Joi.boolean().default(false),
   categories: Joi.object({
     course_overdue: Joi.boolean().default(true),
@@ -19,7 +20,13 @@ const notificationPreferencesSchema = Joi.object({
     bottleneck_detected: Joi.boolean().default(true),
     bulk_operation_complete: Joi.boolean().default(false),
     status_change: Joi.boolean().default(false),
-    dependency_conflict: Joi.boolean().default(true)
+    dependency_conflict: Joi.boolean().default(true),
+    comment_mention: Joi.boolean().default(true),
+    timesheet_submitted: Joi.boolean().default(true),
+    timesheet_reviewed: Joi.boolean().default(true),
+    time_off_requested: Joi.boolean().default(true),
+    time_off_reviewed: Joi.boolean().default(true),
+    workload_rebalanced: Joi.boolean().default(true)
   }).default({})
 });
 
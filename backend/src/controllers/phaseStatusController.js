@@ -48,6 +48,7 @@ class PhaseStatusController {
         id, value, label, description, color, dark_color as "darkColor",
         icon, sort_order as "sortOrder", is_active as "isActive", 
         is_default as "isDefault", completion_percentage as "completionPercentage",
+        tracks_dates as "tracksDates", is_terminal as "isTerminal",
         created_at as "createdAt", updated_at as "updatedAt"
       FROM phase_statuses 
       ${whereClause}
@@ -71,6 +72,7 @@ class PhaseStatusController {
         id, value, label, description, color, dark_color as "darkColor",
         icon, sort_order as "sortOrder", is_active as "isActive", 
         is_default as "isDefault", completion_percentage as "completionPercentage",
+        tracks_dates as "tracksDates", is_terminal as "isTerminal",
         created_at as "createdAt", updated_at as "updatedAt"
       FROM phase_statuses 
       WHERE id = $1
@@ -137,6 +139,7 @@ class PhaseStatusController {
           id, value, label, description, color, dark_color as "darkColor",
           icon, sort_order as "sortOrder", is_active as "isActive", 
           is_default as "isDefault", completion_percentage as "completionPercentage",
+          tracks_dates as "tracksDates", is_terminal as "isTerminal",
           created_at as "createdAt", updated_at as "updatedAt"
       `, [
         statusValue, label, description || null, color, darkColor || null, 
@@ -257,6 +260,7 @@ class PhaseStatusController {
           id, value, label, description, color, dark_color as "darkColor",
           icon, sort_order as "sortOrder", is_active as "isActive", 
           is_default as "isDefault", completion_percentage as "completionPercentage",
+          tracks_dates as "tracksDates", is_terminal as "isTerminal",
           created_at as "createdAt", updated_at as "updatedAt"
       `, values);
 
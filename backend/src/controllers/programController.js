@@ -1,7 +1,10 @@
 const { query, transaction } = require('../config/database');
 const { AppError } = require('../utils/errors');
+const BillingService = require('../services/BillingService');
 const logger = require('../utils/logger');
 
+const billingService = new BillingService();
+
 class ProgramController {
   // Get all programs with optional filters
   async getPrograms(req, res) {
@@ -295,7 +298,7 @@ class ProgramController {
         Object.entries(updates).forEach(([key, value]) => {
           if (['name', 'description', 'type', 'status', 'color', 'icon', 
                'contact_name', 'contact_email', 'contact_phone', 
-               'settings', 'metadata'].includes(key)) {
+               'billing_currency', 'settings', 'metadata'].includes(key)) {
             updateFields.push(`${key} = $${paramCount++}`);
             values.push(value);
           }
@@ -512,6 +515,81 @@ class ProgramController {
       throw error;
     }
   }
+  
+  // Get billing rates of a program
+  async getBillingRates(req, res) {
+    try {
+      const { id } = req.params;
+      
+      const program = await billingService.assertCanManageRates(req.user, id);
+      const rates = await billingService.listRates(id);
+      
+      res.json({
+        success: true,
+        data: {
+          currency: program.billing_currency,
+          rates
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching billing rates:', error);
+      throw error;
+    }
+  }
+  
+  // Add a billing rate (user, role or program default)
+  async createBillingRate(req, res) {
+    try {
+      const { id } = req.params;
+      
+      await billingService.assertCanManageRates(req.user, id);
+      const rate = await billingService.createRate(id, req.body, req.user.id);
+      
+      res.status(201).json({
+        success: true,
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Error creating billing rate:', error);
+      throw error;
+    }
+  }
+  
+  // Update a billing rate
+  async updateBillingRate(req, res) {
+    try {
+      const { id, rateId } = req.params;
+      
+      await billingService.assertCanManageRates(req.user, id);
+      const rate = await billingService.updateRate(id, rateId, req.body);
+      
+      res.json({
+        success: true,
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Error updating billing rate:', error);
+      throw error;
+    }
+  }
+  
+  // Delete a billing rate
+  async deleteBillingRate(req, res) {
+    try {
+      const { id, rateId } = req.params;
+      
+      await billingService.assertCanManageRates(req.user, id);
+      await billingService.deleteRate(id, rateId);
+      
+      res.json({
+        success: true,
+        message: 'Billing rate deleted'
+      });
+    } catch (error) {
+      logger.error('Error deleting billing rate:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ProgramController();
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { AppError } = require('../utils/errors');
+const realtimeService = require('../services/RealtimeService');
+const logger = require('../utils/logger');
+
+// Channels are passed as "course:12,program:<uuid>,user:me"
+const parseChannels = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(channel => String(channel).trim()).filter(Boolean);
+  }
+  return String(value || '').split(',').map(channel => channel.trim()).filter(Boolean);
+};
+
+class RealtimeController {
+  // Open the event stream, optionally subscribing to initial channels
+  async openStream(req, res) {
+    const connectionId = realtimeService.openStream(req, res);
+    const channels = parseChannels(req.query.channels);
+
+    if (channels.length > 0) {
+      try {
+        const result = await realtimeService.subscribe(connectionId, req.user, channels);
+        realtimeService.write(res, 'subscribed', result);
+      } catch (error) {
+        logger.error('Error subscribing realtime stream:', error);
+      }
+    }
+  }
+
+  // Subscribe an open stream to more channels
+  async subscribe(req, res) {
+    try {
+      const { connectionId } = req.body;
+      const result = await realtimeService.subscribe(connectionId, req.user, parseChannels(req.body.channels));
+
+      if (!result) {
+        throw new AppError('Realtime connection not found', 404);
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error subscribing to realtime channels:', error);
+      throw error;
+    }
+  }
+
+  // Stop receiving events of channels
+  async unsubscribe(req, res) {
+    try {
+      const { connectionId } = req.body;
+      const result = realtimeService.unsubscribe(connectionId, req.user, parseChannels(req.body.channels));
+
+      if (!result) {
+        throw new AppError('Realtime connection not found', 404);
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error unsubscribing from realtime channels:', error);
+      throw error;
+    }
+  }
+
+  // Connection statistics (admins)
+  async getStats(req, res) {
+    res.json({
+      success: true,
+      data: realtimeService.getStats()
+    });
+  }
+}
+
+module.exports = new RealtimeController();
@@ -0,0 +1,153 @@
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const ReportSubscriptionService = require('../services/ReportSubscriptionService');
+
+const reportSubscriptionService = new ReportSubscriptionService();
+
+// Validation schemas
+const PERIODS = ['7d', '30d', '90d', '6m', '1y'];
+
+// Filters per report type, reports ignore the ones they don't use
+const parametersSchema = Joi.object({
+  period: Joi.string().valid(...PERIODS).optional(),
+  groupBy: Joi.string().valid('stage', 'reviewer', 'course_type', 'team', 'priority').optional(),
+  threshold: Joi.number().min(1.5).max(5.0).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  weeks: Joi.number().integer().min(1).max(12).optional(),
+  courseType: Joi.string().valid('instructor_led', 'elearning', 'blended', 'microlearning', 'certification').optional()
+});
+
+const subscriptionFields = {
+  name: Joi.string().trim().min(1).max(255),
+  reportType: Joi.string().valid('bottlenecks', 'workload', 'performance', 'overdue_courses'),
+  parameters: parametersSchema,
+  format: Joi.string().valid('pdf', 'csv'),
+  cronExpression: Joi.string().trim().max(100),
+  timezone: Joi.string().trim().max(64),
+  deliveryMethod: Joi.string().valid('email', 'file'),
+  recipients: Joi.array().items(Joi.string().email()).max(50),
+  filePath: Joi.string().trim().max(255).allow(null),
+  teamId: Joi.number().integer().positive().allow(null),
+  active: Joi.boolean()
+};
+
+const createSubscriptionSchema = Joi.object({
+  ...subscriptionFields,
+  name: subscriptionFields.name.required(),
+  reportType: subscriptionFields.reportType.required(),
+  parameters: parametersSchema.default({}),
+  format: subscriptionFields.format.default('pdf'),
+  cronExpression: subscriptionFields.cronExpression.required(),
+  timezone: subscriptionFields.timezone.default('UTC'),
+  deliveryMethod: subscriptionFields.deliveryMethod.default('email'),
+  active: subscriptionFields.active.default(true)
+});
+
+const updateSubscriptionSchema = Joi.object(subscriptionFields).min(1);
+
+const runHistorySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+class ReportSubscriptionController {
+  /**
+   * GET /report-subscriptions - Scheduled reports the user can manage
+   */
+  getSubscriptions = asyncHandler(async (req, res) => {
+    const subscriptions = await reportSubscriptionService.listSubscriptions(req.user);
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  });
+
+  /**
+   * GET /report-subscriptions/:id - Single scheduled report
+   */
+  getSubscription = asyncHandler(async (req, res) => {
+    const subscription = await reportSubscriptionService.getSubscription(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  });
+
+  /**
+   * POST /report-subscriptions - Save a report with a schedule and delivery
+   */
+  createSubscription = asyncHandler(async (req, res) => {
+    const { error, value } = createSubscriptionSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid report subscription data', error.details);
+    }
+
+    const subscription = await reportSubscriptionService.createSubscription(req.user, value);
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  });
+
+  /**
+   * PUT /report-subscriptions/:id - Update a scheduled report, the next run is recalculated
+   */
+  updateSubscription = asyncHandler(async (req, res) => {
+    const { error, value } = updateSubscriptionSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid report subscription data', error.details);
+    }
+
+    const subscription = await reportSubscriptionService.updateSubscription(parseInt(req.params.id), req.user, value);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  });
+
+  /**
+   * DELETE /report-subscriptions/:id - Remove a scheduled report and its run history
+   */
+  deleteSubscription = asyncHandler(async (req, res) => {
+    await reportSubscriptionService.deleteSubscription(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      data: { message: 'Report subscription deleted' }
+    });
+  });
+
+  /**
+   * POST /report-subscriptions/:id/run - Run a scheduled report now
+   */
+  runSubscription = asyncHandler(async (req, res) => {
+    const subscription = await reportSubscriptionService.requestRun(parseInt(req.params.id), req.user);
+
+    res.status(202).json({
+      success: true,
+      data: subscription
+    });
+  });
+
+  /**
+   * GET /report-subscriptions/:id/runs - Run history, newest first
+   */
+  getRuns = asyncHandler(async (req, res) => {
+    const { error, value } = runHistorySchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid run history parameters', error.details);
+    }
+
+    const runs = await reportSubscriptionService.listRuns(parseInt(req.params.id), req.user, value.limit);
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  });
+}
+
+module.exports = new ReportSubscriptionController();
@@ -0,0 +1,202 @@
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { blacklistToken } = require('../config/redis');
+const ReviewPortalService = require('../services/ReviewPortalService');
+const logger = require('../utils/logger');
+
+const reviewPortalService = new ReviewPortalService();
+
+// Validation schemas
+const loginSchema = Joi.object({
+  email: Joi.string().email().required().trim().lowercase(),
+  password: Joi.string().min(6).required()
+});
+
+const sessionSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const requestLinkSchema = Joi.object({
+  email: Joi.string().email().required().trim().lowercase()
+});
+
+const commentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(5000).required(),
+  parentId: Joi.string().uuid().allow(null).optional()
+});
+
+const signOffSchema = Joi.object({
+  note: Joi.string().trim().max(2000).allow('', null).optional()
+});
+
+const parseId = (value, name) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`Invalid ${name}`);
+  }
+  return id;
+};
+
+class ReviewPortalController {
+  /**
+   * POST /portal/login - Sign in with email and password
+   */
+  login = asyncHandler(async (req, res) => {
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid login data', error.details);
+    }
+
+    const session = await reviewPortalService.login(value.email, value.password);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  });
+
+  /**
+   * POST /portal/session - Exchange a sign-in link token for a session
+   */
+  createSession = asyncHandler(async (req, res) => {
+    const { error, value } = sessionSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid sign-in link', error.details);
+    }
+
+    const session = await reviewPortalService.exchangeLoginLink(value.token);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  });
+
+  /**
+   * POST /portal/request-link - Email a new sign-in link
+   */
+  requestLink = asyncHandler(async (req, res) => {
+    const { error, value } = requestLinkSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid email', error.details);
+    }
+
+    await reviewPortalService.requestLoginLink(value.email);
+
+    res.json({
+      success: true,
+      data: { message: 'If this email belongs to a reviewer, a sign-in link is on its way' }
+    });
+  });
+
+  /**
+   * POST /portal/logout - End the portal session
+   */
+  logout = asyncHandler(async (req, res) => {
+    const ttl = req.tokenPayload.exp - Math.floor(Date.now() / 1000);
+    if (ttl > 0) {
+      await blacklistToken(req.token, ttl);
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out successfully' }
+    });
+  });
+
+  /**
+   * GET /portal/me - Current reviewer
+   */
+  getMe = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        id: req.user.id,
+        email: req.user.email,
+        name: req.user.name
+      }
+    });
+  });
+
+  /**
+   * GET /portal/courses - Courses assigned to the reviewer
+   */
+  getCourses = asyncHandler(async (req, res) => {
+    const courses = await reviewPortalService.getCourses(req.user.id);
+
+    res.json({
+      success: true,
+      data: courses
+    });
+  });
+
+  /**
+   * GET /portal/courses/:id - Course with its deliverables and review threads
+   */
+  getCourse = asyncHandler(async (req, res) => {
+    const course = await reviewPortalService.getCourse(req.user.id, parseId(req.params.id, 'course id'));
+
+    res.json({
+      success: true,
+      data: course
+    });
+  });
+
+  /**
+   * GET /portal/attachments/:id/download - Download a deliverable
+   */
+  downloadAttachment = asyncHandler(async (req, res) => {
+    const { attachment, stream } = await reviewPortalService.openAttachment(
+      req.user.id, parseId(req.params.id, 'attachment id')
+    );
+
+    res.setHeader('Content-Type', attachment.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+    if (attachment.file_size) {
+      res.setHeader('Content-Length', attachment.file_size);
+    }
+
+    stream.on('error', (error) => {
+      logger.error('Error streaming review attachment:', error);
+      res.destroy(error);
+    });
+
+    stream.pipe(res);
+  });
+
+  /**
+   * POST /portal/courses/:id/comments - Comment on a course or reply to a review thread
+   */
+  addComment = asyncHandler(async (req, res) => {
+    const { error, value } = commentSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid comment', error.details);
+    }
+
+    const comment = await reviewPortalService.addComment(req.user, parseId(req.params.id, 'course id'), value);
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  });
+
+  /**
+   * POST /portal/subtasks/:id/signoff - Record final sign-off
+   */
+  signOff = asyncHandler(async (req, res) => {
+    const { error, value } = signOffSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid sign-off', error.details);
+    }
+
+    const signoff = await reviewPortalService.signOff(req.user, parseId(req.params.id, 'subtask id'), value.note || null);
+
+    res.status(201).json({
+      success: true,
+      data: signoff
+    });
+  });
+}
+
+module.exports = new ReviewPortalController();
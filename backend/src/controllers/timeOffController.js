@@ -0,0 +1,148 @@
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const TimeOffService = require('../services/TimeOffService');
+
+const timeOffService = new TimeOffService();
+
+// Validation schemas
+const listTimeOffSchema = Joi.object({
+  userId: Joi.number().integer().positive().optional(),
+  teamId: Joi.number().integer().positive().optional(),
+  status: Joi.string().valid('pending', 'approved', 'rejected').optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+});
+
+const createTimeOffSchema = Joi.object({
+  userId: Joi.number().integer().positive().optional(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  hoursPerDay: Joi.number().precision(2).min(0.25).max(24).allow(null).optional(),
+  reason: Joi.string().trim().max(255).allow('', null).optional()
+});
+
+const reviewSchema = Joi.object({
+  comment: Joi.string().trim().max(2000).allow('', null).optional()
+});
+
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+class TimeOffController {
+  /**
+   * GET /time-off - Time off overlapping a date range
+   */
+  getTimeOff = asyncHandler(async (req, res) => {
+    const { error, value } = listTimeOffSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid time off parameters', error.details);
+    }
+
+    // Role-based filtering
+    let { userId, teamId } = value;
+    if (req.user.role === 'manager' && !teamId && !userId) {
+      teamId = req.user.team_id;
+    } else if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      // Designers and reviewers see their team's time off to plan around it
+      teamId = req.user.team_id;
+      if (!teamId) {
+        userId = req.user.id;
+      }
+    }
+
+    const entries = await timeOffService.listTimeOff({
+      userId,
+      teamId,
+      status: value.status,
+      startDate: value.startDate ? toDateOnly(value.startDate) : null,
+      endDate: value.endDate ? toDateOnly(value.endDate) : null
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  });
+
+  /**
+   * GET /time-off/pending - Requests waiting for approval by the current manager
+   */
+  getPendingApprovals = asyncHandler(async (req, res) => {
+    const pending = await timeOffService.getPendingApprovals(req.user);
+
+    res.json({
+      success: true,
+      data: pending
+    });
+  });
+
+  /**
+   * POST /time-off - Request time off, or record it for someone on your team
+   */
+  createTimeOff = asyncHandler(async (req, res) => {
+    const { error, value } = createTimeOffSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid time off data', error.details);
+    }
+
+    const entry = await timeOffService.requestTimeOff(req.user, {
+      userId: value.userId || null,
+      startDate: toDateOnly(value.startDate),
+      endDate: toDateOnly(value.endDate),
+      hoursPerDay: value.hoursPerDay || null,
+      reason: value.reason || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  });
+
+  /**
+   * POST /time-off/:id/approve - Approve a pending request
+   */
+  approveTimeOff = asyncHandler(async (req, res) => {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid review', error.details);
+    }
+
+    const entry = await timeOffService.reviewTimeOff(parseInt(req.params.id), req.user, 'approved', value.comment);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  });
+
+  /**
+   * POST /time-off/:id/reject - Reject a pending request, a comment is required
+   */
+  rejectTimeOff = asyncHandler(async (req, res) => {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid review', error.details);
+    }
+
+    const entry = await timeOffService.reviewTimeOff(parseInt(req.params.id), req.user, 'rejected', value.comment);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  });
+
+  /**
+   * DELETE /time-off/:id - Withdraw or remove time off
+   */
+  deleteTimeOff = asyncHandler(async (req, res) => {
+    await timeOffService.deleteTimeOff(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      data: { message: 'Time off removed' }
+    });
+  });
+}
+
+module.exports = new TimeOffController();
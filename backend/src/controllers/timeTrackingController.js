@@ -1,7 +1,13 @@
 const { query, transaction } = require('../config/database');
 const { AppError } = require('../utils/errors');
+const TimesheetService = require('../services/TimesheetService');
+const BillingService = require('../services/BillingService');
+const { sendCsv } = require('../utils/csv');
 const logger = require('../utils/logger');
 
+const timesheetService = new TimesheetService();
+const billingService = new BillingService();
+
 class TimeTrackingController {
   // Get time entries with filters
   async getTimeEntries(req, res) {
@@ -15,11 +21,13 @@ class TimeTrackingController {
           te.*,
           u.name as user_name,
           cs.title as task_name,
-          c.title as course_name
+          c.title as course_name,
+          ts.status as timesheet_status
         FROM time_entries te
         LEFT JOIN users u ON te.user_id = u.id
         LEFT JOIN course_subtasks cs ON te.task_id = cs.id
         LEFT JOIN courses c ON te.course_id = c.id
+        LEFT JOIN timesheets ts ON te.timesheet_id = ts.id
         WHERE 1=1
       `;
       
@@ -104,11 +112,13 @@ class TimeTrackingController {
           te.*,
           u.name as user_name,
           cs.title as task_name,
-          c.title as course_name
+          c.title as course_name,
+          ts.status as timesheet_status
         FROM time_entries te
         LEFT JOIN users u ON te.user_id = u.id
         LEFT JOIN course_subtasks cs ON te.task_id = cs.id
         LEFT JOIN courses c ON te.course_id = c.id
+        LEFT JOIN timesheets ts ON te.timesheet_id = ts.id
         WHERE te.id = $1
       `;
       
@@ -144,6 +154,9 @@ class TimeTrackingController {
         throw new AppError('You already have an active time entry. Please stop it first.', 400);
       }
       
+      // No new time can be tracked into a submitted or approved week
+      await timesheetService.assertWeekUnlocked(user_id, new Date());
+      
       const sql = `
         INSERT INTO time_entries (user_id, task_id, course_id, start_time, description)
         VALUES ($1, $2, $3, NOW(), $4)
@@ -224,6 +237,8 @@ class TimeTrackingController {
       } = req.body;
       const user_id = req.user.id;
       
+      await timesheetService.assertWeekUnlocked(user_id, start_time);
+      
       // Calculate duration if not provided
       let calculatedDuration = duration;
       if (!calculatedDuration && start_time && end_time) {
@@ -252,6 +267,9 @@ class TimeTrackingController {
       });
     } catch (error) {
       logger.error('Error creating time entry:', error);
+      if (error instanceof AppError) {
+        throw error;
+      }
       throw new AppError('Failed to create time entry', 500);
     }
   }
@@ -265,7 +283,7 @@ class TimeTrackingController {
       
       // Verify ownership
       const ownerCheck = await query(
-        'SELECT id FROM time_entries WHERE id = $1 AND user_id = $2',
+        'SELECT id, user_id, start_time, is_approved FROM time_entries WHERE id = $1 AND user_id = $2',
         [id, user_id]
       );
       
@@ -273,6 +291,12 @@ class TimeTrackingController {
         throw new AppError('Time entry not found or access denied', 404);
       }
       
+      // Entries of submitted or approved timesheets are locked, and cannot be moved into such a week
+      await timesheetService.assertEntryUnlocked(ownerCheck.rows[0]);
+      if (updates.start_time) {
+        await timesheetService.assertWeekUnlocked(user_id, updates.start_time);
+      }
+      
       const result = await transaction(async (client) => {
         // Build update query
         const updateFields = [];
@@ -333,15 +357,19 @@ class TimeTrackingController {
       const { id } = req.params;
       const user_id = req.user.id;
       
-      const result = await query(
-        'DELETE FROM time_entries WHERE id = $1 AND user_id = $2 RETURNING id',
+      const entryResult = await query(
+        'SELECT id, user_id, start_time, is_approved FROM time_entries WHERE id = $1 AND user_id = $2',
         [id, user_id]
       );
       
-      if (result.rows.length === 0) {
+      if (entryResult.rows.length === 0) {
         throw new AppError('Time entry not found or access denied', 404);
       }
       
+      await timesheetService.assertEntryUnlocked(entryResult.rows[0]);
+      
+      await query('DELETE FROM time_entries WHERE id = $1', [id]);
+      
       res.json({
         success: true,
         message: 'Time entry deleted successfully'
@@ -362,10 +390,12 @@ class TimeTrackingController {
         SELECT 
           te.*,
           cs.title as task_name,
-          c.title as course_name
+          c.title as course_name,
+          ts.status as timesheet_status
         FROM time_entries te
         LEFT JOIN course_subtasks cs ON te.task_id = cs.id
         LEFT JOIN courses c ON te.course_id = c.id
+        LEFT JOIN timesheets ts ON te.timesheet_id = ts.id
         WHERE te.user_id = $1
       `;
       
@@ -404,9 +434,11 @@ class TimeTrackingController {
       const sql = `
         SELECT 
           te.*,
-          u.name as user_name
+          u.name as user_name,
+          ts.status as timesheet_status
         FROM time_entries te
         LEFT JOIN users u ON te.user_id = u.id
+        LEFT JOIN timesheets ts ON te.timesheet_id = ts.id
         WHERE te.task_id = $1
         ORDER BY te.start_time DESC
       `;
@@ -422,6 +454,65 @@ class TimeTrackingController {
       throw new AppError('Failed to fetch task time entries', 500);
     }
   }
+  
+  // Billable hours report grouped by client, program and course (JSON or CSV)
+  async getBillableReport(req, res) {
+    try {
+      const { start_date, end_date, program_id, user_id, approved_only, format = 'json' } = req.query;
+      
+      const report = await billingService.getBillableReport({
+        startDate: start_date,
+        endDate: end_date,
+        programId: program_id,
+        userId: user_id,
+        approvedOnly: approved_only === 'true'
+      });
+      
+      if (format === 'csv') {
+        return sendCsv(res, `billable-hours-${report.period.startDate}-${report.period.endDate}.csv`, billingService.reportToCsv(report));
+      }
+      
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error generating billable report:', error);
+      throw error;
+    }
+  }
+  
+  // Invoice draft of a client or program (JSON, CSV or PDF)
+  async getInvoiceDraft(req, res) {
+    try {
+      const { programId } = req.params;
+      const { start_date, end_date, approved_only, format = 'json' } = req.query;
+      
+      const invoice = await billingService.getInvoiceDraft(programId, {
+        startDate: start_date,
+        endDate: end_date,
+        approvedOnly: approved_only === 'true'
+      });
+      
+      if (format === 'csv') {
+        return sendCsv(res, `${invoice.invoiceNumber}.csv`, billingService.invoiceToCsv(invoice));
+      }
+      
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(`${invoice.invoiceNumber}.pdf`)}`);
+        return res.send(billingService.invoiceToPdf(invoice));
+      }
+      
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      logger.error('Error generating invoice draft:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new TimeTrackingController();
\ No newline at end of file
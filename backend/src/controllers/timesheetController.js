@@ -0,0 +1,134 @@
+const { ForbiddenError } = require('../utils/errors');
+const TimesheetService = require('../services/TimesheetService');
+const logger = require('../utils/logger');
+
+const timesheetService = new TimesheetService();
+
+const assertCanView = async (user, userId) => {
+  if (!(await timesheetService.canView(user, userId))) {
+    throw new ForbiddenError('You can only view timesheets of your own team');
+  }
+};
+
+class TimesheetController {
+  // Get a user's week (defaults to the current user and week)
+  async getWeek(req, res) {
+    try {
+      const userId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+      await assertCanView(req.user, userId);
+
+      const data = await timesheetService.getWeek(userId, req.query.weekStart);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching timesheet week:', error);
+      throw error;
+    }
+  }
+
+  // List submitted timesheets of a user
+  async getTimesheets(req, res) {
+    try {
+      const userId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+      await assertCanView(req.user, userId);
+
+      const data = await timesheetService.listTimesheets(userId, {
+        status: req.query.status || null,
+        limit: parseInt(req.query.limit) || 12
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching timesheets:', error);
+      throw error;
+    }
+  }
+
+  // Get a timesheet with its entries and review history
+  async getTimesheet(req, res) {
+    try {
+      const data = await timesheetService.getTimesheet(parseInt(req.params.id));
+      await assertCanView(req.user, data.user_id);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching timesheet:', error);
+      throw error;
+    }
+  }
+
+  // Submit the current user's week for approval
+  async submitWeek(req, res) {
+    try {
+      const { weekStart, notes } = req.body;
+      const data = await timesheetService.submitWeek(req.user, weekStart, notes);
+
+      res.status(201).json({
+        success: true,
+        data,
+        message: 'Timesheet submitted for approval'
+      });
+    } catch (error) {
+      logger.error('Error submitting timesheet:', error);
+      throw error;
+    }
+  }
+
+  // Timesheets waiting for the current manager's approval
+  async getPendingApprovals(req, res) {
+    try {
+      const data = await timesheetService.getPendingApprovals(req.user);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error fetching pending timesheets:', error);
+      throw error;
+    }
+  }
+
+  // Approve a submitted timesheet
+  async approveTimesheet(req, res) {
+    try {
+      const data = await timesheetService.reviewTimesheet(parseInt(req.params.id), req.user, 'approved', req.body.comment);
+
+      res.json({
+        success: true,
+        data,
+        message: 'Timesheet approved'
+      });
+    } catch (error) {
+      logger.error('Error approving timesheet:', error);
+      throw error;
+    }
+  }
+
+  // Reject a submitted timesheet, unlocking its entries
+  async rejectTimesheet(req, res) {
+    try {
+      const data = await timesheetService.reviewTimesheet(parseInt(req.params.id), req.user, 'rejected', req.body.comment);
+
+      res.json({
+        success: true,
+        data,
+        message: 'Timesheet rejected'
+      });
+    } catch (error) {
+      logger.error('Error rejecting timesheet:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TimesheetController();
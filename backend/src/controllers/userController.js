@@ -92,6 +92,9 @@ class UserController {
     if (role) {
       userQuery += ` AND u.role = $${++paramCount}`;
       params.push(role);
+    } else {
+      // External reviewers are managed under /external-reviewers
+      userQuery += ` AND u.role <> 'external_reviewer'`;
     }
 
     // Non-admins can only see users in their team
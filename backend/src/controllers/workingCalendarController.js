@@ -0,0 +1,189 @@
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const WorkingCalendarService = require('../services/WorkingCalendarService');
+
+const workingCalendarService = new WorkingCalendarService();
+
+// Validation schemas
+const weekdays = Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique();
+
+const createCalendarSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  region: Joi.string().trim().max(100).allow('', null).optional(),
+  workingDays: weekdays.default([1, 2, 3, 4, 5]),
+  isDefault: Joi.boolean().default(false)
+});
+
+const updateCalendarSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  region: Joi.string().trim().max(100).allow('', null).optional(),
+  workingDays: weekdays.optional(),
+  isDefault: Joi.boolean().optional()
+}).min(1);
+
+const holidaysSchema = Joi.object({
+  holidays: Joi.array().items(Joi.object({
+    date: Joi.date().iso().required(),
+    name: Joi.string().trim().min(1).max(255).required()
+  })).min(1).max(366).required()
+});
+
+const getCalendarSchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).optional()
+});
+
+const assignCalendarSchema = Joi.object({
+  calendarId: Joi.number().integer().positive().allow(null).required()
+});
+
+class WorkingCalendarController {
+  /**
+   * GET /working-calendars - List working calendars
+   */
+  getCalendars = asyncHandler(async (req, res) => {
+    const calendars = await workingCalendarService.listCalendars();
+
+    res.json({
+      success: true,
+      data: calendars
+    });
+  });
+
+  /**
+   * GET /working-calendars/:id - Calendar with its holidays
+   */
+  getCalendar = asyncHandler(async (req, res) => {
+    const { error, value } = getCalendarSchema.validate(req.query);
+    if (error) {
+      throw new ValidationError('Invalid calendar parameters', error.details);
+    }
+
+    const calendar = await workingCalendarService.getCalendar(parseInt(req.params.id), value);
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  });
+
+  /**
+   * POST /working-calendars - Create a working calendar
+   */
+  createCalendar = asyncHandler(async (req, res) => {
+    const { error, value } = createCalendarSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid calendar data', error.details);
+    }
+
+    const calendar = await workingCalendarService.createCalendar({
+      ...value,
+      region: value.region || null
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: calendar
+    });
+  });
+
+  /**
+   * PUT /working-calendars/:id - Update name, region, working days or default flag
+   */
+  updateCalendar = asyncHandler(async (req, res) => {
+    const { error, value } = updateCalendarSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid calendar data', error.details);
+    }
+
+    if (value.region === '') {
+      value.region = null;
+    }
+
+    const calendar = await workingCalendarService.updateCalendar(parseInt(req.params.id), value);
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  });
+
+  /**
+   * DELETE /working-calendars/:id - Delete a calendar, its teams and users fall back to the default
+   */
+  deleteCalendar = asyncHandler(async (req, res) => {
+    await workingCalendarService.deleteCalendar(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      data: { message: 'Working calendar deleted' }
+    });
+  });
+
+  /**
+   * POST /working-calendars/:id/holidays - Add holidays
+   */
+  addHolidays = asyncHandler(async (req, res) => {
+    const { error, value } = holidaysSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid holidays', error.details);
+    }
+
+    const holidays = await workingCalendarService.addHolidays(
+      parseInt(req.params.id),
+      value.holidays.map(holiday => ({ ...holiday, date: holiday.date.toISOString().split('T')[0] }))
+    );
+
+    res.status(201).json({
+      success: true,
+      data: holidays
+    });
+  });
+
+  /**
+   * DELETE /working-calendars/:id/holidays/:holidayId - Remove a holiday
+   */
+  removeHoliday = asyncHandler(async (req, res) => {
+    await workingCalendarService.removeHoliday(parseInt(req.params.id), parseInt(req.params.holidayId));
+
+    res.json({
+      success: true,
+      data: { message: 'Holiday removed' }
+    });
+  });
+
+  /**
+   * PUT /working-calendars/teams/:teamId - Set the calendar of a team
+   */
+  setTeamCalendar = asyncHandler(async (req, res) => {
+    const { error, value } = assignCalendarSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid calendar', error.details);
+    }
+
+    await workingCalendarService.setTeamCalendar(parseInt(req.params.teamId), value.calendarId);
+
+    res.json({
+      success: true,
+      data: { teamId: parseInt(req.params.teamId), calendarId: value.calendarId }
+    });
+  });
+
+  /**
+   * PUT /working-calendars/users/:userId - Override the team calendar for one user
+   */
+  setUserCalendar = asyncHandler(async (req, res) => {
+    const { error, value } = assignCalendarSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError('Invalid calendar', error.details);
+    }
+
+    await workingCalendarService.setUserCalendar(parseInt(req.params.userId), value.calendarId);
+
+    res.json({
+      success: true,
+      data: { userId: parseInt(req.params.userId), calendarId: value.calendarId }
+    });
+  });
+}
+
+module.exports = new WorkingCalendarController();
@@ -66,6 +66,23 @@ const authenticate = async (req, res, next) => {
     
     const user = userResult.rows[0];
     
+    // External reviewers only get the review portal (see authenticateReviewer)
+    if (user.role === 'external_reviewer' || decoded.aud === 'trainingpulse-portal') {
+      logger.logSecurityEvent('EXTERNAL_REVIEWER_API_ACCESS', {
+        userId: user.id,
+        endpoint: req.originalUrl,
+        ip: req.ip
+      });
+      
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'External reviewers can only use the review portal'
+        }
+      });
+    }
+    
     // Check if user is active
     if (!user.active) {
       logger.logSecurityEvent('INACTIVE_USER_ACCESS', {
@@ -154,6 +171,71 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for the external review portal
+// Only portal session tokens of active external reviewers are accepted
+const authenticateReviewer = async (req, res, next) => {
+  const reject = (message) => res.status(401).json({
+    success: false,
+    error: {
+      code: 'AUTHENTICATION_ERROR',
+      message
+    }
+  });
+
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return reject('No token provided');
+    }
+
+    const token = authHeader.split(' ')[1];
+    if (await isTokenBlacklisted(token)) {
+      return reject('Token has been revoked');
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'trainingpulse-portal' });
+
+    const userResult = await query(
+      'SELECT id, email, name, role, active FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || user.role !== 'external_reviewer' || !user.active) {
+      logger.logSecurityEvent('INVALID_PORTAL_TOKEN', {
+        userId: decoded.userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      return reject('Review access has ended');
+    }
+
+    req.user = user;
+    req.token = token;
+    req.tokenPayload = decoded;
+
+    next();
+
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return reject(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+    }
+
+    logger.logError(error, {
+      context: 'Review portal authentication middleware',
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Authentication failed'
+      }
+    });
+  }
+};
+
 // Role-based authorization middleware
 const authorize = (allowedRoles = []) => {
   return (req, res, next) => {
@@ -191,53 +273,147 @@ const authorize = (allowedRoles = []) => {
   };
 };
 
+// Check whether a user can access a single resource
+// Subtasks, comments and attachments inherit access from the entity they belong to
+const hasResourceAccess = async (resourceType, id, user) => {
+  const userId = user.id;
+  const userRole = user.role;
+
+  switch (resourceType) {
+    case 'course': {
+      // Check if user is assigned to the course or is a manager
+      if (userRole === 'manager') {
+        return true;
+      }
+      const assignmentResult = await query(
+        'SELECT 1 FROM course_assignments WHERE course_id = $1 AND user_id = $2',
+        [id, userId]
+      );
+      return assignmentResult.rows.length > 0;
+    }
+
+    case 'subtask':
+    case 'task': {
+      if (userRole === 'manager') {
+        return true;
+      }
+      const subtaskResult = await query(`
+        SELECT 1
+        FROM course_subtasks cs
+        WHERE cs.id = $1
+          AND (
+            EXISTS (SELECT 1 FROM course_assignments ca WHERE ca.course_id = cs.course_id AND ca.user_id = $2)
+            OR EXISTS (SELECT 1 FROM subtask_assignments sa WHERE sa.subtask_id = cs.id AND sa.user_id = $2)
+          )
+      `, [id, userId]);
+      return subtaskResult.rows.length > 0;
+    }
+
+    case 'program': {
+      if (userRole === 'manager') {
+        return true;
+      }
+      const programResult = await query(`
+        SELECT 1 FROM programs p
+        WHERE p.id = $1
+          AND (p.owner_id = $2 OR EXISTS (SELECT 1 FROM program_members pm WHERE pm.program_id = p.id AND pm.user_id = $2))
+      `, [id, userId]);
+      return programResult.rows.length > 0;
+    }
+
+    case 'comment': {
+      const commentResult = await query(
+        'SELECT entity_type, entity_id, created_by FROM comments WHERE id = $1 AND is_deleted = false',
+        [id]
+      );
+      if (commentResult.rows.length === 0) {
+        return false;
+      }
+      const comment = commentResult.rows[0];
+      return comment.created_by === userId || hasResourceAccess(comment.entity_type, comment.entity_id, user);
+    }
+
+    case 'attachment': {
+      const attachmentResult = await query(
+        'SELECT entity_type, entity_id FROM attachments WHERE id = $1 AND is_deleted = false',
+        [id]
+      );
+      if (attachmentResult.rows.length === 0) {
+        return false;
+      }
+      const attachment = attachmentResult.rows[0];
+      return hasResourceAccess(attachment.entity_type, attachment.entity_id, user);
+    }
+
+    case 'chat': {
+      // Participants, plus everyone who may join a team or course channel
+      const chatResult = await query(`
+        SELECT c.team_id, c.course_id,
+          EXISTS (SELECT 1 FROM chat_participants cp WHERE cp.chat_id = c.id AND cp.user_id = $2) as is_participant
+        FROM chats c
+        WHERE c.id = $1
+      `, [id, userId]);
+      if (chatResult.rows.length === 0) {
+        return false;
+      }
+      const chat = chatResult.rows[0];
+      if (chat.is_participant) {
+        return true;
+      }
+      if (chat.course_id) {
+        return hasResourceAccess('course', chat.course_id, user);
+      }
+      if (chat.team_id) {
+        const memberResult = await query('SELECT 1 FROM users WHERE id = $1 AND team_id = $2', [userId, chat.team_id]);
+        return memberResult.rows.length > 0;
+      }
+      return false;
+    }
+
+    case 'chat_message': {
+      const messageResult = await query(
+        'SELECT chat_id FROM chat_messages WHERE id = $1 AND deleted_at IS NULL',
+        [id]
+      );
+      if (messageResult.rows.length === 0) {
+        return false;
+      }
+      return hasResourceAccess('chat', messageResult.rows[0].chat_id, user);
+    }
+
+    case 'user':
+      // Users can access their own profile, managers can access team members
+      if (id == userId) {
+        return true;
+      }
+      if (userRole === 'manager') {
+        // Check if target user is in the same team
+        const teamResult = await query(
+          'SELECT 1 FROM users WHERE id = $1 AND team_id = (SELECT team_id FROM users WHERE id = $2)',
+          [id, userId]
+        );
+        return teamResult.rows.length > 0;
+      }
+      return false;
+
+    default:
+      return false;
+  }
+};
+
 // Resource-based authorization middleware
 const authorizeResource = (resourceType) => {
   return async (req, res, next) => {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-      const userRole = req.user.role;
       
       // Admin users have access to all resources
-      if (userRole === 'admin') {
+      if (req.user.role === 'admin') {
         return next();
       }
       
       // Check resource-specific permissions
-      let hasAccess = false;
-      
-      switch (resourceType) {
-        case 'course':
-          // Check if user is assigned to the course or is a manager
-          if (userRole === 'manager') {
-            hasAccess = true;
-          } else {
-            const assignmentResult = await query(
-              'SELECT 1 FROM course_assignments WHERE course_id = $1 AND user_id = $2',
-              [id, userId]
-            );
-            hasAccess = assignmentResult.rows.length > 0;
-          }
-          break;
-          
-        case 'user':
-          // Users can access their own profile, managers can access team members
-          if (id == userId) {
-            hasAccess = true;
-          } else if (userRole === 'manager') {
-            // Check if target user is in the same team
-            const teamResult = await query(
-              'SELECT 1 FROM users WHERE id = $1 AND team_id = (SELECT team_id FROM users WHERE id = $2)',
-              [id, userId]
-            );
-            hasAccess = teamResult.rows.length > 0;
-          }
-          break;
-          
-        default:
-          hasAccess = false;
-      }
+      const hasAccess = await hasResourceAccess(resourceType, id, req.user);
       
       if (!hasAccess) {
         logger.logSecurityEvent('UNAUTHORIZED_RESOURCE_ACCESS', {
@@ -283,6 +459,8 @@ const authorizeResource = (resourceType) => {
 
 module.exports = {
   authenticate,
+  authenticateReviewer,
   authorize,
-  authorizeResource
+  authorizeResource,
+  hasResourceAccess
 };
\ No newline at end of file
@@ -13,9 +13,19 @@ router.get('/workload', authorize(['admin', 'manager']), analyticsController.get
 // Workload analysis (alias for frontend compatibility)
 router.get('/workload-analysis', authorize(['admin', 'manager']), analyticsController.getWorkload);
 
+// Workload rebalancing suggestions and applying them
+router.get('/workload/rebalance', authorize(['admin', 'manager']), analyticsController.getRebalancingSuggestions);
+router.post('/workload/rebalance/apply', authorize(['admin', 'manager']), analyticsController.applyRebalancing);
+
 // Performance metrics
 router.get('/performance', authorize(['admin', 'manager', 'designer']), analyticsController.getPerformance);
 
+// Estimate-vs-actual variance
+router.get('/estimates', authorize(['admin', 'manager', 'designer']), analyticsController.getEstimateVariance);
+
+// Time spent in each phase
+router.get('/phase-cycle-times', authorize(['admin', 'manager', 'designer']), analyticsController.getPhaseCycleTimes);
+
 // Impact analysis
 router.get('/impact/:courseId', authorizeResource('course'), analyticsController.getImpactAnalysis);
 
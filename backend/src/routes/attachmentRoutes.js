@@ -0,0 +1,113 @@
+const express = require('express');
+const multer = require('multer');
+const { param, body } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest, validateFileUpload } = require('../middleware/validateRequest');
+const { authorizeResource } = require('../middleware/authenticate');
+const AttachmentService = require('../services/AttachmentService');
+const attachmentController = require('../controllers/attachmentController');
+
+const router = express.Router();
+
+const { maxFileSize, allowedTypes } = new AttachmentService();
+
+// Files are kept in memory and handed to the storage backend by AttachmentService
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 }
+});
+
+// Run multer and report its limit errors like the other validation errors
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size: ${Math.round(maxFileSize / 1024 / 1024)}MB`
+        : error.message;
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message
+        }
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Sets the entity type for the shared entity handlers
+const forEntity = (entityType) => (req, res, next) => {
+  req.entityType = entityType;
+  next();
+};
+
+// Courses, subtasks and chats use integer ids, comments use UUIDs
+const ENTITY_ROUTES = [
+  { entityType: 'course', validateId: () => param('id').isInt({ min: 1 }) },
+  { entityType: 'subtask', validateId: () => param('id').isInt({ min: 1 }) },
+  { entityType: 'comment', validateId: () => param('id').isUUID() },
+  { entityType: 'chat', validateId: () => param('id').isInt({ min: 1 }) }
+];
+
+ENTITY_ROUTES.forEach(({ entityType, validateId }) => {
+  // List attachments of an entity
+  router.get(`/${entityType}/:id`,
+    validateId().withMessage(`Valid ${entityType} ID is required`),
+    validateRequest,
+    authorizeResource(entityType),
+    forEntity(entityType),
+    asyncHandler(attachmentController.getAttachments)
+  );
+
+  // Upload attachment to an entity (versionOf adds a new version of an existing file)
+  router.post(`/${entityType}/:id`,
+    validateId().withMessage(`Valid ${entityType} ID is required`),
+    validateRequest,
+    authorizeResource(entityType),
+    uploadSingleFile,
+    validateFileUpload({ allowedTypes, maxSize: maxFileSize, maxFiles: 1 }),
+    body('versionOf').optional({ checkFalsy: true }).isUUID().withMessage('versionOf must be an attachment ID'),
+    body('subtaskId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('subtaskId must be a positive integer'),
+    body('courseDeliverableId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('courseDeliverableId must be a positive integer'),
+    validateRequest,
+    forEntity(entityType),
+    asyncHandler(attachmentController.uploadAttachment)
+  );
+});
+
+// Download attachment
+router.get('/:id/download',
+  param('id').isUUID().withMessage('Valid attachment ID is required'),
+  validateRequest,
+  authorizeResource('attachment'),
+  asyncHandler(attachmentController.downloadAttachment)
+);
+
+// Version history of an attachment
+router.get('/:id/versions',
+  param('id').isUUID().withMessage('Valid attachment ID is required'),
+  validateRequest,
+  authorizeResource('attachment'),
+  asyncHandler(attachmentController.getVersions)
+);
+
+// Restore an earlier version as current
+router.post('/:id/restore',
+  param('id').isUUID().withMessage('Valid attachment ID is required'),
+  validateRequest,
+  authorizeResource('attachment'),
+  asyncHandler(attachmentController.restoreVersion)
+);
+
+// Delete attachment
+router.delete('/:id',
+  param('id').isUUID().withMessage('Valid attachment ID is required'),
+  validateRequest,
+  authorizeResource('attachment'),
+  asyncHandler(attachmentController.deleteAttachment)
+);
+
+module.exports = router;
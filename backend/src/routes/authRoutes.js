@@ -125,6 +125,11 @@ router.post('/login', asyncHandler(async (req, res) => {
     throw new AuthenticationError('Invalid email or password');
   }
   
+  // External reviewers sign in to the review portal instead
+  if (user.role === 'external_reviewer') {
+    throw new AuthenticationError('External reviewers sign in through the review portal');
+  }
+  
   // Generate tokens
   const { accessToken, refreshToken } = generateTokens(user);
   
@@ -244,7 +249,7 @@ router.post('/refresh', asyncHandler(async (req, res) => {
       [decoded.userId]
     );
     
-    if (userResult.rows.length === 0 || !userResult.rows[0].active) {
+    if (userResult.rows.length === 0 || !userResult.rows[0].active || userResult.rows[0].role === 'external_reviewer') {
       throw new AuthenticationError('Invalid refresh token');
     }
     
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const { authorize } = require('../middleware/authenticate');
+const automationController = require('../controllers/automationController');
+
+const router = express.Router();
+
+const TRIGGER_TYPES = ['phase_change', 'course_status_change', 'due_date'];
+
+// Get automation rules
+router.get('/rules',
+  authorize(['admin', 'manager']),
+  query('programId').optional().isUUID().withMessage('Valid program ID is required'),
+  query('triggerType').optional().isIn(TRIGGER_TYPES).withMessage('Invalid trigger type'),
+  validateRequest,
+  asyncHandler(automationController.getRules)
+);
+
+// Get single automation rule
+router.get('/rules/:id',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid rule ID is required'),
+  validateRequest,
+  asyncHandler(automationController.getRule)
+);
+
+// Create automation rule
+router.post('/rules',
+  authorize(['admin', 'manager']),
+  body('name').notEmpty().withMessage('Rule name is required'),
+  body('description').optional({ nullable: true }).isString(),
+  body('programId').optional({ nullable: true }).isUUID().withMessage('Valid program ID is required'),
+  body('triggerType').isIn(TRIGGER_TYPES).withMessage('Invalid trigger type'),
+  body('triggerConditions').optional().isObject().withMessage('triggerConditions must be an object'),
+  body('actions').isArray({ min: 1 }).withMessage('At least one action is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validateRequest,
+  asyncHandler(automationController.createRule)
+);
+
+// Update automation rule
+router.put('/rules/:id',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid rule ID is required'),
+  body('name').optional().notEmpty().withMessage('Rule name cannot be empty'),
+  body('description').optional({ nullable: true }).isString(),
+  body('programId').optional({ nullable: true }).isUUID().withMessage('Valid program ID is required'),
+  body('triggerType').optional().isIn(TRIGGER_TYPES).withMessage('Invalid trigger type'),
+  body('triggerConditions').optional().isObject().withMessage('triggerConditions must be an object'),
+  body('actions').optional().isArray({ min: 1 }).withMessage('At least one action is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validateRequest,
+  asyncHandler(automationController.updateRule)
+);
+
+// Enable or disable automation rule
+router.put('/rules/:id/toggle',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid rule ID is required'),
+  body('isActive').isBoolean().withMessage('isActive must be a boolean'),
+  validateRequest,
+  asyncHandler(automationController.toggleRule)
+);
+
+// Delete automation rule
+router.delete('/rules/:id',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid rule ID is required'),
+  validateRequest,
+  asyncHandler(automationController.deleteRule)
+);
+
+// Dry run automation rule against a course or subtask
+router.post('/rules/:id/dry-run',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid rule ID is required'),
+  body('courseId').isInt({ min: 1 }).withMessage('Valid course ID is required'),
+  body('subtaskId').optional().isInt({ min: 1 }).withMessage('Valid subtask ID is required'),
+  body('fromStatus').optional().isString(),
+  body('toStatus').optional().isString(),
+  body('field').optional().isString(),
+  validateRequest,
+  asyncHandler(automationController.dryRunRule)
+);
+
+// Get execution logs for automation rule
+router.get('/logs/:ruleId',
+  authorize(['admin', 'manager']),
+  param('ruleId').isUUID().withMessage('Valid rule ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  validateRequest,
+  asyncHandler(automationController.getRuleLogs)
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { param } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// iCalendar feed, public because calendar clients cannot send a bearer token.
+// The secret token in the URL identifies the user.
+router.get('/:token.ics',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+  validateRequest,
+  asyncHandler(calendarController.getFeed)
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Calendar events (due dates, phases and Final (Gold) dates) in a date range
+router.get('/events',
+  query('startDate').isISO8601().withMessage('startDate must be a date'),
+  query('endDate').isISO8601().withMessage('endDate must be a date'),
+  query('userId').optional().isInt({ min: 1 }),
+  query('teamId').optional().isInt({ min: 1 }),
+  query('programId').optional().isUUID().withMessage('programId must be a program ID'),
+  query('mine').optional().isBoolean(),
+  query('types').optional().matches(/^(due_date|phase|gold)(,(due_date|phase|gold))*$/)
+    .withMessage('types must be a comma separated list of due_date, phase and gold'),
+  validateRequest,
+  asyncHandler(calendarController.getEvents)
+);
+
+// The current user's iCalendar feed
+router.get('/feed-token',
+  asyncHandler(calendarController.getFeedStatus)
+);
+
+router.post('/feed-token',
+  asyncHandler(calendarController.regenerateFeedToken)
+);
+
+router.delete('/feed-token',
+  asyncHandler(calendarController.revokeFeedToken)
+);
+
+module.exports = router;
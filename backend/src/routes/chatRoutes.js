@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const { authorizeResource } = require('../middleware/authenticate');
+const chatController = require('../controllers/chatController');
+
+const router = express.Router();
+
+const chatIdValidation = () => param('id').isInt({ min: 1 }).withMessage('Valid chat ID is required');
+
+const messageValidation = [
+  body('content').optional({ nullable: true }).isString().isLength({ max: 10000 }).withMessage('Content must be at most 10000 characters'),
+  body('type').optional().isIn(['text', 'file']).withMessage('Type must be text or file'),
+  body('replyToId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('replyToId must be a message ID'),
+  body('attachments').optional().isArray({ max: 10 }),
+  body('attachments.*').isUUID().withMessage('Attachments must be attachment IDs')
+];
+
+// Chats of the current user
+router.get('/',
+  query('includeArchived').optional().isBoolean(),
+  validateRequest,
+  asyncHandler(chatController.getChats)
+);
+
+// Users that can be added to a chat
+router.get('/users',
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  validateRequest,
+  asyncHandler(chatController.searchUsers)
+);
+
+// Create a direct chat, group chat or channel
+router.post('/',
+  body('type').isIn(['direct', 'group', 'channel']).withMessage('Type must be direct, group or channel'),
+  body('name').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('participantIds').isArray({ min: 1 }).withMessage('At least one participant is required'),
+  body('participantIds.*').isInt({ min: 1 }).withMessage('Participants must be user IDs'),
+  validateRequest,
+  asyncHandler(chatController.createChat)
+);
+
+// Open the channel of a team
+router.post('/team/:teamId',
+  param('teamId').isInt({ min: 1 }).withMessage('Valid team ID is required'),
+  validateRequest,
+  asyncHandler(chatController.openTeamChannel)
+);
+
+// Open the channel of a course
+router.post('/course/:id',
+  param('id').isInt({ min: 1 }).withMessage('Valid course ID is required'),
+  validateRequest,
+  authorizeResource('course'),
+  asyncHandler(chatController.openCourseChannel)
+);
+
+// Edit a message
+router.put('/messages/:id',
+  param('id').isInt({ min: 1 }).withMessage('Valid message ID is required'),
+  body('content').optional({ nullable: true }).isString().isLength({ max: 10000 }),
+  validateRequest,
+  authorizeResource('chat_message'),
+  asyncHandler(chatController.updateMessage)
+);
+
+// Delete a message
+router.delete('/messages/:id',
+  param('id').isInt({ min: 1 }).withMessage('Valid message ID is required'),
+  validateRequest,
+  authorizeResource('chat_message'),
+  asyncHandler(chatController.deleteMessage)
+);
+
+// Get a chat
+router.get('/:id',
+  chatIdValidation(),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.getChat)
+);
+
+// Update chat details or own mute/pin/archive settings
+router.put('/:id',
+  chatIdValidation(),
+  body('name').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('is_muted').optional().isBoolean(),
+  body('is_pinned').optional().isBoolean(),
+  body('is_archived').optional().isBoolean(),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.updateChat)
+);
+
+// Add participants
+router.post('/:id/participants',
+  chatIdValidation(),
+  body('userIds').isArray({ min: 1 }).withMessage('At least one user is required'),
+  body('userIds.*').isInt({ min: 1 }).withMessage('Users must be user IDs'),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.addParticipants)
+);
+
+// Leave a chat or remove a participant
+router.delete('/:id/participants/:userId',
+  chatIdValidation(),
+  param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.removeParticipant)
+);
+
+// Messages of a chat, oldest first (before = message id for older pages)
+router.get('/:id/messages',
+  chatIdValidation(),
+  query('before').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.getMessages)
+);
+
+// Send a message (upload files to attachments/chat/:id first)
+router.post('/:id/messages',
+  chatIdValidation(),
+  messageValidation,
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.sendMessage)
+);
+
+// Mark the chat as read
+router.post('/:id/read',
+  chatIdValidation(),
+  body('messageId').optional({ nullable: true }).isInt({ min: 1 }),
+  validateRequest,
+  authorizeResource('chat'),
+  asyncHandler(chatController.markAsRead)
+);
+
+module.exports = router;
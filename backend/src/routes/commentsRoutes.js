@@ -4,7 +4,7 @@ const commentsController = require('../controllers/commentsController');
 const { authenticate } = require('../middleware/authenticate');
 const asyncHandler = require('../middleware/asyncHandler');
 const { validateRequest } = require('../middleware/validateRequest');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 // All routes require authentication
 router.use(authenticate);
@@ -16,24 +16,36 @@ const createCommentValidation = [
   body('content').notEmpty().withMessage('Comment content is required'),
   body('parent_id').optional().isUUID(),
   body('mentions').optional().isArray(),
-  body('attachments').optional().isArray()
+  body('attachments').optional().isArray(),
+  body('attachments.*').isUUID().withMessage('Attachments must be attachment IDs')
 ];
 
 const updateCommentValidation = [
   param('id').isUUID(),
   body('content').notEmpty().withMessage('Comment content is required'),
   body('mentions').optional().isArray(),
-  body('attachments').optional().isArray()
+  body('attachments').optional().isArray(),
+  body('attachments.*').isUUID().withMessage('Attachments must be attachment IDs')
 ];
 
 const replyValidation = [
   param('parentId').isUUID(),
   body('content').notEmpty().withMessage('Reply content is required'),
   body('mentions').optional().isArray(),
-  body('attachments').optional().isArray()
+  body('attachments').optional().isArray(),
+  body('attachments.*').isUUID().withMessage('Attachments must be attachment IDs')
 ];
 
 // Routes
+router.get('/mentions/:entityType/:entityId',
+  param('entityType').isIn(['course', 'subtask', 'task', 'program']).withMessage('Invalid entity type'),
+  param('entityId').notEmpty(),
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  validateRequest,
+  asyncHandler(commentsController.getMentionableUsers)
+);
+
 router.get('/:entityType/:entityId',
   param('entityType').notEmpty(),
   param('entityId').notEmpty(),
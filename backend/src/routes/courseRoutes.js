@@ -12,6 +12,11 @@ router.post('/', authorize(['admin', 'manager', 'designer']), courseController.c
 router.get('/deliverables', courseController.getDeliverables);
 router.get('/deliverables/:modality', courseController.getModalityDeliverables);
 router.get('/modality-info/:modality', courseController.getModalityInfo);
+router.post('/predict-effort', authorize(['admin', 'manager', 'designer']), courseController.predictEffort);
+
+// Timeline and board (must come before /:id routes)
+router.get('/timeline', courseController.getTimeline);
+router.get('/board', courseController.getBoard);
 
 router.get('/:id', authorizeResource('course'), courseController.getCourseById);
 router.put('/:id', authorizeResource('course'), courseController.updateCourse);
@@ -22,6 +27,14 @@ router.post('/:id/subtasks', authorizeResource('course'), courseController.creat
 router.put('/:id/subtasks/:subtaskId', authorizeResource('course'), courseController.updateSubtask);
 router.delete('/:id/subtasks/:subtaskId', authorizeResource('course'), courseController.deleteSubtask);
 
+// Estimate operations
+router.get('/:id/estimates', authorizeResource('course'), courseController.getEstimates);
+router.put('/:id/subtasks/:subtaskId/estimate', authorizeResource('course'), courseController.setSubtaskEstimate);
+router.delete('/:id/subtasks/:subtaskId/estimate', authorizeResource('course'), courseController.deleteSubtaskEstimate);
+
+// Assignee recommendations
+router.get('/:id/subtasks/:subtaskId/assignee-recommendations', authorizeResource('course'), courseController.getAssigneeRecommendations);
+
 // Phase status history operations
 router.put('/:id/subtasks/:subtaskId/phase-history/:historyId', authorizeResource('course'), courseController.updatePhaseStatusHistory);
 
@@ -29,6 +42,15 @@ router.put('/:id/subtasks/:subtaskId/phase-history/:historyId', authorizeResourc
 router.get('/:id/archived-phases', authorizeResource('course'), courseController.getArchivedPhaseData);
 router.get('/:id/phase-history', authorizeResource('course'), courseController.getCoursePhaseHistory);
 
+// Dependency operations
+router.get('/:id/dependencies', authorizeResource('course'), courseController.getDependencies);
+router.get('/:id/dependencies/graph', authorizeResource('course'), courseController.getDependencyGraph);
+router.get('/:id/schedule-impact', authorizeResource('course'), courseController.getScheduleImpact);
+router.get('/:id/cascades', authorizeResource('course'), courseController.getScheduleCascades);
+router.post('/:id/cascades/:cascadeId/undo', authorizeResource('course'), courseController.undoScheduleCascade);
+router.post('/:id/dependencies', authorizeResource('course'), courseController.addDependency);
+router.delete('/:id/dependencies/:dependencyId', authorizeResource('course'), courseController.removeDependency);
+
 // Status operations
 router.get('/:id/status', authorizeResource('course'), courseController.getCourseStatus);
 router.post('/:id/recalculate-status', authorize(['admin', 'manager']), courseController.recalculateStatus);
@@ -0,0 +1,93 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const { authorize } = require('../middleware/authenticate');
+const customFieldController = require('../controllers/customFieldController');
+
+const router = express.Router();
+
+const ENTITY_TYPES = ['course', 'subtask', 'program'];
+const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'boolean', 'url', 'user'];
+
+// Courses and subtasks use integer ids, programs use UUIDs
+const validateEntityParams = [
+  param('entityType').isIn(ENTITY_TYPES).withMessage(`Entity type must be one of: ${ENTITY_TYPES.join(', ')}`),
+  param('entityId').custom((value, { req }) => {
+    if (req.params.entityType === 'program') {
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+    }
+    return /^[1-9]\d*$/.test(value);
+  }).withMessage('Valid entity ID is required')
+];
+
+// Get field definitions
+router.get('/definitions',
+  query('entityType').isIn(ENTITY_TYPES).withMessage(`Entity type must be one of: ${ENTITY_TYPES.join(', ')}`),
+  query('programId').optional().isUUID().withMessage('Valid program ID is required'),
+  validateRequest,
+  asyncHandler(customFieldController.getDefinitions)
+);
+
+// Get single field definition
+router.get('/definitions/:id',
+  param('id').isUUID().withMessage('Valid field ID is required'),
+  validateRequest,
+  asyncHandler(customFieldController.getDefinition)
+);
+
+// Create field definition
+router.post('/definitions',
+  authorize(['admin', 'manager']),
+  body(['entityType', 'entity_type']).optional().isIn(ENTITY_TYPES).withMessage(`Entity type must be one of: ${ENTITY_TYPES.join(', ')}`),
+  body(['programId', 'program_id']).optional({ nullable: true }).isUUID().withMessage('Valid program ID is required'),
+  body(['fieldType', 'field_type']).optional().isIn(FIELD_TYPES).withMessage(`Field type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body(['options']).optional().isArray().withMessage('Options must be an array'),
+  body(['validationRules', 'validation_rules']).optional({ nullable: true }).isObject().withMessage('Validation rules must be an object'),
+  validateRequest,
+  asyncHandler(customFieldController.createDefinition)
+);
+
+// Update field definition
+router.put('/definitions/:id',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid field ID is required'),
+  body(['fieldType', 'field_type']).optional().isIn(FIELD_TYPES).withMessage(`Field type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body(['options']).optional().isArray().withMessage('Options must be an array'),
+  body(['validationRules', 'validation_rules']).optional({ nullable: true }).isObject().withMessage('Validation rules must be an object'),
+  validateRequest,
+  asyncHandler(customFieldController.updateDefinition)
+);
+
+// Delete field definition
+router.delete('/definitions/:id',
+  authorize(['admin', 'manager']),
+  param('id').isUUID().withMessage('Valid field ID is required'),
+  validateRequest,
+  asyncHandler(customFieldController.deleteDefinition)
+);
+
+// Get values for an entity
+router.get('/values/:entityType/:entityId',
+  validateEntityParams,
+  validateRequest,
+  asyncHandler(customFieldController.getValues)
+);
+
+// Update values for an entity
+router.put('/values/:entityType/:entityId',
+  validateEntityParams,
+  body('values').isObject().withMessage('Values must be an object keyed by field ID or key'),
+  validateRequest,
+  asyncHandler(customFieldController.updateValues)
+);
+
+// Update a single value for an entity
+router.put('/values/:entityType/:entityId/:fieldId',
+  validateEntityParams,
+  param('fieldId').isUUID().withMessage('Valid field ID is required'),
+  validateRequest,
+  asyncHandler(customFieldController.updateValue)
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const externalReviewerController = require('../controllers/externalReviewerController');
+const { authorize } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Managing external reviewers is limited to admins and managers
+router.use(authorize(['admin', 'manager']));
+
+router.get('/', externalReviewerController.getReviewers);
+router.post('/', externalReviewerController.inviteReviewer);
+router.delete('/:id', externalReviewerController.deactivateReviewer);
+
+// Course access and sign-in links
+router.post('/:id/courses', externalReviewerController.assignCourse);
+router.delete('/:id/courses/:courseId', externalReviewerController.unassignCourse);
+router.post('/:id/login-link', externalReviewerController.sendLoginLink);
+
+module.exports = router;
@@ -22,6 +22,11 @@ router.delete('/tasks/:id', authorize(['admin']), modalityController.deleteModal
 // Reorder modality tasks (admin only)
 router.post('/tasks/reorder', authorize(['admin']), modalityController.reorderModalityTasks);
 
+// Phase pipelines per modality - must come before /:id routes
+router.get('/pipelines', modalityController.getAllPipelines);
+router.get('/pipelines/:modality', modalityController.getPipeline);
+router.put('/pipelines/:modality', authorize(['admin']), modalityController.updatePipeline);
+
 // Modality management routes
 router.get('/', modalityController.getAllModalities);
 router.post('/', authorize(['admin']), modalityController.createModality);
@@ -28,12 +28,20 @@ const updateProgramValidation = [
   body('type').optional().isIn(['program', 'client', 'department']),
   body('status').optional().isIn(['active', 'inactive', 'archived']),
   body('color').optional().matches(/^#[0-9A-F]{6}$/i),
+  body('billing_currency').optional().matches(/^[A-Z]{3}$/).withMessage('Billing currency must be an ISO 4217 code'),
   body('contact_email').optional().custom((value) => {
     if (!value || value.trim() === '') return true; // Allow empty strings
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value); // Validate email format if not empty
   }).withMessage('Invalid email format')
 ];
 
+const billingRateValidation = [
+  body('user_id').optional({ nullable: true }).isInt(),
+  body('role').optional({ nullable: true }).isIn(['admin', 'manager', 'designer', 'reviewer', 'viewer']),
+  body('effective_from').optional({ nullable: true }).isISO8601(),
+  body('notes').optional({ nullable: true }).isString()
+];
+
 // Routes
 router.get('/', 
   asyncHandler(programController.getPrograms)
@@ -99,6 +107,37 @@ router.delete('/:id/members/:userId',
   asyncHandler(programController.removeMember)
 );
 
+// Billing rates
+router.get('/:id/billing-rates',
+  param('id').isUUID(),
+  validateRequest,
+  asyncHandler(programController.getBillingRates)
+);
+
+router.post('/:id/billing-rates',
+  param('id').isUUID(),
+  body('hourly_rate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  billingRateValidation,
+  validateRequest,
+  asyncHandler(programController.createBillingRate)
+);
+
+router.put('/:id/billing-rates/:rateId',
+  param('id').isUUID(),
+  param('rateId').isInt(),
+  body('hourly_rate').optional().isFloat({ min: 0 }),
+  billingRateValidation,
+  validateRequest,
+  asyncHandler(programController.updateBillingRate)
+);
+
+router.delete('/:id/billing-rates/:rateId',
+  param('id').isUUID(),
+  param('rateId').isInt(),
+  validateRequest,
+  asyncHandler(programController.deleteBillingRate)
+);
+
 // Course duplication
 router.post('/courses/:courseId/duplicate',
   param('courseId').isInt(),
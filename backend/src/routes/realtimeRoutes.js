@@ -0,0 +1,43 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const { authorize } = require('../middleware/authenticate');
+const realtimeController = require('../controllers/realtimeController');
+
+const router = express.Router();
+
+const channelsValidation = () => body('channels')
+  .custom(value => Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.length > 0)
+  .withMessage('channels must be a non-empty list');
+
+// Server-Sent Events stream (channels: course:<id>, program:<id>, user:me)
+router.get('/stream',
+  query('channels').optional().isString(),
+  validateRequest,
+  asyncHandler(realtimeController.openStream)
+);
+
+// Subscribe an open stream to channels
+router.post('/subscriptions',
+  body('connectionId').isUUID().withMessage('Valid connection ID is required'),
+  channelsValidation(),
+  validateRequest,
+  asyncHandler(realtimeController.subscribe)
+);
+
+// Unsubscribe an open stream from channels
+router.delete('/subscriptions',
+  body('connectionId').isUUID().withMessage('Valid connection ID is required'),
+  channelsValidation(),
+  validateRequest,
+  asyncHandler(realtimeController.unsubscribe)
+);
+
+// Connection statistics
+router.get('/stats',
+  authorize(['admin']),
+  asyncHandler(realtimeController.getStats)
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const reportSubscriptionController = require('../controllers/reportSubscriptionController');
+const { authorize } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Scheduled reports are managed by admins and managers, access per subscription is checked in the service
+router.use(authorize(['admin', 'manager']));
+
+router.get('/', reportSubscriptionController.getSubscriptions);
+router.post('/', reportSubscriptionController.createSubscription);
+router.get('/:id', reportSubscriptionController.getSubscription);
+router.put('/:id', reportSubscriptionController.updateSubscription);
+router.delete('/:id', reportSubscriptionController.deleteSubscription);
+router.post('/:id/run', reportSubscriptionController.runSubscription);
+router.get('/:id/runs', reportSubscriptionController.getRuns);
+
+module.exports = router;
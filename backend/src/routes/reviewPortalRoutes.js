@@ -0,0 +1,23 @@
+const express = require('express');
+const reviewPortalController = require('../controllers/reviewPortalController');
+const { authenticateReviewer } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Sign-in, no session yet
+router.post('/login', reviewPortalController.login);
+router.post('/session', reviewPortalController.createSession);
+router.post('/request-link', reviewPortalController.requestLink);
+
+// Everything below needs a portal session
+router.use(authenticateReviewer);
+
+router.post('/logout', reviewPortalController.logout);
+router.get('/me', reviewPortalController.getMe);
+router.get('/courses', reviewPortalController.getCourses);
+router.get('/courses/:id', reviewPortalController.getCourse);
+router.post('/courses/:id/comments', reviewPortalController.addComment);
+router.get('/attachments/:id/download', reviewPortalController.downloadAttachment);
+router.post('/subtasks/:id/signoff', reviewPortalController.signOff);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const timeOffController = require('../controllers/timeOffController');
+const { authorize } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Requests waiting for approval by the current manager
+router.get('/pending', authorize(['admin', 'manager']), timeOffController.getPendingApprovals);
+
+// Permissions per entry are checked in the service
+router.get('/', timeOffController.getTimeOff);
+router.post('/', timeOffController.createTimeOff);
+router.post('/:id/approve', authorize(['admin', 'manager']), timeOffController.approveTimeOff);
+router.post('/:id/reject', authorize(['admin', 'manager']), timeOffController.rejectTimeOff);
+router.delete('/:id', timeOffController.deleteTimeOff);
+
+module.exports = router;
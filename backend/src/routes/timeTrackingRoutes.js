@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const timeTrackingController = require('../controllers/timeTrackingController');
-const { authenticate } = require('../middleware/authenticate');
+const { authenticate, authorize } = require('../middleware/authenticate');
 const asyncHandler = require('../middleware/asyncHandler');
 const { validateRequest } = require('../middleware/validateRequest');
 const { body, param, query } = require('express-validator');
@@ -40,6 +40,32 @@ router.get('/',
   asyncHandler(timeTrackingController.getTimeEntries)
 );
 
+// Billing reports (managers only)
+const billingPeriodValidation = [
+  query('start_date').isISO8601().withMessage('Valid start date is required'),
+  query('end_date').isISO8601().withMessage('Valid end date is required'),
+  query('approved_only').optional().isBoolean()
+];
+
+router.get('/reports/billable',
+  authorize(['admin', 'manager']),
+  billingPeriodValidation,
+  query('program_id').optional().isUUID(),
+  query('user_id').optional().isInt(),
+  query('format').optional().isIn(['json', 'csv']),
+  validateRequest,
+  asyncHandler(timeTrackingController.getBillableReport)
+);
+
+router.get('/reports/invoice/:programId',
+  authorize(['admin', 'manager']),
+  param('programId').isUUID(),
+  billingPeriodValidation,
+  query('format').optional().isIn(['json', 'csv', 'pdf']),
+  validateRequest,
+  asyncHandler(timeTrackingController.getInvoiceDraft)
+);
+
 router.get('/:id',
   param('id').isUUID(),
   validateRequest,
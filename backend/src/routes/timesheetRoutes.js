@@ -0,0 +1,63 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateRequest } = require('../middleware/validateRequest');
+const { authorize } = require('../middleware/authenticate');
+const timesheetController = require('../controllers/timesheetController');
+
+const router = express.Router();
+
+// A week of time entries with its timesheet status (draft when never submitted)
+router.get('/week',
+  query('weekStart').optional().isISO8601().withMessage('weekStart must be a date'),
+  query('userId').optional().isInt({ min: 1 }),
+  validateRequest,
+  asyncHandler(timesheetController.getWeek)
+);
+
+// Submitted timesheets waiting for approval by the current manager
+router.get('/pending',
+  authorize(['admin', 'manager']),
+  asyncHandler(timesheetController.getPendingApprovals)
+);
+
+// Timesheets of a user
+router.get('/',
+  query('userId').optional().isInt({ min: 1 }),
+  query('status').optional().isIn(['submitted', 'approved', 'rejected']),
+  query('limit').optional().isInt({ min: 1, max: 104 }),
+  validateRequest,
+  asyncHandler(timesheetController.getTimesheets)
+);
+
+// Submit a week for approval
+router.post('/submit',
+  body('weekStart').isISO8601().withMessage('weekStart must be a date'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  validateRequest,
+  asyncHandler(timesheetController.submitWeek)
+);
+
+router.get('/:id',
+  param('id').isInt({ min: 1 }).withMessage('Valid timesheet ID is required'),
+  validateRequest,
+  asyncHandler(timesheetController.getTimesheet)
+);
+
+router.post('/:id/approve',
+  param('id').isInt({ min: 1 }).withMessage('Valid timesheet ID is required'),
+  body('comment').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  validateRequest,
+  authorize(['admin', 'manager']),
+  asyncHandler(timesheetController.approveTimesheet)
+);
+
+router.post('/:id/reject',
+  param('id').isInt({ min: 1 }).withMessage('Valid timesheet ID is required'),
+  body('comment').isString().trim().notEmpty().withMessage('A comment is required when rejecting a timesheet'),
+  validateRequest,
+  authorize(['admin', 'manager']),
+  asyncHandler(timesheetController.rejectTimesheet)
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const workingCalendarController = require('../controllers/workingCalendarController');
+const { authorize } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Calendar assignment - must come before /:id routes
+router.put('/teams/:teamId', authorize(['admin']), workingCalendarController.setTeamCalendar);
+router.put('/users/:userId', authorize(['admin']), workingCalendarController.setUserCalendar);
+
+// Calendars are readable by everyone, managed by admins
+router.get('/', workingCalendarController.getCalendars);
+router.get('/:id', workingCalendarController.getCalendar);
+router.post('/', authorize(['admin']), workingCalendarController.createCalendar);
+router.put('/:id', authorize(['admin']), workingCalendarController.updateCalendar);
+router.delete('/:id', authorize(['admin']), workingCalendarController.deleteCalendar);
+
+// Holidays
+router.post('/:id/holidays', authorize(['admin']), workingCalendarController.addHolidays);
+router.delete('/:id/holidays/:holidayId', authorize(['admin']), workingCalendarController.removeHoliday);
+
+module.exports = router;
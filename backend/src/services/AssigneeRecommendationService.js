@@ -0,0 +1,425 @@
+const { query } = require('../config/database');
+const ResourceHeatmapService = require('./ResourceHeatmapService');
+const { NotFoundError } = require('../utils/errors');
+const { toDay, fromDay } = require('../utils/dates');
+
+// Share of the score each factor carries. Without required skills the others share the whole score.
+const WEIGHTS = {
+  skills: 0.4,
+  availability: 0.3,
+  workload: 0.15,
+  cycleTime: 0.15
+};
+
+// Window used when neither the request, the current phase nor the course gives an end date
+const DEFAULT_WINDOW_DAYS = 14;
+const MAX_WINDOW_DAYS = 90;
+
+// Open subtasks at which the workload factor bottoms out
+const MAX_OPEN_SUBTASKS = 10;
+
+// Finished phases a user needs on the modality before their cycle time counts
+const MIN_CYCLE_SAMPLES = 3;
+
+// Only recent phases say something about how fast someone works now
+const CYCLE_HISTORY_DAYS = 365;
+
+// Subtasks stay open until completed or signed off
+const OPEN_SUBTASK_SQL = `(cs.completed_at IS NULL AND cs.status NOT IN ('completed', 'final_signoff_received'))`;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const normalizeSkill = (skill) => String(skill).trim().toLowerCase();
+
+/**
+ * Assignee Recommendation Service
+ * Ranks users for a subtask by matching skills, free capacity over the phase window,
+ * current workload and past cycle time on the course's modality, and explains each rank.
+ */
+class AssigneeRecommendationService {
+  constructor() {
+    this.resourceHeatmapService = new ResourceHeatmapService();
+  }
+
+  /**
+   * Ranked candidate assignees for a subtask
+   * @param {Object} options - skills (overrides the subtask's required skills), startDate, endDate, teamId, limit
+   */
+  async recommendForSubtask(courseId, subtaskId, options = {}) {
+    const { skills = null, startDate = null, endDate = null, teamId = null, limit = 10 } = options;
+
+    const subtask = await this.getSubtask(courseId, subtaskId);
+    const requiredSkills = [...new Set((skills || subtask.required_skills || []).map(normalizeSkill).filter(Boolean))];
+    const requiredHours = subtask.estimated_hours !== null ? parseFloat(subtask.estimated_hours) : null;
+    const window = this.getWindow(subtask, startDate, endDate);
+
+    const candidates = await this.getCandidates(teamId);
+    if (candidates.length === 0) {
+      return { subtask: this.describeSubtask(subtask), requiredSkills, requiredHours, window, weights: WEIGHTS, candidates: [] };
+    }
+
+    const userIds = candidates.map(candidate => candidate.id);
+    const [capacity, openSubtasks, cycleTimes, assigned] = await Promise.all([
+      this.getCapacity(userIds, window),
+      this.getOpenSubtaskCounts(userIds, subtask.id),
+      this.getCycleTimes(userIds, subtask.modality),
+      this.getAssignedUserIds(subtask.id)
+    ]);
+
+    const ranked = candidates
+      .map(candidate => this.scoreCandidate(candidate, {
+        requiredSkills,
+        requiredHours,
+        window,
+        modality: subtask.modality,
+        capacity: capacity.get(candidate.id),
+        openSubtasks: openSubtasks.get(candidate.id) || 0,
+        cycleTime: cycleTimes.users.get(candidate.id) || null,
+        modalityAvgDays: cycleTimes.modalityAvgDays,
+        isAssigned: assigned.has(candidate.id)
+      }))
+      .sort((a, b) => b.score - a.score || b.availability.freeHours - a.availability.freeHours || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+
+    return {
+      subtask: this.describeSubtask(subtask),
+      requiredSkills,
+      requiredHours,
+      window,
+      weights: WEIGHTS,
+      candidates: ranked
+    };
+  }
+
+  async getSubtask(courseId, subtaskId) {
+    const result = await query(`
+      SELECT
+        cs.id,
+        cs.title,
+        cs.status,
+        cs.required_skills,
+        c.id as course_id,
+        c.title as course_title,
+        c.modality,
+        c.due_date,
+        est.estimated_hours,
+        spd.started_at as phase_started_at,
+        spd.finished_at as phase_finished_at
+      FROM course_subtasks cs
+      JOIN courses c ON cs.course_id = c.id
+      LEFT JOIN task_estimates est ON est.task_id = cs.id
+      LEFT JOIN subtask_phase_dates spd ON spd.subtask_id = cs.id AND spd.phase_status = cs.status
+      WHERE cs.id = $1 AND cs.course_id = $2 AND c.status != 'deleted'
+    `, [subtaskId, courseId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Subtask not found');
+    }
+
+    return result.rows[0];
+  }
+
+  describeSubtask(subtask) {
+    return {
+      id: subtask.id,
+      title: subtask.title,
+      status: subtask.status,
+      courseId: subtask.course_id,
+      courseTitle: subtask.course_title,
+      modality: subtask.modality
+    };
+  }
+
+  /**
+   * Days the assignee would work on the subtask: from today (or the requested start) to the planned end
+   * of the current phase, falling back to the course due date and then a two week window.
+   */
+  getWindow(subtask, startDate, endDate) {
+    const start = toDay(startDate || new Date());
+    let end = null;
+    let source = 'requested';
+
+    if (endDate) {
+      end = toDay(endDate);
+    } else if (subtask.phase_finished_at && toDay(subtask.phase_finished_at) > start) {
+      end = toDay(subtask.phase_finished_at);
+      source = 'phase';
+    } else if (subtask.due_date && toDay(subtask.due_date) > start) {
+      end = toDay(subtask.due_date);
+      source = 'course';
+    } else {
+      end = start + DEFAULT_WINDOW_DAYS;
+      source = 'default';
+    }
+
+    end = Math.max(start + 1, Math.min(end, start + MAX_WINDOW_DAYS));
+
+    return {
+      startDate: fromDay(start),
+      endDate: fromDay(end),
+      source
+    };
+  }
+
+  async getCandidates(teamId) {
+    const params = [];
+    let teamFilter = '';
+    if (teamId) {
+      params.push(teamId);
+      teamFilter = `AND u.team_id = $${params.length}`;
+    }
+
+    const result = await query(`
+      SELECT u.id, u.name, u.email, u.role, u.skills, u.team_id, t.name as team_name
+      FROM users u
+      LEFT JOIN teams t ON u.team_id = t.id
+      WHERE u.active = true AND u.role <> 'external_reviewer'
+        ${teamFilter}
+      ORDER BY u.name
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Capacity, booked and free hours of each user over the window, from the weekly resource heatmap.
+   * Heatmap weeks keep a per-day scale, so they are multiplied back by the week's working days.
+   */
+  async getCapacity(userIds, window) {
+    const heatmap = await this.resourceHeatmapService.generateHeatmap({
+      startDate: window.startDate,
+      endDate: window.endDate,
+      userIds,
+      capacityType: 'hours',
+      granularity: 'weekly'
+    });
+
+    const byUser = new Map(userIds.map(id => [id, { capacityHours: 0, allocatedHours: 0, freeHours: 0, timeOffHours: 0 }]));
+    heatmap.heatmap.forEach(entry => {
+      const totals = byUser.get(entry.userId);
+      if (!totals) {
+        return;
+      }
+      totals.capacityHours += entry.capacity * entry.workingDays;
+      totals.allocatedHours += entry.allocatedHours * entry.workingDays;
+      totals.freeHours += Math.max(0, entry.capacity - entry.allocatedHours) * entry.workingDays;
+      totals.timeOffHours += entry.timeOffHours || 0;
+    });
+
+    return byUser;
+  }
+
+  async getOpenSubtaskCounts(userIds, excludeSubtaskId) {
+    const result = await query(`
+      SELECT sa.user_id, COUNT(*)::int as count
+      FROM subtask_assignments sa
+      JOIN course_subtasks cs ON sa.subtask_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      WHERE sa.user_id = ANY($1)
+        AND cs.id != $2
+        AND ${OPEN_SUBTASK_SQL}
+        AND c.status NOT IN ('completed', 'cancelled', 'deleted')
+      GROUP BY sa.user_id
+    `, [userIds, excludeSubtaskId]);
+
+    return new Map(result.rows.map(row => [row.user_id, row.count]));
+  }
+
+  /**
+   * Average days per finished phase on courses of the modality, for each user assigned to the subtask
+   * and for the modality as a whole
+   */
+  async getCycleTimes(userIds, modality) {
+    if (!modality) {
+      return { users: new Map(), modalityAvgDays: null };
+    }
+
+    const durations = `
+      SELECT psh.subtask_id, EXTRACT(EPOCH FROM (psh.finished_at - psh.started_at)) / 86400 as days
+      FROM phase_status_history psh
+      JOIN course_subtasks cs ON psh.subtask_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      WHERE c.modality = $1
+        AND c.status != 'deleted'
+        AND psh.finished_at IS NOT NULL
+        AND psh.status NOT IN ('', 'pending')
+        AND psh.finished_at >= CURRENT_DATE - ${CYCLE_HISTORY_DAYS}
+    `;
+
+    const [usersResult, modalityResult] = await Promise.all([
+      query(`
+        WITH d AS (${durations})
+        SELECT sa.user_id, COUNT(*)::int as count, AVG(d.days) as avg_days
+        FROM d
+        JOIN subtask_assignments sa ON sa.subtask_id = d.subtask_id
+        WHERE sa.user_id = ANY($2)
+        GROUP BY sa.user_id
+      `, [modality, userIds]),
+      query(`
+        WITH d AS (${durations})
+        SELECT COUNT(*)::int as count, AVG(d.days) as avg_days
+        FROM d
+      `, [modality])
+    ]);
+
+    const modalityRow = modalityResult.rows[0];
+
+    return {
+      users: new Map(usersResult.rows.map(row => [row.user_id, {
+        count: row.count,
+        avgDays: parseFloat(row.avg_days)
+      }])),
+      modalityAvgDays: modalityRow && modalityRow.count > 0 ? parseFloat(modalityRow.avg_days) : null
+    };
+  }
+
+  async getAssignedUserIds(subtaskId) {
+    const result = await query('SELECT user_id FROM subtask_assignments WHERE subtask_id = $1', [subtaskId]);
+    return new Set(result.rows.map(row => row.user_id));
+  }
+
+  /**
+   * Score a candidate from 0 to 100 with a 0-1 score and an explanation for each factor
+   */
+  scoreCandidate(candidate, context) {
+    const {
+      requiredSkills, requiredHours, window, modality, capacity, openSubtasks,
+      cycleTime, modalityAvgDays, isAssigned
+    } = context;
+
+    const factors = {
+      skills: this.scoreSkills(candidate.skills || [], requiredSkills),
+      availability: this.scoreAvailability(capacity, requiredHours, window),
+      workload: this.scoreWorkload(capacity, openSubtasks),
+      cycleTime: this.scoreCycleTime(cycleTime, modalityAvgDays, modality)
+    };
+
+    // Factors that do not apply (no required skills) are left out rather than scored
+    const applicable = Object.keys(WEIGHTS).filter(key => factors[key].score !== null);
+    const totalWeight = applicable.reduce((sum, key) => sum + WEIGHTS[key], 0);
+    const score = totalWeight > 0
+      ? applicable.reduce((sum, key) => sum + WEIGHTS[key] * factors[key].score, 0) / totalWeight
+      : 0;
+
+    const explanation = Object.keys(WEIGHTS).map(key => factors[key].explanation);
+    if (isAssigned) {
+      explanation.unshift('Already assigned to this subtask');
+    }
+
+    return {
+      userId: candidate.id,
+      name: candidate.name,
+      email: candidate.email,
+      role: candidate.role,
+      teamId: candidate.team_id,
+      teamName: candidate.team_name,
+      isAssigned,
+      score: Math.round(score * 100),
+      breakdown: Object.fromEntries(Object.keys(WEIGHTS).map(key => [
+        key, factors[key].score !== null ? round(factors[key].score) : null
+      ])),
+      matchedSkills: factors.skills.matched,
+      missingSkills: factors.skills.missing,
+      availability: {
+        capacityHours: round(capacity.capacityHours),
+        allocatedHours: round(capacity.allocatedHours),
+        freeHours: round(capacity.freeHours),
+        timeOffHours: round(capacity.timeOffHours)
+      },
+      openSubtasks,
+      cycleTime: cycleTime ? { avgDays: round(cycleTime.avgDays), phases: cycleTime.count } : null,
+      explanation
+    };
+  }
+
+  scoreSkills(userSkills, requiredSkills) {
+    if (requiredSkills.length === 0) {
+      return { score: null, matched: [], missing: [], explanation: 'No skills required for this subtask' };
+    }
+
+    const has = new Set(userSkills.map(normalizeSkill));
+    const matched = requiredSkills.filter(skill => has.has(skill));
+    const missing = requiredSkills.filter(skill => !has.has(skill));
+
+    let explanation;
+    if (missing.length === 0) {
+      explanation = `Has all required skills (${matched.join(', ')})`;
+    } else if (matched.length === 0) {
+      explanation = `Has none of the required skills, missing ${missing.join(', ')}`;
+    } else {
+      explanation = `Has ${matched.length} of ${requiredSkills.length} required skills (${matched.join(', ')}), missing ${missing.join(', ')}`;
+    }
+
+    return { score: matched.length / requiredSkills.length, matched, missing, explanation };
+  }
+
+  scoreAvailability(capacity, requiredHours, window) {
+    const period = `between ${window.startDate} and ${window.endDate}`;
+    const timeOff = capacity.timeOffHours > 0 ? ` after ${round(capacity.timeOffHours, 1)}h of time off` : '';
+
+    if (capacity.capacityHours <= 0) {
+      return { score: 0, explanation: `Not available ${period}${timeOff}` };
+    }
+
+    const free = round(capacity.freeHours, 1);
+    if (requiredHours) {
+      const covers = capacity.freeHours >= requiredHours;
+      return {
+        score: clamp(capacity.freeHours / requiredHours),
+        explanation: covers
+          ? `${free}h free ${period}${timeOff}, covers the ${requiredHours}h estimate`
+          : `Only ${free}h free ${period}${timeOff}, short of the ${requiredHours}h estimate`
+      };
+    }
+
+    return {
+      score: clamp(capacity.freeHours / capacity.capacityHours),
+      explanation: `${free}h of ${round(capacity.capacityHours, 1)}h capacity free ${period}${timeOff}`
+    };
+  }
+
+  scoreWorkload(capacity, openSubtasks) {
+    const utilization = capacity.capacityHours > 0 ? capacity.allocatedHours / capacity.capacityHours : 1;
+    const score = 0.6 * (1 - clamp(utilization)) + 0.4 * (1 - Math.min(openSubtasks, MAX_OPEN_SUBTASKS) / MAX_OPEN_SUBTASKS);
+    const subtasks = openSubtasks === 1 ? '1 open subtask' : `${openSubtasks} open subtasks`;
+
+    return {
+      score,
+      explanation: `${subtasks}, ${Math.round(utilization * 100)}% booked in the window`
+    };
+  }
+
+  /**
+   * Half a point at the modality average, more for finishing phases faster and less for slower.
+   * Users without enough history stay neutral.
+   */
+  scoreCycleTime(cycleTime, modalityAvgDays, modality) {
+    if (!modality) {
+      return { score: 0.5, explanation: 'Course has no modality to compare cycle times on' };
+    }
+
+    if (!modalityAvgDays) {
+      return { score: 0.5, explanation: `No finished ${modality} phases to compare cycle times` };
+    }
+
+    if (!cycleTime || cycleTime.count < MIN_CYCLE_SAMPLES) {
+      return { score: 0.5, explanation: `Not enough finished ${modality} phases to compare cycle time` };
+    }
+
+    const ratio = cycleTime.avgDays > 0 ? modalityAvgDays / cycleTime.avgDays : 2;
+    const comparison = ratio >= 1.1 ? 'faster than' : ratio <= 0.9 ? 'slower than' : 'in line with';
+
+    return {
+      score: clamp(ratio / 2),
+      explanation: `Finishes ${modality} phases in ${round(cycleTime.avgDays, 1)} days on average, ${comparison} the ${round(modalityAvgDays, 1)} day average (${cycleTime.count} phases)`
+    };
+  }
+}
+
+module.exports = AssigneeRecommendationService;
@@ -0,0 +1,496 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const FileStorageService = require('./FileStorageService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/svg+xml',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'application/x-zip-compressed',
+  'text/plain',
+  'text/csv',
+  'video/mp4',
+  'audio/mpeg'
+];
+
+/**
+ * Attachment Service
+ * Stores files for courses, subtasks and comments through the configured storage backend
+ */
+class AttachmentService {
+  constructor() {
+    this.storage = new FileStorageService();
+    this.entityTypes = ['course', 'subtask', 'comment', 'chat', 'chat_message'];
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+    this.allowedTypes = process.env.ALLOWED_FILE_TYPES
+      ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+      : DEFAULT_ALLOWED_TYPES;
+  }
+
+  /**
+   * Columns returned to clients (storage details stay server side)
+   */
+  get publicColumns() {
+    return `
+      a.id, a.entity_type, a.entity_id, a.original_name, a.mime_type, a.file_size,
+      a.metadata, a.created_at, a.created_by, u.name as uploaded_by_name,
+      a.version_group_id, a.version_number, a.is_current, a.subtask_id, a.phase_status,
+      a.course_status, a.course_deliverable_id, a.restored_at
+    `;
+  }
+
+  /**
+   * List attachments of an entity (current version of each chain)
+   */
+  async listForEntity(entityType, entityId) {
+    const result = await query(`
+      SELECT ${this.publicColumns},
+        (
+          SELECT COUNT(*)::int FROM attachments v
+          WHERE v.version_group_id = a.version_group_id AND v.is_deleted = false
+        ) as version_count
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.entity_type = $1 AND a.entity_id = $2 AND a.is_deleted = false AND a.is_current = true
+      ORDER BY a.created_at DESC
+    `, [entityType, String(entityId)]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a single attachment including storage details
+   */
+  async getAttachment(id) {
+    const result = await query(`
+      SELECT a.*, u.name as uploaded_by_name
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.id = $1 AND a.is_deleted = false
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Store an uploaded file (multer memory file) and record it.
+   * Passing versionOf adds the file as the new current version of that attachment's chain.
+   */
+  async createAttachment({ entityType, entityId, file, userId, versionOf = null, subtaskId = null, courseDeliverableId = null }) {
+    if (!file) {
+      throw new ValidationError('No file uploaded', [{ path: ['file'], message: 'A file is required' }]);
+    }
+
+    const previous = versionOf ? await this.getAttachment(versionOf) : null;
+
+    if (previous && (previous.entity_type !== entityType || previous.entity_id !== String(entityId))) {
+      throw new ValidationError('Invalid version', [{
+        path: ['versionOf'],
+        message: 'A new version must be uploaded to the same entity as the original file'
+      }]);
+    }
+
+    const versionContext = await this.resolveVersionContext({
+      entityType,
+      entityId,
+      subtaskId: subtaskId || previous?.subtask_id,
+      courseDeliverableId: courseDeliverableId || previous?.course_deliverable_id
+    });
+
+    const attachmentId = uuidv4();
+    const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const filename = `${uuidv4()}${extension}`;
+    const storageKey = `${entityType}/${entityId}/${filename}`;
+
+    const { storagePath, storageType } = await this.storage.save(storageKey, file.buffer, file.mimetype);
+
+    try {
+      const versionGroupId = previous ? previous.version_group_id : attachmentId;
+
+      const versionNumber = await transaction(async (client) => {
+        let nextVersion = 1;
+
+        if (previous) {
+          // Lock the chain so concurrent uploads get distinct version numbers
+          const versions = await client.query(`
+            SELECT version_number FROM attachments
+            WHERE version_group_id = $1
+            FOR UPDATE
+          `, [versionGroupId]);
+
+          nextVersion = Math.max(...versions.rows.map(row => row.version_number)) + 1;
+
+          await client.query(`
+            UPDATE attachments SET is_current = false
+            WHERE version_group_id = $1 AND is_current = true
+          `, [versionGroupId]);
+        }
+
+        await client.query(`
+          INSERT INTO attachments (
+            id, entity_type, entity_id, filename, original_name, mime_type, file_size,
+            storage_path, storage_type, metadata, created_by,
+            version_group_id, version_number, is_current,
+            subtask_id, phase_status, course_status, course_deliverable_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, true, $14, $15, $16, $17)
+        `, [
+          attachmentId,
+          entityType,
+          String(entityId),
+          filename,
+          file.originalname,
+          file.mimetype,
+          file.size,
+          storagePath,
+          storageType,
+          JSON.stringify({ encoding: file.encoding }),
+          userId,
+          versionGroupId,
+          nextVersion,
+          versionContext.subtaskId,
+          versionContext.phaseStatus,
+          versionContext.courseStatus,
+          versionContext.courseDeliverableId
+        ]);
+
+        return nextVersion;
+      });
+
+      logger.info('Attachment uploaded', {
+        attachmentId,
+        entityType,
+        entityId,
+        versionGroupId,
+        versionNumber,
+        phaseStatus: versionContext.phaseStatus,
+        fileSize: file.size,
+        storageType,
+        userId
+      });
+
+      return this.getPublicAttachment(attachmentId);
+
+    } catch (error) {
+      // Don't leave orphaned files behind when the row could not be written
+      await this.storage.remove(storagePath, storageType).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the subtask phase, course status and deliverable recorded with an upload
+   */
+  async resolveVersionContext({ entityType, entityId, subtaskId, courseDeliverableId }) {
+    const context = {
+      subtaskId: null,
+      phaseStatus: null,
+      courseStatus: null,
+      courseDeliverableId: null
+    };
+
+    if (entityType !== 'course' && entityType !== 'subtask') {
+      if (subtaskId || courseDeliverableId) {
+        throw new ValidationError('Invalid version details', [{
+          path: ['subtaskId'],
+          message: 'Only course and subtask attachments can be linked to a phase or deliverable'
+        }]);
+      }
+      return context;
+    }
+
+    if (entityType === 'subtask') {
+      subtaskId = subtaskId || entityId;
+    }
+
+    let courseId = entityType === 'course' ? parseInt(entityId) : null;
+
+    if (subtaskId) {
+      const subtaskResult = await query(`
+        SELECT cs.id, cs.status, cs.course_id, c.status as course_status
+        FROM course_subtasks cs
+        JOIN courses c ON cs.course_id = c.id
+        WHERE cs.id = $1
+      `, [subtaskId]);
+
+      const subtask = subtaskResult.rows[0];
+
+      if (!subtask || (courseId && subtask.course_id !== courseId) ||
+          (entityType === 'subtask' && subtask.id !== parseInt(entityId))) {
+        throw new ValidationError('Invalid version details', [{
+          path: ['subtaskId'],
+          message: 'Subtask does not belong to this course'
+        }]);
+      }
+
+      courseId = subtask.course_id;
+      context.subtaskId = subtask.id;
+      context.phaseStatus = subtask.status || null;
+      context.courseStatus = subtask.course_status;
+    } else {
+      const courseResult = await query('SELECT status FROM courses WHERE id = $1', [courseId]);
+      context.courseStatus = courseResult.rows[0]?.status || null;
+    }
+
+    if (courseDeliverableId) {
+      const deliverableResult = await query(`
+        SELECT id FROM course_deliverables WHERE id = $1 AND course_id = $2
+      `, [courseDeliverableId, courseId]);
+
+      if (deliverableResult.rows.length === 0) {
+        throw new ValidationError('Invalid version details', [{
+          path: ['courseDeliverableId'],
+          message: 'Deliverable does not belong to this course'
+        }]);
+      }
+
+      context.courseDeliverableId = deliverableResult.rows[0].id;
+    }
+
+    return context;
+  }
+
+  /**
+   * Get all versions of the chain an attachment belongs to, newest first
+   */
+  async getVersionHistory(id) {
+    const attachment = await this.getAttachment(id);
+
+    const result = await query(`
+      SELECT ${this.publicColumns},
+        cs.title as subtask_title,
+        d.name as deliverable_name,
+        ru.name as restored_by_name
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      LEFT JOIN users ru ON a.restored_by = ru.id
+      LEFT JOIN course_subtasks cs ON a.subtask_id = cs.id
+      LEFT JOIN course_deliverables cd ON a.course_deliverable_id = cd.id
+      LEFT JOIN deliverables d ON cd.deliverable_id = d.id
+      WHERE a.version_group_id = $1 AND a.is_deleted = false
+      ORDER BY a.version_number DESC
+    `, [attachment.version_group_id]);
+
+    return result.rows;
+  }
+
+  /**
+   * Make an earlier version the current version of its chain
+   */
+  async restoreVersion(id, userId) {
+    const attachment = await this.getAttachment(id);
+
+    if (attachment.is_current) {
+      return this.getPublicAttachment(id);
+    }
+
+    await transaction(async (client) => {
+      await client.query(`
+        SELECT id FROM attachments WHERE version_group_id = $1 FOR UPDATE
+      `, [attachment.version_group_id]);
+
+      await client.query(`
+        UPDATE attachments SET is_current = false
+        WHERE version_group_id = $1 AND is_current = true
+      `, [attachment.version_group_id]);
+
+      await client.query(`
+        UPDATE attachments
+        SET is_current = true, restored_at = CURRENT_TIMESTAMP, restored_by = $2
+        WHERE id = $1
+      `, [id, userId]);
+    });
+
+    logger.info('Attachment version restored', {
+      attachmentId: id,
+      versionGroupId: attachment.version_group_id,
+      versionNumber: attachment.version_number,
+      userId
+    });
+
+    return this.getPublicAttachment(id);
+  }
+
+  /**
+   * Get the versions uploaded for a course and its subtasks, used by the phase history
+   */
+  async getCourseVersions(courseId) {
+    const result = await query(`
+      SELECT ${this.publicColumns}, d.name as deliverable_name
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      LEFT JOIN course_deliverables cd ON a.course_deliverable_id = cd.id
+      LEFT JOIN deliverables d ON cd.deliverable_id = d.id
+      WHERE a.is_deleted = false
+        AND a.subtask_id IS NOT NULL
+        AND (
+          (a.entity_type = 'course' AND a.entity_id = $1)
+          OR (a.entity_type = 'subtask' AND a.entity_id IN (
+            SELECT id::text FROM course_subtasks WHERE course_id = $2
+          ))
+        )
+      ORDER BY a.version_group_id, a.version_number
+    `, [String(courseId), courseId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get attachment without storage details
+   */
+  async getPublicAttachment(id) {
+    const result = await query(`
+      SELECT ${this.publicColumns}
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.id = $1
+    `, [id]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Open a download stream for an attachment
+   */
+  async openDownload(id) {
+    const attachment = await this.getAttachment(id);
+
+    try {
+      const stream = await this.storage.createReadStream(attachment.storage_path, attachment.storage_type);
+      return { attachment, stream };
+    } catch (error) {
+      logger.logError(error, {
+        context: 'AttachmentService.openDownload',
+        attachmentId: id
+      });
+      throw new NotFoundError('Attachment file is no longer available');
+    }
+  }
+
+  /**
+   * Soft delete an attachment and remove the stored file.
+   * Deleting the current version makes the latest remaining version current.
+   */
+  async deleteAttachment(id, userId) {
+    const attachment = await this.getAttachment(id);
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE attachments
+        SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, is_current = false
+        WHERE id = $1
+      `, [id]);
+
+      if (attachment.is_current) {
+        await client.query(`
+          UPDATE attachments SET is_current = true
+          WHERE id = (
+            SELECT id FROM attachments
+            WHERE version_group_id = $1 AND is_deleted = false
+            ORDER BY version_number DESC
+            LIMIT 1
+          )
+        `, [attachment.version_group_id]);
+      }
+    });
+
+    try {
+      await this.storage.remove(attachment.storage_path, attachment.storage_type);
+    } catch (error) {
+      logger.logError(error, {
+        context: 'AttachmentService.deleteAttachment',
+        attachmentId: id
+      });
+    }
+
+    logger.info('Attachment deleted', { attachmentId: id, userId });
+
+    return attachment;
+  }
+
+  /**
+   * Move uploaded attachments onto a comment and return their ids.
+   * Only the uploader can attach a file to a comment.
+   */
+  async linkToComment(client, commentId, attachmentIds, userId) {
+    return this.linkToEntity(client, 'comment', commentId, attachmentIds, userId);
+  }
+
+  /**
+   * Move uploaded attachments onto a chat message and return their ids.
+   * Files must have been uploaded to the message's chat by the sender.
+   */
+  async linkToChatMessage(client, message, attachmentIds, userId) {
+    return this.linkToEntity(client, 'chat_message', message.id, attachmentIds, userId, {
+      entityType: 'chat',
+      entityId: message.chat_id
+    });
+  }
+
+  /**
+   * Move attachments uploaded by a user onto an entity, optionally only from a given source entity
+   */
+  async linkToEntity(client, entityType, entityId, attachmentIds, userId, source = null) {
+    const ids = [...new Set((attachmentIds || []).map(id => String(id).toLowerCase()))];
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await client.query(`
+      UPDATE attachments
+      SET entity_type = $1, entity_id = $2
+      WHERE id = ANY($3::uuid[]) AND created_by = $4 AND is_deleted = false
+        AND ($5::text IS NULL OR (entity_type = $5 AND entity_id = $6))
+      RETURNING id
+    `, [entityType, String(entityId), ids, userId, source?.entityType || null, source ? String(source.entityId) : null]);
+
+    if (result.rows.length !== ids.length) {
+      const linked = new Set(result.rows.map(row => row.id));
+      const missing = ids.filter(id => !linked.has(id));
+
+      throw new ValidationError('Invalid attachments', missing.map(id => ({
+        path: ['attachments'],
+        message: `Attachment ${id} does not exist or was not uploaded by you`
+      })));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get attachment summaries keyed by id, used to expand comments.attachments
+   */
+  async getSummaries(ids) {
+    if (!ids || ids.length === 0) {
+      return {};
+    }
+
+    const result = await query(`
+      SELECT ${this.publicColumns}
+      FROM attachments a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.id = ANY($1::uuid[]) AND a.is_deleted = false
+    `, [ids]);
+
+    return Object.fromEntries(result.rows.map(row => [row.id, row]));
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,666 @@
+const { query, transaction } = require('../config/database');
+const NotificationService = require('./NotificationService');
+const { toDateString } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+/**
+ * Automation Rules Engine
+ * Evaluates automation_rules against phase changes, course status changes and due dates,
+ * executes their actions and records every firing in automation_logs
+ */
+class AutomationEngine {
+  constructor() {
+    this.notificationService = new NotificationService();
+
+    this.triggerTypes = {
+      PHASE_CHANGE: 'phase_change',
+      COURSE_STATUS_CHANGE: 'course_status_change',
+      DUE_DATE: 'due_date'
+    };
+
+    this.actionTypes = {
+      REASSIGN: 'reassign',
+      SET_PRIORITY: 'set_priority',
+      NOTIFY: 'notify',
+      ADD_COMMENT: 'add_comment'
+    };
+
+    // Condition keys compared directly against the event context
+    this.matcherKeys = ['fromStatus', 'toStatus', 'field', 'taskType', 'modality', 'priority', 'courseStatus'];
+  }
+
+  /**
+   * Handle a trigger event - never throws so callers are not affected by rule failures
+   */
+  async handleEvent(triggerType, event) {
+    try {
+      const context = await this.buildContext(triggerType, event);
+      if (!context) {
+        return [];
+      }
+
+      const rules = await this.getActiveRules(triggerType, context.course.program_id);
+      const firings = [];
+
+      for (const rule of rules) {
+        const evaluation = this.evaluateConditions(rule.trigger_conditions, context);
+        if (!evaluation.matched) {
+          continue;
+        }
+
+        firings.push(await this.executeRule(rule, context));
+      }
+
+      return firings;
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'AutomationEngine.handleEvent',
+        triggerType,
+        event
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Load course (and subtask) data an event is evaluated against
+   */
+  async buildContext(triggerType, event) {
+    const { courseId, subtaskId = null, fromStatus = null, toStatus = null, field = null, triggeredBy = null } = event;
+
+    const courseResult = await query(`
+      SELECT id, title, status, calculated_status, priority, modality, program_id, owner_id, start_date, due_date
+      FROM courses
+      WHERE id = $1 AND status != 'deleted'
+    `, [courseId]);
+
+    if (courseResult.rows.length === 0) {
+      return null;
+    }
+
+    const course = courseResult.rows[0];
+
+    let subtask = null;
+    if (subtaskId) {
+      const subtaskResult = await query(
+        'SELECT id, course_id, title, task_type, status FROM course_subtasks WHERE id = $1',
+        [subtaskId]
+      );
+      subtask = subtaskResult.rows[0] || null;
+    }
+
+    const daysUntilDue = course.due_date
+      ? Math.ceil((new Date(course.due_date) - new Date()) / (1000 * 60 * 60 * 24))
+      : null;
+
+    return {
+      triggerType,
+      course,
+      subtask,
+      fromStatus,
+      toStatus,
+      field,
+      taskType: subtask?.task_type || null,
+      modality: course.modality,
+      priority: course.priority,
+      courseStatus: course.status,
+      daysUntilDue,
+      triggeredBy
+    };
+  }
+
+  /**
+   * Get active rules for a trigger type - global rules plus rules of the course's program
+   */
+  async getActiveRules(triggerType, programId = null) {
+    const result = await query(`
+      SELECT *
+      FROM automation_rules
+      WHERE trigger_type = $1
+        AND is_active = true
+        AND (program_id IS NULL OR program_id = $2)
+      ORDER BY created_at ASC
+    `, [triggerType, programId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Evaluate rule conditions against an event context
+   */
+  evaluateConditions(conditions = {}, context) {
+    const reasons = [];
+
+    for (const key of this.matcherKeys) {
+      const expected = conditions[key];
+      if (expected === undefined || expected === null || expected === '') {
+        continue;
+      }
+
+      const allowed = Array.isArray(expected) ? expected : [expected];
+      const actual = context[key];
+
+      if (!allowed.includes(actual)) {
+        reasons.push(`${key} is "${actual}", expected ${allowed.map(value => `"${value}"`).join(' or ')}`);
+      }
+    }
+
+    if (context.triggerType === this.triggerTypes.DUE_DATE) {
+      const daysBefore = conditions.daysBefore ?? 0;
+      const { daysUntilDue } = context;
+
+      if (daysUntilDue === null) {
+        reasons.push('course has no due date');
+      } else if (daysUntilDue < 0 && !conditions.includeOverdue) {
+        reasons.push(`course is ${Math.abs(daysUntilDue)} days overdue and overdue courses are excluded`);
+      } else if (daysUntilDue > daysBefore) {
+        reasons.push(`course is due in ${daysUntilDue} days, rule fires at ${daysBefore} days`);
+      }
+    }
+
+    return {
+      matched: reasons.length === 0,
+      reasons
+    };
+  }
+
+  /**
+   * Execute all actions of a rule and log the firing
+   */
+  async executeRule(rule, context) {
+    const actionResults = [];
+
+    for (const action of rule.actions || []) {
+      try {
+        const result = await this.executeAction(action, rule, context);
+        actionResults.push({ type: action.type, status: 'success', result });
+      } catch (error) {
+        logger.logError(error, {
+          context: 'AutomationEngine.executeRule',
+          ruleId: rule.id,
+          actionType: action.type
+        });
+        actionResults.push({ type: action.type, status: 'failed', error: error.message });
+      }
+    }
+
+    const failedCount = actionResults.filter(result => result.status === 'failed').length;
+    let executionStatus = 'success';
+    if (failedCount === actionResults.length && actionResults.length > 0) {
+      executionStatus = 'failed';
+    } else if (failedCount > 0) {
+      executionStatus = 'partial';
+    }
+
+    const entity = this.getLogEntity(context);
+
+    const log = await transaction(async (client) => {
+      const logResult = await client.query(`
+        INSERT INTO automation_logs (
+          rule_id, entity_type, entity_id, trigger_type, triggered_by,
+          execution_status, execution_details, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        RETURNING *
+      `, [
+        rule.id,
+        entity.type,
+        String(entity.id),
+        context.triggerType,
+        context.triggeredBy,
+        executionStatus,
+        JSON.stringify({
+          event: this.describeEvent(context),
+          actions: actionResults
+        })
+      ]);
+
+      await client.query(
+        'UPDATE automation_rules SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [rule.id]
+      );
+
+      return logResult.rows[0];
+    });
+
+    logger.info('Automation rule fired', {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      triggerType: context.triggerType,
+      courseId: context.course.id,
+      subtaskId: context.subtask?.id,
+      executionStatus
+    });
+
+    return {
+      ruleId: rule.id,
+      logId: log.id,
+      executionStatus,
+      actions: actionResults
+    };
+  }
+
+  /**
+   * Execute a single action
+   */
+  async executeAction(action, rule, context) {
+    switch (action.type) {
+      case this.actionTypes.REASSIGN:
+        return this.executeReassign(action, rule, context);
+      case this.actionTypes.SET_PRIORITY:
+        return this.executeSetPriority(action, rule, context);
+      case this.actionTypes.NOTIFY:
+        return this.executeNotify(action, rule, context);
+      case this.actionTypes.ADD_COMMENT:
+        return this.executeAddComment(action, rule, context);
+      default:
+        throw new Error(`Unknown automation action type: ${action.type}`);
+    }
+  }
+
+  /**
+   * Reassign the subtask (phase events) or the course (other events)
+   */
+  async executeReassign(action, rule, context) {
+    const { userIds = [], mode = 'add', role = 'designer' } = action;
+    const assignedBy = rule.created_by;
+
+    if (context.subtask) {
+      const subtaskId = context.subtask.id;
+
+      return transaction(async (client) => {
+        if (mode === 'replace') {
+          await client.query(
+            'DELETE FROM subtask_assignments WHERE subtask_id = $1 AND NOT (user_id = ANY($2))',
+            [subtaskId, userIds]
+          );
+        }
+
+        for (const userId of userIds) {
+          await client.query(`
+            INSERT INTO subtask_assignments (subtask_id, user_id, assigned_by, assigned_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+            ON CONFLICT (subtask_id, user_id) DO NOTHING
+          `, [subtaskId, userId, assignedBy]);
+        }
+
+        return { target: 'subtask', subtaskId, userIds, mode };
+      });
+    }
+
+    const courseId = context.course.id;
+
+    return transaction(async (client) => {
+      if (mode === 'replace') {
+        await client.query(
+          'DELETE FROM course_assignments WHERE course_id = $1 AND role = $2 AND NOT (user_id = ANY($3))',
+          [courseId, role, userIds]
+        );
+      }
+
+      for (const userId of userIds) {
+        await client.query(`
+          INSERT INTO course_assignments (course_id, user_id, role, assigned_by, assigned_at)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          ON CONFLICT (course_id, user_id, role) DO NOTHING
+        `, [courseId, userId, role, assignedBy]);
+      }
+
+      return { target: 'course', courseId, userIds, role, mode };
+    });
+  }
+
+  /**
+   * Set the course priority
+   */
+  async executeSetPriority(action, rule, context) {
+    const { priority } = action;
+    const courseId = context.course.id;
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE courses
+        SET priority = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [priority, rule.created_by, courseId]);
+
+      await client.query(`
+        INSERT INTO audit_logs (
+          user_id, entity_type, entity_id, action, changes, created_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      `, [
+        rule.created_by,
+        'course',
+        courseId,
+        'updated',
+        JSON.stringify({
+          priority: { from: context.course.priority, to: priority },
+          method: 'automation_rule',
+          ruleId: rule.id
+        })
+      ]);
+    });
+
+    return { courseId, from: context.course.priority, to: priority };
+  }
+
+  /**
+   * Send in-app notifications to the configured recipients
+   */
+  async executeNotify(action, rule, context) {
+    const recipientIds = await this.resolveRecipients(action, context);
+    const title = this.interpolate(action.title || rule.name, rule, context);
+    const message = this.interpolate(action.message || '', rule, context);
+
+    const notified = [];
+    for (const userId of recipientIds) {
+      const notification = await this.notificationService.createNotification({
+        userId,
+        type: action.notificationType || 'automation_rule',
+        priority: action.priority || 'normal',
+        title,
+        message,
+        relatedEntityType: 'course',
+        relatedEntityId: context.course.id,
+        fromUserId: rule.created_by,
+        actionUrl: `/courses/${context.course.id}`,
+        actionData: { ruleId: rule.id, subtaskId: context.subtask?.id || null }
+      }, { skipDuplicateCheck: true });
+
+      if (notification) {
+        notified.push(userId);
+      }
+    }
+
+    return { notified };
+  }
+
+  /**
+   * Add a comment to the course on behalf of the rule owner
+   */
+  async executeAddComment(action, rule, context) {
+    const content = this.interpolate(action.content, rule, context);
+    const entityId = String(context.course.id);
+
+    const comment = await transaction(async (client) => {
+      const commentResult = await client.query(`
+        INSERT INTO comments (entity_type, entity_id, content, mentions, attachments, created_by)
+        VALUES ('course', $1, $2, '[]', '[]', $3)
+        RETURNING *
+      `, [entityId, content, rule.created_by]);
+
+      await client.query(`
+        INSERT INTO activities (entity_type, entity_id, action, metadata, user_id)
+        VALUES ('course', $1, 'commented', $2, $3)
+      `, [
+        entityId,
+        JSON.stringify({
+          comment_id: commentResult.rows[0].id,
+          content: content.substring(0, 100),
+          automation_rule_id: rule.id
+        }),
+        rule.created_by
+      ]);
+
+      return commentResult.rows[0];
+    });
+
+    return { commentId: comment.id };
+  }
+
+  /**
+   * Resolve notify recipients: explicit user ids and/or named groups
+   */
+  async resolveRecipients(action, context) {
+    const { userIds = [], recipients = [] } = action;
+    const resolved = new Set(userIds);
+
+    if (recipients.includes('owner') && context.course.owner_id) {
+      resolved.add(context.course.owner_id);
+    }
+
+    if (recipients.includes('assignees')) {
+      const result = await query(
+        'SELECT DISTINCT user_id FROM course_assignments WHERE course_id = $1',
+        [context.course.id]
+      );
+      result.rows.forEach(row => resolved.add(row.user_id));
+    }
+
+    if (recipients.includes('subtask_assignees') && context.subtask) {
+      const result = await query(
+        'SELECT user_id FROM subtask_assignments WHERE subtask_id = $1',
+        [context.subtask.id]
+      );
+      result.rows.forEach(row => resolved.add(row.user_id));
+    }
+
+    return Array.from(resolved);
+  }
+
+  /**
+   * Replace {{placeholders}} in action text with event values
+   */
+  interpolate(template, rule, context) {
+    const values = {
+      'rule.name': rule.name,
+      'course.id': context.course.id,
+      'course.title': context.course.title,
+      'course.priority': context.course.priority,
+      'course.dueDate': context.course.due_date ? new Date(context.course.due_date).toLocaleDateString() : '',
+      'subtask.title': context.subtask?.title || '',
+      fromStatus: context.fromStatus || '',
+      toStatus: context.toStatus || '',
+      daysUntilDue: context.daysUntilDue ?? ''
+    };
+
+    return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) =>
+      values[key] !== undefined ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Describe what would happen if a rule fired for an entity, without executing anything
+   */
+  async dryRun(rule, event) {
+    const context = await this.buildContext(rule.trigger_type, event);
+    if (!context) {
+      return {
+        ruleId: rule.id,
+        matched: false,
+        reasons: ['course not found'],
+        plannedActions: []
+      };
+    }
+
+    const evaluation = this.evaluateConditions(rule.trigger_conditions, context);
+    const programMismatch = rule.program_id && rule.program_id !== context.course.program_id;
+    if (programMismatch) {
+      evaluation.matched = false;
+      evaluation.reasons.push('course belongs to a different program');
+    }
+
+    const plannedActions = [];
+    for (const action of rule.actions || []) {
+      plannedActions.push(await this.describeAction(action, rule, context));
+    }
+
+    return {
+      ruleId: rule.id,
+      matched: evaluation.matched,
+      reasons: evaluation.reasons,
+      event: this.describeEvent(context),
+      plannedActions
+    };
+  }
+
+  /**
+   * Describe the effect of an action for dry runs
+   */
+  async describeAction(action, rule, context) {
+    switch (action.type) {
+      case this.actionTypes.REASSIGN:
+        return {
+          type: action.type,
+          target: context.subtask ? 'subtask' : 'course',
+          userIds: action.userIds || [],
+          mode: action.mode || 'add',
+          role: context.subtask ? undefined : (action.role || 'designer')
+        };
+      case this.actionTypes.SET_PRIORITY:
+        return { type: action.type, from: context.course.priority, to: action.priority };
+      case this.actionTypes.NOTIFY:
+        return {
+          type: action.type,
+          recipients: await this.resolveRecipients(action, context),
+          title: this.interpolate(action.title || rule.name, rule, context),
+          message: this.interpolate(action.message || '', rule, context)
+        };
+      case this.actionTypes.ADD_COMMENT:
+        return { type: action.type, content: this.interpolate(action.content, rule, context) };
+      default:
+        return { type: action.type, error: 'Unknown action type' };
+    }
+  }
+
+  /**
+   * Evaluate due date rules for all open courses (run by JobScheduler)
+   */
+  async runDueDateTriggers() {
+    const rules = await query(`
+      SELECT * FROM automation_rules
+      WHERE trigger_type = $1 AND is_active = true
+    `, [this.triggerTypes.DUE_DATE]);
+
+    let fired = 0;
+    let errors = 0;
+
+    for (const rule of rules.rows) {
+      const daysBefore = rule.trigger_conditions?.daysBefore ?? 0;
+
+      try {
+        // Courses inside the rule window that the rule has not fired for with their current due date.
+        // A course fires again only when its due date moves. Logs written before the due date was
+        // recorded count for the day they were written.
+        const coursesResult = await query(`
+          SELECT c.id
+          FROM courses c
+          WHERE c.due_date IS NOT NULL
+            AND c.due_date <= CURRENT_DATE + ($1::int * INTERVAL '1 day')
+            AND c.status NOT IN ('deleted', 'completed', 'cancelled')
+            AND ($2::uuid IS NULL OR c.program_id = $2)
+            AND NOT EXISTS (
+              SELECT 1 FROM automation_logs al
+              WHERE al.rule_id = $3
+                AND al.entity_type = 'course'
+                AND al.entity_id = c.id::text
+                AND (al.execution_details->'event'->>'dueDate' = to_char(c.due_date, 'YYYY-MM-DD')
+                  OR (al.execution_details->'event'->>'dueDate' IS NULL AND al.created_at >= CURRENT_DATE))
+            )
+        `, [daysBefore, rule.program_id, rule.id]);
+
+        for (const row of coursesResult.rows) {
+          const context = await this.buildContext(this.triggerTypes.DUE_DATE, { courseId: row.id });
+          if (!context || !this.evaluateConditions(rule.trigger_conditions, context).matched) {
+            continue;
+          }
+
+          await this.executeRule(rule, context);
+          fired++;
+        }
+      } catch (error) {
+        errors++;
+        logger.logError(error, {
+          context: 'AutomationEngine.runDueDateTriggers',
+          ruleId: rule.id
+        });
+      }
+    }
+
+    logger.info('Due date automation triggers evaluated', {
+      rulesEvaluated: rules.rows.length,
+      fired,
+      errors
+    });
+
+    return { rulesEvaluated: rules.rows.length, fired, errors };
+  }
+
+  /**
+   * Validate trigger conditions and actions of a rule definition
+   */
+  validateRuleDefinition({ triggerType, triggerConditions = {}, actions = [] }) {
+    const details = [];
+
+    if (!Object.values(this.triggerTypes).includes(triggerType)) {
+      details.push({ path: ['triggerType'], message: `Unknown trigger type "${triggerType}"` });
+    }
+
+    if (triggerType === this.triggerTypes.DUE_DATE && triggerConditions.daysBefore !== undefined) {
+      if (!Number.isInteger(triggerConditions.daysBefore) || triggerConditions.daysBefore < 0) {
+        details.push({ path: ['triggerConditions', 'daysBefore'], message: 'daysBefore must be a non-negative integer' });
+      }
+    }
+
+    actions.forEach((action, index) => {
+      const path = ['actions', index];
+
+      switch (action.type) {
+        case this.actionTypes.REASSIGN:
+          if (!Array.isArray(action.userIds) || action.userIds.length === 0) {
+            details.push({ path: [...path, 'userIds'], message: 'reassign requires at least one user id' });
+          }
+          if (action.mode && !['add', 'replace'].includes(action.mode)) {
+            details.push({ path: [...path, 'mode'], message: 'mode must be "add" or "replace"' });
+          }
+          break;
+        case this.actionTypes.SET_PRIORITY:
+          if (!action.priority) {
+            details.push({ path: [...path, 'priority'], message: 'set_priority requires a priority' });
+          }
+          break;
+        case this.actionTypes.NOTIFY:
+          if ((!action.userIds || action.userIds.length === 0) && (!action.recipients || action.recipients.length === 0)) {
+            details.push({ path: [...path, 'recipients'], message: 'notify requires recipients or user ids' });
+          }
+          break;
+        case this.actionTypes.ADD_COMMENT:
+          if (!action.content) {
+            details.push({ path: [...path, 'content'], message: 'add_comment requires content' });
+          }
+          break;
+        default:
+          details.push({ path: [...path, 'type'], message: `Unknown action type "${action.type}"` });
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * Entity a firing is logged against
+   */
+  getLogEntity(context) {
+    return context.subtask
+      ? { type: 'subtask', id: context.subtask.id }
+      : { type: 'course', id: context.course.id };
+  }
+
+  /**
+   * Compact event description stored with each firing
+   */
+  describeEvent(context) {
+    return {
+      triggerType: context.triggerType,
+      courseId: context.course.id,
+      subtaskId: context.subtask?.id || null,
+      fromStatus: context.fromStatus,
+      toStatus: context.toStatus,
+      field: context.field,
+      dueDate: context.course.due_date ? toDateString(context.course.due_date) : null,
+      daysUntilDue: context.daysUntilDue
+    };
+  }
+}
+
+module.exports = AutomationEngine;
@@ -0,0 +1,499 @@
+const { query } = require('../config/database');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { toCsv } = require('../utils/csv');
+const { PdfDocument } = require('../utils/pdf');
+
+const USER_ROLES = ['admin', 'manager', 'designer', 'reviewer', 'viewer'];
+
+// Most specific rate of the entry's program (or its parent client) effective at the entry date
+const RATE_LATERAL_SQL = `
+  LEFT JOIN LATERAL (
+    SELECT r.hourly_rate, rp.billing_currency as currency
+    FROM program_billing_rates r
+    JOIN programs rp ON r.program_id = rp.id
+    WHERE r.program_id IN (p.id, p.parent_id)
+      AND (r.user_id = te.user_id OR r.role = u.role OR (r.user_id IS NULL AND r.role IS NULL))
+      AND (r.effective_from IS NULL OR r.effective_from <= te.start_time::date)
+    ORDER BY (r.program_id = p.id) DESC, (r.user_id IS NOT NULL) DESC, (r.role IS NOT NULL) DESC,
+      r.effective_from DESC NULLS LAST
+    LIMIT 1
+  ) rate ON true
+`;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const formatMoney = (amount, currency) =>
+  `${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+/**
+ * Billing Service
+ * Per-program billing rates, billable hours reports and client invoice drafts (CSV and PDF).
+ */
+class BillingService {
+  async getProgram(programId) {
+    const result = await query(`
+      SELECT id, name, code, type, parent_id, owner_id, billing_currency,
+        contact_name, contact_email, contact_phone
+      FROM programs
+      WHERE id = $1
+    `, [programId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Program not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Admins, managers and program owners/admins can manage billing rates
+   */
+  async assertCanManageRates(user, programId) {
+    const program = await this.getProgram(programId);
+
+    if (['admin', 'manager'].includes(user.role) || program.owner_id === user.id) {
+      return program;
+    }
+
+    const memberResult = await query(
+      `SELECT 1 FROM program_members WHERE program_id = $1 AND user_id = $2 AND role IN ('owner', 'admin')`,
+      [programId, user.id]
+    );
+
+    if (memberResult.rows.length === 0) {
+      throw new ForbiddenError('Only program owners and managers can manage billing rates');
+    }
+
+    return program;
+  }
+
+  async listRates(programId) {
+    const result = await query(`
+      SELECT r.*, u.name as user_name, u.email as user_email
+      FROM program_billing_rates r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.program_id = $1
+      ORDER BY (r.user_id IS NOT NULL), (r.role IS NOT NULL), r.role, u.name, r.effective_from NULLS FIRST
+    `, [programId]);
+
+    return result.rows;
+  }
+
+  validateRate(data) {
+    const errors = [];
+
+    if (data.user_id && data.role) {
+      errors.push({ path: ['role'], message: 'A rate applies either to a user or to a role, not both' });
+    }
+    if (data.role && !USER_ROLES.includes(data.role)) {
+      errors.push({ path: ['role'], message: `Role must be one of ${USER_ROLES.join(', ')}` });
+    }
+    if (data.hourly_rate !== undefined && (Number.isNaN(Number(data.hourly_rate)) || Number(data.hourly_rate) < 0)) {
+      errors.push({ path: ['hourly_rate'], message: 'Hourly rate must be a positive number' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid billing rate', errors);
+    }
+  }
+
+  async createRate(programId, data, userId) {
+    this.validateRate(data);
+
+    try {
+      const result = await query(`
+        INSERT INTO program_billing_rates (program_id, user_id, role, hourly_rate, effective_from, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        programId,
+        data.user_id || null,
+        data.role || null,
+        data.hourly_rate,
+        data.effective_from || null,
+        data.notes || null,
+        userId
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError('A rate for this user or role and start date already exists');
+      }
+      throw error;
+    }
+  }
+
+  async updateRate(programId, rateId, data) {
+    const existing = await query(
+      'SELECT * FROM program_billing_rates WHERE id = $1 AND program_id = $2',
+      [rateId, programId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Billing rate not found');
+    }
+
+    const rate = { ...existing.rows[0], ...data };
+    this.validateRate(rate);
+
+    try {
+      const result = await query(`
+        UPDATE program_billing_rates
+        SET user_id = $1, role = $2, hourly_rate = $3, effective_from = $4, notes = $5
+        WHERE id = $6
+        RETURNING *
+      `, [rate.user_id || null, rate.role || null, rate.hourly_rate, rate.effective_from || null, rate.notes || null, rateId]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError('A rate for this user or role and start date already exists');
+      }
+      throw error;
+    }
+  }
+
+  async deleteRate(programId, rateId) {
+    const result = await query(
+      'DELETE FROM program_billing_rates WHERE id = $1 AND program_id = $2 RETURNING id',
+      [rateId, programId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Billing rate not found');
+    }
+  }
+
+  normalizePeriod(startDate, endDate) {
+    const start = String(startDate || '').substring(0, 10);
+    const end = String(endDate || '').substring(0, 10);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+      throw new ValidationError('Invalid period', [{ path: ['start_date'], message: 'start_date and end_date are required (YYYY-MM-DD)' }]);
+    }
+    if (end < start) {
+      throw new ValidationError('Invalid period', [{ path: ['end_date'], message: 'end_date must not be before start_date' }]);
+    }
+
+    return { startDate: start, endDate: end };
+  }
+
+  /**
+   * Billable minutes per client, program, course, user and rate
+   * @param {Object} filters - startDate, endDate, programId (includes child programs), userId, approvedOnly
+   */
+  async getBillableRows(filters) {
+    const params = [filters.startDate, filters.endDate];
+    let where = '';
+
+    if (filters.programId) {
+      params.push(filters.programId);
+      where += ` AND (p.id = $${params.length} OR p.parent_id = $${params.length})`;
+    }
+    if (filters.userId) {
+      params.push(filters.userId);
+      where += ` AND te.user_id = $${params.length}`;
+    }
+    if (filters.approvedOnly) {
+      where += ' AND te.is_approved = true';
+    }
+
+    const result = await query(`
+      SELECT
+        client.id as client_id, client.name as client_name,
+        p.id as program_id, p.name as program_name, p.code as program_code,
+        c.id as course_id, c.title as course_title,
+        u.id as user_id, u.name as user_name, u.role as user_role,
+        rate.hourly_rate,
+        COALESCE(rate.currency, p.billing_currency, 'USD') as currency,
+        COUNT(te.id)::int as entry_count,
+        SUM(te.duration)::int as minutes
+      FROM time_entries te
+      JOIN users u ON te.user_id = u.id
+      LEFT JOIN course_subtasks cs ON te.task_id = cs.id
+      LEFT JOIN courses c ON c.id = COALESCE(te.course_id, cs.course_id)
+      LEFT JOIN programs p ON c.program_id = p.id
+      LEFT JOIN programs parent ON p.parent_id = parent.id
+      LEFT JOIN programs client ON client.id = CASE
+        WHEN p.type = 'client' THEN p.id
+        WHEN parent.type = 'client' THEN parent.id
+      END
+      ${RATE_LATERAL_SQL}
+      WHERE te.is_billable = true
+        AND te.duration > 0
+        AND te.start_time >= $1::date
+        AND te.start_time < $2::date + 1
+        ${where}
+      GROUP BY client.id, client.name, p.id, p.name, p.code, p.billing_currency, c.id, c.title,
+        u.id, u.name, u.role, rate.hourly_rate, rate.currency
+      ORDER BY client.name NULLS LAST, p.name NULLS LAST, c.title NULLS LAST, u.name
+    `, params);
+
+    return result.rows.map(row => {
+      const hourlyRate = row.hourly_rate === null ? null : Number(row.hourly_rate);
+      return {
+        ...row,
+        hourly_rate: hourlyRate,
+        hours: toHours(row.minutes),
+        amount: hourlyRate === null ? null : roundAmount((row.minutes / 60) * hourlyRate)
+      };
+    });
+  }
+
+  addTotals(target, row) {
+    target.minutes += row.minutes;
+    target.hours = toHours(target.minutes);
+    if (row.amount === null) {
+      target.unratedMinutes += row.minutes;
+    } else {
+      target.amounts[row.currency] = roundAmount((target.amounts[row.currency] || 0) + row.amount);
+    }
+  }
+
+  emptyTotals() {
+    return { minutes: 0, hours: 0, amounts: {}, unratedMinutes: 0 };
+  }
+
+  /**
+   * Billable hours report grouped by client, program and course.
+   * Amounts are totalled per currency, time without a matching rate is reported as unrated.
+   */
+  async getBillableReport(filters) {
+    const period = this.normalizePeriod(filters.startDate, filters.endDate);
+    const rows = await this.getBillableRows({ ...filters, ...period });
+
+    const totals = this.emptyTotals();
+    const clients = new Map();
+
+    rows.forEach(row => {
+      const clientKey = row.client_id || 'none';
+      if (!clients.has(clientKey)) {
+        clients.set(clientKey, { id: row.client_id, name: row.client_name || 'No client', ...this.emptyTotals(), programs: new Map() });
+      }
+      const client = clients.get(clientKey);
+
+      const programKey = row.program_id || 'none';
+      if (!client.programs.has(programKey)) {
+        client.programs.set(programKey, {
+          id: row.program_id,
+          name: row.program_name || 'No program',
+          code: row.program_code,
+          ...this.emptyTotals(),
+          courses: new Map()
+        });
+      }
+      const program = client.programs.get(programKey);
+
+      const courseKey = row.course_id || 'none';
+      if (!program.courses.has(courseKey)) {
+        program.courses.set(courseKey, { id: row.course_id, title: row.course_title || 'No course', ...this.emptyTotals(), lines: [] });
+      }
+      const course = program.courses.get(courseKey);
+
+      course.lines.push({
+        userId: row.user_id,
+        userName: row.user_name,
+        role: row.user_role,
+        entryCount: row.entry_count,
+        minutes: row.minutes,
+        hours: row.hours,
+        hourlyRate: row.hourly_rate,
+        currency: row.currency,
+        amount: row.amount
+      });
+
+      [course, program, client, totals].forEach(target => this.addTotals(target, row));
+    });
+
+    return {
+      period,
+      filters: {
+        programId: filters.programId || null,
+        userId: filters.userId || null,
+        approvedOnly: Boolean(filters.approvedOnly)
+      },
+      totals,
+      clients: Array.from(clients.values()).map(({ programs, ...client }) => ({
+        ...client,
+        programs: Array.from(programs.values()).map(({ courses, ...program }) => ({
+          ...program,
+          courses: Array.from(courses.values())
+        }))
+      }))
+    };
+  }
+
+  reportToCsv(report) {
+    const rows = [];
+
+    report.clients.forEach(client => {
+      client.programs.forEach(program => {
+        program.courses.forEach(course => {
+          course.lines.forEach(line => {
+            rows.push({
+              client: client.name,
+              program: program.name,
+              program_code: program.code,
+              course: course.title,
+              user: line.userName,
+              role: line.role,
+              entries: line.entryCount,
+              hours: line.hours.toFixed(2),
+              hourly_rate: line.hourlyRate === null ? '' : line.hourlyRate.toFixed(2),
+              amount: line.amount === null ? '' : line.amount.toFixed(2),
+              currency: line.currency
+            });
+          });
+        });
+      });
+    });
+
+    return toCsv([
+      { key: 'client', label: 'Client' },
+      { key: 'program', label: 'Program' },
+      { key: 'program_code', label: 'Program Code' },
+      { key: 'course', label: 'Course' },
+      { key: 'user', label: 'User' },
+      { key: 'role', label: 'Role' },
+      { key: 'entries', label: 'Entries' },
+      { key: 'hours', label: 'Hours' },
+      { key: 'hourly_rate', label: 'Hourly Rate' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'currency', label: 'Currency' }
+    ], rows);
+  }
+
+  /**
+   * Invoice draft of a client or program over a period.
+   * A client invoice includes the time of its child programs.
+   */
+  async getInvoiceDraft(programId, filters = {}) {
+    const program = await this.getProgram(programId);
+    const period = this.normalizePeriod(filters.startDate, filters.endDate);
+    const rows = await this.getBillableRows({ ...period, programId, approvedOnly: filters.approvedOnly });
+
+    const lines = rows.map(row => ({
+      description: [row.program_id !== program.id ? row.program_name : null, row.course_title || 'No course']
+        .filter(Boolean).join(' / '),
+      userName: row.user_name,
+      role: row.user_role,
+      hours: row.hours,
+      hourlyRate: row.hourly_rate,
+      currency: row.currency,
+      amount: row.amount
+    }));
+
+    const totals = this.emptyTotals();
+    rows.forEach(row => this.addTotals(totals, row));
+
+    const reference = program.code || program.id.substring(0, 8);
+
+    return {
+      invoiceNumber: `DRAFT-${reference}-${period.endDate.replace(/-/g, '')}`,
+      issueDate: new Date().toISOString().substring(0, 10),
+      period,
+      approvedOnly: Boolean(filters.approvedOnly),
+      billTo: {
+        name: program.name,
+        contactName: program.contact_name,
+        contactEmail: program.contact_email,
+        contactPhone: program.contact_phone
+      },
+      program: { id: program.id, name: program.name, code: program.code, type: program.type },
+      lines,
+      totals
+    };
+  }
+
+  invoiceToCsv(invoice) {
+    return toCsv([
+      { key: 'description', label: 'Description' },
+      { key: 'userName', label: 'User' },
+      { key: 'role', label: 'Role' },
+      { key: 'hours', label: 'Hours' },
+      { key: 'hourlyRate', label: 'Hourly Rate' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'currency', label: 'Currency' }
+    ], invoice.lines.map(line => ({
+      ...line,
+      hours: line.hours.toFixed(2),
+      hourlyRate: line.hourlyRate === null ? '' : line.hourlyRate.toFixed(2),
+      amount: line.amount === null ? '' : line.amount.toFixed(2)
+    })));
+  }
+
+  invoiceToPdf(invoice) {
+    const doc = new PdfDocument();
+    const right = doc.width - doc.margin;
+    const columns = { user: 300, hours: 400, rate: 470, amount: right };
+
+    doc.text('INVOICE DRAFT', { size: 20, font: 'bold' })
+      .text(invoice.invoiceNumber, { x: right, align: 'right' })
+      .moveDown(18)
+      .text(`Issue date: ${invoice.issueDate}`, { x: right, align: 'right', size: 9 })
+      .moveDown(12)
+      .text(`Period: ${invoice.period.startDate} to ${invoice.period.endDate}`, { x: right, align: 'right', size: 9 })
+      .moveDown(30);
+
+    doc.text('Bill to', { font: 'bold' }).moveDown(14);
+    [invoice.billTo.name, invoice.billTo.contactName, invoice.billTo.contactEmail, invoice.billTo.contactPhone]
+      .filter(Boolean)
+      .forEach(value => doc.text(value).moveDown(13));
+
+    doc.moveDown(20);
+
+    const header = () => {
+      doc.text('Description', { font: 'bold', size: 9 })
+        .text('User', { x: columns.user, font: 'bold', size: 9 })
+        .text('Hours', { x: columns.hours, align: 'right', font: 'bold', size: 9 })
+        .text('Rate', { x: columns.rate, align: 'right', font: 'bold', size: 9 })
+        .text('Amount', { x: columns.amount, align: 'right', font: 'bold', size: 9 })
+        .moveDown(6)
+        .rule()
+        .moveDown(14);
+    };
+
+    header();
+
+    invoice.lines.forEach(line => {
+      if (doc.y - 14 < doc.margin) {
+        doc.addPage();
+        header();
+      }
+
+      doc.text(line.description, { size: 9, maxWidth: columns.user - doc.margin - 10 })
+        .text(line.userName, { x: columns.user, size: 9, maxWidth: columns.hours - columns.user - 45 })
+        .text(line.hours.toFixed(2), { x: columns.hours, align: 'right', size: 9 })
+        .text(line.hourlyRate === null ? 'no rate' : line.hourlyRate.toFixed(2), { x: columns.rate, align: 'right', size: 9 })
+        .text(line.amount === null ? '-' : formatMoney(line.amount, line.currency), { x: columns.amount, align: 'right', size: 9 })
+        .moveDown(14);
+    });
+
+    if (invoice.lines.length === 0) {
+      doc.text('No billable time in this period', { size: 9 }).moveDown(14);
+    }
+
+    doc.ensureSpace(80).rule().moveDown(16)
+      .text('Total hours', { x: columns.rate, align: 'right', font: 'bold' })
+      .text(invoice.totals.hours.toFixed(2), { x: columns.amount, align: 'right' })
+      .moveDown(16);
+
+    Object.entries(invoice.totals.amounts).forEach(([currency, amount]) => {
+      doc.ensureSpace(16)
+        .text(`Total ${currency}`, { x: columns.rate, align: 'right', font: 'bold' })
+        .text(formatMoney(amount, currency), { x: columns.amount, align: 'right', font: 'bold' })
+        .moveDown(16);
+    });
+
+    if (invoice.totals.unratedMinutes > 0) {
+      doc.ensureSpace(30).moveDown(10)
+        .text(`${toHours(invoice.totals.unratedMinutes).toFixed(2)} billable hours have no billing rate and are not included in the totals.`, { size: 8 });
+    }
+
+    return doc.toBuffer();
+  }
+}
+
+module.exports = BillingService;
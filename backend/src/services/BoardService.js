@@ -0,0 +1,155 @@
+const { query } = require('../config/database');
+
+// Subtasks that haven't entered a phase yet
+const NOT_STARTED = {
+  value: '',
+  label: 'Not Started',
+  color: 'text-gray-400',
+  dark_color: 'dark:text-gray-500',
+  sort_order: 0
+};
+
+const NOT_STARTED_STATUSES = ['', 'pending'];
+
+// Phases that no longer count as work in progress
+const DONE_STATUSES = ['final_signoff_received', 'completed'];
+
+/**
+ * Board Service
+ * Subtasks across courses grouped into one column per phase status, for the Kanban board.
+ * Moving a card is a regular subtask update, so SubtaskService keeps the phase dates and history.
+ */
+class BoardService {
+  async getColumns() {
+    const result = await query(`
+      SELECT value, label, color, dark_color, sort_order
+      FROM phase_statuses
+      WHERE is_active = true
+      ORDER BY sort_order ASC
+    `);
+
+    return [NOT_STARTED, ...result.rows.filter(status => !NOT_STARTED_STATUSES.includes(status.value))];
+  }
+
+  /**
+   * @param {Object} filters - programId, listId, courseId, assigneeId, search, includeCompletedCourses
+   */
+  async getCards(filters = {}) {
+    const params = [];
+    let where = "c.status != 'deleted'";
+
+    if (!filters.includeCompletedCourses) {
+      where += " AND c.status != 'completed'";
+    }
+    if (filters.programId) {
+      params.push(filters.programId);
+      where += ` AND c.program_id = $${params.length}`;
+    }
+    if (filters.listId) {
+      params.push(filters.listId);
+      where += ` AND c.list_id = $${params.length}`;
+    }
+    if (filters.courseId) {
+      params.push(filters.courseId);
+      where += ` AND c.id = $${params.length}`;
+    }
+    if (filters.assigneeId) {
+      params.push(filters.assigneeId);
+      where += ` AND EXISTS (SELECT 1 FROM subtask_assignments sa WHERE sa.subtask_id = cs.id AND sa.user_id = $${params.length})`;
+    }
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      where += ` AND (cs.title ILIKE $${params.length} OR c.title ILIKE $${params.length})`;
+    }
+
+    const result = await query(`
+      SELECT
+        cs.id, cs.title, cs.status, cs.order_index, cs.is_blocking,
+        c.id as course_id, c.title as course_title, c.due_date as course_due_date, c.priority as course_priority,
+        p.name as program_name,
+        COALESCE(current_phase.started_at, cs.updated_at) as status_since,
+        COALESCE(
+          JSON_AGG(JSON_BUILD_OBJECT('id', u.id, 'name', u.name) ORDER BY u.name) FILTER (WHERE u.id IS NOT NULL),
+          '[]'
+        ) as assignees
+      FROM course_subtasks cs
+      JOIN courses c ON cs.course_id = c.id
+      LEFT JOIN programs p ON c.program_id = p.id
+      LEFT JOIN subtask_assignments sa ON sa.subtask_id = cs.id
+      LEFT JOIN users u ON sa.user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT started_at FROM phase_status_history psh
+        WHERE psh.subtask_id = cs.id AND psh.finished_at IS NULL
+        ORDER BY psh.started_at DESC
+        LIMIT 1
+      ) current_phase ON true
+      WHERE ${where}
+      GROUP BY cs.id, c.id, p.name, current_phase.started_at
+      ORDER BY c.due_date ASC NULLS LAST, c.id, cs.order_index
+    `, params);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      status: NOT_STARTED_STATUSES.includes(row.status) || row.status === null ? '' : row.status,
+      orderIndex: row.order_index,
+      isBlocking: row.is_blocking,
+      courseId: row.course_id,
+      courseTitle: row.course_title,
+      courseDueDate: row.course_due_date,
+      coursePriority: row.course_priority,
+      programName: row.program_name,
+      assignees: row.assignees,
+      statusSince: row.status_since,
+      daysInStatus: row.status_since ? Math.floor((Date.now() - new Date(row.status_since)) / (24 * 60 * 60 * 1000)) : null,
+      isOverdue: Boolean(row.course_due_date) && new Date(row.course_due_date) < today && !DONE_STATUSES.includes(row.status)
+    }));
+  }
+
+  /**
+   * Board columns with their cards and work-in-progress counts
+   */
+  async getBoard(filters = {}) {
+    const [columns, cards] = await Promise.all([this.getColumns(), this.getCards(filters)]);
+
+    // Legacy statuses without a phase_statuses row still get a column so no card disappears
+    const known = new Set(columns.map(column => column.value));
+    const extra = [...new Set(cards.map(card => card.status).filter(status => !known.has(status)))]
+      .map((value, index) => ({
+        value,
+        label: value.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+        color: 'text-gray-500',
+        dark_color: 'dark:text-gray-400',
+        sort_order: 1000 + index
+      }));
+
+    const board = [...columns, ...extra].map(column => {
+      const columnCards = cards.filter(card => card.status === column.value);
+      return {
+        ...column,
+        isDone: DONE_STATUSES.includes(column.value),
+        count: columnCards.length,
+        overdueCount: columnCards.filter(card => card.isOverdue).length,
+        cards: columnCards
+      };
+    });
+
+    const inProgress = board.filter(column => column.value !== '' && !column.isDone);
+
+    return {
+      columns: board,
+      summary: {
+        total: cards.length,
+        notStarted: board[0].count,
+        wip: inProgress.reduce((sum, column) => sum + column.count, 0),
+        done: board.filter(column => column.isDone).reduce((sum, column) => sum + column.count, 0),
+        overdue: cards.filter(card => card.isOverdue).length
+      }
+    };
+  }
+}
+
+module.exports = BoardService;
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const { appLink } = require('../utils/emailTemplates');
+const { ValidationError } = require('../utils/errors');
+const { toDay, fromDay, toDateString } = require('../utils/dates');
+
+// Final (Gold) phase, tracked separately from the status phases (migration 045)
+const GOLD_COLUMNS = { start: 'final_start_date', end: 'final_end_date' };
+
+const EVENT_TYPES = ['due_date', 'phase', 'gold'];
+
+// The largest range returned at once, a little more than the feed window
+const MAX_RANGE_DAYS = 500;
+
+// Window of the subscription feed around today
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// iCalendar text values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const icsDate = (day) => fromDay(day).replace(/-/g, '');
+
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Calendar Service
+ * Course due dates, subtask phase dates and Final (Gold) dates as calendar events,
+ * for the team calendar and each user's subscribable iCalendar feed.
+ */
+class CalendarService {
+  /**
+   * Get the events overlapping a date range
+   * @param {Object} filters - startDate, endDate, userId, teamId, programId, types
+   */
+  async getEvents(filters = {}) {
+    const startDay = toDay(filters.startDate);
+    const endDay = toDay(filters.endDate);
+
+    if (endDay < startDay) {
+      throw new ValidationError('Invalid date range', [{ path: ['endDate'], message: 'endDate must not be before startDate' }]);
+    }
+    if (endDay - startDay > MAX_RANGE_DAYS) {
+      throw new ValidationError('Invalid date range', [{ path: ['endDate'], message: `The range can span at most ${MAX_RANGE_DAYS} days` }]);
+    }
+
+    const types = filters.types && filters.types.length > 0 ? filters.types : EVENT_TYPES;
+    const range = { startDay, endDay, startDate: fromDay(startDay), endDate: fromDay(endDay) };
+
+    const [dueEvents, phaseEvents] = await Promise.all([
+      types.includes('due_date') ? this.getDueDateEvents(filters, range) : [],
+      types.includes('phase') || types.includes('gold') ? this.getPhaseEvents(filters, range, types) : []
+    ]);
+
+    return [...dueEvents, ...phaseEvents].sort((a, b) =>
+      a.start.localeCompare(b.start) || a.courseId - b.courseId || a.id.localeCompare(b.id)
+    );
+  }
+
+  /**
+   * Conditions restricting courses to a program and to the courses a user or team works on
+   */
+  buildCourseFilter(filters, params) {
+    let where = "c.status != 'deleted'";
+
+    if (filters.programId) {
+      params.push(filters.programId);
+      where += ` AND c.program_id = $${params.length}`;
+    }
+    if (filters.userId) {
+      params.push(filters.userId);
+      where += ` AND (
+        EXISTS (SELECT 1 FROM course_assignments ca WHERE ca.course_id = c.id AND ca.user_id = $${params.length})
+        OR EXISTS (
+          SELECT 1 FROM subtask_assignments sa JOIN course_subtasks s ON sa.subtask_id = s.id
+          WHERE s.course_id = c.id AND sa.user_id = $${params.length}
+        )
+      )`;
+    }
+    if (filters.teamId) {
+      params.push(filters.teamId);
+      where += ` AND (
+        EXISTS (
+          SELECT 1 FROM course_assignments ca JOIN users tu ON ca.user_id = tu.id
+          WHERE ca.course_id = c.id AND tu.team_id = $${params.length}
+        )
+        OR EXISTS (
+          SELECT 1 FROM subtask_assignments sa
+          JOIN course_subtasks s ON sa.subtask_id = s.id
+          JOIN users tu ON sa.user_id = tu.id
+          WHERE s.course_id = c.id AND tu.team_id = $${params.length}
+        )
+      )`;
+    }
+
+    return where;
+  }
+
+  async getDueDateEvents(filters, range) {
+    const params = [range.startDate, range.endDate];
+    const where = this.buildCourseFilter(filters, params);
+
+    const result = await query(`
+      SELECT c.id, c.title, c.status, c.priority, c.due_date, p.name as program_name
+      FROM courses c
+      LEFT JOIN programs p ON c.program_id = p.id
+      WHERE ${where} AND c.due_date BETWEEN $1 AND $2
+    `, params);
+
+    const today = toDay(new Date());
+
+    return result.rows.map(row => ({
+      id: `course-${row.id}-due`,
+      type: 'due_date',
+      title: `Due: ${row.title}`,
+      start: toDateString(row.due_date),
+      end: toDateString(row.due_date),
+      courseId: row.id,
+      courseTitle: row.title,
+      programName: row.program_name,
+      status: row.status,
+      priority: row.priority,
+      isOverdue: toDay(row.due_date) < today && row.status !== 'completed',
+      url: `/courses/${row.id}`
+    }));
+  }
+
+  async getPhaseEvents(filters, range, types) {
+    const params = [range.startDate, range.endDate];
+    const where = this.buildCourseFilter(filters, params);
+
+    // A phase still in progress runs until today, so keep unfinished phases that started before the range
+    const [phases, gold] = await Promise.all([
+      types.includes('phase') ? query(`
+        SELECT
+          cs.id, cs.title, cs.status, spd.phase_status, spd.started_at, spd.finished_at,
+          COALESCE(ps.label, spd.phase_status) as phase_label, COALESCE(ps.is_terminal, false) as is_terminal,
+          c.id as course_id, c.title as course_title, p.name as program_name
+        FROM subtask_phase_dates spd
+        JOIN course_subtasks cs ON spd.subtask_id = cs.id
+        JOIN courses c ON cs.course_id = c.id
+        LEFT JOIN programs p ON c.program_id = p.id
+        LEFT JOIN phase_statuses ps ON ps.value = spd.phase_status
+        WHERE ${where}
+          AND spd.started_at <= $2::date + 1
+          AND (spd.finished_at >= $1::date OR spd.finished_at IS NULL)
+      `, params) : { rows: [] },
+      types.includes('gold') ? query(`
+        SELECT
+          cs.id, cs.title, cs.${GOLD_COLUMNS.start}, cs.${GOLD_COLUMNS.end},
+          c.id as course_id, c.title as course_title, p.name as program_name
+        FROM course_subtasks cs
+        JOIN courses c ON cs.course_id = c.id
+        LEFT JOIN programs p ON c.program_id = p.id
+        WHERE ${where}
+          AND cs.${GOLD_COLUMNS.start} <= $2::date + 1
+          AND (cs.${GOLD_COLUMNS.end} >= $1::date OR cs.${GOLD_COLUMNS.end} IS NULL)
+      `, params) : { rows: [] }
+    ]);
+
+    const today = toDay(new Date());
+    const events = [];
+
+    const addSpan = (row, key, type, label, startValue, endValue, isCurrent) => {
+      if (!startValue) return;
+
+      const start = toDay(startValue);
+      let end = endValue ? toDay(endValue) : start;
+      const inProgress = !endValue && isCurrent;
+      if (inProgress) {
+        end = Math.max(start, today);
+      }
+      if (end < range.startDay || start > range.endDay) return;
+
+      events.push({
+        id: `subtask-${row.id}-${key}`,
+        type,
+        title: `${label}: ${row.course_title} - ${row.title}`,
+        start: fromDay(start),
+        end: fromDay(end),
+        phase: key,
+        phaseLabel: label,
+        inProgress,
+        courseId: row.course_id,
+        courseTitle: row.course_title,
+        subtaskId: row.id,
+        subtaskTitle: row.title,
+        programName: row.program_name,
+        url: `/courses/${row.course_id}`
+      });
+    };
+
+    phases.rows.forEach(row => {
+      addSpan(
+        row,
+        row.phase_status,
+        'phase',
+        row.phase_label,
+        row.started_at,
+        row.finished_at,
+        !row.is_terminal && row.status === row.phase_status
+      );
+    });
+    gold.rows.forEach(row => {
+      addSpan(row, 'gold', 'gold', 'Final (Gold)', row[GOLD_COLUMNS.start], row[GOLD_COLUMNS.end], true);
+    });
+
+    return events;
+  }
+
+  /**
+   * Whether the user has a feed, without revealing its token
+   */
+  async getFeedStatus(userId) {
+    const result = await query(
+      'SELECT created_at, last_accessed_at FROM calendar_feed_tokens WHERE user_id = $1',
+      [userId]
+    );
+
+    const feed = result.rows[0];
+    return {
+      enabled: Boolean(feed),
+      createdAt: feed ? feed.created_at : null,
+      lastAccessedAt: feed ? feed.last_accessed_at : null
+    };
+  }
+
+  /**
+   * Generate a new feed token for the user, replacing the previous one
+   * @returns {Object} the token, only available in this response
+   */
+  async regenerateFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const result = await query(`
+      INSERT INTO calendar_feed_tokens (user_id, token_hash)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+      SET token_hash = EXCLUDED.token_hash, created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL
+      RETURNING created_at
+    `, [userId, hashToken(token)]);
+
+    logger.info('Calendar feed token generated', { userId });
+
+    return {
+      token,
+      enabled: true,
+      createdAt: result.rows[0].created_at,
+      lastAccessedAt: null
+    };
+  }
+
+  async revokeFeedToken(userId) {
+    await query('DELETE FROM calendar_feed_tokens WHERE user_id = $1', [userId]);
+    logger.info('Calendar feed token revoked', { userId });
+  }
+
+  /**
+   * The iCalendar document of the feed with this token, or null when the token is unknown
+   */
+  async getFeed(token) {
+    const result = await query(`
+      UPDATE calendar_feed_tokens cft
+      SET last_accessed_at = CURRENT_TIMESTAMP
+      FROM users u
+      WHERE cft.token_hash = $1 AND u.id = cft.user_id AND u.active = true
+      RETURNING u.id, u.name
+    `, [hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const user = result.rows[0];
+    const today = toDay(new Date());
+    const events = await this.getEvents({
+      userId: user.id,
+      startDate: fromDay(today - FEED_PAST_DAYS),
+      endDate: fromDay(today + FEED_FUTURE_DAYS)
+    });
+
+    return this.buildICalendar(events, `TrainingPulse - ${user.name}`);
+  }
+
+  /**
+   * Render events as an iCalendar (.ics) document of all-day events
+   */
+  buildICalendar(events, calendarName) {
+    const stamp = icsTimestamp(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TrainingPulse//Calendar Feed//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(calendarName)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    events.forEach(event => {
+      const description = [
+        `Course: ${event.courseTitle}`,
+        event.subtaskTitle && `Subtask: ${event.subtaskTitle}`,
+        event.programName && `Program: ${event.programName}`,
+        event.inProgress && 'In progress'
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.id}@trainingpulse`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(toDay(event.start))}`,
+        // DTEND of an all-day event is exclusive
+        `DTEND;VALUE=DATE:${icsDate(toDay(event.end) + 1)}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${appLink(event.url)}`,
+        `CATEGORIES:${event.type.toUpperCase()}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,677 @@
+const { query, transaction } = require('../config/database');
+const AttachmentService = require('./AttachmentService');
+const realtimeService = require('./RealtimeService');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Chat Service
+ * Direct messages, group chats and team/course channels with unread counts and read receipts.
+ * Team and course channels are created on first use and open to everyone in the team or on the course.
+ */
+class ChatService {
+  constructor() {
+    this.attachmentService = new AttachmentService();
+    this.chatTypes = ['direct', 'group', 'channel'];
+  }
+
+  /**
+   * Chats of a user with unread count, last message and participants
+   */
+  async listChats(user, { includeArchived = false, chatId = null } = {}) {
+    const result = await query(`
+      SELECT
+        c.id, c.type, c.description, c.team_id, c.course_id, c.created_by,
+        c.created_at, c.updated_at, c.last_message_at,
+        COALESCE(c.name, other.name) as name,
+        me.role, me.is_muted, me.is_pinned, me.is_archived, me.last_read_message_id,
+        (
+          SELECT COUNT(*)::int FROM chat_messages m
+          WHERE m.chat_id = c.id
+            AND m.deleted_at IS NULL
+            AND m.id > COALESCE(me.last_read_message_id, 0)
+            AND m.sender_id IS DISTINCT FROM me.user_id
+        ) as unread_count,
+        (
+          SELECT json_build_object(
+            'id', m.id,
+            'content', m.content,
+            'created_at', m.created_at,
+            'sender_id', m.sender_id,
+            'sender_name', u.name
+          )
+          FROM chat_messages m
+          LEFT JOIN users u ON m.sender_id = u.id
+          WHERE m.chat_id = c.id AND m.deleted_at IS NULL
+          ORDER BY m.id DESC
+          LIMIT 1
+        ) as last_message,
+        (
+          SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email, 'role', cp.role) ORDER BY u.name)
+          FROM chat_participants cp
+          JOIN users u ON cp.user_id = u.id
+          WHERE cp.chat_id = c.id
+        ) as participants
+      FROM chats c
+      JOIN chat_participants me ON me.chat_id = c.id AND me.user_id = $1
+      LEFT JOIN LATERAL (
+        SELECT u.name FROM chat_participants cp
+        JOIN users u ON cp.user_id = u.id
+        WHERE c.type = 'direct' AND cp.chat_id = c.id AND cp.user_id <> $1
+        LIMIT 1
+      ) other ON true
+      WHERE ($2::boolean OR me.is_archived = false)
+        AND ($3::int IS NULL OR c.id = $3)
+      ORDER BY me.is_pinned DESC, COALESCE(c.last_message_at, c.created_at) DESC
+    `, [user.id, includeArchived, chatId]);
+
+    return result.rows.map(chat => ({
+      ...chat,
+      participants: chat.participants || []
+    }));
+  }
+
+  /**
+   * Get a chat of the user, joining team and course channels the user may see
+   */
+  async getChat(chatId, user) {
+    await this.ensureParticipant(chatId, user, { allowAdmin: true });
+
+    const [chat] = await this.listChats(user, { includeArchived: true, chatId });
+
+    return chat || this.getChatRow(chatId);
+  }
+
+  async getChatRow(chatId) {
+    const result = await query('SELECT * FROM chats WHERE id = $1', [chatId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Chat not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Make sure the user takes part in a chat. Team and course channels are joined on first use,
+   * access to them is checked by the routes (authorizeResource('chat')).
+   */
+  async ensureParticipant(chatId, user, { allowAdmin = false } = {}) {
+    const chat = await this.getChatRow(chatId);
+
+    const participant = await query(
+      'SELECT * FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, user.id]
+    );
+
+    if (participant.rows.length > 0) {
+      return participant.rows[0];
+    }
+
+    if (chat.team_id || chat.course_id) {
+      return this.addParticipant(chatId, user.id);
+    }
+
+    if (allowAdmin && user.role === 'admin') {
+      return null;
+    }
+
+    throw new ForbiddenError('Only participants can use this chat');
+  }
+
+  async addParticipant(chatId, userId, role = 'member', client = null) {
+    const result = await (client || { query }).query(`
+      INSERT INTO chat_participants (chat_id, user_id, role, last_read_message_id)
+      VALUES ($1, $2, $3, (SELECT MAX(id) FROM chat_messages WHERE chat_id = $1))
+      ON CONFLICT (chat_id, user_id) DO UPDATE SET role = chat_participants.role
+      RETURNING *
+    `, [chatId, userId, role]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Active users that can be added to a chat, without requiring the users.view permission
+   */
+  async searchUsers(user, { search = '', limit = 20 } = {}) {
+    const result = await query(`
+      SELECT id, name, email, role
+      FROM users
+      WHERE active = true
+        AND id <> $1
+        AND ($2 = '' OR name ILIKE $3 OR email ILIKE $3)
+      ORDER BY name
+      LIMIT $4
+    `, [user.id, search, `%${search}%`, Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE)]);
+
+    return result.rows;
+  }
+
+  /**
+   * Check that the given ids are active users
+   */
+  async validateUserIds(userIds, path = 'participantIds') {
+    const ids = [...new Set((userIds || []).map(id => parseInt(id)).filter(Number.isInteger))];
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await query('SELECT id FROM users WHERE id = ANY($1::int[]) AND active = true', [ids]);
+    const found = new Set(result.rows.map(row => row.id));
+    const missing = ids.filter(id => !found.has(id));
+
+    if (missing.length > 0) {
+      throw new ValidationError('Invalid participants', missing.map(id => ({
+        path: [path],
+        message: `User ${id} does not exist or is inactive`
+      })));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Create a direct, group or channel chat. Direct chats between the same two users are reused.
+   */
+  async createChat(user, { type, name, description, participantIds = [] }) {
+    if (!this.chatTypes.includes(type)) {
+      throw new ValidationError('Invalid chat', [{ path: ['type'], message: `Type must be one of: ${this.chatTypes.join(', ')}` }]);
+    }
+
+    const memberIds = (await this.validateUserIds(participantIds)).filter(id => id !== user.id);
+
+    if (type === 'direct') {
+      if (memberIds.length !== 1) {
+        throw new ValidationError('Invalid chat', [{ path: ['participantIds'], message: 'A direct chat needs exactly one other user' }]);
+      }
+
+      const directKey = [user.id, memberIds[0]].sort((a, b) => a - b).join(':');
+
+      const chatId = await transaction(async (client) => {
+        const created = await client.query(`
+          INSERT INTO chats (type, direct_key, created_by)
+          VALUES ('direct', $1, $2)
+          ON CONFLICT (direct_key) WHERE direct_key IS NOT NULL DO NOTHING
+          RETURNING id
+        `, [directKey, user.id]);
+
+        if (created.rows.length === 0) {
+          const existing = await client.query('SELECT id FROM chats WHERE direct_key = $1', [directKey]);
+          return existing.rows[0].id;
+        }
+
+        const id = created.rows[0].id;
+        await this.addParticipant(id, user.id, 'owner', client);
+        await this.addParticipant(id, memberIds[0], 'member', client);
+        return id;
+      });
+
+      return this.getChat(chatId, user);
+    }
+
+    if (!name || !name.trim()) {
+      throw new ValidationError('Invalid chat', [{ path: ['name'], message: 'Name is required for group chats and channels' }]);
+    }
+
+    const chatId = await transaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO chats (type, name, description, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [type, name.trim(), description || null, user.id]);
+
+      const id = created.rows[0].id;
+      await this.addParticipant(id, user.id, 'owner', client);
+      for (const memberId of memberIds) {
+        await this.addParticipant(id, memberId, 'member', client);
+      }
+      return id;
+    });
+
+    logger.info('Chat created', { chatId, type, userId: user.id });
+
+    await this.notifyParticipants(chatId, 'chat_created', { chatId });
+
+    return this.getChat(chatId, user);
+  }
+
+  /**
+   * Get or create the channel of a team and join it
+   */
+  async openTeamChannel(teamId, user) {
+    const teamResult = await query('SELECT id, name FROM teams WHERE id = $1', [teamId]);
+
+    if (teamResult.rows.length === 0) {
+      throw new NotFoundError('Team not found');
+    }
+
+    if (user.role !== 'admin' && user.role !== 'manager' && user.team_id !== teamResult.rows[0].id) {
+      throw new ForbiddenError('Only team members can open the team channel');
+    }
+
+    const chatId = await this.getOrCreateChannel({
+      column: 'team_id',
+      id: teamResult.rows[0].id,
+      name: teamResult.rows[0].name,
+      description: `Team channel for ${teamResult.rows[0].name}`,
+      memberSql: 'SELECT id FROM users WHERE team_id = $1 AND active = true',
+      user
+    });
+
+    await this.addParticipant(chatId, user.id);
+
+    return this.getChat(chatId, user);
+  }
+
+  /**
+   * Get or create the channel of a course and join it (course access is checked by the route)
+   */
+  async openCourseChannel(courseId, user) {
+    const courseResult = await query('SELECT id, title FROM courses WHERE id = $1', [courseId]);
+
+    if (courseResult.rows.length === 0) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const chatId = await this.getOrCreateChannel({
+      column: 'course_id',
+      id: courseResult.rows[0].id,
+      name: courseResult.rows[0].title,
+      description: `Discussion channel for ${courseResult.rows[0].title}`,
+      memberSql: `
+        SELECT user_id as id FROM course_assignments WHERE course_id = $1
+        UNION
+        SELECT sa.user_id FROM subtask_assignments sa
+        JOIN course_subtasks cs ON sa.subtask_id = cs.id
+        WHERE cs.course_id = $1
+      `,
+      user
+    });
+
+    await this.addParticipant(chatId, user.id);
+
+    return this.getChat(chatId, user);
+  }
+
+  async getOrCreateChannel({ column, id, name, description, memberSql, user }) {
+    return transaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO chats (type, name, description, ${column}, created_by)
+        VALUES ('channel', $1, $2, $3, $4)
+        ON CONFLICT (${column}) WHERE ${column} IS NOT NULL DO NOTHING
+        RETURNING id
+      `, [name, description, id, user.id]);
+
+      if (created.rows.length === 0) {
+        const existing = await client.query(`SELECT id FROM chats WHERE ${column} = $1`, [id]);
+        return existing.rows[0].id;
+      }
+
+      // Seed the new channel with the current team or course members
+      const chatId = created.rows[0].id;
+      const members = await client.query(memberSql, [id]);
+      for (const member of members.rows) {
+        await this.addParticipant(chatId, member.id, 'member', client);
+      }
+
+      logger.info('Channel created', { chatId, [column]: id, userId: user.id });
+
+      return chatId;
+    });
+  }
+
+  /**
+   * Update chat details (owners) and the user's own mute, pin and archive settings
+   */
+  async updateChat(chatId, user, updates) {
+    const participant = await this.ensureParticipant(chatId, user);
+    const chat = await this.getChatRow(chatId);
+
+    const hasDetails = updates.name !== undefined || updates.description !== undefined;
+
+    if (hasDetails) {
+      if (chat.type === 'direct' || chat.team_id || chat.course_id) {
+        throw new ValidationError('Invalid chat update', [{ path: ['name'], message: 'Direct chats and team or course channels cannot be renamed' }]);
+      }
+      if (participant.role !== 'owner' && user.role !== 'admin') {
+        throw new ForbiddenError('Only the chat owner can change its details');
+      }
+
+      await query(`
+        UPDATE chats
+        SET name = COALESCE($1, name), description = COALESCE($2, description)
+        WHERE id = $3
+      `, [updates.name?.trim() || null, updates.description ?? null, chatId]);
+    }
+
+    const settings = ['is_muted', 'is_pinned', 'is_archived'].filter(key => typeof updates[key] === 'boolean');
+
+    if (settings.length > 0) {
+      const assignments = settings.map((key, index) => `${key} = $${index + 3}`);
+      await query(`
+        UPDATE chat_participants SET ${assignments.join(', ')}
+        WHERE chat_id = $1 AND user_id = $2
+      `, [chatId, user.id, ...settings.map(key => updates[key])]);
+    }
+
+    return this.getChat(chatId, user);
+  }
+
+  /**
+   * Add users to a group chat or channel
+   */
+  async addParticipants(chatId, user, userIds) {
+    await this.ensureParticipant(chatId, user);
+    const chat = await this.getChatRow(chatId);
+
+    if (chat.type === 'direct') {
+      throw new ValidationError('Invalid participants', [{ path: ['userIds'], message: 'Direct chats cannot have more participants' }]);
+    }
+
+    const ids = await this.validateUserIds(userIds, 'userIds');
+
+    for (const id of ids) {
+      await this.addParticipant(chatId, id);
+    }
+
+    await this.notifyParticipants(chatId, 'chat_participants_changed', { chatId });
+
+    return this.getChat(chatId, user);
+  }
+
+  /**
+   * Leave a chat, or remove another participant as its owner
+   */
+  async removeParticipant(chatId, user, userId) {
+    const participant = await this.ensureParticipant(chatId, user);
+    const chat = await this.getChatRow(chatId);
+
+    if (chat.type === 'direct') {
+      throw new ValidationError('Invalid participants', [{ path: ['userId'], message: 'Participants cannot leave a direct chat, archive it instead' }]);
+    }
+
+    if (userId !== user.id && participant.role !== 'owner' && user.role !== 'admin') {
+      throw new ForbiddenError('Only the chat owner can remove participants');
+    }
+
+    await this.notifyParticipants(chatId, 'chat_participants_changed', { chatId, removedUserId: userId });
+
+    await query('DELETE FROM chat_participants WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+  }
+
+  /**
+   * Messages of a chat, oldest first. Own messages carry read receipts.
+   */
+  async getMessages(chatId, user, { before = null, limit = 50 } = {}) {
+    await this.ensureParticipant(chatId, user, { allowAdmin: true });
+
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+
+    const result = await query(`
+      SELECT * FROM (
+        SELECT m.*, u.name as sender_name, u.email as sender_email
+        FROM chat_messages m
+        LEFT JOIN users u ON m.sender_id = u.id
+        WHERE m.chat_id = $1 AND ($2::int IS NULL OR m.id < $2)
+        ORDER BY m.id DESC
+        LIMIT $3
+      ) page
+      ORDER BY id ASC
+    `, [chatId, before, pageSize]);
+
+    const participantsResult = await query(`
+      SELECT cp.user_id, cp.last_read_message_id, cp.last_read_at, u.name
+      FROM chat_participants cp
+      JOIN users u ON cp.user_id = u.id
+      WHERE cp.chat_id = $1
+    `, [chatId]);
+
+    const attachmentIds = result.rows.flatMap(message => message.deleted_at ? [] : message.attachments || []);
+    const attachments = await this.attachmentService.getSummaries(attachmentIds);
+
+    return result.rows.map(message => this.formatMessage(message, user, participantsResult.rows, attachments));
+  }
+
+  /**
+   * Shape a message for clients: deleted content is hidden, own messages get a read status
+   */
+  formatMessage(message, user, participants, attachments) {
+    if (message.deleted_at) {
+      return {
+        id: message.id,
+        chat_id: message.chat_id,
+        sender_id: message.sender_id,
+        sender_name: message.sender_name,
+        type: message.type,
+        content: null,
+        attachments: [],
+        created_at: message.created_at,
+        deleted_at: message.deleted_at,
+        is_deleted: true
+      };
+    }
+
+    const formatted = {
+      ...message,
+      attachments: (message.attachments || []).map(id => attachments[id]).filter(Boolean),
+      is_deleted: false
+    };
+
+    if (message.sender_id === user.id) {
+      const others = participants.filter(participant => participant.user_id !== user.id);
+      const readBy = others
+        .filter(participant => participant.last_read_message_id >= message.id)
+        .map(participant => ({ user_id: participant.user_id, name: participant.name, read_at: participant.last_read_at }));
+
+      formatted.read_by = readBy;
+      formatted.status = others.length > 0 && readBy.length === others.length ? 'read' : 'sent';
+    }
+
+    return formatted;
+  }
+
+  async getMessageRow(messageId) {
+    const result = await query('SELECT * FROM chat_messages WHERE id = $1', [messageId]);
+
+    if (result.rows.length === 0 || result.rows[0].deleted_at) {
+      throw new NotFoundError('Message not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Post a message. Attachments must first be uploaded to the chat (attachments/chat/:id).
+   */
+  async sendMessage(chatId, user, { content, type = 'text', replyToId = null, attachments = [] }) {
+    await this.ensureParticipant(chatId, user);
+
+    const text = (content || '').trim();
+
+    if (!text && attachments.length === 0) {
+      throw new ValidationError('Invalid message', [{ path: ['content'], message: 'A message needs content or attachments' }]);
+    }
+
+    if (replyToId) {
+      const reply = await query('SELECT 1 FROM chat_messages WHERE id = $1 AND chat_id = $2', [replyToId, chatId]);
+      if (reply.rows.length === 0) {
+        throw new ValidationError('Invalid message', [{ path: ['replyToId'], message: 'Replied message is not part of this chat' }]);
+      }
+    }
+
+    const message = await transaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO chat_messages (chat_id, sender_id, content, type, reply_to_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [chatId, user.id, text || null, attachments.length > 0 && !text ? 'file' : type, replyToId]);
+
+      let row = created.rows[0];
+
+      if (attachments.length > 0) {
+        const attachmentIds = await this.attachmentService.linkToChatMessage(client, row, attachments, user.id);
+        const updated = await client.query(
+          'UPDATE chat_messages SET attachments = $1 WHERE id = $2 RETURNING *',
+          [JSON.stringify(attachmentIds), row.id]
+        );
+        row = updated.rows[0];
+      }
+
+      await client.query('UPDATE chats SET last_message_at = $1 WHERE id = $2', [row.created_at, chatId]);
+
+      // Sending a message marks the chat as read up to it
+      await client.query(`
+        UPDATE chat_participants
+        SET last_read_message_id = $1, last_read_at = CURRENT_TIMESTAMP
+        WHERE chat_id = $2 AND user_id = $3
+      `, [row.id, chatId, user.id]);
+
+      // Archived chats come back when someone writes in them
+      await client.query('UPDATE chat_participants SET is_archived = false WHERE chat_id = $1 AND is_archived = true', [chatId]);
+
+      return row;
+    });
+
+    await this.notifyParticipants(chatId, 'chat_message_created', {
+      chatId,
+      messageId: message.id,
+      senderId: user.id
+    });
+
+    return this.getFormattedMessage(message, user);
+  }
+
+  async getFormattedMessage(message, user) {
+    const [sender, participants, attachments] = await Promise.all([
+      query('SELECT name, email FROM users WHERE id = $1', [message.sender_id]),
+      query(`
+        SELECT cp.user_id, cp.last_read_message_id, cp.last_read_at, u.name
+        FROM chat_participants cp
+        JOIN users u ON cp.user_id = u.id
+        WHERE cp.chat_id = $1
+      `, [message.chat_id]),
+      this.attachmentService.getSummaries(message.attachments || [])
+    ]);
+
+    return this.formatMessage({
+      ...message,
+      sender_name: sender.rows[0]?.name,
+      sender_email: sender.rows[0]?.email
+    }, user, participants.rows, attachments);
+  }
+
+  /**
+   * Edit the content of an own message
+   */
+  async updateMessage(messageId, user, content) {
+    const message = await this.getMessageRow(messageId);
+
+    if (message.sender_id !== user.id) {
+      throw new ForbiddenError('Only the sender can edit a message');
+    }
+
+    const text = (content || '').trim();
+
+    if (!text && (message.attachments || []).length === 0) {
+      throw new ValidationError('Invalid message', [{ path: ['content'], message: 'Content is required' }]);
+    }
+
+    const result = await query(`
+      UPDATE chat_messages SET content = $1, edited_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [text || null, messageId]);
+
+    await this.notifyParticipants(message.chat_id, 'chat_message_updated', {
+      chatId: message.chat_id,
+      messageId
+    });
+
+    return this.getFormattedMessage(result.rows[0], user);
+  }
+
+  /**
+   * Delete a message (sender, chat owner or admin)
+   */
+  async deleteMessage(messageId, user) {
+    const message = await this.getMessageRow(messageId);
+
+    if (message.sender_id !== user.id && user.role !== 'admin') {
+      const owner = await query(
+        'SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2 AND role = $3',
+        [message.chat_id, user.id, 'owner']
+      );
+
+      if (owner.rows.length === 0) {
+        throw new ForbiddenError('Only the sender or the chat owner can delete a message');
+      }
+    }
+
+    await query(`
+      UPDATE chat_messages SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1
+      WHERE id = $2
+    `, [user.id, messageId]);
+
+    await this.notifyParticipants(message.chat_id, 'chat_message_deleted', {
+      chatId: message.chat_id,
+      messageId
+    });
+
+    logger.info('Chat message deleted', { messageId, chatId: message.chat_id, userId: user.id });
+  }
+
+  /**
+   * Mark the chat as read up to a message (default: the newest one)
+   */
+  async markAsRead(chatId, user, messageId = null) {
+    await this.ensureParticipant(chatId, user);
+
+    const result = await query(`
+      UPDATE chat_participants
+      SET last_read_message_id = GREATEST(
+            COALESCE(last_read_message_id, 0),
+            COALESCE($3, (SELECT MAX(id) FROM chat_messages WHERE chat_id = $1), 0)
+          ),
+          last_read_at = CURRENT_TIMESTAMP
+      WHERE chat_id = $1 AND user_id = $2
+      RETURNING last_read_message_id, last_read_at
+    `, [chatId, user.id, messageId]);
+
+    const receipt = result.rows[0];
+
+    // Senders update their read receipts
+    await this.notifyParticipants(chatId, 'chat_read', {
+      chatId,
+      userId: user.id,
+      lastReadMessageId: receipt.last_read_message_id
+    }, user.id);
+
+    return receipt;
+  }
+
+  /**
+   * Push a chat event to the user channels of all participants
+   */
+  async notifyParticipants(chatId, event, data, excludeUserId = null) {
+    try {
+      const result = await query('SELECT user_id FROM chat_participants WHERE chat_id = $1', [chatId]);
+
+      for (const { user_id: userId } of result.rows) {
+        if (userId !== excludeUserId) {
+          await realtimeService.emit(`user:${userId}`, event, data);
+        }
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'ChatService.notifyParticipants',
+        chatId,
+        event
+      });
+    }
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,676 @@
+const { query, transaction } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Custom Field Service
+ * Manages program-scoped custom field definitions and validates/stores their values
+ * for courses, subtasks and programs
+ */
+class CustomFieldService {
+  constructor() {
+    this.entityTypes = ['course', 'subtask', 'program'];
+    this.fieldTypes = ['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'boolean', 'url', 'user'];
+
+    // Columns returned for definitions; label/is_active are the names used by the UI
+    this.definitionColumns = `
+      cfd.*,
+      cfd.name as label,
+      cfd.is_visible as is_active
+    `;
+  }
+
+  /**
+   * Get field definitions for an entity type, optionally limited to one program (plus global fields).
+   * With a user other than an admin or manager, program fields are limited to programs the user owns,
+   * is a member of or has a course assigned in.
+   */
+  async getDefinitions({ entityType, programId = null, includeInactive = true, user = null } = {}) {
+    const conditions = ['cfd.entity_type = $1'];
+    const params = [entityType];
+
+    if (programId) {
+      params.push(programId);
+      conditions.push(`(cfd.program_id IS NULL OR cfd.program_id = $${params.length})`);
+    }
+
+    if (user && !['admin', 'manager'].includes(user.role)) {
+      params.push(user.id);
+      const userParam = `$${params.length}`;
+      conditions.push(`(cfd.program_id IS NULL OR cfd.program_id IN (
+        SELECT p.id FROM programs p WHERE p.owner_id = ${userParam}
+        UNION SELECT pm.program_id FROM program_members pm WHERE pm.user_id = ${userParam}
+        UNION SELECT c.program_id FROM courses c JOIN course_assignments ca ON ca.course_id = c.id WHERE ca.user_id = ${userParam}
+      ))`);
+    }
+
+    if (!includeInactive) {
+      conditions.push('cfd.is_visible = true');
+    }
+
+    const result = await query(`
+      SELECT ${this.definitionColumns}
+      FROM custom_field_definitions cfd
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY cfd.display_order ASC, cfd.created_at ASC
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a single field definition
+   */
+  async getDefinition(id) {
+    const result = await query(`
+      SELECT ${this.definitionColumns}
+      FROM custom_field_definitions cfd
+      WHERE cfd.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Custom field not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a field definition
+   */
+  async createDefinition(data, userId) {
+    const definition = this.normalizeDefinitionInput(data);
+    const details = this.validateDefinition(definition);
+
+    if (details.length > 0) {
+      throw new ValidationError('Invalid custom field definition', details);
+    }
+
+    const result = await query(`
+      INSERT INTO custom_field_definitions (
+        entity_type, program_id, name, field_key, field_type, options, default_value,
+        is_required, is_visible, display_order, validation_rules, description, placeholder,
+        created_by, updated_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14)
+      RETURNING id
+    `, [
+      definition.entityType,
+      definition.programId,
+      definition.name,
+      definition.fieldKey,
+      definition.fieldType,
+      JSON.stringify(definition.options || []),
+      definition.defaultValue === undefined ? null : JSON.stringify(definition.defaultValue),
+      definition.isRequired ?? false,
+      definition.isVisible ?? true,
+      definition.displayOrder ?? 0,
+      JSON.stringify(definition.validationRules || {}),
+      definition.description || null,
+      definition.placeholder || null,
+      userId
+    ]);
+
+    logger.info('Custom field created', {
+      fieldId: result.rows[0].id,
+      entityType: definition.entityType,
+      fieldKey: definition.fieldKey,
+      userId
+    });
+
+    return this.getDefinition(result.rows[0].id);
+  }
+
+  /**
+   * Update a field definition; entity type and key are fixed once values may exist
+   */
+  async updateDefinition(id, data, userId) {
+    const existing = await this.getDefinition(id);
+    const changes = this.normalizeDefinitionInput(data);
+
+    const merged = {
+      entityType: existing.entity_type,
+      programId: existing.program_id,
+      name: changes.name ?? existing.name,
+      fieldKey: existing.field_key,
+      fieldType: changes.fieldType ?? existing.field_type,
+      options: changes.options ?? existing.options,
+      defaultValue: changes.defaultValue !== undefined ? changes.defaultValue : existing.default_value,
+      isRequired: changes.isRequired ?? existing.is_required,
+      isVisible: changes.isVisible ?? existing.is_visible,
+      displayOrder: changes.displayOrder ?? existing.display_order,
+      validationRules: changes.validationRules ?? existing.validation_rules,
+      description: changes.description !== undefined ? changes.description : existing.description,
+      placeholder: changes.placeholder !== undefined ? changes.placeholder : existing.placeholder
+    };
+
+    const details = this.validateDefinition(merged);
+    if (details.length > 0) {
+      throw new ValidationError('Invalid custom field definition', details);
+    }
+
+    await query(`
+      UPDATE custom_field_definitions
+      SET name = $1, field_type = $2, options = $3, default_value = $4, is_required = $5,
+          is_visible = $6, display_order = $7, validation_rules = $8, description = $9,
+          placeholder = $10, updated_by = $11
+      WHERE id = $12
+    `, [
+      merged.name,
+      merged.fieldType,
+      JSON.stringify(merged.options || []),
+      merged.defaultValue === null || merged.defaultValue === undefined ? null : JSON.stringify(merged.defaultValue),
+      merged.isRequired,
+      merged.isVisible,
+      merged.displayOrder,
+      JSON.stringify(merged.validationRules || {}),
+      merged.description || null,
+      merged.placeholder || null,
+      userId,
+      id
+    ]);
+
+    logger.info('Custom field updated', { fieldId: id, userId });
+
+    return this.getDefinition(id);
+  }
+
+  /**
+   * Delete a field definition and all of its values
+   */
+  async deleteDefinition(id, userId) {
+    await this.getDefinition(id);
+    await query('DELETE FROM custom_field_definitions WHERE id = $1', [id]);
+
+    logger.info('Custom field deleted', { fieldId: id, userId });
+  }
+
+  /**
+   * Accept both the API (camelCase) and UI (label/is_active/snake_case) spellings
+   */
+  normalizeDefinitionInput(data) {
+    const pick = (...keys) => {
+      for (const key of keys) {
+        if (data[key] !== undefined) {
+          return data[key];
+        }
+      }
+      return undefined;
+    };
+
+    const name = pick('name', 'label');
+    const fieldKey = pick('fieldKey', 'field_key') ||
+      (name ? name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') : undefined);
+
+    return {
+      entityType: pick('entityType', 'entity_type'),
+      programId: pick('programId', 'program_id') || null,
+      name,
+      fieldKey,
+      fieldType: pick('fieldType', 'field_type'),
+      options: pick('options'),
+      defaultValue: pick('defaultValue', 'default_value'),
+      isRequired: pick('isRequired', 'is_required'),
+      isVisible: pick('isVisible', 'is_visible', 'isActive', 'is_active'),
+      displayOrder: pick('displayOrder', 'display_order'),
+      validationRules: pick('validationRules', 'validation_rules'),
+      description: pick('description'),
+      placeholder: pick('placeholder')
+    };
+  }
+
+  /**
+   * Validate a field definition, returns validation error details
+   */
+  validateDefinition(definition) {
+    const details = [];
+
+    if (!this.entityTypes.includes(definition.entityType)) {
+      details.push({ path: ['entityType'], message: `Entity type must be one of: ${this.entityTypes.join(', ')}` });
+    }
+
+    if (!definition.name || !String(definition.name).trim()) {
+      details.push({ path: ['name'], message: 'Field name is required' });
+    }
+
+    if (!definition.fieldKey || !/^[a-z][a-z0-9_]{0,99}$/.test(definition.fieldKey)) {
+      details.push({ path: ['fieldKey'], message: 'Field key must start with a letter and contain only lowercase letters, numbers and underscores' });
+    }
+
+    if (!this.fieldTypes.includes(definition.fieldType)) {
+      details.push({ path: ['fieldType'], message: `Field type must be one of: ${this.fieldTypes.join(', ')}` });
+    }
+
+    if (['select', 'multiselect'].includes(definition.fieldType)) {
+      const options = definition.options;
+      if (!Array.isArray(options) || options.length === 0) {
+        details.push({ path: ['options'], message: 'Select fields require at least one option' });
+      } else if (options.some(option => !option || option.value === undefined || option.value === '')) {
+        details.push({ path: ['options'], message: 'Each option requires a value' });
+      }
+    }
+
+    const rules = definition.validationRules || {};
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      details.push({ path: ['validationRules'], message: 'Validation rules must be an object' });
+    } else if (rules.pattern) {
+      try {
+        new RegExp(rules.pattern);
+      } catch (error) {
+        details.push({ path: ['validationRules', 'pattern'], message: 'Pattern must be a valid regular expression' });
+      }
+    }
+
+    // The default value has to satisfy the field's own rules
+    if (details.length === 0 && definition.defaultValue !== undefined && definition.defaultValue !== null) {
+      const error = this.validateValue(this.toDefinitionRow(definition), definition.defaultValue);
+      if (error) {
+        details.push({ path: ['defaultValue'], message: error });
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Validate a single value against its definition, returns an error message or null.
+   * User fields are checked against the users table separately in validateValues.
+   */
+  validateValue(definition, value) {
+    const rules = definition.validation_rules || {};
+    const label = definition.name;
+
+    switch (definition.field_type) {
+      case 'text':
+      case 'textarea':
+        if (typeof value !== 'string') {
+          return `${label} must be text`;
+        }
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+          return `${label} must be at least ${rules.minLength} characters`;
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+          return `${label} must be at most ${rules.maxLength} characters`;
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+          return rules.patternMessage || `${label} has an invalid format`;
+        }
+        return null;
+
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return `${label} must be a number`;
+        }
+        if (rules.integer && !Number.isInteger(number)) {
+          return `${label} must be a whole number`;
+        }
+        if (rules.min !== undefined && number < rules.min) {
+          return `${label} must be at least ${rules.min}`;
+        }
+        if (rules.max !== undefined && number > rules.max) {
+          return `${label} must be at most ${rules.max}`;
+        }
+        return null;
+      }
+
+      case 'date': {
+        const date = new Date(value);
+        if (!this.isCalendarDate(value) || Number.isNaN(date.getTime())) {
+          return `${label} must be a valid date`;
+        }
+        if (rules.minDate && date < new Date(rules.minDate)) {
+          return `${label} must be on or after ${rules.minDate}`;
+        }
+        if (rules.maxDate && date > new Date(rules.maxDate)) {
+          return `${label} must be on or before ${rules.maxDate}`;
+        }
+        return null;
+      }
+
+      case 'select': {
+        const allowed = (definition.options || []).map(option => option.value);
+        if (!allowed.includes(value)) {
+          return `${label} must be one of: ${allowed.join(', ')}`;
+        }
+        return null;
+      }
+
+      case 'multiselect': {
+        const allowed = (definition.options || []).map(option => option.value);
+        if (!Array.isArray(value)) {
+          return `${label} must be a list of options`;
+        }
+        const invalid = value.filter(item => !allowed.includes(item));
+        if (invalid.length > 0) {
+          return `${label} contains invalid options: ${invalid.join(', ')}`;
+        }
+        if (rules.minSelections !== undefined && value.length < rules.minSelections) {
+          return `${label} requires at least ${rules.minSelections} selections`;
+        }
+        if (rules.maxSelections !== undefined && value.length > rules.maxSelections) {
+          return `${label} allows at most ${rules.maxSelections} selections`;
+        }
+        return null;
+      }
+
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `${label} must be true or false`;
+
+      case 'url':
+        try {
+          const url = new URL(value);
+          return ['http:', 'https:'].includes(url.protocol) ? null : `${label} must be an http(s) URL`;
+        } catch (error) {
+          return `${label} must be a valid URL`;
+        }
+
+      case 'user':
+        return Number.isInteger(Number(value)) && Number(value) > 0 ? null : `${label} must be a user id`;
+
+      default:
+        return `${label} has an unsupported field type`;
+    }
+  }
+
+  /**
+   * Whether a value starts with a YYYY-MM-DD date that exists. Date alone would roll 2026-02-30 over into March.
+   */
+  isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return false;
+    }
+    const day = value.substring(0, 10);
+    const date = new Date(`${day}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(day);
+  }
+
+  /**
+   * Normalize a validated value to the JSON stored in custom_field_values
+   */
+  normalizeValue(definition, value) {
+    switch (definition.field_type) {
+      case 'number':
+      case 'user':
+        return Number(value);
+      case 'date':
+        return new Date(value).toISOString().split('T')[0];
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Treat null, empty strings and empty lists as "no value"
+   */
+  isEmptyValue(value) {
+    return value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Validate a set of values keyed by definition id or field key.
+   * Returns the normalized values keyed by definition id (null = clear value).
+   */
+  async validateValues(definitions, values, existingValues = {}, options = {}) {
+    const { enforceRequired = true, applyDefaults = false } = options;
+    const details = [];
+    const normalized = {};
+
+    const byId = new Map(definitions.map(definition => [definition.id, definition]));
+    const byKey = new Map(definitions.map(definition => [definition.field_key, definition]));
+
+    for (const [key, value] of Object.entries(values || {})) {
+      const definition = byId.get(key) || byKey.get(key);
+
+      if (!definition) {
+        details.push({ path: ['customFields', key], message: 'Unknown custom field for this entity' });
+        continue;
+      }
+
+      if (this.isEmptyValue(value)) {
+        normalized[definition.id] = null;
+        continue;
+      }
+
+      const error = this.validateValue(definition, value);
+      if (error) {
+        details.push({ path: ['customFields', definition.field_key], message: error });
+        continue;
+      }
+
+      normalized[definition.id] = this.normalizeValue(definition, value);
+    }
+
+    // User fields must reference active users
+    const userValues = Object.entries(normalized)
+      .filter(([id, value]) => value !== null && byId.get(id).field_type === 'user');
+
+    if (userValues.length > 0) {
+      const userIds = userValues.map(([, value]) => value);
+      const usersResult = await query(
+        'SELECT id FROM users WHERE id = ANY($1) AND active = true',
+        [userIds]
+      );
+      const activeIds = new Set(usersResult.rows.map(row => row.id));
+
+      userValues.forEach(([id, value]) => {
+        if (!activeIds.has(value)) {
+          details.push({ path: ['customFields', byId.get(id).field_key], message: `User ${value} does not exist or is inactive` });
+        }
+      });
+    }
+
+    for (const definition of definitions) {
+      const provided = Object.prototype.hasOwnProperty.call(normalized, definition.id);
+      let finalValue = provided ? normalized[definition.id] : existingValues[definition.id];
+
+      if (applyDefaults && !provided && this.isEmptyValue(finalValue) && !this.isEmptyValue(definition.default_value)) {
+        normalized[definition.id] = definition.default_value;
+        finalValue = definition.default_value;
+      }
+
+      if (enforceRequired && definition.is_required && definition.is_visible && this.isEmptyValue(finalValue)) {
+        details.push({ path: ['customFields', definition.field_key], message: `${definition.name} is required` });
+      }
+    }
+
+    if (details.length > 0) {
+      throw new ValidationError('Invalid custom field values', details);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Resolve the program an entity belongs to (definitions are scoped by program)
+   */
+  async resolveProgramId(entityType, entityId, client = null) {
+    const db = client || { query };
+    let result;
+
+    switch (entityType) {
+      case 'course':
+        result = await db.query('SELECT program_id FROM courses WHERE id = $1', [entityId]);
+        break;
+      case 'subtask':
+        result = await db.query(`
+          SELECT c.program_id
+          FROM course_subtasks cs
+          JOIN courses c ON cs.course_id = c.id
+          WHERE cs.id = $1
+        `, [entityId]);
+        break;
+      case 'program':
+        result = await db.query('SELECT id as program_id FROM programs WHERE id = $1', [entityId]);
+        break;
+      default:
+        throw new ValidationError(`Entity type must be one of: ${this.entityTypes.join(', ')}`);
+    }
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`${entityType.charAt(0).toUpperCase() + entityType.slice(1)} not found`);
+    }
+
+    return result.rows[0].program_id;
+  }
+
+  /**
+   * Get stored values for one entity keyed by definition id
+   */
+  async getValues(entityType, entityId) {
+    const valuesByEntity = await this.getValuesForEntities(entityType, [entityId]);
+    return valuesByEntity[String(entityId)] || {};
+  }
+
+  /**
+   * Get stored values for several entities: { [entityId]: { [definitionId]: value } }
+   */
+  async getValuesForEntities(entityType, entityIds) {
+    if (!entityIds || entityIds.length === 0) {
+      return {};
+    }
+
+    const result = await query(`
+      SELECT cfv.entity_id, cfv.field_definition_id, cfv.value
+      FROM custom_field_values cfv
+      JOIN custom_field_definitions cfd ON cfv.field_definition_id = cfd.id
+      WHERE cfv.entity_type = $1 AND cfv.entity_id = ANY($2) AND cfd.is_visible = true
+    `, [entityType, entityIds.map(String)]);
+
+    return result.rows.reduce((acc, row) => {
+      acc[row.entity_id] = acc[row.entity_id] || {};
+      acc[row.entity_id][row.field_definition_id] = row.value;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Validate and store values for an entity.
+   * Pass a transaction client to take part in a larger write (e.g. course creation).
+   */
+  async setValues(entityType, entityId, values, userId, options = {}) {
+    const { client = null, isNew = false } = options;
+
+    const programId = await this.resolveProgramId(entityType, entityId, client);
+    const definitions = await this.getDefinitions({ entityType, programId, includeInactive: false });
+    const existingValues = isNew ? {} : await this.getValues(entityType, entityId);
+
+    const normalized = await this.validateValues(definitions, values, existingValues, {
+      applyDefaults: isNew
+    });
+
+    const write = async (db) => {
+      for (const [definitionId, value] of Object.entries(normalized)) {
+        if (value === null) {
+          await db.query(`
+            DELETE FROM custom_field_values
+            WHERE entity_type = $1 AND entity_id = $2 AND field_definition_id = $3
+          `, [entityType, String(entityId), definitionId]);
+          continue;
+        }
+
+        await db.query(`
+          INSERT INTO custom_field_values (entity_type, entity_id, field_definition_id, value, updated_by, updated_at)
+          VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+          ON CONFLICT (entity_type, entity_id, field_definition_id)
+          DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+        `, [entityType, String(entityId), definitionId, JSON.stringify(value), userId]);
+      }
+    };
+
+    if (client) {
+      await write(client);
+    } else {
+      await transaction(write);
+    }
+
+    return {
+      ...existingValues,
+      ...Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== null))
+    };
+  }
+
+  /**
+   * Build WHERE conditions for filtering courses by custom field values ({ fieldKey: value })
+   */
+  buildCourseFilterConditions(filters, startIndex) {
+    const conditions = [];
+    const values = [];
+    let paramCount = startIndex;
+
+    for (const [fieldKey, value] of Object.entries(filters || {})) {
+      if (this.isEmptyValue(value)) {
+        continue;
+      }
+
+      values.push(fieldKey, String(value));
+      const keyParam = ++paramCount;
+      const valueParam = ++paramCount;
+
+      // Scalars are compared as text, multiselect values match when they contain the option
+      conditions.push(`EXISTS (
+        SELECT 1 FROM custom_field_values cfv
+        JOIN custom_field_definitions cfd ON cfv.field_definition_id = cfd.id
+        WHERE cfv.entity_type = 'course'
+          AND cfv.entity_id = c.id::text
+          AND cfd.field_key = $${keyParam}
+          AND (cfv.value #>> '{}' = $${valueParam}
+            OR (jsonb_typeof(cfv.value) = 'array' AND cfv.value ? $${valueParam}))
+      )`);
+    }
+
+    return { conditions, values };
+  }
+
+  /**
+   * Build an ORDER BY expression for sorting courses by a custom field
+   * Programs can define the same key with different types. The sort uses the type of the first
+   * definition and only reads values of definitions with that type, values that still don't
+   * parse sort as NULL instead of failing the query.
+   */
+  async buildCourseSortExpression(fieldKey, paramIndex) {
+    const result = await query(`
+      SELECT field_type FROM custom_field_definitions
+      WHERE entity_type = 'course' AND field_key = $1
+      ORDER BY program_id NULLS FIRST
+      LIMIT 1
+    `, [fieldKey]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const value = `(cfv.value #>> '{}')`;
+    const sortValues = {
+      number: `CASE WHEN ${value} ~ '^-?[0-9]+([.][0-9]+)?$' THEN ${value}::numeric END`,
+      user: `CASE WHEN ${value} ~ '^[0-9]+$' THEN ${value}::numeric END`,
+      date: `custom_field_date(${value})`
+    };
+    const fieldType = result.rows[0].field_type;
+    const sortValue = sortValues[fieldType];
+
+    return `(
+      SELECT ${sortValue || value}
+      FROM custom_field_values cfv
+      JOIN custom_field_definitions cfd ON cfv.field_definition_id = cfd.id
+      WHERE cfv.entity_type = 'course' AND cfv.entity_id = c.id::text AND cfd.field_key = $${paramIndex}
+        ${sortValue ? `AND cfd.field_type = '${fieldType}'` : ''}
+      LIMIT 1
+    )`;
+  }
+
+  /**
+   * Map a camelCase definition (validateDefinition input) to the row shape validateValue expects
+   */
+  toDefinitionRow(definition) {
+    return {
+      name: definition.name,
+      field_key: definition.fieldKey,
+      field_type: definition.fieldType,
+      options: definition.options,
+      validation_rules: definition.validationRules
+    };
+  }
+}
+
+module.exports = CustomFieldService;
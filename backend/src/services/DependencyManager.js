@@ -1,7 +1,7 @@
 const { query, transaction } = require('../config/database');
 const { get, set } = require('../config/redis');
 const logger = require('../utils/logger');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 /**
  * Dependency Management and Impact Analysis Service
@@ -41,7 +41,7 @@ class DependencyManager {
       `, [courseId, dependsOnCourseId]);
 
       if (existingResult.rows.length > 0) {
-        throw new ValidationError('Dependency already exists');
+        throw new ConflictError('Dependency already exists');
       }
 
       const dependency = await transaction(async (client) => {
@@ -72,9 +72,10 @@ class DependencyManager {
         return result.rows[0];
       });
 
-      // Clear relevant caches
+      // Clear relevant caches - graphs of every course in the chain include this edge
       await this.clearDependencyCache(courseId);
       await this.clearDependencyCache(dependsOnCourseId);
+      await this.clearGraphCache();
 
       logger.info('Course dependency created', {
         dependencyId: dependency.id,
@@ -131,9 +132,10 @@ class DependencyManager {
         ]);
       });
 
-      // Clear relevant caches
+      // Clear relevant caches - graphs of every course in the chain include this edge
       await this.clearDependencyCache(dependency.course_id);
       await this.clearDependencyCache(dependency.depends_on_course_id);
+      await this.clearGraphCache();
 
       logger.info('Course dependency removed', {
         dependencyId,
@@ -196,6 +198,109 @@ class DependencyManager {
     }
   }
 
+  /**
+   * Get direct dependency records for a course (both directions)
+   */
+  async getDirectDependencies(courseId) {
+    try {
+      const result = await query(`
+        SELECT
+          cd.id,
+          cd.course_id,
+          cd.depends_on_course_id,
+          cd.dependency_type,
+          cd.created_at,
+          CASE WHEN cd.course_id = $1 THEN 'upstream' ELSE 'downstream' END as direction,
+          c.id as related_course_id,
+          c.title as related_course_title,
+          c.status as related_course_status,
+          c.start_date as related_course_start_date,
+          c.due_date as related_course_due_date
+        FROM course_dependencies cd
+        JOIN courses c ON c.id = CASE WHEN cd.course_id = $1 THEN cd.depends_on_course_id ELSE cd.course_id END
+        WHERE (cd.course_id = $1 OR cd.depends_on_course_id = $1)
+          AND c.status != 'deleted'
+        ORDER BY c.due_date ASC NULLS LAST
+      `, [courseId]);
+
+      const mapRow = row => ({
+        id: row.id,
+        courseId: row.course_id,
+        dependsOnCourseId: row.depends_on_course_id,
+        dependencyType: row.dependency_type,
+        createdAt: row.created_at,
+        course: {
+          id: row.related_course_id,
+          title: row.related_course_title,
+          status: row.related_course_status,
+          startDate: row.related_course_start_date,
+          dueDate: row.related_course_due_date
+        }
+      });
+
+      return {
+        dependsOn: result.rows.filter(row => row.direction === 'upstream').map(mapRow),
+        dependents: result.rows.filter(row => row.direction === 'downstream').map(mapRow)
+      };
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'DependencyManager.getDirectDependencies',
+        courseId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get dependency edges between a set of courses
+   */
+  async getDependencyEdges(courseIds) {
+    if (!courseIds || courseIds.length === 0) {
+      return [];
+    }
+
+    const result = await query(`
+      SELECT id, course_id, depends_on_course_id, dependency_type
+      FROM course_dependencies
+      WHERE course_id = ANY($1) AND depends_on_course_id = ANY($1)
+    `, [courseIds]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      from: row.depends_on_course_id,
+      to: row.course_id,
+      dependencyType: row.dependency_type
+    }));
+  }
+
+  /**
+   * Get courses whose schedule is affected by a change to the given course
+   */
+  async getImpactedCourses(courseId, maxDepth = this.maxDepth) {
+    const downstream = await this.getDownstreamDependencies(courseId, maxDepth);
+
+    // A course can be reached through several paths - keep the shallowest
+    const byId = new Map();
+    downstream.forEach(course => {
+      const existing = byId.get(course.id);
+      if (!existing || course.depth < existing.depth) {
+        byId.set(course.id, course);
+      }
+    });
+
+    return Array.from(byId.values()).map(course => ({
+      id: course.id,
+      title: course.title,
+      status: course.calculated_status || course.status,
+      startDate: course.start_date,
+      dueDate: course.due_date,
+      priority: course.priority,
+      dependencyType: course.dependency_type,
+      depth: course.depth
+    }));
+  }
+
   /**
    * Analyze impact of changing a course's schedule
    */
@@ -535,19 +640,44 @@ class DependencyManager {
 
   /**
    * Check if a dependency would create a circular reference
+   * The new edge courseId -> dependsOnCourseId closes a loop when dependsOnCourseId already
+   * (directly or indirectly) depends on courseId, i.e. it is downstream of courseId.
+   * Walks every dependency, whatever the chain length or course status, so no loop can be closed
+   * through a long chain or a cancelled course.
    */
   async wouldCreateCircularDependency(courseId, dependsOnCourseId) {
     try {
-      // Check if dependsOnCourseId already depends on courseId (directly or indirectly)
-      const downstreamCourses = await this.getDownstreamDependencies(dependsOnCourseId);
-      return downstreamCourses.some(course => course.id === courseId);
+      const target = String(dependsOnCourseId);
+      const visited = new Set([String(courseId)]);
+      let frontier = [courseId];
+
+      while (frontier.length > 0) {
+        const result = await query(
+          'SELECT course_id FROM course_dependencies WHERE depends_on_course_id = ANY($1)',
+          [frontier]
+        );
+
+        frontier = [];
+        for (const row of result.rows) {
+          const id = String(row.course_id);
+          if (id === target) {
+            return true;
+          }
+          if (!visited.has(id)) {
+            visited.add(id);
+            frontier.push(row.course_id);
+          }
+        }
+      }
+
+      return false;
     } catch (error) {
       logger.logError(error, {
         context: 'DependencyManager.wouldCreateCircularDependency',
         courseId,
         dependsOnCourseId
       });
-      return false; // Err on the side of caution
+      return true; // Reject the dependency when the chain can't be checked
     }
   }
 
@@ -733,6 +863,20 @@ class DependencyManager {
       });
     }
   }
+
+  /**
+   * Clear all cached dependency graphs
+   */
+  async clearGraphCache() {
+    try {
+      const { invalidatePattern } = require('../config/redis');
+      await invalidatePattern(`${this.cachePrefix}:graph:*`);
+    } catch (error) {
+      logger.logError(error, {
+        context: 'DependencyManager.clearGraphCache'
+      });
+    }
+  }
 }
 
 module.exports = DependencyManager;
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { query } = require('../config/database');
+const { ValidationError } = require('../utils/errors');
+const WorkingCalendarService = require('./WorkingCalendarService');
+const { toDay, fromDay, addWorkingDays, countWorkingDays } = require('../utils/dates');
+
+// Fewer same-modality courses than this and every completed course is used
+const MIN_SAMPLES = 3;
+
+// Only the most recent completed courses are considered
+const MAX_SAMPLES = 200;
+
+// Working hours per day when the course has no daily capacity of its own
+const DEFAULT_DAILY_HOURS = 6;
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Weighted percentile of [{ value, weight }]
+ */
+const weightedPercentile = (items, percentile) => {
+  const sorted = [...items].sort((a, b) => a.value - b.value);
+  const totalWeight = sorted.reduce((sum, item) => sum + item.weight, 0);
+  const target = totalWeight * percentile;
+
+  let cumulative = 0;
+  for (const item of sorted) {
+    cumulative += item.weight;
+    if (cumulative >= target) {
+      return item.value;
+    }
+  }
+
+  return sorted[sorted.length - 1].value;
+};
+
+const jaccard = (a, b) => {
+  if (a.length === 0 && b.length === 0) return 1;
+  const setB = new Set(b);
+  const intersection = a.filter(item => setB.has(item)).length;
+  return intersection / (new Set([...a, ...b]).size);
+};
+
+/**
+ * Effort Prediction Service
+ * Suggests estimated hours and a due date for a new course from the logged time of
+ * similar completed courses (same modality, overlapping deliverables, similar subtask count).
+ */
+class EffortPredictionService {
+  constructor() {
+    this.workingCalendarService = new WorkingCalendarService();
+  }
+
+  /**
+   * Number of subtasks a new course of this modality is created with
+   */
+  async getModalitySubtaskCount(modality) {
+    const result = await query(`
+      SELECT COUNT(*)::int as count
+      FROM modality_tasks mt
+      JOIN modalities m ON mt.modality_id = m.id
+      WHERE m.value = $1
+    `, [modality]);
+
+    return result.rows[0].count;
+  }
+
+  /**
+   * Completed courses with logged time, most recent first
+   */
+  async getHistory() {
+    const result = await query(`
+      SELECT
+        c.id, c.modality, c.start_date, c.created_at, c.completed_at,
+        COALESCE(ARRAY_AGG(DISTINCT cd.deliverable_id) FILTER (WHERE cd.deliverable_id IS NOT NULL), '{}') as deliverables,
+        (SELECT COUNT(*) FROM course_subtasks cs WHERE cs.course_id = c.id)::int as subtask_count,
+        logged.minutes::int as logged_minutes
+      FROM courses c
+      JOIN (
+        SELECT course_id, SUM(duration) as minutes
+        FROM time_entries
+        WHERE course_id IS NOT NULL AND duration > 0
+        GROUP BY course_id
+      ) logged ON logged.course_id = c.id
+      LEFT JOIN course_deliverables cd ON cd.course_id = c.id
+      WHERE c.status = 'completed' AND c.completed_at IS NOT NULL
+      GROUP BY c.id, logged.minutes
+      ORDER BY c.completed_at DESC
+      LIMIT ${MAX_SAMPLES}
+    `);
+
+    return result.rows.map(row => ({
+      ...row,
+      hours: row.logged_minutes / 60,
+      workingDays: Math.max(countWorkingDays(toDay(row.start_date || row.created_at), toDay(row.completed_at)), 0)
+    }));
+  }
+
+  /**
+   * Predict the effort of a new course
+   * @param {Object} input - modality, deliverables, subtaskCount, startDate, estimatedDailyHours,
+   *   userId whose working calendar the suggested due date is counted in (the default calendar without one)
+   * @returns {Promise<Object|null>} null when there is no completed course to learn from
+   */
+  async predict({ modality, deliverables = [], subtaskCount, startDate, estimatedDailyHours, userId = null } = {}) {
+    if (!modality) {
+      throw new ValidationError('Modality is required', [{ path: ['modality'], message: 'Modality is required' }]);
+    }
+
+    const history = await this.getHistory();
+    if (history.length === 0) {
+      return null;
+    }
+
+    const targetSubtasks = subtaskCount || await this.getModalitySubtaskCount(modality) || null;
+    const sameModality = history.filter(course => course.modality === modality);
+    const basis = sameModality.length >= MIN_SAMPLES ? 'modality' : 'all';
+    const samples = basis === 'modality' ? sameModality : history;
+
+    // Similar deliverable sets weigh more, courses of another modality weigh less
+    const weighted = samples.map(course => {
+      const scale = targetSubtasks && course.subtask_count > 0 ? targetSubtasks / course.subtask_count : 1;
+      const weight = (0.5 + jaccard(deliverables, course.deliverables)) * (course.modality === modality ? 1 : 0.5);
+      return {
+        hours: course.hours * scale,
+        workingDays: course.workingDays * scale,
+        weight
+      };
+    });
+
+    const hoursItems = weighted.map(item => ({ value: item.hours, weight: item.weight }));
+    const daysItems = weighted.map(item => ({ value: item.workingDays, weight: item.weight }));
+
+    const hours = weightedPercentile(hoursItems, 0.5);
+    const low = weightedPercentile(hoursItems, 0.25);
+    const high = weightedPercentile(hoursItems, 0.75);
+
+    // Never plan fewer days than the capacity allows, even when past courses were faster
+    const dailyHours = estimatedDailyHours || DEFAULT_DAILY_HOURS;
+    const workingDays = Math.max(
+      Math.ceil(weightedPercentile(daysItems, 0.5)),
+      Math.ceil(hours / dailyHours),
+      1
+    );
+
+    const start = toDay(startDate || new Date());
+    const spread = hours > 0 ? (high - low) / hours : null;
+
+    // Leave room for holidays and short working weeks when loading the calendar
+    const rules = await this.workingCalendarService.getWorkingRulesForUser(
+      userId, fromDay(start), fromDay(start + workingDays * 3 + 60)
+    );
+
+    return {
+      estimatedHours: Math.max(1, Math.round(hours)),
+      range: {
+        low: round(low),
+        high: round(high)
+      },
+      confidence: this.getConfidence(samples.length, basis, spread),
+      workingDays,
+      suggestedStartDate: fromDay(start),
+      suggestedDueDate: fromDay(addWorkingDays(start, workingDays, rules.holidays, rules.workingDays)),
+      basis: {
+        modality: basis === 'modality' ? modality : null,
+        sampleSize: samples.length,
+        subtaskCount: targetSubtasks,
+        dailyHours,
+        workingCalendarId: rules.calendarId
+      }
+    };
+  }
+
+  /**
+   * Confidence of a prediction from the sample size and the width of the range
+   */
+  getConfidence(sampleSize, basis, spread) {
+    if (basis === 'modality' && sampleSize >= 10 && spread !== null && spread <= 0.5) {
+      return 'high';
+    }
+    if (basis === 'modality' && sampleSize >= MIN_SAMPLES && spread !== null && spread <= 1) {
+      return 'medium';
+    }
+    return 'low';
+  }
+}
+
+module.exports = EffortPredictionService;
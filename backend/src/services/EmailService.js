@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Email Service
+ * Sends mail through SMTP. Without SMTP_HOST messages are rendered with nodemailer's
+ * JSON transport and logged instead of sent, so development works without a mail server.
+ * docker-compose runs Mailpit as a local SMTP stand-in (SMTP_HOST=mailpit, SMTP_PORT=1025).
+ */
+class EmailService {
+  constructor() {
+    this.from = {
+      name: process.env.FROM_NAME || 'TrainingPulse',
+      address: process.env.FROM_EMAIL || 'noreply@trainingpulse.com'
+    };
+    this.transporter = null;
+  }
+
+  /**
+   * Whether a real SMTP server is configured
+   */
+  get isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      if (this.isConfigured) {
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+      } else {
+        this.transporter = nodemailer.createTransport({ jsonTransport: true });
+        logger.warn('SMTP_HOST not set, emails will be logged instead of sent');
+      }
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email rendered by one of the email templates
+   * @param {Object} message - to, subject, html, text and optional nodemailer attachments
+   */
+  async send({ to, subject, html, text, attachments = [] }) {
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+        text,
+        attachments
+      });
+
+      if (this.isConfigured) {
+        logger.info('Email sent', { to, subject, messageId: info.messageId });
+      } else {
+        logger.info('Email logged (no SMTP configured)', {
+          to,
+          subject,
+          text,
+          attachments: attachments.map(attachment => attachment.filename)
+        });
+      }
+
+      return info;
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'EmailService.send',
+        to,
+        subject
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,321 @@
+const { query } = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+
+// Subtasks count as done once completed or signed off
+const COMPLETED_SQL = `(cs.completed_at IS NOT NULL OR cs.status IN ('completed', 'final_signoff_received'))`;
+
+// An estimate is accurate when the actual time is within this share of it
+const ACCURACY_TOLERANCE = 0.2;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Estimate Service
+ * Subtask estimates (task_estimates) compared with the time logged on them (time_entries).
+ */
+class EstimateService {
+  async getSubtask(courseId, subtaskId) {
+    const result = await query(
+      'SELECT id, course_id, title, status FROM course_subtasks WHERE id = $1 AND course_id = $2',
+      [subtaskId, courseId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Subtask not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Estimates and actual hours of every subtask of a course
+   */
+  async getCourseEstimates(courseId) {
+    const result = await query(`
+      SELECT
+        cs.id as subtask_id, cs.title, cs.status, cs.order_index,
+        ${COMPLETED_SQL} as is_completed,
+        est.id as estimate_id, est.estimated_hours::float as estimated_hours, est.confidence_level, est.notes,
+        est.created_at as estimated_at, est.updated_at as estimate_updated_at,
+        eu.name as estimated_by_name,
+        COALESCE(act.minutes, 0)::int as actual_minutes
+      FROM course_subtasks cs
+      LEFT JOIN task_estimates est ON est.task_id = cs.id
+      LEFT JOIN users eu ON eu.id = COALESCE(est.updated_by, est.created_by)
+      LEFT JOIN (
+        SELECT task_id, SUM(duration) as minutes
+        FROM time_entries
+        WHERE task_id IS NOT NULL AND duration > 0
+        GROUP BY task_id
+      ) act ON act.task_id = cs.id
+      WHERE cs.course_id = $1
+      ORDER BY cs.order_index, cs.id
+    `, [courseId]);
+
+    const subtasks = result.rows.map(row => ({
+      ...row,
+      actual_hours: round(row.actual_minutes / 60),
+      ...this.compare(row.estimated_hours, row.actual_minutes / 60)
+    }));
+
+    const estimated = subtasks.filter(subtask => subtask.estimated_hours !== null);
+
+    return {
+      courseId: parseInt(courseId),
+      subtasks,
+      totals: this.summarize(estimated.map(subtask => ({
+        estimatedHours: subtask.estimated_hours,
+        actualHours: subtask.actual_minutes / 60
+      })))
+    };
+  }
+
+  /**
+   * Create or replace the estimate of a subtask
+   */
+  async setEstimate(courseId, subtaskId, data, userId) {
+    await this.getSubtask(courseId, subtaskId);
+
+    const result = await query(`
+      INSERT INTO task_estimates (task_id, estimated_hours, confidence_level, notes, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      ON CONFLICT (task_id) DO UPDATE SET
+        estimated_hours = EXCLUDED.estimated_hours,
+        confidence_level = EXCLUDED.confidence_level,
+        notes = EXCLUDED.notes,
+        updated_by = EXCLUDED.updated_by
+      RETURNING *
+    `, [subtaskId, data.estimated_hours, data.confidence_level || null, data.notes || null, userId]);
+
+    return result.rows[0];
+  }
+
+  async deleteEstimate(courseId, subtaskId) {
+    await this.getSubtask(courseId, subtaskId);
+
+    const result = await query('DELETE FROM task_estimates WHERE task_id = $1 RETURNING id', [subtaskId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Subtask has no estimate');
+    }
+  }
+
+  /**
+   * Variance of a single estimate
+   */
+  compare(estimatedHours, actualHours) {
+    if (estimatedHours === null || estimatedHours === undefined) {
+      return { variance_hours: null, variance_percent: null };
+    }
+
+    return {
+      variance_hours: round(actualHours - estimatedHours),
+      variance_percent: estimatedHours > 0 ? round(((actualHours - estimatedHours) / estimatedHours) * 100, 1) : null
+    };
+  }
+
+  /**
+   * Aggregate estimate accuracy of a set of estimates
+   * @param {Array<{estimatedHours: number, actualHours: number}>} items
+   */
+  summarize(items) {
+    const estimatedHours = items.reduce((sum, item) => sum + item.estimatedHours, 0);
+    const actualHours = items.reduce((sum, item) => sum + item.actualHours, 0);
+    const measurable = items.filter(item => item.estimatedHours > 0);
+
+    const errors = measurable.map(item => Math.abs(item.actualHours - item.estimatedHours) / item.estimatedHours);
+    const accurate = errors.filter(error => error <= ACCURACY_TOLERANCE).length;
+
+    return {
+      tasks: items.length,
+      estimatedHours: round(estimatedHours),
+      actualHours: round(actualHours),
+      varianceHours: round(actualHours - estimatedHours),
+      variancePercent: estimatedHours > 0 ? round(((actualHours - estimatedHours) / estimatedHours) * 100, 1) : null,
+      // Mean absolute percentage error of the individual estimates
+      meanAbsoluteError: errors.length > 0 ? round((errors.reduce((sum, error) => sum + error, 0) / errors.length) * 100, 1) : null,
+      accuracyRate: errors.length > 0 ? round((accurate / errors.length) * 100, 1) : null,
+      // Multiply a new estimate by this factor to correct for the historic bias
+      actualToEstimateRatio: estimatedHours > 0 ? round(actualHours / estimatedHours) : null
+    };
+  }
+
+  groupBy(rows, keyFn, labelFn) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const key = keyFn(row);
+      if (!groups.has(key)) {
+        groups.set(key, { ...labelFn(row), items: [], courses: new Set() });
+      }
+      const group = groups.get(key);
+      group.items.push({ estimatedHours: row.estimated_hours, actualHours: row.actual_hours });
+      group.courses.add(row.course_id);
+    });
+
+    return Array.from(groups.values())
+      .map(({ items, courses, ...group }) => {
+        const summary = this.summarize(items);
+        return {
+          ...group,
+          ...summary,
+          courses: courses.size,
+          averageActualHoursPerCourse: courses.size > 0 ? round(summary.actualHours / courses.size) : null
+        };
+      })
+      .sort((a, b) => b.tasks - a.tasks);
+  }
+
+  buildFilters(filters, params) {
+    let where = '';
+
+    if (filters.completedOnly !== false) {
+      where += ` AND ${COMPLETED_SQL}`;
+    }
+    if (filters.startDate) {
+      params.push(filters.startDate);
+      where += ` AND COALESCE(cs.completed_at, est.created_at) >= $${params.length}`;
+    }
+    if (filters.endDate) {
+      params.push(filters.endDate);
+      where += ` AND COALESCE(cs.completed_at, est.created_at) <= $${params.length}`;
+    }
+    if (filters.teamId) {
+      params.push(filters.teamId);
+      where += ` AND EXISTS (
+        SELECT 1 FROM course_assignments ca
+        JOIN users u ON ca.user_id = u.id
+        WHERE ca.course_id = c.id AND u.team_id = $${params.length}
+      )`;
+    }
+    if (filters.courseType) {
+      params.push(filters.courseType);
+      where += ` AND c.type = $${params.length}`;
+    }
+    if (filters.modality) {
+      params.push(filters.modality);
+      where += ` AND c.modality = $${params.length}`;
+    }
+    if (filters.courseId) {
+      params.push(filters.courseId);
+      where += ` AND c.id = $${params.length}`;
+    }
+
+    return where;
+  }
+
+  /**
+   * Estimated subtasks with their actual hours
+   */
+  async getEstimatedTasks(filters = {}) {
+    const params = [];
+    const where = this.buildFilters(filters, params);
+
+    const result = await query(`
+      SELECT
+        cs.id as subtask_id, cs.title, cs.status,
+        c.id as course_id, c.title as course_title, c.modality,
+        est.estimated_hours::float as estimated_hours, est.confidence_level,
+        COALESCE((
+          SELECT SUM(te.duration) FROM time_entries te WHERE te.task_id = cs.id AND te.duration > 0
+        ), 0) / 60.0 as actual_hours
+      FROM task_estimates est
+      JOIN course_subtasks cs ON est.task_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      WHERE 1=1 ${where}
+    `, params);
+
+    return result.rows.map(row => ({ ...row, actual_hours: Number(row.actual_hours) }));
+  }
+
+  /**
+   * Estimates attributed to the designers assigned to the subtasks.
+   * A shared subtask's estimate is split evenly, actual hours are what each designer logged on it.
+   */
+  async getDesignerTasks(filters = {}) {
+    const params = [];
+    const where = this.buildFilters(filters, params);
+
+    const result = await query(`
+      SELECT
+        u.id as user_id, u.name as user_name,
+        c.id as course_id,
+        est.estimated_hours::float / assignees.total as estimated_hours,
+        COALESCE((
+          SELECT SUM(te.duration) FROM time_entries te
+          WHERE te.task_id = cs.id AND te.user_id = u.id AND te.duration > 0
+        ), 0) / 60.0 as actual_hours
+      FROM task_estimates est
+      JOIN course_subtasks cs ON est.task_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      JOIN subtask_assignments sa ON sa.subtask_id = cs.id
+      JOIN users u ON sa.user_id = u.id
+      JOIN LATERAL (
+        SELECT COUNT(*)::float as total FROM subtask_assignments WHERE subtask_id = cs.id
+      ) assignees ON true
+      WHERE 1=1 ${where}
+    `, params);
+
+    return result.rows.map(row => ({ ...row, actual_hours: Number(row.actual_hours) }));
+  }
+
+  /**
+   * Estimate-vs-actual variance per course, modality and designer
+   * @param {Object} filters - startDate, endDate, teamId, modality, courseType, completedOnly (default true)
+   */
+  async getVarianceReport(filters = {}) {
+    const [tasks, designerTasks] = await Promise.all([
+      this.getEstimatedTasks(filters),
+      this.getDesignerTasks(filters)
+    ]);
+
+    return {
+      summary: this.summarize(tasks.map(task => ({ estimatedHours: task.estimated_hours, actualHours: task.actual_hours }))),
+      byCourse: this.groupBy(tasks, row => row.course_id, row => ({
+        courseId: row.course_id,
+        title: row.course_title,
+        modality: row.modality
+      })),
+      byModality: this.groupBy(tasks, row => row.modality || 'none', row => ({
+        modality: row.modality || null
+      })),
+      byDesigner: this.groupBy(designerTasks, row => row.user_id, row => ({
+        userId: row.user_id,
+        name: row.user_name
+      })),
+      byConfidence: this.groupBy(tasks, row => row.confidence_level || 'none', row => ({
+        confidence: row.confidence_level || null
+      })),
+      metadata: {
+        filters: { ...filters, completedOnly: filters.completedOnly !== false },
+        accuracyTolerancePercent: ACCURACY_TOLERANCE * 100,
+        generatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Estimate accuracy of completed subtasks, for the efficiency metrics
+   */
+  async getAccuracyMetrics(filters = {}) {
+    const tasks = await this.getEstimatedTasks({ ...filters, completedOnly: true });
+    const summary = this.summarize(tasks.map(task => ({ estimatedHours: task.estimated_hours, actualHours: task.actual_hours })));
+
+    return {
+      ...summary,
+      byModality: this.groupBy(tasks, row => row.modality || 'none', row => ({ modality: row.modality || null }))
+        .map(({ modality, tasks: count, meanAbsoluteError, actualToEstimateRatio, averageActualHoursPerCourse }) => ({
+          modality,
+          tasks: count,
+          meanAbsoluteError,
+          actualToEstimateRatio,
+          averageActualHoursPerCourse
+        }))
+    };
+  }
+}
+
+module.exports = EstimateService;
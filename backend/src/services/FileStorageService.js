@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Local disk storage backend (default)
+ * Files are stored below UPLOAD_PATH using the storage key as relative path
+ */
+class LocalStorageBackend {
+  constructor(options = {}) {
+    this.type = 'local';
+    this.basePath = path.resolve(options.basePath || process.env.UPLOAD_PATH || 'uploads/');
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the upload directory
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.basePath, key);
+
+    if (!filePath.startsWith(this.basePath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * S3 compatible storage backend
+ * Set AWS_S3_ENDPOINT to use non-AWS providers (MinIO, DigitalOcean Spaces, R2, ...)
+ */
+class S3StorageBackend {
+  constructor(options = {}) {
+    const AWS = require('aws-sdk');
+
+    this.type = 's3';
+    this.bucket = options.bucket || process.env.AWS_S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('AWS_S3_BUCKET is required for S3 storage');
+    }
+
+    const endpoint = options.endpoint || process.env.AWS_S3_ENDPOINT;
+
+    this.client = new AWS.S3({
+      region: options.region || process.env.AWS_REGION,
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      ...(endpoint && {
+        endpoint,
+        s3ForcePathStyle: true,
+        signatureVersion: 'v4'
+      })
+    });
+  }
+
+  async save(key, buffer, mimeType) {
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType
+    }).promise();
+    return key;
+  }
+
+  async createReadStream(key) {
+    // Fail early (before headers are sent) when the object is missing
+    await this.client.headObject({ Bucket: this.bucket, Key: key }).promise();
+    return this.client.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  async remove(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+}
+
+const backends = {
+  local: LocalStorageBackend,
+  s3: S3StorageBackend
+};
+
+/**
+ * File Storage Service
+ * Pluggable storage for uploaded files, selected with STORAGE_DRIVER (local | s3)
+ */
+class FileStorageService {
+  constructor(driver = process.env.STORAGE_DRIVER || 'local') {
+    this.backends = {};
+    this.defaultDriver = driver;
+  }
+
+  /**
+   * Get a storage backend; existing files are read from the backend they were written to
+   */
+  getBackend(driver = this.defaultDriver) {
+    if (!this.backends[driver]) {
+      const Backend = backends[driver];
+
+      if (!Backend) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+      }
+
+      this.backends[driver] = new Backend();
+      logger.info('File storage backend initialized', { driver });
+    }
+
+    return this.backends[driver];
+  }
+
+  /**
+   * Store a file, returns the storage key and backend type to persist with the attachment
+   */
+  async save(key, buffer, mimeType) {
+    const backend = this.getBackend();
+    await backend.save(key, buffer, mimeType);
+
+    return {
+      storagePath: key,
+      storageType: backend.type
+    };
+  }
+
+  async createReadStream(storagePath, storageType) {
+    return this.getBackend(storageType).createReadStream(storagePath);
+  }
+
+  async remove(storagePath, storageType) {
+    return this.getBackend(storageType).remove(storagePath);
+  }
+}
+
+module.exports = FileStorageService;
@@ -1,7 +1,13 @@
 const Bull = require('bull');
 const StatusAggregator = require('./StatusAggregator');
+const AutomationEngine = require('./AutomationEngine');
+const NotificationService = require('./NotificationService');
+const ReportSubscriptionService = require('./ReportSubscriptionService');
 const logger = require('../utils/logger');
 
+// Attempts per scheduled report run, retried with exponential backoff starting at a minute
+const REPORT_RUN_ATTEMPTS = 3;
+
 /**
  * Job Scheduler Service
  * Handles background jobs for status aggregation and other periodic tasks
@@ -9,18 +15,23 @@ const logger = require('../utils/logger');
 class JobScheduler {
   constructor() {
     this.statusAggregator = new StatusAggregator();
+    this.automationEngine = new AutomationEngine();
+    this.notificationService = new NotificationService();
+    this.reportSubscriptionService = new ReportSubscriptionService();
     this.queues = {};
     this.initializeQueues();
   }
 
   initializeQueues() {
+    const redisConfig = {
+      host: process.env.REDIS_URL ? new URL(process.env.REDIS_URL).hostname : 'localhost',
+      port: process.env.REDIS_URL ? new URL(process.env.REDIS_URL).port : 6379,
+      password: process.env.REDIS_PASSWORD || undefined
+    };
+
     // Status aggregation queue
     this.queues.statusAggregation = new Bull('status aggregation', {
-      redis: {
-        host: process.env.REDIS_URL ? new URL(process.env.REDIS_URL).hostname : 'localhost',
-        port: process.env.REDIS_URL ? new URL(process.env.REDIS_URL).port : 6379,
-        password: process.env.REDIS_PASSWORD || undefined
-      },
+      redis: redisConfig,
       defaultJobOptions: {
         removeOnComplete: 10,
         removeOnFail: 5,
@@ -36,6 +47,7 @@ class JobScheduler {
     this.queues.statusAggregation.process('update-course-status', this.processCourseStatusUpdate.bind(this));
     this.queues.statusAggregation.process('bulk-status-update', this.processBulkStatusUpdate.bind(this));
     this.queues.statusAggregation.process('periodic-status-check', this.processPeriodicStatusCheck.bind(this));
+    this.queues.statusAggregation.process('cleanup-old-jobs', () => this.cleanOldJobs());
 
     // Event handlers
     this.queues.statusAggregation.on('completed', (job, result) => {
@@ -63,6 +75,74 @@ class JobScheduler {
       });
     });
 
+    // Automation rules queue
+    this.queues.automation = new Bull('automation', {
+      redis: redisConfig,
+      defaultJobOptions: {
+        removeOnComplete: 10,
+        removeOnFail: 5,
+        attempts: 1
+      }
+    });
+
+    this.queues.automation.process('due-date-triggers', this.processDueDateTriggers.bind(this));
+
+    this.queues.automation.on('failed', (job, err) => {
+      logger.error('Automation job failed', {
+        jobId: job.id,
+        jobType: job.name,
+        error: err.message
+      });
+    });
+
+    // Notification email digest queue
+    this.queues.notifications = new Bull('notifications', {
+      redis: redisConfig,
+      defaultJobOptions: {
+        removeOnComplete: 10,
+        removeOnFail: 5,
+        attempts: 2,
+        backoff: {
+          type: 'exponential',
+          delay: 60000
+        }
+      }
+    });
+
+    this.queues.notifications.process('email-digest', this.processEmailDigest.bind(this));
+
+    this.queues.notifications.on('failed', (job, err) => {
+      logger.error('Notification job failed', {
+        jobId: job.id,
+        jobType: job.name,
+        error: err.message,
+        data: job.data
+      });
+    });
+
+    // Scheduled report subscriptions
+    this.queues.reports = new Bull('reports', {
+      redis: redisConfig,
+      defaultJobOptions: {
+        removeOnComplete: 10,
+        removeOnFail: 5,
+        attempts: 1
+      }
+    });
+
+    this.queues.reports.process('report-subscriptions-due', this.processDueReports.bind(this));
+    this.queues.reports.process('render-report', this.processReportRun.bind(this));
+
+    this.queues.reports.on('failed', (job, err) => {
+      logger.error('Report job failed', {
+        jobId: job.id,
+        jobType: job.name,
+        error: err.message,
+        attemptsMade: job.attemptsMade,
+        data: job.data
+      });
+    });
+
     logger.info('Job queues initialized successfully');
   }
 
@@ -294,6 +374,121 @@ class JobScheduler {
     }
   }
 
+  /**
+   * Process due date automation triggers job
+   */
+  async processDueDateTriggers(job) {
+    try {
+      const result = await this.automationEngine.runDueDateTriggers();
+
+      return {
+        success: true,
+        rulesEvaluated: result.rulesEvaluated,
+        fired: result.fired,
+        errors: result.errors,
+        processedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'JobScheduler.processDueDateTriggers',
+        jobId: job.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Process email digest job for one digest frequency (hourly, daily, weekly)
+   */
+  async processEmailDigest(job) {
+    const { digestType } = job.data;
+
+    try {
+      const result = await this.notificationService.sendEmailDigests(digestType);
+
+      return {
+        success: true,
+        digestType,
+        sent: result.sent,
+        failed: result.errors.length,
+        processedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'JobScheduler.processEmailDigest',
+        jobId: job.id,
+        digestType
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a render job for every report subscription that is due
+   */
+  async processDueReports(job) {
+    try {
+      const runIds = await this.reportSubscriptionService.enqueueDueRuns();
+
+      for (const runId of runIds) {
+        await this.queues.reports.add('render-report', { runId }, {
+          attempts: REPORT_RUN_ATTEMPTS,
+          backoff: {
+            type: 'exponential',
+            delay: 60000
+          },
+          jobId: `report-run-${runId}`
+        });
+      }
+
+      return {
+        success: true,
+        queued: runIds.length,
+        processedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'JobScheduler.processDueReports',
+        jobId: job.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Render and deliver one report run, failures are retried until the last attempt
+   */
+  async processReportRun(job) {
+    const { runId } = job.data;
+    const attempt = job.attemptsMade + 1;
+
+    try {
+      const result = await this.reportSubscriptionService.executeRun(runId, {
+        attempt,
+        finalAttempt: attempt >= (job.opts.attempts || 1)
+      });
+
+      return {
+        success: true,
+        runId,
+        skipped: result === null,
+        processedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'JobScheduler.processReportRun',
+        jobId: job.id,
+        runId,
+        attempt
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get queue statistics
    */
@@ -383,6 +578,32 @@ class JobScheduler {
         jobId: 'daily-cleanup'
       });
 
+      // Evaluate due date automation rules every morning
+      await this.queues.automation.add('due-date-triggers', {}, {
+        repeat: { cron: '0 7 * * *' }, // Daily at 7 AM
+        jobId: 'automation-due-date-triggers'
+      });
+
+      // Email digests for users who don't get notification emails immediately
+      const digestSchedules = {
+        hourly: '0 * * * *', // Every hour
+        daily: '0 8 * * *', // Daily at 8 AM
+        weekly: '0 8 * * 1' // Mondays at 8 AM
+      };
+
+      for (const [digestType, cron] of Object.entries(digestSchedules)) {
+        await this.queues.notifications.add('email-digest', { digestType }, {
+          repeat: { cron },
+          jobId: `email-digest-${digestType}`
+        });
+      }
+
+      // Scheduled reports carry their own cron, check for due ones every minute
+      await this.queues.reports.add('report-subscriptions-due', {}, {
+        repeat: { cron: '* * * * *' },
+        jobId: 'report-subscriptions-due'
+      });
+
       logger.info('Recurring jobs initialized');
 
     } catch (error) {
@@ -393,16 +614,7 @@ class JobScheduler {
   }
 }
 
-// Export singleton instance
+// Export singleton instance, app.js starts the recurring jobs once Redis is connected
 const jobScheduler = new JobScheduler();
 
-// Initialize recurring jobs when module is loaded
-if (process.env.NODE_ENV !== 'test') {
-  jobScheduler.initializeRecurringJobs().catch(error => {
-    logger.logError(error, {
-      context: 'JobScheduler initialization'
-    });
-  });
-}
-
 module.exports = jobScheduler;
\ No newline at end of file
@@ -0,0 +1,224 @@
+const { query } = require('../config/database');
+const { hasResourceAccess } = require('../middleware/authenticate');
+const NotificationService = require('./NotificationService');
+const logger = require('../utils/logger');
+
+// @handle tokens; a handle is the local part of the user's email (jane.doe@example.com -> @jane.doe)
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9][a-zA-Z0-9._+-]*)/g;
+
+/**
+ * Mention Service
+ * Resolves @mentions in comments to users who can see the commented entity and notifies them
+ */
+class MentionService {
+  constructor() {
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Handle used in mention tokens for a user
+   */
+  getHandle(user) {
+    return user.email.split('@')[0].toLowerCase();
+  }
+
+  /**
+   * Extract the unique lower-cased handles mentioned in comment content
+   */
+  parseHandles(content) {
+    const handles = new Set();
+
+    for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+      // Trailing punctuation ("thanks @jane.") is not part of the handle
+      handles.add(match[2].replace(/[._-]+$/, '').toLowerCase());
+    }
+
+    return [...handles].filter(Boolean);
+  }
+
+  /**
+   * Resolve the course and program a commented entity belongs to
+   */
+  async resolveEntityScope(entityType, entityId) {
+    switch (entityType) {
+      case 'course': {
+        const result = await query('SELECT id, program_id FROM courses WHERE id::text = $1', [String(entityId)]);
+        const course = result.rows[0];
+        return course ? { courseId: course.id, programId: course.program_id } : null;
+      }
+
+      case 'subtask':
+      case 'task': {
+        const result = await query(`
+          SELECT c.id, c.program_id
+          FROM course_subtasks cs
+          JOIN courses c ON cs.course_id = c.id
+          WHERE cs.id::text = $1
+        `, [String(entityId)]);
+        const course = result.rows[0];
+        return course ? { courseId: course.id, programId: course.program_id } : null;
+      }
+
+      case 'program': {
+        const result = await query('SELECT id FROM programs WHERE id::text = $1', [String(entityId)]);
+        return result.rows[0] ? { courseId: null, programId: result.rows[0].id } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Users that can be mentioned on an entity: the course's assignees and the program's members
+   */
+  async getMentionableUsers(entityType, entityId, { search = '', limit = 10 } = {}) {
+    const scope = await this.resolveEntityScope(entityType, entityId);
+
+    if (!scope) {
+      return [];
+    }
+
+    const result = await query(`
+      SELECT DISTINCT u.id, u.name, u.email, u.role
+      FROM users u
+      WHERE u.active = true
+        AND (
+          u.id IN (SELECT user_id FROM course_assignments WHERE course_id = $1)
+          OR u.id IN (SELECT assigned_user_id FROM course_subtasks WHERE course_id = $1)
+          OR u.id IN (
+            SELECT sa.user_id FROM subtask_assignments sa
+            JOIN course_subtasks cs ON sa.subtask_id = cs.id
+            WHERE cs.course_id = $1
+          )
+          OR u.id IN (SELECT user_id FROM program_members WHERE program_id = $2)
+          OR u.id IN (SELECT owner_id FROM programs WHERE id = $2)
+        )
+        AND ($3 = '' OR u.name ILIKE $4 OR u.email ILIKE $4)
+      ORDER BY u.name
+      LIMIT $5
+    `, [scope.courseId, scope.programId, search, `%${search}%`, limit]);
+
+    return result.rows.map(user => ({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      handle: this.getHandle(user)
+    }));
+  }
+
+  /**
+   * Check whether a user can see the commented entity
+   */
+  async canSeeEntity(user, entityType, entityId, mentionableIds) {
+    if (user.role === 'admin' || mentionableIds.has(user.id)) {
+      return true;
+    }
+
+    return hasResourceAccess(entityType === 'task' ? 'subtask' : entityType, entityId, user);
+  }
+
+  /**
+   * Resolve @handles in the content and explicitly passed user ids to the users allowed to be mentioned.
+   * Users that cannot see the entity are dropped.
+   */
+  async resolveMentions({ entityType, entityId, content, mentionIds = [] }) {
+    const handles = this.parseHandles(content);
+    const ids = [...new Set(mentionIds.map(id => parseInt(id)).filter(Number.isInteger))];
+
+    if (handles.length === 0 && ids.length === 0) {
+      return [];
+    }
+
+    const usersResult = await query(`
+      SELECT id, name, email, role
+      FROM users
+      WHERE active = true
+        AND (id = ANY($1::int[]) OR LOWER(SPLIT_PART(email, '@', 1)) = ANY($2::text[]))
+    `, [ids, handles]);
+
+    const mentionable = await this.getMentionableUsers(entityType, entityId, { limit: 1000 });
+    const mentionableIds = new Set(mentionable.map(user => user.id));
+
+    const mentioned = [];
+    for (const user of usersResult.rows) {
+      if (await this.canSeeEntity(user, entityType, entityId, mentionableIds)) {
+        mentioned.push(user);
+      } else {
+        logger.info('Dropped mention of user without access', {
+          userId: user.id,
+          entityType,
+          entityId
+        });
+      }
+    }
+
+    return mentioned;
+  }
+
+  /**
+   * Link to a comment in the page of the commented entity
+   */
+  async getCommentUrl(entityType, entityId, commentId) {
+    const scope = await this.resolveEntityScope(entityType, entityId);
+
+    if (!scope) {
+      return null;
+    }
+
+    const basePath = scope.courseId ? `/courses/${scope.courseId}` : `/programs/${scope.programId}`;
+    return `${basePath}#comment-${commentId}`;
+  }
+
+  /**
+   * Notify mentioned users about a comment, never fails the comment request
+   */
+  async notifyMentionedUsers(comment, userIds, author) {
+    const recipients = userIds.filter(userId => userId !== author.id);
+
+    if (recipients.length === 0) {
+      return [];
+    }
+
+    try {
+      const actionUrl = await this.getCommentUrl(comment.entity_type, comment.entity_id, comment.id);
+      const relatedEntityId = parseInt(comment.entity_id);
+      const excerpt = comment.content.length > 140 ? `${comment.content.substring(0, 140)}...` : comment.content;
+
+      const notified = [];
+      for (const userId of recipients) {
+        const notification = await this.notificationService.createNotification({
+          userId,
+          type: this.notificationService.notificationTypes.COMMENT_MENTION,
+          title: `${author.name} mentioned you in a comment`,
+          message: excerpt,
+          relatedEntityType: comment.entity_type,
+          relatedEntityId: String(relatedEntityId) === String(comment.entity_id) ? relatedEntityId : null,
+          fromUserId: author.id,
+          actionUrl,
+          actionData: {
+            commentId: comment.id,
+            entityType: comment.entity_type,
+            entityId: comment.entity_id
+          }
+        }, { skipDuplicateCheck: true });
+
+        if (notification) {
+          notified.push(userId);
+        }
+      }
+
+      return notified;
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'MentionService.notifyMentionedUsers',
+        commentId: comment.id,
+        userIds: recipients
+      });
+      return [];
+    }
+  }
+}
+
+module.exports = MentionService;
@@ -1,5 +1,8 @@
 const { query, transaction } = require('../config/database');
 const { publish } = require('../config/redis');
+const EmailService = require('./EmailService');
+const realtimeService = require('./RealtimeService');
+const { renderNotificationEmail, renderDigestEmail } = require('../utils/emailTemplates');
 const logger = require('../utils/logger');
 
 /**
@@ -24,7 +27,15 @@ class NotificationService {
       BOTTLENECK_DETECTED: 'bottleneck_detected',
       BULK_OPERATION_COMPLETE: 'bulk_operation_complete',
       STATUS_CHANGE: 'status_change',
-      DEPENDENCY_CONFLICT: 'dependency_conflict'
+      DEPENDENCY_CONFLICT: 'dependency_conflict',
+      COMMENT_MENTION: 'comment_mention',
+      TIMESHEET_SUBMITTED: 'timesheet_submitted',
+      TIMESHEET_REVIEWED: 'timesheet_reviewed',
+      REVIEW_COMMENT: 'review_comment',
+      REVIEW_SIGNOFF: 'review_signoff',
+      TIME_OFF_REQUESTED: 'time_off_requested',
+      TIME_OFF_REVIEWED: 'time_off_reviewed',
+      WORKLOAD_REBALANCED: 'workload_rebalanced'
     };
 
     this.priorityLevels = {
@@ -33,6 +44,15 @@ class NotificationService {
       HIGH: 'high',
       URGENT: 'urgent'
     };
+
+    // How far back each email digest looks for notifications that were not emailed yet (hours)
+    this.digestWindows = {
+      [this.digestTypes.HOURLY]: 24,
+      [this.digestTypes.DAILY]: 48,
+      [this.digestTypes.WEEKLY]: 168
+    };
+
+    this.emailService = new EmailService();
   }
 
   /**
@@ -51,7 +71,7 @@ class NotificationService {
         fromUserId = null,
         actionUrl = null,
         actionData = null,
-        channels = ['in_app']
+        channels = ['in_app', 'email']
       } = notificationData;
 
       const {
@@ -94,6 +114,9 @@ class NotificationService {
       // Deliver immediately if requested or if urgent
       if (deliverImmediately || priority === this.priorityLevels.URGENT) {
         await this.deliverNotification(notification);
+      } else if (channels.includes('email')) {
+        // Sent now for users with immediate email, otherwise picked up by their digest
+        await this.sendEmailNotification(notification);
       }
 
       // Publish real-time notification
@@ -125,14 +148,19 @@ class NotificationService {
       const {
         maxAge = 24, // hours
         includeRead = false,
-        digestType = this.digestTypes.DAILY
+        digestType = this.digestTypes.DAILY,
+        pendingEmailOnly = false // only notifications still waiting for an email digest
       } = options;
 
       // Get user's notification preferences
       const userPrefs = await this.getUserNotificationPreferences(userId);
 
       // Get unread notifications within the time window
-      const notifications = await this.getNotificationsForDigest(userId, maxAge, includeRead);
+      let notifications = await this.getNotificationsForDigest(userId, maxAge, includeRead, { pendingEmailOnly });
+
+      if (pendingEmailOnly) {
+        notifications = notifications.filter(notification => this.shouldEmail(notification, userPrefs));
+      }
 
       if (notifications.length === 0) {
         return {
@@ -164,6 +192,8 @@ class NotificationService {
         updates: categorized.updates,
         bottlenecks: actionableItems.bottlenecks,
         deadlines: actionableItems.deadlines,
+        general: categorized.general,
+        notificationIds: notifications.map(notification => notification.id),
         metrics: {
           totalNotifications: notifications.length,
           unreadCount: notifications.filter(n => !n.read_at).length,
@@ -403,6 +433,7 @@ class NotificationService {
         email: true,
         inApp: true,
         digest: 'daily',
+        emailDigest: 'daily',
         urgentOnly: false,
         categories: {
           course_overdue: true,
@@ -413,7 +444,13 @@ class NotificationService {
           bottleneck_detected: true,
           bulk_operation_complete: false,
           status_change: false,
-          dependency_conflict: true
+          dependency_conflict: true,
+          comment_mention: true,
+          timesheet_submitted: true,
+          timesheet_reviewed: true,
+          time_off_requested: true,
+          time_off_reviewed: true,
+          workload_rebalanced: true
         }
       };
 
@@ -431,15 +468,19 @@ class NotificationService {
   /**
    * Get notifications for digest generation
    */
-  async getNotificationsForDigest(userId, maxAge, includeRead) {
+  async getNotificationsForDigest(userId, maxAge, includeRead, { pendingEmailOnly = false } = {}) {
     try {
-      let whereClause = `WHERE user_id = $1 AND n.created_at > NOW() - INTERVAL '${maxAge} hours'`;
+      let whereClause = `WHERE user_id = $1 AND n.created_at > NOW() - INTERVAL '${parseInt(maxAge)} hours'`;
       const params = [userId];
 
       if (!includeRead) {
         whereClause += ' AND read_at IS NULL';
       }
 
+      if (pendingEmailOnly) {
+        whereClause += ` AND n.emailed_at IS NULL AND 'email' = ANY(n.sent_channels)`;
+      }
+
       const result = await query(`
         SELECT 
           n.*,
@@ -483,6 +524,8 @@ class NotificationService {
 
       switch (notification.type) {
         case this.notificationTypes.REVIEW_REQUESTED:
+        case this.notificationTypes.REVIEW_COMMENT:
+        case this.notificationTypes.REVIEW_SIGNOFF:
           categorized.reviews.push(this.formatNotificationForDigest(notification));
           break;
         case this.notificationTypes.DEADLINE_APPROACHING:
@@ -583,7 +626,7 @@ class NotificationService {
       const deliveryPromises = [];
 
       // Email delivery
-      if (channels.includes('email') && userPrefs.email) {
+      if (channels.includes('email') && userPrefs.email !== false) {
         deliveryPromises.push(this.sendEmailNotification(notification));
       }
 
@@ -608,22 +651,150 @@ class NotificationService {
   }
 
   /**
-   * Send email notification (placeholder for email service integration)
+   * Email digest frequency of a user (immediate, hourly, daily, weekly or never)
+   */
+  getEmailDigest(userPrefs) {
+    return userPrefs.emailDigest || userPrefs.digest || this.digestTypes.DAILY;
+  }
+
+  /**
+   * Whether a notification should reach the user by email at all
+   */
+  shouldEmail(notification, userPrefs) {
+    if (!(notification.sent_channels || []).includes('email')) {
+      return false;
+    }
+
+    if (userPrefs.email === false || this.getEmailDigest(userPrefs) === 'never') {
+      return false;
+    }
+
+    if (userPrefs.categories && userPrefs.categories[notification.type] === false) {
+      return false;
+    }
+
+    return !userPrefs.urgentOnly || notification.priority === this.priorityLevels.URGENT;
+  }
+
+  /**
+   * Send a notification email when the user gets emails immediately (or it is urgent).
+   * Other notifications are left for the user's email digest.
    */
   async sendEmailNotification(notification) {
     try {
-      // This would integrate with SendGrid or another email service
-      logger.debug('Email notification sent', {
-        notificationId: notification.id,
-        userId: notification.user_id,
-        type: notification.type
+      const userPrefs = await this.getUserNotificationPreferences(notification.user_id);
+
+      if (!this.shouldEmail(notification, userPrefs)) {
+        return false;
+      }
+
+      const sendNow = this.getEmailDigest(userPrefs) === this.digestTypes.IMMEDIATE ||
+        notification.priority === this.priorityLevels.URGENT;
+
+      if (!sendNow) {
+        return false;
+      }
+
+      const result = await query(`
+        SELECT u.email, u.name, fu.name as from_user_name
+        FROM users u
+        LEFT JOIN users fu ON fu.id = $2
+        WHERE u.id = $1 AND u.active = true
+      `, [notification.user_id, notification.from_user_id]);
+
+      const recipient = result.rows[0];
+      if (!recipient) {
+        return false;
+      }
+
+      const email = renderNotificationEmail({
+        ...notification,
+        from_user_name: recipient.from_user_name
       });
+
+      await this.emailService.send({ to: recipient.email, ...email });
+
+      await query(
+        'UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [notification.id]
+      );
+
+      return true;
+
     } catch (error) {
       logger.logError(error, {
         context: 'NotificationService.sendEmailNotification',
         notificationId: notification.id
       });
+      return false;
+    }
+  }
+
+  /**
+   * Email a digest to every user with pending notifications on the given digest frequency
+   */
+  async sendEmailDigests(digestType) {
+    const usersResult = await query(`
+      SELECT u.id, u.name, u.email, u.notification_preferences
+      FROM users u
+      WHERE u.active = true
+        AND EXISTS (
+          SELECT 1 FROM notifications n
+          WHERE n.user_id = u.id
+            AND n.read_at IS NULL
+            AND n.emailed_at IS NULL
+            AND 'email' = ANY(n.sent_channels)
+        )
+    `);
+
+    let sent = 0;
+    const errors = [];
+
+    for (const user of usersResult.rows) {
+      const userPrefs = user.notification_preferences || {};
+
+      if (userPrefs.email === false || this.getEmailDigest(userPrefs) !== digestType) {
+        continue;
+      }
+
+      try {
+        const digest = await this.generateDigest(user.id, {
+          maxAge: this.digestWindows[digestType],
+          digestType,
+          pendingEmailOnly: true
+        });
+
+        if (!digest.notificationIds || digest.notificationIds.length === 0) {
+          continue;
+        }
+
+        await this.emailService.send({ to: user.email, ...renderDigestEmail(digest, user) });
+
+        await query(
+          'UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+          [digest.notificationIds]
+        );
+
+        sent++;
+
+      } catch (error) {
+        logger.logError(error, {
+          context: 'NotificationService.sendEmailDigests',
+          userId: user.id,
+          digestType
+        });
+        errors.push({ userId: user.id, error: error.message });
+      }
     }
+
+    logger.info('Email digests sent', {
+      digestType,
+      candidates: usersResult.rows.length,
+      sent,
+      failed: errors.length
+    });
+
+    return { sent, errors };
   }
 
   /**
@@ -650,11 +821,15 @@ class NotificationService {
    */
   async publishRealTimeNotification(notification) {
     try {
+      const formatted = this.formatNotificationForDigest(notification);
+
       await publish(`user_${notification.user_id}_notifications`, {
         type: 'new_notification',
-        notification: this.formatNotificationForDigest(notification),
+        notification: formatted,
         timestamp: new Date().toISOString()
       });
+
+      await realtimeService.emit(`user:${notification.user_id}`, 'notification_created', formatted);
     } catch (error) {
       logger.logError(error, {
         context: 'NotificationService.publishRealTimeNotification',
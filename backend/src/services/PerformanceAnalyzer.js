@@ -1,11 +1,13 @@
 const { query } = require('../config/database');
 const { get, setex } = require('../config/redis');
+const EstimateService = require('./EstimateService');
 const logger = require('../utils/logger');
 
 class PerformanceAnalyzer {
   constructor() {
     this.cachePrefix = 'performance_analysis:';
     this.cacheTTL = 300; // 5 minutes
+    this.estimateService = new EstimateService();
   }
 
   /**
@@ -70,7 +72,8 @@ class PerformanceAnalyzer {
         efficiency: {
           averageTimePerStage: efficiencyMetrics.averageTimePerStage,
           bottleneckStages: efficiencyMetrics.bottleneckStages,
-          fastestCompletions: efficiencyMetrics.fastestCompletions
+          fastestCompletions: efficiencyMetrics.fastestCompletions,
+          estimateAccuracy: efficiencyMetrics.estimateAccuracy
         },
         trends: {
           completionTrend: trendData.completionTrend,
@@ -443,6 +446,9 @@ class PerformanceAnalyzer {
 
     const fastestCompletions = fastestCompletionsResult.rows;
 
+    // Estimated vs logged hours of the subtasks completed in the period
+    const estimateAccuracy = await this.estimateService.getAccuracyMetrics({ startDate, endDate, teamId, courseType });
+
     return {
       averageTimePerStage: averageTimePerStage.map(row => ({
         stage: row.stage,
@@ -461,7 +467,8 @@ class PerformanceAnalyzer {
         priority: row.priority,
         completionDays: row.completion_days || 0,
         teamName: row.team_name
-      }))
+      })),
+      estimateAccuracy
     };
   }
 
@@ -547,6 +554,196 @@ class PerformanceAnalyzer {
     };
   }
 
+  /**
+   * Time spent in each phase, from the finished entries of phase_status_history.
+   * Reports the average and percentiles per phase overall, per group (modality, reviewer,
+   * program or month) and per month as a trend.
+   */
+  async getPhaseCycleTimes(params = {}) {
+    const { startDate, endDate, groupBy = 'modality', teamId, modality, programId } = params;
+
+    const cacheKey = [
+      `${this.cachePrefix}phase_cycle`,
+      startDate,
+      endDate,
+      groupBy,
+      teamId || 'all',
+      modality || 'all',
+      programId || 'all'
+    ].join(':');
+    const cachedResult = await this.getCachedResult(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    let whereClause = `WHERE psh.finished_at IS NOT NULL
+      AND psh.finished_at >= $1 AND psh.finished_at < $2::date + 1
+      AND psh.status NOT IN ('', 'pending')
+      AND c.status != 'deleted'`;
+    const queryParams = [startDate, endDate];
+
+    if (teamId) {
+      queryParams.push(teamId);
+      whereClause += ` AND EXISTS (
+        SELECT 1 FROM course_assignments ca 
+        JOIN users u ON ca.user_id = u.id 
+        WHERE ca.course_id = c.id AND u.team_id = $${queryParams.length}
+      )`;
+    }
+    if (modality) {
+      queryParams.push(modality);
+      whereClause += ` AND c.modality = $${queryParams.length}`;
+    }
+    if (programId) {
+      queryParams.push(programId);
+      whereClause += ` AND c.program_id = $${queryParams.length}`;
+    }
+
+    // Each phase entry with its duration in days
+    const durations = `
+      SELECT
+        psh.status,
+        EXTRACT(EPOCH FROM (psh.finished_at - psh.started_at)) / 86400 as days,
+        psh.finished_at,
+        c.id as course_id,
+        c.modality,
+        c.program_id
+      FROM phase_status_history psh
+      JOIN course_subtasks cs ON psh.subtask_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      ${whereClause}
+    `;
+
+    const stats = `
+      COUNT(*)::int as count,
+      AVG(d.days) as avg_days,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY d.days) as median_days,
+      PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY d.days) as p75_days,
+      PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY d.days) as p90_days
+    `;
+
+    const group = this.getPhaseCycleGroup(groupBy);
+
+    const [overallResult, groupResult, trendResult, phasesResult] = await Promise.all([
+      query(`
+        WITH d AS (${durations})
+        SELECT d.status, ${stats}
+        FROM d
+        GROUP BY d.status
+      `, queryParams),
+      query(`
+        WITH d AS (${durations})
+        SELECT ${group.key} as group_key, ${group.label} as group_label, d.status, ${stats}
+        FROM d
+        ${group.joins}
+        GROUP BY group_key, group_label, d.status
+      `, queryParams),
+      query(`
+        WITH d AS (${durations})
+        SELECT TO_CHAR(DATE_TRUNC('month', d.finished_at), 'YYYY-MM') as month, d.status, ${stats}
+        FROM d
+        GROUP BY month, d.status
+        ORDER BY month
+      `, queryParams),
+      query('SELECT value, label, color, sort_order FROM phase_statuses ORDER BY sort_order, label')
+    ]);
+
+    const round = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100);
+    const toStats = (row) => ({
+      count: row.count,
+      avgDays: round(row.avg_days),
+      medianDays: round(row.median_days),
+      p75Days: round(row.p75_days),
+      p90Days: round(row.p90_days)
+    });
+
+    // Phases in workflow order, limited to those with data
+    const measured = new Set(overallResult.rows.map(row => row.status));
+    const phases = [
+      ...phasesResult.rows.filter(phase => measured.has(phase.value)),
+      ...[...measured]
+        .filter(status => !phasesResult.rows.some(phase => phase.value === status))
+        .map(status => ({ value: status, label: status, color: null }))
+    ].map(phase => ({ status: phase.value, label: phase.label, color: phase.color }));
+
+    const groups = new Map();
+    groupResult.rows.forEach(row => {
+      const key = row.group_key === null ? 'none' : String(row.group_key);
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: row.group_label || group.fallback, phases: {} });
+      }
+      groups.get(key).phases[row.status] = toStats(row);
+    });
+
+    const trend = new Map();
+    trendResult.rows.forEach(row => {
+      if (!trend.has(row.month)) {
+        trend.set(row.month, { month: row.month, phases: {} });
+      }
+      trend.get(row.month).phases[row.status] = toStats(row);
+    });
+
+    const result = {
+      phases: phases.map(phase => ({
+        ...phase,
+        ...toStats(overallResult.rows.find(row => row.status === phase.status))
+      })),
+      groups: [...groups.values()].sort((a, b) => String(a.label).localeCompare(String(b.label))),
+      trend: [...trend.values()],
+      metadata: {
+        startDate,
+        endDate,
+        groupBy,
+        generatedAt: new Date().toISOString(),
+        filters: { teamId, modality, programId },
+        sampleSize: overallResult.rows.reduce((sum, row) => sum + row.count, 0)
+      }
+    };
+
+    await this.cacheResult(cacheKey, result);
+
+    return result;
+  }
+
+  /**
+   * Group key, label and joins of the phase cycle-time breakdown
+   */
+  getPhaseCycleGroup(groupBy) {
+    switch (groupBy) {
+      case 'reviewer':
+        // A phase counts towards every reviewer assigned to the course
+        return {
+          key: 'u.id',
+          label: 'u.name',
+          joins: `LEFT JOIN course_assignments ca ON ca.course_id = d.course_id AND ca.role = 'reviewer'
+        LEFT JOIN users u ON ca.user_id = u.id`,
+          fallback: 'No reviewer'
+        };
+      case 'program':
+        return {
+          key: 'd.program_id',
+          label: 'p.name',
+          joins: 'LEFT JOIN programs p ON d.program_id = p.id',
+          fallback: 'No program'
+        };
+      case 'month':
+        return {
+          key: "TO_CHAR(DATE_TRUNC('month', d.finished_at), 'YYYY-MM')",
+          label: "TO_CHAR(DATE_TRUNC('month', d.finished_at), 'YYYY-MM')",
+          joins: '',
+          fallback: ''
+        };
+      case 'modality':
+      default:
+        return {
+          key: 'd.modality',
+          label: 'COALESCE(m.name, d.modality)',
+          joins: 'LEFT JOIN modalities m ON m.value = d.modality',
+          fallback: 'No modality'
+        };
+    }
+  }
+
   /**
    * Generate actionable insights
    */
@@ -589,6 +786,19 @@ class PerformanceAnalyzer {
       });
     }
 
+    // Estimate accuracy insights
+    const { estimateAccuracy } = efficiencyMetrics;
+    if (estimateAccuracy && estimateAccuracy.tasks >= 5 && estimateAccuracy.meanAbsoluteError > 30) {
+      const direction = estimateAccuracy.varianceHours > 0 ? 'underestimated' : 'overestimated';
+      insights.push({
+        type: 'warning',
+        category: 'efficiency',
+        title: 'Inaccurate Estimates',
+        message: `Task estimates are off by ${estimateAccuracy.meanAbsoluteError}% on average and work is ${direction} overall`,
+        recommendation: `Scale new estimates by ${estimateAccuracy.actualToEstimateRatio} or review estimates per modality`
+      });
+    }
+
     // Positive insights
     if (completionMetrics.overallCompletionRate >= 85) {
       insights.push({
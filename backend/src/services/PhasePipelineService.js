@@ -0,0 +1,358 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Subtask statuses outside any pipeline, they carry no phase dates
+const SYSTEM_STATUSES = ['', 'pending', 'in_progress', 'completed', 'on_hold'];
+
+// Dedicated course_subtasks columns of the built-in phases, still written so older reports keep working.
+// Final (Gold) runs from entering final revision until the sign-off is received (migration 045),
+// final_signoff keeps the entered/end dates of migration 046.
+const LEGACY_COLUMNS = {
+  alpha_draft: { start: ['alpha_draft_start_date', 'alpha_draft_date'], end: ['alpha_draft_end_date'] },
+  alpha_review: { start: ['alpha_review_start_date', 'alpha_review_date'], end: ['alpha_review_end_date'] },
+  beta_revision: { start: ['beta_revision_start_date', 'beta_revision_date'], end: ['beta_revision_end_date'] },
+  beta_review: { start: ['beta_review_start_date', 'beta_review_date'], end: ['beta_review_end_date'] },
+  final_revision: {
+    start: ['final_revision_start_date', 'final_revision_date', 'final_revision_entered_date', 'final_start_date'],
+    end: ['final_revision_end_date']
+  },
+  final_signoff: { start: ['final_signoff_entered_date'], end: ['final_end_date'] },
+  final_signoff_sent: { start: ['final_signoff_sent_start_date', 'final_signoff_sent_date'], end: ['final_signoff_sent_end_date'] },
+  final_signoff_received: { start: ['final_signoff_received_start_date', 'final_signoff_received_date', 'final_end_date'], end: [] }
+};
+
+const PHASE_FIELDS = `
+  ps.id, ps.value, ps.label, ps.color, ps.dark_color as "darkColor", ps.is_terminal as "isTerminal"
+`;
+
+/**
+ * Phase Pipeline Service
+ * The ordered phases a subtask goes through, configured per modality, and the start/end
+ * dates of each phase. Modalities without a configured pipeline use every active phase.
+ */
+class PhasePipelineService {
+  async getDefaultPipeline(client = null) {
+    const db = client || { query };
+    const result = await db.query(`
+      SELECT ${PHASE_FIELDS}, ROW_NUMBER() OVER (ORDER BY ps.sort_order, ps.id)::int as "orderIndex"
+      FROM phase_statuses ps
+      WHERE ps.is_active = true AND ps.tracks_dates = true
+      ORDER BY ps.sort_order, ps.id
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Pipeline of a modality, by modality value
+   */
+  async getPipeline(modality, client = null) {
+    const db = client || { query };
+
+    if (modality) {
+      const result = await db.query(`
+        SELECT ${PHASE_FIELDS}, mp.order_index as "orderIndex"
+        FROM modality_phases mp
+        JOIN modalities m ON mp.modality_id = m.id
+        JOIN phase_statuses ps ON mp.phase_status_id = ps.id
+        WHERE m.value = $1 AND ps.is_active = true
+        ORDER BY mp.order_index
+      `, [modality]);
+
+      if (result.rows.length > 0) {
+        return result.rows;
+      }
+    }
+
+    return this.getDefaultPipeline(client);
+  }
+
+  /**
+   * Pipeline of the modality of a course
+   */
+  async getPipelineForCourse(courseId, client = null) {
+    const db = client || { query };
+    const result = await db.query('SELECT modality FROM courses WHERE id = $1', [courseId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Course ${courseId} not found`);
+    }
+
+    return this.getPipeline(result.rows[0].modality, client);
+  }
+
+  /**
+   * Pipeline of every active modality, for configuration
+   */
+  async getPipelines() {
+    const [modalities, configured, defaultPipeline] = await Promise.all([
+      query('SELECT id, value, name FROM modalities WHERE is_active = true ORDER BY sort_order, name'),
+      query(`
+        SELECT mp.modality_id, ${PHASE_FIELDS}, mp.order_index as "orderIndex"
+        FROM modality_phases mp
+        JOIN phase_statuses ps ON mp.phase_status_id = ps.id
+        WHERE ps.is_active = true
+        ORDER BY mp.modality_id, mp.order_index
+      `),
+      this.getDefaultPipeline()
+    ]);
+
+    return modalities.rows.map(modality => {
+      const phases = configured.rows
+        .filter(row => row.modality_id === modality.id)
+        .map(({ modality_id: modalityId, ...phase }) => phase);
+
+      return {
+        modalityId: modality.id,
+        modality: modality.value,
+        name: modality.name,
+        isDefault: phases.length === 0,
+        phases: phases.length > 0 ? phases : defaultPipeline
+      };
+    });
+  }
+
+  /**
+   * Replace the pipeline of a modality
+   * @param {string} modality - modality value
+   * @param {string[]} statuses - phase status values in pipeline order
+   */
+  async setPipeline(modality, statuses, userId) {
+    if (new Set(statuses).size !== statuses.length) {
+      throw new ValidationError('Invalid pipeline', [{ path: ['phases'], message: 'A phase can only appear once in a pipeline' }]);
+    }
+
+    await transaction(async (client) => {
+      const modalityResult = await client.query('SELECT id FROM modalities WHERE value = $1 AND is_active = true', [modality]);
+      if (modalityResult.rows.length === 0) {
+        throw new NotFoundError(`Modality ${modality} not found`);
+      }
+      const modalityId = modalityResult.rows[0].id;
+
+      const phaseResult = await client.query(
+        'SELECT id, value, is_terminal FROM phase_statuses WHERE value = ANY($1) AND is_active = true AND tracks_dates = true',
+        [statuses]
+      );
+      const phaseByValue = new Map(phaseResult.rows.map(row => [row.value, row]));
+      const unknown = statuses.filter(status => !phaseByValue.has(status));
+      if (unknown.length > 0) {
+        throw new ValidationError('Invalid pipeline', [{ path: ['phases'], message: `Unknown phases: ${unknown.join(', ')}` }]);
+      }
+
+      const misplacedTerminal = statuses.slice(0, -1).find(status => phaseByValue.get(status).is_terminal);
+      if (misplacedTerminal) {
+        throw new ValidationError('Invalid pipeline', [{ path: ['phases'], message: `${misplacedTerminal} ends a pipeline and must be the last phase` }]);
+      }
+
+      await client.query('DELETE FROM modality_phases WHERE modality_id = $1', [modalityId]);
+
+      for (let i = 0; i < statuses.length; i++) {
+        await client.query(
+          'INSERT INTO modality_phases (modality_id, phase_status_id, order_index) VALUES ($1, $2, $3)',
+          [modalityId, phaseByValue.get(statuses[i]).id, i + 1]
+        );
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (
+          user_id, entity_type, entity_id, action, changes, created_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      `, [userId, 'modality', modalityId, 'pipeline_updated', JSON.stringify({ modality, phases: statuses })]);
+    });
+
+    logger.info('Phase pipeline updated', { modality, phases: statuses, userId });
+
+    return this.getPipeline(modality);
+  }
+
+  /**
+   * Reject statuses that don't exist, and phases that are not part of the course's pipeline
+   */
+  async assertValidStatus(status, pipeline, client = null) {
+    if (SYSTEM_STATUSES.includes(status) || pipeline.some(phase => phase.value === status)) {
+      return;
+    }
+
+    const db = client || { query };
+    const result = await db.query(
+      'SELECT label, tracks_dates FROM phase_statuses WHERE value = $1 AND is_active = true',
+      [status]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ValidationError('Invalid status', [{ path: ['status'], message: `Unknown status '${status}'` }]);
+    }
+    if (result.rows[0].tracks_dates) {
+      throw new ValidationError('Invalid status', [{ path: ['status'], message: `${result.rows[0].label} is not a phase of this course's pipeline` }]);
+    }
+  }
+
+  /**
+   * Phase dates of subtasks, keyed by subtask ID
+   */
+  async getPhaseDates(subtaskIds, client = null) {
+    const db = client || { query };
+    const bySubtask = new Map(subtaskIds.map(id => [id, []]));
+    if (subtaskIds.length === 0) {
+      return bySubtask;
+    }
+
+    const result = await db.query(`
+      SELECT subtask_id, phase_status, started_at, finished_at
+      FROM subtask_phase_dates
+      WHERE subtask_id = ANY($1)
+      ORDER BY subtask_id, started_at
+    `, [subtaskIds]);
+
+    result.rows.forEach(row => bySubtask.get(row.subtask_id).push(row));
+
+    return bySubtask;
+  }
+
+  /**
+   * Work out the phase dates to write when a subtask moves from one status to another.
+   * Leaving a phase finishes it, entering one (re)starts it, and moving back in the
+   * pipeline clears the dates of the phases after the new one.
+   * @param {Array} pipeline - phases in order
+   * @param {Array} phaseDates - current subtask_phase_dates rows of the subtask
+   * @returns {Object} upserts [{status, startedAt, finishedAt}] and deletes [status]
+   */
+  planTransition(pipeline, phaseDates, oldStatus, newStatus, now = new Date()) {
+    if (newStatus === '') {
+      return { upserts: [], deletes: phaseDates.map(row => row.phase_status) };
+    }
+
+    const order = pipeline.map(phase => phase.value);
+    const current = new Map(phaseDates.map(row => [row.phase_status, row]));
+    const upserts = new Map();
+    const deletes = new Set();
+
+    const oldIndex = order.indexOf(oldStatus);
+    const newIndex = order.indexOf(newStatus);
+    const oldDates = current.get(oldStatus);
+
+    if (oldDates && !oldDates.finished_at && !(oldIndex >= 0 && pipeline[oldIndex].isTerminal)) {
+      upserts.set(oldStatus, { status: oldStatus, startedAt: oldDates.started_at, finishedAt: now });
+    }
+
+    if (newIndex >= 0 && oldIndex > newIndex) {
+      order.slice(newIndex + 1).forEach(status => {
+        upserts.delete(status);
+        if (current.has(status)) {
+          deletes.add(status);
+        }
+      });
+    }
+
+    if (newIndex >= 0) {
+      deletes.delete(newStatus);
+      upserts.set(newStatus, { status: newStatus, startedAt: now, finishedAt: null });
+    }
+
+    return { upserts: [...upserts.values()], deletes: [...deletes] };
+  }
+
+  async applyTransition(client, subtaskId, plan) {
+    if (plan.deletes.length > 0) {
+      await client.query(
+        'DELETE FROM subtask_phase_dates WHERE subtask_id = $1 AND phase_status = ANY($2)',
+        [subtaskId, plan.deletes]
+      );
+    }
+
+    for (const phase of plan.upserts) {
+      await client.query(`
+        INSERT INTO subtask_phase_dates (subtask_id, phase_status, started_at, finished_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (subtask_id, phase_status)
+        DO UPDATE SET started_at = EXCLUDED.started_at, finished_at = EXCLUDED.finished_at
+      `, [subtaskId, phase.status, phase.startedAt, phase.finishedAt]);
+    }
+  }
+
+  /**
+   * Values of the dedicated date columns that mirror a transition plan, and the finish date it sets
+   * @returns {Object} column name to value
+   */
+  getLegacyColumnUpdates(plan) {
+    const updates = {};
+
+    plan.deletes.forEach(status => {
+      const columns = LEGACY_COLUMNS[status];
+      if (columns) {
+        [...columns.start, ...columns.end].forEach(column => {
+          updates[column] = null;
+        });
+      }
+    });
+
+    plan.upserts.forEach(phase => {
+      const columns = LEGACY_COLUMNS[phase.status];
+      if (!columns) return;
+
+      // A finished phase keeps its start columns, an entered one gets new ones
+      if (!phase.finishedAt) {
+        columns.start.forEach(column => {
+          updates[column] = phase.startedAt;
+        });
+      }
+      columns.end.forEach(column => {
+        updates[column] = phase.finishedAt;
+      });
+    });
+
+    // Receiving the sign-off completes Final (Gold), which is the subtask's finish date
+    const signoffReceived = plan.upserts.find(phase => phase.status === 'final_signoff_received' && !phase.finishedAt);
+    if (signoffReceived) {
+      updates.finish_date = signoffReceived.startedAt;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Phase dates of a subtask in pipeline order, with phases outside the pipeline at the end
+   */
+  describePhases(pipeline, phaseDates, currentStatus, labels = new Map()) {
+    const byStatus = new Map(phaseDates.map(row => [row.phase_status, row]));
+
+    const phases = pipeline.map(phase => ({
+      status: phase.value,
+      label: phase.label,
+      color: phase.color,
+      darkColor: phase.darkColor,
+      startedAt: byStatus.has(phase.value) ? byStatus.get(phase.value).started_at : null,
+      finishedAt: byStatus.has(phase.value) ? byStatus.get(phase.value).finished_at : null,
+      isCurrent: currentStatus === phase.value
+    }));
+
+    const inPipeline = new Set(pipeline.map(phase => phase.value));
+    phaseDates
+      .filter(row => !inPipeline.has(row.phase_status))
+      .forEach(row => {
+        phases.push({
+          status: row.phase_status,
+          label: labels.get(row.phase_status) || row.phase_status,
+          color: null,
+          darkColor: null,
+          startedAt: row.started_at,
+          finishedAt: row.finished_at,
+          isCurrent: currentStatus === row.phase_status
+        });
+      });
+
+    return phases;
+  }
+
+  /**
+   * Labels of all phase statuses, for phases no longer in a pipeline
+   */
+  async getPhaseLabels(client = null) {
+    const db = client || { query };
+    const result = await db.query('SELECT value, label FROM phase_statuses');
+    return new Map(result.rows.map(row => [row.value, row.label]));
+  }
+}
+
+module.exports = PhasePipelineService;
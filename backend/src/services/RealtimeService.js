@@ -0,0 +1,289 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { publish, subscribe, subscriber } = require('../config/redis');
+const { hasResourceAccess } = require('../middleware/authenticate');
+const logger = require('../utils/logger');
+
+// Redis channel used to fan events out to every API instance
+const REDIS_CHANNEL = 'realtime_events';
+const HEARTBEAT_INTERVAL = 25000;
+const MAX_CHANNELS_PER_CONNECTION = 50;
+const CHANNEL_PATTERN = /^(course|program|user):([\w-]+)$/;
+
+/**
+ * Realtime Service
+ * Server-Sent Events push for course, program and user channels.
+ * Events are published through Redis when available so every instance delivers them to its own clients.
+ */
+class RealtimeService {
+  constructor() {
+    this.connections = new Map(); // connectionId -> { res, user, channels }
+    this.channels = new Map(); // channel -> Set of connectionIds
+    this.redisSubscribed = false;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Subscribe to the Redis fan-out channel and start the heartbeat
+   */
+  async start() {
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
+      this.heartbeat.unref();
+    }
+
+    if (!subscriber()) {
+      logger.warn('Redis unavailable, realtime events only reach clients of this instance');
+      return;
+    }
+
+    await subscribe(REDIS_CHANNEL, (payload) => this.deliver(payload));
+    this.redisSubscribed = true;
+  }
+
+  /**
+   * Open an SSE stream for an authenticated request
+   */
+  openStream(req, res) {
+    const connectionId = uuidv4();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    this.connections.set(connectionId, { res, user: req.user, channels: new Set() });
+
+    req.on('close', () => this.closeConnection(connectionId));
+
+    this.write(res, 'connected', { connectionId });
+
+    logger.debug('Realtime connection opened', { connectionId, userId: req.user.id });
+
+    return connectionId;
+  }
+
+  closeConnection(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    connection.channels.forEach(channel => this.removeFromChannel(channel, connectionId));
+    this.connections.delete(connectionId);
+
+    logger.debug('Realtime connection closed', { connectionId, userId: connection.user.id });
+  }
+
+  /**
+   * Check whether a user may listen to a channel
+   */
+  async canSubscribe(user, channel) {
+    const match = CHANNEL_PATTERN.exec(channel);
+    if (!match) {
+      return false;
+    }
+
+    const [, type, id] = match;
+
+    if (type === 'user') {
+      return String(user.id) === id;
+    }
+
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    return hasResourceAccess(type, id, user);
+  }
+
+  /**
+   * Subscribe a connection to channels, returns the accepted and rejected channels
+   */
+  async subscribe(connectionId, user, channels) {
+    const connection = this.connections.get(connectionId);
+
+    if (!connection || connection.user.id !== user.id) {
+      return null;
+    }
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const channel of channels) {
+      const normalized = channel === 'user:me' ? `user:${user.id}` : channel;
+
+      if (connection.channels.size >= MAX_CHANNELS_PER_CONNECTION ||
+          !(await this.canSubscribe(user, normalized).catch(() => false))) {
+        rejected.push(channel);
+        continue;
+      }
+
+      connection.channels.add(normalized);
+      if (!this.channels.has(normalized)) {
+        this.channels.set(normalized, new Set());
+      }
+      this.channels.get(normalized).add(connectionId);
+      accepted.push(normalized);
+    }
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Unsubscribe a connection from channels
+   */
+  unsubscribe(connectionId, user, channels) {
+    const connection = this.connections.get(connectionId);
+
+    if (!connection || connection.user.id !== user.id) {
+      return null;
+    }
+
+    channels.forEach(channel => {
+      const normalized = channel === 'user:me' ? `user:${user.id}` : channel;
+      connection.channels.delete(normalized);
+      this.removeFromChannel(normalized, connectionId);
+    });
+
+    return { channels: [...connection.channels] };
+  }
+
+  removeFromChannel(channel, connectionId) {
+    const subscribers = this.channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(connectionId);
+      if (subscribers.size === 0) {
+        this.channels.delete(channel);
+      }
+    }
+  }
+
+  /**
+   * Emit an event on a channel (course:<id>, program:<id> or user:<id>)
+   */
+  async emit(channel, event, data) {
+    const payload = {
+      channel,
+      event,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      // Without Redis (or its subscription) the event is delivered to local clients directly
+      const receivers = this.redisSubscribed ? await publish(REDIS_CHANNEL, payload) : 0;
+      if (!receivers) {
+        this.deliver(payload);
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'RealtimeService.emit',
+        channel,
+        event
+      });
+    }
+  }
+
+  /**
+   * Emit an event on a course channel and the channel of its program
+   */
+  async emitCourseEvent(courseId, event, data) {
+    await this.emit(`course:${courseId}`, event, data);
+
+    try {
+      const result = await query('SELECT program_id FROM courses WHERE id = $1', [courseId]);
+      const programId = result.rows[0]?.program_id;
+      if (programId) {
+        await this.emit(`program:${programId}`, event, { ...data, courseId });
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'RealtimeService.emitCourseEvent',
+        courseId,
+        event
+      });
+    }
+  }
+
+  /**
+   * Emit an event for a commented entity (course, subtask or program)
+   */
+  async emitEntityEvent(entityType, entityId, event, data) {
+    try {
+      switch (entityType) {
+        case 'course':
+          return await this.emitCourseEvent(entityId, event, data);
+        case 'subtask':
+        case 'task': {
+          const result = await query('SELECT course_id FROM course_subtasks WHERE id::text = $1', [String(entityId)]);
+          if (result.rows[0]) {
+            await this.emitCourseEvent(result.rows[0].course_id, event, { ...data, subtaskId: entityId });
+          }
+          return;
+        }
+        case 'program':
+          return await this.emit(`program:${entityId}`, event, data);
+        default:
+          return;
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'RealtimeService.emitEntityEvent',
+        entityType,
+        entityId,
+        event
+      });
+    }
+  }
+
+  /**
+   * Write an event to the local connections subscribed to its channel
+   */
+  deliver(payload) {
+    const subscribers = this.channels.get(payload.channel);
+    if (!subscribers) {
+      return;
+    }
+
+    subscribers.forEach(connectionId => {
+      const connection = this.connections.get(connectionId);
+      if (connection) {
+        this.write(connection.res, payload.event, payload);
+      }
+    });
+  }
+
+  write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  sendHeartbeat() {
+    this.connections.forEach(({ res }) => res.write(': heartbeat\n\n'));
+  }
+
+  /**
+   * End all streams so the HTTP server can close
+   */
+  shutdown() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.connections.forEach(({ res }) => res.end());
+    this.connections.clear();
+    this.channels.clear();
+  }
+
+  getStats() {
+    return {
+      connections: this.connections.size,
+      channels: this.channels.size,
+      redisFanOut: this.redisSubscribed
+    };
+  }
+}
+
+// Export singleton instance, connections live in this process
+module.exports = new RealtimeService();
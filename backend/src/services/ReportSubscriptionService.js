@@ -0,0 +1,712 @@
+const fs = require('fs');
+const path = require('path');
+const cronParser = require('cron-parser');
+const { query, transaction } = require('../config/database');
+const BottleneckAnalyzer = require('./BottleneckAnalyzer');
+const PerformanceAnalyzer = require('./PerformanceAnalyzer');
+const ResourceHeatmapService = require('./ResourceHeatmapService');
+const EmailService = require('./EmailService');
+const { toCsv } = require('../utils/csv');
+const { PdfDocument } = require('../utils/pdf');
+const { renderReportEmail } = require('../utils/emailTemplates');
+const { toDay, fromDay } = require('../utils/dates');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const REPORT_TITLES = {
+  bottlenecks: 'Bottlenecks',
+  workload: 'Workload heatmap',
+  performance: 'Performance',
+  overdue_courses: 'Overdue courses'
+};
+
+// Schedules may not fire more often than this, reports are not a polling mechanism
+const MIN_INTERVAL_MINUTES = 60;
+
+// Subfolder below REPORT_DROP_DIR, no dots so it can't leave the drop directory
+const FOLDER_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/;
+
+const SUBSCRIPTION_FIELDS = `
+  s.id, s.name, s.report_type, s.parameters, s.format, s.cron_expression, s.timezone,
+  s.delivery_method, s.recipients, s.file_path, s.team_id, t.name as team_name, s.active,
+  s.run_requested, s.next_run_at, s.last_run_at, s.last_status,
+  s.created_by, creator.name as created_by_name, s.created_at, s.updated_at
+`;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 60) || 'report';
+
+/**
+ * Report Subscription Service
+ * Saved analytics reports on a cron schedule. The reports queue in JobScheduler calls enqueueDueRuns
+ * every minute and renders each queued run with executeRun, which Bull retries on failure.
+ * Reports are delivered as an email attachment or written below REPORT_DROP_DIR.
+ */
+class ReportSubscriptionService {
+  constructor() {
+    this.bottleneckAnalyzer = new BottleneckAnalyzer();
+    this.performanceAnalyzer = new PerformanceAnalyzer();
+    this.resourceHeatmapService = new ResourceHeatmapService();
+    this.emailService = new EmailService();
+  }
+
+  get dropDir() {
+    return path.resolve(process.env.REPORT_DROP_DIR || 'reports/');
+  }
+
+  /**
+   * Resolve a file inside the drop directory
+   */
+  resolveDropPath(...segments) {
+    const filePath = path.resolve(this.dropDir, ...segments);
+
+    if (!filePath.startsWith(this.dropDir + path.sep)) {
+      throw new ValidationError('Invalid report folder', [{ path: 'filePath', message: 'Folder must stay inside the report directory' }]);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Next time a cron expression fires after `from`, in the subscription's timezone
+   */
+  getNextRun(cronExpression, timezone = 'UTC', from = new Date()) {
+    return cronParser.parseExpression(cronExpression, { currentDate: from, tz: timezone }).next().toDate();
+  }
+
+  /**
+   * Check a schedule and return its next run
+   */
+  validateSchedule(cronExpression, timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new ValidationError('Invalid schedule', [{ path: 'timezone', message: `Unknown timezone ${timezone}` }]);
+    }
+
+    let first;
+    let second;
+    try {
+      const interval = cronParser.parseExpression(cronExpression, { currentDate: new Date(), tz: timezone });
+      first = interval.next().toDate();
+      second = interval.next().toDate();
+    } catch (error) {
+      throw new ValidationError('Invalid schedule', [{ path: 'cronExpression', message: `Invalid cron expression: ${error.message}` }]);
+    }
+
+    if (second - first < MIN_INTERVAL_MINUTES * 60 * 1000) {
+      throw new ValidationError('Invalid schedule', [{
+        path: 'cronExpression',
+        message: `Reports can run at most once every ${MIN_INTERVAL_MINUTES} minutes`
+      }]);
+    }
+
+    return first;
+  }
+
+  /**
+   * Reports contain internal data, so recipients must be active TrainingPulse users
+   */
+  async validateRecipients(recipients) {
+    const emails = [...new Set(recipients.map(email => email.trim().toLowerCase()))];
+    if (emails.length === 0) {
+      throw new ValidationError('Invalid recipients', [{ path: 'recipients', message: 'At least one recipient is required for email delivery' }]);
+    }
+
+    const result = await query(`
+      SELECT LOWER(email) as email FROM users
+      WHERE LOWER(email) = ANY($1) AND active = true AND role <> 'external_reviewer'
+    `, [emails]);
+
+    const known = new Set(result.rows.map(row => row.email));
+    const unknown = emails.filter(email => !known.has(email));
+    if (unknown.length > 0) {
+      throw new ValidationError('Invalid recipients', [{
+        path: 'recipients',
+        message: `Not active users: ${unknown.join(', ')}`
+      }]);
+    }
+
+    return emails;
+  }
+
+  validateFolder(folder) {
+    if (!folder || !FOLDER_PATTERN.test(folder)) {
+      throw new ValidationError('Invalid report folder', [{
+        path: 'filePath',
+        message: 'Use letters, numbers, dashes and underscores, with / between folders'
+      }]);
+    }
+
+    this.resolveDropPath(folder);
+    return folder;
+  }
+
+  /**
+   * Admins manage every subscription, managers those of their team and the ones they created
+   */
+  canManage(user, subscription) {
+    return user.role === 'admin'
+      || subscription.created_by === user.id
+      || (user.role === 'manager' && !!user.team_id && subscription.team_id === user.team_id);
+  }
+
+  async listSubscriptions(user) {
+    const params = [];
+    let where = '';
+    if (user.role !== 'admin') {
+      params.push(user.id, user.team_id || null);
+      where = 'WHERE s.created_by = $1 OR ($2::int IS NOT NULL AND s.team_id = $2)';
+    }
+
+    const result = await query(`
+      SELECT ${SUBSCRIPTION_FIELDS}
+      FROM report_subscriptions s
+      LEFT JOIN teams t ON t.id = s.team_id
+      LEFT JOIN users creator ON creator.id = s.created_by
+      ${where}
+      ORDER BY s.name ASC
+    `, params);
+
+    return result.rows;
+  }
+
+  async getSubscription(id, user = null) {
+    const result = await query(`
+      SELECT ${SUBSCRIPTION_FIELDS}
+      FROM report_subscriptions s
+      LEFT JOIN teams t ON t.id = s.team_id
+      LEFT JOIN users creator ON creator.id = s.created_by
+      WHERE s.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Report subscription not found');
+    }
+
+    const subscription = result.rows[0];
+    if (user && !this.canManage(user, subscription)) {
+      throw new ForbiddenError('You can only manage report subscriptions of your team');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Validated columns for an insert or update. Admins pick any team (null for all teams),
+   * everyone else reports on their own team.
+   */
+  async prepare(user, data, existing = null) {
+    const merged = {
+      reportType: existing?.report_type,
+      parameters: existing?.parameters || {},
+      format: existing?.format,
+      cronExpression: existing?.cron_expression,
+      timezone: existing?.timezone || 'UTC',
+      deliveryMethod: existing?.delivery_method,
+      recipients: existing?.recipients || [],
+      filePath: existing?.file_path || null,
+      teamId: existing ? existing.team_id : undefined,
+      active: existing ? existing.active : true,
+      ...data
+    };
+
+    const teamId = user.role === 'admin'
+      ? (merged.teamId ?? null)
+      : (user.team_id || null);
+
+    const nextRunAt = this.validateSchedule(merged.cronExpression, merged.timezone);
+
+    const recipients = merged.deliveryMethod === 'email'
+      ? await this.validateRecipients(merged.recipients)
+      : [];
+    const filePath = merged.deliveryMethod === 'file'
+      ? this.validateFolder(merged.filePath)
+      : null;
+
+    return {
+      name: merged.name ?? existing?.name,
+      reportType: merged.reportType,
+      parameters: merged.parameters,
+      format: merged.format,
+      cronExpression: merged.cronExpression,
+      timezone: merged.timezone,
+      deliveryMethod: merged.deliveryMethod,
+      recipients,
+      filePath,
+      teamId,
+      active: merged.active,
+      nextRunAt: merged.active ? nextRunAt : null
+    };
+  }
+
+  async createSubscription(user, data) {
+    const values = await this.prepare(user, data);
+
+    const result = await query(`
+      INSERT INTO report_subscriptions (
+        name, report_type, parameters, format, cron_expression, timezone,
+        delivery_method, recipients, file_path, team_id, active, next_run_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      values.name, values.reportType, JSON.stringify(values.parameters), values.format,
+      values.cronExpression, values.timezone, values.deliveryMethod, values.recipients,
+      values.filePath, values.teamId, values.active, values.nextRunAt, user.id
+    ]);
+
+    logger.info('Report subscription created', {
+      subscriptionId: result.rows[0].id,
+      reportType: values.reportType,
+      createdBy: user.id
+    });
+
+    return this.getSubscription(result.rows[0].id);
+  }
+
+  async updateSubscription(id, user, data) {
+    const existing = await this.getSubscription(id, user);
+    const values = await this.prepare(user, data, existing);
+
+    await query(`
+      UPDATE report_subscriptions
+      SET name = $2, report_type = $3, parameters = $4, format = $5, cron_expression = $6, timezone = $7,
+          delivery_method = $8, recipients = $9, file_path = $10, team_id = $11, active = $12,
+          next_run_at = $13, updated_at = NOW()
+      WHERE id = $1
+    `, [
+      id, values.name, values.reportType, JSON.stringify(values.parameters), values.format,
+      values.cronExpression, values.timezone, values.deliveryMethod, values.recipients,
+      values.filePath, values.teamId, values.active, values.nextRunAt
+    ]);
+
+    return this.getSubscription(id);
+  }
+
+  async deleteSubscription(id, user) {
+    await this.getSubscription(id, user);
+    await query('DELETE FROM report_subscriptions WHERE id = $1', [id]);
+
+    logger.info('Report subscription deleted', { subscriptionId: id, deletedBy: user.id });
+  }
+
+  /**
+   * Run a subscription on the next scheduler tick, without moving its schedule
+   */
+  async requestRun(id, user) {
+    await this.getSubscription(id, user);
+    await query('UPDATE report_subscriptions SET run_requested = true, updated_at = NOW() WHERE id = $1', [id]);
+    return this.getSubscription(id);
+  }
+
+  async listRuns(id, user, limit = 50) {
+    await this.getSubscription(id, user);
+
+    const result = await query(`
+      SELECT id, subscription_id, status, trigger, attempts, started_at, finished_at,
+        file_name, file_size, delivered_to, error, created_at
+      FROM report_runs
+      WHERE subscription_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [id, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Queue a run for every subscription that is due or was asked to run now, and move its schedule on.
+   * Rows are locked so overlapping scheduler ticks never queue the same run twice.
+   * @returns {Promise<number[]>} ids of the queued runs
+   */
+  async enqueueDueRuns(now = new Date()) {
+    return transaction(async (client) => {
+      const due = await client.query(`
+        SELECT id, cron_expression, timezone, active, run_requested, next_run_at
+        FROM report_subscriptions
+        WHERE run_requested = true OR (active = true AND next_run_at <= $1)
+        ORDER BY next_run_at ASC NULLS LAST
+        FOR UPDATE SKIP LOCKED
+      `, [now]);
+
+      const runIds = [];
+      for (const subscription of due.rows) {
+        const scheduled = subscription.active && subscription.next_run_at && subscription.next_run_at <= now;
+
+        const run = await client.query(`
+          INSERT INTO report_runs (subscription_id, status, trigger)
+          VALUES ($1, 'queued', $2)
+          RETURNING id
+        `, [subscription.id, scheduled ? 'schedule' : 'manual']);
+        runIds.push(run.rows[0].id);
+
+        let nextRunAt = subscription.next_run_at;
+        if (scheduled) {
+          try {
+            nextRunAt = this.getNextRun(subscription.cron_expression, subscription.timezone, now);
+          } catch (error) {
+            // Saved schedules are validated, this only happens if the expression was edited in the database
+            logger.logError(error, { context: 'ReportSubscriptionService.enqueueDueRuns', subscriptionId: subscription.id });
+            nextRunAt = null;
+          }
+        }
+
+        await client.query(`
+          UPDATE report_subscriptions
+          SET next_run_at = $2, run_requested = false, last_status = 'queued'
+          WHERE id = $1
+        `, [subscription.id, nextRunAt]);
+      }
+
+      return runIds;
+    });
+  }
+
+  /**
+   * Render and deliver one run. Failures are recorded and rethrown so the queue retries them,
+   * the run is only marked failed on its last attempt.
+   */
+  async executeRun(runId, { attempt = 1, finalAttempt = true } = {}) {
+    const runResult = await query(`
+      UPDATE report_runs
+      SET status = 'running', attempts = $2, started_at = COALESCE(started_at, NOW()), error = NULL
+      WHERE id = $1
+      RETURNING id, subscription_id
+    `, [runId, attempt]);
+
+    // The subscription was deleted after the run was queued
+    if (runResult.rows.length === 0) {
+      return null;
+    }
+
+    const subscription = await this.getSubscription(runResult.rows[0].subscription_id);
+
+    try {
+      const report = await this.buildReport(subscription);
+      const file = this.renderReport(report, subscription.format, `${slugify(subscription.name)}-${report.generatedOn}-${runId}`);
+      const deliveredTo = await this.deliver(subscription, report, file);
+
+      await query(`
+        UPDATE report_runs
+        SET status = 'succeeded', finished_at = NOW(), file_name = $2, file_size = $3, delivered_to = $4
+        WHERE id = $1
+      `, [runId, file.fileName, file.content.length, deliveredTo]);
+      await query(`
+        UPDATE report_subscriptions SET last_run_at = NOW(), last_status = 'succeeded' WHERE id = $1
+      `, [subscription.id]);
+
+      logger.info('Scheduled report delivered', {
+        runId,
+        subscriptionId: subscription.id,
+        reportType: subscription.report_type,
+        deliveryMethod: subscription.delivery_method
+      });
+
+      return { runId, fileName: file.fileName, deliveredTo };
+
+    } catch (error) {
+      const status = finalAttempt ? 'failed' : 'retrying';
+
+      await query(`
+        UPDATE report_runs SET status = $2, error = $3, finished_at = $4 WHERE id = $1
+      `, [runId, status, error.message, finalAttempt ? new Date() : null]);
+      await query(`
+        UPDATE report_subscriptions SET last_run_at = NOW(), last_status = $2 WHERE id = $1
+      `, [subscription.id, status]);
+
+      logger.logError(error, {
+        context: 'ReportSubscriptionService.executeRun',
+        runId,
+        subscriptionId: subscription.id,
+        attempt,
+        finalAttempt
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Report data as a table: columns ({ key, label, width, align }), rows and summary lines
+   */
+  async buildReport(subscription) {
+    const parameters = subscription.parameters || {};
+    const teamId = subscription.team_id || null;
+    const generatedOn = fromDay(toDay(new Date()));
+
+    const report = {
+      title: REPORT_TITLES[subscription.report_type],
+      scope: subscription.team_name || 'All teams',
+      generatedOn,
+      summary: [],
+      columns: [],
+      rows: []
+    };
+
+    switch (subscription.report_type) {
+      case 'bottlenecks':
+        return this.buildBottleneckReport(report, parameters, teamId);
+      case 'workload':
+        return this.buildWorkloadReport(report, parameters, teamId);
+      case 'performance':
+        return this.buildPerformanceReport(report, parameters, teamId);
+      case 'overdue_courses':
+        return this.buildOverdueReport(report, teamId);
+      default:
+        throw new Error(`Unknown report type ${subscription.report_type}`);
+    }
+  }
+
+  async buildBottleneckReport(report, parameters, teamId) {
+    const { period = '30d', groupBy = 'stage', threshold = 2.0, limit = 20 } = parameters;
+    const analysis = await this.bottleneckAnalyzer.analyzeBottlenecks({ period, groupBy, threshold, teamId, limit });
+
+    report.summary = [
+      { label: 'Period', value: period },
+      { label: 'Grouped by', value: groupBy },
+      { label: 'Bottlenecks found', value: analysis.bottlenecks.length }
+    ];
+    report.columns = [
+      { key: 'entity', label: 'Entity', width: 140 },
+      { key: 'severity', label: 'Severity', width: 55 },
+      { key: 'total_transitions', label: 'Transitions', width: 60, align: 'right' },
+      { key: 'avg_hours', label: 'Avg hours', width: 60, align: 'right' },
+      { key: 'median_hours', label: 'Median hours', width: 65, align: 'right' },
+      { key: 'p95_hours', label: 'P95 hours', width: 60, align: 'right' },
+      { key: 'bottleneck_percentage', label: 'Share %', width: 55, align: 'right' }
+    ];
+    report.rows = analysis.bottlenecks.map(bottleneck => ({
+      entity: bottleneck.entity,
+      severity: bottleneck.severity,
+      total_transitions: bottleneck.total_transitions,
+      avg_hours: round(bottleneck.avg_hours, 1),
+      median_hours: round(bottleneck.median_hours, 1),
+      p95_hours: round(bottleneck.p95_hours, 1),
+      bottleneck_percentage: round(bottleneck.bottleneck_percentage, 1)
+    }));
+
+    return report;
+  }
+
+  async buildWorkloadReport(report, parameters, teamId) {
+    const { weeks = 4 } = parameters;
+    const startDay = toDay(new Date());
+    const startDate = fromDay(startDay);
+    const endDate = fromDay(startDay + weeks * 7 - 1);
+
+    const heatmap = await this.resourceHeatmapService.generateHeatmap({
+      startDate,
+      endDate,
+      teamId,
+      capacityType: 'hours',
+      granularity: 'weekly'
+    });
+
+    const entries = heatmap.heatmap;
+    report.summary = [
+      { label: 'Weeks', value: `${startDate} to ${endDate}` },
+      { label: 'People', value: new Set(entries.map(entry => entry.userId)).size },
+      { label: 'Overloaded weeks', value: entries.filter(entry => entry.utilization >= 100).length }
+    ];
+    report.columns = [
+      { key: 'user', label: 'Person', width: 130 },
+      { key: 'team', label: 'Team', width: 90 },
+      { key: 'week', label: 'Week of', width: 65 },
+      { key: 'capacity', label: 'Capacity h', width: 55, align: 'right' },
+      { key: 'allocated', label: 'Allocated h', width: 55, align: 'right' },
+      { key: 'timeOff', label: 'Time off h', width: 50, align: 'right' },
+      { key: 'utilization', label: 'Util %', width: 50, align: 'right' }
+    ];
+    report.rows = entries
+      .map(entry => ({
+        user: entry.userName,
+        team: entry.teamName || '',
+        week: entry.date,
+        capacity: round(entry.capacity * entry.workingDays, 1),
+        allocated: round(entry.allocatedHours * entry.workingDays, 1),
+        timeOff: round(entry.timeOffHours, 1),
+        utilization: round(entry.utilization, 0)
+      }))
+      .sort((a, b) => a.user.localeCompare(b.user) || a.week.localeCompare(b.week));
+
+    return report;
+  }
+
+  async buildPerformanceReport(report, parameters, teamId) {
+    const { period = '30d', courseType } = parameters;
+    const performance = await this.performanceAnalyzer.analyzePerformance({ period, teamId, courseType, groupBy: 'team' });
+    const { summary } = performance;
+
+    report.summary = [
+      { label: 'Period', value: period },
+      { label: 'Courses', value: `${summary.completedCourses} of ${summary.totalCourses} completed` },
+      { label: 'Completion rate', value: `${round(summary.completionRate, 1)}%` },
+      { label: 'On time', value: summary.onTimeCompletions },
+      { label: 'Average completion time', value: `${round(summary.averageCompletionTime, 1)} days` },
+      { label: 'Average delay', value: `${round(summary.averageDelayDays, 1)} days` },
+      { label: 'Productivity score', value: round(summary.productivityScore, 1) }
+    ];
+    report.columns = [
+      { key: 'team', label: 'Team', width: 215 },
+      { key: 'total', label: 'Courses', width: 90, align: 'right' },
+      { key: 'completed', label: 'Completed', width: 90, align: 'right' },
+      { key: 'completionRate', label: 'Completion %', width: 100, align: 'right' }
+    ];
+    report.rows = (performance.completion?.byTeam || []).map(team => ({
+      team: team.teamName,
+      total: team.total,
+      completed: team.completed,
+      completionRate: round(team.completionRate, 1)
+    }));
+
+    return report;
+  }
+
+  async buildOverdueReport(report, teamId) {
+    const result = await query(`
+      SELECT c.id, c.title, c.status, c.priority,
+        TO_CHAR(c.due_date, 'YYYY-MM-DD') as due_date,
+        CURRENT_DATE - c.due_date::date as days_overdue,
+        (
+          SELECT STRING_AGG(DISTINCT u.name, ', ')
+          FROM course_assignments ca
+          JOIN users u ON u.id = ca.user_id
+          WHERE ca.course_id = c.id
+        ) as assignees
+      FROM courses c
+      WHERE c.due_date < CURRENT_DATE
+        AND c.status NOT IN ('deleted', 'completed', 'cancelled')
+        AND ($1::int IS NULL OR EXISTS (
+          SELECT 1 FROM course_assignments ca
+          JOIN users u ON ca.user_id = u.id
+          WHERE ca.course_id = c.id AND u.team_id = $1
+        ))
+      ORDER BY c.due_date ASC, c.title ASC
+    `, [teamId]);
+
+    report.summary = [
+      { label: 'Overdue courses', value: result.rows.length },
+      { label: 'More than 14 days late', value: result.rows.filter(row => row.days_overdue > 14).length }
+    ];
+    report.columns = [
+      { key: 'title', label: 'Course', width: 170 },
+      { key: 'status', label: 'Status', width: 70 },
+      { key: 'priority', label: 'Priority', width: 50 },
+      { key: 'due_date', label: 'Due', width: 60 },
+      { key: 'days_overdue', label: 'Days late', width: 45, align: 'right' },
+      { key: 'assignees', label: 'Assigned', width: 100 }
+    ];
+    report.rows = result.rows.map(row => ({ ...row, assignees: row.assignees || '' }));
+
+    return report;
+  }
+
+  /**
+   * @returns {{ fileName: string, contentType: string, content: Buffer }}
+   */
+  renderReport(report, format, baseName) {
+    if (format === 'csv') {
+      return {
+        fileName: `${baseName}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        // BOM so spreadsheet apps detect UTF-8
+        content: Buffer.from(`\uFEFF${toCsv(report.columns, report.rows)}`, 'utf8')
+      };
+    }
+
+    return {
+      fileName: `${baseName}.pdf`,
+      contentType: 'application/pdf',
+      content: this.renderPdf(report)
+    };
+  }
+
+  renderPdf(report) {
+    const doc = new PdfDocument();
+
+    doc.text(report.title, { size: 18, font: 'bold' })
+      .moveDown(16)
+      .text(`${report.scope} - generated ${report.generatedOn}`, { size: 9 })
+      .moveDown(22);
+
+    report.summary.forEach(line => {
+      doc.text(line.label, { size: 9, font: 'bold' })
+        .text(String(line.value), { x: doc.margin + 140, size: 9 })
+        .moveDown(13);
+    });
+    doc.moveDown(12);
+
+    // Column positions, right aligned columns are drawn from their right edge
+    let left = doc.margin;
+    const columns = report.columns.map(column => {
+      const position = { ...column, x: column.align === 'right' ? left + column.width - 6 : left };
+      left += column.width;
+      return position;
+    });
+
+    const header = () => {
+      columns.forEach(column => doc.text(column.label, { x: column.x, align: column.align, size: 8, font: 'bold' }));
+      doc.moveDown(6).rule().moveDown(12);
+    };
+
+    header();
+
+    if (report.rows.length === 0) {
+      doc.text('Nothing to report', { size: 9 });
+    }
+
+    report.rows.forEach(row => {
+      const pages = doc.pages.length;
+      doc.ensureSpace(14);
+      if (doc.pages.length !== pages) {
+        header();
+      }
+
+      columns.forEach(column => doc.text(row[column.key] ?? '', {
+        x: column.x,
+        align: column.align,
+        size: 8,
+        maxWidth: column.width - 8
+      }));
+      doc.moveDown(12);
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Mail the file or write it to the drop directory
+   * @returns {Promise<string>} where the report went
+   */
+  async deliver(subscription, report, file) {
+    if (subscription.delivery_method === 'file') {
+      const filePath = this.resolveDropPath(subscription.file_path, file.fileName);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, file.content);
+      return path.relative(this.dropDir, filePath);
+    }
+
+    const email = renderReportEmail({ subscription, report, fileName: file.fileName });
+    await this.emailService.send({
+      to: subscription.recipients,
+      ...email,
+      attachments: [{
+        filename: file.fileName,
+        content: file.content,
+        contentType: file.contentType
+      }]
+    });
+
+    return subscription.recipients.join(', ');
+  }
+}
+
+module.exports = ReportSubscriptionService;
@@ -2,6 +2,8 @@ const { query } = require('../config/database');
 const { get, set } = require('../config/redis');
 const logger = require('../utils/logger');
 const { ValidationError } = require('../middleware/errorHandler');
+const WorkingCalendarService = require('./WorkingCalendarService');
+const { toDay, fromDay } = require('../utils/dates');
 
 /**
  * Resource Heatmap Service
@@ -11,6 +13,7 @@ class ResourceHeatmapService {
   constructor() {
     this.cachePrefix = 'resource_heatmap';
     this.defaultCapacityHours = 8.0;
+    this.workingCalendarService = new WorkingCalendarService();
   }
 
   /**
@@ -23,7 +26,7 @@ class ResourceHeatmapService {
       teamId = null,
       userIds = null,
       includeWeekends = false,
-      includeHolidays = false,
+      includeHolidays = true,
       capacityType = 'hours', // 'hours', 'courses', 'workload'
       granularity = 'daily' // 'daily', 'weekly'
     } = options;
@@ -42,7 +45,8 @@ class ResourceHeatmapService {
       }
 
       // Check cache
-      const cacheKey = `${this.cachePrefix}:${startDate}:${endDate}:${teamId}:${capacityType}:${granularity}`;
+      const userKey = userIds && userIds.length > 0 ? [...userIds].sort().join(',') : 'all';
+      const cacheKey = `${this.cachePrefix}:${startDate}:${endDate}:${teamId}:${userKey}:${capacityType}:${granularity}:${includeWeekends}:${includeHolidays}`;
       const cached = await get(cacheKey);
       if (cached) {
         return cached;
@@ -51,14 +55,24 @@ class ResourceHeatmapService {
       // Get users to analyze
       const users = await this.getUsers(teamId, userIds);
       
-      // Generate date range
-      const dateRange = this.generateDateRange(start, end, includeWeekends, granularity);
+      // Working days, holidays and time off of every user, from their working calendar
+      const schedules = await this.workingCalendarService.getUserSchedules(
+        users.map(user => user.id),
+        fromDay(toDay(start) - 7),
+        fromDay(toDay(end) + 7)
+      );
+      if (!includeHolidays) {
+        schedules.forEach(schedule => {
+          schedule.calendar = { ...schedule.calendar, holidays: new Map() };
+        });
+      }
       
-      // Get holidays if needed
-      const holidays = includeHolidays ? await this.getHolidays(start, end) : [];
+      // Generate date range, days nobody works are left out
+      const workingDays = new Set([...schedules.values()].flatMap(schedule => schedule.calendar.workingDays));
+      const dateRange = this.generateDateRange(start, end, includeWeekends, granularity, workingDays);
       
       // Calculate workload data
-      const heatmapData = await this.calculateWorkloadData(users, dateRange, holidays, capacityType);
+      const heatmapData = await this.calculateWorkloadData(users, dateRange, schedules, capacityType);
       
       // Generate summary statistics
       const summary = this.calculateSummaryStats(heatmapData, dateRange);
@@ -74,7 +88,7 @@ class ResourceHeatmapService {
           startDate,
           endDate,
           totalPeriods: dateRange.length,
-          workingPeriods: dateRange.filter(d => !this.isWeekend(d.date) && !this.isHoliday(d.date, holidays)).length
+          workingPeriods: new Set(heatmapData.filter(entry => !entry.isWeekend && !entry.isHoliday).map(entry => entry.date)).size
         },
         options: {
           capacityType,
@@ -126,11 +140,15 @@ class ResourceHeatmapService {
             underutilizedDays: 0,
             peakUtilization: 0,
             avgUtilization: 0,
-            workingDays: 0
+            workingDays: 0,
+            timeOffDays: 0
           };
         }
 
         const member = teamMembers[entry.userId];
+        if (entry.isTimeOff) {
+          member.timeOffDays += entry.timeOffHours === null ? 1 : entry.timeOffHours / (entry.dailyCapacity || this.defaultCapacityHours);
+        }
         if (!entry.isWeekend && !entry.isHoliday) {
           member.totalAllocated += entry.allocatedHours;
           member.totalAvailable += entry.capacity;
@@ -146,7 +164,8 @@ class ResourceHeatmapService {
 
       // Calculate averages
       Object.values(teamMembers).forEach(member => {
-        if (member.workingDays > 0) {
+        member.timeOffDays = Math.round(member.timeOffDays * 10) / 10;
+        if (member.totalAvailable > 0) {
           member.avgUtilization = (member.totalAllocated / member.totalAvailable) * 100;
         }
       });
@@ -302,6 +321,8 @@ class ResourceHeatmapService {
           weekStarting: week.date,
           currentUtilization: week.utilization,
           projectedUtilization: projectedUtilization[index],
+          availableDays: week.availableDays,
+          workingDays: week.workingDays,
           confidence: index < 2 ? 'high' : index < 4 ? 'medium' : 'low',
           risks: this.identifyWorkloadRisks(week, projectedUtilization[index])
         })),
@@ -386,7 +407,7 @@ class ResourceHeatmapService {
   /**
    * Generate date range for analysis
    */
-  generateDateRange(startDate, endDate, includeWeekends, granularity) {
+  generateDateRange(startDate, endDate, includeWeekends, granularity, workingDays = new Set([1, 2, 3, 4, 5])) {
     const dates = [];
     const current = new Date(startDate);
     const end = new Date(endDate);
@@ -409,7 +430,7 @@ class ResourceHeatmapService {
     } else {
       // Daily granularity
       while (current <= end) {
-        if (includeWeekends || !this.isWeekend(current)) {
+        if (includeWeekends || workingDays.has(current.getDay())) {
           dates.push({
             date: new Date(current),
             type: 'day'
@@ -425,13 +446,16 @@ class ResourceHeatmapService {
   /**
    * Calculate workload data for users and dates
    */
-  async calculateWorkloadData(users, dateRange, holidays, capacityType) {
+  async calculateWorkloadData(users, dateRange, schedules, capacityType) {
     const workloadData = [];
 
     for (const user of users) {
+      const schedule = schedules.get(user.id);
+      const dailyCapacity = parseFloat(user.daily_capacity_hours) || this.defaultCapacityHours;
+
       for (const period of dateRange) {
-        const isWeekend = this.isWeekend(period.date);
-        const isHoliday = this.isHoliday(period.date, holidays);
+        const availability = this.getPeriodAvailability(schedule, period, dailyCapacity);
+        const { isWeekend, isHoliday } = availability;
 
         // Get course assignments for this period
         const assignments = await this.getAssignmentsForPeriod(user.id, period);
@@ -457,7 +481,7 @@ class ResourceHeatmapService {
           allocatedHours = workloadScore * 1.5; // Convert to hours equivalent
         }
 
-        const capacity = isWeekend || isHoliday ? 0 : (user.daily_capacity_hours || this.defaultCapacityHours);
+        const capacity = availability.capacity;
         const utilization = capacity > 0 ? (allocatedHours / capacity) * 100 : 0;
 
         let intensity = 'low';
@@ -473,13 +497,19 @@ class ResourceHeatmapService {
           date: period.date.toISOString().split('T')[0],
           isWeekend,
           isHoliday,
+          holidayName: availability.holidayName,
+          isTimeOff: availability.isTimeOff,
+          timeOffHours: availability.timeOffHours,
+          workingDays: availability.workingDays,
+          availableDays: availability.availableDays,
+          dailyCapacity,
           intensity,
           utilization: Math.round(utilization * 100) / 100,
           allocatedHours: Math.round(allocatedHours * 100) / 100,
           capacity,
           courseCount,
           workloadScore: Math.round(workloadScore * 100) / 100,
-          available: !isWeekend && !isHoliday && utilization < 85,
+          available: capacity > 0 && utilization < 85,
           courses: assignments.map(a => ({
             id: a.course_id,
             title: a.title,
@@ -534,21 +564,62 @@ class ResourceHeatmapService {
   }
 
   /**
-   * Get holidays for date range
+   * Get holidays for date range from a working calendar (the default calendar when none is given)
    */
-  async getHolidays(startDate, endDate) {
-    // This would typically integrate with a holiday API or database
-    // For now, return common holidays
-    const holidays = [
-      { date: '2024-01-01', name: 'New Year\'s Day' },
-      { date: '2024-07-04', name: 'Independence Day' },
-      { date: '2024-12-25', name: 'Christmas Day' }
-    ];
-
-    return holidays.filter(h => {
-      const holidayDate = new Date(h.date);
-      return holidayDate >= startDate && holidayDate <= endDate;
-    });
+  async getHolidays(startDate, endDate, calendarId = null) {
+    return this.workingCalendarService.getHolidays(startDate, endDate, calendarId);
+  }
+
+  /**
+   * Capacity of a user in a period after non-working days, holidays and time off.
+   * Weekly periods keep the per-day scale of daily ones: the daily capacity times the share of
+   * the week's working days the user is available.
+   */
+  getPeriodAvailability(schedule, period, dailyCapacity) {
+    const firstDay = toDay(period.weekStarting || period.date);
+    const lastDay = toDay(period.weekEnding || period.date);
+
+    let workingDays = 0;
+    let availableDays = 0;
+    let holidayName = null;
+    let timeOffHours = 0;
+    let fullDaysOff = 0;
+
+    for (let day = firstDay; day <= lastDay; day++) {
+      const described = this.workingCalendarService.describeDay(schedule, day);
+      if (!described.isWorkingDay) {
+        continue;
+      }
+      workingDays++;
+      if (described.isHoliday) {
+        holidayName = holidayName || described.holidayName;
+        continue;
+      }
+      if (described.isTimeOff) {
+        if (described.timeOffHours === null) {
+          fullDaysOff++;
+          continue;
+        }
+        timeOffHours += described.timeOffHours;
+      }
+      availableDays++;
+    }
+
+    const availableHours = Math.max(0, availableDays * dailyCapacity - timeOffHours);
+    const isWeek = period.type === 'week';
+
+    return {
+      isWeekend: !isWeek && workingDays === 0,
+      isHoliday: !isWeek && workingDays > 0 && holidayName !== null,
+      holidayName,
+      isTimeOff: fullDaysOff > 0 || timeOffHours > 0,
+      timeOffHours: fullDaysOff > 0 && !isWeek ? null : Math.round((fullDaysOff * dailyCapacity + timeOffHours) * 100) / 100,
+      workingDays,
+      availableDays,
+      capacity: workingDays > 0
+        ? Math.round((availableHours / workingDays) * 100) / 100
+        : 0
+    };
   }
 
   /**
@@ -716,6 +787,10 @@ class ResourceHeatmapService {
       risks.push('High context switching');
     }
 
+    if (week.availableDays < week.workingDays) {
+      risks.push(`Reduced availability - ${week.workingDays - week.availableDays} of ${week.workingDays} working days off`);
+    }
+
     const criticalCourses = week.courses.filter(c => c.priority === 'critical');
     if (criticalCourses.length > 1) {
       risks.push('Multiple critical priorities');
@@ -723,19 +798,6 @@ class ResourceHeatmapService {
 
     return risks;
   }
-
-  /**
-   * Helper methods
-   */
-  isWeekend(date) {
-    const day = date.getDay();
-    return day === 0 || day === 6;
-  }
-
-  isHoliday(date, holidays) {
-    const dateStr = date.toISOString().split('T')[0];
-    return holidays.some(h => h.date === dateStr);
-  }
 }
 
 module.exports = ResourceHeatmapService;
\ No newline at end of file
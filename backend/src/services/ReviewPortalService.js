@@ -0,0 +1,605 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const SubtaskService = require('./SubtaskService');
+const AttachmentService = require('./AttachmentService');
+const NotificationService = require('./NotificationService');
+const EmailService = require('./EmailService');
+const realtimeService = require('./RealtimeService');
+const { renderReviewLinkEmail, appLink } = require('../utils/emailTemplates');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError, UnauthorizedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const REVIEWER_ROLE = 'external_reviewer';
+const PORTAL_AUDIENCE = 'trainingpulse-portal';
+const SIGNOFF_STATUS = 'final_signoff_received';
+
+// Reviewers sign off a subtask once it reaches the phase before sign-off in its course's pipeline
+const isReadyForSignOff = (status, pipeline) => {
+  const signoffIndex = pipeline.findIndex(phase => phase.value === SIGNOFF_STATUS);
+  return signoffIndex > 0 && pipeline[signoffIndex - 1].value === status;
+};
+
+/**
+ * Review Portal Service
+ * External reviewers (clients and SMEs outside the team) see only the courses assigned to them,
+ * download their deliverables, comment and record final sign-off
+ */
+class ReviewPortalService {
+  constructor() {
+    this.subtaskService = new SubtaskService();
+    this.attachmentService = new AttachmentService();
+    this.notificationService = new NotificationService();
+    this.emailService = new EmailService();
+    this.linkExpiryHours = parseInt(process.env.REVIEW_LINK_EXPIRES_HOURS) || 72;
+  }
+
+  get role() {
+    return REVIEWER_ROLE;
+  }
+
+  get audience() {
+    return PORTAL_AUDIENCE;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * List external reviewers with the courses assigned to them
+   */
+  async listReviewers() {
+    const result = await query(`
+      SELECT u.id, u.email, u.name, u.active, u.last_login, u.created_at,
+        COALESCE(
+          json_agg(json_build_object('id', c.id, 'title', c.title, 'status', c.status) ORDER BY c.title)
+            FILTER (WHERE c.id IS NOT NULL),
+          '[]'
+        ) as courses
+      FROM users u
+      LEFT JOIN external_review_assignments era ON era.user_id = u.id
+      LEFT JOIN courses c ON c.id = era.course_id
+      WHERE u.role = $1
+      GROUP BY u.id
+      ORDER BY u.active DESC, u.name ASC
+    `, [REVIEWER_ROLE]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get an external reviewer by id
+   */
+  async getReviewer(reviewerId, client = null) {
+    const db = client || { query };
+    const result = await db.query(
+      'SELECT id, email, name, role, active FROM users WHERE id = $1 AND role = $2',
+      [reviewerId, REVIEWER_ROLE]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('External reviewer not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create an external reviewer (or reactivate an existing one), assign courses and email a sign-in link.
+   * Without a password the reviewer can only sign in through emailed links.
+   */
+  async inviteReviewer({ email, name, courseIds = [], password = null }, invitedBy) {
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    // Users need a password hash, a random one can never be typed in
+    const passwordHash = await bcrypt.hash(password || crypto.randomBytes(32).toString('hex'), saltRounds);
+
+    const reviewer = await transaction(async (client) => {
+      const existing = await client.query('SELECT id, role FROM users WHERE email = $1', [email]);
+      let reviewerRow;
+
+      if (existing.rows.length > 0) {
+        if (existing.rows[0].role !== REVIEWER_ROLE) {
+          throw new ConflictError('A team member already uses this email address');
+        }
+        const updated = await client.query(`
+          UPDATE users
+          SET name = $2, active = true, updated_at = CURRENT_TIMESTAMP
+            ${password ? ', password = $3' : ''}
+          WHERE id = $1
+          RETURNING id, email, name, role, active
+        `, password ? [existing.rows[0].id, name, passwordHash] : [existing.rows[0].id, name]);
+        reviewerRow = updated.rows[0];
+      } else {
+        const created = await client.query(`
+          INSERT INTO users (email, name, password, role, team_id, active, daily_capacity_hours, skills, notification_preferences, ui_preferences, timezone)
+          VALUES ($1, $2, $3, $4, NULL, true, 0, ARRAY[]::text[], '{}', '{}', 'UTC')
+          RETURNING id, email, name, role, active
+        `, [email, name, passwordHash, REVIEWER_ROLE]);
+        reviewerRow = created.rows[0];
+      }
+
+      for (const courseId of courseIds) {
+        await this.assignCourse(reviewerRow.id, courseId, invitedBy, client);
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, entity_type, entity_id, action, changes, created_at)
+        VALUES ($1, 'user', $2, 'external_reviewer_invited', $3, CURRENT_TIMESTAMP)
+      `, [invitedBy, reviewerRow.id, JSON.stringify({ email, courseIds })]);
+
+      return reviewerRow;
+    });
+
+    const link = await this.createLoginLink(reviewer.id, invitedBy);
+
+    logger.info('External reviewer invited', { reviewerId: reviewer.id, invitedBy, courseIds });
+
+    return { reviewer, link };
+  }
+
+  /**
+   * Give a reviewer access to a course
+   */
+  async assignCourse(reviewerId, courseId, assignedBy, client = null) {
+    const db = client || { query };
+    await this.getReviewer(reviewerId, db);
+
+    const courseResult = await db.query('SELECT id FROM courses WHERE id = $1', [courseId]);
+    if (courseResult.rows.length === 0) {
+      throw new NotFoundError(`Course ${courseId} not found`);
+    }
+
+    await db.query(`
+      INSERT INTO external_review_assignments (course_id, user_id, assigned_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (course_id, user_id) DO NOTHING
+    `, [courseId, reviewerId, assignedBy]);
+  }
+
+  /**
+   * Remove a reviewer's access to a course
+   */
+  async unassignCourse(reviewerId, courseId) {
+    const result = await query(
+      'DELETE FROM external_review_assignments WHERE user_id = $1 AND course_id = $2',
+      [reviewerId, courseId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Course is not assigned to this reviewer');
+    }
+  }
+
+  /**
+   * Create a single-use sign-in link and email it to the reviewer
+   */
+  async createLoginLink(reviewerId, createdBy = null) {
+    const reviewer = await this.getReviewer(reviewerId);
+    if (!reviewer.active) {
+      throw new ValidationError('Reviewer is deactivated', [{ path: ['reviewerId'], message: 'Reactivate the reviewer by inviting them again' }]);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.linkExpiryHours * 60 * 60 * 1000);
+
+    await query(`
+      INSERT INTO reviewer_login_links (user_id, token_hash, expires_at, created_by)
+      VALUES ($1, $2, $3, $4)
+    `, [reviewerId, this.hashToken(token), expiresAt, createdBy]);
+
+    const url = appLink(`/review/login/${token}`);
+    const courses = await this.getCourses(reviewerId);
+
+    let invitedBy = null;
+    if (createdBy) {
+      const inviterResult = await query('SELECT name FROM users WHERE id = $1', [createdBy]);
+      invitedBy = inviterResult.rows[0]?.name || null;
+    }
+
+    const email = renderReviewLinkEmail({ reviewer, url, expiresAt, courses, invitedBy });
+    const sent = await this.emailService.send({ to: reviewer.email, ...email });
+
+    return { url, expiresAt, emailed: !!sent };
+  }
+
+  /**
+   * Deactivate a reviewer, existing portal sessions stop working on their next request
+   */
+  async deactivateReviewer(reviewerId, userId) {
+    await this.getReviewer(reviewerId);
+
+    await transaction(async (client) => {
+      await client.query('UPDATE users SET active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [reviewerId]);
+      await client.query('UPDATE reviewer_login_links SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL', [reviewerId]);
+      await client.query(`
+        INSERT INTO audit_logs (user_id, entity_type, entity_id, action, changes, created_at)
+        VALUES ($1, 'user', $2, 'external_reviewer_deactivated', '{}', CURRENT_TIMESTAMP)
+      `, [userId, reviewerId]);
+    });
+  }
+
+  /**
+   * Issue a portal session token. Its audience keeps it out of the main API.
+   */
+  issueToken(reviewer) {
+    return jwt.sign({
+      userId: reviewer.id,
+      email: reviewer.email,
+      role: reviewer.role
+    }, process.env.JWT_SECRET, {
+      expiresIn: process.env.PORTAL_SESSION_EXPIRES_IN || '12h',
+      issuer: 'trainingpulse',
+      audience: PORTAL_AUDIENCE
+    });
+  }
+
+  async startSession(reviewer) {
+    await query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [reviewer.id]);
+
+    return {
+      token: this.issueToken(reviewer),
+      reviewer: { id: reviewer.id, email: reviewer.email, name: reviewer.name }
+    };
+  }
+
+  /**
+   * Exchange a sign-in link token for a portal session
+   */
+  async exchangeLoginLink(token) {
+    const result = await query(`
+      UPDATE reviewer_login_links l
+      SET used_at = CURRENT_TIMESTAMP
+      FROM users u
+      WHERE l.token_hash = $1
+        AND l.used_at IS NULL
+        AND l.expires_at > CURRENT_TIMESTAMP
+        AND u.id = l.user_id
+        AND u.role = $2
+        AND u.active = true
+      RETURNING u.id, u.email, u.name, u.role
+    `, [this.hashToken(token), REVIEWER_ROLE]);
+
+    if (result.rows.length === 0) {
+      throw new UnauthorizedError('This sign-in link is invalid or has expired');
+    }
+
+    return this.startSession(result.rows[0]);
+  }
+
+  /**
+   * Sign in with email and password (only when the reviewer was given a password)
+   */
+  async login(email, password) {
+    const result = await query(
+      'SELECT id, email, name, role, active, password FROM users WHERE email = $1 AND role = $2',
+      [email, REVIEWER_ROLE]
+    );
+
+    const reviewer = result.rows[0];
+    if (!reviewer || !reviewer.active || !(await bcrypt.compare(password, reviewer.password))) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    return this.startSession(reviewer);
+  }
+
+  /**
+   * Email a fresh sign-in link. Unknown addresses are ignored so the response never reveals who is a reviewer.
+   */
+  async requestLoginLink(email) {
+    const result = await query(
+      'SELECT id FROM users WHERE email = $1 AND role = $2 AND active = true',
+      [email, REVIEWER_ROLE]
+    );
+
+    if (result.rows.length > 0) {
+      await this.createLoginLink(result.rows[0].id);
+    }
+  }
+
+  /**
+   * Courses assigned to a reviewer
+   */
+  async getCourses(reviewerId) {
+    const result = await query(`
+      SELECT c.id, c.title, c.description, c.status, c.due_date, c.completion_percentage,
+        p.name as program_name, era.created_at as assigned_at,
+        (SELECT COUNT(*)::int FROM course_subtasks cs WHERE cs.course_id = c.id) as subtask_count,
+        (SELECT COUNT(*)::int FROM course_subtasks cs WHERE cs.course_id = c.id AND cs.status = $2) as signed_off_count
+      FROM external_review_assignments era
+      JOIN courses c ON c.id = era.course_id
+      LEFT JOIN programs p ON p.id = c.program_id
+      WHERE era.user_id = $1
+      ORDER BY c.due_date ASC NULLS LAST, c.title ASC
+    `, [reviewerId, SIGNOFF_STATUS]);
+
+    return result.rows;
+  }
+
+  async assertCourseAccess(reviewerId, courseId) {
+    const result = await query(
+      'SELECT 1 FROM external_review_assignments WHERE user_id = $1 AND course_id = $2',
+      [reviewerId, courseId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Course not found');
+    }
+  }
+
+  /**
+   * Course detail as the reviewer sees it: phases, deliverables and the review conversation
+   */
+  async getCourse(reviewerId, courseId) {
+    await this.assertCourseAccess(reviewerId, courseId);
+
+    const courseResult = await query(`
+      SELECT c.id, c.title, c.description, c.status, c.start_date, c.due_date, c.completion_percentage,
+        p.name as program_name
+      FROM courses c
+      LEFT JOIN programs p ON p.id = c.program_id
+      WHERE c.id = $1
+    `, [courseId]);
+    const course = courseResult.rows[0];
+
+    const subtasks = await this.subtaskService.getSubtasks(courseId);
+    const pipeline = await this.subtaskService.phasePipelineService.getPipelineForCourse(courseId);
+    const subtaskIds = subtasks.map(subtask => subtask.id);
+
+    const signoffResult = await query(`
+      SELECT rs.subtask_id, rs.note, rs.signed_off_at, u.name as signed_off_by
+      FROM review_signoffs rs
+      JOIN users u ON u.id = rs.user_id
+      WHERE rs.subtask_id = ANY($1::int[])
+      ORDER BY rs.signed_off_at DESC
+    `, [subtaskIds]);
+    const signoffs = new Map();
+    for (const row of signoffResult.rows) {
+      if (!signoffs.has(row.subtask_id)) {
+        signoffs.set(row.subtask_id, row);
+      }
+    }
+
+    const attachments = await this.attachmentService.listForEntity('course', courseId);
+    const subtaskAttachments = await Promise.all(
+      subtaskIds.map(id => this.attachmentService.listForEntity('subtask', id))
+    );
+
+    return {
+      ...course,
+      attachments: attachments.map(this.formatAttachment),
+      subtasks: subtasks.map((subtask, index) => ({
+        id: subtask.id,
+        title: subtask.title,
+        status: subtask.status,
+        phases: subtask.phases,
+        isSignedOff: subtask.status === SIGNOFF_STATUS,
+        canSignOff: isReadyForSignOff(subtask.status, pipeline),
+        signoff: signoffs.get(subtask.id) || null,
+        attachments: subtaskAttachments[index].map(this.formatAttachment)
+      })),
+      comments: await this.getComments(courseId)
+    };
+  }
+
+  formatAttachment(attachment) {
+    return {
+      id: attachment.id,
+      name: attachment.original_name,
+      mimeType: attachment.mime_type,
+      fileSize: attachment.file_size,
+      versionNumber: attachment.version_number,
+      uploadedBy: attachment.uploaded_by_name,
+      createdAt: attachment.created_at
+    };
+  }
+
+  /**
+   * Review threads of a course: comments started by external reviewers and every reply to them.
+   * Internal team discussion on the course stays hidden.
+   */
+  async getComments(courseId) {
+    const result = await query(`
+      SELECT c.id, c.parent_id, c.content, c.created_at, c.updated_at,
+        u.name as author_name, u.role = $2 as is_reviewer
+      FROM comments c
+      JOIN users u ON u.id = c.created_by
+      WHERE c.entity_type = 'course' AND c.entity_id = $1 AND c.is_deleted = false
+        AND (
+          (c.parent_id IS NULL AND u.role = $2)
+          OR c.parent_id IN (
+            SELECT root.id FROM comments root
+            JOIN users ru ON ru.id = root.created_by
+            WHERE root.entity_type = 'course' AND root.entity_id = $1 AND root.parent_id IS NULL AND ru.role = $2
+          )
+        )
+      ORDER BY c.created_at ASC
+    `, [String(courseId), REVIEWER_ROLE]);
+
+    const threads = [];
+    const byId = new Map();
+    for (const row of result.rows) {
+      const comment = {
+        id: row.id,
+        content: row.content,
+        authorName: row.author_name,
+        isReviewer: row.is_reviewer,
+        createdAt: row.created_at,
+        replies: []
+      };
+      if (row.parent_id) {
+        byId.get(row.parent_id)?.replies.push(comment);
+      } else {
+        byId.set(row.id, comment);
+        threads.push(comment);
+      }
+    }
+
+    return threads;
+  }
+
+  /**
+   * Open an attachment of an assigned course or one of its subtasks
+   */
+  async openAttachment(reviewerId, attachmentId) {
+    const attachment = await this.attachmentService.getAttachment(attachmentId);
+
+    const result = await query(`
+      SELECT 1
+      FROM external_review_assignments era
+      WHERE era.user_id = $1
+        AND (
+          ($2 = 'course' AND era.course_id::text = $3)
+          OR ($2 = 'subtask' AND EXISTS (
+            SELECT 1 FROM course_subtasks cs WHERE cs.id::text = $3 AND cs.course_id = era.course_id
+          ))
+        )
+    `, [reviewerId, attachment.entity_type, String(attachment.entity_id)]);
+
+    if (result.rows.length === 0) {
+      throw new ForbiddenError('Access denied to this file');
+    }
+
+    return this.attachmentService.openDownload(attachmentId);
+  }
+
+  /**
+   * Add a comment (or a reply to a review thread) to a course and tell the course team
+   */
+  async addComment(reviewer, courseId, { content, parentId = null }) {
+    await this.assertCourseAccess(reviewer.id, courseId);
+
+    if (parentId) {
+      const threads = await this.getComments(courseId);
+      if (!threads.some(thread => thread.id === parentId)) {
+        throw new NotFoundError('Comment thread not found');
+      }
+    }
+
+    const comment = await this.insertComment(null, reviewer, courseId, content, parentId);
+
+    await realtimeService.emitEntityEvent('course', String(courseId), 'comment_created', {
+      entityType: 'course',
+      entityId: String(courseId),
+      commentId: comment.id,
+      authorId: reviewer.id
+    });
+
+    await this.notifyCourseTeam(courseId, reviewer, {
+      type: this.notificationService.notificationTypes.REVIEW_COMMENT,
+      priority: this.notificationService.priorityLevels.NORMAL,
+      title: 'New reviewer comment',
+      message: `${reviewer.name} commented: ${content.substring(0, 200)}`
+    });
+
+    return comment;
+  }
+
+  async insertComment(client, reviewer, courseId, content, parentId = null) {
+    const run = async (db) => {
+      const commentResult = await db.query(`
+        INSERT INTO comments (entity_type, entity_id, parent_id, content, mentions, attachments, created_by)
+        VALUES ('course', $1, $2, $3, '[]', '[]', $4)
+        RETURNING id, parent_id, content, created_at
+      `, [String(courseId), parentId, content, reviewer.id]);
+      const comment = commentResult.rows[0];
+
+      await db.query(`
+        INSERT INTO activities (entity_type, entity_id, action, metadata, user_id)
+        VALUES ('course', $1, 'commented', $2, $3)
+      `, [String(courseId), JSON.stringify({ comment_id: comment.id, content: content.substring(0, 100), source: 'review_portal' }), reviewer.id]);
+
+      return comment;
+    };
+
+    return client ? run(client) : transaction(run);
+  }
+
+  /**
+   * Record final sign-off of a subtask. The status change goes through SubtaskService so the
+   * final_signoff_received phase dates, history and course status are updated like any other move.
+   */
+  async signOff(reviewer, subtaskId, note = null) {
+    const subtaskResult = await query(
+      'SELECT id, course_id, title, status FROM course_subtasks WHERE id = $1',
+      [subtaskId]
+    );
+    const subtask = subtaskResult.rows[0];
+    if (!subtask) {
+      throw new NotFoundError(`Subtask ${subtaskId} not found`);
+    }
+    await this.assertCourseAccess(reviewer.id, subtask.course_id);
+
+    if (subtask.status === SIGNOFF_STATUS) {
+      throw new ConflictError('This item is already signed off');
+    }
+
+    const pipeline = await this.subtaskService.phasePipelineService.getPipelineForCourse(subtask.course_id);
+    if (!isReadyForSignOff(subtask.status, pipeline)) {
+      throw new ConflictError('This item is not ready for sign-off yet');
+    }
+
+    // The status change and the sign-off record are committed together
+    let signoff = null;
+    await this.subtaskService.updateSubtask(subtaskId, { status: SIGNOFF_STATUS }, reviewer.id, {
+      onUpdate: async (client) => {
+        const signoffResult = await client.query(`
+          INSERT INTO review_signoffs (subtask_id, user_id, note)
+          VALUES ($1, $2, $3)
+          RETURNING id, subtask_id, note, signed_off_at
+        `, [subtaskId, reviewer.id, note]);
+        signoff = signoffResult.rows[0];
+
+        const content = note
+          ? `Signed off "${subtask.title}": ${note}`
+          : `Signed off "${subtask.title}"`;
+        await this.insertComment(client, reviewer, subtask.course_id, content);
+      }
+    });
+
+    await this.notifyCourseTeam(subtask.course_id, reviewer, {
+      type: this.notificationService.notificationTypes.REVIEW_SIGNOFF,
+      priority: this.notificationService.priorityLevels.HIGH,
+      title: 'Final sign-off received',
+      message: `${reviewer.name} signed off "${subtask.title}"${note ? `: ${note.substring(0, 200)}` : ''}`
+    });
+
+    logger.info('External review sign-off recorded', { reviewerId: reviewer.id, subtaskId });
+
+    return signoff;
+  }
+
+  /**
+   * Notify everyone assigned to the course
+   */
+  async notifyCourseTeam(courseId, reviewer, { type, priority, title, message }) {
+    const teamResult = await query(`
+      SELECT DISTINCT ca.user_id
+      FROM course_assignments ca
+      JOIN users u ON u.id = ca.user_id
+      WHERE ca.course_id = $1 AND u.active = true
+    `, [courseId]);
+
+    for (const row of teamResult.rows) {
+      try {
+        await this.notificationService.createNotification({
+          userId: row.user_id,
+          type,
+          priority,
+          title,
+          message,
+          relatedEntityType: 'course',
+          relatedEntityId: courseId,
+          fromUserId: reviewer.id,
+          actionUrl: `/courses/${courseId}`
+        }, { skipDuplicateCheck: true });
+      } catch (error) {
+        logger.logError(error, { context: 'ReviewPortalService.notifyCourseTeam', courseId, userId: row.user_id });
+      }
+    }
+  }
+}
+
+module.exports = ReviewPortalService;
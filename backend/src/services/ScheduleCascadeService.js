@@ -0,0 +1,315 @@
+const { query, transaction } = require('../config/database');
+const DependencyManager = require('./DependencyManager');
+const { hasResourceAccess } = require('../middleware/authenticate');
+const WorkingCalendarService = require('./WorkingCalendarService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+const { toDay, fromDay, toDateString, addWorkingDays, countWorkingDays } = require('../utils/dates');
+
+// Courses in these states keep their dates when an upstream course moves
+const FROZEN_STATUSES = ['completed', 'cancelled', 'deleted'];
+
+/**
+ * Schedule Cascade Service
+ * Moves the courses downstream of a rescheduled course by the same number of working days,
+ * skipping the non-working days and holidays of each course owner's working calendar.
+ * Applied cascades record the dates they replaced so they can be undone.
+ */
+class ScheduleCascadeService {
+  constructor() {
+    this.dependencyManager = new DependencyManager();
+    this.workingCalendarService = new WorkingCalendarService();
+  }
+
+  /**
+   * Working-day rules of each course between two day numbers
+   */
+  async getWorkingRules(courseIds, fromDayNumber, toDayNumber) {
+    return this.workingCalendarService.getWorkingRulesForCourses(courseIds, fromDay(fromDayNumber), fromDay(toDayNumber));
+  }
+
+  /**
+   * Work out the new dates of every downstream course
+   * @param {Object} course - the course being rescheduled, with its current start_date and due_date
+   * @param {Object} proposed - startDate, dueDate
+   */
+  async buildCascade(course, proposed) {
+    const currentDue = course.due_date ? toDay(course.due_date) : null;
+    const newDue = proposed.dueDate ? toDay(proposed.dueDate) : currentDue;
+    const newStart = proposed.startDate ? toDay(proposed.startDate) : (course.start_date ? toDay(course.start_date) : null);
+
+    const root = {
+      courseId: course.id,
+      title: course.title,
+      from: {
+        startDate: course.start_date ? toDateString(course.start_date) : null,
+        dueDate: course.due_date ? toDateString(course.due_date) : null
+      },
+      to: {
+        startDate: newStart !== null ? fromDay(newStart) : null,
+        dueDate: newDue !== null ? fromDay(newDue) : null
+      }
+    };
+
+    if (currentDue === null || newDue === null || currentDue === newDue) {
+      return { course: root, workingDaysShift: 0, calendarDaysShift: 0, changes: [], skipped: [], warnings: [] };
+    }
+
+    const impacted = await this.dependencyManager.getImpactedCourses(course.id);
+    const downstream = impacted.length > 0
+      ? (await query(
+        'SELECT id, title, status, start_date, due_date FROM courses WHERE id = ANY($1) ORDER BY due_date ASC NULLS LAST',
+        [impacted.map(item => item.id)]
+      )).rows
+      : [];
+
+    // Holidays around every date that may move, with room for the shift in either direction
+    const days = [currentDue, newDue, ...downstream.flatMap(item => [item.start_date, item.due_date].filter(Boolean).map(toDay))];
+    const margin = Math.abs(newDue - currentDue) * 2 + 30;
+    const rules = await this.getWorkingRules(
+      [course.id, ...downstream.map(item => item.id)],
+      Math.min(...days) - margin,
+      Math.max(...days) + margin
+    );
+
+    // The shift is counted in working days of the rescheduled course, each dependent course
+    // moves by that many of its own working days
+    const rootRules = rules.get(course.id);
+    const workingDaysShift = countWorkingDays(currentDue, newDue, rootRules.holidays, rootRules.workingDays);
+    const depthById = new Map(impacted.map(item => [item.id, item.depth]));
+    const changes = [];
+    const skipped = [];
+    const warnings = [];
+
+    downstream.forEach(item => {
+      if (FROZEN_STATUSES.includes(item.status)) {
+        skipped.push({ courseId: item.id, title: item.title, reason: `Course is ${item.status}` });
+        return;
+      }
+      if (!item.due_date && !item.start_date) {
+        skipped.push({ courseId: item.id, title: item.title, reason: 'Course has no dates' });
+        return;
+      }
+
+      const { holidays, workingDays } = rules.get(item.id);
+      const to = {
+        startDate: item.start_date ? fromDay(addWorkingDays(toDay(item.start_date), workingDaysShift, holidays, workingDays)) : null,
+        dueDate: item.due_date ? fromDay(addWorkingDays(toDay(item.due_date), workingDaysShift, holidays, workingDays)) : null
+      };
+
+      if (to.dueDate && to.dueDate < fromDay(toDay(new Date())) && workingDaysShift < 0) {
+        warnings.push(`"${item.title}" would be due in the past (${to.dueDate})`);
+      }
+
+      changes.push({
+        courseId: item.id,
+        title: item.title,
+        depth: depthById.get(item.id),
+        from: {
+          startDate: item.start_date ? toDateString(item.start_date) : null,
+          dueDate: item.due_date ? toDateString(item.due_date) : null
+        },
+        to
+      });
+    });
+
+    if (skipped.length > 0) {
+      warnings.push(`${skipped.length} dependent course${skipped.length === 1 ? ' is' : 's are'} not moved`);
+    }
+
+    return {
+      course: root,
+      workingDaysShift,
+      calendarDaysShift: newDue - currentDue,
+      changes,
+      skipped,
+      warnings
+    };
+  }
+
+  /**
+   * Preview a reschedule and its cascade without changing anything
+   */
+  async previewCascade(course, proposed) {
+    const cascade = await this.buildCascade(course, proposed);
+
+    return {
+      ...cascade,
+      totalCourses: cascade.changes.length + 1
+    };
+  }
+
+  /**
+   * Refuse to move courses the user has no access to. Admins and managers may move any course.
+   * @param {Array} changes - courses of a cascade, with courseId and title
+   */
+  async assertCanMove(changes, user) {
+    if (['admin', 'manager'].includes(user.role)) {
+      return;
+    }
+
+    const denied = [];
+    for (const change of changes) {
+      if (!(await hasResourceAccess('course', change.courseId, user))) {
+        denied.push(change.title);
+      }
+    }
+
+    if (denied.length > 0) {
+      throw new ForbiddenError(`Access denied to dependent courses: ${denied.join(', ')}`);
+    }
+  }
+
+  /**
+   * Move the downstream courses inside the transaction that reschedules the course itself
+   * @param {Object} client - transaction client
+   * @param {Object} cascade - result of buildCascade, computed before the transaction
+   */
+  async applyCascade(client, cascade, userId) {
+    if (cascade.changes.length === 0) {
+      return null;
+    }
+
+    // Lock the downstream courses and make sure nobody moved them since the cascade was computed
+    const ids = cascade.changes.map(change => change.courseId);
+    const current = await client.query(
+      'SELECT id, start_date, due_date FROM courses WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [ids]
+    );
+    const currentById = new Map(current.rows.map(row => [row.id, row]));
+    const moved = cascade.changes.filter(change => !this.hasDates(currentById.get(change.courseId), change.from));
+    if (moved.length > 0) {
+      throw new ConflictError(`Dependent courses changed while rescheduling: ${moved.map(change => change.title).join(', ')}. Preview the cascade again.`);
+    }
+
+    for (const change of cascade.changes) {
+      await client.query(`
+        UPDATE courses
+        SET start_date = $2, due_date = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [change.courseId, change.to.startDate, change.to.dueDate, userId]);
+
+      await client.query(`
+        INSERT INTO audit_logs (
+          user_id, entity_type, entity_id, action, changes, created_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      `, [
+        userId,
+        'course',
+        change.courseId,
+        'rescheduled_by_cascade',
+        JSON.stringify({ sourceCourseId: cascade.course.courseId, from: change.from, to: change.to })
+      ]);
+    }
+
+    const result = await client.query(`
+      INSERT INTO schedule_cascades (course_id, working_days_shift, changes, applied_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, course_id, working_days_shift, applied_at
+    `, [cascade.course.courseId, cascade.workingDaysShift, JSON.stringify([cascade.course, ...cascade.changes]), userId]);
+
+    return {
+      id: result.rows[0].id,
+      appliedAt: result.rows[0].applied_at,
+      workingDaysShift: cascade.workingDaysShift,
+      coursesMoved: cascade.changes.length
+    };
+  }
+
+  hasDates(row, dates) {
+    if (!row) return false;
+    const startDate = row.start_date ? toDateString(row.start_date) : null;
+    const dueDate = row.due_date ? toDateString(row.due_date) : null;
+    return startDate === dates.startDate && dueDate === dates.dueDate;
+  }
+
+  /**
+   * Cascades applied from a course, most recent first
+   */
+  async getCascades(courseId) {
+    const result = await query(`
+      SELECT sc.*, au.name as applied_by_name, uu.name as undone_by_name
+      FROM schedule_cascades sc
+      LEFT JOIN users au ON sc.applied_by = au.id
+      LEFT JOIN users uu ON sc.undone_by = uu.id
+      WHERE sc.course_id = $1
+      ORDER BY sc.applied_at DESC
+    `, [courseId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Put every course of a cascade back on the dates it had before.
+   * Refused when any of them was moved again afterwards, or the user has no access to one of them.
+   */
+  async undoCascade(courseId, cascadeId, user) {
+    const userId = user.id;
+    const restored = await transaction(async (client) => {
+      const cascadeResult = await client.query(
+        'SELECT * FROM schedule_cascades WHERE id = $1 AND course_id = $2 FOR UPDATE',
+        [cascadeId, courseId]
+      );
+
+      if (cascadeResult.rows.length === 0) {
+        throw new NotFoundError('Schedule cascade not found');
+      }
+
+      const cascade = cascadeResult.rows[0];
+      if (cascade.undone_at) {
+        throw new ValidationError('Schedule cascade has already been undone');
+      }
+
+      const changes = cascade.changes;
+      await this.assertCanMove(changes, user);
+
+      const current = await client.query(
+        'SELECT id, start_date, due_date FROM courses WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [changes.map(change => change.courseId)]
+      );
+      const currentById = new Map(current.rows.map(row => [row.id, row]));
+      const moved = changes.filter(change => !this.hasDates(currentById.get(change.courseId), change.to));
+      if (moved.length > 0) {
+        throw new ConflictError(`Cannot undo, these courses were rescheduled since: ${moved.map(change => change.title).join(', ')}`);
+      }
+
+      for (const change of changes) {
+        await client.query(`
+          UPDATE courses
+          SET start_date = $2, due_date = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [change.courseId, change.from.startDate, change.from.dueDate, userId]);
+
+        await client.query(`
+          INSERT INTO audit_logs (
+            user_id, entity_type, entity_id, action, changes, created_at
+          ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+        `, [
+          userId,
+          'course',
+          change.courseId,
+          'reschedule_undone',
+          JSON.stringify({ cascadeId: cascade.id, from: change.to, to: change.from })
+        ]);
+      }
+
+      await client.query(
+        'UPDATE schedule_cascades SET undone_by = $2, undone_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [cascade.id, userId]
+      );
+
+      return changes;
+    });
+
+    await this.dependencyManager.clearGraphCache();
+
+    logger.info('Schedule cascade undone', { courseId, cascadeId, userId, courses: restored.length });
+
+    return {
+      cascadeId: parseInt(cascadeId),
+      restored: restored.map(change => ({ courseId: change.courseId, title: change.title, ...change.from }))
+    };
+  }
+}
+
+module.exports = ScheduleCascadeService;
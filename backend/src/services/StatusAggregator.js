@@ -1,6 +1,9 @@
 const { query, transaction } = require('../config/database');
 const { publish } = require('../config/redis');
 const logger = require('../utils/logger');
+const AutomationEngine = require('./AutomationEngine');
+const PhasePipelineService = require('./PhasePipelineService');
+const realtimeService = require('./RealtimeService');
 
 /**
  * Smart Status Aggregation Service
@@ -10,6 +13,8 @@ const logger = require('../utils/logger');
 class StatusAggregator {
   constructor() {
     this.statusRules = this.initializeStatusRules();
+    this.automationEngine = new AutomationEngine();
+    this.phasePipelineService = new PhasePipelineService();
   }
 
   /**
@@ -462,6 +467,17 @@ class StatusAggregator {
         }
         
         logger.info(logMessage, logData);
+
+        // Run automation rules for course status changes
+        if (automaticStatusChange || statusChanged) {
+          await this.automationEngine.handleEvent(this.automationEngine.triggerTypes.COURSE_STATUS_CHANGE, {
+            courseId,
+            fromStatus: automaticStatusChange ? automaticStatusChange.from : current.calculated_status,
+            toStatus: automaticStatusChange ? automaticStatusChange.to : calculatedStatus,
+            field: automaticStatusChange ? 'status' : 'calculated_status',
+            triggeredBy
+          });
+        }
       }
 
       return statusData;
@@ -493,6 +509,9 @@ class StatusAggregator {
       await publish('course_status_changes', eventData);
       await publish(`course_${courseId}_status`, eventData);
 
+      // Push to clients watching the course or its program
+      await realtimeService.emitCourseEvent(courseId, 'course_status_changed', eventData);
+
       logger.debug('Status change event emitted', {
         courseId,
         newStatus: statusData.calculatedStatus,
@@ -549,6 +568,13 @@ class StatusAggregator {
         FROM course_subtasks cs
         WHERE cs.course_id = $1
       `, [courseId]);
+
+      // Phase dates are archived in the order of the pipeline the course was worked in
+      const pipeline = await this.phasePipelineService.getPipelineForCourse(courseId, client);
+      const phaseLabels = await this.phasePipelineService.getPhaseLabels(client);
+      const phaseDates = await this.phasePipelineService.getPhaseDates(
+        subtasksResult.rows.map(subtask => subtask.id), client
+      );
       
       for (const subtask of subtasksResult.rows) {
         // Get phase status history for this subtask
@@ -571,15 +597,17 @@ class StatusAggregator {
             subtask_title,
             phase_status,
             phase_history,
+            phase_dates,
             start_date,
             finish_date,
             completed_at,
             archived_by
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
           ON CONFLICT (course_id, subtask_id, course_status) 
           DO UPDATE SET
             phase_status = EXCLUDED.phase_status,
             phase_history = EXCLUDED.phase_history,
+            phase_dates = EXCLUDED.phase_dates,
             start_date = EXCLUDED.start_date,
             finish_date = EXCLUDED.finish_date,
             completed_at = EXCLUDED.completed_at,
@@ -592,6 +620,12 @@ class StatusAggregator {
           subtask.title,
           subtask.status,
           JSON.stringify(historyResult.rows),
+          JSON.stringify(
+            this.phasePipelineService
+              .describePhases(pipeline, phaseDates.get(subtask.id), subtask.status, phaseLabels)
+              .filter(phase => phase.startedAt)
+              .map(({ status, label, startedAt, finishedAt }) => ({ status, label, startedAt, finishedAt }))
+          ),
           subtask.start_date,
           subtask.finish_date,
           subtask.completed_at,
@@ -666,6 +700,13 @@ class StatusAggregator {
           SELECT id FROM course_subtasks WHERE course_id = $1
         )
       `, [courseId]);
+
+      await client.query(`
+        DELETE FROM subtask_phase_dates
+        WHERE subtask_id IN (
+          SELECT id FROM course_subtasks WHERE course_id = $1
+        )
+      `, [courseId]);
       
       logger.info('Reset phase data for new course status', {
         courseId,
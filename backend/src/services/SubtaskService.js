@@ -1,5 +1,8 @@
 const { query, transaction } = require('../config/database');
 const StatusAggregator = require('./StatusAggregator');
+const AutomationEngine = require('./AutomationEngine');
+const PhasePipelineService = require('./PhasePipelineService');
+const TimeOffService = require('./TimeOffService');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
@@ -10,6 +13,9 @@ const { ValidationError, NotFoundError } = require('../middleware/errorHandler')
 class SubtaskService {
   constructor() {
     this.statusAggregator = new StatusAggregator();
+    this.automationEngine = new AutomationEngine();
+    this.phasePipelineService = new PhasePipelineService();
+    this.timeOffService = new TimeOffService();
   }
 
   /**
@@ -101,8 +107,9 @@ class SubtaskService {
 
   /**
    * Update subtask status and properties
+   * @param {Object} options - onUpdate(client, subtask) runs further writes in the same transaction
    */
-  async updateSubtask(subtaskId, updateData, userId) {
+  async updateSubtask(subtaskId, updateData, userId, { onUpdate = null } = {}) {
     try {
 
       // Get current subtask data
@@ -127,7 +134,7 @@ class SubtaskService {
       });
 
       // Prepare update data
-      const allowedFields = ['title', 'status', 'is_blocking', 'weight', 'order_index', 'assigned_user_id', 'assigned_at', 'assigned_by'];
+      const allowedFields = ['title', 'status', 'is_blocking', 'weight', 'order_index', 'assigned_user_id', 'assigned_at', 'assigned_by', 'required_skills'];
       const updates = {};
       const changes = {};
 
@@ -170,69 +177,26 @@ class SubtaskService {
 
       // Handle phase start and finish dates
       const statusChanged = updates.status !== undefined && updates.status !== currentSubtask.status;
+      let pipeline = null;
+      let phasePlan = null;
       if (statusChanged) {
         const oldStatus = currentSubtask.status;
         const newStatus = updates.status;
-        
-        console.log('DEBUG: Status change detected', {
-          subtaskId,
-          oldStatus: `"${oldStatus}"`,
-          newStatus: `"${newStatus}"`,
-          oldStatusType: typeof oldStatus,
-          newStatusType: typeof newStatus
-        });
-        
+
+        // The phases, their order and their dates come from the pipeline of the course's modality
+        pipeline = await this.phasePipelineService.getPipelineForCourse(courseId);
+        await this.phasePipelineService.assertValidStatus(newStatus, pipeline);
+
         // Special case: If changing to "No Status" (empty string), clear all dates immediately
         if (newStatus === '') {
-          console.log('DEBUG: Clearing ALL dates because newStatus is empty string');
-          
-          // Clear basic dates
           updates.start_date = null;
           updates.finish_date = null;
           updates.completed_at = null;
-          updates.final_start_date = null;
-          updates.final_end_date = null;
-          updates.final_revision_entered_date = null;
-          updates.final_revision_end_date = null;
           updates.final_signoff_entered_date = null;
           changes.start_date = { from: currentSubtask.start_date, to: null };
           changes.finish_date = { from: currentSubtask.finish_date, to: null };
           changes.completed_at = { from: currentSubtask.completed_at, to: null };
-          changes.final_start_date = { from: currentSubtask.final_start_date, to: null };
-          changes.final_end_date = { from: currentSubtask.final_end_date, to: null };
-          changes.final_revision_entered_date = { from: currentSubtask.final_revision_entered_date, to: null };
-          changes.final_revision_end_date = { from: currentSubtask.final_revision_end_date, to: null };
           changes.final_signoff_entered_date = { from: currentSubtask.final_signoff_entered_date, to: null };
-          
-          // Clear all phase-specific dates
-          const phaseStatusToColumns = {
-            'alpha_draft': { start: 'alpha_draft_start_date', end: 'alpha_draft_end_date', completion: 'alpha_draft_date' },
-            'alpha_review': { start: 'alpha_review_start_date', end: 'alpha_review_end_date', completion: 'alpha_review_date' },
-            'beta_revision': { start: 'beta_revision_start_date', end: 'beta_revision_end_date', completion: 'beta_revision_date' },
-            'beta_review': { start: 'beta_review_start_date', end: 'beta_review_end_date', completion: 'beta_review_date' },
-            'final_revision': { start: 'final_revision_start_date', end: 'final_revision_end_date', completion: 'final_revision_date' },
-            'final_signoff_sent': { start: 'final_signoff_sent_start_date', end: 'final_signoff_sent_end_date', completion: 'final_signoff_sent_date' },
-            'final_signoff_received': { start: 'final_signoff_received_start_date', end: null, completion: 'final_signoff_received_date' }
-          };
-          
-          // Clear all phase dates
-          Object.values(phaseStatusToColumns).forEach(columns => {
-            // Clear start date
-            if (currentSubtask[columns.start]) {
-              updates[columns.start] = null;
-              changes[columns.start] = { from: currentSubtask[columns.start], to: null };
-            }
-            // Clear end date
-            if (currentSubtask[columns.end]) {
-              updates[columns.end] = null;
-              changes[columns.end] = { from: currentSubtask[columns.end], to: null };
-            }
-            // Clear completion date
-            if (currentSubtask[columns.completion]) {
-              updates[columns.completion] = null;
-              changes[columns.completion] = { from: currentSubtask[columns.completion], to: null };
-            }
-          });
         } else {
           // Set start_date when moving from 'pending' to any active status
           if (oldStatus === 'pending' && newStatus !== 'pending' && !currentSubtask.start_date) {
@@ -255,287 +219,22 @@ class SubtaskService {
             updates.finish_date = null;
             changes.finish_date = { from: currentSubtask.finish_date, to: null };
           }
+        }
 
-          // Set specific phase start and end dates
-          const phaseStatusToColumns = {
-            'alpha_draft': { start: 'alpha_draft_start_date', end: 'alpha_draft_end_date', completion: 'alpha_draft_date' },
-            'alpha_review': { start: 'alpha_review_start_date', end: 'alpha_review_end_date', completion: 'alpha_review_date' },
-            'beta_revision': { start: 'beta_revision_start_date', end: 'beta_revision_end_date', completion: 'beta_revision_date' },
-            'beta_review': { start: 'beta_review_start_date', end: 'beta_review_end_date', completion: 'beta_review_date' },
-            'final_revision': { start: 'final_revision_start_date', end: 'final_revision_end_date', completion: 'final_revision_date' },
-            'final_signoff_sent': { start: 'final_signoff_sent_start_date', end: 'final_signoff_sent_end_date', completion: 'final_signoff_sent_date' },
-            'final_signoff_received': { start: 'final_signoff_received_start_date', end: null, completion: 'final_signoff_received_date' }
-          };
-          
-          // Note: 'final_signoff' status doesn't have its own columns, it uses the generic final_start_date/final_end_date
-
-          // When moving TO a phase status, set the start date (do this BEFORE backward movement clearing)
-          if (phaseStatusToColumns[newStatus]) {
-            const columns = phaseStatusToColumns[newStatus];
-            // Always set the start date when entering a phase status
-            updates[columns.start] = new Date();
-            changes[columns.start] = { from: currentSubtask[columns.start], to: updates[columns.start] };
-            
-            // Also set the completion date for backwards compatibility
-            updates[columns.completion] = new Date();
-            changes[columns.completion] = { from: currentSubtask[columns.completion], to: updates[columns.completion] };
-            
-            // Clear the end date when re-entering a status
-            if (columns.end) {
-              updates[columns.end] = null;
-              changes[columns.end] = { from: currentSubtask[columns.end], to: null };
-            }
-          }
-          
-          // Special handling for Final Start/End dates (for Final Revision and Final Signoff tracking)
-          // This is OUTSIDE the phaseStatusToColumns check so it works for all statuses
-          // Only 'final_signoff' should set the final_signoff_entered_date
-          // 'final_signoff_sent' and 'final_signoff_received' are separate statuses that shouldn't set this date
-          const isAnyFinalSignoff = (newStatus === 'final_signoff' || newStatus === 'final_signoff_sent' || newStatus === 'final_signoff_received');
-          const wasAnyFinalSignoff = (oldStatus === 'final_signoff' || oldStatus === 'final_signoff_sent' || oldStatus === 'final_signoff_received');
-          
-          console.log('DEBUG: Final date check', {
-            newStatus,
-            oldStatus,
-            isAnyFinalSignoff,
-            wasAnyFinalSignoff,
-            isFinalRevision: newStatus === 'final_revision',
-            currentRevisionDate: currentSubtask.final_revision_entered_date,
-            currentSignoffDate: currentSubtask.final_signoff_entered_date,
-            currentFinalStartDate: currentSubtask.final_start_date,
-            currentFinalEndDate: currentSubtask.final_end_date
-          });
-          
-          // Handle Final Revision and Final Signoff dates
-          if (newStatus === 'final_revision') {
-            // Entering Final Revision - always update the revision entered date
-            updates.final_revision_entered_date = new Date();
-            changes.final_revision_entered_date = { from: currentSubtask.final_revision_entered_date, to: updates.final_revision_entered_date };
-            
-            // Clear revision end date when re-entering revision
-            updates.final_revision_end_date = null;
-            changes.final_revision_end_date = { from: currentSubtask.final_revision_end_date, to: null };
-            
-            // Clear only final_signoff_sent dates when entering final_revision
-            updates.final_signoff_sent_start_date = null;
-            updates.final_signoff_sent_end_date = null;
-            updates.final_signoff_sent_date = null;
-            changes.final_signoff_sent_start_date = { from: currentSubtask.final_signoff_sent_start_date, to: null };
-            changes.final_signoff_sent_end_date = { from: currentSubtask.final_signoff_sent_end_date, to: null };
-            changes.final_signoff_sent_date = { from: currentSubtask.final_signoff_sent_date, to: null };
-            
-            // If coming forward from final_signoff, set end date for signoff and preserve signoff dates
-            if (oldStatus === 'final_signoff') {
-              // Moving forward from final_signoff to revision - set signoff end date
-              updates.final_end_date = new Date();
-              changes.final_end_date = { from: currentSubtask.final_end_date, to: updates.final_end_date };
-              console.log('DEBUG: Setting final_end_date (signoff end) when moving forward from final_signoff to revision');
-              // Keep final_signoff_entered_date intact - don't clear it
-            }
-            
-            console.log('DEBUG: Set final_revision_entered_date for final_revision');
-          } else if (newStatus === 'final_signoff') {
-            // Only 'final_signoff' sets the signoff entered date
-            // Not 'final_signoff_sent' or 'final_signoff_received'
-            updates.final_signoff_entered_date = new Date();
-            changes.final_signoff_entered_date = { from: currentSubtask.final_signoff_entered_date, to: updates.final_signoff_entered_date };
-            
-            // Clear signoff end date when re-entering signoff
-            updates.final_end_date = null;
-            changes.final_end_date = { from: currentSubtask.final_end_date, to: null };
-            
-            // Note: Moving from final_revision to final_signoff is backward movement
-            // The backward movement logic will handle clearing revision dates
-            
-            console.log('DEBUG: Setting final_signoff_entered_date for final_signoff status');
-          } else if (isAnyFinalSignoff) {
-            // For final_signoff_sent and final_signoff_received, don't set the signoff entered date
-            console.log('DEBUG: Not setting final_signoff_entered_date for status:', newStatus);
-            
-            // When moving from revision to signoff, only set revision end date
-            // Don't clear final_end_date as it tracks when signoff period ended previously
-            if (oldStatus === 'final_revision') {
-              // Moving from revision to signoff - set revision end date
-              // Keep final_end_date intact as it represents when signoff previously ended
-              
-              // Set revision end date
-              if (currentSubtask.final_revision_entered_date) {
-                updates.final_revision_end_date = new Date();
-                changes.final_revision_end_date = { from: currentSubtask.final_revision_end_date, to: updates.final_revision_end_date };
-                console.log('DEBUG: Setting final_revision_end_date when moving from revision to signoff, preserving final_end_date');
-              }
-            }
-            // When moving between signoff statuses, preserve everything
-            else if (wasAnyFinalSignoff) {
-              console.log('DEBUG: Moving between signoff statuses - preserving all dates');
-              // Don't modify final_end_date or final_signoff_entered_date
-            }
-            
-            console.log('DEBUG: Final signoff status:', newStatus, 'wasAnyFinalSignoff:', wasAnyFinalSignoff);
-          }
-          
-          // Clear final dates if moving to a status before final_revision
-          const finalPhases = ['final_revision', 'final_signoff', 'final_signoff_sent', 'final_signoff_received'];
-          if (!finalPhases.includes(newStatus)) {
-            if (currentSubtask.final_start_date || currentSubtask.final_end_date || 
-                currentSubtask.final_revision_entered_date || currentSubtask.final_revision_end_date ||
-                currentSubtask.final_signoff_entered_date) {
-              updates.final_start_date = null;
-              updates.final_end_date = null;
-              updates.final_revision_entered_date = null;
-              updates.final_revision_end_date = null;
-              updates.final_signoff_entered_date = null;
-              changes.final_start_date = { from: currentSubtask.final_start_date, to: null };
-              changes.final_end_date = { from: currentSubtask.final_end_date, to: null };
-              changes.final_revision_entered_date = { from: currentSubtask.final_revision_entered_date, to: null };
-              changes.final_revision_end_date = { from: currentSubtask.final_revision_end_date, to: null };
-              changes.final_signoff_entered_date = { from: currentSubtask.final_signoff_entered_date, to: null };
-              console.log('DEBUG: Clearing all final dates when moving before final phases');
-            }
-          }
+        const phaseDates = await this.phasePipelineService.getPhaseDates([subtaskId]);
+        phasePlan = this.phasePipelineService.planTransition(pipeline, phaseDates.get(subtaskId), oldStatus, newStatus);
 
-          // When moving FROM a phase status, set the end date for the previous phase (if it has an end date)
-          if (oldStatus && phaseStatusToColumns[oldStatus] && oldStatus !== newStatus) {
-            const oldColumns = phaseStatusToColumns[oldStatus];
-            if (oldColumns.end && !currentSubtask[oldColumns.end]) {
-              updates[oldColumns.end] = new Date();
-              changes[oldColumns.end] = { from: null, to: updates[oldColumns.end] };
-            }
-          }
+        // Keep the dedicated columns of the built-in phases in step with the phase dates
+        Object.entries(this.phasePipelineService.getLegacyColumnUpdates(phasePlan)).forEach(([column, value]) => {
+          updates[column] = value;
+          changes[column] = { from: currentSubtask[column], to: value };
+        });
 
-          // Clear future phase dates when moving backward in the workflow
-          // This MUST happen BEFORE setting dates for the new status
-          const phaseOrder = ['alpha_draft', 'alpha_review', 'beta_revision', 'beta_review', 'final_signoff', 'final_revision', 'final_signoff_sent', 'final_signoff_received'];
-          const currentPhaseIndex = phaseOrder.indexOf(newStatus);
-          const oldPhaseIndex = phaseOrder.indexOf(oldStatus);
-          
-          if (currentPhaseIndex >= 0 && currentPhaseIndex < oldPhaseIndex) {
-            // Moving backward - clear all future phase dates (start, end, and completion)
-            console.log('DEBUG: Backward movement detected from', oldStatus, '(index', oldPhaseIndex, ') to', newStatus, '(index', currentPhaseIndex, ')');
-            console.log('DEBUG: Will clear dates for phases after', newStatus, ':', phaseOrder.slice(currentPhaseIndex + 1));
-            console.log('DEBUG: Starting to process future phases for clearing');
-            
-            for (let i = currentPhaseIndex + 1; i < phaseOrder.length; i++) {
-              const futurePhase = phaseOrder[i];
-              console.log('DEBUG: Checking if should clear dates for phase:', futurePhase);
-              
-              // Skip clearing if this is a final_signoff_sent/received and we're moving TO final_signoff_sent
-              if (futurePhase === 'final_signoff_sent' && newStatus === 'final_signoff_sent') {
-                console.log('DEBUG: Skipping clear for final_signoff_sent since we are moving TO it');
-                continue;
-              }
-              if (futurePhase === 'final_signoff_received' && newStatus === 'final_signoff_received') {
-                console.log('DEBUG: Skipping clear for final_signoff_received since we are moving TO it');
-                continue;
-              }
-              
-              console.log('DEBUG: Clearing dates for phase:', futurePhase);
-              
-              // Handle special Final phase dates
-              if (futurePhase === 'final_revision') {
-                // Clear Final Revision dates
-                if (currentSubtask.final_revision_entered_date) {
-                  updates.final_revision_entered_date = null;
-                  changes.final_revision_entered_date = { from: currentSubtask.final_revision_entered_date, to: null };
-                }
-                if (currentSubtask.final_revision_end_date) {
-                  updates.final_revision_end_date = null;
-                  changes.final_revision_end_date = { from: currentSubtask.final_revision_end_date, to: null };
-                }
-              } else if (futurePhase === 'final_signoff') {
-                // Clear Final Signoff dates
-                if (currentSubtask.final_signoff_entered_date) {
-                  updates.final_signoff_entered_date = null;
-                  changes.final_signoff_entered_date = { from: currentSubtask.final_signoff_entered_date, to: null };
-                }
-                if (currentSubtask.final_end_date) {
-                  updates.final_end_date = null;
-                  changes.final_end_date = { from: currentSubtask.final_end_date, to: null };
-                }
-              } else if (futurePhase === 'final_signoff_sent') {
-                console.log('DEBUG: Clearing final_signoff_sent columns');
-                console.log('DEBUG: Current values:', {
-                  start: currentSubtask.final_signoff_sent_start_date,
-                  end: currentSubtask.final_signoff_sent_end_date,
-                  date: currentSubtask.final_signoff_sent_date
-                });
-                
-                // Always clear these dates when moving backward past final_signoff_sent
-                updates.final_signoff_sent_start_date = null;
-                changes.final_signoff_sent_start_date = { from: currentSubtask.final_signoff_sent_start_date, to: null };
-                console.log('DEBUG: Set updates.final_signoff_sent_start_date = null');
-                
-                updates.final_signoff_sent_end_date = null;
-                changes.final_signoff_sent_end_date = { from: currentSubtask.final_signoff_sent_end_date, to: null };
-                console.log('DEBUG: Set updates.final_signoff_sent_end_date = null');
-                
-                updates.final_signoff_sent_date = null;
-                changes.final_signoff_sent_date = { from: currentSubtask.final_signoff_sent_date, to: null };
-                console.log('DEBUG: Set updates.final_signoff_sent_date = null');
-              } else if (futurePhase === 'final_signoff_received') {
-                console.log('DEBUG: Clearing final_signoff_received columns');
-                // Clear received dates using phaseStatusToColumns
-                const receivedColumns = phaseStatusToColumns['final_signoff_received'];
-                if (receivedColumns) {
-                  if (receivedColumns.start && currentSubtask[receivedColumns.start]) {
-                    updates[receivedColumns.start] = null;
-                    changes[receivedColumns.start] = { from: currentSubtask[receivedColumns.start], to: null };
-                  }
-                  if (receivedColumns.completion && currentSubtask[receivedColumns.completion]) {
-                    updates[receivedColumns.completion] = null;
-                    changes[receivedColumns.completion] = { from: currentSubtask[receivedColumns.completion], to: null };
-                  }
-                }
-              } else {
-                // Handle other phases through phaseStatusToColumns
-                const futureColumns = phaseStatusToColumns[futurePhase];
-                console.log('DEBUG: Processing regular phase:', futurePhase, 'columns:', futureColumns);
-                if (futureColumns) {
-                  // Clear start date
-                  if (futureColumns.start) {
-                    console.log('DEBUG: Clearing', futureColumns.start, 'current value:', currentSubtask[futureColumns.start], 'updates value before:', updates[futureColumns.start]);
-                    updates[futureColumns.start] = null;
-                    changes[futureColumns.start] = { from: currentSubtask[futureColumns.start], to: null };
-                  }
-                  // Clear end date
-                  if (futureColumns.end) {
-                    console.log('DEBUG: Clearing', futureColumns.end, 'current value:', currentSubtask[futureColumns.end], 'updates value before:', updates[futureColumns.end]);
-                    updates[futureColumns.end] = null;
-                    changes[futureColumns.end] = { from: currentSubtask[futureColumns.end], to: null };
-                  }
-                  // Clear completion date
-                  if (futureColumns.completion) {
-                    console.log('DEBUG: Clearing', futureColumns.completion, 'current value:', currentSubtask[futureColumns.completion], 'updates value before:', updates[futureColumns.completion]);
-                    updates[futureColumns.completion] = null;
-                    changes[futureColumns.completion] = { from: currentSubtask[futureColumns.completion], to: null };
-                  }
-                }
-              }
-            }
-            console.log('DEBUG: Completed backward movement clearing from', oldStatus, 'to', newStatus);
-            console.log('DEBUG: All date updates after clearing:', Object.keys(updates).filter(k => k.includes('date')).reduce((obj, k) => ({ ...obj, [k]: updates[k] }), {}));
-            
-            // Now re-set the dates for the status we're moving TO (since backward clearing might have removed them)
-            if (phaseStatusToColumns[newStatus]) {
-              const columns = phaseStatusToColumns[newStatus];
-              console.log('DEBUG: Re-setting dates for target status:', newStatus);
-              
-              // Always set the start date when entering a phase status after backward movement
-              updates[columns.start] = new Date();
-              changes[columns.start] = { from: currentSubtask[columns.start], to: updates[columns.start] };
-              
-              // Also set the completion date for backwards compatibility
-              updates[columns.completion] = new Date();
-              changes[columns.completion] = { from: currentSubtask[columns.completion], to: updates[columns.completion] };
-              
-              // Clear the end date when re-entering a status
-              if (columns.end) {
-                updates[columns.end] = null;
-                changes[columns.end] = { from: currentSubtask[columns.end], to: null };
-              }
-            }
-          }
-        }
+        changes.phaseDates = {
+          started: phasePlan.upserts.filter(phase => !phase.finishedAt).map(phase => phase.status),
+          finished: phasePlan.upserts.filter(phase => phase.finishedAt).map(phase => phase.status),
+          cleared: phasePlan.deletes
+        };
         
         // Track status history for detailed phase tracking
         changes.statusHistory = {
@@ -591,11 +290,11 @@ class SubtaskService {
             newStatus,
             userId
           });
+
+          await this.phasePipelineService.applyTransition(client, subtaskId, phasePlan);
           
           // Special case: If changing to "No Status" (empty string), clear all phase status history and dates
           if (newStatus === '') {
-            console.log('DEBUG: Clearing all phase status history and dates for subtask', subtaskId);
-            
             // Clear all phase status history
             const clearResult = await client.query(`
               DELETE FROM phase_status_history 
@@ -603,8 +302,6 @@ class SubtaskService {
               RETURNING *
             `, [subtaskId]);
             
-            console.log('DEBUG: Cleared phase status history records:', clearResult.rows);
-            
             // Clear all phase dates on the subtask itself
             const clearDatesResult = await client.query(`
               UPDATE course_subtasks 
@@ -613,8 +310,6 @@ class SubtaskService {
               RETURNING *
             `, [subtaskId]);
             
-            console.log('DEBUG: Cleared phase dates on subtask:', clearDatesResult.rows[0]);
-            
             logger.info('Cleared all phase status history and dates for No Status', {
               subtaskId,
               oldStatus,
@@ -630,33 +325,12 @@ class SubtaskService {
             return; // Exit early, no need to process further status logic
           }
           
-          // Define phase hierarchy for backward movement detection
-          const phaseHierarchy = ['alpha_review', 'beta_review', 'final_revision', 'final_signoff_received'];
+          // Phase order for backward movement detection
+          const phaseHierarchy = pipeline.map(phase => phase.value);
           const oldIndex = phaseHierarchy.indexOf(oldStatus);
           const newIndex = phaseHierarchy.indexOf(newStatus);
           const isBackwardMovement = oldIndex > newIndex && oldIndex !== -1 && newIndex !== -1;
           
-          // Special handling for Final Signoff status
-          if (newStatus === 'final_signoff_received' && oldStatus === 'final_revision') {
-            console.log('DEBUG: Moving to Final Signoff - setting final end date and final signoff date');
-            
-            // Set the finish date for the Final (Gold) phase in phase_status_history
-            await client.query(`
-              UPDATE phase_status_history 
-              SET finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-              WHERE subtask_id = $1 AND status = 'final_revision' AND finished_at IS NULL
-            `, [subtaskId]);
-            
-            // Set the finish_date on the subtask itself (this represents Final Gold completion)
-            updates.finish_date = new Date();
-            changes.finish_date = { from: currentSubtask.finish_date, to: updates.finish_date };
-            
-            logger.info('Set Final Gold completion dates for Final Signoff transition', {
-              subtaskId,
-              finalGoldFinishDate: updates.finish_date
-            });
-          }
-          
           logger.info('Phase transition analysis', {
             subtaskId,
             oldStatus,
@@ -812,6 +486,10 @@ class SubtaskService {
           };
         }
 
+        if (onUpdate) {
+          await onUpdate(client, updated);
+        }
+
         // Log the update
         await client.query(`
           INSERT INTO audit_logs (
@@ -837,6 +515,17 @@ class SubtaskService {
         await this.statusAggregator.updateCourseStatus(courseId, { triggeredBy: userId });
       }
 
+      // Run automation rules for phase transitions
+      if (changes.statusHistory) {
+        await this.automationEngine.handleEvent(this.automationEngine.triggerTypes.PHASE_CHANGE, {
+          courseId,
+          subtaskId,
+          fromStatus: changes.statusHistory.oldStatus,
+          toStatus: changes.statusHistory.newStatus,
+          triggeredBy: userId
+        });
+      }
+
       // If assignments were updated, fetch the current assignments to include in response
       if (changes.assignmentUpdate) {
         const assignmentsResult = await query(`
@@ -1033,6 +722,7 @@ class SubtaskService {
           cs.is_blocking,
           cs.weight,
           cs.order_index,
+          cs.required_skills,
           cs.completed_at,
           cs.start_date,
           cs.finish_date,
@@ -1078,6 +768,7 @@ class SubtaskService {
           is_blocking: subtask.is_blocking,
           weight: subtask.weight,
           order_index: subtask.order_index,
+          required_skills: subtask.required_skills,
           completed_at: subtask.completed_at,
           start_date: subtask.start_date,
           finish_date: subtask.finish_date,
@@ -1111,7 +802,16 @@ class SubtaskService {
         };
       });
 
+      // Phase dates in the order of the course's pipeline
+      const pipeline = await this.phasePipelineService.getPipelineForCourse(courseId);
+      const phaseLabels = await this.phasePipelineService.getPhaseLabels();
+      const phaseDates = await this.phasePipelineService.getPhaseDates(subtasks.map(subtask => subtask.id));
+
       for (const subtask of subtasks) {
+        subtask.phases = this.phasePipelineService.describePhases(
+          pipeline, phaseDates.get(subtask.id), subtask.status, phaseLabels
+        );
+
         // Get status history
         const historyResult = await query(`
           SELECT id, status, started_at, finished_at
@@ -1153,6 +853,12 @@ class SubtaskService {
         subtask.assignedUser = subtask.assignedUsers.length > 0 ? subtask.assignedUsers[0] : null;
       }
 
+      // Phase end dates that fall inside approved time off of an assignee
+      const absenceWarnings = await this.timeOffService.getAbsenceWarnings(subtasks);
+      for (const subtask of subtasks) {
+        subtask.absenceWarnings = absenceWarnings.get(subtask.id) || [];
+      }
+
       return subtasks;
 
     } catch (error) {
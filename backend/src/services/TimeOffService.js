@@ -0,0 +1,413 @@
+const { query, transaction } = require('../config/database');
+const NotificationService = require('./NotificationService');
+const WorkingCalendarService = require('./WorkingCalendarService');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { toDay, fromDay, toDateString } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+// Statuses that block another request for the same days
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+/**
+ * Time Off Service
+ * PTO and partial availability requests, approved by managers of the user's team.
+ * Only approved time off counts against capacity (see WorkingCalendarService.getUserSchedules).
+ */
+class TimeOffService {
+  constructor() {
+    this.notificationService = new NotificationService();
+    this.workingCalendarService = new WorkingCalendarService();
+  }
+
+  formatTimeOff(row) {
+    return {
+      ...row,
+      hours_per_day: row.hours_per_day !== null ? parseFloat(row.hours_per_day) : null
+    };
+  }
+
+  /**
+   * Whether a user may approve and record time off for another user: admins, and managers of the user's team
+   */
+  async canReview(reviewer, userId) {
+    if (reviewer.role === 'admin') {
+      return true;
+    }
+
+    if (reviewer.role !== 'manager' || !reviewer.team_id) {
+      return false;
+    }
+
+    const result = await query('SELECT 1 FROM users WHERE id = $1 AND team_id = $2', [userId, reviewer.team_id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Time off entries overlapping a date range
+   */
+  async listTimeOff({ userId = null, teamId = null, status = null, startDate = null, endDate = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`t.user_id = $${params.length}`);
+    }
+    if (teamId) {
+      params.push(teamId);
+      conditions.push(`u.team_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`t.status = $${params.length}`);
+    }
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`t.end_date >= $${params.length}`);
+    }
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`t.start_date <= $${params.length}`);
+    }
+
+    const result = await query(`
+      SELECT t.id, t.user_id, u.name as user_name, u.team_id,
+        TO_CHAR(t.start_date, 'YYYY-MM-DD') as start_date,
+        TO_CHAR(t.end_date, 'YYYY-MM-DD') as end_date,
+        t.hours_per_day, t.reason, t.status, t.created_by, creator.name as created_by_name, t.created_at,
+        t.reviewed_by, reviewer.name as reviewed_by_name, t.reviewed_at, t.review_comment
+      FROM user_time_off t
+      JOIN users u ON u.id = t.user_id
+      LEFT JOIN users creator ON creator.id = t.created_by
+      LEFT JOIN users reviewer ON reviewer.id = t.reviewed_by
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY t.start_date ASC, u.name ASC
+    `, params);
+
+    return result.rows.map(row => this.formatTimeOff(row));
+  }
+
+  async getTimeOff(id) {
+    const result = await query(`
+      SELECT t.id, t.user_id, u.name as user_name, u.team_id,
+        TO_CHAR(t.start_date, 'YYYY-MM-DD') as start_date,
+        TO_CHAR(t.end_date, 'YYYY-MM-DD') as end_date,
+        t.hours_per_day, t.reason, t.status, t.created_by, t.created_at,
+        t.reviewed_by, t.reviewed_at, t.review_comment
+      FROM user_time_off t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Time off entry not found');
+    }
+    return this.formatTimeOff(result.rows[0]);
+  }
+
+  /**
+   * File time off. Requests for yourself wait for approval (admins approve their own),
+   * time off a manager records for someone on their team is approved right away.
+   */
+  async requestTimeOff(user, { userId = null, startDate, endDate, hoursPerDay = null, reason = null }) {
+    const targetUserId = userId || user.id;
+    const forSelf = targetUserId === user.id;
+
+    if (!forSelf && !(await this.canReview(user, targetUserId))) {
+      throw new ForbiddenError('Only managers of the user\'s team can record time off for them');
+    }
+
+    const userResult = await query('SELECT id, name, team_id FROM users WHERE id = $1 AND active = true', [targetUserId]);
+    const owner = userResult.rows[0];
+    if (!owner) {
+      throw new NotFoundError('User not found');
+    }
+
+    const approved = !forSelf || user.role === 'admin';
+
+    const entry = await transaction(async (client) => {
+      // Serialize requests of the same user so overlapping ones cannot slip in side by side
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [targetUserId]);
+
+      const overlapping = await client.query(`
+        SELECT TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date, status
+        FROM user_time_off
+        WHERE user_id = $1 AND status = ANY($2::text[]) AND end_date >= $3 AND start_date <= $4
+        LIMIT 1
+      `, [targetUserId, ACTIVE_STATUSES, startDate, endDate]);
+
+      if (overlapping.rows.length > 0) {
+        const existing = overlapping.rows[0];
+        throw new ConflictError(`Overlaps ${existing.status} time off from ${existing.start_date} to ${existing.end_date}`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO user_time_off (user_id, start_date, end_date, hours_per_day, reason, status, created_by, reviewed_by, reviewed_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        targetUserId, startDate, endDate, hoursPerDay, reason,
+        approved ? 'approved' : 'pending', user.id,
+        approved ? user.id : null, approved ? new Date() : null
+      ]);
+
+      return result.rows[0];
+    });
+
+    logger.info('Time off requested', { timeOffId: entry.id, userId: targetUserId, createdBy: user.id, approved });
+
+    const timeOff = await this.getTimeOff(entry.id);
+
+    if (approved) {
+      await this.workingCalendarService.invalidateDependentCaches();
+    } else {
+      await this.notifyApprovers(timeOff, user);
+    }
+
+    return {
+      ...timeOff,
+      conflicts: await this.getAbsenceConflicts(timeOff)
+    };
+  }
+
+  /**
+   * Approve or reject a pending request. Rejections need a comment.
+   */
+  async reviewTimeOff(id, reviewer, action, comment = null) {
+    const timeOff = await this.getTimeOff(id);
+
+    if (timeOff.user_id === reviewer.id) {
+      throw new ForbiddenError('You cannot review your own time off');
+    }
+
+    if (!(await this.canReview(reviewer, timeOff.user_id))) {
+      throw new ForbiddenError('Only managers of the user\'s team can review this time off');
+    }
+
+    if (action === 'rejected' && !(comment && comment.trim())) {
+      throw new ValidationError('Invalid review', [{ path: ['comment'], message: 'A comment is required when rejecting time off' }]);
+    }
+
+    await transaction(async (client) => {
+      const locked = await client.query('SELECT status FROM user_time_off WHERE id = $1 FOR UPDATE', [id]);
+
+      if (locked.rows[0].status !== 'pending') {
+        throw new ConflictError(`Time off is ${locked.rows[0].status}, only pending requests can be reviewed`);
+      }
+
+      await client.query(`
+        UPDATE user_time_off
+        SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_comment = $3
+        WHERE id = $4
+      `, [action, reviewer.id, comment || null, id]);
+    });
+
+    logger.info('Time off reviewed', { timeOffId: id, action, reviewerId: reviewer.id });
+
+    if (action === 'approved') {
+      await this.workingCalendarService.invalidateDependentCaches();
+    }
+    await this.notifyOwner(timeOff, reviewer, action, comment);
+
+    return this.getTimeOff(id);
+  }
+
+  /**
+   * Pending requests the reviewer can approve, with the phase end dates each one would affect
+   */
+  async getPendingApprovals(reviewer) {
+    const result = await query(`
+      SELECT t.id, t.user_id, u.name as user_name, u.team_id, tm.name as team_name,
+        TO_CHAR(t.start_date, 'YYYY-MM-DD') as start_date,
+        TO_CHAR(t.end_date, 'YYYY-MM-DD') as end_date,
+        t.hours_per_day, t.reason, t.status, t.created_at
+      FROM user_time_off t
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN teams tm ON u.team_id = tm.id
+      WHERE t.status = 'pending'
+        AND t.user_id <> $1
+        AND ($2 = 'admin' OR u.team_id = $3)
+      ORDER BY t.start_date ASC, t.created_at ASC
+    `, [reviewer.id, reviewer.role, reviewer.team_id || null]);
+
+    return Promise.all(result.rows.map(async (row) => {
+      const timeOff = this.formatTimeOff(row);
+      return { ...timeOff, conflicts: await this.getAbsenceConflicts(timeOff) };
+    }));
+  }
+
+  /**
+   * Withdraw or remove time off. Owners can withdraw requests and time off that has not started,
+   * managers of the team can remove any entry.
+   */
+  async deleteTimeOff(id, user) {
+    const timeOff = await this.getTimeOff(id);
+    const isOwner = timeOff.user_id === user.id;
+
+    if (!(await this.canReview(user, timeOff.user_id))) {
+      if (!isOwner) {
+        throw new ForbiddenError('You cannot remove time off of this user');
+      }
+      if (timeOff.status === 'approved' && toDay(timeOff.start_date) <= toDay(new Date())) {
+        throw new ConflictError('Approved time off that has started can only be removed by a manager');
+      }
+    }
+
+    await query('DELETE FROM user_time_off WHERE id = $1', [id]);
+
+    if (timeOff.status === 'approved') {
+      await this.workingCalendarService.invalidateDependentCaches();
+    }
+  }
+
+  /**
+   * Phases of the user's subtasks that end within the time off
+   */
+  async getAbsenceConflicts({ user_id: userId, start_date: startDate, end_date: endDate }) {
+    const result = await query(`
+      SELECT cs.id as subtask_id, cs.title as subtask_title, c.id as course_id, c.title as course_title,
+        spd.phase_status, COALESCE(ps.label, spd.phase_status) as phase_label,
+        TO_CHAR(spd.finished_at, 'YYYY-MM-DD') as end_date
+      FROM subtask_assignments sa
+      JOIN course_subtasks cs ON cs.id = sa.subtask_id
+      JOIN courses c ON c.id = cs.course_id
+      JOIN subtask_phase_dates spd ON spd.subtask_id = cs.id
+      LEFT JOIN phase_statuses ps ON ps.value = spd.phase_status
+      WHERE sa.user_id = $1
+        AND spd.finished_at::date BETWEEN $2 AND $3
+      ORDER BY spd.finished_at ASC
+    `, [userId, startDate, endDate]);
+
+    return result.rows.map(row => ({
+      subtaskId: row.subtask_id,
+      subtaskTitle: row.subtask_title,
+      courseId: row.course_id,
+      courseTitle: row.course_title,
+      phase: row.phase_status,
+      phaseLabel: row.phase_label,
+      endDate: row.end_date
+    }));
+  }
+
+  /**
+   * Phase end dates of subtasks that fall inside approved time off of one of their assignees
+   * @param {Array} subtasks - Subtasks with phases and assignedUsers, as returned by SubtaskService.getSubtasks
+   * @returns {Promise<Map<number, Array>>} Warnings per subtask id
+   */
+  async getAbsenceWarnings(subtasks) {
+    const userIds = [...new Set(subtasks.flatMap(subtask => (subtask.assignedUsers || []).map(user => user.id)))];
+    const endDays = subtasks.flatMap(subtask => (subtask.phases || [])
+      .filter(phase => phase.finishedAt)
+      .map(phase => toDay(phase.finishedAt)));
+
+    const warnings = new Map();
+    if (userIds.length === 0 || endDays.length === 0) {
+      return warnings;
+    }
+
+    const result = await query(`
+      SELECT user_id, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date,
+        hours_per_day
+      FROM user_time_off
+      WHERE user_id = ANY($1::int[]) AND status = 'approved' AND end_date >= $2 AND start_date <= $3
+    `, [userIds, fromDay(Math.min(...endDays)), fromDay(Math.max(...endDays))]);
+
+    if (result.rows.length === 0) {
+      return warnings;
+    }
+
+    for (const subtask of subtasks) {
+      const subtaskWarnings = [];
+
+      for (const phase of (subtask.phases || []).filter(phase => phase.finishedAt)) {
+        const endDay = toDay(phase.finishedAt);
+
+        for (const user of subtask.assignedUsers || []) {
+          const absence = result.rows.find(row => row.user_id === user.id
+            && toDay(row.start_date) <= endDay && toDay(row.end_date) >= endDay);
+
+          if (absence) {
+            subtaskWarnings.push({
+              userId: user.id,
+              userName: user.name,
+              phase: phase.status,
+              phaseLabel: phase.label,
+              date: fromDay(endDay),
+              hoursPerDay: absence.hours_per_day !== null ? parseFloat(absence.hours_per_day) : null,
+              timeOffStart: absence.start_date,
+              timeOffEnd: absence.end_date
+            });
+          }
+        }
+      }
+
+      if (subtaskWarnings.length > 0) {
+        warnings.set(subtask.id, subtaskWarnings);
+      }
+    }
+
+    return warnings;
+  }
+
+  describeDates(timeOff) {
+    const start = toDateString(timeOff.start_date);
+    const end = toDateString(timeOff.end_date);
+    const hours = timeOff.hours_per_day ? ` (${timeOff.hours_per_day}h/day)` : '';
+    return `${start === end ? start : `${start} to ${end}`}${hours}`;
+  }
+
+  async notifyApprovers(timeOff, user) {
+    try {
+      // Managers of the team, admins when the user has no team or is the team's only manager
+      let approvers = await query(`
+        SELECT id FROM users
+        WHERE active = true AND id <> $1 AND role = 'manager' AND team_id = $2
+      `, [user.id, user.team_id || null]);
+
+      if (approvers.rows.length === 0) {
+        approvers = await query('SELECT id FROM users WHERE active = true AND id <> $1 AND role = \'admin\'', [user.id]);
+      }
+
+      for (const approver of approvers.rows) {
+        await this.notificationService.createNotification({
+          userId: approver.id,
+          type: this.notificationService.notificationTypes.TIME_OFF_REQUESTED,
+          title: `${user.name} requested time off`,
+          message: `${this.describeDates(timeOff)}${timeOff.reason ? `: ${timeOff.reason}` : ''}`,
+          relatedEntityType: 'time_off',
+          relatedEntityId: timeOff.id,
+          fromUserId: user.id,
+          actionUrl: '/time-off?tab=approvals'
+        }, { skipDuplicateCheck: true });
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'TimeOffService.notifyApprovers',
+        timeOffId: timeOff.id
+      });
+    }
+  }
+
+  async notifyOwner(timeOff, reviewer, action, comment) {
+    try {
+      await this.notificationService.createNotification({
+        userId: timeOff.user_id,
+        type: this.notificationService.notificationTypes.TIME_OFF_REVIEWED,
+        priority: action === 'rejected' ? this.notificationService.priorityLevels.HIGH : this.notificationService.priorityLevels.NORMAL,
+        title: `Your time off ${this.describeDates(timeOff)} was ${action}`,
+        message: comment || null,
+        relatedEntityType: 'time_off',
+        relatedEntityId: timeOff.id,
+        fromUserId: reviewer.id,
+        actionUrl: '/time-off'
+      }, { skipDuplicateCheck: true });
+    } catch (error) {
+      logger.logError(error, {
+        context: 'TimeOffService.notifyOwner',
+        timeOffId: timeOff.id
+      });
+    }
+  }
+}
+
+module.exports = TimeOffService;
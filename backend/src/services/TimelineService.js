@@ -0,0 +1,286 @@
+const { query } = require('../config/database');
+const DependencyManager = require('./DependencyManager');
+const logger = require('../utils/logger');
+const { toDay, fromDay } = require('../utils/dates');
+
+/**
+ * Timeline Service
+ * Courses and their subtask phases on a timeline, with the critical path through
+ * course dependencies and the slack of every course.
+ */
+class TimelineService {
+  constructor() {
+    this.dependencyManager = new DependencyManager();
+  }
+
+  /**
+   * Get the timeline of the courses matching the filters
+   * @param {Object} filters - programId, listId, startDate, endDate, includeCompleted, includePhases
+   */
+  async getTimeline(filters = {}) {
+    const courses = await this.getCourses(filters);
+    const courseIds = courses.map(course => course.id);
+
+    const [edges, phases] = await Promise.all([
+      this.dependencyManager.getDependencyEdges(courseIds),
+      filters.includePhases === false ? new Map() : this.getPhases(courseIds)
+    ]);
+
+    const schedule = this.calculateCriticalPath(courses, edges);
+
+    return {
+      courses: courses.map(course => ({
+        id: course.id,
+        title: course.title,
+        status: course.status,
+        priority: course.priority,
+        modality: course.modality,
+        programId: course.program_id,
+        programName: course.program_name,
+        startDate: course.start_date ? fromDay(toDay(course.start_date)) : null,
+        dueDate: course.due_date ? fromDay(toDay(course.due_date)) : null,
+        progress: course.progress,
+        ...schedule.courses.get(course.id),
+        phases: phases.get(course.id) || []
+      })),
+      edges,
+      criticalPath: schedule.criticalPath,
+      range: schedule.range,
+      metadata: {
+        filters,
+        cyclicCourses: schedule.cyclicCourses,
+        generatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async getCourses(filters) {
+    const params = [];
+    let where = "c.status != 'deleted'";
+
+    if (filters.includeCompleted === false) {
+      where += " AND c.status != 'completed'";
+    }
+    if (filters.programId) {
+      params.push(filters.programId);
+      where += ` AND c.program_id = $${params.length}`;
+    }
+    if (filters.listId) {
+      params.push(filters.listId);
+      where += ` AND c.list_id = $${params.length}`;
+    }
+    // Courses overlapping the window; unscheduled courses are always listed
+    if (filters.startDate) {
+      params.push(filters.startDate);
+      where += ` AND (c.due_date IS NULL OR c.due_date >= $${params.length})`;
+    }
+    if (filters.endDate) {
+      params.push(filters.endDate);
+      where += ` AND (c.start_date IS NULL OR c.start_date <= $${params.length})`;
+    }
+
+    const result = await query(`
+      SELECT
+        c.id, c.title, c.status, c.priority, c.modality, c.program_id, c.start_date, c.due_date,
+        p.name as program_name,
+        COALESCE((
+          SELECT ROUND(COUNT(*) FILTER (WHERE cs.status IN ('completed', 'final_signoff_received')) * 100.0 / NULLIF(COUNT(*), 0))
+          FROM course_subtasks cs WHERE cs.course_id = c.id
+        ), 0)::int as progress
+      FROM courses c
+      LEFT JOIN programs p ON c.program_id = p.id
+      WHERE ${where}
+      ORDER BY c.start_date ASC NULLS LAST, c.due_date ASC NULLS LAST, c.id
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Phase segments of every subtask, keyed by course id
+   */
+  async getPhases(courseIds) {
+    const byCourse = new Map();
+    if (courseIds.length === 0) {
+      return byCourse;
+    }
+
+    const result = await query(`
+      SELECT cs.id, cs.course_id, cs.title, cs.status, cs.order_index,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'status', spd.phase_status,
+              'startedAt', spd.started_at,
+              'finishedAt', spd.finished_at,
+              'isTerminal', COALESCE(ps.is_terminal, false)
+            ) ORDER BY spd.started_at
+          ) FILTER (WHERE spd.id IS NOT NULL),
+          '[]'
+        ) as phase_dates
+      FROM course_subtasks cs
+      LEFT JOIN subtask_phase_dates spd ON spd.subtask_id = cs.id
+      LEFT JOIN phase_statuses ps ON ps.value = spd.phase_status
+      WHERE cs.course_id = ANY($1)
+      GROUP BY cs.id
+      ORDER BY cs.course_id, cs.order_index, cs.id
+    `, [courseIds]);
+
+    result.rows.forEach(row => {
+      // A terminal phase is never finished, so it shows as a single day
+      const segments = row.phase_dates.map(phase => ({
+        status: phase.status,
+        startDate: phase.startedAt,
+        endDate: phase.finishedAt || (phase.isTerminal ? phase.startedAt : null),
+        isCurrent: row.status === phase.status
+      }));
+
+      if (!byCourse.has(row.course_id)) {
+        byCourse.set(row.course_id, []);
+      }
+      byCourse.get(row.course_id).push({
+        subtaskId: row.id,
+        title: row.title,
+        status: row.status,
+        startDate: segments.length > 0 ? segments[0].startDate : null,
+        endDate: segments.length > 0 ? segments[segments.length - 1].endDate : null,
+        segments
+      });
+    });
+
+    return byCourse;
+  }
+
+  /**
+   * Critical path method over the scheduled courses.
+   * A course can start no earlier than its own start date and the finish of the courses it depends on;
+   * slack is how many days it can slip without moving the end of the timeline.
+   */
+  calculateCriticalPath(courses, edges) {
+    const nodes = new Map();
+    courses
+      .filter(course => course.start_date && course.due_date)
+      .forEach(course => {
+        const start = toDay(course.start_date);
+        nodes.set(course.id, {
+          start,
+          duration: Math.max(toDay(course.due_date) - start, 1),
+          predecessors: [],
+          successors: []
+        });
+      });
+
+    const scheduledEdges = edges.filter(edge => nodes.has(edge.from) && nodes.has(edge.to));
+    scheduledEdges.forEach(edge => {
+      nodes.get(edge.to).predecessors.push(edge.from);
+      nodes.get(edge.from).successors.push(edge.to);
+    });
+
+    // Topological order (Kahn); courses left over are part of a dependency cycle
+    const inDegree = new Map(Array.from(nodes.entries()).map(([id, node]) => [id, node.predecessors.length]));
+    const ready = Array.from(inDegree.entries()).filter(([, degree]) => degree === 0).map(([id]) => id);
+    const order = [];
+    while (ready.length > 0) {
+      const id = ready.shift();
+      order.push(id);
+      nodes.get(id).successors.forEach(successor => {
+        inDegree.set(successor, inDegree.get(successor) - 1);
+        if (inDegree.get(successor) === 0) {
+          ready.push(successor);
+        }
+      });
+    }
+
+    const cyclicCourses = Array.from(nodes.keys()).filter(id => !order.includes(id));
+    if (cyclicCourses.length > 0) {
+      logger.warn('Dependency cycle in timeline, scheduling those courses on their own dates', { cyclicCourses });
+      cyclicCourses.forEach(id => {
+        const node = nodes.get(id);
+        node.predecessors = node.predecessors.filter(predecessor => !cyclicCourses.includes(predecessor));
+        node.successors = node.successors.filter(successor => !cyclicCourses.includes(successor));
+        order.push(id);
+      });
+    }
+
+    // Forward pass
+    order.forEach(id => {
+      const node = nodes.get(id);
+      node.earlyStart = Math.max(node.start, ...node.predecessors.map(predecessor => nodes.get(predecessor).earlyFinish));
+      node.earlyFinish = node.earlyStart + node.duration;
+    });
+
+    const finishes = Array.from(nodes.values()).map(node => node.earlyFinish);
+    const timelineEnd = finishes.length > 0 ? Math.max(...finishes) : null;
+
+    // Backward pass
+    [...order].reverse().forEach(id => {
+      const node = nodes.get(id);
+      node.lateFinish = Math.min(timelineEnd, ...node.successors.map(successor => nodes.get(successor).lateStart));
+      node.lateStart = node.lateFinish - node.duration;
+    });
+
+    const scheduled = new Map();
+    nodes.forEach((node, id) => {
+      const slack = node.lateStart - node.earlyStart;
+      scheduled.set(id, {
+        durationDays: node.duration,
+        earlyStart: fromDay(node.earlyStart),
+        earlyFinish: fromDay(node.earlyFinish),
+        lateStart: fromDay(node.lateStart),
+        lateFinish: fromDay(node.lateFinish),
+        slackDays: slack,
+        // Days the courses it depends on push the start back
+        dependencyDelayDays: node.earlyStart - node.start,
+        isCritical: slack === 0
+      });
+    });
+
+    courses
+      .filter(course => !nodes.has(course.id))
+      .forEach(course => scheduled.set(course.id, {
+        durationDays: null,
+        earlyStart: null,
+        earlyFinish: null,
+        lateStart: null,
+        lateFinish: null,
+        slackDays: null,
+        dependencyDelayDays: null,
+        isCritical: false
+      }));
+
+    return {
+      courses: scheduled,
+      criticalPath: this.traceCriticalPath(nodes, order, timelineEnd),
+      range: {
+        start: nodes.size > 0 ? fromDay(Math.min(...Array.from(nodes.values()).map(node => node.earlyStart))) : null,
+        end: timelineEnd !== null ? fromDay(timelineEnd) : null
+      },
+      cyclicCourses
+    };
+  }
+
+  /**
+   * Chain of zero-slack courses ending at the end of the timeline
+   */
+  traceCriticalPath(nodes, order, timelineEnd) {
+    if (timelineEnd === null) {
+      return [];
+    }
+
+    const isCritical = id => nodes.get(id).lateStart === nodes.get(id).earlyStart;
+    let current = [...order].reverse().find(id => isCritical(id) && nodes.get(id).earlyFinish === timelineEnd);
+    const path = [];
+
+    while (current !== undefined) {
+      path.unshift(current);
+      const node = nodes.get(current);
+      current = node.predecessors.find(predecessor =>
+        isCritical(predecessor) && nodes.get(predecessor).earlyFinish === node.earlyStart
+      );
+    }
+
+    return path;
+  }
+}
+
+module.exports = TimelineService;
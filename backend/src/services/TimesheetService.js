@@ -0,0 +1,450 @@
+const { query, transaction } = require('../config/database');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Statuses that lock the entries of a week against edits
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+// Week (Monday) of a time entry in the timezone of its user
+const ENTRY_WEEK_SQL = `date_trunc('week', te.start_time AT TIME ZONE COALESCE(u.timezone, 'UTC'))::date`;
+
+/**
+ * Timesheet Service
+ * Weekly submission of time entries and their approval by team managers.
+ * Entries of a submitted or approved week are locked until the timesheet is rejected.
+ */
+class TimesheetService {
+  constructor() {
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Monday (YYYY-MM-DD) of the week containing a date
+   */
+  normalizeWeekStart(date) {
+    const value = date ? new Date(`${String(date).substring(0, 10)}T00:00:00Z`) : new Date();
+
+    if (Number.isNaN(value.getTime())) {
+      throw new ValidationError('Invalid week', [{ path: ['weekStart'], message: 'weekStart must be a date (YYYY-MM-DD)' }]);
+    }
+
+    value.setUTCDate(value.getUTCDate() - ((value.getUTCDay() + 6) % 7));
+    return value.toISOString().substring(0, 10);
+  }
+
+  /**
+   * YYYY-MM-DD of a DATE column (pg parses DATE values as local midnight)
+   */
+  toDateString(value) {
+    if (!(value instanceof Date)) {
+      return String(value).substring(0, 10);
+    }
+
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  formatTimesheet(timesheet) {
+    return timesheet ? { ...timesheet, week_start: this.toDateString(timesheet.week_start) } : null;
+  }
+
+  addDays(dateString, days) {
+    const value = new Date(`${dateString}T00:00:00Z`);
+    value.setUTCDate(value.getUTCDate() + days);
+    return value.toISOString().substring(0, 10);
+  }
+
+  /**
+   * Time entries of a user's week
+   */
+  async getWeekEntries(userId, weekStart, client = null) {
+    const result = await (client || { query }).query(`
+      SELECT
+        te.*,
+        (te.start_time AT TIME ZONE COALESCE(u.timezone, 'UTC'))::date as entry_date,
+        cs.title as task_name,
+        c.title as course_name
+      FROM time_entries te
+      JOIN users u ON te.user_id = u.id
+      LEFT JOIN course_subtasks cs ON te.task_id = cs.id
+      LEFT JOIN courses c ON te.course_id = c.id
+      WHERE te.user_id = $1 AND ${ENTRY_WEEK_SQL} = $2::date
+      ORDER BY te.start_time
+    `, [userId, weekStart]);
+
+    return result.rows;
+  }
+
+  summarizeEntries(entries, weekStart) {
+    const byDay = {};
+    for (let day = 0; day < 7; day++) {
+      byDay[this.addDays(weekStart, day)] = 0;
+    }
+
+    let totalMinutes = 0;
+    let billableMinutes = 0;
+
+    entries.forEach(entry => {
+      const minutes = entry.duration || 0;
+      const date = this.toDateString(entry.entry_date);
+
+      totalMinutes += minutes;
+      if (entry.is_billable) {
+        billableMinutes += minutes;
+      }
+      if (byDay[date] !== undefined) {
+        byDay[date] += minutes;
+      }
+    });
+
+    return { totalMinutes, billableMinutes, byDay };
+  }
+
+  /**
+   * Timesheet of a user's week: status, entries, totals and review history.
+   * Weeks that were never submitted are returned as drafts.
+   */
+  async getWeek(userId, weekStart) {
+    const week = this.normalizeWeekStart(weekStart);
+
+    const [timesheetResult, entries] = await Promise.all([
+      query(`
+        SELECT t.*, r.name as reviewed_by_name
+        FROM timesheets t
+        LEFT JOIN users r ON t.reviewed_by = r.id
+        WHERE t.user_id = $1 AND t.week_start = $2
+      `, [userId, week]),
+      this.getWeekEntries(userId, week)
+    ]);
+
+    const timesheet = this.formatTimesheet(timesheetResult.rows[0]);
+
+    return {
+      userId,
+      weekStart: week,
+      weekEnd: this.addDays(week, 6),
+      status: timesheet ? timesheet.status : 'draft',
+      timesheet,
+      entries,
+      totals: this.summarizeEntries(entries, week),
+      reviews: timesheet ? await this.getReviews(timesheet.id) : []
+    };
+  }
+
+  async getTimesheetRow(id) {
+    const result = await query(`
+      SELECT t.*, u.name as user_name, u.team_id, r.name as reviewed_by_name
+      FROM timesheets t
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN users r ON t.reviewed_by = r.id
+      WHERE t.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Timesheet not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Timesheet by id with its entries
+   */
+  async getTimesheet(id) {
+    const timesheet = await this.getTimesheetRow(id);
+    const week = this.toDateString(timesheet.week_start);
+
+    const entries = await this.getWeekEntries(timesheet.user_id, week);
+
+    return {
+      ...timesheet,
+      week_start: week,
+      week_end: this.addDays(week, 6),
+      entries,
+      totals: this.summarizeEntries(entries, week),
+      reviews: await this.getReviews(id)
+    };
+  }
+
+  async getReviews(timesheetId) {
+    const result = await query(`
+      SELECT tr.*, u.name as user_name
+      FROM timesheet_reviews tr
+      LEFT JOIN users u ON tr.user_id = u.id
+      WHERE tr.timesheet_id = $1
+      ORDER BY tr.created_at
+    `, [timesheetId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Timesheets of a user, newest week first
+   */
+  async listTimesheets(userId, { status = null, limit = 12 } = {}) {
+    const result = await query(`
+      SELECT t.*, r.name as reviewed_by_name
+      FROM timesheets t
+      LEFT JOIN users r ON t.reviewed_by = r.id
+      WHERE t.user_id = $1 AND ($2::text IS NULL OR t.status = $2)
+      ORDER BY t.week_start DESC
+      LIMIT $3
+    `, [userId, status, limit]);
+
+    return result.rows.map(row => this.formatTimesheet(row));
+  }
+
+  /**
+   * Whether a user may see and review another user's timesheets: admins, and managers of the user's team
+   */
+  async canReview(reviewer, userId) {
+    if (reviewer.role === 'admin') {
+      return true;
+    }
+
+    if (reviewer.role !== 'manager' || !reviewer.team_id) {
+      return false;
+    }
+
+    const result = await query('SELECT 1 FROM users WHERE id = $1 AND team_id = $2', [userId, reviewer.team_id]);
+    return result.rows.length > 0;
+  }
+
+  async canView(viewer, userId) {
+    return viewer.id === parseInt(userId) || this.canReview(viewer, userId);
+  }
+
+  /**
+   * Submit a week for approval, locking its entries
+   */
+  async submitWeek(user, weekStart, notes = null) {
+    const week = this.normalizeWeekStart(weekStart);
+
+    const timesheet = await transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT * FROM timesheets WHERE user_id = $1 AND week_start = $2 FOR UPDATE',
+        [user.id, week]
+      );
+
+      if (existing.rows[0] && LOCKED_STATUSES.includes(existing.rows[0].status)) {
+        throw new ConflictError(`Timesheet for the week of ${week} is already ${existing.rows[0].status}`);
+      }
+
+      const entries = await this.getWeekEntries(user.id, week, client);
+
+      if (entries.length === 0) {
+        throw new ValidationError('Invalid timesheet', [{ path: ['weekStart'], message: 'There are no time entries in this week' }]);
+      }
+
+      if (entries.some(entry => !entry.end_time)) {
+        throw new ValidationError('Invalid timesheet', [{ path: ['weekStart'], message: 'Stop the running timer before submitting the week' }]);
+      }
+
+      const { totalMinutes, billableMinutes } = this.summarizeEntries(entries, week);
+
+      const result = await client.query(`
+        INSERT INTO timesheets (user_id, week_start, status, total_minutes, billable_minutes, notes, submitted_at)
+        VALUES ($1, $2, 'submitted', $3, $4, $5, CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, week_start) DO UPDATE SET
+          status = 'submitted',
+          total_minutes = EXCLUDED.total_minutes,
+          billable_minutes = EXCLUDED.billable_minutes,
+          notes = EXCLUDED.notes,
+          submitted_at = EXCLUDED.submitted_at,
+          reviewed_by = NULL,
+          reviewed_at = NULL,
+          review_comment = NULL
+        RETURNING *
+      `, [user.id, week, totalMinutes, billableMinutes, notes]);
+
+      const row = result.rows[0];
+
+      // Entries moved out of the week since an earlier submission are released
+      await client.query('UPDATE time_entries SET timesheet_id = NULL WHERE timesheet_id = $1', [row.id]);
+      await client.query(
+        'UPDATE time_entries SET timesheet_id = $1 WHERE id = ANY($2::uuid[])',
+        [row.id, entries.map(entry => entry.id)]
+      );
+
+      await client.query(`
+        INSERT INTO timesheet_reviews (timesheet_id, action, user_id, comment, total_minutes)
+        VALUES ($1, 'submitted', $2, $3, $4)
+      `, [row.id, user.id, notes, totalMinutes]);
+
+      return row;
+    });
+
+    logger.info('Timesheet submitted', { timesheetId: timesheet.id, userId: user.id, weekStart: week });
+
+    await this.notifyApprovers(timesheet, user);
+
+    return this.getTimesheet(timesheet.id);
+  }
+
+  /**
+   * Approve or reject a submitted timesheet. Rejections need a comment and unlock the entries.
+   */
+  async reviewTimesheet(id, reviewer, action, comment = null) {
+    const timesheet = await this.getTimesheetRow(id);
+
+    if (timesheet.user_id === reviewer.id) {
+      throw new ForbiddenError('You cannot review your own timesheet');
+    }
+
+    if (!(await this.canReview(reviewer, timesheet.user_id))) {
+      throw new ForbiddenError('Only managers of the user\'s team can review this timesheet');
+    }
+
+    if (action === 'rejected' && !(comment && comment.trim())) {
+      throw new ValidationError('Invalid review', [{ path: ['comment'], message: 'A comment is required when rejecting a timesheet' }]);
+    }
+
+    await transaction(async (client) => {
+      const locked = await client.query('SELECT status FROM timesheets WHERE id = $1 FOR UPDATE', [id]);
+
+      if (locked.rows[0].status !== 'submitted') {
+        throw new ConflictError(`Timesheet is ${locked.rows[0].status}, only submitted timesheets can be reviewed`);
+      }
+
+      await client.query(`
+        UPDATE timesheets
+        SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_comment = $3
+        WHERE id = $4
+      `, [action, reviewer.id, comment || null, id]);
+
+      if (action === 'approved') {
+        await client.query(`
+          UPDATE time_entries
+          SET is_approved = true, approved_by = $1, approved_at = CURRENT_TIMESTAMP
+          WHERE timesheet_id = $2
+        `, [reviewer.id, id]);
+      } else {
+        await client.query(`
+          UPDATE time_entries
+          SET is_approved = false, approved_by = NULL, approved_at = NULL
+          WHERE timesheet_id = $1
+        `, [id]);
+      }
+
+      await client.query(`
+        INSERT INTO timesheet_reviews (timesheet_id, action, user_id, comment, total_minutes)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [id, action, reviewer.id, comment || null, timesheet.total_minutes]);
+    });
+
+    logger.info('Timesheet reviewed', { timesheetId: id, action, reviewerId: reviewer.id });
+
+    await this.notifyOwner(timesheet, reviewer, action, comment);
+
+    return this.getTimesheet(id);
+  }
+
+  /**
+   * Submitted timesheets the reviewer can approve, oldest submission first
+   */
+  async getPendingApprovals(reviewer) {
+    const result = await query(`
+      SELECT
+        t.*, u.name as user_name, u.email as user_email, tm.name as team_name,
+        (SELECT COUNT(*)::int FROM time_entries te WHERE te.timesheet_id = t.id) as entry_count
+      FROM timesheets t
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN teams tm ON u.team_id = tm.id
+      WHERE t.status = 'submitted'
+        AND t.user_id <> $1
+        AND ($2 = 'admin' OR u.team_id = $3)
+      ORDER BY t.submitted_at ASC
+    `, [reviewer.id, reviewer.role, reviewer.team_id || null]);
+
+    return result.rows.map(row => this.formatTimesheet(row));
+  }
+
+  /**
+   * Fail when a time in the user's week belongs to a submitted or approved timesheet
+   */
+  async assertWeekUnlocked(userId, time) {
+    const result = await query(`
+      SELECT t.status, t.week_start
+      FROM timesheets t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.user_id = $1
+        AND t.week_start = date_trunc('week', $2::timestamptz AT TIME ZONE COALESCE(u.timezone, 'UTC'))::date
+        AND t.status = ANY($3::text[])
+    `, [userId, time || new Date(), LOCKED_STATUSES]);
+
+    if (result.rows.length > 0) {
+      const { status } = result.rows[0];
+      throw new ConflictError(status === 'approved'
+        ? 'Time entries of an approved timesheet cannot be changed'
+        : 'Time entries of a submitted timesheet cannot be changed until it is reviewed');
+    }
+  }
+
+  /**
+   * Fail when an entry is locked by its timesheet
+   */
+  async assertEntryUnlocked(entry) {
+    if (entry.is_approved) {
+      throw new ConflictError('Time entries of an approved timesheet cannot be changed');
+    }
+
+    await this.assertWeekUnlocked(entry.user_id, entry.start_time);
+  }
+
+  async notifyApprovers(timesheet, user) {
+    try {
+      const approvers = await query(`
+        SELECT id FROM users
+        WHERE active = true AND id <> $1
+          AND ((role = 'manager' AND team_id = $2) OR ($2::int IS NULL AND role = 'admin'))
+      `, [user.id, user.team_id || null]);
+
+      const hours = (timesheet.total_minutes / 60).toFixed(1);
+
+      for (const approver of approvers.rows) {
+        await this.notificationService.createNotification({
+          userId: approver.id,
+          type: this.notificationService.notificationTypes.TIMESHEET_SUBMITTED,
+          title: `${user.name} submitted a timesheet`,
+          message: `Week of ${this.toDateString(timesheet.week_start)}: ${hours} hours`,
+          relatedEntityType: 'timesheet',
+          relatedEntityId: timesheet.id,
+          fromUserId: user.id,
+          actionUrl: '/timesheets?tab=approvals'
+        }, { skipDuplicateCheck: true });
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: 'TimesheetService.notifyApprovers',
+        timesheetId: timesheet.id
+      });
+    }
+  }
+
+  async notifyOwner(timesheet, reviewer, action, comment) {
+    try {
+      const week = this.toDateString(timesheet.week_start);
+
+      await this.notificationService.createNotification({
+        userId: timesheet.user_id,
+        type: this.notificationService.notificationTypes.TIMESHEET_REVIEWED,
+        priority: action === 'rejected' ? this.notificationService.priorityLevels.HIGH : this.notificationService.priorityLevels.NORMAL,
+        title: `Your timesheet for the week of ${week} was ${action}`,
+        message: comment || null,
+        relatedEntityType: 'timesheet',
+        relatedEntityId: timesheet.id,
+        fromUserId: reviewer.id,
+        actionUrl: `/timesheets?week=${week}`
+      }, { skipDuplicateCheck: true });
+    } catch (error) {
+      logger.logError(error, {
+        context: 'TimesheetService.notifyOwner',
+        timesheetId: timesheet.id
+      });
+    }
+  }
+}
+
+module.exports = TimesheetService;
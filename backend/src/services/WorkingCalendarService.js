@@ -0,0 +1,449 @@
+const { query, transaction } = require('../config/database');
+const { invalidatePattern } = require('../config/redis');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { DAY_MS, DEFAULT_WORKING_DAYS, toDay, fromDay } = require('../utils/dates');
+
+/**
+ * Working Calendar Service
+ * Working weekdays and holidays per region, assigned to teams with per-user overrides,
+ * plus individual time off. Capacity and due-date calculations read their working days from here.
+ *
+ * Calendar of a user: the user's own calendar, else the team's calendar, else the default calendar.
+ */
+class WorkingCalendarService {
+  constructor() {
+    // Capacity numbers are cached by the heatmap, they change with every holiday and time off entry
+    this.dependentCachePatterns = ['resource_heatmap:*'];
+  }
+
+  async invalidateDependentCaches() {
+    await Promise.all(this.dependentCachePatterns.map(pattern => invalidatePattern(pattern)));
+  }
+
+  formatCalendar(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      region: row.region,
+      workingDays: row.working_days.map(Number),
+      isDefault: row.is_default,
+      holidayCount: row.holiday_count !== undefined ? Number(row.holiday_count) : undefined,
+      teams: row.teams,
+      userCount: row.user_count !== undefined ? Number(row.user_count) : undefined,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * All calendars with the teams using them
+   */
+  async listCalendars() {
+    const result = await query(`
+      SELECT wc.*,
+        (SELECT COUNT(*) FROM calendar_holidays ch WHERE ch.calendar_id = wc.id) as holiday_count,
+        (SELECT COUNT(*) FROM users u WHERE u.working_calendar_id = wc.id AND u.active = true) as user_count,
+        COALESCE(
+          (SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY t.name)
+           FROM teams t WHERE t.working_calendar_id = wc.id),
+          '[]'
+        ) as teams
+      FROM working_calendars wc
+      ORDER BY wc.is_default DESC, wc.name ASC
+    `);
+
+    return result.rows.map(row => this.formatCalendar(row));
+  }
+
+  /**
+   * A calendar with its holidays, optionally limited to one year
+   */
+  async getCalendar(id, { year = null } = {}) {
+    const result = await query('SELECT * FROM working_calendars WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Working calendar not found');
+    }
+
+    const params = [id];
+    let yearFilter = '';
+    if (year) {
+      params.push(year);
+      yearFilter = 'AND EXTRACT(YEAR FROM date) = $2';
+    }
+
+    const holidays = await query(`
+      SELECT id, TO_CHAR(date, 'YYYY-MM-DD') as date, name
+      FROM calendar_holidays
+      WHERE calendar_id = $1 ${yearFilter}
+      ORDER BY date ASC
+    `, params);
+
+    return {
+      ...this.formatCalendar(result.rows[0]),
+      holidays: holidays.rows
+    };
+  }
+
+  async createCalendar({ name, region = null, workingDays = DEFAULT_WORKING_DAYS, isDefault = false }, userId) {
+    const calendar = await transaction(async (client) => {
+      const existing = await client.query('SELECT id FROM working_calendars WHERE LOWER(name) = LOWER($1)', [name]);
+      if (existing.rows.length > 0) {
+        throw new ConflictError('A working calendar with this name already exists');
+      }
+
+      if (isDefault) {
+        await client.query('UPDATE working_calendars SET is_default = false WHERE is_default = true');
+      }
+
+      const result = await client.query(`
+        INSERT INTO working_calendars (name, region, working_days, is_default, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [name, region, this.normalizeWorkingDays(workingDays), isDefault, userId]);
+
+      return result.rows[0];
+    });
+
+    await this.invalidateDependentCaches();
+    return this.formatCalendar(calendar);
+  }
+
+  async updateCalendar(id, { name, region, workingDays, isDefault }) {
+    const calendar = await transaction(async (client) => {
+      const current = await client.query('SELECT * FROM working_calendars WHERE id = $1', [id]);
+      if (current.rows.length === 0) {
+        throw new NotFoundError('Working calendar not found');
+      }
+
+      if (name !== undefined) {
+        const existing = await client.query(
+          'SELECT id FROM working_calendars WHERE LOWER(name) = LOWER($1) AND id <> $2',
+          [name, id]
+        );
+        if (existing.rows.length > 0) {
+          throw new ConflictError('A working calendar with this name already exists');
+        }
+      }
+
+      // There is always a default calendar, it can only be replaced by making another one the default
+      if (isDefault === false && current.rows[0].is_default) {
+        throw new ValidationError('Make another calendar the default first', [{ path: ['isDefault'], message: 'A default calendar is required' }]);
+      }
+      if (isDefault === true && !current.rows[0].is_default) {
+        await client.query('UPDATE working_calendars SET is_default = false WHERE is_default = true');
+      }
+
+      const result = await client.query(`
+        UPDATE working_calendars
+        SET name = COALESCE($2, name),
+          region = CASE WHEN $3::boolean THEN $4 ELSE region END,
+          working_days = COALESCE($5, working_days),
+          is_default = COALESCE($6, is_default),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [
+        id,
+        name ?? null,
+        region !== undefined,
+        region ?? null,
+        workingDays ? this.normalizeWorkingDays(workingDays) : null,
+        isDefault ?? null
+      ]);
+
+      return result.rows[0];
+    });
+
+    await this.invalidateDependentCaches();
+    return this.formatCalendar(calendar);
+  }
+
+  async deleteCalendar(id) {
+    const result = await query('SELECT is_default FROM working_calendars WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Working calendar not found');
+    }
+    if (result.rows[0].is_default) {
+      throw new ValidationError('The default calendar cannot be deleted', [{ path: ['id'], message: 'Make another calendar the default first' }]);
+    }
+
+    // Teams and users on this calendar fall back to the default calendar
+    await query('DELETE FROM working_calendars WHERE id = $1', [id]);
+    await this.invalidateDependentCaches();
+  }
+
+  normalizeWorkingDays(workingDays) {
+    const days = [...new Set(workingDays.map(Number))].sort((a, b) => a - b);
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ValidationError('Invalid working days', [{ path: ['workingDays'], message: 'Use weekday numbers 0 (Sunday) to 6 (Saturday)' }]);
+    }
+    return days;
+  }
+
+  /**
+   * Add holidays to a calendar, an existing holiday on the same date is renamed
+   */
+  async addHolidays(calendarId, holidays) {
+    await this.getCalendarRow(calendarId);
+
+    const rows = await transaction(async (client) => {
+      const saved = [];
+      for (const holiday of holidays) {
+        const result = await client.query(`
+          INSERT INTO calendar_holidays (calendar_id, date, name)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (calendar_id, date) DO UPDATE SET name = EXCLUDED.name
+          RETURNING id, TO_CHAR(date, 'YYYY-MM-DD') as date, name
+        `, [calendarId, holiday.date, holiday.name]);
+        saved.push(result.rows[0]);
+      }
+      return saved;
+    });
+
+    await this.invalidateDependentCaches();
+    return rows;
+  }
+
+  async removeHoliday(calendarId, holidayId) {
+    const result = await query(
+      'DELETE FROM calendar_holidays WHERE id = $1 AND calendar_id = $2',
+      [holidayId, calendarId]
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Holiday not found');
+    }
+
+    await this.invalidateDependentCaches();
+  }
+
+  async getCalendarRow(id) {
+    const result = await query('SELECT * FROM working_calendars WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Working calendar not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Use a calendar for a team, or the default calendar when calendarId is null
+   */
+  async setTeamCalendar(teamId, calendarId) {
+    if (calendarId) {
+      await this.getCalendarRow(calendarId);
+    }
+
+    const result = await query('UPDATE teams SET working_calendar_id = $2 WHERE id = $1', [teamId, calendarId]);
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Team not found');
+    }
+
+    await this.invalidateDependentCaches();
+  }
+
+  /**
+   * Use a calendar for one user instead of the team's, or the team's again when calendarId is null
+   */
+  async setUserCalendar(userId, calendarId) {
+    if (calendarId) {
+      await this.getCalendarRow(calendarId);
+    }
+
+    const result = await query('UPDATE users SET working_calendar_id = $2 WHERE id = $1', [userId, calendarId]);
+    if (result.rowCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    await this.invalidateDependentCaches();
+  }
+
+  /**
+   * Calendar id that applies to each user
+   * @returns {Promise<Map<number, number>>}
+   */
+  async getUserCalendarIds(userIds) {
+    if (userIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await query(`
+      SELECT u.id as user_id,
+        COALESCE(u.working_calendar_id, t.working_calendar_id, (SELECT id FROM working_calendars WHERE is_default = true)) as calendar_id
+      FROM users u
+      LEFT JOIN teams t ON t.id = u.team_id
+      WHERE u.id = ANY($1::int[])
+    `, [userIds]);
+
+    return new Map(result.rows.map(row => [row.user_id, row.calendar_id]));
+  }
+
+  /**
+   * Working days and holidays of calendars within a date range. A null id is the default calendar.
+   * @returns {Promise<Map<number|null, { id, name, workingDays: number[], holidays: Map<string, string> }>>}
+   */
+  async loadCalendars(calendarIds, startDate, endDate) {
+    const ids = [...new Set(calendarIds)];
+    const result = await query(`
+      SELECT wc.id, wc.name, wc.working_days, wc.is_default
+      FROM working_calendars wc
+      WHERE wc.id = ANY($1::int[]) OR wc.is_default = true
+    `, [ids.filter(id => id !== null)]);
+
+    const holidays = await query(`
+      SELECT calendar_id, TO_CHAR(date, 'YYYY-MM-DD') as date, name
+      FROM calendar_holidays
+      WHERE calendar_id = ANY($1::int[]) AND date BETWEEN $2 AND $3
+    `, [result.rows.map(row => row.id), fromDay(toDay(startDate)), fromDay(toDay(endDate))]);
+
+    const calendars = new Map();
+    // Without any calendar row (migration not run yet) everyone works Monday to Friday
+    const fallback = { id: null, name: 'Default', workingDays: DEFAULT_WORKING_DAYS, holidays: new Map() };
+    calendars.set(null, fallback);
+
+    for (const row of result.rows) {
+      const calendar = {
+        id: row.id,
+        name: row.name,
+        workingDays: row.working_days.map(Number),
+        holidays: new Map()
+      };
+      calendars.set(row.id, calendar);
+      if (row.is_default) {
+        calendars.set(null, calendar);
+      }
+    }
+    for (const row of holidays.rows) {
+      calendars.get(row.calendar_id).holidays.set(row.date, row.name);
+    }
+    for (const id of ids) {
+      if (!calendars.has(id)) {
+        calendars.set(id, calendars.get(null));
+      }
+    }
+
+    return calendars;
+  }
+
+  /**
+   * Working calendar and approved time off of each user within a date range
+   * @returns {Promise<Map<number, { calendar, timeOff: Map<string, { hoursPerDay: number|null, reason }> }>>}
+   */
+  async getUserSchedules(userIds, startDate, endDate) {
+    const calendarIds = await this.getUserCalendarIds(userIds);
+    const calendars = await this.loadCalendars([...calendarIds.values()], startDate, endDate);
+
+    const start = toDay(startDate);
+    const end = toDay(endDate);
+    const timeOffResult = userIds.length > 0
+      ? await query(`
+        SELECT user_id, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date,
+          hours_per_day, reason
+        FROM user_time_off
+        WHERE user_id = ANY($1::int[]) AND end_date >= $2 AND start_date <= $3
+          AND status = 'approved'
+      `, [userIds, fromDay(start), fromDay(end)])
+      : { rows: [] };
+
+    const schedules = new Map(userIds.map(userId => [userId, {
+      calendar: calendars.get(calendarIds.get(userId) ?? null),
+      timeOff: new Map()
+    }]));
+
+    for (const row of timeOffResult.rows) {
+      const schedule = schedules.get(row.user_id);
+      const from = Math.max(toDay(row.start_date), start);
+      const to = Math.min(toDay(row.end_date), end);
+      for (let day = from; day <= to; day++) {
+        schedule.timeOff.set(fromDay(day), {
+          hoursPerDay: row.hours_per_day !== null ? parseFloat(row.hours_per_day) : null,
+          reason: row.reason
+        });
+      }
+    }
+
+    return schedules;
+  }
+
+  /**
+   * Holidays of a calendar within a date range, the default calendar when no id is given
+   * @returns {Promise<Array<{ date: string, name: string }>>}
+   */
+  async getHolidays(startDate, endDate, calendarId = null) {
+    const calendars = await this.loadCalendars([calendarId], startDate, endDate);
+    const calendar = calendars.get(calendarId);
+
+    return [...calendar.holidays.entries()]
+      .map(([date, name]) => ({ date, name }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Working-day rules for date arithmetic: the weekdays worked and a Set of 'YYYY-MM-DD' holidays
+   */
+  toWorkingRules(calendar) {
+    return {
+      calendarId: calendar.id,
+      workingDays: calendar.workingDays,
+      holidays: new Set(calendar.holidays.keys())
+    };
+  }
+
+  /**
+   * Working-day rules of a user, or of the default calendar when userId is null
+   */
+  async getWorkingRulesForUser(userId, startDate, endDate) {
+    const calendarIds = userId ? await this.getUserCalendarIds([userId]) : new Map();
+    const calendarId = calendarIds.get(userId) ?? null;
+    const calendars = await this.loadCalendars([calendarId], startDate, endDate);
+
+    return this.toWorkingRules(calendars.get(calendarId));
+  }
+
+  /**
+   * Working-day rules of each course, from the calendar of its owner
+   * @returns {Promise<Map<number, { calendarId, workingDays, holidays: Set<string> }>>}
+   */
+  async getWorkingRulesForCourses(courseIds, startDate, endDate) {
+    if (courseIds.length === 0) {
+      return new Map();
+    }
+
+    const owners = await query(
+      'SELECT id, COALESCE(owner_id, created_by) as owner_id FROM courses WHERE id = ANY($1::int[])',
+      [courseIds]
+    );
+    const ownerIds = [...new Set(owners.rows.map(row => row.owner_id).filter(Boolean))];
+    const calendarIds = await this.getUserCalendarIds(ownerIds);
+    const calendars = await this.loadCalendars([null, ...calendarIds.values()], startDate, endDate);
+
+    const rules = new Map();
+    for (const row of owners.rows) {
+      const calendarId = calendarIds.get(row.owner_id) ?? null;
+      rules.set(row.id, this.toWorkingRules(calendars.get(calendarId)));
+    }
+    return rules;
+  }
+
+  /**
+   * Available share of a user's day: 0 on non-working days, holidays and full days off
+   * @returns {{ isWorkingDay, isHoliday, holidayName, isTimeOff, timeOffHours, isAvailable }}
+   */
+  describeDay(schedule, day) {
+    const date = fromDay(day);
+    const { calendar, timeOff } = schedule;
+    const entry = timeOff.get(date);
+    const workingDay = calendar.workingDays.includes(new Date(day * DAY_MS).getUTCDay());
+    const isHoliday = calendar.holidays.has(date);
+
+    return {
+      isWorkingDay: workingDay,
+      isHoliday,
+      holidayName: calendar.holidays.get(date) || null,
+      isTimeOff: !!entry,
+      // null hours means the whole day is off
+      timeOffHours: entry ? entry.hoursPerDay : null,
+      isAvailable: workingDay && !isHoliday && !(entry && entry.hoursPerDay === null)
+    };
+  }
+}
+
+module.exports = WorkingCalendarService;
@@ -0,0 +1,555 @@
+const { query, transaction } = require('../config/database');
+const { invalidatePattern } = require('../config/redis');
+const ResourceHeatmapService = require('./ResourceHeatmapService');
+const AssigneeRecommendationService = require('./AssigneeRecommendationService');
+const NotificationService = require('./NotificationService');
+const { ForbiddenError, ConflictError } = require('../utils/errors');
+const { toDay, isWeekend } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+// Utilization (percent of capacity) everyone should end up under
+const DEFAULT_THRESHOLD = 85;
+
+const MAX_SUGGESTIONS = 50;
+
+// Course roles that can be handed to someone else. Owners and approvers stay put.
+const MOVABLE_COURSE_ROLES = ['designer', 'reviewer', 'sme'];
+
+// Subtasks stay open until completed or signed off
+const OPEN_SUBTASK_SQL = `(cs.completed_at IS NULL AND cs.status NOT IN ('completed', 'final_signoff_received'))`;
+
+// Changes smaller than this (hours) are rounding noise
+const EPSILON = 0.01;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Workload Rebalancing Service
+ * Proposes moving subtask and course assignments between members of a team until everyone is under
+ * a utilization threshold, and applies the accepted moves.
+ *
+ * Load per week is the weekly resource heatmap (course allocations) plus the remaining estimated hours
+ * of open subtasks, spread over the working days of their phase window. The heatmap does not count
+ * subtasks, so without this reassigning them would never show up as a change.
+ */
+class WorkloadRebalancingService {
+  constructor() {
+    this.resourceHeatmapService = new ResourceHeatmapService();
+    this.assigneeRecommendationService = new AssigneeRecommendationService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Suggested reassignments for a team with the heatmap before and after them
+   */
+  async proposeRebalancing({ teamId, startDate, endDate, threshold = DEFAULT_THRESHOLD }) {
+    const members = await this.getTeamMembers(teamId);
+    const state = await this.buildState(members, startDate, endDate, threshold);
+
+    const before = this.describeHeatmap(state);
+    const suggestions = this.optimize(state);
+    const after = this.describeHeatmap(state);
+
+    const unresolved = after.filter(member => member.excessHours > EPSILON);
+
+    return {
+      teamId,
+      threshold,
+      dateRange: { startDate, endDate },
+      weeks: state.weeks,
+      suggestions,
+      before,
+      after,
+      summary: {
+        members: members.length,
+        overloadedBefore: before.filter(member => member.excessHours > EPSILON).length,
+        overloadedAfter: unresolved.length,
+        excessHoursBefore: round(sum(before.map(member => member.excessHours))),
+        excessHoursAfter: round(sum(after.map(member => member.excessHours))),
+        movedHours: round(sum(suggestions.map(suggestion => suggestion.hours))),
+        unresolved: unresolved.map(member => ({
+          userId: member.userId,
+          name: member.name,
+          excessHours: member.excessHours
+        }))
+      }
+    };
+  }
+
+  async getTeamMembers(teamId) {
+    const result = await query(`
+      SELECT u.id, u.name, u.email, u.skills
+      FROM users u
+      WHERE u.active = true AND u.team_id = $1 AND u.role <> 'external_reviewer'
+      ORDER BY u.name
+    `, [teamId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Weekly capacity and load of every member, and the assignments that could be moved
+   */
+  async buildState(members, startDate, endDate, threshold) {
+    const state = { threshold, weeks: [], members: new Map(), items: [] };
+    if (members.length === 0) {
+      return state;
+    }
+
+    const heatmap = await this.resourceHeatmapService.generateHeatmap({
+      startDate,
+      endDate,
+      userIds: members.map(member => member.id),
+      capacityType: 'hours',
+      granularity: 'weekly'
+    });
+
+    state.weeks = [...new Set(heatmap.heatmap.map(entry => entry.date))].sort();
+    const weekIndex = new Map(state.weeks.map((week, index) => [week, index]));
+
+    members.forEach(member => {
+      state.members.set(member.id, {
+        userId: member.id,
+        name: member.name,
+        skills: new Set((member.skills || []).map(skill => skill.trim().toLowerCase())),
+        capacity: state.weeks.map(() => 0),
+        load: state.weeks.map(() => 0)
+      });
+    });
+
+    // Course allocations, as the heatmap counts them
+    const courseItems = new Map();
+    heatmap.heatmap.forEach(entry => {
+      const member = state.members.get(entry.userId);
+      const index = weekIndex.get(entry.date);
+      member.capacity[index] = entry.capacity * entry.workingDays;
+      member.load[index] = entry.allocatedHours * entry.workingDays;
+
+      entry.courses
+        .filter(course => MOVABLE_COURSE_ROLES.includes(course.role) && course.hours > 0)
+        .forEach(course => {
+          const key = `course:${course.id}:${course.role}:${entry.userId}`;
+          if (!courseItems.has(key)) {
+            courseItems.set(key, {
+              type: 'course',
+              courseId: course.id,
+              courseTitle: course.title,
+              role: course.role,
+              userId: entry.userId,
+              requiredSkills: [],
+              weeklyHours: state.weeks.map(() => 0)
+            });
+          }
+          courseItems.get(key).weeklyHours[index] += course.hours * entry.workingDays;
+        });
+    });
+
+    // Remaining estimated subtask hours on top
+    const subtaskItems = await this.getSubtaskItems([...state.members.keys()], state.weeks);
+    subtaskItems.forEach(item => {
+      const member = state.members.get(item.userId);
+      item.weeklyHours.forEach((hours, index) => {
+        member.load[index] += hours;
+      });
+    });
+
+    state.items = [...courseItems.values(), ...subtaskItems]
+      .filter(item => sum(item.weeklyHours) > EPSILON);
+
+    return state;
+  }
+
+  /**
+   * Open estimated subtasks of the members. Hours not logged yet are shared by the subtask's assignees
+   * and spread evenly over the weekdays of the subtask's window (see AssigneeRecommendationService.getWindow).
+   */
+  async getSubtaskItems(userIds, weeks) {
+    if (weeks.length === 0) {
+      return [];
+    }
+
+    const result = await query(`
+      SELECT
+        sa.user_id,
+        cs.id as subtask_id,
+        cs.title as subtask_title,
+        cs.required_skills,
+        c.id as course_id,
+        c.title as course_title,
+        c.due_date,
+        est.estimated_hours,
+        COALESCE(logged.minutes, 0) as logged_minutes,
+        spd.finished_at as phase_finished_at,
+        (SELECT COUNT(*)::int FROM subtask_assignments other WHERE other.subtask_id = cs.id) as assignee_count
+      FROM subtask_assignments sa
+      JOIN course_subtasks cs ON sa.subtask_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      JOIN task_estimates est ON est.task_id = cs.id
+      LEFT JOIN (
+        SELECT task_id, SUM(duration) as minutes
+        FROM time_entries
+        WHERE task_id IS NOT NULL AND duration > 0
+        GROUP BY task_id
+      ) logged ON logged.task_id = cs.id
+      LEFT JOIN subtask_phase_dates spd ON spd.subtask_id = cs.id AND spd.phase_status = cs.status
+      WHERE sa.user_id = ANY($1)
+        AND ${OPEN_SUBTASK_SQL}
+        AND c.status NOT IN ('completed', 'cancelled', 'deleted')
+    `, [userIds]);
+
+    const firstWeek = toDay(weeks[0]);
+
+    return result.rows.map(row => {
+      const remaining = Math.max(0, parseFloat(row.estimated_hours) - parseFloat(row.logged_minutes) / 60);
+      const share = remaining / Math.max(1, row.assignee_count);
+
+      const window = this.assigneeRecommendationService.getWindow(row, null, null);
+      const windowDays = [];
+      for (let day = toDay(window.startDate); day <= toDay(window.endDate); day++) {
+        if (!isWeekend(day)) {
+          windowDays.push(day);
+        }
+      }
+
+      const weeklyHours = weeks.map(() => 0);
+      windowDays.forEach(day => {
+        const index = Math.floor((day - firstWeek) / 7);
+        if (index >= 0 && index < weeks.length) {
+          weeklyHours[index] += share / windowDays.length;
+        }
+      });
+
+      return {
+        type: 'subtask',
+        courseId: row.course_id,
+        courseTitle: row.course_title,
+        subtaskId: row.subtask_id,
+        subtaskTitle: row.subtask_title,
+        userId: row.user_id,
+        requiredSkills: (row.required_skills || []).map(skill => skill.trim().toLowerCase()),
+        weeklyHours
+      };
+    });
+  }
+
+  /**
+   * Hours a member is over the threshold, summed over the weeks
+   */
+  excessHours(state, member, load = member.load) {
+    return sum(load.map((hours, index) =>
+      Math.max(0, hours - member.capacity[index] * state.threshold / 100)
+    ));
+  }
+
+  peakUtilization(member, load = member.load) {
+    return Math.max(0, ...load.map((hours, index) => {
+      if (member.capacity[index] > 0) {
+        return (hours / member.capacity[index]) * 100;
+      }
+      return hours > EPSILON ? Infinity : 0;
+    }));
+  }
+
+  /**
+   * Whether a member can take over an assignment: not on it already, and has the skills it needs
+   */
+  canTake(state, member, item) {
+    const holdsIt = state.items.some(other =>
+      other.userId === member.userId &&
+      other.type === item.type &&
+      other.courseId === item.courseId &&
+      other.subtaskId === item.subtaskId &&
+      other.role === item.role
+    );
+    return !holdsIt && item.requiredSkills.every(skill => member.skills.has(skill));
+  }
+
+  /**
+   * Greedy: repeatedly take the most overloaded member and make the move that removes the most excess
+   * hours without pushing the receiver further over the threshold. Every assignment moves at most once.
+   */
+  optimize(state) {
+    const suggestions = [];
+    const moved = new Set();
+    const stuck = new Set();
+    const members = [...state.members.values()];
+
+    while (suggestions.length < MAX_SUGGESTIONS) {
+      const source = members
+        .filter(member => !stuck.has(member.userId))
+        .map(member => ({ member, excess: this.excessHours(state, member) }))
+        .filter(entry => entry.excess > EPSILON)
+        .sort((a, b) => b.excess - a.excess)[0];
+
+      if (!source) {
+        break;
+      }
+
+      let best = null;
+      state.items
+        .filter(item => item.userId === source.member.userId && !moved.has(item))
+        .forEach(item => {
+          const sourceLoad = source.member.load.map((hours, index) => hours - item.weeklyHours[index]);
+          const sourceExcess = this.excessHours(state, source.member, sourceLoad);
+
+          members
+            .filter(target => target !== source.member && this.canTake(state, target, item))
+            .forEach(target => {
+              const targetLoad = target.load.map((hours, index) => hours + item.weeklyHours[index]);
+              const targetExcessBefore = this.excessHours(state, target);
+              const targetExcess = this.excessHours(state, target, targetLoad);
+              if (targetExcess > targetExcessBefore + EPSILON) {
+                return;
+              }
+
+              const gain = source.excess - sourceExcess;
+              const targetPeak = this.peakUtilization(target, targetLoad);
+              if (gain > EPSILON && (!best || gain > best.gain + EPSILON ||
+                (Math.abs(gain - best.gain) <= EPSILON && targetPeak < best.targetPeak))) {
+                best = { item, target, sourceLoad, targetLoad, gain, targetPeak };
+              }
+            });
+        });
+
+      if (!best) {
+        stuck.add(source.member.userId);
+        continue;
+      }
+
+      suggestions.push(this.describeSuggestion(state, best, source.member));
+
+      source.member.load = best.sourceLoad;
+      best.target.load = best.targetLoad;
+      best.item.userId = best.target.userId;
+      moved.add(best.item);
+    }
+
+    return suggestions;
+  }
+
+  describeSuggestion(state, move, source) {
+    const { item, target, sourceLoad, targetLoad } = move;
+    const hours = round(sum(item.weeklyHours), 1);
+    const formatPeak = (value) => (value === Infinity ? 'unavailable' : `${Math.round(value)}%`);
+    const what = item.type === 'subtask'
+      ? `"${item.subtaskTitle}" on ${item.courseTitle}`
+      : `the ${item.role} role on ${item.courseTitle}`;
+
+    return {
+      id: item.type === 'subtask'
+        ? `subtask:${item.subtaskId}:${source.userId}:${target.userId}`
+        : `course:${item.courseId}:${item.role}:${source.userId}:${target.userId}`,
+      type: item.type,
+      courseId: item.courseId,
+      courseTitle: item.courseTitle,
+      subtaskId: item.subtaskId || null,
+      subtaskTitle: item.subtaskTitle || null,
+      role: item.role || null,
+      fromUserId: source.userId,
+      fromUserName: source.name,
+      toUserId: target.userId,
+      toUserName: target.name,
+      hours,
+      weeklyHours: item.weeklyHours.map(value => round(value)),
+      reason: `Moves ${hours}h of ${what}: ${source.name} peaks at ${formatPeak(this.peakUtilization(source))} → ${formatPeak(this.peakUtilization(source, sourceLoad))}, ` +
+        `${target.name} at ${formatPeak(this.peakUtilization(target))} → ${formatPeak(this.peakUtilization(target, targetLoad))}`
+    };
+  }
+
+  describeHeatmap(state) {
+    return [...state.members.values()].map(member => {
+      const totalCapacity = sum(member.capacity);
+      const totalLoad = sum(member.load);
+      const peak = this.peakUtilization(member);
+
+      return {
+        userId: member.userId,
+        name: member.name,
+        capacityHours: round(totalCapacity),
+        allocatedHours: round(totalLoad),
+        avgUtilization: totalCapacity > 0 ? round((totalLoad / totalCapacity) * 100, 1) : null,
+        peakUtilization: peak === Infinity ? null : round(peak, 1),
+        excessHours: round(this.excessHours(state, member)),
+        weeks: state.weeks.map((week, index) => ({
+          weekStarting: week,
+          capacityHours: round(member.capacity[index]),
+          allocatedHours: round(member.load[index]),
+          utilization: member.capacity[index] > 0
+            ? round((member.load[index] / member.capacity[index]) * 100, 1)
+            : null
+        }))
+      };
+    });
+  }
+
+  /**
+   * Apply accepted suggestions in one transaction and notify the people involved
+   * @param {Array} moves - [{type, courseId, subtaskId, role, fromUserId, toUserId}]
+   */
+  async applyRebalancing(user, moves) {
+    await this.assertCanRebalance(user, moves);
+
+    const applied = await transaction(async (client) => {
+      const results = [];
+
+      for (const move of moves) {
+        const result = move.type === 'subtask'
+          ? await this.moveSubtaskAssignment(client, user, move)
+          : await this.moveCourseAssignment(client, user, move);
+
+        await client.query(`
+          INSERT INTO audit_logs (user_id, entity_type, entity_id, action, changes, created_at)
+          VALUES ($1, $2, $3, 'reassigned', $4, CURRENT_TIMESTAMP)
+        `, [
+          user.id,
+          move.type,
+          move.type === 'subtask' ? move.subtaskId : move.courseId,
+          JSON.stringify({ reason: 'workload_rebalancing', role: move.role || null, from: move.fromUserId, to: move.toUserId })
+        ]);
+
+        results.push(result);
+      }
+
+      return results;
+    });
+
+    await invalidatePattern('resource_heatmap:*');
+    await this.notifyUsers(applied, user);
+
+    return { applied: applied.length, moves: applied };
+  }
+
+  /**
+   * Admins rebalance any team, managers only between members of their own team
+   */
+  async assertCanRebalance(user, moves) {
+    if (user.role === 'admin') {
+      return;
+    }
+
+    if (user.role !== 'manager' || !user.team_id) {
+      throw new ForbiddenError('Only admins and managers can rebalance workload');
+    }
+
+    const userIds = [...new Set(moves.flatMap(move => [move.fromUserId, move.toUserId]))];
+    const result = await query('SELECT id FROM users WHERE id = ANY($1) AND team_id = $2', [userIds, user.team_id]);
+
+    if (result.rows.length !== userIds.length) {
+      throw new ForbiddenError('Managers can only move work between members of their team');
+    }
+  }
+
+  async moveSubtaskAssignment(client, user, move) {
+    const current = await client.query(`
+      SELECT sa.id, cs.title as subtask_title, c.title as course_title
+      FROM subtask_assignments sa
+      JOIN course_subtasks cs ON sa.subtask_id = cs.id
+      JOIN courses c ON cs.course_id = c.id
+      WHERE sa.subtask_id = $1 AND sa.user_id = $2 AND cs.course_id = $3
+      FOR UPDATE OF sa
+    `, [move.subtaskId, move.fromUserId, move.courseId]);
+
+    if (current.rows.length === 0) {
+      throw new ConflictError(`Subtask ${move.subtaskId} is no longer assigned to user ${move.fromUserId}`);
+    }
+
+    await client.query('DELETE FROM subtask_assignments WHERE id = $1', [current.rows[0].id]);
+    await client.query(`
+      INSERT INTO subtask_assignments (subtask_id, user_id, assigned_by, assigned_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (subtask_id, user_id) DO NOTHING
+    `, [move.subtaskId, move.toUserId, user.id]);
+
+    return {
+      ...move,
+      role: null,
+      subtaskTitle: current.rows[0].subtask_title,
+      courseTitle: current.rows[0].course_title
+    };
+  }
+
+  async moveCourseAssignment(client, user, move) {
+    const current = await client.query(`
+      SELECT ca.id, c.title as course_title
+      FROM course_assignments ca
+      JOIN courses c ON ca.course_id = c.id
+      WHERE ca.course_id = $1 AND ca.user_id = $2 AND ca.role = $3
+      FOR UPDATE OF ca
+    `, [move.courseId, move.fromUserId, move.role]);
+
+    if (current.rows.length === 0) {
+      throw new ConflictError(`User ${move.fromUserId} no longer has the ${move.role} role on course ${move.courseId}`);
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM course_assignments WHERE course_id = $1 AND user_id = $2 AND role = $3',
+      [move.courseId, move.toUserId, move.role]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query('DELETE FROM course_assignments WHERE id = $1', [current.rows[0].id]);
+    } else {
+      await client.query(`
+        UPDATE course_assignments
+        SET user_id = $1, assigned_by = $2, assigned_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [move.toUserId, user.id, current.rows[0].id]);
+    }
+
+    return {
+      ...move,
+      subtaskId: null,
+      subtaskTitle: null,
+      courseTitle: current.rows[0].course_title
+    };
+  }
+
+  async notifyUsers(moves, user) {
+    const names = await query('SELECT id, name FROM users WHERE id = ANY($1)', [
+      [...new Set(moves.flatMap(move => [move.fromUserId, move.toUserId]))]
+    ]);
+    const nameOf = new Map(names.rows.map(row => [row.id, row.name]));
+
+    for (const move of moves) {
+      const what = move.type === 'subtask'
+        ? `"${move.subtaskTitle}" on ${move.courseTitle}`
+        : `the ${move.role} role on ${move.courseTitle}`;
+
+      try {
+        await this.notificationService.createNotification({
+          userId: move.toUserId,
+          type: this.notificationService.notificationTypes.ASSIGNMENT_CREATED,
+          title: `You were assigned ${what}`,
+          message: `Handed over from ${nameOf.get(move.fromUserId)} to balance the team's workload`,
+          relatedEntityType: 'course',
+          relatedEntityId: move.courseId,
+          fromUserId: user.id,
+          actionUrl: `/courses/${move.courseId}`
+        }, { skipDuplicateCheck: true });
+
+        await this.notificationService.createNotification({
+          userId: move.fromUserId,
+          type: this.notificationService.notificationTypes.WORKLOAD_REBALANCED,
+          title: `Reassigned ${what}`,
+          message: `Handed to ${nameOf.get(move.toUserId)} to bring your workload under the team's utilization threshold`,
+          relatedEntityType: 'course',
+          relatedEntityId: move.courseId,
+          fromUserId: user.id,
+          actionUrl: `/courses/${move.courseId}`
+        }, { skipDuplicateCheck: true });
+      } catch (error) {
+        logger.logError(error, {
+          context: 'WorkloadRebalancingService.notifyUsers',
+          move
+        });
+      }
+    }
+  }
+}
+
+module.exports = WorkloadRebalancingService;
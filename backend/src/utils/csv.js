@@ -0,0 +1,49 @@
+/**
+ * CSV export helpers
+ */
+
+// Cells starting with these characters are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<{key: string, label: string}>} columns
+ * @param {Array<Object>} rows
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCell(column.label)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send a CSV document as a file download
+ */
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  // BOM so spreadsheet apps detect UTF-8
+  res.send(`\uFEFF${csv}`);
+};
+
+module.exports = {
+  toCsv,
+  sendCsv
+};
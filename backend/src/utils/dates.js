@@ -0,0 +1,83 @@
+/**
+ * Calendar day helpers.
+ * Days are whole days since the epoch so arithmetic ignores time of day, timezones and DST.
+ * pg returns DATE columns as local midnight, so Date objects are read by their local calendar date.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday numbers worked when no working calendar says otherwise (0 = Sunday)
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Day number of a Date or a 'YYYY-MM-DD' / ISO string
+ */
+const toDay = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  }
+  const value = new Date(date);
+  return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS);
+};
+
+/**
+ * 'YYYY-MM-DD' of a day number
+ */
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().split('T')[0];
+
+const toDateString = (date) => fromDay(toDay(date));
+
+const isWeekend = (day) => {
+  const weekday = new Date(day * DAY_MS).getUTCDay();
+  return weekday === 0 || weekday === 6;
+};
+
+/**
+ * @param {Set<string>} holidays - 'YYYY-MM-DD' dates that are not worked
+ * @param {number[]} workingDays - weekday numbers that are worked, from the working calendar
+ */
+const isWorkingDay = (day, holidays = new Set(), workingDays = DEFAULT_WORKING_DAYS) =>
+  workingDays.includes(new Date(day * DAY_MS).getUTCDay()) && !holidays.has(fromDay(day));
+
+/**
+ * Move a day by a number of working days, backwards when negative
+ */
+const addWorkingDays = (day, workingDays, holidays = new Set(), weekdays = DEFAULT_WORKING_DAYS) => {
+  const step = workingDays < 0 ? -1 : 1;
+  let remaining = Math.abs(workingDays);
+  let current = day;
+  while (remaining > 0) {
+    current += step;
+    if (isWorkingDay(current, holidays, weekdays)) {
+      remaining--;
+    }
+  }
+  return current;
+};
+
+/**
+ * Working days from one day to another, negative when the second is earlier
+ */
+const countWorkingDays = (fromDayNumber, toDayNumber, holidays = new Set(), weekdays = DEFAULT_WORKING_DAYS) => {
+  const step = toDayNumber < fromDayNumber ? -1 : 1;
+  let count = 0;
+  for (let current = fromDayNumber; current !== toDayNumber;) {
+    current += step;
+    if (isWorkingDay(current, holidays, weekdays)) {
+      count += step;
+    }
+  }
+  return count;
+};
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_WORKING_DAYS,
+  toDay,
+  fromDay,
+  toDateString,
+  isWeekend,
+  isWorkingDay,
+  addWorkingDays,
+  countWorkingDays
+};
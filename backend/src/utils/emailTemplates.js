@@ -0,0 +1,232 @@
+/**
+ * Email templates for notifications and digests
+ * Every template returns { subject, html, text }
+ */
+
+const APP_NAME = process.env.FROM_NAME || 'TrainingPulse';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Absolute link into the web app for a notification action url
+const appLink = (actionUrl) => {
+  if (!actionUrl) {
+    return null;
+  }
+  if (/^https?:\/\//.test(actionUrl)) {
+    return actionUrl;
+  }
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${actionUrl.startsWith('/') ? '' : '/'}${actionUrl}`;
+};
+
+// Heading and call to action per notification type
+const TYPE_TEMPLATES = {
+  course_overdue: { heading: 'Course overdue', action: 'Open course' },
+  review_requested: { heading: 'Review requested', action: 'Start review' },
+  workflow_transition: { heading: 'Workflow update', action: 'View course' },
+  assignment_created: { heading: 'New assignment', action: 'View assignment' },
+  deadline_approaching: { heading: 'Deadline approaching', action: 'View course' },
+  bottleneck_detected: { heading: 'Bottleneck detected', action: 'View details' },
+  bulk_operation_complete: { heading: 'Bulk operation complete', action: 'View results' },
+  status_change: { heading: 'Status changed', action: 'View course' },
+  dependency_conflict: { heading: 'Dependency conflict', action: 'Resolve conflict' },
+  comment_mention: { heading: 'You were mentioned', action: 'View comment' },
+  timesheet_submitted: { heading: 'Timesheet awaiting approval', action: 'Review timesheet' },
+  timesheet_reviewed: { heading: 'Timesheet reviewed', action: 'View timesheet' },
+  automation_rule: { heading: 'Automation rule', action: 'View course' },
+  review_comment: { heading: 'Reviewer comment', action: 'View course' },
+  review_signoff: { heading: 'Sign-off received', action: 'View course' },
+  time_off_requested: { heading: 'Time off awaiting approval', action: 'Review request' },
+  time_off_reviewed: { heading: 'Time off reviewed', action: 'View time off' },
+  workload_rebalanced: { heading: 'Work reassigned', action: 'View course' }
+};
+
+const DEFAULT_TEMPLATE = { heading: 'Notification', action: 'Open TrainingPulse' };
+
+const NOTIFICATION_FOOTER = 'You can change how often you receive these emails in your notification settings.';
+
+const layout = (title, body, footer = NOTIFICATION_FOOTER) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;">
+      <tr>
+        <td style="padding:20px 24px;border-bottom:1px solid #e5e7eb;font-size:18px;font-weight:bold;color:#2563eb;">
+          ${escapeHtml(APP_NAME)}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:24px;">
+          <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+          ${body}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">
+          ${escapeHtml(footer)}
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const button = (url, label) => url
+  ? `<p style="margin:24px 0 0;"><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a></p>`
+  : '';
+
+/**
+ * Single notification email
+ */
+const renderNotificationEmail = (notification) => {
+  const template = TYPE_TEMPLATES[notification.type] || DEFAULT_TEMPLATE;
+  const url = appLink(notification.action_url);
+  const urgent = notification.priority === 'urgent' || notification.priority === 'high';
+
+  const html = layout(template.heading, `
+          <p style="margin:0 0 8px;font-weight:bold;">${escapeHtml(notification.title)}</p>
+          ${notification.message ? `<p style="margin:0;white-space:pre-line;">${escapeHtml(notification.message)}</p>` : ''}
+          ${notification.from_user_name ? `<p style="margin:16px 0 0;font-size:13px;color:#6b7280;">From ${escapeHtml(notification.from_user_name)}</p>` : ''}
+          ${button(url, template.action)}`);
+
+  const text = [
+    template.heading,
+    '',
+    notification.title,
+    notification.message || null,
+    notification.from_user_name ? `From ${notification.from_user_name}` : null,
+    url ? `${template.action}: ${url}` : null
+  ].filter(line => line !== null).join('\n');
+
+  return {
+    subject: `${urgent ? '[Urgent] ' : ''}${notification.title}`,
+    html,
+    text
+  };
+};
+
+// Digest sections in display order
+const DIGEST_SECTIONS = [
+  { key: 'urgent', title: 'Urgent' },
+  { key: 'reviewsNeeded', title: 'Reviews needed' },
+  { key: 'deadlines', title: 'Deadlines' },
+  { key: 'bottlenecks', title: 'Bottlenecks' },
+  { key: 'updates', title: 'Updates' },
+  { key: 'general', title: 'Other notifications' }
+];
+
+const DIGEST_SUBJECTS = {
+  hourly: 'Your hourly TrainingPulse summary',
+  daily: 'Your daily TrainingPulse digest',
+  weekly: 'Your weekly TrainingPulse digest'
+};
+
+/**
+ * Digest email built from NotificationService.generateDigest output
+ */
+const renderDigestEmail = (digest, user) => {
+  const sections = DIGEST_SECTIONS
+    .map(section => ({ ...section, items: digest[section.key] || [] }))
+    .filter(section => section.items.length > 0);
+
+  const htmlSections = sections.map(section => `
+          <h2 style="margin:24px 0 8px;font-size:16px;">${escapeHtml(section.title)} (${section.items.length})</h2>
+          <ul style="margin:0;padding-left:20px;">
+            ${section.items.map(item => {
+              const url = appLink(item.actionUrl);
+              const title = url
+                ? `<a href="${escapeHtml(url)}" style="color:#2563eb;">${escapeHtml(item.title)}</a>`
+                : escapeHtml(item.title);
+              return `<li style="margin-bottom:8px;">${title}${item.message ? `<br><span style="font-size:13px;color:#4b5563;">${escapeHtml(item.message)}</span>` : ''}</li>`;
+            }).join('\n            ')}
+          </ul>`).join('');
+
+  const textSections = sections.map(section => [
+    `${section.title} (${section.items.length})`,
+    ...section.items.map(item => {
+      const url = appLink(item.actionUrl);
+      return `- ${item.title}${url ? ` (${url})` : ''}`;
+    })
+  ].join('\n'));
+
+  const greeting = user?.name ? `Hi ${user.name},` : 'Hi,';
+
+  return {
+    subject: DIGEST_SUBJECTS[digest.digestType] || DIGEST_SUBJECTS.daily,
+    html: layout('Notification digest', `
+          <p style="margin:0 0 8px;">${escapeHtml(greeting)}</p>
+          <p style="margin:0;">${escapeHtml(digest.summary)}</p>
+          ${htmlSections}
+          ${button(appLink('/notifications'), 'Open notifications')}`),
+    text: [greeting, '', digest.summary, '', ...textSections, '', `Open notifications: ${appLink('/notifications')}`].join('\n')
+  };
+};
+
+/**
+ * Sign-in link for an external reviewer of the review portal
+ */
+const renderReviewLinkEmail = ({ reviewer, url, expiresAt, courses = [], invitedBy = null }) => {
+  const greeting = reviewer?.name ? `Hi ${reviewer.name},` : 'Hi,';
+  const intro = invitedBy
+    ? `${invitedBy} invited you to review courses in ${APP_NAME}.`
+    : `Here is your link to the ${APP_NAME} review portal.`;
+  const expiry = `The link can be used once and expires on ${new Date(expiresAt).toUTCString()}.`;
+
+  return {
+    subject: `Your ${APP_NAME} review link`,
+    html: layout('Review portal', `
+          <p style="margin:0 0 8px;">${escapeHtml(greeting)}</p>
+          <p style="margin:0;">${escapeHtml(intro)}</p>
+          ${courses.length > 0 ? `<ul style="margin:16px 0 0;padding-left:20px;">${courses.map(course => `<li>${escapeHtml(course.title)}</li>`).join('')}</ul>` : ''}
+          ${button(url, 'Open review portal')}
+          <p style="margin:16px 0 0;font-size:13px;color:#6b7280;">${escapeHtml(expiry)}</p>`,
+    'You received this email because you were added as a reviewer. You can ask for a new link on the review portal sign-in page.'),
+    text: [
+      greeting,
+      '',
+      intro,
+      ...courses.map(course => `- ${course.title}`),
+      '',
+      `Open review portal: ${url}`,
+      expiry
+    ].join('\n')
+  };
+};
+
+/**
+ * Scheduled report, the rendered file goes along as an attachment
+ */
+const renderReportEmail = ({ subscription, report, fileName }) => {
+  const intro = `Your scheduled ${report.title.toLowerCase()} report for ${report.scope} is attached as ${fileName}.`;
+  const link = appLink('/analytics');
+
+  return {
+    subject: `${subscription.name} - ${report.generatedOn}`,
+    html: layout(report.title, `
+          <p style="margin:0;">${escapeHtml(intro)}</p>
+          ${report.summary.length > 0 ? `<table style="margin:16px 0 0;border-collapse:collapse;font-size:14px;">${report.summary.map(line => `
+            <tr><td style="padding:2px 16px 2px 0;color:#6b7280;">${escapeHtml(line.label)}</td><td style="padding:2px 0;">${escapeHtml(line.value)}</td></tr>`).join('')}
+          </table>` : ''}
+          ${button(link, 'Open analytics')}`,
+    'You received this email because you are a recipient of a scheduled report. Its owner can remove you in the analytics report settings.'),
+    text: [
+      intro,
+      '',
+      ...report.summary.map(line => `${line.label}: ${line.value}`),
+      '',
+      `Open analytics: ${link}`
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  renderNotificationEmail,
+  renderDigestEmail,
+  renderReviewLinkEmail,
+  renderReportEmail,
+  escapeHtml,
+  appLink
+};
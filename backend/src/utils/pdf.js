@@ -0,0 +1,156 @@
+/**
+ * Minimal PDF writer for generated documents (invoice drafts, reports)
+ * Supports text in the standard Helvetica and Courier fonts, lines and automatic page breaks.
+ * Text is encoded as WinAnsi, characters outside Latin-1 are replaced by '?'.
+ */
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { name: 'F3', baseFont: 'Courier' }
+};
+
+// Helvetica glyph widths (1/1000 em) of characters common in amounts and dates,
+// other characters use an average width, which is close enough for layout
+const HELVETICA_WIDTHS = {
+  ' ': 278, '.': 278, ',': 278, ':': 278, '-': 333, '/': 278, '(': 333, ')': 333, '%': 889, '$': 556,
+  i: 222, l: 222, j: 222, t: 278, f: 278, r: 333, m: 833, w: 722, I: 278, M: 833, W: 944
+};
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\xFF]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/([\\()])/g, '\\$1');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PdfDocument {
+  constructor(options = {}) {
+    this.width = options.width || A4.width;
+    this.height = options.height || A4.height;
+    this.margin = options.margin || 50;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = this.height - this.margin;
+    return this;
+  }
+
+  /**
+   * Width of a text in points
+   */
+  textWidth(text, size = 10, font = 'regular') {
+    const value = toLatin1(text);
+    if (font === 'mono') {
+      return value.length * 600 * size / 1000;
+    }
+
+    let units = 0;
+    for (const char of value) {
+      units += HELVETICA_WIDTHS[char] || (/[A-Z]/.test(char) ? 667 : 556);
+    }
+    return units * size / 1000;
+  }
+
+  /**
+   * Start a new page when less than `height` points are left
+   */
+  ensureSpace(height) {
+    if (this.y - height < this.margin) {
+      this.addPage();
+    }
+    return this;
+  }
+
+  /**
+   * Draw text on the current line
+   * @param {string} text
+   * @param {Object} options - x, size, font (regular|bold|mono), align (left|right), maxWidth
+   */
+  text(text, options = {}) {
+    const { size = 10, font = 'regular', align = 'left' } = options;
+    let value = toLatin1(text);
+
+    if (options.maxWidth && this.textWidth(value, size, font) > options.maxWidth) {
+      while (value.length > 1 && this.textWidth(`${value}...`, size, font) > options.maxWidth) {
+        value = value.substring(0, value.length - 1);
+      }
+      value = `${value.trimEnd()}...`;
+    }
+
+    const x = options.x ?? this.margin;
+    const left = align === 'right' ? x - this.textWidth(value, size, font) : x;
+
+    this.current.push(`BT /${FONTS[font].name} ${size} Tf ${round(left)} ${round(this.y)} Td (${escapeText(value)}) Tj ET`);
+    return this;
+  }
+
+  /**
+   * Move the cursor down by a number of points
+   */
+  moveDown(points = 14) {
+    this.y -= points;
+    return this;
+  }
+
+  /**
+   * Horizontal rule at the current line
+   */
+  rule(options = {}) {
+    const x1 = options.x1 ?? this.margin;
+    const x2 = options.x2 ?? this.width - this.margin;
+    const y = round(this.y);
+    this.current.push(`${options.width || 0.5} w ${round(x1)} ${y} m ${round(x2)} ${y} l S`);
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontRefs = Object.values(FONTS)
+      .map(font => `/${font.name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << ${fontRefs} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument
+};
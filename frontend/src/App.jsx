@@ -4,6 +4,7 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './hooks/useAuth.jsx';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { CompactModeProvider } from './contexts/CompactModeContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import { AppShell } from './components/layout/AppShell';
 import { LoginPage } from './pages/LoginPage';
 import { DashboardPage } from './pages/DashboardPage';
@@ -32,7 +33,14 @@ import ProgramsPage from './pages/ProgramsPage';
 import ProgramDetailPage from './pages/ProgramDetailPage';
 import ProgramSettingsPage from './pages/ProgramSettingsPage';
 // import ResourceManagementPage from './pages/ResourceManagementPage';
-// import ChatPage from './pages/ChatPage';
+import ChatPage from './pages/ChatPage';
+import TimesheetsPage from './pages/TimesheetsPage';
+import TimeOffPage from './pages/TimeOffPage';
+import BillingPage from './pages/BillingPage';
+import TimelinePage from './pages/TimelinePage';
+import BoardPage from './pages/BoardPage';
+import CalendarPage from './pages/CalendarPage';
+import ReviewPortalPage from './pages/ReviewPortalPage';
 // import CustomDashboardPage from './pages/CustomDashboardPage';
 // import AIInsightsPage from './pages/AIInsightsPage';
 import CoursesPageNew from './pages/CoursesPageNew';
@@ -91,6 +99,7 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <Router>
         <AuthProvider>
+          <RealtimeProvider>
           <ThemeProvider>
             <CompactModeProvider>
               <div className="App">
@@ -105,6 +114,9 @@ function App() {
                     }
                   />
 
+                  {/* Review portal for external reviewers, it has its own sessions */}
+                  <Route path="/review/*" element={<ReviewPortalPage />} />
+
                   {/* Protected routes */}
                   <Route
                     path="/"
@@ -137,7 +149,13 @@ function App() {
                     <Route path="bulk" element={<DataManagementPage />} />
                     <Route path="notifications" element={<NotificationsPage />} />
                     {/* <Route path="resources" element={<ResourceManagementPage />} /> */}
-                    {/* <Route path="chat" element={<ChatPage />} /> */}
+                    <Route path="chat" element={<ChatPage />} />
+                    <Route path="timesheets" element={<TimesheetsPage />} />
+                    <Route path="time-off" element={<TimeOffPage />} />
+                    <Route path="billing" element={<BillingPage />} />
+                    <Route path="timeline" element={<TimelinePage />} />
+                    <Route path="board" element={<BoardPage />} />
+                    <Route path="calendar" element={<CalendarPage />} />
                     {/* <Route path="custom-dashboard" element={<CustomDashboardPage />} /> */}
                     {/* <Route path="ai-insights" element={<AIInsightsPage />} /> */}
                     {/* <Route path="features" element={<FeaturesShowcasePage />} /> */}
@@ -180,6 +198,7 @@ function App() {
               </div>
             </CompactModeProvider>
           </ThemeProvider>
+          </RealtimeProvider>
         </AuthProvider>
       </Router>
     </QueryClientProvider>
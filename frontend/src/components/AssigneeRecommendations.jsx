@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Sparkles } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { courses } from '../lib/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const scoreClass = (score) => {
+  if (score >= 70) return 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400';
+  if (score >= 40) return 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400';
+  return 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300';
+};
+
+const parseSkills = (value) =>
+  value.split(',').map(skill => skill.trim()).filter(Boolean);
+
+// Ranked assignee suggestions for a subtask, from skills, free capacity, workload and past cycle time
+export const AssigneeRecommendations = ({ courseId, subtaskId, requiredSkills = [], selectedIds = [], onToggle, limit = 5 }) => {
+  const queryClient = useQueryClient();
+  const [skillsInput, setSkillsInput] = useState((requiredSkills || []).join(', '));
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['assignee-recommendations', courseId, subtaskId, limit],
+    queryFn: () => courses.getAssigneeRecommendations(courseId, subtaskId, { limit }),
+    enabled: !!courseId && !!subtaskId,
+  });
+
+  const recommendations = data?.data?.data;
+  const candidates = recommendations?.candidates || [];
+
+  const skillsMutation = useMutation({
+    mutationFn: (skills) => courses.updateSubtask(courseId, subtaskId, { requiredSkills: skills }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['assignee-recommendations', courseId, subtaskId] });
+      queryClient.invalidateQueries({ queryKey: ['course', courseId] });
+      toast.success('Required skills saved');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save required skills')),
+  });
+
+  const handleSkillsSave = () => {
+    const skills = parseSkills(skillsInput);
+    if (skills.join(',') === (requiredSkills || []).join(',')) return;
+    skillsMutation.mutate(skills);
+  };
+
+  return (
+    <div className="mb-2 pb-2 border-b border-gray-200 dark:border-gray-600" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center gap-1 mb-1 text-gray-700 dark:text-gray-300 font-medium">
+        <Sparkles className="h-3 w-3 text-purple-500" />
+        Suggested
+      </div>
+      <input
+        type="text"
+        value={skillsInput}
+        onChange={(e) => setSkillsInput(e.target.value)}
+        onBlur={handleSkillsSave}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handleSkillsSave();
+          }
+        }}
+        placeholder="Required skills, comma separated"
+        disabled={skillsMutation.isPending}
+        className="w-full mb-1 px-1 py-0.5 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+      />
+
+      {isLoading ? (
+        <div className="text-gray-500 dark:text-gray-400 p-1">Finding candidates...</div>
+      ) : error ? (
+        <div className="text-red-600 dark:text-red-400 p-1">{getErrorMessage(error, 'Could not load suggestions')}</div>
+      ) : candidates.length === 0 ? (
+        <div className="text-gray-500 dark:text-gray-400 p-1">No candidates</div>
+      ) : (
+        <div className="space-y-0.5">
+          {candidates.map(candidate => {
+            const isSelected = selectedIds.includes(candidate.userId);
+            return (
+              <button
+                key={candidate.userId}
+                type="button"
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  onToggle?.(candidate.userId);
+                }}
+                title={candidate.explanation.join('\n')}
+                className={`w-full text-left p-1 rounded hover:bg-gray-50 dark:hover:bg-gray-600 ${
+                  isSelected ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                }`}
+              >
+                <div className="flex items-center justify-between gap-1">
+                  <span className="truncate text-gray-900 dark:text-white">
+                    {candidate.rank}. {candidate.name}
+                  </span>
+                  <span className={`px-1 rounded text-[10px] font-medium ${scoreClass(candidate.score)}`}>
+                    {candidate.score}
+                  </span>
+                </div>
+                <div className="truncate text-[10px] text-gray-500 dark:text-gray-400">
+                  {candidate.explanation[candidate.isAssigned ? 1 : 0]}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssigneeRecommendations;
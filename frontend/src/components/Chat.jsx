@@ -31,7 +31,9 @@ import {
   Clock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { users } from '../lib/api';
+import { chats, messages, attachments } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { useRealtime, useRealtimeChannel } from '../contexts/RealtimeContext';
 import { formatDate, formatRelativeTime } from '../lib/utils';
 
 // Chat Types
@@ -61,15 +63,25 @@ export const Chat = ({
   const [selectedChatId, setSelectedChatId] = useState(defaultChatId);
   const [showChatInfo, setShowChatInfo] = useState(false);
   const [showNewChatModal, setShowNewChatModal] = useState(false);
+  const { user } = useAuth();
+
+  // New messages, edits and read receipts are pushed to the user's realtime channel
+  const realtimeConnected = useRealtimeChannel(user?.id ? `user:${user.id}` : null, (event, data) => {
+    if (!event.startsWith('chat_')) return;
+    queryClient.invalidateQueries({ queryKey: ['chats'] });
+    if (data?.chatId) {
+      queryClient.invalidateQueries({ queryKey: ['messages', data.chatId] });
+    }
+  });
 
   // Fetch chats list
   const { data: chatsData } = useQuery({
     queryKey: ['chats'],
     queryFn: () => chats.getAll(),
-    refetchInterval: 30000, // Refresh every 30 seconds
+    refetchInterval: realtimeConnected ? false : 30000, // Poll every 30 seconds while the stream is down
   });
 
-  const chatsList = chatsData?.data || [];
+  const chatsList = chatsData?.data?.data || [];
   const selectedChat = chatsList.find(chat => chat.id === selectedChatId);
 
   useEffect(() => {
@@ -130,7 +142,13 @@ export const Chat = ({
 
       {/* New Chat Modal */}
       {showNewChatModal && (
-        <NewChatModal onClose={() => setShowNewChatModal(false)} />
+        <NewChatModal
+          onClose={() => setShowNewChatModal(false)}
+          onCreated={(chat) => {
+            setSelectedChatId(chat.id);
+            setShowNewChatModal(false);
+          }}
+        />
       )}
     </div>
   );
@@ -393,6 +411,7 @@ const ChatHeader = ({ chat, onShowInfo }) => {
 // Chat Header Menu
 const ChatHeaderMenu = ({ chat, onClose }) => {
   const queryClient = useQueryClient();
+  const { user } = useAuth();
 
   const updateChatMutation = useMutation({
     mutationFn: ({ id, data }) => chats.update(id, data),
@@ -402,6 +421,18 @@ const ChatHeaderMenu = ({ chat, onClose }) => {
     },
   });
 
+  const leaveChatMutation = useMutation({
+    mutationFn: () => chats.removeParticipant(chat.id, user.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['chats'] });
+      onClose();
+      toast.success('You left the conversation');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to leave conversation');
+    },
+  });
+
   const handleMute = () => {
     updateChatMutation.mutate({
       id: chat.id,
@@ -409,6 +440,12 @@ const ChatHeaderMenu = ({ chat, onClose }) => {
     });
   };
 
+  const handleLeave = () => {
+    if (window.confirm(`Leave "${chat.name}"?`)) {
+      leaveChatMutation.mutate();
+    }
+  };
+
   const menuItems = [
     {
       icon: chat.is_muted ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />,
@@ -417,21 +454,22 @@ const ChatHeaderMenu = ({ chat, onClose }) => {
     },
     {
       icon: <Pin className="w-4 h-4" />,
-      label: 'Pin to top',
-      onClick: () => {}
+      label: chat.is_pinned ? 'Unpin' : 'Pin to top',
+      onClick: () => updateChatMutation.mutate({ id: chat.id, data: { is_pinned: !chat.is_pinned } })
     },
     {
       icon: <Archive className="w-4 h-4" />,
-      label: 'Archive',
-      onClick: () => {}
+      label: chat.is_archived ? 'Unarchive' : 'Archive',
+      onClick: () => updateChatMutation.mutate({ id: chat.id, data: { is_archived: !chat.is_archived } })
     },
-    {
+    // Direct chats can only be archived
+    chat.type !== CHAT_TYPES.DIRECT && {
       icon: <Trash2 className="w-4 h-4" />,
-      label: 'Delete',
-      onClick: () => {},
+      label: 'Leave',
+      onClick: handleLeave,
       destructive: true
     }
-  ];
+  ].filter(Boolean);
 
   return (
     <div className="py-1">
@@ -457,22 +495,35 @@ const ChatHeaderMenu = ({ chat, onClose }) => {
 const ChatMessages = ({ chatId }) => {
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const { connected } = useRealtime();
 
   // Fetch messages
   const { data: messagesData, isLoading } = useQuery({
     queryKey: ['messages', chatId],
     queryFn: () => messages.getByChatId(chatId),
     enabled: !!chatId,
-    refetchInterval: 5000, // Refresh every 5 seconds
+    refetchInterval: connected ? false : 5000, // Poll every 5 seconds while the stream is down
   });
 
-  const messagesList = messagesData?.data || [];
+  const messagesList = messagesData?.data?.data || [];
+  const lastMessageId = messagesList[messagesList.length - 1]?.id;
 
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messagesList]);
 
+  // Mark the conversation as read up to the newest message shown
+  useEffect(() => {
+    if (chatId && lastMessageId) {
+      chats.markAsRead(chatId, lastMessageId)
+        .then(() => queryClient.invalidateQueries({ queryKey: ['chats'] }))
+        .catch(() => {});
+    }
+  }, [chatId, lastMessageId, queryClient]);
+
   // Group messages by date
   const groupedMessages = messagesList.reduce((groups, message) => {
     const date = new Date(message.created_at).toDateString();
@@ -527,6 +578,7 @@ const ChatMessages = ({ chatId }) => {
                 key={message.id}
                 message={message}
                 isConsecutive={isConsecutive}
+                isOwn={message.sender_id === user?.id}
               />
             );
           })}
@@ -539,10 +591,30 @@ const ChatMessages = ({ chatId }) => {
 };
 
 // Message Item
-const MessageItem = ({ message, isConsecutive }) => {
+const MessageItem = ({ message, isConsecutive, isOwn }) => {
+  const queryClient = useQueryClient();
   const [showMenu, setShowMenu] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
 
+  const deleteMessageMutation = useMutation({
+    mutationFn: () => messages.delete(message.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['messages', message.chat_id] });
+      queryClient.invalidateQueries({ queryKey: ['chats'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete message');
+    },
+  });
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this message?')) {
+      deleteMessageMutation.mutate();
+    }
+  };
+
+  const readByNames = (message.read_by || []).map(reader => reader.name).join(', ');
+
   const getMessageStatus = () => {
     switch (message.status) {
       case MESSAGE_STATUS.SENDING:
@@ -604,18 +676,19 @@ const MessageItem = ({ message, isConsecutive }) => {
             </div>
             
             {/* Message actions */}
-            {showMenu && !isEditing && (
+            {showMenu && !isEditing && isOwn && !message.is_deleted && (
               <div className="flex items-center space-x-1 ml-2">
-                <button className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded">
-                  <Reply className="w-3 h-3" />
-                </button>
                 <button 
                   onClick={() => setIsEditing(true)}
                   className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded"
                 >
                   <Edit className="w-3 h-3" />
                 </button>
-                <button className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded">
+                <button
+                  onClick={handleDelete}
+                  disabled={deleteMessageMutation.isPending}
+                  className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                >
                   <Trash2 className="w-3 h-3" />
                 </button>
               </div>
@@ -625,11 +698,14 @@ const MessageItem = ({ message, isConsecutive }) => {
           {/* Message status */}
           <div className="flex items-center justify-between mt-1">
             <div className="flex items-center space-x-1">
-              {message.edited_at && (
+              {message.edited_at && !message.is_deleted && (
                 <span className="text-xs text-gray-400">(edited)</span>
               )}
             </div>
-            <div className="flex items-center space-x-1">
+            <div
+              className="flex items-center space-x-1"
+              title={readByNames ? `Read by ${readByNames}` : undefined}
+            >
               {getMessageStatus()}
             </div>
           </div>
@@ -641,6 +717,14 @@ const MessageItem = ({ message, isConsecutive }) => {
 
 // Message Content
 const MessageContent = ({ message }) => {
+  if (message.is_deleted) {
+    return (
+      <p className="text-sm italic text-gray-400 dark:text-gray-500">
+        This message was deleted
+      </p>
+    );
+  }
+
   if (message.attachments && message.attachments.length > 0) {
     return (
       <div className="space-y-2">
@@ -662,20 +746,38 @@ const MessageContent = ({ message }) => {
 };
 
 // Message Attachments
-const MessageAttachments = ({ attachments }) => {
+const MessageAttachments = ({ attachments: files }) => {
+  const handleDownload = async (file) => {
+    try {
+      const response = await attachments.download(file.id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.original_name;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download file');
+    }
+  };
+
   return (
     <div className="space-y-2">
-      {attachments.map((attachment) => (
-        <div key={attachment.id} className="flex items-center space-x-2 p-2 bg-gray-100 dark:bg-gray-800 rounded">
-          {attachment.type?.startsWith('image/') ? (
+      {files.map((attachment) => (
+        <button
+          key={attachment.id}
+          onClick={() => handleDownload(attachment)}
+          className="flex items-center space-x-2 p-2 bg-gray-100 dark:bg-gray-800 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+        >
+          {attachment.mime_type?.startsWith('image/') ? (
             <Image className="w-4 h-4 text-gray-500" />
           ) : (
             <File className="w-4 h-4 text-gray-500" />
           )}
           <span className="text-sm text-gray-700 dark:text-gray-300">
-            {attachment.filename}
+            {attachment.original_name}
           </span>
-        </div>
+        </button>
       ))}
     </div>
   );
@@ -749,7 +851,10 @@ const ChatInput = ({ chatId }) => {
   const queryClient = useQueryClient();
   const [message, setMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const sendMessageMutation = useMutation({
     mutationFn: messages.create,
@@ -757,18 +862,46 @@ const ChatInput = ({ chatId }) => {
       queryClient.invalidateQueries(['messages', chatId]);
       queryClient.invalidateQueries(['chats']);
       setMessage('');
+      setPendingFiles([]);
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to send message');
+      toast.error(error.response?.data?.error?.message || 'Failed to send message');
     },
   });
 
+  // Files are uploaded to the chat and attached to the message when it is sent
+  const handleFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    try {
+      for (const file of files) {
+        const response = await attachments.upload('chat', chatId, file);
+        setPendingFiles(prev => [...prev, response.data.data]);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to upload file');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRemoveFile = (file) => {
+    setPendingFiles(prev => prev.filter(pending => pending.id !== file.id));
+    attachments.delete(file.id).catch(() => {});
+  };
+
+  const canSend = (message.trim() || pendingFiles.length > 0) && !isUploading;
+
   const handleSend = () => {
-    if (message.trim() && chatId) {
+    if (canSend && chatId) {
       sendMessageMutation.mutate({
         chat_id: chatId,
         content: message.trim(),
-        type: 'text'
+        type: 'text',
+        attachments: pendingFiles.map(file => file.id)
       });
     }
   };
@@ -790,6 +923,22 @@ const ChatInput = ({ chatId }) => {
 
   return (
     <div className="p-4 border-t border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+      {pendingFiles.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {pendingFiles.map((file) => (
+            <span
+              key={file.id}
+              className="inline-flex items-center space-x-1 px-2 py-1 bg-gray-100 dark:bg-gray-700 rounded text-xs text-gray-700 dark:text-gray-300"
+            >
+              <File className="w-3 h-3" />
+              <span>{file.original_name}</span>
+              <button onClick={() => handleRemoveFile(file)} className="text-gray-400 hover:text-red-500">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
       <div className="flex items-end space-x-3">
         <div className="flex-1">
           <div className="relative">
@@ -804,7 +953,18 @@ const ChatInput = ({ chatId }) => {
             />
             
             <div className="absolute right-2 bottom-2 flex items-center space-x-1">
-              <button className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded">
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                onChange={handleFileSelect}
+                className="hidden"
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isUploading}
+                className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded disabled:opacity-50"
+              >
                 <Paperclip className="w-4 h-4" />
               </button>
               <button className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded">
@@ -816,7 +976,7 @@ const ChatInput = ({ chatId }) => {
         
         <button
           onClick={handleSend}
-          disabled={!message.trim() || sendMessageMutation.isPending}
+          disabled={!canSend || sendMessageMutation.isPending}
           className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <Send className="w-5 h-5" />
@@ -916,17 +1076,34 @@ const ChatInfo = ({ chat, onClose }) => {
 };
 
 // New Chat Modal
-const NewChatModal = ({ onClose }) => {
+const NewChatModal = ({ onClose, onCreated }) => {
+  const queryClient = useQueryClient();
   const [chatType, setChatType] = useState(CHAT_TYPES.DIRECT);
   const [selectedUsers, setSelectedUsers] = useState([]);
   const [chatName, setChatName] = useState('');
+  const [userSearch, setUserSearch] = useState('');
 
   const { data: usersData } = useQuery({
-    queryKey: ['users'],
-    queryFn: () => users.getAll(),
+    queryKey: ['chatUsers', userSearch],
+    queryFn: () => chats.searchUsers(userSearch),
   });
 
-  const usersList = usersData?.data || [];
+  const usersList = usersData?.data?.data || [];
+
+  const createChatMutation = useMutation({
+    mutationFn: () => chats.create({
+      type: chatType,
+      name: chatType === CHAT_TYPES.DIRECT ? undefined : chatName.trim(),
+      participantIds: selectedUsers
+    }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['chats'] });
+      onCreated(response.data.data);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to create conversation');
+    },
+  });
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -980,6 +1157,13 @@ const NewChatModal = ({ onClose }) => {
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {chatType === CHAT_TYPES.DIRECT ? 'Select user' : 'Add members'}
           </label>
+          <input
+            type="text"
+            value={userSearch}
+            onChange={(e) => setUserSearch(e.target.value)}
+            placeholder="Search people..."
+            className="w-full mb-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          />
           <div className="space-y-2 max-h-40 overflow-y-auto">
             {usersList.map((user) => (
               <label key={user.id} className="flex items-center space-x-3">
@@ -1004,7 +1188,7 @@ const NewChatModal = ({ onClose }) => {
                   <User className="w-4 h-4 text-gray-600 dark:text-gray-400" />
                 </div>
                 <span className="text-sm text-gray-900 dark:text-white">
-                  {user.full_name}
+                  {user.name}
                 </span>
               </label>
             ))}
@@ -1019,7 +1203,8 @@ const NewChatModal = ({ onClose }) => {
             Cancel
           </button>
           <button
-            disabled={selectedUsers.length === 0 || (chatType !== CHAT_TYPES.DIRECT && !chatName)}
+            onClick={() => createChatMutation.mutate()}
+            disabled={selectedUsers.length === 0 || (chatType !== CHAT_TYPES.DIRECT && !chatName.trim()) || createChatMutation.isPending}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
           >
             Create Chat
@@ -14,7 +14,7 @@ import {
   AtSign
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { comments, users } from '../lib/api';
+import { comments } from '../lib/api';
 import { formatDate } from '../lib/utils';
 
 // Main Comments Component
@@ -30,20 +30,9 @@ export const Comments = ({ entityType, entityId, className = '' }) => {
     enabled: !!(entityType && entityId),
   });
 
-  // Fetch users for mentions
-  const { data: usersData } = useQuery({
-    queryKey: ['users'],
-    queryFn: () => users.getAll(),
-  });
-
   const commentsList = Array.isArray(commentsData?.data?.data) ? commentsData.data.data : 
                       Array.isArray(commentsData?.data) ? commentsData.data : 
                       Array.isArray(commentsData) ? commentsData : [];
-  const usersList = Array.isArray(usersData?.data?.data?.users) ? usersData.data.data.users :
-                    Array.isArray(usersData?.data?.users) ? usersData.data.users :
-                    Array.isArray(usersData?.data?.data) ? usersData.data.data :
-                    Array.isArray(usersData?.data) ? usersData.data : 
-                    Array.isArray(usersData) ? usersData : [];
 
   // Group comments by thread
   const groupedComments = commentsList.reduce((acc, comment) => {
@@ -60,6 +49,12 @@ export const Comments = ({ entityType, entityId, className = '' }) => {
     (a, b) => new Date(b.created_at) - new Date(a.created_at)
   );
 
+  // Scroll to the comment linked from a mention notification (#comment-<id>)
+  useEffect(() => {
+    if (isLoading || !window.location.hash.startsWith('#comment-')) return;
+    document.getElementById(window.location.hash.slice(1))?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [isLoading]);
+
   return (
     <div className={`space-y-6 ${className}`}>
       {/* Header */}
@@ -75,7 +70,6 @@ export const Comments = ({ entityType, entityId, className = '' }) => {
         entityType={entityType}
         entityId={entityId}
         parentId={replyingTo}
-        users={usersList}
         onCancel={() => setReplyingTo(null)}
         placeholder={replyingTo ? "Write a reply..." : "Write a comment..."}
       />
@@ -102,8 +96,7 @@ export const Comments = ({ entityType, entityId, className = '' }) => {
                 comment={comment}
                 entityType={entityType}
                 entityId={entityId}
-                users={usersList}
-                onReply={setReplyingTo}
+                        onReply={setReplyingTo}
               />
             ))
           )}
@@ -118,7 +111,6 @@ const CommentForm = ({
   entityType, 
   entityId, 
   parentId, 
-  users = [], 
   onCancel, 
   placeholder = "Write a comment...",
   initialContent = '',
@@ -133,6 +125,13 @@ const CommentForm = ({
   const [mentionSearch, setMentionSearch] = useState('');
   const textareaRef = useRef(null);
 
+  // Mention suggestions are limited to the course's assignees and program members
+  const { data: mentionData } = useQuery({
+    queryKey: ['mentionableUsers', entityType, entityId, mentionSearch],
+    queryFn: () => comments.getMentionableUsers(entityType, entityId, { search: mentionSearch }),
+    enabled: showMentions && !!(entityType && entityId),
+  });
+
   // Create comment mutation
   const createMutation = useMutation({
     mutationFn: isEditing ? 
@@ -192,7 +191,7 @@ const CommentForm = ({
     if (atIndex !== -1) {
       const newContent = 
         content.substring(0, atIndex) + 
-        `@${user.full_name || user.name || 'Unknown'} ` + 
+        `@${user.handle} ` + 
         content.substring(cursorPos);
       
       setContent(newContent);
@@ -202,15 +201,13 @@ const CommentForm = ({
       // Focus back to textarea
       setTimeout(() => {
         textarea.focus();
-        const newCursorPos = atIndex + (user.full_name || user.name || 'Unknown').length + 2;
+        const newCursorPos = atIndex + user.handle.length + 2;
         textarea.setSelectionRange(newCursorPos, newCursorPos);
       }, 0);
     }
   };
 
-  const filteredUsers = users.filter(user =>
-    user && (user.full_name || user.name || '').toLowerCase().includes(mentionSearch.toLowerCase())
-  );
+  const filteredUsers = mentionData?.data?.data || [];
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -245,7 +242,8 @@ const CommentForm = ({
                   <div className="w-6 h-6 bg-gray-300 dark:bg-gray-600 rounded-full flex items-center justify-center">
                     <User className="w-3 h-3 text-gray-600 dark:text-gray-400" />
                   </div>
-                  <span className="text-sm text-gray-900 dark:text-white">{user.full_name || user.name || 'Unknown'}</span>
+                  <span className="text-sm text-gray-900 dark:text-white">{user.name}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">@{user.handle}</span>
                 </button>
               ))}
             </div>
@@ -294,14 +292,13 @@ const CommentForm = ({
 };
 
 // Comment Thread Component
-const CommentThread = ({ comment, entityType, entityId, users, onReply }) => {
+const CommentThread = ({ comment, entityType, entityId, onReply }) => {
   return (
     <div className="space-y-4">
       <CommentItem
         comment={comment}
         entityType={entityType}
         entityId={entityId}
-        users={users}
         onReply={onReply}
       />
       
@@ -314,7 +311,6 @@ const CommentThread = ({ comment, entityType, entityId, users, onReply }) => {
               comment={reply}
               entityType={entityType}
               entityId={entityId}
-              users={users}
               onReply={onReply}
               isReply
             />
@@ -326,7 +322,7 @@ const CommentThread = ({ comment, entityType, entityId, users, onReply }) => {
 };
 
 // Individual Comment Component
-const CommentItem = ({ comment, entityType, entityId, users, onReply, isReply = false }) => {
+const CommentItem = ({ comment, entityType, entityId, onReply, isReply = false }) => {
   const queryClient = useQueryClient();
   const [isEditing, setIsEditing] = useState(false);
   const [showActions, setShowActions] = useState(false);
@@ -350,12 +346,18 @@ const CommentItem = ({ comment, entityType, entityId, users, onReply, isReply =
   };
 
   const renderContent = (content) => {
-    // Simple mention highlighting - replace @mentions with styled spans
-    return content.replace(/@(\w+)/g, '<span class="text-blue-600 dark:text-blue-400 font-medium">@$1</span>');
+    // Escape the text, then highlight @handle mentions with styled spans
+    const escaped = content
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    return escaped.replace(/(^|[^\w@])@([\w.+-]*\w)/g, '$1<span class="text-blue-600 dark:text-blue-400 font-medium">@$2</span>');
   };
 
   return (
     <div 
+      id={`comment-${comment.id}`}
       className="flex space-x-3 group"
       onMouseEnter={() => setShowActions(true)}
       onMouseLeave={() => setShowActions(false)}
@@ -388,7 +390,6 @@ const CommentItem = ({ comment, entityType, entityId, users, onReply, isReply =
                 <CommentForm
                   entityType={entityType}
                   entityId={entityId}
-                  users={users}
                   initialContent={comment.content}
                   isEditing={true}
                   commentId={comment.id}
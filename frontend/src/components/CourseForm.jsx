@@ -2,7 +2,7 @@ import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
-import { ArrowLeft, Save, Calendar, Clock, AlertTriangle, Trash2, Package, CheckCircle } from 'lucide-react';
+import { ArrowLeft, Save, Calendar, Clock, AlertTriangle, Trash2, Package, CheckCircle, TrendingUp } from 'lucide-react';
 import { courses, users, teams, programs, folders, lists, priorities, modalities } from '../lib/api';
 import { CourseCreateBreadcrumb } from './navigation/Breadcrumb';
 
@@ -125,6 +125,29 @@ export default function CourseForm({ courseId = null, defaultListId = null, hier
     retry: false // Don't retry on failure
   });
 
+  // Suggested effort from similar completed courses, only while creating a course
+  const { data: prediction } = useQuery({
+    queryKey: ['effort-prediction', formData.modality, formData.deliverables, formData.startDate, formData.estimatedDailyHours],
+    queryFn: async () => {
+      const response = await courses.predictEffort({
+        modality: formData.modality,
+        deliverables: formData.deliverables,
+        ...(formData.startDate && { startDate: formData.startDate }),
+        ...(formData.estimatedDailyHours && { estimatedDailyHours: parseFloat(formData.estimatedDailyHours) })
+      });
+      return response.data.data;
+    },
+    enabled: !isEditing && Boolean(formData.modality),
+    retry: false
+  });
+
+  const applyPrediction = () => {
+    setFormData(prev => ({
+      ...prev,
+      estimatedHours: prediction.estimatedHours,
+      ...(prev.startDate && { dueDate: prediction.suggestedDueDate })
+    }));
+  };
 
   // Fetch users for owner selection
   const { data: usersData } = useQuery({
@@ -957,6 +980,31 @@ export default function CourseForm({ courseId = null, defaultListId = null, hier
                 />
               </div>
             </div>
+
+            {prediction && (
+              <div className="mt-4 p-3 bg-blue-50 dark:bg-blue-900/20 rounded-md flex items-start justify-between">
+                <div className="text-sm text-blue-700 dark:text-blue-300">
+                  <p className="font-medium">
+                    <TrendingUp className="inline h-4 w-4 mr-1" />
+                    Suggested: {prediction.estimatedHours} hours
+                    {formData.startDate && <> · due {new Date(`${prediction.suggestedDueDate}T00:00:00`).toLocaleDateString()}</>}
+                  </p>
+                  <p className="mt-1">
+                    Likely between {prediction.range.low} and {prediction.range.high} hours ({prediction.confidence} confidence),
+                    based on {prediction.basis.sampleSize} completed {prediction.basis.modality ? `${prediction.basis.modality} ` : ''}
+                    course{prediction.basis.sampleSize === 1 ? '' : 's'}.
+                    {!formData.startDate && ' Set a start date for a suggested due date.'}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={applyPrediction}
+                  className="ml-4 shrink-0 px-3 py-1 text-sm font-medium text-blue-700 dark:text-blue-300 border border-blue-300 dark:border-blue-700 rounded-md hover:bg-blue-100 dark:hover:bg-blue-900/40"
+                >
+                  Apply
+                </button>
+              </div>
+            )}
           </div>
 
 
@@ -98,7 +98,7 @@ export const CustomFields = ({
   // Fetch custom field definitions
   const { data: fieldsData } = useQuery({
     queryKey: ['custom-fields', entityType],
-    queryFn: () => customFields.getByEntity(entityType),
+    queryFn: () => customFields.getDefinitions(entityType),
     enabled: !!entityType,
   });
 
@@ -115,7 +115,7 @@ export const CustomFields = ({
     },
   });
 
-  const fields = fieldsData?.data || [];
+  const fields = fieldsData?.data?.data || [];
   const activeFields = fields.filter(field => field.is_active);
 
   const handleValueChange = (fieldId, value) => {
@@ -406,13 +406,13 @@ const CustomFieldManager = ({ entityType, onClose }) => {
   // Fetch existing fields
   const { data: fieldsData } = useQuery({
     queryKey: ['custom-fields', entityType],
-    queryFn: () => customFields.getByEntity(entityType),
-    onSuccess: (data) => setFields(data.data || []),
+    queryFn: () => customFields.getDefinitions(entityType),
+    onSuccess: (data) => setFields(data.data?.data || []),
   });
 
   // Create field mutation
   const createFieldMutation = useMutation({
-    mutationFn: customFields.create,
+    mutationFn: customFields.createDefinition,
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Field created successfully');
@@ -425,7 +425,7 @@ const CustomFieldManager = ({ entityType, onClose }) => {
 
   // Update field mutation
   const updateFieldMutation = useMutation({
-    mutationFn: ({ id, data }) => customFields.update(id, data),
+    mutationFn: ({ id, data }) => customFields.updateDefinition(id, data),
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Field updated successfully');
@@ -437,7 +437,7 @@ const CustomFieldManager = ({ entityType, onClose }) => {
 
   // Delete field mutation
   const deleteFieldMutation = useMutation({
-    mutationFn: customFields.delete,
+    mutationFn: customFields.deleteDefinition,
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Field deleted successfully');
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   Upload,
@@ -20,10 +20,12 @@ import {
   Copy,
   Share,
   Paperclip,
-  FolderOpen
+  FolderOpen,
+  RotateCcw
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { attachments } from '../lib/api';
+import { formatFileSize, formatVersionLabel } from '../lib/utils';
 
 // File type icons mapping
 const FILE_ICONS = {
@@ -46,17 +48,6 @@ const getFileType = (filename) => {
   return 'default';
 };
 
-// Format file size
-const formatFileSize = (bytes) => {
-  if (!bytes) return '0 B';
-  
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-};
-
 // Main File Upload Component
 export const FileUpload = ({ 
   entityType,
@@ -84,19 +75,11 @@ export const FileUpload = ({
 
   // Upload mutation
   const uploadMutation = useMutation({
-    mutationFn: ({ file, entityType, entityId }) => {
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('entity_type', entityType);
-      formData.append('entity_id', entityId);
-      
-      return attachments.upload(formData, {
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          setUploadProgress(prev => ({ ...prev, [file.name]: progress }));
-        }
-      });
-    },
+    mutationFn: ({ file, entityType, entityId }) =>
+      attachments.upload(entityType, entityId, file, (progressEvent) => {
+        const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+        setUploadProgress(prev => ({ ...prev, [file.name]: progress }));
+      }),
     onSuccess: () => {
       queryClient.invalidateQueries(['attachments', entityType, entityId]);
       toast.success('File uploaded successfully');
@@ -122,7 +105,7 @@ export const FileUpload = ({
     },
   });
 
-  const filesList = attachmentsData?.data || [];
+  const filesList = attachmentsData?.data?.data || [];
 
   // Validation
   const validateFile = (file) => {
@@ -331,13 +314,15 @@ export const FileUpload = ({
         files={filesList}
         isLoading={isLoading}
         onDelete={handleDelete}
+        entityType={entityType}
+        entityId={entityId}
       />
     </div>
   );
 };
 
 // Files List Component
-const FilesList = ({ files, isLoading, onDelete }) => {
+const FilesList = ({ files, isLoading, onDelete, entityType, entityId }) => {
   if (isLoading) {
     return (
       <div className="space-y-3">
@@ -368,21 +353,62 @@ const FilesList = ({ files, isLoading, onDelete }) => {
   return (
     <div className="space-y-2">
       {files.map((file) => (
-        <FileItem key={file.id} file={file} onDelete={onDelete} />
+        <FileItem
+          key={file.id}
+          file={file}
+          onDelete={onDelete}
+          entityType={entityType}
+          entityId={entityId}
+        />
       ))}
     </div>
   );
 };
 
 // Individual File Item
-const FileItem = ({ file, onDelete }) => {
+const FileItem = ({ file, onDelete, entityType, entityId }) => {
+  const queryClient = useQueryClient();
+  const versionInputRef = useRef(null);
   const [showPreview, setShowPreview] = useState(false);
-  const fileType = getFileType(file.filename);
+  const [showVersions, setShowVersions] = useState(false);
+  const fileName = file.original_name || file.filename;
+  const fileType = getFileType(fileName);
   const FileIcon = FILE_ICONS[fileType] || FILE_ICONS.default;
+  const versionLabel = formatVersionLabel(file);
+
+  // Upload a new version of this file; the phase is taken from the subtask at upload time
+  const versionMutation = useMutation({
+    mutationFn: (newFile) =>
+      attachments.upload(entityType, entityId, newFile, undefined, { versionOf: file.id }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['attachments', entityType, entityId]);
+      queryClient.invalidateQueries(['attachmentVersions', file.version_group_id]);
+      toast.success('New version uploaded');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to upload new version');
+    },
+  });
+
+  const handleVersionFileChange = (e) => {
+    const newFile = e.target.files?.[0];
+    if (newFile) {
+      versionMutation.mutate(newFile);
+    }
+    e.target.value = '';
+  };
 
-  const handleDownload = () => {
-    if (file.download_url) {
-      window.open(file.download_url, '_blank');
+  const handleDownload = async () => {
+    try {
+      const response = await attachments.download(file.id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download file');
     }
   };
 
@@ -404,13 +430,18 @@ const FileItem = ({ file, onDelete }) => {
             
             <div className="flex-1 min-w-0">
               <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                {file.filename}
+                {fileName}
               </p>
               <div className="flex items-center space-x-4 text-xs text-gray-500 dark:text-gray-400">
+                {versionLabel && (
+                  <span className="px-1.5 py-0.5 rounded bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">
+                    {versionLabel}
+                  </span>
+                )}
                 <span>{formatFileSize(file.file_size)}</span>
                 <span>{new Date(file.created_at).toLocaleDateString()}</span>
-                {file.uploaded_by && (
-                  <span>by {file.uploaded_by}</span>
+                {file.uploaded_by_name && (
+                  <span>by {file.uploaded_by_name}</span>
                 )}
               </div>
             </div>
@@ -435,6 +466,35 @@ const FileItem = ({ file, onDelete }) => {
               <Download className="w-4 h-4" />
             </button>
             
+            {entityType !== 'comment' && (
+              <>
+                <button
+                  onClick={() => versionInputRef.current?.click()}
+                  disabled={versionMutation.isPending}
+                  className="p-2 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 rounded disabled:opacity-50"
+                  title="Upload new version"
+                >
+                  <Upload className="w-4 h-4" />
+                </button>
+                <input
+                  ref={versionInputRef}
+                  type="file"
+                  onChange={handleVersionFileChange}
+                  className="hidden"
+                />
+              </>
+            )}
+
+            {file.version_count > 1 && (
+              <button
+                onClick={() => setShowVersions(!showVersions)}
+                className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded"
+                title="Version history"
+              >
+                <Clock className="w-4 h-4" />
+              </button>
+            )}
+
             {file.public_url && (
               <button
                 onClick={handleCopyLink}
@@ -454,6 +514,14 @@ const FileItem = ({ file, onDelete }) => {
             </button>
           </div>
         </div>
+
+        {showVersions && (
+          <VersionHistory
+            file={file}
+            entityType={entityType}
+            entityId={entityId}
+          />
+        )}
       </div>
 
       {/* Image Preview Modal */}
@@ -467,6 +535,96 @@ const FileItem = ({ file, onDelete }) => {
   );
 };
 
+// Version history of a file with "restore as current"
+const VersionHistory = ({ file, entityType, entityId }) => {
+  const queryClient = useQueryClient();
+
+  const { data: versionsData, isLoading } = useQuery({
+    queryKey: ['attachmentVersions', file.version_group_id],
+    queryFn: () => attachments.getVersions(file.id),
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: attachments.restoreVersion,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['attachments', entityType, entityId]);
+      queryClient.invalidateQueries(['attachmentVersions', file.version_group_id]);
+      toast.success('Version restored as current');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to restore version');
+    },
+  });
+
+  const versions = versionsData?.data?.data || [];
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await attachments.download(version.id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = version.original_name;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download file');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+        Loading versions...
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 space-y-2">
+      {versions.map((version) => (
+        <div key={version.id} className="flex items-center justify-between text-xs">
+          <div className="flex items-center space-x-3 min-w-0 text-gray-600 dark:text-gray-400">
+            <span className="font-medium text-gray-900 dark:text-white">
+              {formatVersionLabel(version)}
+            </span>
+            <span className="truncate">{version.original_name}</span>
+            {version.deliverable_name && <span>{version.deliverable_name}</span>}
+            <span>{new Date(version.created_at).toLocaleDateString()}</span>
+            {version.uploaded_by_name && <span>by {version.uploaded_by_name}</span>}
+            {version.is_current && (
+              <span className="inline-flex items-center text-green-600 dark:text-green-400">
+                <Check className="w-3 h-3 mr-1" />
+                Current
+              </span>
+            )}
+          </div>
+
+          <div className="flex items-center space-x-1 ml-2">
+            <button
+              onClick={() => handleDownload(version)}
+              className="p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 rounded"
+              title="Download"
+            >
+              <Download className="w-3 h-3" />
+            </button>
+            {!version.is_current && (
+              <button
+                onClick={() => restoreMutation.mutate(version.id)}
+                disabled={restoreMutation.isPending}
+                className="p-1 text-gray-400 hover:text-green-600 dark:hover:text-green-400 rounded disabled:opacity-50"
+                title="Restore as current"
+              >
+                <RotateCcw className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // Compact File Upload (for inline use)
 const CompactFileUpload = ({ 
   filesList, 
@@ -537,12 +695,32 @@ const CompactFileUpload = ({
 
 // Image Preview Modal
 const ImagePreviewModal = ({ file, onClose }) => {
+  const [imageUrl, setImageUrl] = useState(null);
+  const fileName = file.original_name || file.filename;
+
+  // Attachments require authentication, so load the image as a blob
+  useEffect(() => {
+    let objectUrl;
+    attachments.download(file.id)
+      .then((response) => {
+        objectUrl = window.URL.createObjectURL(response.data);
+        setImageUrl(objectUrl);
+      })
+      .catch(() => toast.error('Failed to load preview'));
+
+    return () => {
+      if (objectUrl) {
+        window.URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [file.id]);
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
       <div className="relative max-w-4xl max-h-[90vh] bg-white dark:bg-gray-800 rounded-lg overflow-hidden">
         <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-            {file.filename}
+            {fileName}
           </h3>
           <button
             onClick={onClose}
@@ -553,11 +731,13 @@ const ImagePreviewModal = ({ file, onClose }) => {
         </div>
         
         <div className="p-4">
-          <img
-            src={file.public_url}
-            alt={file.filename}
-            className="max-w-full max-h-[70vh] object-contain mx-auto"
-          />
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt={fileName}
+              className="max-w-full max-h-[70vh] object-contain mx-auto"
+            />
+          )}
         </div>
         
         <div className="p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
@@ -5,10 +5,11 @@ import {
   Clock, 
   AlertTriangle, 
   CheckCircle,
-  History
+  History,
+  Paperclip
 } from 'lucide-react';
-import { courses } from '../lib/api';
-import { formatDate, formatDateTime } from '../lib/utils';
+import { courses, phaseStatuses } from '../lib/api';
+import { formatDate, formatDateTime, formatVersionLabel } from '../lib/utils';
 
 const COURSE_STATUS_LABELS = {
   'pre_development': 'Pre-Development',
@@ -18,16 +19,6 @@ const COURSE_STATUS_LABELS = {
   'completed': 'Completed'
 };
 
-const PHASE_STATUS_COLORS = {
-  'alpha_draft': 'text-blue-600 bg-blue-100',
-  'alpha_review': 'text-purple-600 bg-purple-100',
-  'beta_revision': 'text-orange-600 bg-orange-100',
-  'beta_review': 'text-yellow-600 bg-yellow-100',
-  'final_revision': 'text-green-600 bg-green-100',
-  'final_signoff_sent': 'text-teal-600 bg-teal-100',
-  'final_signoff_received': 'text-emerald-600 bg-emerald-100'
-};
-
 function PhaseHistoryModal({ courseId, courseName, onClose }) {
   const { data: historyData, isLoading, error } = useQuery({
     queryKey: ['coursePhaseHistory', courseId],
@@ -38,8 +29,36 @@ function PhaseHistoryModal({ courseId, courseName, onClose }) {
     enabled: Boolean(courseId)
   });
 
+  // Labels and colors come from the configured phase statuses, so added phases show up as well
+  const { data: statusesData } = useQuery({
+    queryKey: ['phase-statuses'],
+    queryFn: async () => {
+      const response = await phaseStatuses.getAll();
+      return response.data.data;
+    },
+    staleTime: 10 * 60 * 1000
+  });
+  const statusByValue = new Map((statusesData || []).map(status => [status.value, status]));
+
   const formatPhaseStatus = (status) => {
-    return status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    return statusByValue.get(status)?.label || status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  };
+
+  const getPhaseColor = (status) => {
+    const phaseStatus = statusByValue.get(status);
+    return phaseStatus ? `${phaseStatus.color} ${phaseStatus.darkColor || ''} bg-gray-100 dark:bg-gray-800` : 'text-gray-600 bg-gray-100';
+  };
+
+  // Archives made before phase dates were stored per phase only have the status history
+  const getPhaseTimeline = (phase) => {
+    if (phase.phaseDates && phase.phaseDates.length > 0) {
+      return phase.phaseDates;
+    }
+    return (phase.phaseHistory || []).map(entry => ({
+      status: entry.status,
+      startedAt: entry.started_at,
+      finishedAt: entry.finished_at
+    }));
   };
 
   return (
@@ -143,17 +162,19 @@ function PhaseHistoryModal({ courseId, courseName, onClose }) {
                       </div>
                       
                       {/* Phase History Details */}
-                      {phase.phaseHistory && phase.phaseHistory.length > 0 && (
+                      {getPhaseTimeline(phase).length > 0 && (
                         <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
                           <h6 className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-2">Phase Timeline:</h6>
                           <div className="space-y-1">
-                            {phase.phaseHistory.map((historyEntry, historyIndex) => (
-                              <div key={historyIndex} className="text-xs text-gray-600 dark:text-gray-400">
-                                <span className="font-medium">{formatPhaseStatus(historyEntry.status)}</span>
-                                {historyEntry.started_at && (
+                            {getPhaseTimeline(phase).map((entry, entryIndex) => (
+                              <div key={entryIndex} className="text-xs text-gray-600 dark:text-gray-400">
+                                <span className={`px-1.5 py-0.5 rounded font-medium ${getPhaseColor(entry.status)}`}>
+                                  {entry.label || formatPhaseStatus(entry.status)}
+                                </span>
+                                {entry.startedAt && (
                                   <span className="ml-2">
-                                    {formatDate(historyEntry.started_at)}
-                                    {historyEntry.finished_at && ` - ${formatDate(historyEntry.finished_at)}`}
+                                    {formatDate(entry.startedAt)}
+                                    {entry.finishedAt && ` - ${formatDate(entry.finishedAt)}`}
                                   </span>
                                 )}
                               </div>
@@ -161,6 +182,27 @@ function PhaseHistoryModal({ courseId, courseName, onClose }) {
                           </div>
                         </div>
                       )}
+
+                      {/* File versions uploaded during this phase */}
+                      {phase.attachmentVersions && phase.attachmentVersions.length > 0 && (
+                        <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
+                          <h6 className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-2">File Versions:</h6>
+                          <div className="space-y-1">
+                            {phase.attachmentVersions.map((version) => (
+                              <div key={version.id} className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+                                <Paperclip className="h-3 w-3 mr-1 flex-shrink-0" />
+                                <span className={`px-1.5 py-0.5 rounded mr-2 ${getPhaseColor(version.phase_status)}`}>
+                                  {formatVersionLabel(version)}
+                                </span>
+                                <span className="truncate">{version.original_name}</span>
+                                {version.is_current && (
+                                  <span className="ml-1 text-green-600 dark:text-green-400">(current)</span>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -0,0 +1,580 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, CalendarClock, History, Pause, Pencil, Play, Plus, Send, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { reportSubscriptions, teams } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { formatDateTime, formatFileSize } from '../lib/utils';
+
+const REPORT_TYPES = [
+  { value: 'bottlenecks', label: 'Bottlenecks' },
+  { value: 'workload', label: 'Workload heatmap' },
+  { value: 'performance', label: 'Performance' },
+  { value: 'overdue_courses', label: 'Overdue courses' }
+];
+
+const SCHEDULE_PRESETS = [
+  { value: '0 8 * * 1', label: 'Mondays at 8:00' },
+  { value: '0 7 * * 1-5', label: 'Weekdays at 7:00' },
+  { value: '0 16 * * 5', label: 'Fridays at 16:00' },
+  { value: '0 8 1 * *', label: 'First of the month at 8:00' }
+];
+
+const PERIODS = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: '6m', label: 'Last 6 months' },
+  { value: '1y', label: 'Last year' }
+];
+
+const RUN_STATUS_CLASSES = {
+  queued: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  running: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  retrying: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
+  succeeded: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const reportLabel = (type) => REPORT_TYPES.find(option => option.value === type)?.label || type;
+
+const scheduleLabel = (cron) => SCHEDULE_PRESETS.find(preset => preset.value === cron)?.label || cron;
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const toForm = (subscription, user) => subscription ? {
+  name: subscription.name,
+  reportType: subscription.report_type,
+  parameters: subscription.parameters || {},
+  format: subscription.format,
+  cronExpression: subscription.cron_expression,
+  timezone: subscription.timezone,
+  deliveryMethod: subscription.delivery_method,
+  recipients: (subscription.recipients || []).join(', '),
+  filePath: subscription.file_path || '',
+  teamId: subscription.team_id ? String(subscription.team_id) : ''
+} : {
+  name: '',
+  reportType: 'bottlenecks',
+  parameters: { period: '30d' },
+  format: 'pdf',
+  cronExpression: SCHEDULE_PRESETS[0].value,
+  timezone: browserTimezone(),
+  deliveryMethod: 'email',
+  recipients: user?.email || '',
+  filePath: '',
+  teamId: user?.team_id ? String(user.team_id) : ''
+};
+
+function StatusBadge({ status }) {
+  if (!status) {
+    return <span className="text-xs text-gray-400">never run</span>;
+  }
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${RUN_STATUS_CLASSES[status] || RUN_STATUS_CLASSES.queued}`}>
+      {status}
+    </span>
+  );
+}
+
+// Past runs of one subscription with their delivery or last error
+function RunHistory({ subscriptionId }) {
+  const { data: runs = [], isLoading } = useQuery({
+    queryKey: ['report-subscriptions', subscriptionId, 'runs'],
+    queryFn: async () => {
+      const response = await reportSubscriptions.getRuns(subscriptionId, { limit: 20 });
+      return response.data.data;
+    },
+    refetchInterval: 30000
+  });
+
+  if (isLoading) {
+    return <div className="px-6 py-3 text-sm text-gray-500 dark:text-gray-400">Loading run history...</div>;
+  }
+
+  if (runs.length === 0) {
+    return <div className="px-6 py-3 text-sm text-gray-500 dark:text-gray-400">No runs yet</div>;
+  }
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+          <th className="px-6 py-2">Queued</th>
+          <th className="px-2 py-2">Status</th>
+          <th className="px-2 py-2">Trigger</th>
+          <th className="px-2 py-2 text-right">Attempts</th>
+          <th className="px-2 py-2">File</th>
+          <th className="px-2 py-2">Delivered to</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+        {runs.map(run => (
+          <tr key={run.id} className="align-top">
+            <td className="px-6 py-2 whitespace-nowrap text-gray-900 dark:text-white">{formatDateTime(run.created_at)}</td>
+            <td className="px-2 py-2"><StatusBadge status={run.status} /></td>
+            <td className="px-2 py-2 text-gray-500 dark:text-gray-400">{run.trigger}</td>
+            <td className="px-2 py-2 text-right text-gray-500 dark:text-gray-400">{run.attempts}</td>
+            <td className="px-2 py-2 text-gray-500 dark:text-gray-400">
+              {run.file_name ? `${run.file_name} (${formatFileSize(run.file_size)})` : '-'}
+            </td>
+            <td className="px-2 py-2 text-gray-500 dark:text-gray-400">
+              {run.error ? <span className="text-red-600 dark:text-red-400">{run.error}</span> : run.delivered_to || '-'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function SubscriptionForm({ subscription, onClose }) {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const isAdmin = user?.role === 'admin';
+  const [form, setForm] = useState(() => toForm(subscription, user));
+  const [customSchedule, setCustomSchedule] = useState(
+    () => !SCHEDULE_PRESETS.some(preset => preset.value === form.cronExpression)
+  );
+
+  const { data: teamOptions = [] } = useQuery({
+    queryKey: ['report-subscription-teams'],
+    queryFn: async () => {
+      const response = await teams.getAll();
+      return response.data.data;
+    },
+    enabled: isAdmin
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => subscription
+      ? reportSubscriptions.update(subscription.id, data)
+      : reportSubscriptions.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['report-subscriptions'] });
+      toast.success(subscription ? 'Scheduled report updated' : 'Scheduled report created');
+      onClose();
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save scheduled report'))
+  });
+
+  const setField = (field, value) => setForm(current => ({ ...current, [field]: value }));
+  const setParameter = (field, value) => setForm(current => ({
+    ...current,
+    parameters: { ...current.parameters, [field]: value }
+  }));
+
+  const handleReportTypeChange = (reportType) => {
+    const defaults = {
+      bottlenecks: { period: '30d', groupBy: 'stage' },
+      workload: { weeks: 4 },
+      performance: { period: '30d' },
+      overdue_courses: {}
+    };
+    setForm(current => ({ ...current, reportType, parameters: defaults[reportType] }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      name: form.name,
+      reportType: form.reportType,
+      parameters: form.parameters,
+      format: form.format,
+      cronExpression: form.cronExpression,
+      timezone: form.timezone,
+      deliveryMethod: form.deliveryMethod,
+      ...(form.deliveryMethod === 'email'
+        ? { recipients: form.recipients.split(',').map(email => email.trim()).filter(Boolean) }
+        : { filePath: form.filePath.trim() }),
+      ...(isAdmin && { teamId: form.teamId ? Number(form.teamId) : null })
+    });
+  };
+
+  const labelClassName = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+  const inputClassName = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          {subscription ? `Edit ${subscription.name}` : 'New scheduled report'}
+        </h3>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClassName}>Name</label>
+          <input
+            type="text"
+            required
+            maxLength={255}
+            value={form.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder="Monday bottleneck review"
+            className={inputClassName}
+          />
+        </div>
+        {isAdmin && (
+          <div>
+            <label className={labelClassName}>Team</label>
+            <select value={form.teamId} onChange={(e) => setField('teamId', e.target.value)} className={inputClassName}>
+              <option value="">All teams</option>
+              {teamOptions.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className={labelClassName}>Report</label>
+          <select value={form.reportType} onChange={(e) => handleReportTypeChange(e.target.value)} className={inputClassName}>
+            {REPORT_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex gap-4">
+          {(form.reportType === 'bottlenecks' || form.reportType === 'performance') && (
+            <div className="flex-1">
+              <label className={labelClassName}>Period</label>
+              <select
+                value={form.parameters.period || '30d'}
+                onChange={(e) => setParameter('period', e.target.value)}
+                className={inputClassName}
+              >
+                {PERIODS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {form.reportType === 'bottlenecks' && (
+            <div className="flex-1">
+              <label className={labelClassName}>Group by</label>
+              <select
+                value={form.parameters.groupBy || 'stage'}
+                onChange={(e) => setParameter('groupBy', e.target.value)}
+                className={inputClassName}
+              >
+                <option value="stage">Workflow stage</option>
+                <option value="reviewer">Reviewer</option>
+                <option value="course_type">Course type</option>
+                <option value="team">Team</option>
+                <option value="priority">Priority</option>
+              </select>
+            </div>
+          )}
+          {form.reportType === 'workload' && (
+            <div className="flex-1">
+              <label className={labelClassName}>Weeks ahead</label>
+              <input
+                type="number"
+                min="1"
+                max="12"
+                value={form.parameters.weeks || 4}
+                onChange={(e) => setParameter('weeks', Number(e.target.value) || 4)}
+                className={inputClassName}
+              />
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className={labelClassName}>Schedule</label>
+          <select
+            value={customSchedule ? 'custom' : form.cronExpression}
+            onChange={(e) => {
+              const custom = e.target.value === 'custom';
+              setCustomSchedule(custom);
+              if (!custom) setField('cronExpression', e.target.value);
+            }}
+            className={inputClassName}
+          >
+            {SCHEDULE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+            <option value="custom">Custom cron expression</option>
+          </select>
+          {customSchedule && (
+            <input
+              type="text"
+              required
+              value={form.cronExpression}
+              onChange={(e) => setField('cronExpression', e.target.value)}
+              placeholder="minute hour day month weekday, e.g. 0 8 * * 1"
+              className={`${inputClassName} mt-2 font-mono`}
+            />
+          )}
+        </div>
+        <div>
+          <label className={labelClassName}>Timezone</label>
+          <input
+            type="text"
+            required
+            value={form.timezone}
+            onChange={(e) => setField('timezone', e.target.value)}
+            placeholder="Europe/Berlin"
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label className={labelClassName}>Format</label>
+          <select value={form.format} onChange={(e) => setField('format', e.target.value)} className={inputClassName}>
+            <option value="pdf">PDF</option>
+            <option value="csv">CSV</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClassName}>Delivery</label>
+          <select value={form.deliveryMethod} onChange={(e) => setField('deliveryMethod', e.target.value)} className={inputClassName}>
+            <option value="email">Email</option>
+            <option value="file">Write to report folder</option>
+          </select>
+        </div>
+
+        <div className="md:col-span-2">
+          {form.deliveryMethod === 'email' ? (
+            <>
+              <label className={labelClassName}>Recipients</label>
+              <input
+                type="text"
+                required
+                value={form.recipients}
+                onChange={(e) => setField('recipients', e.target.value)}
+                placeholder="Emails of TrainingPulse users, comma separated"
+                className={inputClassName}
+              />
+            </>
+          ) : (
+            <>
+              <label className={labelClassName}>Folder</label>
+              <input
+                type="text"
+                required
+                value={form.filePath}
+                onChange={(e) => setField('filePath', e.target.value)}
+                placeholder="weekly/managers"
+                className={inputClassName}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Created inside the report directory configured on the server
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saveMutation.isPending}
+          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {subscription ? 'Save changes' : 'Create'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Saved analytics reports mailed or written to a folder on a schedule
+export function ReportSubscriptions() {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+
+  const { data: subscriptions = [], isLoading, error } = useQuery({
+    queryKey: ['report-subscriptions'],
+    queryFn: async () => {
+      const response = await reportSubscriptions.getAll();
+      return response.data.data;
+    }
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['report-subscriptions'] });
+
+  const runMutation = useMutation({
+    mutationFn: (id) => reportSubscriptions.runNow(id),
+    onSuccess: (_, id) => {
+      invalidate();
+      setHistoryId(id);
+      toast.success('Report queued, it is delivered within a minute or two');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to run report'))
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (subscription) => reportSubscriptions.update(subscription.id, { active: !subscription.active }),
+    onSuccess: invalidate,
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to update scheduled report'))
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => reportSubscriptions.delete(id),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Scheduled report deleted');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to delete scheduled report'))
+  });
+
+  const handleDelete = (subscription) => {
+    if (window.confirm(`Delete "${subscription.name}" and its run history?`)) {
+      deleteMutation.mutate(subscription.id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+        <div className="flex">
+          <AlertTriangle className="h-5 w-5 text-red-400" />
+          <div className="ml-3 text-sm text-red-700 dark:text-red-300">
+            {getErrorMessage(error, 'Failed to load scheduled reports')}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const iconButtonClassName = 'p-1.5 rounded text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-700 disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      {editing && (
+        <SubscriptionForm
+          key={editing === 'new' ? 'new' : editing.id}
+          subscription={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white flex items-center">
+              <CalendarClock className="h-5 w-5 mr-2 text-blue-600" />
+              Scheduled Reports
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Reports are rendered on schedule and mailed or written to the report folder, failed runs are retried
+            </p>
+          </div>
+          <button
+            onClick={() => setEditing('new')}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New report
+          </button>
+        </div>
+
+        {subscriptions.length === 0 ? (
+          <div className="px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+            No scheduled reports yet
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {subscriptions.map(subscription => (
+              <li key={subscription.id}>
+                <div className="px-6 py-3 flex items-start gap-4">
+                  <div className="flex-1 min-w-0 text-sm">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`font-medium ${subscription.active ? 'text-gray-900 dark:text-white' : 'text-gray-400 line-through'}`}>
+                        {subscription.name}
+                      </span>
+                      <span className="text-gray-500 dark:text-gray-400">
+                        {reportLabel(subscription.report_type)} - {subscription.team_name || 'All teams'} - {subscription.format.toUpperCase()}
+                      </span>
+                      <StatusBadge status={subscription.last_status} />
+                    </div>
+                    <div className="flex flex-wrap items-center gap-x-4 text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                      <span>{scheduleLabel(subscription.cron_expression)} ({subscription.timezone})</span>
+                      <span className="inline-flex items-center gap-1">
+                        <Send className="h-3 w-3" />
+                        {subscription.delivery_method === 'email'
+                          ? subscription.recipients.join(', ')
+                          : `folder ${subscription.file_path}`}
+                      </span>
+                      {subscription.active && subscription.next_run_at && (
+                        <span>Next run {formatDateTime(subscription.next_run_at)}</span>
+                      )}
+                      {subscription.run_requested && <span>Run requested</span>}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      title="Run now"
+                      onClick={() => runMutation.mutate(subscription.id)}
+                      disabled={runMutation.isPending || subscription.run_requested}
+                      className={iconButtonClassName}
+                    >
+                      <Send className="h-4 w-4" />
+                    </button>
+                    <button
+                      title={subscription.active ? 'Pause schedule' : 'Resume schedule'}
+                      onClick={() => toggleMutation.mutate(subscription)}
+                      disabled={toggleMutation.isPending}
+                      className={iconButtonClassName}
+                    >
+                      {subscription.active ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                    </button>
+                    <button
+                      title="Run history"
+                      onClick={() => setHistoryId(historyId === subscription.id ? null : subscription.id)}
+                      className={iconButtonClassName}
+                    >
+                      <History className="h-4 w-4" />
+                    </button>
+                    <button title="Edit" onClick={() => setEditing(subscription)} className={iconButtonClassName}>
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      title="Delete"
+                      onClick={() => handleDelete(subscription)}
+                      disabled={deleteMutation.isPending}
+                      className={iconButtonClassName}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {historyId === subscription.id && (
+                  <div className="border-t border-gray-100 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/30 overflow-x-auto">
+                    <RunHistory subscriptionId={subscription.id} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReportSubscriptions;
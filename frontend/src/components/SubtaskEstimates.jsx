@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Edit, Trash2, Check, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { courses } from '../lib/api';
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const varianceClass = (percent) => {
+  if (percent === null || percent === undefined) return 'text-gray-500 dark:text-gray-400';
+  if (Math.abs(percent) <= 20) return 'text-green-600 dark:text-green-400';
+  return percent > 0 ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400';
+};
+
+// Subtask estimates compared with the time logged on each subtask
+export const SubtaskEstimates = ({ courseId, canEdit = true }) => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['course-estimates', courseId],
+    queryFn: () => courses.getEstimates(courseId),
+  });
+
+  const estimates = data?.data?.data;
+  const subtasks = estimates?.subtasks || [];
+  const totals = estimates?.totals;
+
+  const saveMutation = useMutation({
+    mutationFn: ({ subtaskId, ...estimate }) => courses.setSubtaskEstimate(courseId, subtaskId, estimate),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['course-estimates', courseId] });
+      setEditing(null);
+      toast.success('Estimate saved');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to save estimate')),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (subtaskId) => courses.deleteSubtaskEstimate(courseId, subtaskId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['course-estimates', courseId] });
+      toast.success('Estimate removed');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove estimate')),
+  });
+
+  const startEditing = (subtask) => {
+    setEditing({
+      subtaskId: subtask.subtask_id,
+      estimated_hours: subtask.estimated_hours ?? '',
+      confidence_level: subtask.confidence_level || 'medium',
+    });
+  };
+
+  const handleSave = () => {
+    if (editing.estimated_hours === '' || Number(editing.estimated_hours) < 0) {
+      toast.error('Enter the estimated hours');
+      return;
+    }
+    saveMutation.mutate({
+      subtaskId: editing.subtaskId,
+      estimated_hours: Number(editing.estimated_hours),
+      confidence_level: editing.confidence_level,
+    });
+  };
+
+  if (isLoading) {
+    return <div className="animate-pulse h-24 bg-gray-100 dark:bg-gray-700 rounded"></div>;
+  }
+
+  if (subtasks.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No phases to estimate yet</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+            <th className="py-2 font-medium">Phase</th>
+            <th className="py-2 font-medium text-right">Estimate</th>
+            <th className="py-2 font-medium">Confidence</th>
+            <th className="py-2 font-medium text-right">Logged</th>
+            <th className="py-2 font-medium text-right">Variance</th>
+            {canEdit && <th className="py-2"></th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+          {subtasks.map((subtask) => {
+            const isEditing = editing?.subtaskId === subtask.subtask_id;
+            return (
+              <tr key={subtask.subtask_id} className="text-gray-900 dark:text-white">
+                <td className="py-2">{subtask.title}</td>
+                <td className="py-2 text-right">
+                  {isEditing ? (
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      autoFocus
+                      value={editing.estimated_hours}
+                      onChange={(e) => setEditing(prev => ({ ...prev, estimated_hours: e.target.value }))}
+                      className="w-20 px-2 py-1 text-right border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                    />
+                  ) : (
+                    subtask.estimated_hours === null ? '-' : `${subtask.estimated_hours}h`
+                  )}
+                </td>
+                <td className="py-2 capitalize">
+                  {isEditing ? (
+                    <select
+                      value={editing.confidence_level}
+                      onChange={(e) => setEditing(prev => ({ ...prev, confidence_level: e.target.value }))}
+                      className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                    >
+                      {CONFIDENCE_LEVELS.map(level => (
+                        <option key={level} value={level}>{level}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    subtask.confidence_level || '-'
+                  )}
+                </td>
+                <td className="py-2 text-right">{subtask.actual_hours}h</td>
+                <td className={`py-2 text-right ${varianceClass(subtask.variance_percent)}`}>
+                  {subtask.variance_percent === null ? '-' : `${subtask.variance_percent > 0 ? '+' : ''}${subtask.variance_percent}%`}
+                </td>
+                {canEdit && (
+                  <td className="py-2 text-right whitespace-nowrap">
+                    {isEditing ? (
+                      <>
+                        <button onClick={handleSave} disabled={saveMutation.isPending} className="p-1 text-green-600 hover:text-green-700">
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startEditing(subtask)} className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        {subtask.estimated_hours !== null && (
+                          <button
+                            onClick={() => deleteMutation.mutate(subtask.subtask_id)}
+                            disabled={deleteMutation.isPending}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {totals && totals.tasks > 0 && (
+        <div className="flex justify-between pt-2 border-t border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-400">
+          <span>{totals.tasks} estimated phases</span>
+          <span>
+            {totals.estimatedHours}h estimated · {totals.actualHours}h logged
+            {totals.variancePercent !== null && (
+              <span className={`ml-2 ${varianceClass(totals.variancePercent)}`}>
+                ({totals.variancePercent > 0 ? '+' : ''}{totals.variancePercent}%)
+              </span>
+            )}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskEstimates;
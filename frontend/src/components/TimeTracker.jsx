@@ -10,7 +10,8 @@ import {
   Plus,
   Edit,
   Trash2,
-  Download
+  Download,
+  Lock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { timeTracking } from '../lib/api';
@@ -268,6 +269,8 @@ export const TimeEntriesList = ({ userId, taskId, courseId, className = '' }) =>
 const TimeEntryRow = ({ entry }) => {
   const queryClient = useQueryClient();
   const [isEditing, setIsEditing] = useState(false);
+  // Entries of a submitted or approved timesheet cannot be changed
+  const isLocked = entry.is_approved || ['submitted', 'approved'].includes(entry.timesheet_status);
 
   const updateMutation = useMutation({
     mutationFn: ({ id, data }) => timeTracking.update(id, data),
@@ -284,6 +287,9 @@ const TimeEntryRow = ({ entry }) => {
       queryClient.invalidateQueries(['time-entries']);
       toast.success('Time entry deleted');
     },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete time entry');
+    },
   });
 
   const formatDuration = (minutes) => {
@@ -320,6 +326,12 @@ const TimeEntryRow = ({ entry }) => {
                 Billable
               </span>
             )}
+            {isLocked && (
+              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                <Lock className="w-3 h-3 mr-1" />
+                {entry.is_approved || entry.timesheet_status === 'approved' ? 'Approved' : 'Submitted'}
+              </span>
+            )}
           </div>
           {entry.description && (
             <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
@@ -333,21 +345,23 @@ const TimeEntryRow = ({ entry }) => {
           )}
         </div>
         
-        <div className="flex items-center space-x-2">
-          <button
-            onClick={() => setIsEditing(true)}
-            className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
-          >
-            <Edit className="w-4 h-4" />
-          </button>
-          <button
-            onClick={handleDelete}
-            disabled={deleteMutation.isPending}
-            className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
-        </div>
+        {!isLocked && (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setIsEditing(true)}
+              className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+            >
+              <Edit className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={deleteMutation.isPending}
+              className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
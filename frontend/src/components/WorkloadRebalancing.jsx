@@ -0,0 +1,316 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, ArrowRight, CheckCircle, Scale } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { analytics, teams } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { getIntensityColor } from '../lib/utils';
+
+const RANGE_OPTIONS = [
+  { value: 2, label: 'Next 2 weeks' },
+  { value: 4, label: 'Next 4 weeks' },
+  { value: 8, label: 'Next 8 weeks' },
+  { value: 12, label: 'Next 12 weeks' }
+];
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const intensityFor = (utilization, threshold) => {
+  if (utilization >= 100) return 'critical';
+  if (utilization >= threshold) return 'high';
+  if (utilization >= 70) return 'medium';
+  return 'low';
+};
+
+// Members by week, colored by utilization
+function RebalancingHeatmap({ title, members, weeks, threshold }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-x-auto">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">{title}</h3>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+            <th className="px-4 py-2">Member</th>
+            {weeks.map(week => (
+              <th key={week} className="px-2 py-2 text-center whitespace-nowrap">{week.slice(5)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {members.map(member => (
+            <tr key={member.userId}>
+              <td className="px-4 py-2 text-gray-900 dark:text-white whitespace-nowrap">{member.name}</td>
+              {member.weeks.map(week => (
+                <td key={week.weekStarting} className="px-1 py-1 text-center">
+                  {week.utilization === null ? (
+                    <span
+                      className="block rounded px-1 py-1 text-xs bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400"
+                      title={`${week.allocatedHours}h booked, no capacity`}
+                    >
+                      off
+                    </span>
+                  ) : (
+                    <span
+                      className={`block rounded px-1 py-1 text-xs font-medium ${getIntensityColor(intensityFor(week.utilization, threshold))}`}
+                      title={`${week.allocatedHours}h of ${week.capacityHours}h`}
+                    >
+                      {Math.round(week.utilization)}%
+                    </span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Heatmap of the members once the selected suggestions are applied
+const applySuggestions = (members, suggestions) => {
+  const delta = new Map();
+  suggestions.forEach(suggestion => {
+    [[suggestion.fromUserId, -1], [suggestion.toUserId, 1]].forEach(([userId, sign]) => {
+      const hours = delta.get(userId) || suggestion.weeklyHours.map(() => 0);
+      suggestion.weeklyHours.forEach((value, index) => {
+        hours[index] += sign * value;
+      });
+      delta.set(userId, hours);
+    });
+  });
+
+  return members.map(member => {
+    const hours = delta.get(member.userId);
+    if (!hours) return member;
+    return {
+      ...member,
+      weeks: member.weeks.map((week, index) => {
+        const allocatedHours = Math.round(Math.max(0, week.allocatedHours + hours[index]) * 100) / 100;
+        return {
+          ...week,
+          allocatedHours,
+          utilization: week.capacityHours > 0 ? (allocatedHours / week.capacityHours) * 100 : null
+        };
+      })
+    };
+  });
+};
+
+// Suggested reassignments that bring a team under a utilization threshold
+export function WorkloadRebalancing() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const isAdmin = user?.role === 'admin';
+  const [teamId, setTeamId] = useState(user?.team_id ? String(user.team_id) : '');
+  const [rangeWeeks, setRangeWeeks] = useState(4);
+  const [threshold, setThreshold] = useState(85);
+  const [selected, setSelected] = useState(new Set());
+
+  const params = useMemo(() => {
+    const start = new Date();
+    const end = new Date(start.getTime() + (rangeWeeks * 7 - 1) * 24 * 60 * 60 * 1000);
+    return {
+      startDate: toDateString(start),
+      endDate: toDateString(end),
+      threshold,
+      ...(isAdmin && teamId && { teamId })
+    };
+  }, [rangeWeeks, threshold, teamId, isAdmin]);
+
+  const { data: teamOptions = [] } = useQuery({
+    queryKey: ['rebalancing-teams'],
+    queryFn: async () => {
+      const response = await teams.getAll();
+      return response.data.data;
+    },
+    enabled: isAdmin
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['analytics', 'rebalance', params],
+    queryFn: () => analytics.getRebalancing(params),
+    enabled: !isAdmin || !!teamId,
+    retry: false
+  });
+
+  const proposal = data?.data?.data;
+  const suggestions = useMemo(() => proposal?.suggestions || [], [proposal]);
+
+  // Every suggestion starts out accepted
+  useEffect(() => {
+    setSelected(new Set(suggestions.map(suggestion => suggestion.id)));
+  }, [suggestions]);
+
+  const accepted = useMemo(
+    () => suggestions.filter(suggestion => selected.has(suggestion.id)),
+    [suggestions, selected]
+  );
+  const after = useMemo(
+    () => (proposal ? applySuggestions(proposal.before, accepted) : []),
+    [proposal, accepted]
+  );
+
+  const applyMutation = useMutation({
+    mutationFn: () => analytics.applyRebalancing(accepted),
+    onSuccess: (response) => {
+      toast.success(`${response.data.data.applied} assignments moved`);
+      queryClient.invalidateQueries({ queryKey: ['analytics'] });
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to apply suggestions'))
+  });
+
+  const toggle = (id) => {
+    setSelected(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const selectClassName = 'block w-44 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+  const overloadedAfter = after.filter(member =>
+    member.weeks.some(week => week.utilization === null ? week.allocatedHours > 0.01 : week.utilization > threshold)
+  ).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-4 flex flex-wrap items-end gap-4">
+        {isAdmin && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Team</label>
+            <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={selectClassName}>
+              <option value="">Choose a team</option>
+              {teamOptions.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Range</label>
+          <select value={rangeWeeks} onChange={(e) => setRangeWeeks(Number(e.target.value))} className={selectClassName}>
+            {RANGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Utilization threshold</label>
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min="50"
+              max="150"
+              step="5"
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value) || 85)}
+              className="block w-24 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <span className="text-sm text-gray-500 dark:text-gray-400">%</span>
+          </div>
+        </div>
+      </div>
+
+      {isAdmin && !teamId ? (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+          Choose a team to rebalance
+        </div>
+      ) : isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+          <div className="flex">
+            <AlertTriangle className="h-5 w-5 text-red-400" />
+            <div className="ml-3 text-sm text-red-700 dark:text-red-300">
+              {getErrorMessage(error, 'Failed to load rebalancing suggestions')}
+            </div>
+          </div>
+        </div>
+      ) : proposal && (
+        <>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white flex items-center">
+                  <Scale className="h-5 w-5 mr-2 text-blue-600" />
+                  Suggested Reassignments
+                </h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {proposal.summary.overloadedBefore} of {proposal.summary.members} members over {proposal.threshold}%,{' '}
+                  {overloadedAfter} after the selected moves
+                </p>
+              </div>
+              <button
+                onClick={() => applyMutation.mutate()}
+                disabled={accepted.length === 0 || applyMutation.isPending}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Apply {accepted.length} {accepted.length === 1 ? 'move' : 'moves'}
+              </button>
+            </div>
+
+            {suggestions.length === 0 ? (
+              <div className="px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                {proposal.summary.overloadedBefore === 0
+                  ? 'Nobody is over the threshold in this range'
+                  : 'No reassignment lowers the overload without pushing someone else over the threshold'}
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {suggestions.map(suggestion => (
+                  <li key={suggestion.id} className="px-6 py-3 flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(suggestion.id)}
+                      onChange={() => toggle(suggestion.id)}
+                      className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <div className="flex-1 text-sm">
+                      <div className="flex flex-wrap items-center gap-2 text-gray-900 dark:text-white">
+                        <span className="font-medium">
+                          {suggestion.type === 'subtask' ? suggestion.subtaskTitle : `${suggestion.role} role`}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400">on {suggestion.courseTitle}</span>
+                        <span className="inline-flex items-center gap-1">
+                          {suggestion.fromUserName}
+                          <ArrowRight className="h-3 w-3" />
+                          {suggestion.toUserName}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400">{suggestion.hours}h</span>
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">{suggestion.reason}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {proposal.summary.unresolved.length > 0 && (
+              <div className="px-6 py-3 bg-yellow-50 dark:bg-yellow-900/20 text-sm text-yellow-800 dark:text-yellow-300">
+                Still over the threshold after all suggestions:{' '}
+                {proposal.summary.unresolved.map(member => `${member.name} (${member.excessHours}h)`).join(', ')}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            <RebalancingHeatmap title="Before" members={proposal.before} weeks={proposal.weeks} threshold={proposal.threshold} />
+            <RebalancingHeatmap title="After selected moves" members={after} weeks={proposal.weeks} threshold={proposal.threshold} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkloadRebalancing;
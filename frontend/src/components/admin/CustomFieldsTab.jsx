@@ -17,7 +17,6 @@ import {
   Calendar,
   BookOpen,
   FolderOpen,
-  User,
   Package
 } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -40,13 +39,7 @@ const ENTITY_TYPES = [
     description: 'Custom fields for programs and clients'
   },
   { 
-    type: 'user', 
-    label: 'Users', 
-    icon: User,
-    description: 'Custom fields for user profiles'
-  },
-  { 
-    type: 'task', 
+    type: 'subtask', 
     label: 'Tasks', 
     icon: Package,
     description: 'Custom fields for course tasks'
@@ -119,12 +112,12 @@ export default function CustomFieldsTab() {
   // Fetch custom fields for selected entity type
   const { data: fieldsData, isLoading } = useQuery({
     queryKey: ['custom-fields', selectedEntityType],
-    queryFn: () => customFields.getByEntity(selectedEntityType),
+    queryFn: () => customFields.getDefinitions(selectedEntityType),
   });
 
   // Create field mutation
   const createFieldMutation = useMutation({
-    mutationFn: customFields.create,
+    mutationFn: customFields.createDefinition,
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Custom field created successfully');
@@ -137,7 +130,7 @@ export default function CustomFieldsTab() {
 
   // Update field mutation
   const updateFieldMutation = useMutation({
-    mutationFn: ({ id, data }) => customFields.update(id, data),
+    mutationFn: ({ id, data }) => customFields.updateDefinition(id, data),
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Custom field updated successfully');
@@ -149,7 +142,7 @@ export default function CustomFieldsTab() {
 
   // Delete field mutation
   const deleteFieldMutation = useMutation({
-    mutationFn: customFields.delete,
+    mutationFn: customFields.deleteDefinition,
     onSuccess: () => {
       queryClient.invalidateQueries(['custom-fields']);
       toast.success('Custom field deleted successfully');
@@ -159,7 +152,7 @@ export default function CustomFieldsTab() {
     },
   });
 
-  const fields = fieldsData?.data || [];
+  const fields = fieldsData?.data?.data || [];
   const selectedEntity = ENTITY_TYPES.find(entity => entity.type === selectedEntityType);
 
   const handleToggleActive = (fieldId, isActive) => {
@@ -0,0 +1,293 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { Copy, Link2, Mail, Plus, UserX, X } from 'lucide-react';
+import { courses, externalReviewers } from '../../lib/api';
+import { formatDate, formatDateTime } from '../../lib/utils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/Card';
+import { Button } from '../ui/Button';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const emptyInvite = { name: '', email: '', courseIds: [] };
+
+// Client reviewers and SMEs outside the team. They only see the courses assigned here,
+// through the review portal, and sign in with emailed single-use links.
+export default function ExternalReviewersTab() {
+  const queryClient = useQueryClient();
+  const [showInvite, setShowInvite] = useState(false);
+  const [invite, setInvite] = useState(emptyInvite);
+  const [courseToAssign, setCourseToAssign] = useState({});
+  const [lastLink, setLastLink] = useState(null);
+
+  const { data: reviewers = [], isLoading } = useQuery({
+    queryKey: ['external-reviewers'],
+    queryFn: async () => {
+      const response = await externalReviewers.getAll();
+      return response.data.data;
+    }
+  });
+
+  const { data: courseOptions = [] } = useQuery({
+    queryKey: ['external-review-course-options'],
+    queryFn: async () => {
+      const response = await courses.getAll({ limit: 1000 });
+      return response.data?.data?.courses || response.data?.courses || [];
+    }
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['external-reviewers'] });
+
+  const onLinkCreated = (reviewer, link) => {
+    setLastLink({ reviewerName: reviewer.name, ...link });
+    toast.success(link.emailed ? `Sign-in link emailed to ${reviewer.email}` : 'Sign-in link created');
+  };
+
+  const inviteMutation = useMutation({
+    mutationFn: (data) => externalReviewers.invite(data),
+    onSuccess: (response) => {
+      const { reviewer, link } = response.data.data;
+      onLinkCreated(reviewer, link);
+      setShowInvite(false);
+      setInvite(emptyInvite);
+      refresh();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to invite reviewer'))
+  });
+
+  const linkMutation = useMutation({
+    mutationFn: (reviewer) => externalReviewers.sendLoginLink(reviewer.id),
+    onSuccess: (response, reviewer) => onLinkCreated(reviewer, response.data.data),
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to create sign-in link'))
+  });
+
+  const assignMutation = useMutation({
+    mutationFn: ({ reviewerId, courseId }) => externalReviewers.assignCourse(reviewerId, courseId),
+    onSuccess: (response, { reviewerId }) => {
+      setCourseToAssign(prev => ({ ...prev, [reviewerId]: '' }));
+      refresh();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to assign course'))
+  });
+
+  const unassignMutation = useMutation({
+    mutationFn: ({ reviewerId, courseId }) => externalReviewers.unassignCourse(reviewerId, courseId),
+    onSuccess: refresh,
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove course'))
+  });
+
+  const deactivateMutation = useMutation({
+    mutationFn: (id) => externalReviewers.deactivate(id),
+    onSuccess: () => {
+      toast.success('Reviewer deactivated');
+      refresh();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to deactivate reviewer'))
+  });
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    inviteMutation.mutate(invite);
+  };
+
+  const handleDeactivate = (reviewer) => {
+    if (window.confirm(`Deactivate ${reviewer.name}? They will lose access to the review portal.`)) {
+      deactivateMutation.mutate(reviewer.id);
+    }
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(lastLink.url);
+    toast.success('Link copied to clipboard');
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <div>
+            <CardTitle>External Reviewers</CardTitle>
+            <CardDescription>
+              Client reviewers and SMEs who review deliverables, comment and sign off through the review portal
+            </CardDescription>
+          </div>
+          <Button onClick={() => setShowInvite(!showInvite)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Invite Reviewer
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {lastLink && (
+          <div className="mb-6 p-4 rounded-lg bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800">
+            <div className="flex justify-between items-start">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  Sign-in link for {lastLink.reviewerName}
+                </p>
+                <p className="text-xs text-gray-600 dark:text-gray-400 mt-1">
+                  Single use, expires {formatDateTime(lastLink.expiresAt)}
+                </p>
+                <p className="text-xs font-mono text-gray-700 dark:text-gray-300 mt-2 truncate">{lastLink.url}</p>
+              </div>
+              <div className="flex items-center space-x-1 ml-4">
+                <Button variant="ghost" size="icon" onClick={copyLink}>
+                  <Copy className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => setLastLink(null)}>
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showInvite && (
+          <form onSubmit={handleInvite} className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  required
+                  value={invite.name}
+                  onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
+                <input
+                  type="email"
+                  required
+                  value={invite.email}
+                  onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Courses</label>
+              <select
+                multiple
+                value={invite.courseIds.map(String)}
+                onChange={(e) => setInvite({
+                  ...invite,
+                  courseIds: Array.from(e.target.selectedOptions, option => parseInt(option.value))
+                })}
+                className={`${inputClass} h-32`}
+              >
+                {courseOptions.map(course => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => setShowInvite(false)}>Cancel</Button>
+              <Button type="submit" disabled={inviteMutation.isPending}>
+                <Mail className="h-4 w-4 mr-2" />
+                {inviteMutation.isPending ? 'Inviting...' : 'Invite and Email Link'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="text-center py-8 text-gray-600 dark:text-gray-300">Loading reviewers...</div>
+        ) : reviewers.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            <p className="text-lg mb-2">No external reviewers yet</p>
+            <p className="text-sm">Invite a client reviewer or SME to give them access to their courses</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reviewers.map(reviewer => {
+              const assignedIds = new Set(reviewer.courses.map(course => course.id));
+              return (
+                <div
+                  key={reviewer.id}
+                  className={`p-4 border border-gray-200 dark:border-gray-700 rounded-lg ${reviewer.active ? '' : 'opacity-60'}`}
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        {reviewer.name}
+                        {!reviewer.active && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">Deactivated</span>}
+                      </p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{reviewer.email}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {reviewer.last_login ? `Last sign-in ${formatDate(reviewer.last_login)}` : 'Never signed in'}
+                      </p>
+                    </div>
+                    {reviewer.active && (
+                      <div className="flex items-center space-x-2">
+                        <Button variant="outline" size="sm" onClick={() => linkMutation.mutate(reviewer)} disabled={linkMutation.isPending}>
+                          <Link2 className="h-4 w-4 mr-2" />
+                          Send Link
+                        </Button>
+                        <Button variant="ghost" size="icon" onClick={() => handleDeactivate(reviewer)}>
+                          <UserX className="h-4 w-4 text-red-600 dark:text-red-400" />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {reviewer.courses.map(course => (
+                      <span
+                        key={course.id}
+                        className="inline-flex items-center px-2 py-1 rounded-md text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                      >
+                        {course.title}
+                        {reviewer.active && (
+                          <button
+                            onClick={() => unassignMutation.mutate({ reviewerId: reviewer.id, courseId: course.id })}
+                            className="ml-1 text-gray-400 hover:text-red-600"
+                          >
+                            <X className="h-3 w-3" />
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                    {reviewer.courses.length === 0 && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">No courses assigned</span>
+                    )}
+                  </div>
+
+                  {reviewer.active && (
+                    <div className="mt-3 flex items-center space-x-2">
+                      <select
+                        value={courseToAssign[reviewer.id] || ''}
+                        onChange={(e) => setCourseToAssign(prev => ({ ...prev, [reviewer.id]: e.target.value }))}
+                        className="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      >
+                        <option value="">Add a course...</option>
+                        {courseOptions.filter(course => !assignedIds.has(course.id)).map(course => (
+                          <option key={course.id} value={course.id}>{course.title}</option>
+                        ))}
+                      </select>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={!courseToAssign[reviewer.id] || assignMutation.isPending}
+                        onClick={() => assignMutation.mutate({
+                          reviewerId: reviewer.id,
+                          courseId: parseInt(courseToAssign[reviewer.id])
+                        })}
+                      >
+                        Assign
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
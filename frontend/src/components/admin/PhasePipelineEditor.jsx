@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowDown, ArrowUp, Plus, Save, Trash2, Workflow } from 'lucide-react';
+import { modalities, phaseStatuses } from '../../lib/api';
+import { Button } from '../ui/Button';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+// Ordered phase statuses a subtask of the modality moves through. Each phase gets its own
+// start and end date, so adding a phase here needs no code or schema change.
+export default function PhasePipelineEditor({ modality, modalityName }) {
+  const queryClient = useQueryClient();
+  const [phases, setPhases] = useState([]);
+  const [phaseToAdd, setPhaseToAdd] = useState('');
+
+  const { data: pipeline, isLoading } = useQuery({
+    queryKey: ['modality-pipeline', modality],
+    queryFn: async () => {
+      const response = await modalities.getPipeline(modality);
+      return response.data.data;
+    },
+    enabled: !!modality
+  });
+
+  const { data: statusesData } = useQuery({
+    queryKey: ['admin-phase-statuses'],
+    queryFn: async () => {
+      const response = await phaseStatuses.getAll({ includeInactive: 'true' });
+      return response.data.data;
+    }
+  });
+
+  useEffect(() => {
+    if (pipeline) {
+      setPhases(pipeline.phases.map(phase => phase.value));
+    }
+  }, [pipeline]);
+
+  const updateMutation = useMutation({
+    mutationFn: () => modalities.updatePipeline(modality, phases),
+    onSuccess: () => {
+      toast.success('Pipeline saved');
+      queryClient.invalidateQueries({ queryKey: ['modality-pipeline', modality] });
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to save pipeline'));
+    }
+  });
+
+  const datedStatuses = (statusesData || []).filter(status => status.isActive && status.tracksDates);
+  const statusByValue = new Map(datedStatuses.map(status => [status.value, status]));
+  const available = datedStatuses.filter(status => !phases.includes(status.value));
+  const isDirty = pipeline && phases.join(',') !== pipeline.phases.map(phase => phase.value).join(',');
+
+  const move = (index, offset) => {
+    setPhases(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addPhase = () => {
+    if (!phaseToAdd) return;
+    // A terminal phase always stays last
+    setPhases(prev => {
+      const terminalIndex = prev.findIndex(value => statusByValue.get(value)?.isTerminal);
+      if (terminalIndex === -1 || statusByValue.get(phaseToAdd)?.isTerminal) {
+        return [...prev, phaseToAdd];
+      }
+      return [...prev.slice(0, terminalIndex), phaseToAdd, ...prev.slice(terminalIndex)];
+    });
+    setPhaseToAdd('');
+  };
+
+  return (
+    <div className="mt-8">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Status pipeline for {modalityName || modality}
+        </h3>
+        <Button onClick={() => updateMutation.mutate()} disabled={!isDirty || phases.length === 0 || updateMutation.isPending}>
+          <Save className="h-4 w-4 mr-2" />
+          {updateMutation.isPending ? 'Saving...' : 'Save Pipeline'}
+        </Button>
+      </div>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        The phase statuses subtasks of this modality go through, in order. Each phase records its own start and end date.
+        New phases are created under Phase Statuses.
+      </p>
+
+      {isLoading ? (
+        <div className="text-center py-4 text-gray-600 dark:text-gray-300">Loading pipeline...</div>
+      ) : (
+        <div className="space-y-2">
+          {phases.map((value, index) => {
+            const status = statusByValue.get(value);
+            return (
+              <div
+                key={value}
+                className="flex items-center justify-between p-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
+              >
+                <div className="flex items-center space-x-4">
+                  <span className="text-sm font-medium text-gray-500 dark:text-gray-400 w-8">{index + 1}</span>
+                  <span className={`font-medium ${status?.color || 'text-gray-900'} ${status?.darkColor || 'dark:text-white'}`}>
+                    {status?.label || value}
+                  </span>
+                  {status?.isTerminal && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">Ends the pipeline</span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-1">
+                  <Button variant="ghost" size="icon" onClick={() => move(index, -1)} disabled={index === 0 || status?.isTerminal}>
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => move(index, 1)}
+                    disabled={index === phases.length - 1 || statusByValue.get(phases[index + 1])?.isTerminal}
+                  >
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setPhases(prev => prev.filter(item => item !== value))}
+                    disabled={phases.length === 1}
+                  >
+                    <Trash2 className="h-4 w-4 text-red-600 dark:text-red-400" />
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+
+          {phases.length === 0 && (
+            <div className="text-center py-6 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg">
+              <Workflow className="h-10 w-10 mx-auto mb-2 text-gray-400" />
+              <p className="text-gray-500 dark:text-gray-400">Add at least one phase</p>
+            </div>
+          )}
+
+          {available.length > 0 && (
+            <div className="flex items-center space-x-2 pt-2">
+              <select
+                value={phaseToAdd}
+                onChange={(e) => setPhaseToAdd(e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                <option value="">Select a phase...</option>
+                {available.map(status => (
+                  <option key={status.value} value={status.value}>{status.label}</option>
+                ))}
+              </select>
+              <Button variant="outline" onClick={addPhase} disabled={!phaseToAdd}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add to Pipeline
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,490 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { format, addDays } from 'date-fns';
+import { Plus, Star, Trash2, X } from 'lucide-react';
+import { teams, users, workingCalendars, timeOff } from '../../lib/api';
+import { formatDate } from '../../lib/utils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/Card';
+import { Button } from '../ui/Button';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+// 0 = Sunday, matching the backend
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const emptyCalendar = { name: '', region: '', workingDays: [1, 2, 3, 4, 5] };
+const emptyHoliday = { date: '', name: '' };
+const emptyTimeOff = { userId: '', startDate: '', endDate: '', hoursPerDay: '', reason: '' };
+
+// Holiday calendars per region, the team each one applies to, and individual time off.
+// Capacity in the resource heatmap and suggested due dates are computed from these.
+export default function WorkingCalendarsTab() {
+  const queryClient = useQueryClient();
+  const [selectedId, setSelectedId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newCalendar, setNewCalendar] = useState(emptyCalendar);
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [newHoliday, setNewHoliday] = useState(emptyHoliday);
+  const [newTimeOff, setNewTimeOff] = useState(emptyTimeOff);
+
+  const { data: calendars = [], isLoading } = useQuery({
+    queryKey: ['working-calendars'],
+    queryFn: async () => {
+      const response = await workingCalendars.getAll();
+      return response.data.data;
+    }
+  });
+
+  const selected = calendars.find(calendar => calendar.id === selectedId) || calendars[0];
+
+  const { data: calendarDetail } = useQuery({
+    queryKey: ['working-calendars', selected?.id, year],
+    queryFn: async () => {
+      const response = await workingCalendars.getById(selected.id, { year });
+      return response.data.data;
+    },
+    enabled: !!selected
+  });
+
+  const { data: teamOptions = [] } = useQuery({
+    queryKey: ['working-calendar-teams'],
+    queryFn: async () => {
+      const response = await teams.getAll();
+      return response.data.data;
+    }
+  });
+
+  const { data: userOptions = [] } = useQuery({
+    queryKey: ['working-calendar-users'],
+    queryFn: async () => {
+      const response = await users.getAll({ limit: 1000 });
+      return response.data.data?.users || [];
+    }
+  });
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const { data: timeOffEntries = [] } = useQuery({
+    queryKey: ['time-off', today],
+    queryFn: async () => {
+      const response = await timeOff.getAll({
+        startDate: today,
+        endDate: format(addDays(new Date(), 180), 'yyyy-MM-dd')
+      });
+      return response.data.data;
+    }
+  });
+
+  const refreshCalendars = () => queryClient.invalidateQueries({ queryKey: ['working-calendars'] });
+
+  const createMutation = useMutation({
+    mutationFn: (data) => workingCalendars.create(data),
+    onSuccess: (response) => {
+      toast.success('Calendar created');
+      setShowCreate(false);
+      setNewCalendar(emptyCalendar);
+      setSelectedId(response.data.data.id);
+      refreshCalendars();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to create calendar'))
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, updates }) => workingCalendars.update(id, updates),
+    onSuccess: refreshCalendars,
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to update calendar'))
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => workingCalendars.delete(id),
+    onSuccess: () => {
+      toast.success('Calendar deleted');
+      setSelectedId(null);
+      refreshCalendars();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete calendar'))
+  });
+
+  const addHolidayMutation = useMutation({
+    mutationFn: ({ id, holiday }) => workingCalendars.addHolidays(id, [holiday]),
+    onSuccess: () => {
+      setNewHoliday(emptyHoliday);
+      refreshCalendars();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to add holiday'))
+  });
+
+  const removeHolidayMutation = useMutation({
+    mutationFn: ({ id, holidayId }) => workingCalendars.removeHoliday(id, holidayId),
+    onSuccess: refreshCalendars,
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove holiday'))
+  });
+
+  const teamCalendarMutation = useMutation({
+    mutationFn: ({ teamId, calendarId }) => workingCalendars.setTeamCalendar(teamId, calendarId),
+    onSuccess: refreshCalendars,
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to assign calendar'))
+  });
+
+  const createTimeOffMutation = useMutation({
+    mutationFn: (data) => timeOff.create(data),
+    onSuccess: () => {
+      toast.success('Time off added');
+      setNewTimeOff(emptyTimeOff);
+      queryClient.invalidateQueries({ queryKey: ['time-off'] });
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to add time off'))
+  });
+
+  const deleteTimeOffMutation = useMutation({
+    mutationFn: (id) => timeOff.delete(id),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['time-off'] }),
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove time off'))
+  });
+
+  const toggleWorkingDay = (calendar, day) => {
+    const workingDays = calendar.workingDays.includes(day)
+      ? calendar.workingDays.filter(d => d !== day)
+      : [...calendar.workingDays, day];
+    if (workingDays.length === 0) {
+      toast.error('A calendar needs at least one working day');
+      return;
+    }
+    updateMutation.mutate({ id: calendar.id, updates: { workingDays } });
+  };
+
+  const handleDelete = (calendar) => {
+    if (window.confirm(`Delete "${calendar.name}"? Teams and users on it fall back to the default calendar.`)) {
+      deleteMutation.mutate(calendar.id);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate(newCalendar);
+  };
+
+  const handleAddHoliday = (e) => {
+    e.preventDefault();
+    addHolidayMutation.mutate({ id: selected.id, holiday: newHoliday });
+  };
+
+  const handleAddTimeOff = (e) => {
+    e.preventDefault();
+    createTimeOffMutation.mutate({
+      userId: parseInt(newTimeOff.userId),
+      startDate: newTimeOff.startDate,
+      endDate: newTimeOff.endDate,
+      hoursPerDay: newTimeOff.hoursPerDay ? parseFloat(newTimeOff.hoursPerDay) : null,
+      reason: newTimeOff.reason
+    });
+  };
+
+  // Teams without an explicit calendar use the default one
+  const calendarByTeam = new Map();
+  calendars.forEach(calendar => calendar.teams.forEach(team => calendarByTeam.set(team.id, calendar.id)));
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <div>
+              <CardTitle>Working Calendars</CardTitle>
+              <CardDescription>
+                Working days and holidays per region. Teams use the default calendar unless one is assigned.
+              </CardDescription>
+            </div>
+            <Button onClick={() => setShowCreate(!showCreate)}>
+              <Plus className="h-4 w-4 mr-2" />
+              New Calendar
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {showCreate && (
+            <form onSubmit={handleCreate} className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg flex flex-wrap items-end gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  required
+                  value={newCalendar.name}
+                  onChange={(e) => setNewCalendar({ ...newCalendar, name: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Region</label>
+                <input
+                  type="text"
+                  value={newCalendar.region}
+                  onChange={(e) => setNewCalendar({ ...newCalendar, region: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex space-x-2">
+                <Button type="button" variant="outline" onClick={() => setShowCreate(false)}>Cancel</Button>
+                <Button type="submit" disabled={createMutation.isPending}>Create</Button>
+              </div>
+            </form>
+          )}
+
+          {isLoading ? (
+            <div className="text-center py-8 text-gray-600 dark:text-gray-300">Loading calendars...</div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="space-y-2">
+                {calendars.map(calendar => (
+                  <button
+                    key={calendar.id}
+                    onClick={() => setSelectedId(calendar.id)}
+                    className={`w-full text-left p-3 rounded-lg border ${
+                      selected?.id === calendar.id
+                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                        : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900 dark:text-white">{calendar.name}</span>
+                      {calendar.isDefault && <Star className="h-4 w-4 text-yellow-500" />}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {calendar.region || 'No region'} · {calendar.holidayCount} holidays · {calendar.teams.length} teams
+                    </p>
+                  </button>
+                ))}
+              </div>
+
+              {selected && (
+                <div className="lg:col-span-2 space-y-6">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="text-lg font-medium text-gray-900 dark:text-white">{selected.name}</h3>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {selected.isDefault ? 'Default calendar' : selected.region || 'No region'}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {!selected.isDefault && (
+                        <>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => updateMutation.mutate({ id: selected.id, updates: { isDefault: true } })}
+                          >
+                            Make Default
+                          </Button>
+                          <Button variant="ghost" size="icon" onClick={() => handleDelete(selected)}>
+                            <Trash2 className="h-4 w-4 text-red-600 dark:text-red-400" />
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Working days</p>
+                    <div className="flex flex-wrap gap-2">
+                      {WEEKDAYS.map(day => (
+                        <button
+                          key={day.value}
+                          onClick={() => toggleWorkingDay(selected, day.value)}
+                          disabled={updateMutation.isPending}
+                          className={`px-3 py-1.5 rounded-md text-sm border ${
+                            selected.workingDays.includes(day.value)
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+                          }`}
+                        >
+                          {day.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Holidays</p>
+                      <select
+                        value={year}
+                        onChange={(e) => setYear(parseInt(e.target.value))}
+                        className={inputClass}
+                      >
+                        {[-1, 0, 1, 2].map(offset => {
+                          const option = new Date().getFullYear() + offset;
+                          return <option key={option} value={option}>{option}</option>;
+                        })}
+                      </select>
+                    </div>
+                    <div className="space-y-1">
+                      {(calendarDetail?.holidays || []).map(holiday => (
+                        <div key={holiday.id} className="flex items-center justify-between px-3 py-2 rounded-md bg-gray-50 dark:bg-gray-800">
+                          <span className="text-sm text-gray-900 dark:text-white">
+                            {formatDate(holiday.date)} · {holiday.name}
+                          </span>
+                          <button
+                            onClick={() => removeHolidayMutation.mutate({ id: selected.id, holidayId: holiday.id })}
+                            className="text-gray-400 hover:text-red-600"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ))}
+                      {calendarDetail?.holidays?.length === 0 && (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">No holidays in {year}</p>
+                      )}
+                    </div>
+                    <form onSubmit={handleAddHoliday} className="mt-3 flex flex-wrap items-center gap-2">
+                      <input
+                        type="date"
+                        required
+                        value={newHoliday.date}
+                        onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                        className={inputClass}
+                      />
+                      <input
+                        type="text"
+                        required
+                        placeholder="Holiday name"
+                        value={newHoliday.name}
+                        onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                        className={inputClass}
+                      />
+                      <Button type="submit" variant="outline" size="sm" disabled={addHolidayMutation.isPending}>
+                        Add Holiday
+                      </Button>
+                    </form>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Team Calendars</CardTitle>
+          <CardDescription>Which calendar each team works by</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-2">
+            {teamOptions.map(team => (
+              <div key={team.id} className="flex items-center justify-between">
+                <span className="text-sm text-gray-900 dark:text-white">{team.name}</span>
+                <select
+                  value={calendarByTeam.get(team.id) || ''}
+                  onChange={(e) => teamCalendarMutation.mutate({
+                    teamId: team.id,
+                    calendarId: e.target.value ? parseInt(e.target.value) : null
+                  })}
+                  className={inputClass}
+                >
+                  <option value="">Default calendar</option>
+                  {calendars.map(calendar => (
+                    <option key={calendar.id} value={calendar.id}>{calendar.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Time Off</CardTitle>
+          <CardDescription>
+            Upcoming time off for the next six months, leave hours empty for full days. Time off recorded here is approved right away.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleAddTimeOff} className="mb-4 flex flex-wrap items-center gap-2">
+            <select
+              required
+              value={newTimeOff.userId}
+              onChange={(e) => setNewTimeOff({ ...newTimeOff, userId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Select a person...</option>
+              {userOptions.map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              required
+              value={newTimeOff.startDate}
+              onChange={(e) => setNewTimeOff({ ...newTimeOff, startDate: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="date"
+              required
+              min={newTimeOff.startDate}
+              value={newTimeOff.endDate}
+              onChange={(e) => setNewTimeOff({ ...newTimeOff, endDate: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="0.25"
+              max="24"
+              step="0.25"
+              placeholder="Hours/day"
+              value={newTimeOff.hoursPerDay}
+              onChange={(e) => setNewTimeOff({ ...newTimeOff, hoursPerDay: e.target.value })}
+              className={`${inputClass} w-28`}
+            />
+            <input
+              type="text"
+              placeholder="Reason"
+              value={newTimeOff.reason}
+              onChange={(e) => setNewTimeOff({ ...newTimeOff, reason: e.target.value })}
+              className={inputClass}
+            />
+            <Button type="submit" variant="outline" size="sm" disabled={createTimeOffMutation.isPending}>
+              Add Time Off
+            </Button>
+          </form>
+
+          {timeOffEntries.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No upcoming time off</p>
+          ) : (
+            <div className="space-y-1">
+              {timeOffEntries.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between px-3 py-2 rounded-md bg-gray-50 dark:bg-gray-800">
+                  <span className="text-sm text-gray-900 dark:text-white">
+                    {entry.user_name} · {formatDate(entry.start_date)}
+                    {entry.end_date !== entry.start_date && ` – ${formatDate(entry.end_date)}`}
+                    {entry.hours_per_day ? ` · ${entry.hours_per_day}h/day` : ''}
+                    {entry.status !== 'approved' && ` · ${entry.status}`}
+                    {entry.reason && <span className="text-gray-500 dark:text-gray-400"> · {entry.reason}</span>}
+                  </span>
+                  <button
+                    onClick={() => deleteTimeOffMutation.mutate(entry.id)}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
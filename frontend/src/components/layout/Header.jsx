@@ -15,6 +15,7 @@ import {
   Moon 
 } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth.jsx';
+import { useRealtimeChannel } from '../../contexts/RealtimeContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { notifications } from '../../lib/api';
 import { Button } from '../ui/Button';
@@ -35,11 +36,18 @@ export function Header({ onMenuClick, user }) {
     changeTheme(isDark ? 'light' : 'dark');
   };
 
+  // New notifications are pushed over the realtime stream
+  const realtimeConnected = useRealtimeChannel(user?.id ? `user:${user.id}` : null, (event) => {
+    if (event === 'notification_created') {
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    }
+  });
+
   // Fetch recent notifications for the header dropdown
   const { data: notificationsData } = useQuery({
     queryKey: ['notifications', 'recent'],
     queryFn: () => notifications.getAll({ limit: 5, unreadOnly: true }),
-    refetchInterval: 30000 // Refetch every 30 seconds
+    refetchInterval: realtimeConnected ? false : 30000 // Poll every 30 seconds while the stream is down
   });
 
   const recentNotifications = notificationsData?.data?.notifications || [];
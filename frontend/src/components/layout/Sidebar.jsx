@@ -15,6 +15,12 @@ import {
   Brain,
   Grid3X3,
   UserCheck,
+  Timer,
+  Receipt,
+  GanttChart,
+  KanbanSquare,
+  CalendarDays,
+  Plane,
   X
 } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth.jsx';
@@ -47,18 +53,55 @@ const navigation = [
     icon: ClipboardList,
     permissions: ['courses.view'] // Same permission as courses since it shows course assignments
   },
+  {
+    name: 'Timeline',
+    href: '/timeline',
+    icon: GanttChart,
+    permissions: ['courses.view']
+  },
+  {
+    name: 'Board',
+    href: '/board',
+    icon: KanbanSquare,
+    permissions: ['courses.view']
+  },
+  {
+    name: 'Calendar',
+    href: '/calendar',
+    icon: CalendarDays,
+    permissions: ['courses.view']
+  },
   // {
   //   name: 'Resources',
   //   href: '/resources',
   //   icon: UserCheck,
   //   permissions: ['resources.view']
   // },
-  // {
-  //   name: 'Chat',
-  //   href: '/chat',
-  //   icon: MessageCircle,
-  //   permissions: ['chat.access']
-  // },
+  {
+    name: 'Chat',
+    href: '/chat',
+    icon: MessageCircle,
+    permissions: [] // Everyone can chat with their team and courses
+  },
+  {
+    name: 'Timesheets',
+    href: '/timesheets',
+    icon: Timer,
+    permissions: [] // Everyone submits their own time, managers also approve
+  },
+  {
+    name: 'Time Off',
+    href: '/time-off',
+    icon: Plane,
+    permissions: [] // Everyone requests their own time off, managers also approve
+  },
+  {
+    name: 'Billing',
+    href: '/billing',
+    icon: Receipt,
+    permissions: [],
+    roles: ['admin', 'manager']
+  },
   // {
   //   name: 'AI Insights',
   //   href: '/ai-insights',
@@ -116,6 +159,10 @@ export function Sidebar({ isOpen, isVisible, isCollapsed, onClose }) {
 
   // Filter navigation items based on user permissions
   const filteredNavigation = navigation.filter(item => {
+    // Items limited to roles (e.g. manager-only reports)
+    if (item.roles && !item.roles.includes(user?.role)) {
+      return false;
+    }
     // If no permissions required, show to everyone
     if (!item.permissions || item.permissions.length === 0) {
       return true;
@@ -0,0 +1,212 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { auth, getApiUrl, realtime } from '../lib/api';
+
+const RealtimeContext = createContext();
+
+const MAX_RETRY_DELAY = 30000;
+
+// Parse one Server-Sent Events block ("event: x\ndata: {...}")
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  try {
+    return { event, payload: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+export function RealtimeProvider({ children }) {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const connectionIdRef = useRef(null);
+  const streamChannelsRef = useRef(new Set());
+  const handlersRef = useRef(new Map()); // channel -> Set of handlers
+
+  const dispatch = useCallback(({ event, payload }) => {
+    if (event === 'connected') {
+      connectionIdRef.current = payload.connectionId;
+      setConnected(true);
+
+      // Channels registered while the stream was opening
+      const pending = [...handlersRef.current.keys()].filter(channel => !streamChannelsRef.current.has(channel));
+      if (pending.length > 0) {
+        pending.forEach(channel => streamChannelsRef.current.add(channel));
+        realtime.subscribe(payload.connectionId, pending).catch(() => {});
+      }
+      return;
+    }
+
+    const handlers = handlersRef.current.get(payload?.channel);
+    if (handlers) {
+      handlers.forEach(handler => handler(event, payload.data, payload));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let retryDelay = 1000;
+    let retryTimer = null;
+
+    const connect = async () => {
+      const channels = [...handlersRef.current.keys()];
+      streamChannelsRef.current = new Set(channels);
+
+      try {
+        const response = await fetch(`${getApiUrl()}/realtime/stream?channels=${encodeURIComponent(channels.join(','))}`, {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+            Accept: 'text/event-stream'
+          },
+          signal: controller.signal
+        });
+
+        if (response.status === 401) {
+          // Any API call refreshes an expired access token through the axios interceptor
+          await auth.me();
+          throw new Error('Realtime stream unauthorized');
+        }
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Realtime stream failed with status ${response.status}`);
+        }
+
+        retryDelay = 1000;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          blocks.forEach((block) => {
+            const parsed = parseEvent(block);
+            if (parsed) {
+              dispatch(parsed);
+            }
+          });
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        console.warn('Realtime connection lost:', error.message);
+      }
+
+      connectionIdRef.current = null;
+      setConnected(false);
+
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      connectionIdRef.current = null;
+      setConnected(false);
+    };
+  }, [user, dispatch]);
+
+  const subscribe = useCallback((channel, handler) => {
+    const handlers = handlersRef.current;
+
+    if (!handlers.has(channel)) {
+      handlers.set(channel, new Set());
+
+      if (connectionIdRef.current && !streamChannelsRef.current.has(channel)) {
+        streamChannelsRef.current.add(channel);
+        realtime.subscribe(connectionIdRef.current, [channel]).catch(() => {});
+      }
+    }
+    handlers.get(channel).add(handler);
+
+    return () => {
+      const channelHandlers = handlers.get(channel);
+      if (!channelHandlers) {
+        return;
+      }
+
+      channelHandlers.delete(handler);
+      if (channelHandlers.size === 0) {
+        handlers.delete(channel);
+        streamChannelsRef.current.delete(channel);
+
+        if (connectionIdRef.current) {
+          realtime.unsubscribe(connectionIdRef.current, [channel]).catch(() => {});
+        }
+      }
+    };
+  }, []);
+
+  const value = {
+    connected,
+    subscribe
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+}
+
+export function useRealtime() {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+}
+
+/**
+ * Listen to events of a realtime channel (course:<id>, program:<id>, user:<id>)
+ * The handler receives (event, data, payload); returns whether the stream is connected.
+ */
+export function useRealtimeChannel(channel, handler) {
+  const { connected, subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!channel) {
+      return undefined;
+    }
+
+    return subscribe(channel, (...args) => handlerRef.current(...args));
+  }, [channel, subscribe]);
+
+  return connected;
+}
@@ -6,6 +6,14 @@ const API_VERSION = import.meta.env.VITE_API_VERSION || 'v1';
 // Track active GET requests so we can cancel them if needed
 const activeGetRequests = new Map();
 
+// Base URL of the versioned API, also used by the realtime event stream
+export const getApiUrl = () => {
+  // Use environment variable for API base URL in production
+  const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 
+                     (import.meta.env.DEV ? 'http://localhost:3001' : 'https://rainingpulse-api.onrender.com');
+  return `${apiBaseUrl}/api/${API_VERSION}`;
+};
+
 // Create axios instance with dynamic baseURL
 const api = axios.create({
   timeout: 30000, // 30 seconds timeout
@@ -17,10 +25,7 @@ const api = axios.create({
 // Request interceptor to add auth token and dynamic baseURL
 api.interceptors.request.use(
   (config) => {
-    // Use environment variable for API base URL in production
-    const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 
-                       (import.meta.env.DEV ? 'http://localhost:3001' : 'https://rainingpulse-api.onrender.com');
-    config.baseURL = `${apiBaseUrl}/api/${API_VERSION}`;
+    config.baseURL = getApiUrl();
     
     // Add auth token
     const token = localStorage.getItem('accessToken');
@@ -83,7 +88,7 @@ api.interceptors.response.use(
       try {
         const refreshToken = localStorage.getItem('refreshToken');
         if (refreshToken) {
-          const response = await axios.post(`${API_BASE_URL}/api/${API_VERSION}/auth/refresh`, {
+          const response = await axios.post(`${getApiUrl()}/auth/refresh`, {
             refreshToken
           });
 
@@ -158,6 +163,27 @@ export const courses = {
   addDependency: (id, dependency) =>
     api.post(`/courses/${id}/dependencies`, dependency),
   
+  removeDependency: (id, dependencyId) =>
+    api.delete(`/courses/${id}/dependencies/${dependencyId}`),
+  
+  getDependencyGraph: (id, params = {}) =>
+    api.get(`/courses/${id}/dependencies/graph`, { params }),
+  
+  getScheduleImpact: (id, params) =>
+    api.get(`/courses/${id}/schedule-impact`, { params }),
+  
+  getTimeline: (params = {}) =>
+    api.get('/courses/timeline', { params }),
+  
+  getBoard: (params = {}) =>
+    api.get('/courses/board', { params }),
+  
+  getCascades: (id) =>
+    api.get(`/courses/${id}/cascades`),
+  
+  undoCascade: (id, cascadeId) =>
+    api.post(`/courses/${id}/cascades/${cascadeId}/undo`),
+  
   // Subtask operations
   createSubtask: (courseId, subtaskData) =>
     api.post(`/courses/${courseId}/subtasks`, subtaskData),
@@ -168,6 +194,20 @@ export const courses = {
   deleteSubtask: (courseId, subtaskId) =>
     api.delete(`/courses/${courseId}/subtasks/${subtaskId}`),
 
+  // Subtask estimates (estimate vs logged time)
+  getEstimates: (courseId) =>
+    api.get(`/courses/${courseId}/estimates`),
+    
+  setSubtaskEstimate: (courseId, subtaskId, estimateData) =>
+    api.put(`/courses/${courseId}/subtasks/${subtaskId}/estimate`, estimateData),
+    
+  deleteSubtaskEstimate: (courseId, subtaskId) =>
+    api.delete(`/courses/${courseId}/subtasks/${subtaskId}/estimate`),
+
+  // Ranked assignee suggestions for a subtask
+  getAssigneeRecommendations: (courseId, subtaskId, params = {}) =>
+    api.get(`/courses/${courseId}/subtasks/${subtaskId}/assignee-recommendations`, { params }),
+
   // Phase status history operations
   updatePhaseStatusHistory: (courseId, subtaskId, historyId, dateData) =>
     api.put(`/courses/${courseId}/subtasks/${subtaskId}/phase-history/${historyId}`, dateData),
@@ -191,6 +231,9 @@ export const courses = {
     
   getModalityInfo: (modality) =>
     api.get(`/courses/modality-info/${encodeURIComponent(modality)}`),
+    
+  predictEffort: (data) =>
+    api.post('/courses/predict-effort', data),
 };
 
 export const teams = {
@@ -271,6 +314,18 @@ export const analytics = {
   getCourseBottlenecks: (courseId) =>
     api.get(`/analytics/course/${courseId}/bottlenecks`),
   
+  getEstimateVariance: (params = {}) =>
+    api.get('/analytics/estimates', { params }),
+  
+  getPhaseCycleTimes: (params = {}) =>
+    api.get('/analytics/phase-cycle-times', { params }),
+  
+  getRebalancing: (params = {}) =>
+    api.get('/analytics/workload/rebalance', { params }),
+  
+  applyRebalancing: (suggestions) =>
+    api.post('/analytics/workload/rebalance/apply', { suggestions }),
+  
   clearCache: (pattern) =>
     api.post('/analytics/cache/clear', { pattern }),
 };
@@ -518,6 +573,15 @@ export const modalities = {
   
   delete: (id) =>
     api.delete(`/modality/${id}`),
+  
+  getPipelines: () =>
+    api.get('/modality/pipelines'),
+  
+  getPipeline: (modality) =>
+    api.get(`/modality/pipelines/${encodeURIComponent(modality)}`),
+  
+  updatePipeline: (modality, phases) =>
+    api.put(`/modality/pipelines/${encodeURIComponent(modality)}`, { phases }),
 };
 
 export const modalityTasks = {
@@ -566,6 +630,19 @@ export const programs = {
   // Course operations
   duplicateCourse: (courseId, data = {}) =>
     api.post(`/programs/courses/${courseId}/duplicate`, data),
+  
+  // Billing rates
+  getBillingRates: (id) =>
+    api.get(`/programs/${id}/billing-rates`),
+  
+  createBillingRate: (id, data) =>
+    api.post(`/programs/${id}/billing-rates`, data),
+  
+  updateBillingRate: (id, rateId, data) =>
+    api.put(`/programs/${id}/billing-rates/${rateId}`, data),
+  
+  deleteBillingRate: (id, rateId) =>
+    api.delete(`/programs/${id}/billing-rates/${rateId}`),
 };
 
 export const folders = {
@@ -640,6 +717,60 @@ export const timeTracking = {
   
   getByTask: (taskId, params = {}) =>
     api.get(`/time-entries/task/${taskId}`, { params }),
+  
+  // Billing reports
+  getBillableReport: (params = {}) =>
+    api.get('/time-entries/reports/billable', { params }),
+  
+  exportBillableReport: (params = {}) =>
+    api.get('/time-entries/reports/billable', { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+  
+  getInvoiceDraft: (programId, params = {}) =>
+    api.get(`/time-entries/reports/invoice/${programId}`, { params }),
+  
+  exportInvoiceDraft: (programId, params = {}, format = 'pdf') =>
+    api.get(`/time-entries/reports/invoice/${programId}`, { params: { ...params, format }, responseType: 'blob' }),
+};
+
+export const timesheets = {
+  getWeek: (params = {}) =>
+    api.get('/timesheets/week', { params }),
+  
+  getAll: (params = {}) =>
+    api.get('/timesheets', { params }),
+  
+  getPending: () =>
+    api.get('/timesheets/pending'),
+  
+  getById: (id) =>
+    api.get(`/timesheets/${id}`),
+  
+  submit: (weekStart, notes = null) =>
+    api.post('/timesheets/submit', { weekStart, notes }),
+  
+  approve: (id, comment = null) =>
+    api.post(`/timesheets/${id}/approve`, { comment }),
+  
+  reject: (id, comment) =>
+    api.post(`/timesheets/${id}/reject`, { comment }),
+};
+
+export const calendar = {
+  getEvents: (params = {}) =>
+    api.get('/calendar/events', { params }),
+  
+  getFeed: () =>
+    api.get('/calendar/feed-token'),
+  
+  regenerateFeed: () =>
+    api.post('/calendar/feed-token'),
+  
+  revokeFeed: () =>
+    api.delete('/calendar/feed-token'),
+  
+  // Subscription URL for calendar apps, the token is only returned when it is generated
+  getFeedUrl: (token) =>
+    `${getApiUrl()}/calendar/feed/${token}.ics`,
 };
 
 export const comments = {
@@ -657,6 +788,9 @@ export const comments = {
   
   reply: (parentId, data) =>
     api.post(`/comments/${parentId}/reply`, data),
+  
+  getMentionableUsers: (entityType, entityId, params = {}) =>
+    api.get(`/comments/mentions/${entityType}/${entityId}`, { params }),
 };
 
 export const activities = {
@@ -671,13 +805,14 @@ export const activities = {
 };
 
 export const attachments = {
-  upload: (entityType, entityId, file, onProgress) => {
+  upload: (entityType, entityId, file, onProgress, versionOptions = {}) => {
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('entityType', entityType);
-    formData.append('entityId', entityId);
+    Object.entries(versionOptions).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
     
-    return api.post('/attachments', formData, {
+    return api.post(`/attachments/${entityType}/${entityId}`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -693,6 +828,12 @@ export const attachments = {
   
   download: (id) =>
     api.get(`/attachments/${id}/download`, { responseType: 'blob' }),
+  
+  getVersions: (id) =>
+    api.get(`/attachments/${id}/versions`),
+  
+  restoreVersion: (id) =>
+    api.post(`/attachments/${id}/restore`),
 };
 
 export const customFields = {
@@ -715,6 +856,9 @@ export const customFields = {
   
   updateValues: (entityType, entityId, values) =>
     api.put(`/custom-fields/values/${entityType}/${entityId}`, { values }),
+  
+  updateValue: (entityType, entityId, fieldId, value) =>
+    api.put(`/custom-fields/values/${entityType}/${entityId}/${fieldId}`, { value }),
 };
 
 export const automation = {
@@ -735,7 +879,203 @@ export const automation = {
   
   getLogs: (ruleId, params = {}) =>
     api.get(`/automation/logs/${ruleId}`, { params }),
+  
+  dryRun: (id, event) =>
+    api.post(`/automation/rules/${id}/dry-run`, event),
 };
 
+export const chats = {
+  getAll: (params = {}) =>
+    api.get('/chats', { params }),
+  
+  getById: (id) =>
+    api.get(`/chats/${id}`),
+  
+  create: (data) =>
+    api.post('/chats', data),
+  
+  update: (id, data) =>
+    api.put(`/chats/${id}`, data),
+  
+  searchUsers: (search = '') =>
+    api.get('/chats/users', { params: { search } }),
+  
+  openCourseChannel: (courseId) =>
+    api.post(`/chats/course/${courseId}`),
+  
+  openTeamChannel: (teamId) =>
+    api.post(`/chats/team/${teamId}`),
+  
+  addParticipants: (id, userIds) =>
+    api.post(`/chats/${id}/participants`, { userIds }),
+  
+  removeParticipant: (id, userId) =>
+    api.delete(`/chats/${id}/participants/${userId}`),
+  
+  markAsRead: (id, messageId = null) =>
+    api.post(`/chats/${id}/read`, { messageId }),
+};
+
+export const messages = {
+  getByChatId: (chatId, params = {}) =>
+    api.get(`/chats/${chatId}/messages`, { params }),
+  
+  create: ({ chat_id, ...data }) =>
+    api.post(`/chats/${chat_id}/messages`, data),
+  
+  update: (id, data) =>
+    api.put(`/chats/messages/${id}`, data),
+  
+  delete: (id) =>
+    api.delete(`/chats/messages/${id}`),
+};
+
+// Realtime push (Server-Sent Events stream, see RealtimeContext)
+export const realtime = {
+  subscribe: (connectionId, channels) =>
+    api.post('/realtime/subscriptions', { connectionId, channels }),
+  
+  unsubscribe: (connectionId, channels) =>
+    api.delete('/realtime/subscriptions', { data: { connectionId, channels } }),
+};
+
+export const externalReviewers = {
+  getAll: () =>
+    api.get('/external-reviewers'),
+  
+  invite: (data) =>
+    api.post('/external-reviewers', data),
+  
+  deactivate: (id) =>
+    api.delete(`/external-reviewers/${id}`),
+  
+  assignCourse: (id, courseId) =>
+    api.post(`/external-reviewers/${id}/courses`, { courseId }),
+  
+  unassignCourse: (id, courseId) =>
+    api.delete(`/external-reviewers/${id}/courses/${courseId}`),
+  
+  sendLoginLink: (id) =>
+    api.post(`/external-reviewers/${id}/login-link`),
+};
+
+export const workingCalendars = {
+  getAll: () =>
+    api.get('/working-calendars'),
+  
+  getById: (id, params = {}) =>
+    api.get(`/working-calendars/${id}`, { params }),
+  
+  create: (data) =>
+    api.post('/working-calendars', data),
+  
+  update: (id, updates) =>
+    api.put(`/working-calendars/${id}`, updates),
+  
+  delete: (id) =>
+    api.delete(`/working-calendars/${id}`),
+  
+  addHolidays: (id, holidays) =>
+    api.post(`/working-calendars/${id}/holidays`, { holidays }),
+  
+  removeHoliday: (id, holidayId) =>
+    api.delete(`/working-calendars/${id}/holidays/${holidayId}`),
+  
+  setTeamCalendar: (teamId, calendarId) =>
+    api.put(`/working-calendars/teams/${teamId}`, { calendarId }),
+  
+  setUserCalendar: (userId, calendarId) =>
+    api.put(`/working-calendars/users/${userId}`, { calendarId }),
+};
+
+export const timeOff = {
+  getAll: (params = {}) =>
+    api.get('/time-off', { params }),
+  
+  getPending: () =>
+    api.get('/time-off/pending'),
+  
+  create: (data) =>
+    api.post('/time-off', data),
+  
+  approve: (id, comment) =>
+    api.post(`/time-off/${id}/approve`, { comment }),
+  
+  reject: (id, comment) =>
+    api.post(`/time-off/${id}/reject`, { comment }),
+  
+  delete: (id) =>
+    api.delete(`/time-off/${id}`),
+};
+
+export const reportSubscriptions = {
+  getAll: () =>
+    api.get('/report-subscriptions'),
+  
+  create: (data) =>
+    api.post('/report-subscriptions', data),
+  
+  update: (id, updates) =>
+    api.put(`/report-subscriptions/${id}`, updates),
+  
+  delete: (id) =>
+    api.delete(`/report-subscriptions/${id}`),
+  
+  runNow: (id) =>
+    api.post(`/report-subscriptions/${id}/run`),
+  
+  getRuns: (id, params = {}) =>
+    api.get(`/report-subscriptions/${id}/runs`, { params }),
+};
+
+// Review portal for external reviewers. It keeps its own session token and never
+// touches the team session, an expired portal session just returns to the portal sign-in.
+const portalApi = axios.create({
+  timeout: 30000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+portalApi.interceptors.request.use((config) => {
+  config.baseURL = `${getApiUrl()}/portal`;
+  const token = localStorage.getItem('portalToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const portal = {
+  login: (email, password) =>
+    portalApi.post('/login', { email, password }),
+  
+  exchangeLink: (token) =>
+    portalApi.post('/session', { token }),
+  
+  requestLink: (email) =>
+    portalApi.post('/request-link', { email }),
+  
+  logout: () =>
+    portalApi.post('/logout'),
+  
+  me: () =>
+    portalApi.get('/me'),
+  
+  getCourses: () =>
+    portalApi.get('/courses'),
+  
+  getCourse: (id) =>
+    portalApi.get(`/courses/${id}`),
+  
+  addComment: (courseId, data) =>
+    portalApi.post(`/courses/${courseId}/comments`, data),
+  
+  downloadAttachment: (id) =>
+    portalApi.get(`/attachments/${id}/download`, { responseType: 'blob' }),
+  
+  signOff: (subtaskId, note) =>
+    portalApi.post(`/subtasks/${subtaskId}/signoff`, { note }),
+};
 
 export default api;
\ No newline at end of file
@@ -30,6 +30,16 @@ export const formatRelativeTime = (date) => {
   return formatDistanceToNow(parsedDate, { addSuffix: true });
 };
 
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
 export const formatDuration = (hours) => {
   if (!hours || hours < 0) return '0h';
   
@@ -171,6 +181,15 @@ export const formatCurrency = (value, currency = 'USD') => {
   });
 };
 
+// Attachment version label, e.g. "v2 · Beta Revision"
+export const formatVersionLabel = (attachment) => {
+  if (!attachment?.version_number) return '';
+  const phase = attachment.phase_status
+    ? attachment.phase_status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+    : null;
+  return phase ? `v${attachment.version_number} · ${phase}` : `v${attachment.version_number}`;
+};
+
 // Text utilities
 export const truncateText = (text, maxLength = 100) => {
   if (!text) return '';
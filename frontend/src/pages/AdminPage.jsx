@@ -26,7 +26,9 @@ import {
   Building,
   Flag,
   AlertCircle,
-  Star
+  Star,
+  ExternalLink,
+  CalendarDays
 } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
@@ -37,6 +39,9 @@ import Breadcrumb from '../components/navigation/Breadcrumb';
 import ProgramsTab from '../components/admin/ProgramsTab';
 import CustomFieldsTab from '../components/admin/CustomFieldsTab';
 import TeamsTab from '../components/admin/TeamsTab';
+import PhasePipelineEditor from '../components/admin/PhasePipelineEditor';
+import ExternalReviewersTab from '../components/admin/ExternalReviewersTab';
+import WorkingCalendarsTab from '../components/admin/WorkingCalendarsTab';
 
 // Status icons mapping
 const STATUS_ICONS = {
@@ -102,6 +107,8 @@ export default function AdminPage() {
   const { user } = useAuth();
   const { can } = usePermissions();
   const queryClient = useQueryClient();
+  const canManageReviewers = ['admin', 'manager'].includes(user?.role);
+  const canManageCalendars = user?.role === 'admin';
   
   // Tab management - default to programs tab which is first
   const [activeTab, setActiveTab] = useState('programs');
@@ -1153,6 +1160,32 @@ export default function AdminPage() {
               Teams
             </button>
           )}
+          {canManageReviewers && (
+            <button
+              onClick={() => setActiveTab('external-reviewers')}
+              className={`${
+                activeTab === 'external-reviewers'
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 dark:text-gray-400 dark:hover:text-gray-300'
+              } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center`}
+            >
+              <ExternalLink className="h-4 w-4 mr-2" />
+              External Reviewers
+            </button>
+          )}
+          {canManageCalendars && (
+            <button
+              onClick={() => setActiveTab('working-calendars')}
+              className={`${
+                activeTab === 'working-calendars'
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 dark:text-gray-400 dark:hover:text-gray-300'
+              } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center`}
+            >
+              <CalendarDays className="h-4 w-4 mr-2" />
+              Working Calendars
+            </button>
+          )}
           {can.manageSettings && (
             <button
               onClick={() => setActiveTab('custom-fields')}
@@ -1567,6 +1600,14 @@ export default function AdminPage() {
         <TeamsTab />
       )}
 
+      {activeTab === 'external-reviewers' && canManageReviewers && (
+        <ExternalReviewersTab />
+      )}
+
+      {activeTab === 'working-calendars' && canManageCalendars && (
+        <WorkingCalendarsTab />
+      )}
+
       {activeTab === 'phase-statuses' && can.manageSettings && (
         /* Phase Status Management */
         <Card>
@@ -2325,6 +2366,11 @@ export default function AdminPage() {
                 </div>
               )}
             </div>
+
+            <PhasePipelineEditor
+              modality={selectedModality}
+              modalityName={modalitiesData?.find(m => m.value === selectedModality)?.name}
+            />
             </div>
           </CardContent>
         </Card>
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { 
   BarChart3, 
   TrendingUp, 
@@ -11,9 +12,16 @@ import {
   Activity,
   Filter,
   Download,
-  RefreshCw
+  RefreshCw,
+  Timer,
+  Hourglass,
+  Scale,
+  CalendarClock
 } from 'lucide-react';
-import { analytics } from '../lib/api';
+import { analytics, modalities, programs } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { WorkloadRebalancing } from '../components/WorkloadRebalancing';
+import { ReportSubscriptions } from '../components/ReportSubscriptions';
 import { formatPercentage, formatDuration, getIntensityColor } from '../lib/utils';
 
 const TIME_PERIODS = [
@@ -24,6 +32,16 @@ const TIME_PERIODS = [
   { value: '1y', label: 'Last year' }
 ];
 
+const PHASE_GROUP_BY_OPTIONS = [
+  { value: 'modality', label: 'Modality' },
+  { value: 'reviewer', label: 'Reviewer' },
+  { value: 'program', label: 'Program' },
+  { value: 'month', label: 'Month' }
+];
+
+// Line colors of the phase trend chart
+const TREND_COLORS = ['#3B82F6', '#8B5CF6', '#F97316', '#EAB308', '#10B981', '#14B8A6', '#EC4899', '#6366F1'];
+
 const GROUP_BY_OPTIONS = [
   { value: 'stage', label: 'Workflow Stage' },
   { value: 'reviewer', label: 'Reviewer' },
@@ -33,6 +51,8 @@ const GROUP_BY_OPTIONS = [
 ];
 
 function AnalyticsPage() {
+  const { user } = useAuth();
+  const isManagerOrAdmin = ['admin', 'manager'].includes(user?.role);
   const [selectedTab, setSelectedTab] = useState('bottlenecks');
   const [period, setPeriod] = useState('30d');
   const [groupBy, setGroupBy] = useState('stage');
@@ -67,11 +87,26 @@ function AnalyticsPage() {
     retry: false
   });
 
+  const { 
+    data: estimatesData, 
+    isLoading: estimatesLoading,
+    error: estimatesError
+  } = useQuery({
+    queryKey: ['analytics', 'estimates', period],
+    queryFn: () => analytics.getEstimateVariance({ period }),
+    enabled: selectedTab === 'estimates',
+    retry: false
+  });
+
   const tabs = [
     { id: 'bottlenecks', label: 'Bottleneck Analysis', icon: AlertTriangle },
     { id: 'workload', label: 'Workload Analysis', icon: BarChart3 },
+    ...(isManagerOrAdmin ? [{ id: 'rebalancing', label: 'Rebalancing', icon: Scale }] : []),
     { id: 'performance', label: 'Performance Metrics', icon: TrendingUp },
-    { id: 'insights', label: 'Insights', icon: Activity }
+    { id: 'estimates', label: 'Estimate Accuracy', icon: Timer },
+    { id: 'phase-cycle', label: 'Phase Cycle Times', icon: Hourglass },
+    { id: 'insights', label: 'Insights', icon: Activity },
+    ...(isManagerOrAdmin ? [{ id: 'scheduled-reports', label: 'Scheduled Reports', icon: CalendarClock }] : [])
   ];
 
   return (
@@ -178,6 +213,9 @@ function AnalyticsPage() {
             period={period}
           />
         )}
+        {selectedTab === 'rebalancing' && isManagerOrAdmin && (
+          <WorkloadRebalancing />
+        )}
         {selectedTab === 'performance' && (
           <PerformanceMetrics 
             data={performanceData}
@@ -186,6 +224,16 @@ function AnalyticsPage() {
             period={period} 
           />
         )}
+        {selectedTab === 'estimates' && (
+          <EstimateAccuracy 
+            data={estimatesData}
+            loading={estimatesLoading}
+            error={estimatesError}
+          />
+        )}
+        {selectedTab === 'phase-cycle' && (
+          <PhaseCycleTimes period={period} />
+        )}
         {selectedTab === 'insights' && (
           <Insights 
             data={performanceData} 
@@ -194,7 +242,340 @@ function AnalyticsPage() {
             period={period} 
           />
         )}
+        {selectedTab === 'scheduled-reports' && isManagerOrAdmin && (
+          <ReportSubscriptions />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Estimate Accuracy Component
+function EstimateVarianceTable({ title, rows, labelKey, labelFallback }) {
+  const varianceColor = (value) => {
+    if (value === null || value === undefined) return 'text-gray-500 dark:text-gray-400';
+    if (Math.abs(value) <= 20) return 'text-green-600 dark:text-green-400';
+    return value > 0 ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400';
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">{title}</h3>
+      </div>
+      {rows.length === 0 ? (
+        <p className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">No estimated tasks in this period</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+              <th className="px-6 py-3"></th>
+              <th className="px-6 py-3 text-right">Tasks</th>
+              <th className="px-6 py-3 text-right">Estimated h</th>
+              <th className="px-6 py-3 text-right">Actual h</th>
+              <th className="px-6 py-3 text-right">Variance</th>
+              <th className="px-6 py-3 text-right">Avg. error</th>
+              <th className="px-6 py-3 text-right">Actual / estimate</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {rows.map((row, index) => (
+              <tr key={row[labelKey] ?? `none-${index}`} className="text-gray-900 dark:text-white">
+                <td className="px-6 py-3">{row[labelKey] ?? labelFallback}</td>
+                <td className="px-6 py-3 text-right">{row.tasks}</td>
+                <td className="px-6 py-3 text-right">{row.estimatedHours}</td>
+                <td className="px-6 py-3 text-right">{row.actualHours}</td>
+                <td className={`px-6 py-3 text-right ${varianceColor(row.variancePercent)}`}>
+                  {row.variancePercent === null ? '-' : `${row.variancePercent > 0 ? '+' : ''}${row.variancePercent}%`}
+                </td>
+                <td className="px-6 py-3 text-right">{row.meanAbsoluteError === null ? '-' : `${row.meanAbsoluteError}%`}</td>
+                <td className="px-6 py-3 text-right">{row.actualToEstimateRatio ?? '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function EstimateAccuracy({ data, loading, error }) {
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+        <div className="flex">
+          <AlertTriangle className="h-5 w-5 text-red-400" />
+          <div className="ml-3">
+            <h3 className="text-sm font-medium text-red-800 dark:text-red-200">
+              Error loading estimate accuracy
+            </h3>
+            <div className="mt-2 text-sm text-red-700 dark:text-red-300">
+              {error.message || 'Failed to load estimate data. Please try again.'}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const report = data?.data?.data;
+  const summary = report?.summary || {};
+
+  const cards = [
+    { label: 'Estimated Tasks', value: summary.tasks ?? 0 },
+    { label: 'Estimated / Actual Hours', value: `${summary.estimatedHours ?? 0} / ${summary.actualHours ?? 0}` },
+    { label: 'Average Estimate Error', value: summary.meanAbsoluteError === null || summary.meanAbsoluteError === undefined ? '-' : `${summary.meanAbsoluteError}%` },
+    { label: `Within ±${report?.metadata?.accuracyTolerancePercent ?? 20}%`, value: summary.accuracyRate === null || summary.accuracyRate === undefined ? '-' : `${summary.accuracyRate}%` }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{card.label}</p>
+            <p className="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">{card.value}</p>
+          </div>
+        ))}
       </div>
+
+      {summary.actualToEstimateRatio && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Completed tasks took {summary.actualToEstimateRatio}× their estimate overall. Use the per-modality ratio and average hours per course below to quote new courses.
+        </p>
+      )}
+
+      <EstimateVarianceTable title="By Modality" rows={report?.byModality || []} labelKey="modality" labelFallback="No modality" />
+      <EstimateVarianceTable title="By Designer" rows={report?.byDesigner || []} labelKey="name" labelFallback="Unknown" />
+      <EstimateVarianceTable title="By Course" rows={report?.byCourse || []} labelKey="title" labelFallback="Untitled" />
+    </div>
+  );
+}
+
+// Phase Cycle Times Component
+function PhaseCycleTimes({ period }) {
+  const [groupBy, setGroupBy] = useState('modality');
+  const [modality, setModality] = useState('');
+  const [programId, setProgramId] = useState('');
+  const [trendPhase, setTrendPhase] = useState('');
+
+  const params = {
+    period,
+    groupBy,
+    ...(modality && { modality }),
+    ...(programId && { programId })
+  };
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['analytics', 'phase-cycle-times', params],
+    queryFn: () => analytics.getPhaseCycleTimes(params),
+    retry: false
+  });
+
+  const { data: modalitiesData } = useQuery({
+    queryKey: ['modalities'],
+    queryFn: async () => {
+      const response = await modalities.getAll();
+      return response.data?.data || response.data || [];
+    }
+  });
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programs.getAll();
+      return response.data?.data || response.data || [];
+    }
+  });
+
+  const report = data?.data?.data;
+  const phases = report?.phases || [];
+  const selectClassName = 'block w-44 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+  const formatDays = (value) => (value === null || value === undefined ? '-' : `${value}d`);
+
+  // One line per phase with the median days of each month, or the percentiles of a single phase
+  const trendPhases = trendPhase ? phases.filter(phase => phase.status === trendPhase) : phases;
+  const trendData = (report?.trend || []).map(month => {
+    const point = { month: month.month };
+    if (trendPhase) {
+      const stats = month.phases[trendPhase];
+      point.Average = stats?.avgDays ?? null;
+      point.Median = stats?.medianDays ?? null;
+      point.P90 = stats?.p90Days ?? null;
+    } else {
+      trendPhases.forEach(phase => {
+        point[phase.label] = month.phases[phase.status]?.medianDays ?? null;
+      });
+    }
+    return point;
+  });
+  const trendLines = trendPhase ? ['Average', 'Median', 'P90'] : trendPhases.map(phase => phase.label);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Break Down By</label>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={selectClassName}>
+            {PHASE_GROUP_BY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Modality</label>
+          <select value={modality} onChange={(e) => setModality(e.target.value)} className={selectClassName}>
+            <option value="">All modalities</option>
+            {(modalitiesData || []).map(item => (
+              <option key={item.value} value={item.value}>{item.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Program</label>
+          <select value={programId} onChange={(e) => setProgramId(e.target.value)} className={selectClassName}>
+            <option value="">All programs</option>
+            {(programsData || []).map(program => (
+              <option key={program.id} value={program.id}>{program.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+          <div className="flex">
+            <AlertTriangle className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <h3 className="text-sm font-medium text-red-800 dark:text-red-200">
+                Error loading phase cycle times
+              </h3>
+              <div className="mt-2 text-sm text-red-700 dark:text-red-300">
+                {error.response?.data?.error?.message || error.message || 'Failed to load phase data. Please try again.'}
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : phases.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+          No phases were finished in this period
+        </div>
+      ) : (
+        <>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">Time in Phase</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Days from entering a phase to leaving it, over {report.metadata.sampleSize} finished phases
+              </p>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-6 py-3">Phase</th>
+                  <th className="px-6 py-3 text-right">Finished</th>
+                  <th className="px-6 py-3 text-right">Average</th>
+                  <th className="px-6 py-3 text-right">Median</th>
+                  <th className="px-6 py-3 text-right">75th pct.</th>
+                  <th className="px-6 py-3 text-right">90th pct.</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {phases.map(phase => (
+                  <tr key={phase.status} className="text-gray-900 dark:text-white">
+                    <td className={`px-6 py-3 font-medium ${phase.color || ''}`}>{phase.label}</td>
+                    <td className="px-6 py-3 text-right">{phase.count}</td>
+                    <td className="px-6 py-3 text-right">{formatDays(phase.avgDays)}</td>
+                    <td className="px-6 py-3 text-right">{formatDays(phase.medianDays)}</td>
+                    <td className="px-6 py-3 text-right">{formatDays(phase.p75Days)}</td>
+                    <td className="px-6 py-3 text-right">{formatDays(phase.p90Days)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">Monthly Trend</h3>
+              <select value={trendPhase} onChange={(e) => setTrendPhase(e.target.value)} className={selectClassName}>
+                <option value="">Median of every phase</option>
+                {phases.map(phase => (
+                  <option key={phase.status} value={phase.status}>{phase.label}</option>
+                ))}
+              </select>
+            </div>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={trendData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis unit="d" />
+                <Tooltip />
+                <Legend />
+                {trendLines.map((line, index) => (
+                  <Line
+                    key={line}
+                    type="monotone"
+                    dataKey={line}
+                    stroke={TREND_COLORS[index % TREND_COLORS.length]}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-x-auto">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Median Days by {PHASE_GROUP_BY_OPTIONS.find(option => option.value === groupBy)?.label}
+              </h3>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-6 py-3"></th>
+                  {phases.map(phase => (
+                    <th key={phase.status} className="px-4 py-3 text-right">{phase.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {report.groups.map(group => (
+                  <tr key={group.key} className="text-gray-900 dark:text-white">
+                    <td className="px-6 py-3 font-medium">{group.label}</td>
+                    {phases.map(phase => {
+                      const stats = group.phases[phase.status];
+                      return (
+                        <td
+                          key={phase.status}
+                          className="px-4 py-3 text-right"
+                          title={stats ? `${stats.count} finished, average ${stats.avgDays}d, 90th pct. ${stats.p90Days}d` : undefined}
+                        >
+                          {stats ? formatDays(stats.medianDays) : '-'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
     </div>
   );
 }
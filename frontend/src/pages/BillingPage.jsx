@@ -0,0 +1,262 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Download, FileText, AlertTriangle, DollarSign, Clock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { timeTracking, programs } from '../lib/api';
+import { Button } from '../components/ui/Button';
+
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const getDefaultPeriod = () => {
+  const now = new Date();
+  return {
+    start_date: toDateString(new Date(now.getFullYear(), now.getMonth(), 1)),
+    end_date: toDateString(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+  };
+};
+
+const formatAmounts = (amounts = {}) => {
+  const entries = Object.entries(amounts);
+  if (entries.length === 0) return '-';
+  return entries
+    .map(([currency, amount]) => amount.toLocaleString('en-US', { style: 'currency', currency }))
+    .join(' + ');
+};
+
+const formatAmount = (amount, currency) =>
+  amount === null ? '-' : amount.toLocaleString('en-US', { style: 'currency', currency });
+
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+export default function BillingPage() {
+  const [filters, setFilters] = useState({ ...getDefaultPeriod(), program_id: '', approved_only: false });
+
+  const params = {
+    start_date: filters.start_date,
+    end_date: filters.end_date,
+    ...(filters.program_id && { program_id: filters.program_id }),
+    ...(filters.approved_only && { approved_only: true })
+  };
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programs.getAll();
+      return response.data?.data || response.data || [];
+    },
+  });
+
+  const { data: reportData, isLoading, error } = useQuery({
+    queryKey: ['billing-report', params],
+    queryFn: () => timeTracking.getBillableReport(params),
+    enabled: Boolean(filters.start_date && filters.end_date),
+  });
+
+  const programList = programsData || [];
+  const report = reportData?.data?.data;
+  const selectedProgram = programList.find(program => program.id === filters.program_id);
+
+  const handleExportCsv = async () => {
+    try {
+      const response = await timeTracking.exportBillableReport(params);
+      saveBlob(response.data, `billable-hours-${filters.start_date}-${filters.end_date}.csv`);
+    } catch {
+      toast.error('Failed to export report');
+    }
+  };
+
+  const handleExportInvoice = async (format) => {
+    try {
+      const { program_id, ...period } = params;
+      const response = await timeTracking.exportInvoiceDraft(program_id, period, format);
+      const reference = selectedProgram?.code || selectedProgram?.name || 'invoice';
+      saveBlob(response.data, `invoice-draft-${reference}-${filters.end_date}.${format}`);
+    } catch {
+      toast.error('Failed to export invoice draft');
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Billing</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Billable hours by client, program and course, priced with the program billing rates
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" size="sm" onClick={handleExportCsv} disabled={!report}>
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </Button>
+          {filters.program_id && (
+            <>
+              <Button variant="outline" size="sm" onClick={() => handleExportInvoice('csv')}>
+                <FileText className="w-4 h-4 mr-2" />
+                Invoice CSV
+              </Button>
+              <Button size="sm" onClick={() => handleExportInvoice('pdf')}>
+                <FileText className="w-4 h-4 mr-2" />
+                Invoice PDF
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          From
+          <input
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => updateFilter('start_date', e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </label>
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          To
+          <input
+            type="date"
+            value={filters.end_date}
+            onChange={(e) => updateFilter('end_date', e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </label>
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          Client / Program
+          <select
+            value={filters.program_id}
+            onChange={(e) => updateFilter('program_id', e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            <option value="">All programs</option>
+            {programList.map(program => (
+              <option key={program.id} value={program.id}>
+                {program.name}{program.type === 'client' ? ' (client)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-end pb-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filters.approved_only}
+            onChange={(e) => updateFilter('approved_only', e.target.checked)}
+            className="mr-2 rounded border-gray-300"
+          />
+          Approved timesheets only
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-6 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 text-sm text-red-700 dark:text-red-300">
+          {error.response?.data?.error?.message || 'Failed to load billing report'}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : report && (
+        <>
+          <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex items-center">
+              <Clock className="w-6 h-6 text-blue-600 mr-4" />
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Billable hours</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{report.totals.hours.toFixed(2)}</div>
+              </div>
+            </div>
+            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex items-center">
+              <DollarSign className="w-6 h-6 text-green-600 mr-4" />
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Amount</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{formatAmounts(report.totals.amounts)}</div>
+              </div>
+            </div>
+            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex items-center">
+              <AlertTriangle className="w-6 h-6 text-yellow-600 mr-4" />
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Hours without a rate</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{(report.totals.unratedMinutes / 60).toFixed(2)}</div>
+              </div>
+            </div>
+          </div>
+
+          {report.clients.length === 0 ? (
+            <div className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+              No billable time in this period
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {report.clients.map(client => (
+                <div key={client.id || 'none'} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{client.name}</h2>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {client.hours.toFixed(2)} h · {formatAmounts(client.amounts)}
+                    </div>
+                  </div>
+                  {client.programs.map(program => (
+                    <div key={program.id || 'none'} className="p-4 border-b last:border-b-0 border-gray-100 dark:border-gray-700">
+                      <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+                          {program.name}{program.code ? ` (${program.code})` : ''}
+                        </h3>
+                        <span className="text-sm text-gray-600 dark:text-gray-400">
+                          {program.hours.toFixed(2)} h · {formatAmounts(program.amounts)}
+                        </span>
+                      </div>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+                            <th className="py-1 font-medium">Course</th>
+                            <th className="py-1 font-medium">User</th>
+                            <th className="py-1 font-medium text-right">Hours</th>
+                            <th className="py-1 font-medium text-right">Rate</th>
+                            <th className="py-1 font-medium text-right">Amount</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {program.courses.flatMap(course => course.lines.map((line, index) => (
+                            <tr key={`${course.id}-${line.userId}-${index}`} className="text-gray-700 dark:text-gray-300">
+                              <td className="py-1">{index === 0 ? course.title : ''}</td>
+                              <td className="py-1">{line.userName}</td>
+                              <td className="py-1 text-right">{line.hours.toFixed(2)}</td>
+                              <td className="py-1 text-right">
+                                {line.hourlyRate === null
+                                  ? <span className="text-yellow-600">no rate</span>
+                                  : formatAmount(line.hourlyRate, line.currency)}
+                              </td>
+                              <td className="py-1 text-right">{formatAmount(line.amount, line.currency)}</td>
+                            </tr>
+                          )))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, Clock, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { courses, programs } from '../lib/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const initials = (name = '') => name.split(' ').map(part => part[0]).join('').slice(0, 2).toUpperCase();
+
+function BoardCard({ card, onDragStart, isMoving }) {
+  return (
+    <div
+      draggable={!isMoving}
+      onDragStart={(e) => onDragStart(e, card)}
+      className={`bg-white dark:bg-gray-800 border rounded-md p-3 shadow-sm cursor-grab active:cursor-grabbing ${
+        card.isOverdue ? 'border-red-300 dark:border-red-700' : 'border-gray-200 dark:border-gray-700'
+      } ${isMoving ? 'opacity-50' : ''}`}
+    >
+      <div className="text-sm font-medium text-gray-900 dark:text-white">{card.title}</div>
+      <Link
+        to={`/courses/${card.courseId}`}
+        className="block mt-1 text-xs text-blue-600 dark:text-blue-400 hover:underline truncate"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {card.courseTitle}
+      </Link>
+      <div className="mt-2 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+        <div className="flex items-center space-x-2">
+          {card.daysInStatus !== null && (
+            <span className="flex items-center" title="Days in this phase">
+              <Clock className="w-3 h-3 mr-1" />
+              {card.daysInStatus}d
+            </span>
+          )}
+          {card.isOverdue && (
+            <span className="flex items-center text-red-600 dark:text-red-400" title="Course is past its due date">
+              <AlertTriangle className="w-3 h-3 mr-1" />
+              Overdue
+            </span>
+          )}
+        </div>
+        <div className="flex -space-x-1">
+          {card.assignees.slice(0, 3).map(assignee => (
+            <span
+              key={assignee.id}
+              title={assignee.name}
+              className="w-6 h-6 rounded-full bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 text-[10px] font-medium flex items-center justify-center ring-2 ring-white dark:ring-gray-800"
+            >
+              {initials(assignee.name)}
+            </span>
+          ))}
+          {card.assignees.length > 3 && (
+            <span className="w-6 h-6 rounded-full bg-gray-100 dark:bg-gray-700 text-[10px] flex items-center justify-center ring-2 ring-white dark:ring-gray-800">
+              +{card.assignees.length - 3}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function BoardPage() {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ programId: '', mine: false, search: '' });
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const params = {
+    mine: filters.mine,
+    ...(filters.programId && { programId: filters.programId }),
+    ...(filters.search && { search: filters.search })
+  };
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programs.getAll();
+      return response.data?.data || response.data || [];
+    },
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['board', params],
+    queryFn: () => courses.getBoard(params),
+  });
+
+  const programList = programsData || [];
+  const board = data?.data?.data;
+
+  // Moves go through the regular subtask update so phase dates and history are kept
+  const moveMutation = useMutation({
+    mutationFn: ({ card, status }) => courses.updateSubtask(card.courseId, card.id, { status }),
+    onMutate: async ({ card, status }) => {
+      await queryClient.cancelQueries({ queryKey: ['board', params] });
+      const previous = queryClient.getQueryData(['board', params]);
+
+      queryClient.setQueryData(['board', params], (old) => {
+        if (!old) return old;
+        const columns = old.data.data.columns.map(column => {
+          const cards = column.cards.filter(item => item.id !== card.id);
+          if (column.value === status) {
+            cards.push({ ...card, status, daysInStatus: 0 });
+          }
+          return { ...column, cards, count: cards.length };
+        });
+        return { ...old, data: { ...old.data, data: { ...old.data.data, columns } } };
+      });
+
+      return { previous };
+    },
+    onError: (error, variables, context) => {
+      queryClient.setQueryData(['board', params], context.previous);
+      toast.error(getErrorMessage(error, 'Failed to move phase'));
+    },
+    onSettled: (response, error, { card }) => {
+      queryClient.invalidateQueries({ queryKey: ['board'] });
+      queryClient.invalidateQueries({ queryKey: ['course', String(card.courseId)] });
+    },
+  });
+
+  const handleDragStart = (event, card) => {
+    event.dataTransfer.setData('application/json', JSON.stringify({ id: card.id, status: card.status }));
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (event, column) => {
+    event.preventDefault();
+    setDropTarget(null);
+
+    const { id, status } = JSON.parse(event.dataTransfer.getData('application/json') || '{}');
+    if (!id || status === column.value) return;
+
+    const card = board.columns.flatMap(item => item.cards).find(item => item.id === id);
+    if (card) {
+      moveMutation.mutate({ card, status: column.value });
+    }
+  };
+
+  return (
+    <div className="p-6 h-full flex flex-col">
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Board</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Phases of all active courses by status. Drag a card to move the phase along.
+          </p>
+        </div>
+        {board && (
+          <div className="flex items-center space-x-4 text-sm text-gray-600 dark:text-gray-400">
+            <span><strong className="text-gray-900 dark:text-white">{board.summary.wip}</strong> in progress</span>
+            <span><strong className="text-gray-900 dark:text-white">{board.summary.notStarted}</strong> not started</span>
+            {board.summary.overdue > 0 && (
+              <span className="text-red-600 dark:text-red-400"><strong>{board.summary.overdue}</strong> overdue</span>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="mb-4 flex items-center space-x-4">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+            placeholder="Search phases or courses"
+            className="pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </div>
+        <select
+          value={filters.programId}
+          onChange={(e) => setFilters(prev => ({ ...prev, programId: e.target.value }))}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          <option value="">All programs</option>
+          {programList.map(program => (
+            <option key={program.id} value={program.id}>{program.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filters.mine}
+            onChange={(e) => setFilters(prev => ({ ...prev, mine: e.target.checked }))}
+            className="mr-2 rounded border-gray-300"
+          />
+          Only my phases
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 text-sm text-red-700 dark:text-red-300">
+          {getErrorMessage(error, 'Failed to load board')}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : board && (
+        <div className="flex-1 flex space-x-4 overflow-x-auto pb-4">
+          {board.columns.map(column => (
+            <div
+              key={column.value || 'not-started'}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropTarget(column.value);
+              }}
+              onDragLeave={() => setDropTarget(prev => (prev === column.value ? null : prev))}
+              onDrop={(e) => handleDrop(e, column)}
+              className={`w-72 shrink-0 flex flex-col rounded-lg ${
+                dropTarget === column.value ? 'bg-blue-50 dark:bg-blue-900/20 ring-2 ring-blue-300' : 'bg-gray-100 dark:bg-gray-900/50'
+              }`}
+            >
+              <div className="px-3 py-2 flex items-center justify-between">
+                <h2 className={`text-sm font-semibold ${column.color} ${column.dark_color || ''}`}>{column.label}</h2>
+                <div className="flex items-center space-x-1 text-xs">
+                  {column.overdueCount > 0 && (
+                    <span className="px-1.5 py-0.5 rounded bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300" title="Overdue">
+                      {column.overdueCount}
+                    </span>
+                  )}
+                  <span className="px-1.5 py-0.5 rounded bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300" title="Phases in this status">
+                    {column.count}
+                  </span>
+                </div>
+              </div>
+              <div className="flex-1 px-2 pb-2 space-y-2 overflow-y-auto max-h-[calc(100vh-16rem)]">
+                {column.cards.map(card => (
+                  <BoardCard
+                    key={card.id}
+                    card={card}
+                    onDragStart={handleDragStart}
+                    isMoving={moveMutation.isPending && moveMutation.variables?.card.id === card.id}
+                  />
+                ))}
+                {column.cards.length === 0 && (
+                  <div className="py-6 text-center text-xs text-gray-400 dark:text-gray-500">No phases</div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ChevronLeft, ChevronRight, Copy, Link2, RefreshCw, Rss } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { calendar, programs, teams } from '../lib/api';
+import { Button } from '../components/ui/Button';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const EVENT_TYPES = [
+  { value: 'due_date', label: 'Due dates' },
+  { value: 'phase', label: 'Phases' },
+  { value: 'gold', label: 'Final (Gold)' }
+];
+
+const EVENT_STYLES = {
+  due_date: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300',
+  overdue: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  phase: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  gold: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300'
+};
+
+// Events shown in a month cell before collapsing into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+// YYYY-MM-DD of a local date
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const getMonday = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+// Days shown by the view, whole weeks from Monday
+const getVisibleDays = (view, anchor) => {
+  const first = view === 'week'
+    ? getMonday(anchor)
+    : getMonday(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+  const weeks = view === 'week' ? 1 : 6;
+  return Array.from({ length: weeks * 7 }, (_, index) => addDays(first, index));
+};
+
+function EventChip({ event }) {
+  const style = event.type === 'due_date' && event.isOverdue ? EVENT_STYLES.overdue : EVENT_STYLES[event.type];
+
+  return (
+    <Link
+      to={event.url}
+      title={`${event.title}${event.start !== event.end ? ` (${event.start} to ${event.end})` : ''}`}
+      className={`block truncate rounded px-1.5 py-0.5 text-xs hover:opacity-80 ${style}`}
+    >
+      {event.type === 'due_date' ? event.title : `${event.phaseLabel}: ${event.courseTitle}`}
+      {event.inProgress && ' …'}
+    </Link>
+  );
+}
+
+function FeedPanel() {
+  const queryClient = useQueryClient();
+  const [token, setToken] = useState(null);
+
+  const { data } = useQuery({
+    queryKey: ['calendar-feed'],
+    queryFn: () => calendar.getFeed(),
+  });
+
+  const feed = data?.data?.data;
+  const feedUrl = token ? calendar.getFeedUrl(token) : null;
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => calendar.regenerateFeed(),
+    onSuccess: (response) => {
+      setToken(response.data.data.token);
+      queryClient.invalidateQueries({ queryKey: ['calendar-feed'] });
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to generate feed URL'));
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: () => calendar.revokeFeed(),
+    onSuccess: () => {
+      setToken(null);
+      queryClient.invalidateQueries({ queryKey: ['calendar-feed'] });
+      toast.success('Calendar feed turned off');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to turn off calendar feed'));
+    },
+  });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Feed URL copied');
+    } catch {
+      toast.error('Could not copy, select the URL and copy it manually');
+    }
+  };
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Subscribe from Outlook or Google Calendar</h2>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Your due dates, phases and Final (Gold) dates as a calendar feed. Anyone with the URL can read it.
+          </p>
+          {feed?.enabled && !feedUrl && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Feed created {new Date(feed.createdAt).toLocaleDateString()}
+              {feed.lastAccessedAt ? `, last synced ${new Date(feed.lastAccessedAt).toLocaleString()}` : ', not synced yet'}.
+              The URL is only shown once, generate a new one to subscribe another app.
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 shrink-0 ml-4">
+          <Button size="sm" variant="outline" onClick={() => regenerateMutation.mutate()} disabled={regenerateMutation.isPending}>
+            <RefreshCw className="w-4 h-4 mr-1" />
+            {feed?.enabled ? 'New URL' : 'Create URL'}
+          </Button>
+          {feed?.enabled && (
+            <Button size="sm" variant="ghost" onClick={() => revokeMutation.mutate()} disabled={revokeMutation.isPending}>
+              Turn off
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {feedUrl && (
+        <div className="mt-3">
+          <div className="flex items-center space-x-2">
+            <Link2 className="w-4 h-4 text-gray-400 shrink-0" />
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <Button size="sm" onClick={handleCopy}>
+              <Copy className="w-4 h-4 mr-1" />
+              Copy
+            </Button>
+          </div>
+          <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+            Copy this URL now, it will not be shown again. Any previous feed URL no longer works.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function CalendarPage() {
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [showFeed, setShowFeed] = useState(false);
+  const [filters, setFilters] = useState({ mine: false, teamId: '', programId: '', types: EVENT_TYPES.map(type => type.value) });
+
+  const days = getVisibleDays(view, anchor);
+  const today = toDateString(new Date());
+
+  const params = {
+    startDate: toDateString(days[0]),
+    endDate: toDateString(days[days.length - 1]),
+    mine: filters.mine,
+    types: filters.types.join(','),
+    ...(filters.teamId && { teamId: filters.teamId }),
+    ...(filters.programId && { programId: filters.programId })
+  };
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programs.getAll();
+      return response.data?.data || response.data || [];
+    },
+  });
+
+  const { data: teamsData } = useQuery({
+    queryKey: ['teams'],
+    queryFn: () => teams.getAll(),
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['calendar', params],
+    queryFn: () => calendar.getEvents(params),
+    enabled: filters.types.length > 0,
+  });
+
+  const programList = programsData || [];
+  const teamList = teamsData?.data?.data?.teams || [];
+  const events = filters.types.length > 0 ? data?.data?.data || [] : [];
+
+  const eventsOn = (day) => {
+    const date = toDateString(day);
+    return events.filter(event => event.start <= date && event.end >= date);
+  };
+
+  const move = (direction) => {
+    setAnchor(prev => (view === 'week'
+      ? addDays(prev, direction * 7)
+      : new Date(prev.getFullYear(), prev.getMonth() + direction, 1)));
+  };
+
+  const toggleType = (value) => {
+    setFilters(prev => ({
+      ...prev,
+      types: prev.types.includes(value) ? prev.types.filter(type => type !== value) : [...prev.types, value]
+    }));
+  };
+
+  const title = view === 'week'
+    ? `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} - ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="p-6">
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Calendar</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Course due dates, phase dates and Final (Gold) dates.
+          </p>
+        </div>
+        <Button variant="outline" onClick={() => setShowFeed(prev => !prev)}>
+          <Rss className="w-4 h-4 mr-2" />
+          Subscribe
+        </Button>
+      </div>
+
+      {showFeed && <FeedPanel />}
+
+      <div className="mb-4 flex flex-wrap items-center gap-4">
+        <div className="flex items-center space-x-1">
+          <Button size="sm" variant="outline" onClick={() => move(-1)} aria-label="Previous">
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => setAnchor(new Date())}>Today</Button>
+          <Button size="sm" variant="outline" onClick={() => move(1)} aria-label="Next">
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+        </div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white min-w-[12rem]">{title}</h2>
+        <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-3 py-1.5 text-sm capitalize ${
+                view === option ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        <select
+          value={filters.programId}
+          onChange={(e) => setFilters(prev => ({ ...prev, programId: e.target.value }))}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          <option value="">All programs</option>
+          {programList.map(program => (
+            <option key={program.id} value={program.id}>{program.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.teamId}
+          onChange={(e) => setFilters(prev => ({ ...prev, teamId: e.target.value }))}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          <option value="">All teams</option>
+          {teamList.map(team => (
+            <option key={team.id} value={team.id}>{team.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filters.mine}
+            onChange={(e) => setFilters(prev => ({ ...prev, mine: e.target.checked }))}
+            className="mr-2 rounded border-gray-300"
+          />
+          Only my courses
+        </label>
+        <div className="flex items-center space-x-3">
+          {EVENT_TYPES.map(type => (
+            <label key={type.value} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={filters.types.includes(type.value)}
+                onChange={() => toggleType(type.value)}
+                className="mr-1.5 rounded border-gray-300"
+              />
+              <span className={`px-1.5 rounded ${EVENT_STYLES[type.value]}`}>{type.label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 text-sm text-red-700 dark:text-red-300">
+          {getErrorMessage(error, 'Failed to load calendar')}
+        </div>
+      )}
+
+      <div className={`relative bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden ${isLoading ? 'opacity-60' : ''}`}>
+        <div className="grid grid-cols-7 border-b border-gray-200 dark:border-gray-700">
+          {WEEKDAYS.map(weekday => (
+            <div key={weekday} className="px-2 py-2 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+              {weekday}
+            </div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {days.map(day => {
+            const date = toDateString(day);
+            const dayEvents = eventsOn(day);
+            const visible = view === 'month' ? dayEvents.slice(0, MONTH_CELL_LIMIT) : dayEvents;
+            const outsideMonth = view === 'month' && day.getMonth() !== anchor.getMonth();
+
+            return (
+              <div
+                key={date}
+                className={`border-b border-r border-gray-100 dark:border-gray-700 p-1.5 ${
+                  view === 'week' ? 'min-h-[24rem]' : 'min-h-[7rem]'
+                } ${outsideMonth ? 'bg-gray-50 dark:bg-gray-900/40' : ''}`}
+              >
+                <div className={`mb-1 text-xs font-medium ${
+                  date === today
+                    ? 'inline-flex w-6 h-6 items-center justify-center rounded-full bg-blue-600 text-white'
+                    : outsideMonth ? 'text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-300'
+                }`}>
+                  {day.getDate()}
+                </div>
+                <div className="space-y-1">
+                  {visible.map(event => (
+                    <EventChip key={event.id} event={event} />
+                  ))}
+                  {dayEvents.length > visible.length && (
+                    <button
+                      onClick={() => {
+                        setAnchor(day);
+                        setView('week');
+                      }}
+                      className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+                    >
+                      +{dayEvents.length - visible.length} more
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
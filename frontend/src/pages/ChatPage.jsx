@@ -1,6 +1,10 @@
 import React from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Chat } from '../components/Chat';
 
 export default function ChatPage() {
-  return <Chat className="h-[calc(100vh-8rem)]" />;
-}
\ No newline at end of file
+  const [searchParams] = useSearchParams();
+  const chatId = parseInt(searchParams.get('chatId')) || null;
+
+  return <Chat key={chatId} className="h-[calc(100vh-8rem)]" defaultChatId={chatId} />;
+}
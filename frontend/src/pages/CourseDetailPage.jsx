@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../hooks/useAuth';
+import { useRealtimeChannel } from '../contexts/RealtimeContext';
 import { 
   ArrowLeft,
   Edit3,
@@ -26,7 +27,7 @@ import {
   Activity,
   Timer
 } from 'lucide-react';
-import { courses, statuses, phaseStatuses, programs, folders, lists } from '../lib/api';
+import { courses, statuses, phaseStatuses, programs, folders, lists, chats } from '../lib/api';
 import { formatDate, formatRelativeTime, getStatusColor, getPriorityColor } from '../lib/utils';
 import { CourseBreadcrumb } from '../components/navigation/Breadcrumb';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
@@ -39,6 +40,7 @@ import { MultipleAssignees } from '../components/MultipleAssignees';
 import { Comments } from '../components/Comments';
 import { ActivityFeed } from '../components/ActivityFeed';
 import { CustomFields } from '../components/CustomFields';
+import { SubtaskEstimates } from '../components/SubtaskEstimates';
 
 // Independent status definitions (separate from workflow)
 const COURSE_STATUSES = {
@@ -123,6 +125,17 @@ export default function CourseDetailPage() {
     enabled: !!id
   });
 
+  // Live updates pushed by the server for this course
+  useRealtimeChannel(id ? `course:${id}` : null, (event) => {
+    if (event === 'course_status_changed') {
+      queryClient.invalidateQueries({ queryKey: ['course', id] });
+      queryClient.invalidateQueries({ queryKey: ['activities'] });
+    } else if (event === 'comment_created') {
+      queryClient.invalidateQueries({ queryKey: ['comments'] });
+      queryClient.invalidateQueries({ queryKey: ['activities'] });
+    }
+  });
+
   // Fetch statuses
   const { data: statusesData } = useQuery({
     queryKey: ['statuses'],
@@ -236,6 +249,16 @@ export default function CourseDetailPage() {
     setShowDeleteDialog(false);
   };
 
+  // Join the course channel and open it in the chat page
+  const handleOpenCourseChat = async () => {
+    try {
+      const response = await chats.openCourseChannel(id);
+      navigate(`/chat?chatId=${response.data.data.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to open course chat');
+    }
+  };
+
   const handleWorkflowTransition = (newState) => {
     workflowTransitionMutation.mutate({
       courseId: id,
@@ -624,6 +647,22 @@ export default function CourseDetailPage() {
                                           </div>
                                         );
                                       })()}
+                                      {subtask.absenceWarnings?.length > 0 && (
+                                        <div className="mt-2 space-y-1">
+                                          {subtask.absenceWarnings.map(warning => (
+                                            <div
+                                              key={`${warning.userId}-${warning.phase}`}
+                                              className="flex items-center space-x-1 text-xs text-yellow-700 dark:text-yellow-400"
+                                            >
+                                              <AlertTriangle className="h-3 w-3" />
+                                              <span>
+                                                {warning.phaseLabel} ends {formatDate(warning.date)} while {warning.userName} is
+                                                {warning.hoursPerDay ? ` away ${warning.hoursPerDay}h` : ' off'}
+                                              </span>
+                                            </div>
+                                          ))}
+                                        </div>
+                                      )}
                                       <div className="flex items-center space-x-4 mt-1">
                                         {/* Read-only status display */}
                                         <div className={`text-xs px-2.5 py-0.5 rounded font-medium ${getStatusColor(subtask.status)}`}>
@@ -648,15 +687,10 @@ export default function CourseDetailPage() {
                                         
                                         {/* Phase Dates Display */}
                                         {(() => {
-                                          const phaseData = [
-                                            { label: 'Alpha Draft', start: subtask.alpha_draft_start_date, end: subtask.alpha_draft_end_date },
-                                            { label: 'Alpha Review', start: subtask.alpha_review_start_date, end: subtask.alpha_review_end_date },
-                                            { label: 'Beta Revision', start: subtask.beta_revision_start_date, end: subtask.beta_revision_end_date },
-                                            { label: 'Beta Review', start: subtask.beta_review_start_date, end: subtask.beta_review_end_date },
-                                            { label: 'Final Revision', start: subtask.final_revision_start_date, end: subtask.final_revision_end_date },
-                                            { label: 'Final Signoff Sent', start: subtask.final_signoff_sent_start_date, end: subtask.final_signoff_sent_end_date },
-                                            { label: 'Final Signoff Received', start: subtask.final_signoff_received_start_date, end: null }
-                                          ].filter(phase => phase.start || phase.end);
+                                          // Phases of the course's pipeline, in order, with the dates of those entered so far
+                                          const phaseData = (subtask.phases || [])
+                                            .filter(phase => phase.startedAt)
+                                            .map(phase => ({ label: phase.label, start: phase.startedAt, end: phase.finishedAt }));
 
                                           return phaseData.length > 0 && (
                                             <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
@@ -728,6 +762,22 @@ export default function CourseDetailPage() {
             </CardContent>
           </Card> */}
 
+          {/* Estimates vs logged time */}
+          <Card>
+            <CardHeader>
+              <div className="flex items-center space-x-2">
+                <Timer className="h-5 w-5 text-gray-600 dark:text-gray-300" />
+                <CardTitle>Estimates</CardTitle>
+              </div>
+              <CardDescription>
+                Estimated hours per phase compared with the time logged on it
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <SubtaskEstimates courseId={parseInt(id)} />
+            </CardContent>
+          </Card>
+
           {/* Time Tracking Section - Hidden for now */}
           {/* <Card>
             <CardHeader>
@@ -853,9 +903,18 @@ export default function CourseDetailPage() {
           {/* Comments Section */}
           <Card>
             <CardHeader>
-              <div className="flex items-center space-x-2">
-                <MessageSquare className="h-5 w-5 text-gray-600 dark:text-gray-300" />
-                <CardTitle>Comments & Discussion</CardTitle>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <MessageSquare className="h-5 w-5 text-gray-600 dark:text-gray-300" />
+                  <CardTitle>Comments & Discussion</CardTitle>
+                </div>
+                <button
+                  onClick={handleOpenCourseChat}
+                  className="inline-flex items-center px-3 py-1 text-xs font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 bg-blue-50 hover:bg-blue-100 dark:bg-blue-900/20 dark:hover:bg-blue-900/30 rounded-md transition-colors"
+                >
+                  <MessageSquare className="h-3 w-3 mr-1" />
+                  Course Chat
+                </button>
               </div>
               <CardDescription>
                 Collaborate and discuss course details
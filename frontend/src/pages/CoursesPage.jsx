@@ -38,6 +38,7 @@ import toast from 'react-hot-toast';
 import { courses, statuses, phaseStatuses, users, modalityTasks, programs, lists, priorities, modalities } from '../lib/api';
 import { formatDate, getStatusColor, getPriorityColor, getModalityColor } from '../lib/utils';
 import Breadcrumb, { useBreadcrumbs } from '../components/navigation/Breadcrumb';
+import { AssigneeRecommendations } from '../components/AssigneeRecommendations';
 
 // Independent status definitions (separate from workflow)
 const COURSE_STATUSES = {
@@ -3310,6 +3311,13 @@ function CoursePhases({ courseId }) {
                   {editingAssignmentId === taskId ? (
                     <div className="relative">
                       <div className="bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded p-2 shadow-lg z-50">
+                        <AssigneeRecommendations
+                          courseId={courseId}
+                          subtaskId={taskId}
+                          requiredSkills={task.required_skills}
+                          selectedIds={tempAssignment[taskId] || []}
+                          onToggle={(userId) => handleAssignmentToggle(taskId, userId)}
+                        />
                         <div className="max-h-32 overflow-y-auto min-w-36 mb-2">
                           {(usersData || []).map(user => {
                             const isSelected = (tempAssignment[taskId] || []).includes(user.id);
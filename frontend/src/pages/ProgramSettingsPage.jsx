@@ -16,7 +16,8 @@ import {
   ChevronRight,
   Move,
   Archive,
-  AlertTriangle
+  AlertTriangle,
+  DollarSign
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { programs, folders, lists, courses } from '../lib/api';
@@ -236,6 +237,19 @@ export default function ProgramSettingsPage() {
                   Archive & Cleanup
                 </div>
               </button>
+              <button
+                onClick={() => setActiveTab('billing')}
+                className={`w-full text-left px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  activeTab === 'billing'
+                    ? 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                <div className="flex items-center">
+                  <DollarSign className="w-4 h-4 mr-3" />
+                  Billing Rates
+                </div>
+              </button>
             </nav>
           </div>
 
@@ -268,6 +282,9 @@ export default function ProgramSettingsPage() {
             {activeTab === 'archive' && (
               <ArchiveCleanupTab program={program} />
             )}
+            {activeTab === 'billing' && (
+              <BillingRatesTab program={program} />
+            )}
           </div>
         </div>
       </div>
@@ -815,4 +832,200 @@ function ArchiveCleanupTab({ program }) {
       </p>
     </div>
   );
-}
\ No newline at end of file
+}
+
+// Billing Rates Tab Component
+// The most specific rate wins: user, then role, then the program default.
+// Rates of a client also apply to its child programs.
+const RATE_ROLES = ['admin', 'manager', 'designer', 'reviewer', 'viewer'];
+
+function BillingRatesTab({ program }) {
+  const queryClient = useQueryClient();
+  const emptyRate = { scope: 'default', user_id: '', role: 'designer', hourly_rate: '', effective_from: '' };
+  const [newRate, setNewRate] = useState(emptyRate);
+
+  const { data: ratesData, isLoading } = useQuery({
+    queryKey: ['programs', program.id, 'billing-rates'],
+    queryFn: () => programs.getBillingRates(program.id),
+  });
+
+  const rates = ratesData?.data?.data?.rates || [];
+  const currency = ratesData?.data?.data?.currency || program.billing_currency || 'USD';
+  const members = program.members || [];
+
+  const invalidateRates = () => {
+    queryClient.invalidateQueries({ queryKey: ['programs', program.id, 'billing-rates'] });
+  };
+
+  const getErrorMessage = (error, fallback) =>
+    error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+  const createRateMutation = useMutation({
+    mutationFn: (data) => programs.createBillingRate(program.id, data),
+    onSuccess: () => {
+      invalidateRates();
+      setNewRate(emptyRate);
+      toast.success('Billing rate added');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to add billing rate')),
+  });
+
+  const deleteRateMutation = useMutation({
+    mutationFn: (rateId) => programs.deleteBillingRate(program.id, rateId),
+    onSuccess: () => {
+      invalidateRates();
+      toast.success('Billing rate deleted');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete billing rate')),
+  });
+
+  const currencyMutation = useMutation({
+    mutationFn: (billing_currency) => programs.update(program.id, { billing_currency }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['programs', program.id] });
+      toast.success('Billing currency updated');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to update billing currency')),
+  });
+
+  const handleAddRate = (e) => {
+    e.preventDefault();
+    if (newRate.hourly_rate === '') {
+      toast.error('Enter an hourly rate');
+      return;
+    }
+    createRateMutation.mutate({
+      hourly_rate: Number(newRate.hourly_rate),
+      user_id: newRate.scope === 'user' && newRate.user_id ? Number(newRate.user_id) : null,
+      role: newRate.scope === 'role' ? newRate.role : null,
+      effective_from: newRate.effective_from || null
+    });
+  };
+
+  const describeRate = (rate) => {
+    if (rate.user_id) return rate.user_name || `User #${rate.user_id}`;
+    if (rate.role) return `Role: ${rate.role}`;
+    return 'Program default';
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-700 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Billing Rates</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Hourly rates used to price billable time. User rates override role rates, which override the program default.
+          </p>
+        </div>
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          Currency
+          <select
+            value={currency}
+            onChange={(e) => currencyMutation.mutate(e.target.value)}
+            className={`ml-2 ${inputClass}`}
+          >
+            {['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF'].map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isLoading ? (
+        <div className="animate-pulse h-16 bg-gray-100 dark:bg-gray-700 rounded"></div>
+      ) : rates.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No billing rates yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+              <th className="py-2 font-medium">Applies to</th>
+              <th className="py-2 font-medium">From</th>
+              <th className="py-2 font-medium text-right">Hourly rate</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {rates.map(rate => (
+              <tr key={rate.id} className="text-gray-700 dark:text-gray-300">
+                <td className="py-2">{describeRate(rate)}</td>
+                <td className="py-2">{rate.effective_from ? String(rate.effective_from).substring(0, 10) : 'Always'}</td>
+                <td className="py-2 text-right">{Number(rate.hourly_rate).toFixed(2)} {currency}</td>
+                <td className="py-2 text-right">
+                  <button
+                    onClick={() => deleteRateMutation.mutate(rate.id)}
+                    disabled={deleteRateMutation.isPending}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleAddRate} className="flex flex-wrap items-end gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <select
+          value={newRate.scope}
+          onChange={(e) => setNewRate(prev => ({ ...prev, scope: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="default">Program default</option>
+          <option value="role">Role</option>
+          <option value="user">User</option>
+        </select>
+        {newRate.scope === 'role' && (
+          <select
+            value={newRate.role}
+            onChange={(e) => setNewRate(prev => ({ ...prev, role: e.target.value }))}
+            className={inputClass}
+          >
+            {RATE_ROLES.map(role => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+        )}
+        {newRate.scope === 'user' && (
+          <select
+            value={newRate.user_id}
+            onChange={(e) => setNewRate(prev => ({ ...prev, user_id: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Select member</option>
+            {members.map(member => (
+              <option key={member.id} value={member.id}>{member.full_name}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder={`Rate (${currency}/h)`}
+          value={newRate.hourly_rate}
+          onChange={(e) => setNewRate(prev => ({ ...prev, hourly_rate: e.target.value }))}
+          className={`w-36 ${inputClass}`}
+        />
+        <input
+          type="date"
+          title="Effective from (optional)"
+          value={newRate.effective_from}
+          onChange={(e) => setNewRate(prev => ({ ...prev, effective_from: e.target.value }))}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={createRateMutation.isPending || (newRate.scope === 'user' && !newRate.user_id)}
+          className="flex items-center px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Rate
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,549 @@
+import { useEffect, useRef, useState } from 'react';
+import { Routes, Route, Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowLeft, CheckCircle, Download, FileText, LogOut, MessageSquare, Send } from 'lucide-react';
+import { portal } from '../lib/api';
+import { formatDate, formatDateTime, formatFileSize } from '../lib/utils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
+import { Button } from '../components/ui/Button';
+import { Input } from '../components/ui/Input';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+const TOKEN_KEY = 'portalToken';
+
+// Review portal for external reviewers (clients and SMEs). Runs outside the app shell with
+// its own session, and only shows the courses the team assigned to the reviewer.
+export default function ReviewPortalPage() {
+  const queryClient = useQueryClient();
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+
+  const startSession = (session) => {
+    localStorage.setItem(TOKEN_KEY, session.token);
+    queryClient.removeQueries({ queryKey: ['portal'] });
+    setToken(session.token);
+  };
+
+  const endSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    queryClient.removeQueries({ queryKey: ['portal'] });
+    setToken(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Routes>
+        <Route path="login/:linkToken" element={<LinkLanding onSession={startSession} />} />
+        <Route
+          path="*"
+          element={token ? <PortalSession onSignOut={endSession} /> : <SignIn onSession={startSession} />}
+        />
+      </Routes>
+    </div>
+  );
+}
+
+function PortalHeader({ reviewer, onSignOut }) {
+  return (
+    <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+      <div className="max-w-5xl mx-auto px-4 py-3 flex justify-between items-center">
+        <Link to="/review" className="flex items-center space-x-3">
+          <div className="h-8 w-8 bg-blue-600 rounded-lg flex items-center justify-center">
+            <span className="text-white font-bold text-sm">TP</span>
+          </div>
+          <span className="font-semibold text-gray-900 dark:text-white">Review Portal</span>
+        </Link>
+        {reviewer && (
+          <div className="flex items-center space-x-3">
+            <span className="text-sm text-gray-600 dark:text-gray-300">{reviewer.name}</span>
+            <Button variant="ghost" size="sm" onClick={onSignOut}>
+              <LogOut className="h-4 w-4 mr-2" />
+              Sign out
+            </Button>
+          </div>
+        )}
+      </div>
+    </header>
+  );
+}
+
+function SignIn({ onSession }) {
+  const [mode, setMode] = useState('link');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [linkRequested, setLinkRequested] = useState(false);
+
+  const loginMutation = useMutation({
+    mutationFn: () => portal.login(email, password),
+    onSuccess: (response) => onSession(response.data.data),
+    onError: (error) => toast.error(getErrorMessage(error, 'Sign in failed'))
+  });
+
+  const linkMutation = useMutation({
+    mutationFn: () => portal.requestLink(email),
+    onSuccess: () => setLinkRequested(true),
+    onError: (error) => toast.error(getErrorMessage(error, 'Could not send a sign-in link'))
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'password') {
+      loginMutation.mutate();
+    } else {
+      linkMutation.mutate();
+    }
+  };
+
+  return (
+    <>
+      <PortalHeader />
+      <div className="max-w-md mx-auto px-4 py-12">
+        <Card>
+          <CardHeader>
+            <CardTitle>Sign in to review</CardTitle>
+            <CardDescription>
+              {mode === 'password'
+                ? 'Enter the email and password you were given'
+                : 'We will email you a single-use sign-in link'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {linkRequested && mode === 'link' ? (
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                If {email} belongs to a reviewer, a sign-in link is on its way. Check your inbox.
+              </p>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <Input
+                  label="Email address"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+                {mode === 'password' && (
+                  <Input
+                    label="Password"
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                )}
+                <Button type="submit" className="w-full" disabled={loginMutation.isPending || linkMutation.isPending}>
+                  {mode === 'password' ? 'Sign in' : 'Email me a sign-in link'}
+                </Button>
+              </form>
+            )}
+            <button
+              type="button"
+              onClick={() => {
+                setMode(mode === 'password' ? 'link' : 'password');
+                setLinkRequested(false);
+              }}
+              className="mt-4 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              {mode === 'password' ? 'Sign in with an email link instead' : 'Sign in with a password instead'}
+            </button>
+          </CardContent>
+        </Card>
+      </div>
+    </>
+  );
+}
+
+// Landing page of an emailed sign-in link
+function LinkLanding({ onSession }) {
+  const { linkToken } = useParams();
+  const navigate = useNavigate();
+  const [failed, setFailed] = useState(false);
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    // Links are single use, never exchange twice (StrictMode runs effects twice)
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    portal.exchangeLink(linkToken)
+      .then((response) => {
+        onSession(response.data.data);
+        navigate('/review', { replace: true });
+      })
+      .catch(() => setFailed(true));
+  }, [linkToken, navigate, onSession]);
+
+  return (
+    <>
+      <PortalHeader />
+      <div className="max-w-md mx-auto px-4 py-12 text-center">
+        {failed ? (
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-gray-900 dark:text-white font-medium mb-2">This sign-in link is invalid or has expired</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">Links can only be used once. Request a new one to continue.</p>
+              <Button onClick={() => navigate('/review', { replace: true })}>Request a new link</Button>
+            </CardContent>
+          </Card>
+        ) : (
+          <p className="text-gray-600 dark:text-gray-300">Signing you in...</p>
+        )}
+      </div>
+    </>
+  );
+}
+
+function PortalSession({ onSignOut }) {
+  const { data: reviewer, error } = useQuery({
+    queryKey: ['portal', 'me'],
+    queryFn: async () => {
+      const response = await portal.me();
+      return response.data.data;
+    },
+    retry: false
+  });
+
+  useEffect(() => {
+    if (error?.response?.status === 401) {
+      toast.error(getErrorMessage(error, 'Your session has ended'));
+      onSignOut();
+    }
+  }, [error, onSignOut]);
+
+  const handleSignOut = async () => {
+    try {
+      await portal.logout();
+    } catch {
+      // The session is dropped locally either way
+    }
+    onSignOut();
+  };
+
+  return (
+    <>
+      <PortalHeader reviewer={reviewer} onSignOut={handleSignOut} />
+      <main className="max-w-5xl mx-auto px-4 py-8">
+        {reviewer && (
+          <Routes>
+            <Route path="courses/:courseId" element={<CourseReview />} />
+            <Route path="*" element={<CourseList reviewer={reviewer} />} />
+          </Routes>
+        )}
+      </main>
+    </>
+  );
+}
+
+function CourseList({ reviewer }) {
+  const { data: courses = [], isLoading } = useQuery({
+    queryKey: ['portal', 'courses'],
+    queryFn: async () => {
+      const response = await portal.getCourses();
+      return response.data.data;
+    }
+  });
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Welcome, {reviewer.name}</h1>
+      <p className="text-gray-600 dark:text-gray-400 mt-1 mb-6">Courses waiting for your review</p>
+
+      {isLoading ? (
+        <div className="text-center py-8 text-gray-600 dark:text-gray-300">Loading courses...</div>
+      ) : courses.length === 0 ? (
+        <Card>
+          <CardContent className="py-8 text-center text-gray-500 dark:text-gray-400">
+            No courses are assigned to you right now
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {courses.map(course => (
+            <Link key={course.id} to={`/review/courses/${course.id}`} className="block">
+              <Card className="hover:border-blue-400 transition-colors">
+                <CardContent className="py-4 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">{course.title}</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {[course.program_name, course.due_date && `Due ${formatDate(course.due_date)}`].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  <span className="text-sm text-gray-600 dark:text-gray-300">
+                    {course.signed_off_count} of {course.subtask_count} signed off
+                  </span>
+                </CardContent>
+              </Card>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AttachmentList({ attachments }) {
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await portal.downloadAttachment(attachment.id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download file');
+    }
+  };
+
+  if (attachments.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="space-y-1 mt-2">
+      {attachments.map(attachment => (
+        <li key={attachment.id} className="flex items-center justify-between text-sm">
+          <span className="flex items-center text-gray-700 dark:text-gray-300 min-w-0">
+            <FileText className="h-4 w-4 mr-2 flex-shrink-0 text-gray-400" />
+            <span className="truncate">{attachment.name}</span>
+            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+              v{attachment.versionNumber} · {formatFileSize(attachment.fileSize)}
+            </span>
+          </span>
+          <Button variant="ghost" size="sm" onClick={() => handleDownload(attachment)}>
+            <Download className="h-4 w-4" />
+          </Button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function CourseReview() {
+  const { courseId } = useParams();
+  const queryClient = useQueryClient();
+  const [comment, setComment] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [signingOff, setSigningOff] = useState(null);
+  const [signOffNote, setSignOffNote] = useState('');
+
+  const { data: course, isLoading, error } = useQuery({
+    queryKey: ['portal', 'course', courseId],
+    queryFn: async () => {
+      const response = await portal.getCourse(courseId);
+      return response.data.data;
+    }
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['portal', 'course', courseId] });
+    queryClient.invalidateQueries({ queryKey: ['portal', 'courses'] });
+  };
+
+  const commentMutation = useMutation({
+    mutationFn: (data) => portal.addComment(courseId, data),
+    onSuccess: () => {
+      setComment('');
+      setReplyTo(null);
+      setReplyText('');
+      refresh();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to post comment'))
+  });
+
+  const signOffMutation = useMutation({
+    mutationFn: ({ subtaskId, note }) => portal.signOff(subtaskId, note),
+    onSuccess: () => {
+      toast.success('Sign-off recorded');
+      setSigningOff(null);
+      setSignOffNote('');
+      refresh();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to record sign-off'))
+  });
+
+  if (isLoading) {
+    return <div className="text-center py-8 text-gray-600 dark:text-gray-300">Loading course...</div>;
+  }
+
+  if (error || !course) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-600 dark:text-gray-300 mb-4">{getErrorMessage(error || {}, 'Course not found')}</p>
+        <Link to="/review" className="text-blue-600 dark:text-blue-400 hover:underline">Back to your courses</Link>
+      </div>
+    );
+  }
+
+  const textareaClass = 'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/review" className="inline-flex items-center text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          All courses
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mt-2">{course.title}</h1>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {[course.program_name, course.due_date && `Due ${formatDate(course.due_date)}`].filter(Boolean).join(' · ')}
+        </p>
+        {course.description && (
+          <p className="text-gray-700 dark:text-gray-300 mt-3 whitespace-pre-wrap">{course.description}</p>
+        )}
+      </div>
+
+      {course.attachments.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Course files</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <AttachmentList attachments={course.attachments} />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Deliverables</CardTitle>
+          <CardDescription>Download each deliverable, then record your final sign-off</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {course.subtasks.map(subtask => {
+            const currentPhase = subtask.phases.find(phase => phase.isCurrent);
+            return (
+              <div key={subtask.id} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">{subtask.title}</p>
+                    {currentPhase && (
+                      <span className={`text-sm ${currentPhase.color || 'text-gray-600'} ${currentPhase.darkColor || 'dark:text-gray-300'}`}>
+                        {currentPhase.label}
+                      </span>
+                    )}
+                  </div>
+                  {subtask.isSignedOff ? (
+                    <span className="flex items-center text-sm text-green-600 dark:text-green-400">
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Signed off
+                    </span>
+                  ) : subtask.canSignOff && signingOff !== subtask.id && (
+                    <Button size="sm" onClick={() => setSigningOff(subtask.id)}>
+                      <CheckCircle className="h-4 w-4 mr-2" />
+                      Sign off
+                    </Button>
+                  )}
+                </div>
+
+                {subtask.signoff && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Signed off by {subtask.signoff.signed_off_by} on {formatDateTime(subtask.signoff.signed_off_at)}
+                    {subtask.signoff.note && `: ${subtask.signoff.note}`}
+                  </p>
+                )}
+
+                <AttachmentList attachments={subtask.attachments} />
+
+                {signingOff === subtask.id && (
+                  <div className="mt-3 space-y-2">
+                    <textarea
+                      rows={2}
+                      value={signOffNote}
+                      onChange={(e) => setSignOffNote(e.target.value)}
+                      placeholder="Optional note for the team"
+                      className={textareaClass}
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => setSigningOff(null)}>Cancel</Button>
+                      <Button
+                        size="sm"
+                        disabled={signOffMutation.isPending}
+                        onClick={() => signOffMutation.mutate({ subtaskId: subtask.id, note: signOffNote })}
+                      >
+                        {signOffMutation.isPending ? 'Saving...' : 'Confirm sign-off'}
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {course.subtasks.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Nothing to review yet</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2" />
+            Comments
+          </CardTitle>
+          <CardDescription>Your feedback goes straight to the course team</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {course.comments.map(thread => (
+            <div key={thread.id} className="border-l-2 border-gray-200 dark:border-gray-700 pl-3">
+              {[thread, ...thread.replies].map(item => (
+                <div key={item.id} className={item.id === thread.id ? '' : 'mt-2 ml-4'}>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    <span className="font-medium text-gray-700 dark:text-gray-300">{item.authorName}</span>
+                    {!item.isReviewer && ' (course team)'} · {formatDateTime(item.createdAt)}
+                  </p>
+                  <p className="text-sm text-gray-900 dark:text-white whitespace-pre-wrap">{item.content}</p>
+                </div>
+              ))}
+              {replyTo === thread.id ? (
+                <div className="mt-2 ml-4 flex items-start space-x-2">
+                  <textarea
+                    rows={2}
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    className={textareaClass}
+                  />
+                  <Button
+                    size="sm"
+                    disabled={!replyText.trim() || commentMutation.isPending}
+                    onClick={() => commentMutation.mutate({ content: replyText, parentId: thread.id })}
+                  >
+                    <Send className="h-4 w-4" />
+                  </Button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setReplyTo(thread.id)}
+                  className="mt-1 ml-4 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Reply
+                </button>
+              )}
+            </div>
+          ))}
+
+          <div className="flex items-start space-x-2">
+            <textarea
+              rows={3}
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Leave feedback for the team"
+              className={textareaClass}
+            />
+            <Button
+              disabled={!comment.trim() || commentMutation.isPending}
+              onClick={() => commentMutation.mutate({ content: comment })}
+            >
+              <Send className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
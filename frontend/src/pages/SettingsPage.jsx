@@ -382,6 +382,7 @@ function NotificationSettings({ settings, onUpdate }) {
             className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-blue-500 focus:border-blue-500 max-w-xs"
           >
             <option value="immediate">Immediate</option>
+            <option value="hourly">Hourly</option>
             <option value="daily">Daily</option>
             <option value="weekly">Weekly</option>
             <option value="never">Never</option>
@@ -0,0 +1,385 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { CheckCircle, XCircle, Send, AlertTriangle, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { timeOff } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { Button } from '../components/ui/Button';
+import { formatDate, formatDateTime, cn } from '../lib/utils';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const emptyRequest = { startDate: '', endDate: '', partial: false, hoursPerDay: '', reason: '' };
+
+// DATE strings are parsed as local dates so they are not shifted by the timezone
+const parseDate = (value) => {
+  const [year, month, day] = String(value).substring(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatRange = (entry) => {
+  const start = formatDate(parseDate(entry.start_date));
+  const range = entry.end_date === entry.start_date ? start : `${start} – ${formatDate(parseDate(entry.end_date))}`;
+  return entry.hours_per_day ? `${range} · ${entry.hours_per_day}h/day away` : range;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+function StatusBadge({ status }) {
+  return (
+    <span className={cn('inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize', STATUS_STYLES[status])}>
+      {status}
+    </span>
+  );
+}
+
+// Phases of the user's subtasks that end while they are away
+function Conflicts({ conflicts }) {
+  if (!conflicts || conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-3 p-3 rounded-md bg-yellow-50 dark:bg-yellow-900/20 text-sm">
+      <div className="flex items-center font-medium text-yellow-800 dark:text-yellow-200">
+        <AlertTriangle className="w-4 h-4 mr-2" />
+        {conflicts.length === 1 ? '1 phase ends' : `${conflicts.length} phases end`} during this time off
+      </div>
+      <ul className="mt-2 space-y-1 text-yellow-700 dark:text-yellow-300">
+        {conflicts.map((conflict) => (
+          <li key={`${conflict.subtaskId}-${conflict.phase}`}>
+            <Link to={`/courses/${conflict.courseId}`} className="hover:underline">
+              {conflict.courseTitle} · {conflict.subtaskTitle}
+            </Link>
+            {' '}· {conflict.phaseLabel} ends {formatDate(parseDate(conflict.endDate))}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function MyTimeOff() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [request, setRequest] = useState(emptyRequest);
+  const [lastConflicts, setLastConflicts] = useState([]);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['time-off', 'mine', user?.id],
+    queryFn: () => timeOff.getAll({ userId: user.id }),
+    enabled: !!user
+  });
+
+  const entries = (data?.data?.data || []).slice().reverse();
+  // Time off that has started can only be removed by a manager
+  const canWithdraw = (entry) => entry.status === 'pending'
+    || (entry.status === 'approved' && parseDate(entry.start_date) > new Date());
+
+  const requestMutation = useMutation({
+    mutationFn: (payload) => timeOff.create(payload),
+    onSuccess: (response) => {
+      const entry = response.data.data;
+      queryClient.invalidateQueries({ queryKey: ['time-off'] });
+      setRequest(emptyRequest);
+      setLastConflicts(entry.conflicts || []);
+      toast.success(entry.status === 'approved' ? 'Time off recorded' : 'Time off requested, waiting for approval');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to request time off'));
+    },
+  });
+
+  const withdrawMutation = useMutation({
+    mutationFn: (id) => timeOff.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['time-off'] });
+      toast.success('Time off withdrawn');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to withdraw time off'));
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    requestMutation.mutate({
+      startDate: request.startDate,
+      endDate: request.endDate,
+      hoursPerDay: request.partial && request.hoursPerDay ? parseFloat(request.hoursPerDay) : null,
+      reason: request.reason
+    });
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+        <h2 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Request time off</h2>
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">From</label>
+            <input
+              type="date"
+              required
+              value={request.startDate}
+              onChange={(e) => setRequest({ ...request, startDate: e.target.value, endDate: request.endDate || e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">To</label>
+            <input
+              type="date"
+              required
+              min={request.startDate}
+              value={request.endDate}
+              onChange={(e) => setRequest({ ...request, endDate: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 pb-2">
+            <input
+              type="checkbox"
+              checked={request.partial}
+              onChange={(e) => setRequest({ ...request, partial: e.target.checked })}
+            />
+            <span>Partial days</span>
+          </label>
+          {request.partial && (
+            <div>
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Hours away per day</label>
+              <input
+                type="number"
+                required
+                min="0.25"
+                max="24"
+                step="0.25"
+                value={request.hoursPerDay}
+                onChange={(e) => setRequest({ ...request, hoursPerDay: e.target.value })}
+                className={cn(inputClass, 'w-32')}
+              />
+            </div>
+          )}
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Reason</label>
+            <input
+              type="text"
+              maxLength={255}
+              value={request.reason}
+              onChange={(e) => setRequest({ ...request, reason: e.target.value })}
+              placeholder="Vacation, appointment, training..."
+              className={cn(inputClass, 'w-full')}
+            />
+          </div>
+          <Button type="submit" disabled={requestMutation.isPending}>
+            <Send className="w-4 h-4 mr-2" />
+            {requestMutation.isPending ? 'Submitting...' : 'Submit Request'}
+          </Button>
+        </div>
+        <Conflicts conflicts={lastConflicts} />
+      </form>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">No time off yet</div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map((entry) => (
+            <div key={entry.id} className="p-4 flex items-start justify-between">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900 dark:text-white">{formatRange(entry)}</span>
+                  <StatusBadge status={entry.status} />
+                </div>
+                {entry.reason && <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">{entry.reason}</p>}
+                {entry.reviewed_by_name && entry.reviewed_by !== entry.user_id && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {entry.status === 'rejected' ? 'Rejected' : 'Approved'} by {entry.reviewed_by_name} {formatDateTime(entry.reviewed_at)}
+                    {entry.review_comment && `: ${entry.review_comment}`}
+                  </p>
+                )}
+              </div>
+              {canWithdraw(entry) && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  disabled={withdrawMutation.isPending}
+                  onClick={() => {
+                    if (window.confirm('Withdraw this time off?')) {
+                      withdrawMutation.mutate(entry.id);
+                    }
+                  }}
+                >
+                  <Trash2 className="w-4 h-4 text-red-600 dark:text-red-400" />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PendingApprovals() {
+  const queryClient = useQueryClient();
+  const [comments, setComments] = useState({});
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['time-off', 'pending'],
+    queryFn: () => timeOff.getPending(),
+  });
+
+  const pending = data?.data?.data || [];
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ id, action, comment }) => (action === 'approve'
+      ? timeOff.approve(id, comment || null)
+      : timeOff.reject(id, comment)),
+    onSuccess: (_, { id, action }) => {
+      queryClient.invalidateQueries({ queryKey: ['time-off'] });
+      setComments((prev) => ({ ...prev, [id]: '' }));
+      toast.success(action === 'approve' ? 'Time off approved' : 'Time off rejected');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to review time off'));
+    },
+  });
+
+  const handleReview = (id, action) => {
+    const comment = (comments[id] || '').trim();
+    if (action === 'reject' && !comment) {
+      toast.error('Add a comment explaining the rejection');
+      return;
+    }
+    reviewMutation.mutate({ id, action, comment });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (pending.length === 0) {
+    return (
+      <div className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+        <CheckCircle className="w-10 h-10 text-green-500 mx-auto mb-3" />
+        No time off waiting for approval
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {pending.map((entry) => (
+        <div key={entry.id} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <div>
+            <div className="font-medium text-gray-900 dark:text-white">{entry.user_name}</div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              {formatRange(entry)}
+              {entry.team_name && ` · ${entry.team_name}`}
+              {' · '}requested {formatDateTime(entry.created_at)}
+            </div>
+            {entry.reason && (
+              <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">{entry.reason}</p>
+            )}
+          </div>
+          <Conflicts conflicts={entry.conflicts} />
+          <div className="mt-4 flex items-center space-x-2">
+            <input
+              type="text"
+              value={comments[entry.id] || ''}
+              onChange={(e) => setComments((prev) => ({ ...prev, [entry.id]: e.target.value }))}
+              placeholder="Comment (required to reject)"
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            />
+            <Button
+              variant="success"
+              size="sm"
+              disabled={reviewMutation.isPending}
+              onClick={() => handleReview(entry.id, 'approve')}
+            >
+              <CheckCircle className="w-4 h-4 mr-1" />
+              Approve
+            </Button>
+            <Button
+              variant="destructive"
+              size="sm"
+              disabled={reviewMutation.isPending}
+              onClick={() => handleReview(entry.id, 'reject')}
+            >
+              <XCircle className="w-4 h-4 mr-1" />
+              Reject
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function TimeOffPage() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const isReviewer = ['admin', 'manager'].includes(user?.role);
+  const tab = isReviewer && searchParams.get('tab') === 'approvals' ? 'approvals' : 'mine';
+
+  const setTab = (key) => {
+    const params = new URLSearchParams(searchParams);
+    if (key === 'mine') {
+      params.delete('tab');
+    } else {
+      params.set('tab', key);
+    }
+    setSearchParams(params);
+  };
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Time Off</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Request PTO or partial availability. Approved time off reduces your capacity in workload planning.
+        </p>
+      </div>
+
+      {isReviewer && (
+        <nav className="mb-6 flex space-x-8 border-b border-gray-200 dark:border-gray-700">
+          {[
+            { key: 'mine', label: 'My Time Off' },
+            { key: 'approvals', label: 'Pending Approvals' }
+          ].map((item) => (
+            <button
+              key={item.key}
+              onClick={() => setTab(item.key)}
+              className={cn(
+                'pb-3 text-sm font-medium border-b-2',
+                tab === item.key
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400'
+              )}
+            >
+              {item.label}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {tab === 'approvals' ? <PendingApprovals /> : <MyTimeOff />}
+    </div>
+  );
+}
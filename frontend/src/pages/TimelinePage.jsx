@@ -0,0 +1,548 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ChevronRight, ChevronDown, AlertTriangle, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { courses, programs } from '../lib/api';
+import { Button } from '../components/ui/Button';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROW_HEIGHT = 40;
+const PHASE_ROW_HEIGHT = 26;
+const LABEL_WIDTH = 280;
+const HEADER_HEIGHT = 40;
+const DAY_WIDTHS = { day: 28, week: 10, month: 4 };
+
+const PHASE_COLORS = {
+  alpha_draft: 'bg-sky-400',
+  alpha_review: 'bg-indigo-400',
+  beta_revision: 'bg-violet-400',
+  beta_review: 'bg-purple-400',
+  final_revision: 'bg-amber-400',
+  final_signoff_sent: 'bg-orange-400',
+  final_signoff_received: 'bg-green-500'
+};
+
+const SEVERITY_COLORS = {
+  low: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  high: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300',
+  critical: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+// Dates are handled as whole UTC days so bars line up regardless of timezone
+const toDay = (date) => Math.floor(new Date(typeof date === 'string' && date.length === 10 ? `${date}T00:00:00Z` : date).getTime() / DAY_MS);
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().split('T')[0];
+const formatDay = (day) => new Date(day * DAY_MS).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+function TimelineHeader({ rangeStart, days, dayWidth }) {
+  const ticks = [];
+  for (let day = rangeStart; day < rangeStart + days; day++) {
+    const date = new Date(day * DAY_MS);
+    const isMonthStart = date.getUTCDate() === 1;
+    const isWeekStart = date.getUTCDay() === 1;
+    const show = dayWidth >= DAY_WIDTHS.day || (dayWidth >= DAY_WIDTHS.week ? isWeekStart : isMonthStart);
+    if (show) {
+      ticks.push(
+        <div
+          key={day}
+          className="absolute top-0 h-full border-l border-gray-200 dark:border-gray-700 pl-1 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap"
+          style={{ left: (day - rangeStart) * dayWidth }}
+        >
+          {dayWidth >= DAY_WIDTHS.day
+            ? date.getUTCDate()
+            : date.toLocaleDateString(undefined, { month: 'short', day: dayWidth >= DAY_WIDTHS.week ? 'numeric' : undefined, timeZone: 'UTC' })}
+        </div>
+      );
+    }
+  }
+
+  return (
+    <div className="relative border-b border-gray-200 dark:border-gray-700" style={{ height: HEADER_HEIGHT, width: days * dayWidth }}>
+      {ticks}
+    </div>
+  );
+}
+
+function ScheduleImpactModal({ change, onConfirm, onCancel, isSaving }) {
+  const [applyCascade, setApplyCascade] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['schedule-impact', change.course.id, change.dueDate],
+    queryFn: () => courses.getScheduleImpact(change.course.id, { newDueDate: change.dueDate }),
+  });
+
+  // Dates the dependent courses would move to, shifted by working days
+  const { data: cascadeData, isLoading: cascadeLoading } = useQuery({
+    queryKey: ['schedule-cascade-preview', change.course.id, change.startDate, change.dueDate],
+    queryFn: () => courses.update(change.course.id, { startDate: change.startDate, dueDate: change.dueDate, cascade: 'preview' }),
+    enabled: applyCascade,
+  });
+
+  const impact = data?.data?.data;
+  const cascadePreview = cascadeData?.data?.data?.preview;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="w-full max-w-lg bg-white dark:bg-gray-800 rounded-lg shadow-xl">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Reschedule {change.course.title}</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div className="grid grid-cols-2 gap-2 text-gray-700 dark:text-gray-300">
+            <div>Start: {change.course.startDate} → <strong>{change.startDate}</strong></div>
+            <div>Due: {change.course.dueDate} → <strong>{change.dueDate}</strong></div>
+          </div>
+
+          {isLoading && <div className="animate-pulse h-20 bg-gray-100 dark:bg-gray-700 rounded"></div>}
+
+          {error && (
+            <div className="text-red-600 dark:text-red-400">{getErrorMessage(error, 'Failed to analyze the schedule impact')}</div>
+          )}
+
+          {impact && (
+            <>
+              <div className="flex items-center space-x-2">
+                <span className="text-gray-700 dark:text-gray-300">Impact:</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${SEVERITY_COLORS[impact.severity]}`}>
+                  {impact.severity}
+                </span>
+                <span className="text-gray-500 dark:text-gray-400">
+                  {impact.summary.totalCoursesAffected} dependent course{impact.summary.totalCoursesAffected === 1 ? '' : 's'},
+                  {' '}{impact.summary.resourceConflicts} resource conflict{impact.summary.resourceConflicts === 1 ? '' : 's'}
+                </span>
+              </div>
+
+              {impact.impactedCourses.length > 0 && (
+                <ul className="max-h-40 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded">
+                  {impact.impactedCourses.map(course => (
+                    <li key={course.id} className="flex items-center justify-between px-3 py-2">
+                      <span className="text-gray-900 dark:text-white">{course.title}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${SEVERITY_COLORS[course.impactSeverity]}`}>
+                        {course.impactSeverity}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {impact.impactedCourses.length > 0 && (
+                <div className="border-t border-gray-200 dark:border-gray-700 pt-3">
+                  <label className="flex items-center text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={applyCascade}
+                      onChange={(e) => setApplyCascade(e.target.checked)}
+                      className="mr-2 rounded border-gray-300"
+                    />
+                    Move dependent courses by the same number of working days
+                  </label>
+                  {applyCascade && cascadeLoading && (
+                    <div className="mt-2 animate-pulse h-10 bg-gray-100 dark:bg-gray-700 rounded"></div>
+                  )}
+                  {applyCascade && cascadePreview && (
+                    <div className="mt-2 space-y-1 text-gray-600 dark:text-gray-400">
+                      <p>
+                        Shift of {cascadePreview.workingDaysShift} working day{Math.abs(cascadePreview.workingDaysShift) === 1 ? '' : 's'}, weekends and holidays skipped.
+                      </p>
+                      {cascadePreview.changes.map(item => (
+                        <div key={item.courseId} className="flex justify-between">
+                          <span className="truncate">{item.title}</span>
+                          <span className="ml-2 whitespace-nowrap">{item.from.dueDate} → <strong>{item.to.dueDate}</strong></span>
+                        </div>
+                      ))}
+                      {cascadePreview.warnings.map(warning => (
+                        <p key={warning} className="text-yellow-600 dark:text-yellow-400">{warning}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {impact.recommendations.length > 0 && (
+                <ul className="space-y-1">
+                  {impact.recommendations.map(recommendation => (
+                    <li key={recommendation.type} className="flex items-start text-gray-700 dark:text-gray-300">
+                      <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 text-yellow-500 shrink-0" />
+                      <span><strong>{recommendation.title}:</strong> {recommendation.description}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200 dark:border-gray-700">
+          <Button variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onConfirm(applyCascade)} disabled={isLoading || isSaving || (applyCascade && cascadeLoading)}>
+            {isSaving ? 'Saving...' : 'Reschedule'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function TimelinePage() {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ programId: '', includeCompleted: false });
+  const [zoom, setZoom] = useState('week');
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [drag, setDrag] = useState(null);
+  const [pendingChange, setPendingChange] = useState(null);
+
+  const dayWidth = DAY_WIDTHS[zoom];
+
+  const params = {
+    includeCompleted: filters.includeCompleted,
+    ...(filters.programId && { programId: filters.programId })
+  };
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programs.getAll();
+      return response.data?.data || response.data || [];
+    },
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['timeline', params],
+    queryFn: () => courses.getTimeline(params),
+  });
+
+  const programList = programsData || [];
+  const timeline = data?.data?.data;
+
+  const rescheduleMutation = useMutation({
+    mutationFn: ({ course, startDate, dueDate, applyCascade }) =>
+      courses.update(course.id, { startDate, dueDate, ...(applyCascade && { cascade: 'apply' }) }),
+    onSuccess: (response, { course }) => {
+      queryClient.invalidateQueries({ queryKey: ['timeline'] });
+      queryClient.invalidateQueries({ queryKey: ['courses'] });
+      setPendingChange(null);
+
+      const cascade = response.data?.data?.cascade;
+      if (!cascade) {
+        toast.success('Course rescheduled');
+        return;
+      }
+      toast.success((t) => (
+        <span className="flex items-center">
+          Rescheduled with {cascade.coursesMoved} dependent course{cascade.coursesMoved === 1 ? '' : 's'}
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              undoMutation.mutate({ courseId: course.id, cascadeId: cascade.id });
+            }}
+            className="ml-3 text-sm font-medium text-blue-600 hover:underline"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 10000 });
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to reschedule course')),
+  });
+
+  const undoMutation = useMutation({
+    mutationFn: ({ courseId, cascadeId }) => courses.undoCascade(courseId, cascadeId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['timeline'] });
+      queryClient.invalidateQueries({ queryKey: ['courses'] });
+      toast.success('Reschedule undone');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to undo reschedule')),
+  });
+
+  const scheduled = useMemo(() => (timeline?.courses || []).filter(course => course.startDate && course.dueDate), [timeline]);
+  const unscheduled = useMemo(() => (timeline?.courses || []).filter(course => !course.startDate || !course.dueDate), [timeline]);
+
+  // Visible range with a week of padding on both sides
+  const { rangeStart, days } = useMemo(() => {
+    if (scheduled.length === 0) {
+      const today = toDay(new Date());
+      return { rangeStart: today - 7, days: 60 };
+    }
+    const starts = scheduled.map(course => toDay(course.startDate));
+    const ends = scheduled.map(course => toDay(course.lateFinish || course.dueDate));
+    const start = Math.min(...starts) - 7;
+    return { rangeStart: start, days: Math.max(...ends) + 7 - start };
+  }, [scheduled]);
+
+  // Vertical position of every course row, phase rows of expanded courses push the rest down
+  const rowTops = useMemo(() => {
+    const tops = new Map();
+    let top = 0;
+    scheduled.forEach(course => {
+      tops.set(course.id, top);
+      top += ROW_HEIGHT + (expanded.has(course.id) ? course.phases.length * PHASE_ROW_HEIGHT : 0);
+    });
+    tops.set('total', top);
+    return tops;
+  }, [scheduled, expanded]);
+
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const handleMove = (event) => {
+      setDrag(prev => ({ ...prev, deltaDays: Math.round((event.clientX - prev.originX) / dayWidth) }));
+    };
+
+    const handleUp = () => {
+      const { course, mode, deltaDays } = drag;
+      setDrag(null);
+      if (deltaDays === 0) return;
+
+      const start = toDay(course.startDate) + (mode === 'move' ? deltaDays : 0);
+      const due = Math.max(toDay(course.dueDate) + deltaDays, start);
+      setPendingChange({ course, startDate: fromDay(start), dueDate: fromDay(due) });
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [drag, dayWidth]);
+
+  const startDrag = (event, course, mode) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDrag({ course, mode, originX: event.clientX, deltaDays: 0 });
+  };
+
+  const toggleExpanded = (courseId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(courseId)) next.delete(courseId);
+      else next.add(courseId);
+      return next;
+    });
+  };
+
+  const barPosition = (course) => {
+    let start = toDay(course.startDate);
+    let end = toDay(course.dueDate);
+    if (drag?.course.id === course.id) {
+      if (drag.mode === 'move') start += drag.deltaDays;
+      end = Math.max(end + drag.deltaDays, start);
+    }
+    return { left: (start - rangeStart) * dayWidth, width: Math.max(end - start, 1) * dayWidth };
+  };
+
+  const today = toDay(new Date());
+  const criticalPath = new Set(timeline?.criticalPath || []);
+
+  return (
+    <div className="p-6">
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Timeline</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Drag a course to move it, drag its right edge to change the due date. Critical path courses are red.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {Object.keys(DAY_WIDTHS).map(level => (
+            <Button key={level} variant={zoom === level ? 'default' : 'outline'} size="sm" onClick={() => setZoom(level)}>
+              <span className="capitalize">{level}</span>
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-4 flex items-center space-x-4">
+        <select
+          value={filters.programId}
+          onChange={(e) => setFilters(prev => ({ ...prev, programId: e.target.value }))}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          <option value="">All programs</option>
+          {programList.map(program => (
+            <option key={program.id} value={program.id}>{program.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={filters.includeCompleted}
+            onChange={(e) => setFilters(prev => ({ ...prev, includeCompleted: e.target.checked }))}
+            className="mr-2 rounded border-gray-300"
+          />
+          Show completed courses
+        </label>
+        {timeline?.range?.end && (
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            Timeline ends {formatDay(toDay(timeline.range.end))}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 text-sm text-red-700 dark:text-red-300">
+          {getErrorMessage(error, 'Failed to load timeline')}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="flex bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden select-none">
+          {/* Course labels */}
+          <div className="shrink-0 border-r border-gray-200 dark:border-gray-700" style={{ width: LABEL_WIDTH }}>
+            <div className="border-b border-gray-200 dark:border-gray-700 px-3 flex items-center text-xs font-medium text-gray-500 dark:text-gray-400" style={{ height: HEADER_HEIGHT }}>
+              Course
+            </div>
+            {scheduled.map(course => (
+              <div key={course.id}>
+                <div className="flex items-center px-2 border-b border-gray-100 dark:border-gray-700" style={{ height: ROW_HEIGHT }}>
+                  <button
+                    onClick={() => toggleExpanded(course.id)}
+                    disabled={course.phases.length === 0}
+                    className="p-1 text-gray-400 hover:text-gray-600 disabled:invisible"
+                  >
+                    {expanded.has(course.id) ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                  </button>
+                  <Link to={`/courses/${course.id}`} className="flex-1 truncate text-sm text-gray-900 dark:text-white hover:underline">
+                    {course.title}
+                  </Link>
+                  {course.slackDays !== null && (
+                    <span className={`ml-2 text-xs ${course.isCritical ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                      {course.isCritical ? 'critical' : `${course.slackDays}d slack`}
+                    </span>
+                  )}
+                </div>
+                {expanded.has(course.id) && course.phases.map(phase => (
+                  <div key={phase.subtaskId} className="flex items-center pl-10 pr-2 text-xs text-gray-600 dark:text-gray-400 border-b border-gray-50 dark:border-gray-700/50" style={{ height: PHASE_ROW_HEIGHT }}>
+                    <span className="truncate">{phase.title}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {/* Bars */}
+          <div className="flex-1 overflow-x-auto">
+            <TimelineHeader rangeStart={rangeStart} days={days} dayWidth={dayWidth} />
+            <div className="relative" style={{ width: days * dayWidth, height: rowTops.get('total') }}>
+              {today >= rangeStart && today < rangeStart + days && (
+                <div className="absolute top-0 bottom-0 w-px bg-red-400" style={{ left: (today - rangeStart) * dayWidth }} />
+              )}
+
+              {/* Dependency edges, from the end of a course to the start of its dependent */}
+              <svg className="absolute inset-0 pointer-events-none" width={days * dayWidth} height={rowTops.get('total')}>
+                {(timeline?.edges || []).filter(edge => rowTops.has(edge.from) && rowTops.has(edge.to)).map(edge => {
+                  const from = scheduled.find(course => course.id === edge.from);
+                  const to = scheduled.find(course => course.id === edge.to);
+                  const fromBar = barPosition(from);
+                  const toBar = barPosition(to);
+                  const x1 = fromBar.left + fromBar.width;
+                  const y1 = rowTops.get(edge.from) + ROW_HEIGHT / 2;
+                  const x2 = toBar.left;
+                  const y2 = rowTops.get(edge.to) + ROW_HEIGHT / 2;
+                  const critical = criticalPath.has(edge.from) && criticalPath.has(edge.to);
+                  return (
+                    <path
+                      key={edge.id}
+                      d={`M ${x1} ${y1} C ${x1 + 20} ${y1}, ${x2 - 20} ${y2}, ${x2} ${y2}`}
+                      fill="none"
+                      strokeWidth={critical ? 2 : 1}
+                      className={critical ? 'stroke-red-500' : 'stroke-gray-400'}
+                    />
+                  );
+                })}
+              </svg>
+
+              {scheduled.map(course => {
+                const bar = barPosition(course);
+                const top = rowTops.get(course.id);
+                return (
+                  <div key={course.id}>
+                    {course.slackDays > 0 && (
+                      <div
+                        className="absolute h-2 rounded bg-gray-200 dark:bg-gray-600"
+                        style={{ top: top + ROW_HEIGHT / 2 - 4, left: bar.left + bar.width, width: course.slackDays * dayWidth }}
+                        title={`${course.slackDays} days of slack`}
+                      />
+                    )}
+                    <div
+                      onMouseDown={(e) => startDrag(e, course, 'move')}
+                      className={`absolute rounded cursor-move overflow-hidden text-xs text-white px-2 flex items-center ${
+                        course.isCritical ? 'bg-red-500' : 'bg-blue-500'
+                      } ${drag?.course.id === course.id ? 'opacity-75 ring-2 ring-offset-1 ring-blue-300' : ''}`}
+                      style={{ top: top + 8, left: bar.left, width: bar.width, height: ROW_HEIGHT - 16 }}
+                      title={`${course.title}: ${course.startDate} – ${course.dueDate}`}
+                    >
+                      <div className="absolute inset-y-0 left-0 bg-black/20" style={{ width: `${course.progress}%` }} />
+                      <span className="relative truncate">{course.progress}%</span>
+                      <div
+                        onMouseDown={(e) => startDrag(e, course, 'resize')}
+                        className="absolute inset-y-0 right-0 w-2 cursor-ew-resize bg-black/10"
+                      />
+                    </div>
+                    {expanded.has(course.id) && course.phases.map((phase, index) => (
+                      phase.segments.map(segment => {
+                        const start = toDay(segment.startDate);
+                        const end = Math.max(toDay(segment.endDate || segment.startDate), start + 1);
+                        return (
+                          <div
+                            key={`${phase.subtaskId}-${segment.status}`}
+                            className={`absolute h-3 rounded-sm ${PHASE_COLORS[segment.status] || 'bg-gray-400'} ${segment.isCurrent ? 'ring-1 ring-gray-700' : ''}`}
+                            style={{
+                              top: top + ROW_HEIGHT + index * PHASE_ROW_HEIGHT + (PHASE_ROW_HEIGHT - 12) / 2,
+                              left: (start - rangeStart) * dayWidth,
+                              width: (end - start) * dayWidth
+                            }}
+                            title={`${phase.title}: ${segment.status.replace(/_/g, ' ')}`}
+                          />
+                        );
+                      })
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {unscheduled.length > 0 && (
+        <div className="mt-6">
+          <h2 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Without start or due date</h2>
+          <div className="flex flex-wrap gap-2">
+            {unscheduled.map(course => (
+              <Link
+                key={course.id}
+                to={`/courses/${course.id}`}
+                className="px-3 py-1 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                {course.title}
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {pendingChange && (
+        <ScheduleImpactModal
+          change={pendingChange}
+          onCancel={() => setPendingChange(null)}
+          onConfirm={(applyCascade) => rescheduleMutation.mutate({ ...pendingChange, applyCascade })}
+          isSaving={rescheduleMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,381 @@
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  ChevronLeft,
+  ChevronRight,
+  Clock,
+  CheckCircle,
+  XCircle,
+  Send,
+  Lock,
+  AlertTriangle
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { timesheets } from '../lib/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { Button } from '../components/ui/Button';
+import { formatDate, formatDateTime, cn } from '../lib/utils';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  submitted: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const formatMinutes = (minutes = 0) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+// YYYY-MM-DD of a local date
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const getMonday = (date = new Date()) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toDateString(monday);
+};
+
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + days));
+};
+
+// DATE strings are parsed as local dates so they are not shifted by the timezone
+const parseDate = (value) => {
+  const [year, month, day] = String(value).substring(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback;
+
+function StatusBadge({ status }) {
+  return (
+    <span className={cn('inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize', STATUS_STYLES[status])}>
+      {['submitted', 'approved'].includes(status) && <Lock className="w-3 h-3 mr-1" />}
+      {status}
+    </span>
+  );
+}
+
+function MyWeek({ weekStart, onWeekChange }) {
+  const queryClient = useQueryClient();
+  const [notes, setNotes] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['timesheets', 'week', weekStart],
+    queryFn: () => timesheets.getWeek({ weekStart }),
+  });
+
+  const week = data?.data?.data;
+
+  const submitMutation = useMutation({
+    mutationFn: () => timesheets.submit(weekStart, notes || null),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['timesheets'] });
+      queryClient.invalidateQueries({ queryKey: ['time-entries'] });
+      setNotes('');
+      toast.success('Timesheet submitted for approval');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to submit timesheet'));
+    },
+  });
+
+  const canSubmit = week && ['draft', 'rejected'].includes(week.status) && week.entries.length > 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" size="icon" onClick={() => onWeekChange(addDays(weekStart, -7))}>
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <div className="px-2 text-sm font-medium text-gray-900 dark:text-white">
+            {formatDate(parseDate(weekStart))} – {formatDate(parseDate(addDays(weekStart, 6)))}
+          </div>
+          <Button variant="outline" size="icon" onClick={() => onWeekChange(addDays(weekStart, 7))}>
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+          {weekStart !== getMonday() && (
+            <Button variant="ghost" size="sm" onClick={() => onWeekChange(getMonday())}>
+              This week
+            </Button>
+          )}
+        </div>
+        {week && <StatusBadge status={week.status} />}
+      </div>
+
+      {isLoading || !week ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <>
+          {week.status === 'rejected' && week.timesheet?.review_comment && (
+            <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 flex">
+              <AlertTriangle className="h-5 w-5 text-red-400 flex-shrink-0" />
+              <div className="ml-3 text-sm text-red-700 dark:text-red-300">
+                <p className="font-medium">Rejected by {week.timesheet.reviewed_by_name || 'a manager'}</p>
+                <p className="mt-1">{week.timesheet.review_comment}</p>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-7 gap-2">
+            {Object.entries(week.totals.byDay).map(([date, minutes]) => (
+              <div key={date} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-center">
+                <div className="text-xs text-gray-500 dark:text-gray-400">{formatDate(parseDate(date), 'EEE d')}</div>
+                <div className="mt-1 text-sm font-medium text-gray-900 dark:text-white">{formatMinutes(minutes)}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Time Entries</h3>
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                Total {formatMinutes(week.totals.totalMinutes)} · Billable {formatMinutes(week.totals.billableMinutes)}
+              </div>
+            </div>
+            {week.entries.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                <Clock className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+                No time tracked this week
+              </div>
+            ) : (
+              <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                {week.entries.map((entry) => (
+                  <div key={entry.id} className="p-4 flex items-center justify-between text-sm">
+                    <div>
+                      <div className="text-gray-900 dark:text-white">
+                        {entry.course_name || 'No course'}{entry.task_name ? ` · ${entry.task_name}` : ''}
+                      </div>
+                      {entry.description && (
+                        <div className="text-gray-500 dark:text-gray-400">{entry.description}</div>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-3 text-gray-600 dark:text-gray-300">
+                      <span>{formatDateTime(entry.start_time)}</span>
+                      {entry.is_billable && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                          Billable
+                        </span>
+                      )}
+                      <span className="font-medium">{formatMinutes(entry.duration || 0)}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {canSubmit && (
+            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3">
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                placeholder="Notes for your manager (optional)"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+              <div className="flex justify-end">
+                <Button onClick={() => submitMutation.mutate()} loading={submitMutation.isPending} disabled={submitMutation.isPending}>
+                  <Send className="w-4 h-4 mr-2" />
+                  {week.status === 'rejected' ? 'Resubmit Week' : 'Submit Week'}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {week.reviews.length > 0 && (
+            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">History</h3>
+              <ul className="space-y-2 text-sm">
+                {week.reviews.map((review) => (
+                  <li key={review.id} className="flex items-start space-x-2">
+                    <StatusBadge status={review.action} />
+                    <span className="text-gray-600 dark:text-gray-400">
+                      {review.user_name} · {formatDateTime(review.created_at)}
+                      {review.comment && <span className="block text-gray-900 dark:text-white">{review.comment}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function PendingApprovals() {
+  const queryClient = useQueryClient();
+  const [comments, setComments] = useState({});
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['timesheets', 'pending'],
+    queryFn: () => timesheets.getPending(),
+  });
+
+  const pending = data?.data?.data || [];
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ id, action, comment }) => (action === 'approve'
+      ? timesheets.approve(id, comment || null)
+      : timesheets.reject(id, comment)),
+    onSuccess: (_, { id, action }) => {
+      queryClient.invalidateQueries({ queryKey: ['timesheets'] });
+      setComments((prev) => ({ ...prev, [id]: '' }));
+      toast.success(action === 'approve' ? 'Timesheet approved' : 'Timesheet rejected');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to review timesheet'));
+    },
+  });
+
+  const handleReview = (id, action) => {
+    const comment = (comments[id] || '').trim();
+    if (action === 'reject' && !comment) {
+      toast.error('Add a comment explaining the rejection');
+      return;
+    }
+    reviewMutation.mutate({ id, action, comment });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (pending.length === 0) {
+    return (
+      <div className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+        <CheckCircle className="w-10 h-10 text-green-500 mx-auto mb-3" />
+        No timesheets waiting for approval
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {pending.map((timesheet) => (
+        <div key={timesheet.id} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="font-medium text-gray-900 dark:text-white">{timesheet.user_name}</div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">
+                Week of {formatDate(parseDate(timesheet.week_start))}
+                {timesheet.team_name && ` · ${timesheet.team_name}`}
+                {' · '}submitted {formatDateTime(timesheet.submitted_at)}
+              </div>
+              {timesheet.notes && (
+                <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">{timesheet.notes}</p>
+              )}
+            </div>
+            <div className="text-right text-sm">
+              <div className="font-medium text-gray-900 dark:text-white">{formatMinutes(timesheet.total_minutes)}</div>
+              <div className="text-gray-500 dark:text-gray-400">
+                {formatMinutes(timesheet.billable_minutes)} billable · {timesheet.entry_count} entries
+              </div>
+            </div>
+          </div>
+          <div className="mt-4 flex items-center space-x-2">
+            <input
+              type="text"
+              value={comments[timesheet.id] || ''}
+              onChange={(e) => setComments((prev) => ({ ...prev, [timesheet.id]: e.target.value }))}
+              placeholder="Comment (required to reject)"
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            />
+            <Button
+              variant="success"
+              size="sm"
+              disabled={reviewMutation.isPending}
+              onClick={() => handleReview(timesheet.id, 'approve')}
+            >
+              <CheckCircle className="w-4 h-4 mr-1" />
+              Approve
+            </Button>
+            <Button
+              variant="destructive"
+              size="sm"
+              disabled={reviewMutation.isPending}
+              onClick={() => handleReview(timesheet.id, 'reject')}
+            >
+              <XCircle className="w-4 h-4 mr-1" />
+              Reject
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function TimesheetsPage() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const isReviewer = ['admin', 'manager'].includes(user?.role);
+  const tab = isReviewer && searchParams.get('tab') === 'approvals' ? 'approvals' : 'week';
+  const weekStart = getMonday(searchParams.get('week') ? parseDate(searchParams.get('week')) : new Date());
+
+  const updateParams = (updates) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    setSearchParams(params);
+  };
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Timesheets</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Submit your weekly time for approval. Submitted and approved weeks are locked.
+        </p>
+      </div>
+
+      {isReviewer && (
+        <nav className="mb-6 flex space-x-8 border-b border-gray-200 dark:border-gray-700">
+          {[
+            { key: 'week', label: 'My Week' },
+            { key: 'approvals', label: 'Pending Approvals' }
+          ].map((item) => (
+            <button
+              key={item.key}
+              onClick={() => updateParams({ tab: item.key === 'week' ? null : item.key })}
+              className={cn(
+                'pb-3 text-sm font-medium border-b-2',
+                tab === item.key
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400'
+              )}
+            >
+              {item.label}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {tab === 'approvals' ? (
+        <PendingApprovals />
+      ) : (
+        <MyWeek weekStart={weekStart} onWeekChange={(week) => updateParams({ week })} />
+      )}
+    </div>
+  );
+}